@@ -0,0 +1,480 @@
+// Programmatic Node API — `require('@paths.design/caws-cli/api')`
+// (CAWS-NODE-API-001).
+//
+// Each function runs the same run*Command handler `caws` dispatches to, in
+// process, with stdout/stderr captured, and returns a CawsResult whose `data`
+// is typed:
+//
+//   - commands with a --json mode are run with it and `data` is the parsed
+//     payload (status, doctor, scope, gates, specs create --plan, specs verify)
+//   - commands without one (specs list/show/create/activate/close, worktree
+//     list/create/bind/destroy/merge) return the store record the command
+//     just read or wrote, loaded after it exits 0
+//
+// No business logic lives here, so an API call and the CLI can never disagree
+// about validation, exit codes, events or session attribution. Calls are
+// synchronous because the handlers are.
+//
+// Versioning: API_VERSION is bumped only for a breaking change to a function
+// signature or to a payload type in ./types. New functions and new payload
+// fields are additive and keep the version.
+
+import {
+  DEFAULT_WORKTREE_MERGE_STRATEGY,
+  isWorktreeMergeStrategy,
+  type WorktreeMergeStrategy,
+} from '../kernel';
+import { resolveRepoRoot } from '../store';
+import { loadEvents } from '../store/events-store';
+import { listSpecs, showSpec, type SpecsListStatus } from '../store/specs-writer';
+import { listWorktreesPretty } from '../store/worktrees-writer';
+import { runDoctorCommand } from '../shell/commands/doctor';
+import {
+  runGatesExplainCommand,
+  runGatesListCommand,
+  runGatesRunCommand,
+  type GatesRunCommandRequest,
+} from '../shell/commands/gates';
+import { runScopeCommand, runScopePlanCommand } from '../shell/commands/scope';
+import {
+  runSpecsActivateCommand,
+  runSpecsCloseCommand,
+  runSpecsCreateCommand,
+  runSpecsListCommand,
+  runSpecsShowCommand,
+  runSpecsVerifyCommand,
+  type SpecsCloseOptions,
+  type SpecsCreateOptions,
+} from '../shell/commands/specs';
+import { runStatusCommand } from '../shell/commands/status';
+import {
+  runWorktreeBindCommand,
+  runWorktreeCreateCommand,
+  runWorktreeDestroyCommand,
+  runWorktreeListCommand,
+  runWorktreeMergeCommand,
+  type WorktreeMergeOptions,
+} from '../shell/commands/worktree';
+import type {
+  ApiOptions,
+  CawsResult,
+  DoctorReport,
+  GatesExplainReport,
+  GatesListReport,
+  GatesRunReport,
+  ScopeDecisionJson,
+  ScopePlanReport,
+  SpecDocument,
+  SpecsCreatePlan,
+  SpecsListResult,
+  SpecsVerifyReport,
+  StatusPanel,
+  StatusReport,
+  WorktreeListEntry,
+  WorktreeMergeReport,
+} from './types';
+
+export type * from './types';
+
+/** Major version of this API surface. */
+export const API_VERSION = 1;
+
+interface CapturedIo {
+  readonly out: (line: string) => void;
+  readonly err: (line: string) => void;
+}
+
+function capture<T>(
+  run: (io: CapturedIo) => number,
+  read: (stdout: readonly string[], exitCode: number) => T | null
+): CawsResult<T> {
+  const stdout: string[] = [];
+  const stderr: string[] = [];
+  const exitCode = run({ out: (line) => stdout.push(line), err: (line) => stderr.push(line) });
+  return { ok: exitCode === 0, exitCode, data: read(stdout, exitCode), stdout, stderr };
+}
+
+/** The command's --json payload, whatever its exit code (scope check and gates run print one on 1). */
+function parsedJson<T>(stdout: readonly string[]): T | null {
+  const text = stdout.join('\n').trim();
+  if (text.length === 0) return null;
+  try {
+    return JSON.parse(text) as T;
+  } catch {
+    return null;
+  }
+}
+
+/** Read `.caws/` state after a successful command; null when the command failed. */
+function afterSuccess<T>(
+  cwd: string | undefined,
+  read: (cawsDir: string) => T | null
+): (stdout: readonly string[], exitCode: number) => T | null {
+  return (_stdout, exitCode) => {
+    if (exitCode !== 0) return null;
+    const repo = resolveRepoRoot(cwd ?? process.cwd());
+    return repo.ok ? read(repo.value.cawsDir) : null;
+  };
+}
+
+function readSpec(cawsDir: string, id: string): SpecDocument | null {
+  const result = showSpec(cawsDir, id);
+  return result.ok ? { spec: result.value.spec, path: result.value.path } : null;
+}
+
+function readWorktree(cawsDir: string, name: string): WorktreeListEntry | null {
+  const result = listWorktreesPretty(cawsDir);
+  if (!result.ok) return null;
+  return result.value.entries.find((entry) => entry.name === name) ?? null;
+}
+
+function readMergeEvent(cawsDir: string, name: string): WorktreeMergeReport | null {
+  const loaded = loadEvents(cawsDir);
+  if (!loaded.ok) return null;
+  for (let i = loaded.value.events.length - 1; i >= 0; i--) {
+    const event = loaded.value.events[i];
+    const data = (event?.data ?? {}) as Record<string, unknown>;
+    if (event?.event !== 'worktree_merged' || data['worktree_name'] !== name) continue;
+    const strategy = data['strategy'];
+    return {
+      name,
+      spec_id: event.spec_id ?? null,
+      merge_commit: String(data['merge_commit']),
+      base_branch: String(data['base_branch']),
+      strategy:
+        typeof strategy === 'string' && isWorktreeMergeStrategy(strategy)
+          ? strategy
+          : DEFAULT_WORKTREE_MERGE_STRATEGY,
+      landed_commits: Array.isArray(data['landed_commits']) ? data['landed_commits'].map(String) : [],
+      retargeted_children: Array.isArray(data['retargeted_children'])
+        ? data['retargeted_children'].map(String)
+        : [],
+      auto_closed_spec: data['auto_closed_spec'] === true,
+      spec_already_closed: data['spec_already_closed'] === true,
+    };
+  }
+  return null;
+}
+
+function cwdOption(opts: ApiOptions): { readonly cwd?: string } {
+  return opts.cwd !== undefined ? { cwd: opts.cwd } : {};
+}
+
+function runOptions(opts: ApiOptions): ApiOptions {
+  return {
+    ...cwdOption(opts),
+    ...(opts.env !== undefined ? { env: opts.env } : {}),
+  };
+}
+
+// ─── status / doctor ─────────────────────────────────────────────────────
+
+export interface StatusApiOptions extends ApiOptions {
+  /** Limit the report to these panels. Default: all four. */
+  readonly panels?: readonly StatusPanel[];
+}
+
+/** `caws status --json`. Read-only: never writes a heartbeat. */
+export function status(opts: StatusApiOptions = {}): CawsResult<StatusReport> {
+  const panels = new Set(opts.panels ?? []);
+  return capture<StatusReport>(
+    (io) =>
+      runStatusCommand({
+        ...runOptions(opts),
+        ...io,
+        json: true,
+        specs: panels.has('specs'),
+        worktrees: panels.has('worktrees'),
+        agents: panels.has('agents'),
+        doctor: panels.has('doctor'),
+      }),
+    parsedJson
+  );
+}
+
+/** `caws doctor --repair-plan --json`: findings, load diagnostics and repair routes. */
+export function doctor(opts: ApiOptions = {}): CawsResult<DoctorReport> {
+  return capture<DoctorReport>(
+    (io) =>
+      runDoctorCommand({
+        ...runOptions(opts),
+        ...io,
+        repairPlan: true,
+        json: true,
+      }),
+    parsedJson
+  );
+}
+
+// ─── scope ───────────────────────────────────────────────────────────────
+
+export interface ScopeApiOptions extends ApiOptions {
+  /** Evaluate against this spec instead of the worktree binding (read-only context). */
+  readonly specId?: string;
+}
+
+function scopeDecision(
+  mode: 'show' | 'check',
+  targetPath: string,
+  opts: ScopeApiOptions
+): CawsResult<ScopeDecisionJson> {
+  return capture<ScopeDecisionJson>(
+    (io) =>
+      runScopeCommand({
+        path: targetPath,
+        mode,
+        ...cwdOption(opts),
+        ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
+        ...io,
+        json: true,
+      }),
+    parsedJson
+  );
+}
+
+export const scope = {
+  /** `caws scope show <path> --json`: the decision, exit 0 either way. */
+  show(targetPath: string, opts: ScopeApiOptions = {}): CawsResult<ScopeDecisionJson> {
+    return scopeDecision('show', targetPath, opts);
+  },
+  /** `caws scope check <path> --json`: exit 1 (with the decision) when the path is not admitted. */
+  check(targetPath: string, opts: ScopeApiOptions = {}): CawsResult<ScopeDecisionJson> {
+    return scopeDecision('check', targetPath, opts);
+  },
+  /** `caws scope plan <paths...> --json`. */
+  plan(paths: readonly string[], opts: ScopeApiOptions = {}): CawsResult<ScopePlanReport> {
+    return capture<ScopePlanReport>(
+      (io) =>
+        runScopePlanCommand({
+          paths,
+          ...cwdOption(opts),
+          ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
+          ...io,
+          json: true,
+        }),
+      parsedJson
+    );
+  },
+} as const;
+
+// ─── gates ───────────────────────────────────────────────────────────────
+
+export interface GatesApiOptions extends ApiOptions {
+  /** Resolve waivers and thresholds for this spec. */
+  readonly specId?: string;
+}
+
+export const gates = {
+  /** `caws gates list --json`. */
+  list(opts: GatesApiOptions = {}): CawsResult<GatesListReport> {
+    return capture<GatesListReport>(
+      (io) =>
+        runGatesListCommand({
+          ...cwdOption(opts),
+          ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
+          ...io,
+          json: true,
+        }),
+      parsedJson
+    );
+  },
+  /** `caws gates explain <gate> --json`. */
+  explain(gateId: string, opts: GatesApiOptions = {}): CawsResult<GatesExplainReport> {
+    return capture<GatesExplainReport>(
+      (io) =>
+        runGatesExplainCommand({
+          gateId,
+          ...cwdOption(opts),
+          ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
+          ...io,
+          json: true,
+        }),
+      parsedJson
+    );
+  },
+  /**
+   * `caws gates run --format json`. Evaluates, appends gate_evaluated events
+   * and exits 1 when a blocking gate fails (the report is still returned).
+   */
+  run(request: GatesRunCommandRequest, opts: ApiOptions = {}): CawsResult<GatesRunReport> {
+    return capture<GatesRunReport>(
+      (io) =>
+        runGatesRunCommand(request, {
+          ...runOptions(opts),
+          ...io,
+          format: 'json',
+        }),
+      parsedJson
+    );
+  },
+} as const;
+
+// ─── specs ───────────────────────────────────────────────────────────────
+
+/** `caws specs create` inputs; the option names match SpecsCreateOptions. */
+export type SpecsCreateInput = { readonly id: string } & Pick<
+  SpecsCreateOptions,
+  | 'title'
+  | 'mode'
+  | 'riskTier'
+  | 'scopeIn'
+  | 'acceptance'
+  | 'contract'
+  | 'observability'
+  | 'rollback'
+  | 'security'
+  | 'activate'
+  | 'module'
+  | 'invariant'
+>;
+
+export type SpecsCloseInput = Pick<
+  SpecsCloseOptions,
+  'resolution' | 'closureNotes' | 'mergeCommit' | 'supersededBy'
+>;
+
+export interface SpecsListApiOptions extends ApiOptions {
+  readonly status?: SpecsListStatus;
+  readonly includeArchived?: boolean;
+}
+
+export interface SpecsVerifyApiOptions extends ApiOptions {
+  /** Criterion ids to run; every criterion with a test_command when omitted. */
+  readonly criteria?: readonly string[];
+  readonly timeoutMs?: number;
+}
+
+export const specs = {
+  /** `caws specs list`: active specs, plus archived ones when asked. */
+  list(opts: SpecsListApiOptions = {}): CawsResult<SpecsListResult> {
+    const filter = {
+      ...(opts.status !== undefined ? { status: opts.status } : {}),
+      ...(opts.includeArchived === true ? { includeArchived: true } : {}),
+    };
+    return capture(
+      (io) => runSpecsListCommand({ ...runOptions(opts), ...io, ...filter }),
+      afterSuccess(opts.cwd, (cawsDir) => {
+        const result = listSpecs(cawsDir, filter);
+        return result.ok ? result.value : null;
+      })
+    );
+  },
+  /** `caws specs show <id>`. */
+  show(id: string, opts: ApiOptions = {}): CawsResult<SpecDocument> {
+    return capture(
+      (io) => runSpecsShowCommand({ id, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readSpec(cawsDir, id))
+    );
+  },
+  /** `caws specs create`: writes the spec (draft unless `activate`) and returns it. */
+  create(input: SpecsCreateInput, opts: ApiOptions = {}): CawsResult<SpecDocument> {
+    return capture(
+      (io) => runSpecsCreateCommand({ ...input, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readSpec(cawsDir, input.id))
+    );
+  },
+  /** `caws specs create --plan --json`: validates the candidate without writing. */
+  plan(input: SpecsCreateInput, opts: ApiOptions = {}): CawsResult<SpecsCreatePlan> {
+    return capture<SpecsCreatePlan>(
+      (io) =>
+        runSpecsCreateCommand({ ...input, ...runOptions(opts), ...io, plan: true, json: true }),
+      parsedJson
+    );
+  },
+  /** `caws specs activate <id>`. */
+  activate(id: string, opts: ApiOptions = {}): CawsResult<SpecDocument> {
+    return capture(
+      (io) => runSpecsActivateCommand({ id, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readSpec(cawsDir, id))
+    );
+  },
+  /** `caws specs close <id> --resolution <r>`. */
+  close(id: string, input: SpecsCloseInput, opts: ApiOptions = {}): CawsResult<SpecDocument> {
+    return capture(
+      (io) => runSpecsCloseCommand({ id, ...input, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readSpec(cawsDir, id))
+    );
+  },
+  /** `caws specs verify <id> --json`: runs acceptance test commands and records evidence. */
+  verify(id: string, opts: SpecsVerifyApiOptions = {}): CawsResult<SpecsVerifyReport> {
+    return capture<SpecsVerifyReport>(
+      (io) =>
+        runSpecsVerifyCommand({
+          id,
+          ...runOptions(opts),
+          ...(opts.criteria !== undefined ? { criteria: opts.criteria } : {}),
+          ...(opts.timeoutMs !== undefined ? { timeoutMs: opts.timeoutMs } : {}),
+          ...io,
+          json: true,
+        }),
+      parsedJson
+    );
+  },
+} as const;
+
+// ─── worktree ────────────────────────────────────────────────────────────
+
+export interface WorktreeCreateInput {
+  readonly specId: string;
+  readonly baseBranch?: string;
+  readonly branch?: string;
+  readonly parent?: string;
+}
+
+export interface WorktreeBindInput {
+  readonly specId: string;
+  readonly steal?: boolean;
+  readonly reason?: string;
+}
+
+export interface WorktreeDestroyInput {
+  readonly abandonUnmerged?: boolean;
+  readonly force?: boolean;
+}
+
+export type WorktreeMergeInput = Pick<WorktreeMergeOptions, 'message' | 'closureNotes' | 'noClose'> & {
+  readonly strategy?: WorktreeMergeStrategy;
+};
+
+export const worktree = {
+  /** `caws worktree list`: registered worktrees, sorted by name. */
+  list(opts: ApiOptions = {}): CawsResult<readonly WorktreeListEntry[]> {
+    return capture(
+      (io) => runWorktreeListCommand({ ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => {
+        const result = listWorktreesPretty(cawsDir);
+        return result.ok ? result.value.entries : null;
+      })
+    );
+  },
+  /** `caws worktree create <name> --spec <id>`: returns the new registry entry. */
+  create(name: string, input: WorktreeCreateInput, opts: ApiOptions = {}): CawsResult<WorktreeListEntry> {
+    return capture(
+      (io) => runWorktreeCreateCommand({ name, ...input, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readWorktree(cawsDir, name))
+    );
+  },
+  /** `caws worktree bind <name> --spec <id>`: returns the rebound registry entry. */
+  bind(name: string, input: WorktreeBindInput, opts: ApiOptions = {}): CawsResult<WorktreeListEntry> {
+    return capture(
+      (io) => runWorktreeBindCommand({ name, ...input, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readWorktree(cawsDir, name))
+    );
+  },
+  /** `caws worktree destroy <name>`: returns the registry entry that was removed. */
+  destroy(name: string, input: WorktreeDestroyInput = {}, opts: ApiOptions = {}): CawsResult<WorktreeListEntry> {
+    const repo = resolveRepoRoot(opts.cwd ?? process.cwd());
+    const before = repo.ok ? readWorktree(repo.value.cawsDir, name) : null;
+    return capture(
+      (io) => runWorktreeDestroyCommand({ name, ...input, ...runOptions(opts), ...io }),
+      (_stdout, exitCode) => (exitCode === 0 ? before : null)
+    );
+  },
+  /** `caws worktree merge <name>`: returns the worktree_merged event it appended. */
+  merge(name: string, input: WorktreeMergeInput = {}, opts: ApiOptions = {}): CawsResult<WorktreeMergeReport> {
+    return capture(
+      (io) => runWorktreeMergeCommand({ name, ...input, ...runOptions(opts), ...io }),
+      afterSuccess(opts.cwd, (cawsDir) => readMergeEvent(cawsDir, name))
+    );
+  },
+} as const;
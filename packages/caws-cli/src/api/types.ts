@@ -0,0 +1,258 @@
+// Result and payload types for the programmatic API (CAWS-NODE-API-001).
+//
+// Every payload here is the shape a command already prints with --json (or,
+// for commands without a JSON mode, the store record the command just wrote).
+// The types name those shapes; they do not define new ones. A field added to
+// a command's --json output is an additive, minor change to this file; a
+// field removed or renamed is a breaking change and bumps API_VERSION.
+
+import type { Diagnostic, DoctorFinding, SessionIdentity, Spec, WorktreeMergeStrategy } from '../kernel';
+import type { DoctorRepairPlanItem } from '../shell/commands/doctor';
+import type { GateSummary } from '../shell/commands/gates';
+import type { ScopePlanPathResult, ScopePlanRemediationGroup } from '../shell/commands/scope';
+import type { ScopeDecisionJson } from '../shell/render/decision';
+import type { AcceptanceRunOutcome } from '../shell/specs/acceptance-runner';
+import type { StatusPanel } from '../shell/render/status';
+import type { SpecsListResult } from '../store/specs-writer';
+import type { WorktreeListEntry } from '../store/worktrees-writer';
+
+export type { ScopeDecisionJson, ScopePlanPathResult, ScopePlanRemediationGroup };
+export type { DoctorRepairPlanItem, GateSummary, SpecsListResult, WorktreeListEntry };
+export type { StatusPanel };
+
+/**
+ * What every API call returns. `exitCode` is the code the same `caws`
+ * invocation would have exited with, and `ok` is `exitCode === 0`. `data` is
+ * null when the command failed before producing its result (unknown spec,
+ * no repository, usage error); `stderr` then carries the same explanation the
+ * CLI prints. `stdout` is kept for callers that want the human text too.
+ */
+export interface CawsResult<T> {
+  readonly ok: boolean;
+  readonly exitCode: number;
+  readonly data: T | null;
+  readonly stdout: readonly string[];
+  readonly stderr: readonly string[];
+}
+
+export interface ApiOptions {
+  /** Directory to run in; any path inside the repository. Default process.cwd(). */
+  readonly cwd?: string;
+  /** Environment used for session resolution and git. Default process.env. */
+  readonly env?: NodeJS.ProcessEnv;
+}
+
+// ─── status ──────────────────────────────────────────────────────────────
+
+export interface SeverityCounts {
+  readonly errors: number;
+  readonly warnings: number;
+  readonly infos: number;
+}
+
+/** `caws status --json`. Panels not selected are absent. */
+export interface StatusReport {
+  readonly ok: true;
+  readonly read_only: boolean;
+  readonly panels: readonly StatusPanel[];
+  readonly specs?: {
+    readonly count: number;
+    readonly by_lifecycle: Readonly<Record<string, number>>;
+    readonly items: readonly {
+      readonly id: string;
+      readonly title: string;
+      readonly lifecycle_state: string;
+      readonly worktree?: string;
+    }[];
+  };
+  readonly worktrees?: {
+    readonly count: number;
+    readonly items: readonly {
+      readonly name: string;
+      readonly spec_id: string | undefined;
+      readonly path: string | undefined;
+      readonly owner?: SessionIdentity;
+    }[];
+  };
+  readonly agents?: {
+    readonly leases: {
+      readonly total: number;
+      readonly active: number;
+      readonly stale: number;
+      readonly stopped: number;
+    };
+    readonly self_session_id: string | null;
+  };
+  readonly doctor?: {
+    readonly counts: SeverityCounts;
+    readonly findings: readonly DoctorFinding[];
+  };
+}
+
+// ─── doctor ──────────────────────────────────────────────────────────────
+
+/** `caws doctor --repair-plan --json`: every finding with its repair route. */
+export interface DoctorReport {
+  readonly ok: boolean;
+  readonly dry_run: true;
+  readonly read_only: true;
+  readonly counts: {
+    readonly findings: number;
+    readonly errors: number;
+    readonly warnings: number;
+    readonly infos: number;
+    readonly load_errors: number;
+    readonly load_warnings: number;
+    readonly load_infos: number;
+  };
+  readonly counts_by_state: Readonly<Record<string, number>>;
+  readonly items: readonly DoctorRepairPlanItem[];
+  readonly load_diagnostics: readonly Diagnostic[];
+}
+
+// ─── scope ───────────────────────────────────────────────────────────────
+
+/** `caws scope plan --json`. */
+export interface ScopePlanReport {
+  readonly ok: true;
+  readonly read_only: true;
+  readonly count: number;
+  readonly counts: {
+    readonly admit: number;
+    readonly reject: number;
+    readonly no_authority: number;
+    readonly invalid_path: number;
+  };
+  readonly paths: readonly ScopePlanPathResult[];
+  readonly remediation_groups: readonly ScopePlanRemediationGroup[];
+}
+
+// ─── gates ───────────────────────────────────────────────────────────────
+
+/** `caws gates list --json`. */
+export interface GatesListReport {
+  readonly ok: true;
+  readonly read_only: true;
+  readonly spec_id: string | null;
+  readonly gate_count: number;
+  readonly gates: readonly GateSummary[];
+  readonly risk_tiers: Readonly<Record<string, unknown>>;
+  readonly budgets: Readonly<Record<string, unknown>>;
+  readonly waiver_policy: Readonly<Record<string, unknown>>;
+}
+
+/** `caws gates explain <gate> --json`. */
+export interface GatesExplainReport {
+  readonly ok: true;
+  readonly read_only: true;
+  readonly spec_id: string | null;
+  readonly gate: GateSummary;
+  readonly waiver_policy: Readonly<Record<string, unknown>>;
+}
+
+export interface GatesRunViolation {
+  readonly type: string | null;
+  readonly message: string | null;
+  readonly file: string | null;
+  readonly line: number | null;
+  readonly rule: string | null;
+}
+
+/** `caws gates run --format json`. */
+export interface GatesRunReport {
+  readonly ok: boolean;
+  readonly spec_id: string;
+  readonly generated_at: string;
+  readonly overall: 'ok' | 'blocked';
+  readonly diff_range: {
+    readonly base_ref: string;
+    readonly head_ref: string;
+    readonly base: string;
+    readonly head: string;
+  } | null;
+  readonly gates: readonly {
+    readonly gate_id: string;
+    readonly mode: string;
+    readonly outcome: string;
+    readonly blocks: boolean;
+    readonly violations: readonly GatesRunViolation[];
+    readonly waived: readonly (GatesRunViolation & { readonly waiver_ids: readonly string[] })[];
+  }[];
+  readonly unmatched_violations: readonly (GatesRunViolation & { readonly gate: string })[];
+  readonly warnings: readonly {
+    readonly gate: string | null;
+    readonly type: string | null;
+    readonly message: string | null;
+  }[];
+}
+
+// ─── specs ───────────────────────────────────────────────────────────────
+
+/** A spec as stored, with the file it was read from. */
+export interface SpecDocument {
+  readonly spec: Spec;
+  readonly path: string;
+}
+
+/** `caws specs create --plan --json`. */
+export interface SpecsCreatePlan {
+  readonly ok: true;
+  readonly dry_run: true;
+  readonly read_only: true;
+  readonly id: string;
+  readonly target_path: string;
+  readonly valid: boolean;
+  readonly would_write: boolean;
+  readonly missing_fields: readonly string[];
+  readonly field_examples: Readonly<Record<string, string>>;
+  readonly diagnostics: readonly Readonly<Record<string, unknown>>[];
+  readonly candidate: {
+    readonly title: string;
+    readonly mode: string;
+    readonly risk_tier: number;
+    readonly lifecycle_state: 'active' | 'draft';
+    readonly scope_in: readonly string[];
+    readonly acceptance: readonly Readonly<Record<string, string>>[];
+    readonly contracts: readonly Readonly<Record<string, string>>[];
+  };
+  readonly command: string;
+}
+
+/** `caws specs verify <id> --json`. */
+export interface SpecsVerifyReport {
+  readonly ok: boolean;
+  readonly spec_id: string;
+  readonly commit_sha: string | null;
+  /** Uncommitted changes outside .caws/ when the run started; commit_sha is then null. */
+  readonly dirty_tree: boolean;
+  readonly results: readonly {
+    readonly criterion_id: string;
+    readonly status: 'pass' | 'fail';
+    readonly outcome: AcceptanceRunOutcome;
+    readonly command: string;
+    readonly test_nodeids: readonly string[];
+    readonly exit_code: number | null;
+    readonly duration_ms: number;
+    readonly output_digest: string;
+    readonly recorded: boolean;
+  }[];
+  readonly skipped: readonly string[];
+}
+
+// ─── worktree ────────────────────────────────────────────────────────────
+
+/** The `worktree_merged` event a successful merge appended. */
+export interface WorktreeMergeReport {
+  readonly name: string;
+  readonly spec_id: string | null;
+  readonly merge_commit: string;
+  readonly base_branch: string;
+  /** `merge` for events written before merge strategies existed. */
+  readonly strategy: WorktreeMergeStrategy;
+  /** Commits that landed on the base, oldest first; empty on older events. */
+  readonly landed_commits: readonly string[];
+  /** Stacked worktrees the merge moved onto the base; empty when there were none. */
+  readonly retargeted_children: readonly string[];
+  readonly auto_closed_spec: boolean;
+  readonly spec_already_closed: boolean;
+}
@@ -21,8 +21,9 @@ import * as path from 'path';
  * block (older version) is detected and replaced in place.
  * v2: added `tmp/guard-strikes-*.json` (defense-in-depth for any legacy
  * guard-strike file that lands in a tracked `tmp/`;
- * CAWS-GUARD-STRIKE-FILE-OUT-OF-TREE-001). */
-export const GITIGNORE_BLOCK_VERSION = 2;
+ * CAWS-GUARD-STRIKE-FILE-OUT-OF-TREE-001).
+ * v3: added `.caws/keys/` (local event-signing private keys). */
+export const GITIGNORE_BLOCK_VERSION = 3;
 
 export const GITIGNORE_BEGIN_MARKER = `# >>> caws gitignore (managed, v${GITIGNORE_BLOCK_VERSION}) >>>`;
 export const GITIGNORE_END_MARKER = '# <<< caws gitignore <<<';
@@ -37,6 +38,9 @@ const BEGIN_MARKER_PREFIX = '# >>> caws gitignore (managed';
  *   - worktrees.json / worktrees/  : worktree registry + checkouts (per-CLI)
  *   - agents.json / leases/        : per-session lease cache (agent hooks)
  *   - events.jsonl[.lock]          : append-only event log (runtime)
+ *   - keys/                        : local event-signing private keys; the
+ *                                    public halves live in the TRACKED
+ *                                    trusted-keys.yaml
  *   - cache/ sessions/ state/      : runtime caches
  *   - duplication-cache.json       : god-object/duplication scan cache
  *   - tmp/guard-strikes-*.json     : scope-guard strike-state (defense-in-depth)
@@ -62,6 +66,7 @@ export const EPHEMERAL_CAWS_ENTRIES: readonly string[] = [
   '.caws/duplication-cache.json',
   '.caws/events.jsonl',
   '.caws/events.jsonl.lock',
+  '.caws/keys/',
   'tmp/guard-strikes-*.json',
 ];
 
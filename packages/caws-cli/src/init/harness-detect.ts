@@ -51,11 +51,23 @@ const SIGNALS: readonly SurfaceSignal[] = [
   },
   {
     surface: 'cursor',
-    markers: ['.cursor', '.cursor/settings.json', '.cursor/rules'],
+    markers: [
+      '.cursor',
+      '.cursor/settings.json',
+      '.cursor/rules',
+      '.cursor/hooks.json',
+      '.cursor/hooks',
+    ],
   },
   {
     surface: 'windsurf',
-    markers: ['.windsurf', '.windsurf/settings.json'],
+    markers: [
+      '.windsurf',
+      '.windsurf/settings.json',
+      '.windsurf/rules',
+      '.windsurf/hooks.json',
+      '.windsurf/hooks',
+    ],
   },
 ];
 
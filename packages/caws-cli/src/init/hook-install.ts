@@ -2552,3 +2552,386 @@ export function planQwenInstructionImport(
   }
   return { kind: 'merged', path: qwenMdPath, readOnly: true };
 }
+
+// ─── cursor / windsurf: repo-local hooks.json wiring ───
+//
+// Cursor (.cursor/hooks.json) and Windsurf (.windsurf/hooks.json) share one
+// config shape: `{"hooks": {"<event>": [{"command": ...}, ...]}}` — a flat
+// list of command entries per event, no matcher groups (Cursor additionally
+// requires a top-level `"version": 1`). Both files are repo-local, so the
+// wiring is merged in place (claude-code/zcode/qwen precedent) and no
+// consent flag is needed.
+//
+// Every entry invokes the pack's translating shim through an inline
+// git-root-resolving command (codex/kimi/qwen precedent); the shim is inert
+// outside CAWS repos. A CAWS-owned entry is any entry whose command names
+// the shim, so hand-pasted canonical entries count as wired.
+
+/** Per-surface description of a flat hooks.json file. */
+interface FlatHooksJsonSpec {
+  /** Path segments of the config file, relative to the repo root. */
+  readonly segments: readonly string[];
+  /** Top-level keys the file must carry besides `hooks`. */
+  readonly base: Readonly<Record<string, unknown>>;
+  /** Canonical CAWS entry per hook event. */
+  readonly entries: Readonly<Record<string, Record<string, unknown>>>;
+  /** Ownership marker: the shim path every CAWS entry's command contains. */
+  readonly shimTail: string;
+}
+
+function flatHooksShimCommand(shimRelPath: string, event: string): string {
+  return (
+    'ROOT="$(git rev-parse --show-toplevel 2>/dev/null || pwd -P)"; ' +
+    `test -x "$ROOT/${shimRelPath}" && ` +
+    `"$ROOT/${shimRelPath}" ${event} || true`
+  );
+}
+
+function canonicalFlatHooksObject(
+  spec: FlatHooksJsonSpec
+): Record<string, unknown> {
+  const hooks: Record<string, unknown[]> = {};
+  for (const [key, entry] of Object.entries(spec.entries)) {
+    hooks[key] = [entry];
+  }
+  return { ...spec.base, hooks };
+}
+
+function isCawsFlatHookEntry(spec: FlatHooksJsonSpec, entry: unknown): boolean {
+  if (!entry || typeof entry !== 'object') return false;
+  const cmd = (entry as { command?: unknown }).command;
+  return typeof cmd === 'string' && cmd.includes(spec.shimTail);
+}
+
+type FlatHooksParse =
+  | { readonly ok: true; readonly root: Record<string, unknown> }
+  | { readonly ok: false; readonly error: string };
+
+function readFlatHooksJson(filePath: string): FlatHooksParse {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return { ok: false, error: (e as Error).message };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { ok: false, error: 'hooks.json root is not an object' };
+  }
+  return { ok: true, root: parsed as Record<string, unknown> };
+}
+
+/** Apply the canonical entries to a parsed hooks.json root, in memory.
+ *  Returns the added / repaired event keys and whether a required base key
+ *  (e.g. Cursor's `version`) had to be filled in. User-authored entries are
+ *  never touched; a stale CAWS entry is replaced in place. */
+function applyFlatHooksEntries(
+  spec: FlatHooksJsonSpec,
+  root: Record<string, unknown>
+): { added: string[]; repaired: string[]; baseFilled: boolean } {
+  let baseFilled = false;
+  for (const [key, value] of Object.entries(spec.base)) {
+    if (!(key in root)) {
+      root[key] = value;
+      baseFilled = true;
+    }
+  }
+  const hooks: Record<string, unknown> =
+    root.hooks && typeof root.hooks === 'object' && !Array.isArray(root.hooks)
+      ? (root.hooks as Record<string, unknown>)
+      : {};
+
+  const added: string[] = [];
+  const repaired: string[] = [];
+  for (const [key, entry] of Object.entries(spec.entries)) {
+    const existing = hooks[key];
+    if (Array.isArray(existing)) {
+      const entryArray = existing as unknown[];
+      let sawCawsEntry = false;
+      for (let i = 0; i < entryArray.length; i += 1) {
+        if (!isCawsFlatHookEntry(spec, entryArray[i])) continue;
+        sawCawsEntry = true;
+        if (JSON.stringify(entryArray[i]) !== JSON.stringify(entry)) {
+          entryArray[i] = entry;
+          if (!repaired.includes(key)) repaired.push(key);
+        }
+      }
+      if (sawCawsEntry) continue;
+      entryArray.push(entry);
+    } else {
+      hooks[key] = [entry];
+    }
+    added.push(key);
+  }
+  root.hooks = hooks;
+  return { added, repaired, baseFilled };
+}
+
+/** Merge (or, with `write: false`, plan) the canonical wiring into a flat
+ *  hooks.json. Never overwrites an unparseable file; idempotent — a second
+ *  run on a fully-wired file leaves it byte-identical. */
+function mergeFlatHooksJson(
+  repoRoot: string,
+  spec: FlatHooksJsonSpec,
+  write: boolean
+): SettingsMergeResult {
+  const filePath = path.join(repoRoot, ...spec.segments);
+
+  if (!fs.existsSync(filePath)) {
+    if (write) {
+      ensureDir(path.dirname(filePath));
+      fs.writeFileSync(
+        filePath,
+        `${JSON.stringify(canonicalFlatHooksObject(spec), null, 2)}\n`,
+        'utf8'
+      );
+    }
+    return { kind: 'created', path: filePath };
+  }
+
+  const read = readFlatHooksJson(filePath);
+  if (!read.ok) {
+    return { kind: 'invalid', path: filePath, error: read.error };
+  }
+
+  const { added, repaired, baseFilled } = applyFlatHooksEntries(
+    spec,
+    read.root
+  );
+  if (added.length === 0 && repaired.length === 0 && !baseFilled) {
+    return { kind: 'unchanged', path: filePath };
+  }
+
+  if (write) {
+    fs.writeFileSync(
+      filePath,
+      `${JSON.stringify(read.root, null, 2)}\n`,
+      'utf8'
+    );
+  }
+  return {
+    kind: 'merged',
+    path: filePath,
+    added,
+    ...(repaired.length > 0 ? { repaired } : {}),
+  };
+}
+
+function inspectFlatHooksJson(
+  repoRoot: string,
+  spec: FlatHooksJsonSpec
+): SettingsWiringStatus {
+  const filePath = path.join(repoRoot, ...spec.segments);
+  if (!fs.existsSync(filePath)) {
+    return { kind: 'absent' };
+  }
+  const read = readFlatHooksJson(filePath);
+  if (!read.ok) {
+    return { kind: 'invalid', error: read.error };
+  }
+  const hooks = read.root.hooks;
+  const required = Object.keys(spec.entries);
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    return { kind: 'partial', missing: required };
+  }
+  const missing = required.filter((key) => {
+    const entry = (hooks as Record<string, unknown>)[key];
+    return !(
+      Array.isArray(entry) &&
+      entry.some((e: unknown) => isCawsFlatHookEntry(spec, e))
+    );
+  });
+  if (missing.length === 0) return { kind: 'wired' };
+  return { kind: 'partial', missing };
+}
+
+function flatHooksExamplePath(
+  repoRoot: string,
+  spec: FlatHooksJsonSpec
+): string {
+  const segments = [...spec.segments];
+  segments[segments.length - 1] = `${segments[segments.length - 1]}.example`;
+  return path.join(repoRoot, ...segments);
+}
+
+function writeFlatHooksExample(
+  repoRoot: string,
+  spec: FlatHooksJsonSpec
+): string {
+  const examplePath = flatHooksExamplePath(repoRoot, spec);
+  ensureDir(path.dirname(examplePath));
+  fs.writeFileSync(
+    examplePath,
+    `${JSON.stringify(canonicalFlatHooksObject(spec), null, 2)}\n`,
+    'utf8'
+  );
+  return examplePath;
+}
+
+function planFlatHooksExample(
+  repoRoot: string,
+  spec: FlatHooksJsonSpec
+): SettingsExamplePlanResult {
+  const examplePath = flatHooksExamplePath(repoRoot, spec);
+  const desired = `${JSON.stringify(canonicalFlatHooksObject(spec), null, 2)}\n`;
+  let existing: string | null = null;
+  try {
+    existing = fs.readFileSync(examplePath, 'utf8');
+  } catch {
+    existing = null;
+  }
+  return {
+    path: examplePath,
+    action:
+      existing === null
+        ? 'would_create'
+        : existing === desired
+          ? 'unchanged'
+          : 'would_update',
+    readOnly: true,
+  };
+}
+
+// ── cursor ──
+
+const CURSOR_SHIM_PATH = '.cursor/hooks/caws-cursor-hook.sh';
+
+/** The canonical CAWS wiring for Cursor's .cursor/hooks.json, one entry per
+ *  event the shim translates. Cursor has no pre-edit hook, so file guards
+ *  ride on afterFileEdit (detect only — see manifest-cursor.ts). */
+export const CANONICAL_CURSOR_HOOK_ENTRIES: Readonly<
+  Record<string, Record<string, unknown>>
+> = {
+  beforeShellExecution: {
+    command: flatHooksShimCommand(CURSOR_SHIM_PATH, 'beforeShellExecution'),
+  },
+  afterFileEdit: {
+    command: flatHooksShimCommand(CURSOR_SHIM_PATH, 'afterFileEdit'),
+  },
+  beforeSubmitPrompt: {
+    command: flatHooksShimCommand(CURSOR_SHIM_PATH, 'beforeSubmitPrompt'),
+  },
+  stop: {
+    command: flatHooksShimCommand(CURSOR_SHIM_PATH, 'stop'),
+  },
+};
+
+const CURSOR_HOOKS_SPEC: FlatHooksJsonSpec = {
+  segments: ['.cursor', 'hooks.json'],
+  base: { version: 1 },
+  entries: CANONICAL_CURSOR_HOOK_ENTRIES,
+  shimTail: `/${CURSOR_SHIM_PATH}`,
+};
+
+/** Canonical .cursor/hooks.json snippet, ready to print or copy. */
+export const CANONICAL_CURSOR_HOOKS_SNIPPET = JSON.stringify(
+  canonicalFlatHooksObject(CURSOR_HOOKS_SPEC),
+  null,
+  2
+);
+
+/** Merge the canonical CAWS wiring into `.cursor/hooks.json`,
+ *  non-destructively: CAWS entries are appended when missing, stale CAWS
+ *  entries are repaired in place, and user-authored hooks are preserved.
+ *  An unparseable file is reported as `invalid` and left untouched. */
+export function mergeCursorHooks(repoRoot: string): SettingsMergeResult {
+  return mergeFlatHooksJson(repoRoot, CURSOR_HOOKS_SPEC, true);
+}
+
+/** Read-only counterpart to mergeCursorHooks. */
+export function planCursorHooksMerge(repoRoot: string): SettingsMergePlanResult {
+  return {
+    ...mergeFlatHooksJson(repoRoot, CURSOR_HOOKS_SPEC, false),
+    readOnly: true,
+  };
+}
+
+/** Inspect the CAWS wiring state of `.cursor/hooks.json` without changing
+ *  it. The CAWS marker is the shim path. */
+export function inspectCursorHooks(repoRoot: string): SettingsWiringStatus {
+  return inspectFlatHooksJson(repoRoot, CURSOR_HOOKS_SPEC);
+}
+
+/** Write `.cursor/hooks.json.example` with the canonical CAWS wiring.
+ *  Idempotent. Reference artifact for hand-wiring or recovery. */
+export function writeCursorHooksExample(repoRoot: string): string {
+  return writeFlatHooksExample(repoRoot, CURSOR_HOOKS_SPEC);
+}
+
+/** Read-only counterpart to writeCursorHooksExample. */
+export function planCursorHooksExample(
+  repoRoot: string
+): SettingsExamplePlanResult {
+  return planFlatHooksExample(repoRoot, CURSOR_HOOKS_SPEC);
+}
+
+// ── windsurf ──
+
+const WINDSURF_SHIM_PATH = '.windsurf/hooks/caws-windsurf-hook.sh';
+
+function windsurfHookEntry(action: string): Record<string, unknown> {
+  return {
+    command: flatHooksShimCommand(WINDSURF_SHIM_PATH, action),
+    show_output: true,
+  };
+}
+
+/** The canonical CAWS wiring for Windsurf's .windsurf/hooks.json, one entry
+ *  per Cascade action the shim translates. pre_* entries block with exit 2. */
+export const CANONICAL_WINDSURF_HOOK_ENTRIES: Readonly<
+  Record<string, Record<string, unknown>>
+> = {
+  pre_run_command: windsurfHookEntry('pre_run_command'),
+  pre_write_code: windsurfHookEntry('pre_write_code'),
+  post_run_command: windsurfHookEntry('post_run_command'),
+  post_write_code: windsurfHookEntry('post_write_code'),
+  pre_user_prompt: windsurfHookEntry('pre_user_prompt'),
+  post_cascade_response: windsurfHookEntry('post_cascade_response'),
+};
+
+const WINDSURF_HOOKS_SPEC: FlatHooksJsonSpec = {
+  segments: ['.windsurf', 'hooks.json'],
+  base: {},
+  entries: CANONICAL_WINDSURF_HOOK_ENTRIES,
+  shimTail: `/${WINDSURF_SHIM_PATH}`,
+};
+
+/** Canonical .windsurf/hooks.json snippet, ready to print or copy. */
+export const CANONICAL_WINDSURF_HOOKS_SNIPPET = JSON.stringify(
+  canonicalFlatHooksObject(WINDSURF_HOOKS_SPEC),
+  null,
+  2
+);
+
+/** Merge the canonical CAWS wiring into `.windsurf/hooks.json`; same
+ *  contract as mergeCursorHooks. */
+export function mergeWindsurfHooks(repoRoot: string): SettingsMergeResult {
+  return mergeFlatHooksJson(repoRoot, WINDSURF_HOOKS_SPEC, true);
+}
+
+/** Read-only counterpart to mergeWindsurfHooks. */
+export function planWindsurfHooksMerge(
+  repoRoot: string
+): SettingsMergePlanResult {
+  return {
+    ...mergeFlatHooksJson(repoRoot, WINDSURF_HOOKS_SPEC, false),
+    readOnly: true,
+  };
+}
+
+/** Inspect the CAWS wiring state of `.windsurf/hooks.json` without
+ *  changing it. */
+export function inspectWindsurfHooks(repoRoot: string): SettingsWiringStatus {
+  return inspectFlatHooksJson(repoRoot, WINDSURF_HOOKS_SPEC);
+}
+
+/** Write `.windsurf/hooks.json.example` with the canonical CAWS wiring. */
+export function writeWindsurfHooksExample(repoRoot: string): string {
+  return writeFlatHooksExample(repoRoot, WINDSURF_HOOKS_SPEC);
+}
+
+/** Read-only counterpart to writeWindsurfHooksExample. */
+export function planWindsurfHooksExample(
+  repoRoot: string
+): SettingsExamplePlanResult {
+  return planFlatHooksExample(repoRoot, WINDSURF_HOOKS_SPEC);
+}
@@ -0,0 +1,98 @@
+// Cursor hook pack manifest.
+//
+// Cursor reads hook config from the repo-local .cursor/hooks.json
+// ({"version": 1, "hooks": {"<event>": [{"command": ...}]}}). The wiring is
+// merged in place by hook-install.ts — mergeCursorHooks — and a
+// hooks.json.example reference is always written (claude-code/zcode/qwen
+// precedent). No consent flag is needed because the write stays inside the
+// repo.
+//
+// Cursor's payload is not Claude-shaped (conversation_id, workspace_roots,
+// per-event fields such as command/cwd or file_path/edits) and its response
+// contract is {"permission": "allow"|"deny"|"ask", userMessage, agentMessage}
+// rather than exit codes or permissionDecision envelopes. So every hooks.json
+// entry invokes a TRANSLATING shim (hooks/caws-cursor-hook.sh): it resolves
+// the git root at invocation time (codex/kimi/qwen precedent), re-shapes the
+// payload into the envelope the shared parser reads, runs the shared
+// dispatcher, and folds the verdict back into Cursor's response (zcode
+// precedent: the bridge owns the output contract). No vendor lib overrides
+// are needed because the shim hands the shared core canonical tool names.
+//
+// Enforcement gap, stated plainly: Cursor exposes beforeShellExecution but no
+// hook before a file edit, only afterFileEdit. The Bash chain
+// (block-dangerous, bash-write-guard, worktree-guard, ...) is enforced; the
+// file guards (scope-guard, worktree-write-guard) run on afterFileEdit and
+// can only detect and log an out-of-scope edit after it landed. The doctrine
+// rule says so, and `caws gates run` remains the commit-time backstop.
+//
+// The hook contract above is taken from Cursor's hooks documentation, not a
+// live probe; the shim fails open on any payload it cannot translate.
+//
+// Doctrine landing: .cursor/rules/caws-hooks.mdc, an always-applied project
+// rule (alwaysApply: true), which Cursor loads into every conversation with
+// no import line to maintain.
+
+import type { HookPackV1 } from './types';
+
+export const CURSOR_PACK_VERSION = 1;
+
+export const CURSOR_PACK: HookPackV1 = {
+  id: 'cursor',
+  targetSurface: 'cursor',
+  packVersion: CURSOR_PACK_VERSION,
+  cawsMinMajor: 11,
+  summary:
+    'Cursor vendor adapter: translating hook shim and always-applied ' +
+    'doctrine rule. Shared hook logic is in the `shared` pack under ' +
+    '.caws/hooks/. Repo-local .cursor/hooks.json wiring is merged ' +
+    'separately by init.',
+  // .cursor/hooks.json is read when the workspace opens: reload the window.
+  activation: 'restart_required',
+  // pre_write/pre_edit are deliberately absent: Cursor fires afterFileEdit
+  // only, so the file guards detect rather than prevent on this surface.
+  lifecycleEvents: ['pre_bash', 'session_start', 'stop'],
+  stateModel: {
+    reads: [
+      '.caws/specs/*.yaml',
+      '.caws/worktrees.json',
+      '.caws/agents.json',
+      '.caws/leases/',
+      '.caws/policy.yaml',
+      'package.json',
+    ],
+    writes: [
+      '.cursor/logs/audit.log',
+      '.cursor/logs/session-*.log',
+      '.cursor/hooks/state/danger-latch-*.json',
+      '.cursor/hooks/state/guard-strikes-*.json',
+      '.cursor/hooks/state/guard-reprieve-*.json',
+      '.cursor/hooks/state/session-started-*',
+      '.caws/leases/',
+      '.caws/sessions/<session-id>/',
+      '.caws/sessions/.caller-session.json',
+    ],
+  },
+  lineageRefs: [1, 4, 6, 8, 11, 12, 13, 16, 17, 19, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+
+  // Vendor-adapter files only. sourcePath is relative to the pack root
+  // (packages/caws-cli/templates/hook-packs/cursor/).
+  // All shared hook files are installed by the `shared` pack; they are
+  // NOT duplicated here.
+  installedFiles: [
+    // -- The translating shim every .cursor/hooks.json entry invokes --
+    {
+      destPath: '.cursor/hooks/caws-cursor-hook.sh',
+      sourcePath: 'hooks/caws-cursor-hook.sh',
+      executable: true,
+      managed: true,
+    },
+
+    // -- Agent doctrine for cursor (always-applied project rule) --
+    {
+      destPath: '.cursor/rules/caws-hooks.mdc',
+      sourcePath: 'rules/caws-hooks.mdc',
+      executable: false,
+      managed: true,
+    },
+  ],
+};
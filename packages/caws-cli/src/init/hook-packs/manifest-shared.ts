@@ -303,7 +303,12 @@ import type { HookPackV1 } from './types';
 // protocol treats ONLY exit 2 as a block, so a Write/Edit to a guard script
 // proceeded despite the "BLOCKED" diagnostic. Both branches now exit 2,
 // consistent with the sibling missing-lib and strike-state branches.
-export const SHARED_PACK_VERSION = 43;
+// Version 44: cursor and windsurf vendor packs. agent-surface.sh's cursor
+// and windsurf arms existed as placeholders; both now opt out of
+// updatedInput (neither hook contract can rewrite a command), and windsurf
+// moves to the deny vocabulary because Cascade's only block primitive is
+// exit 2 — it has no "ask". The SURFACES doc block describes both adapters.
+export const SHARED_PACK_VERSION = 44;
 
 export const SHARED_PACK: HookPackV1 = {
   // 'shared' is the canonical pack identity for the shared hook core.
@@ -0,0 +1,92 @@
+// Windsurf hook pack manifest.
+//
+// Windsurf reads Cascade hook config from the repo-local .windsurf/hooks.json
+// ({"hooks": {"<action>": [{"command": ..., "show_output": true}]}}). The
+// wiring is merged in place by hook-install.ts — mergeWindsurfHooks — and a
+// hooks.json.example reference is always written (claude-code/zcode/qwen
+// precedent). No consent flag is needed because the write stays inside the
+// repo.
+//
+// Cascade's payload is not Claude-shaped ({agent_action_name, trajectory_id,
+// execution_id, timestamp, tool_info}), and its only block primitive on a
+// pre_* hook is exit 2 with the reason on stderr. So every hooks.json entry
+// invokes a TRANSLATING shim (hooks/caws-windsurf-hook.sh): it resolves the
+// git root at invocation time (codex/kimi/qwen precedent), re-shapes
+// tool_info into the envelope the shared parser reads, runs the shared
+// dispatcher, and turns any refusal into exit 2. Cascade has no "ask", so
+// agent-surface.sh maps windsurf to the deny vocabulary (codex/kimi
+// precedent) and the shim degrades a stray ask to a block as well.
+//
+// Unlike cursor, Cascade fires pre_write_code BEFORE an edit lands, so the
+// file guards (scope-guard, worktree-write-guard, protected-paths,
+// scan-secrets) are enforced on this surface, not merely detected.
+//
+// The hook contract above is taken from the Cascade hooks documentation, not
+// a live probe; the shim fails open on any payload it cannot translate.
+//
+// Doctrine landing: .windsurf/rules/caws-hooks.md, an always-on workspace
+// rule (trigger: always_on), which Cascade loads into every conversation
+// with no import line to maintain.
+
+import type { HookPackV1 } from './types';
+
+export const WINDSURF_PACK_VERSION = 1;
+
+export const WINDSURF_PACK: HookPackV1 = {
+  id: 'windsurf',
+  targetSurface: 'windsurf',
+  packVersion: WINDSURF_PACK_VERSION,
+  cawsMinMajor: 11,
+  summary:
+    'Windsurf vendor adapter: translating Cascade hook shim and always-on ' +
+    'doctrine rule. Shared hook logic is in the `shared` pack under ' +
+    '.caws/hooks/. Repo-local .windsurf/hooks.json wiring is merged ' +
+    'separately by init.',
+  // .windsurf/hooks.json is read when the workspace opens: reload the window.
+  activation: 'restart_required',
+  lifecycleEvents: ['pre_bash', 'pre_write', 'pre_edit', 'session_start', 'stop'],
+  stateModel: {
+    reads: [
+      '.caws/specs/*.yaml',
+      '.caws/worktrees.json',
+      '.caws/agents.json',
+      '.caws/leases/',
+      '.caws/policy.yaml',
+      'package.json',
+    ],
+    writes: [
+      '.windsurf/logs/audit.log',
+      '.windsurf/logs/session-*.log',
+      '.windsurf/hooks/state/danger-latch-*.json',
+      '.windsurf/hooks/state/guard-strikes-*.json',
+      '.windsurf/hooks/state/guard-reprieve-*.json',
+      '.windsurf/hooks/state/session-started-*',
+      '.caws/leases/',
+      '.caws/sessions/<session-id>/',
+      '.caws/sessions/.caller-session.json',
+    ],
+  },
+  lineageRefs: [1, 4, 6, 8, 11, 12, 13, 16, 17, 19, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+
+  // Vendor-adapter files only. sourcePath is relative to the pack root
+  // (packages/caws-cli/templates/hook-packs/windsurf/).
+  // All shared hook files are installed by the `shared` pack; they are
+  // NOT duplicated here.
+  installedFiles: [
+    // -- The translating shim every .windsurf/hooks.json entry invokes --
+    {
+      destPath: '.windsurf/hooks/caws-windsurf-hook.sh',
+      sourcePath: 'hooks/caws-windsurf-hook.sh',
+      executable: true,
+      managed: true,
+    },
+
+    // -- Agent doctrine for windsurf (always-on workspace rule) --
+    {
+      destPath: '.windsurf/rules/caws-hooks.md',
+      sourcePath: 'rules/caws-hooks.md',
+      executable: false,
+      managed: true,
+    },
+  ],
+};
@@ -1,17 +1,19 @@
 // Pack registry. Maps `--agent-surface <id>` to a `HookPackV1` manifest.
 //
 // The implemented packs are `claude-code`, `codex`, `opencode`, `zcode`,
-// `kimi-code`, and `qwen-code`. `cursor` and `windsurf` are recognized as
-// values but resolution returns a "declared but not implemented" diagnostic —
-// the abstraction is in place so adding a new pack is purely additive (drop a
+// `kimi-code`, `qwen-code`, `cursor`, and `windsurf`. A surface that is
+// recognized as a value but has no manifest yet resolves to a "declared but
+// not implemented" diagnostic — adding a new pack is purely additive (drop a
 // manifest, register it here).
 
 import type { AgentSurface, HookPackV1 } from './types';
 import { CLAUDE_CODE_PACK } from './manifest-claude-code';
 import { CODEX_PACK } from './manifest-codex';
+import { CURSOR_PACK } from './manifest-cursor';
 import { KIMI_CODE_PACK } from './manifest-kimi-code';
 import { OPENCODE_PACK } from './manifest-opencode';
 import { QWEN_CODE_PACK } from './manifest-qwen-code';
+import { WINDSURF_PACK } from './manifest-windsurf';
 import { ZCODE_PACK } from './manifest-zcode';
 
 export type PackResolution =
@@ -45,7 +47,14 @@ export function resolveHookPack(surface: AgentSurface): PackResolution {
   if (surface === 'qwen-code') {
     return { kind: 'pack', pack: QWEN_CODE_PACK };
   }
-  // cursor / windsurf: recognized but not yet implemented.
+  if (surface === 'cursor') {
+    return { kind: 'pack', pack: CURSOR_PACK };
+  }
+  if (surface === 'windsurf') {
+    return { kind: 'pack', pack: WINDSURF_PACK };
+  }
+  // Every known surface has a pack today; kept for surfaces added to
+  // AgentSurface ahead of their manifest.
   return { kind: 'declared_not_implemented', surface };
 }
 
@@ -71,6 +80,8 @@ export const IMPLEMENTED_SURFACES: readonly AgentSurface[] = [
   'zcode',
   'kimi-code',
   'qwen-code',
+  'cursor',
+  'windsurf',
 ];
 
 export function isKnownSurface(value: string): value is AgentSurface {
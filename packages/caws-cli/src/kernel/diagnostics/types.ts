@@ -17,6 +17,7 @@ export type Authority =
   | 'kernel/evidence'
   | 'kernel/worktree'
   | 'kernel/waiver'
+  | 'kernel/messages'
   | 'kernel/lifecycle'
   | 'kernel/diagnostics';
 
@@ -7,6 +7,7 @@ export type {
   FindingSeverity,
   GitWorktreeEntry,
   TemplateCheck,
+  WorktreeCollision,
 } from './types';
 
 export { DOCTOR_RULES, DOCTOR_RULE_PREFIXES } from './rules';
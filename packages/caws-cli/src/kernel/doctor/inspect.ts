@@ -5,13 +5,18 @@
 // rules already enforced by spec, policy, scope, evidence, or worktree.
 
 import type { Diagnostic } from '../diagnostics/types';
+import { eventRotationDue, formatEventRotationReasons } from '../evidence/rotation';
+import { unsignedEventsAfter } from '../evidence/signature';
 import { verifyChain } from '../evidence/verify';
 import { CRITICAL_GATES, RISKY_ROOT_FILES } from '../policy/rules';
+import { matchGlob } from '../scope/match';
 import { waiverEffectiveness } from '../waiver/applicability';
+import { deriveWaiverUsage, waiverUses } from '../waiver/usage';
 import { deriveBindingState } from '../worktree/binding';
 import { isStaleByTTL } from '../worktree/freshness';
 import type { AgentLease } from '../worktree/leases';
 import { isErr } from '../result/construct';
+import { analyzeSpecGraph } from '../spec/graph';
 import { DOCTOR_RULES } from './rules';
 import type {
   DoctorFinding,
@@ -231,6 +236,63 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
     );
   }
 
+  // -------------------------------------------------------------------------
+  // 1b. Spec graph: cycles, dangling references, contradictory supersession.
+  //
+  // Dangling edges need the archive's ids (a reference to an archived spec
+  // resolves); when the store did not observe them the kernel skips that
+  // rule rather than reporting every archived target as missing.
+  // -------------------------------------------------------------------------
+
+  const graph = analyzeSpecGraph({
+    specs,
+    ...(input.archivedSpecIds !== undefined ? { archivedIds: input.archivedSpecIds } : {}),
+  });
+  for (const cycle of graph.cycles) {
+    findings.push(
+      finding(
+        DOCTOR_RULES.SPEC_GRAPH_CYCLE,
+        'error',
+        `Specs ${cycle.join(', ')} form a cycle through successors/supersession — none of them can come first.`,
+        {
+          subject: cycle[0] as string,
+          narrowRepair:
+            'Run `caws specs graph` to see the cycle, then remove the successor or supersedes/superseded_by reference that points backwards.',
+          data: { spec_ids: cycle },
+        }
+      )
+    );
+  }
+  for (const edge of graph.dangling) {
+    findings.push(
+      finding(
+        DOCTOR_RULES.SPEC_GRAPH_DANGLING_EDGE,
+        'warning',
+        `${edge.from}${edge.pointer.replace(/\//g, '.').replace(/\.(\d+)/g, '[$1]')} names "${edge.to}", which is neither a live nor an archived spec.`,
+        {
+          subject: edge.from,
+          narrowRepair: `Correct the id in ${edge.from} or recover the missing spec (\`caws specs recover ${edge.to}\`).`,
+          data: { from: edge.from, to: edge.to, kind: edge.kind, pointer: edge.pointer },
+        }
+      )
+    );
+  }
+  for (const c of graph.contradictions) {
+    const message =
+      c.kind === 'supersedes_and_superseded_by_same'
+        ? `${c.spec_id} names ${c.other_id} as both supersedes and superseded_by.`
+        : c.kind === 'superseded_by_disagrees'
+          ? `${c.spec_id} says it is superseded by ${c.other_id}, but ${c.other_id} says it supersedes ${c.other_declares}.`
+          : `${c.spec_id} says it supersedes ${c.other_id}, but ${c.other_id} says it is superseded by ${c.other_declares}.`;
+    findings.push(
+      finding(DOCTOR_RULES.SPEC_GRAPH_CONTRADICTION, 'error', message, {
+        subject: c.spec_id,
+        narrowRepair: `Decide which spec replaced which and make ${c.spec_id} and ${c.other_id} agree.`,
+        data: { ...c },
+      })
+    );
+  }
+
   // -------------------------------------------------------------------------
   // 2. Binding integrity (one-sided, registry-missing-spec,
   //    spec-missing-registry).
@@ -717,6 +779,34 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
     );
   }
 
+  // -------------------------------------------------------------------------
+  // 2g. Predicted collisions between worktree lanes.
+  //
+  //     One warning per pair of lanes the store found will not merge with
+  //     each other. Skipped when the store did not observe collisions.
+  // -------------------------------------------------------------------------
+
+  for (const collision of input.worktreeCollisions ?? []) {
+    const shown = collision.paths.slice(0, 3).join(', ');
+    const more = collision.paths.length > 3 ? ` (+${collision.paths.length - 3} more)` : '';
+    findings.push(
+      finding(
+        DOCTOR_RULES.WORKTREE_PREDICTED_COLLISION,
+        'warning',
+        `Worktrees "${collision.left}" and "${collision.right}" will collide on ${collision.baseBranch}: ${collision.paths.length} conflicting path(s): ${shown}${more}.`,
+        {
+          subject: `${collision.left}+${collision.right}`,
+          narrowRepair: `Run \`caws worktree conflicts --name ${collision.left}\` for the hunks; land one lane first and sync the other, or narrow their scopes.`,
+          data: {
+            worktree_names: [collision.left, collision.right],
+            base_branch: collision.baseBranch,
+            paths: collision.paths,
+          },
+        }
+      )
+    );
+  }
+
   // -------------------------------------------------------------------------
   // 3. Agent freshness — deliberately absent.
   //
@@ -899,6 +989,54 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
     }
   }
 
+  const requiredAfter = input.policy?.events?.signatures?.required_after;
+  if (input.events && input.events.length > 0 && requiredAfter !== undefined) {
+    const unsigned = unsignedEventsAfter(input.events, requiredAfter);
+    if (unsigned.length > 0) {
+      const seqs = unsigned.map((ev) => ev.seq);
+      findings.push(
+        finding(
+          DOCTOR_RULES.EVENT_UNSIGNED_AFTER_CUTOFF,
+          'error',
+          `${unsigned.length} event(s) at or after the signature cutoff ${requiredAfter} are unsigned; first seq ${seqs[0]}.`,
+          {
+            subject: '.caws/events.jsonl',
+            narrowRepair:
+              'Events are append-only and cannot be re-signed. Create a local key (caws events keygen --trust) so new events are signed, and audit who wrote the unsigned ones.',
+            data: { required_after: requiredAfter, unsigned_count: unsigned.length, seqs },
+          }
+        )
+      );
+    }
+  }
+
+  const rotationPolicy = input.policy?.events?.rotation;
+  if (input.events && input.events.length > 0 && rotationPolicy !== undefined) {
+    // An unobserved size checks max_lines only.
+    const bytes = input.filesystem?.eventsJsonlBytes;
+    const rotation = eventRotationDue(
+      bytes !== undefined
+        ? rotationPolicy
+        : { ...(rotationPolicy.max_lines !== undefined ? { max_lines: rotationPolicy.max_lines } : {}) },
+      { bytes: bytes ?? 0, lines: input.events.length }
+    );
+    if (rotation.due) {
+      findings.push(
+        finding(
+          DOCTOR_RULES.EVENT_ROTATION_DUE,
+          'warning',
+          `Event log rotation is due under policy events.rotation: ${formatEventRotationReasons(rotation.reasons)}.`,
+          {
+            subject: '.caws/events.jsonl',
+            narrowRepair:
+              'Run `caws events rotate --auto` to archive the verified chain and prune archives beyond events.rotation.retain_archives.',
+            data: { reasons: rotation.reasons },
+          }
+        )
+      );
+    }
+  }
+
   // -------------------------------------------------------------------------
   // 6. Policy.
   // -------------------------------------------------------------------------
@@ -966,8 +1104,19 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
   //   doctor.waiver.revoked_referenced — gate_evaluated.data.waiver_ids
   //                                      contains an id whose current
   //                                      record is status='revoked'.
+  //   doctor.waiver.paths_match_nothing — an effective waiver's
+  //                                      scope.paths globs match no
+  //                                      tracked file, warning.
+  //   doctor.waiver.max_uses_reached   — an active, unexpired waiver's
+  //                                      recorded uses are at or over
+  //                                      constraints.max_uses, warning.
+  //
+  // The usage ledger is the store's (every chain segment) when supplied,
+  // else derived from the live chain in `events`.
   // -------------------------------------------------------------------------
 
+  const waiverUsage = input.waiverUsage ?? deriveWaiverUsage(input.events ?? []);
+
   if (input.waivers && input.waivers.length > 0) {
     const policyGateIds: Set<string> | undefined = input.policy
       ? new Set(Object.keys(input.policy.gates))
@@ -1117,6 +1266,73 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
     }
   }
 
+  // 8e. paths_match_nothing — effective waivers whose path globs match no
+  //     tracked file. Only effective waivers are checked: an expired or
+  //     revoked waiver already has its own finding (or none), and a dead
+  //     glob on it changes nothing. Skipped when trackedPaths was not
+  //     observed.
+  if (input.trackedPaths !== undefined && input.waivers !== undefined) {
+    const tracked = input.trackedPaths;
+    for (const w of input.waivers) {
+      const globs = w.scope?.paths;
+      if (globs === undefined) continue;
+      if (waiverEffectiveness(w, now, waiverUsage) !== 'active') continue;
+      const dead = globs.filter(
+        (g) => !tracked.some((p) => matchGlob(p, [g]) !== null)
+      );
+      if (dead.length === 0) continue;
+      const allDead = dead.length === globs.length;
+      findings.push(
+        finding(
+          DOCTOR_RULES.WAIVER_PATHS_MATCH_NOTHING,
+          'warning',
+          allDead
+            ? `Waiver ${w.id} is path-scoped but none of its globs [${dead.join(', ')}] match a tracked file — it forgives nothing.`
+            : `Waiver ${w.id} has path globs that match no tracked file: [${dead.join(', ')}].`,
+          {
+            subject: w.id,
+            narrowRepair: allDead
+              ? `Correct the globs in .caws/waivers/${w.id}.yaml, or \`caws waiver revoke ${w.id}\` if the exception is no longer needed.`
+              : `Remove or correct the dead globs in .caws/waivers/${w.id}.yaml.`,
+            data: {
+              waiver_id: w.id,
+              dead_paths: dead,
+              all_paths_dead: allDead,
+            },
+          }
+        )
+      );
+    }
+  }
+
+  // 8f. max_uses_reached — the cap is spent (or overspent: two runs racing
+  //     past the same last use both record it). Checked on waivers that
+  //     would otherwise be effective; an exhausted waiver classifies as
+  //     not_applicable, so this is the only place its state is surfaced.
+  if (input.waivers !== undefined) {
+    for (const w of input.waivers) {
+      const max = w.constraints?.max_uses;
+      if (max === undefined) continue;
+      if (waiverEffectiveness(w, now) !== 'active') continue;
+      const uses = waiverUses(w, waiverUsage);
+      if (uses < max) continue;
+      findings.push(
+        finding(
+          DOCTOR_RULES.WAIVER_MAX_USES_REACHED,
+          'warning',
+          uses === max
+            ? `Waiver ${w.id} has used all ${max} of its max_uses — it no longer suppresses violations.`
+            : `Waiver ${w.id} has ${uses} recorded uses, over its max_uses of ${max} — it no longer suppresses violations.`,
+          {
+            subject: w.id,
+            narrowRepair: `\`caws waiver revoke ${w.id} --reason "max_uses reached"\`, then create a new waiver if the exception is still justified.`,
+            data: { waiver_id: w.id, uses, max_uses: max, over_cap: uses > max },
+          }
+        )
+      );
+    }
+  }
+
   // -------------------------------------------------------------------------
   // 9. vNext layout + residue (slice 7c.2).
   //
@@ -1385,8 +1601,8 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
   //     configured (we do NOT invent a default).
   //
   // "Effective" here means the kernel rule: status='active' AND
-  // expires_at > now. Revoked or expired records cannot affect gates and
-  // would be noise in either count.
+  // expires_at > now AND max_uses not spent. Revoked, expired or exhausted
+  // records cannot affect gates and would be noise in either count.
   // -------------------------------------------------------------------------
 
   if (
@@ -1399,7 +1615,7 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
       // Tally effective waivers per gate id they cover.
       const countByGate = new Map<string, number>();
       for (const w of input.waivers) {
-        if (waiverEffectiveness(w, now) !== 'active') continue;
+        if (waiverEffectiveness(w, now, waiverUsage) !== 'active') continue;
         for (const g of w.gates) {
           countByGate.set(g, (countByGate.get(g) ?? 0) + 1);
         }
@@ -1435,7 +1651,7 @@ export function inspectProjectState(input: DoctorInput): DoctorReport {
     if (typeof expiresSoonDays === 'number' && expiresSoonDays > 0) {
       const horizonMs = expiresSoonDays * 24 * 60 * 60 * 1000;
       for (const w of input.waivers) {
-        if (waiverEffectiveness(w, now) !== 'active') continue;
+        if (waiverEffectiveness(w, now, waiverUsage) !== 'active') continue;
         const expMs = Date.parse(w.expires_at);
         if (!Number.isFinite(expMs)) continue;
         const remaining = expMs - now.getTime();
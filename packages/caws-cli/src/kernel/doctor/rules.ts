@@ -20,6 +20,26 @@ export const DOCTOR_RULES = {
    */
   SPEC_UNBOUND_ACTIVE_BACKLOG: 'doctor.spec.unbound_active_backlog',
 
+  // ---- spec graph ----------------------------------------------------------
+  /**
+   * successors / supersedes / superseded_by references form a cycle, read
+   * in precedence order (see kernel/spec/graph.ts). Severity: error — no
+   * spec in the cycle can be ordered first.
+   */
+  SPEC_GRAPH_CYCLE: 'doctor.spec.graph_cycle',
+  /**
+   * A supersedes/superseded_by reference, or a closed spec's successor
+   * reference, names an id that is neither live nor archived. Severity:
+   * warning. Skipped when the store did not observe the archive.
+   */
+  SPEC_GRAPH_DANGLING_EDGE: 'doctor.spec.graph_dangling_edge',
+  /**
+   * Two specs disagree about supersession (A.superseded_by = B while
+   * B.supersedes names someone else), or one spec names the same id on
+   * both sides. Severity: error.
+   */
+  SPEC_GRAPH_CONTRADICTION: 'doctor.spec.graph_contradiction',
+
   // ---- binding integrity ---------------------------------------------------
   /** Registry has specId AND spec.worktree, but they disagree about each other. */
   BINDING_ONE_SIDED: 'doctor.binding.one_sided',
@@ -82,6 +102,14 @@ export const DOCTOR_RULES = {
    */
   WORKTREE_GIT_OBSERVATION_UNAVAILABLE:
     'doctor.worktree.git_observation_unavailable',
+  /**
+   * Two active worktree lanes on the same base change the same paths in
+   * ways git cannot merge, so whichever lands second will conflict. The
+   * store predicts it with an in-memory `git merge-tree`; nothing is merged.
+   * Severity: warning — both lanes are valid on their own, and the repair
+   * is coordination (`caws worktree conflicts`, then sync or re-scope).
+   */
+  WORKTREE_PREDICTED_COLLISION: 'doctor.worktree.predicted_collision',
   /**
    * Bidirectional binding exists, but the spec's lifecycle_state is not
    * 'active' (it is draft, closed, or archived). Closed/archived specs
@@ -135,6 +163,18 @@ export const DOCTOR_RULES = {
   // ---- event chain ---------------------------------------------------------
   /** verifyChain reported errors; doctor surfaces the count + first rule. */
   EVENT_CHAIN_INVALID: 'doctor.event.chain_invalid',
+  /**
+   * Policy declares `events.signatures.required_after` and the live chain has
+   * events at or after the cutoff without a signature. Doctor needs no keys
+   * for this; validating the signatures that ARE present against the trusted
+   * key list is `caws events verify`.
+   */
+  EVENT_UNSIGNED_AFTER_CUTOFF: 'doctor.event.unsigned_after_cutoff',
+  /**
+   * Policy declares `events.rotation` thresholds and the live chain has
+   * reached one. Advisory: `caws events rotate --auto` performs it.
+   */
+  EVENT_ROTATION_DUE: 'doctor.event.rotation_due',
 
   // ---- policy --------------------------------------------------------------
   POLICY_MISSING: 'doctor.policy.missing',
@@ -171,6 +211,20 @@ export const DOCTOR_RULES = {
    * historical event itself stays untouched (events are append-only).
    */
   WAIVER_REVOKED_REFERENCED: 'doctor.waiver.revoked_referenced',
+  /**
+   * An effective waiver carries `scope.paths` globs that match no tracked
+   * file. Severity: warning. The waiver is harmless but dead weight — a
+   * typo'd glob or a file that has since moved — and the operator likely
+   * believes it forgives something it does not.
+   */
+  WAIVER_PATHS_MATCH_NOTHING: 'doctor.waiver.paths_match_nothing',
+  /**
+   * An active, unexpired waiver's recorded uses (`waiver_applied` events)
+   * are at or over its `constraints.max_uses`. Severity: warning. The
+   * waiver is already inert at runtime; the record should be revoked or
+   * replaced so the waiver surface reflects what actually applies.
+   */
+  WAIVER_MAX_USES_REACHED: 'doctor.waiver.max_uses_reached',
 
   // ---- init layout (slice 7c.2) -------------------------------------------
   /**
@@ -18,6 +18,7 @@ import type { ChainedEvent } from '../evidence/types';
 import type { Policy } from '../policy/types';
 import type { Spec } from '../spec/types';
 import type { Waiver } from '../waiver/types';
+import type { WaiverUsage } from '../waiver/usage';
 import type { AgentRegistry, WorktreeRegistry } from '../worktree/types';
 import type { LeaseRegistry } from '../worktree/leases';
 
@@ -74,6 +75,13 @@ export interface DoctorInput {
   /** All specs the shell has loaded and parsed (including closed/archived). */
   readonly specs: readonly Spec[];
 
+  /**
+   * Spec ids found only in `.caws/specs/.archive/`. The spec-graph rules
+   * resolve references against them; undefined means "not observed" and
+   * skips the dangling-reference rule.
+   */
+  readonly archivedSpecIds?: readonly string[];
+
   /** Parsed policy if present, undefined if missing/unloadable. */
   readonly policy?: Policy;
 
@@ -122,6 +130,21 @@ export interface DoctorInput {
    */
   readonly waiverDiagnostics?: readonly Diagnostic[];
 
+  /**
+   * Repo-relative paths of tracked files (`git ls-files`). The store only
+   * observes this when some waiver carries `scope.paths`; doctor uses it
+   * to flag path globs that match nothing. Undefined means "not
+   * observed", and the rule is skipped rather than firing on every glob.
+   */
+  readonly trackedPaths?: readonly string[];
+
+  /**
+   * Waiver usage ledger built by the store across every chain segment
+   * (archives included). When omitted, doctor derives usage from
+   * `events`, which covers only the live chain.
+   */
+  readonly waiverUsage?: WaiverUsage;
+
   /** Injected current time. */
   readonly now: Date;
 
@@ -200,6 +223,12 @@ export interface DoctorInput {
     readonly worktreesJsonExists: boolean;
     readonly agentsJsonExists: boolean;
     readonly eventsJsonlExists: boolean;
+    /**
+     * Size of `.caws/events.jsonl` in bytes (0 when absent), for the
+     * `events.rotation.max_bytes` threshold. Optional for older snapshot
+     * writers; when undefined only max_lines is checked.
+     */
+    readonly eventsJsonlBytes?: number;
     /**
      * CAWS-DOCTOR-HOOKS-NO-CAWS-DRIFT-001: whether the CAWS hook pack is
      * installed under `.claude/hooks/`. The store observes this by looking
@@ -262,6 +291,27 @@ export interface DoctorInput {
    * observation succeeded.
    */
   readonly gitObservationFailure?: string;
+
+  /**
+   * Pairs of active worktree lanes on the same base whose branches do not
+   * merge cleanly, from in-memory `git merge-tree` runs. Observed only when
+   * the caller asks for it (`caws doctor`); undefined means "not observed"
+   * and the collision rule is skipped.
+   */
+  readonly worktreeCollisions?: readonly WorktreeCollision[];
+}
+
+// ----------------------------------------------------------------------------
+// WorktreeCollision — one pair of lanes predicted to conflict.
+// ----------------------------------------------------------------------------
+
+export interface WorktreeCollision {
+  readonly left: string;
+  readonly right: string;
+  /** The base branch both lanes land on. */
+  readonly baseBranch: string;
+  /** Paths git could not merge, in the order it reported them. */
+  readonly paths: readonly string[];
 }
 
 // ----------------------------------------------------------------------------
@@ -0,0 +1,173 @@
+// Event export envelopes — ChainedEvent → OTLP/JSON, CloudEvents, CSV.
+//
+// `caws events export` hands verified events to observability tooling that
+// does not read .caws/events.jsonl. Each format carries the same facts:
+// event type, ts, seq, spec_id, actor, data, and the chain hashes, so an
+// exported record can always be traced back to its line in the chain.
+//
+//   otlp        one OTLP/JSON ExportLogsServiceRequest (single line) per
+//               export; one LogRecord per event, fields as `caws.*`
+//               attributes, data as a JSON string.
+//   cloudevents one structured-mode CloudEvents 1.0 JSON object per line.
+//               id = event_hash, type = design.paths.caws.<event>,
+//               subject = spec_id; chain fields ride in extension
+//               attributes (lowercase alphanumerics, per the spec).
+//   csv         RFC 4180, one row per event; data as a JSON cell.
+//
+// Pure: formatting only. Time comes from event.ts, never the clock.
+
+import type { ChainedEvent } from './types';
+
+export const EVENT_EXPORT_FORMATS = ['otlp', 'cloudevents', 'csv'] as const;
+export type EventExportFormat = (typeof EVENT_EXPORT_FORMATS)[number];
+
+export function isEventExportFormat(value: string): value is EventExportFormat {
+  return (EVENT_EXPORT_FORMATS as readonly string[]).includes(value);
+}
+
+export interface EventExportOptions {
+  /**
+   * Producer identity: the CloudEvents `source` and the OTLP resource
+   * attribute `caws.source`. A URI reference, e.g. `caws://my-repo`.
+   */
+  readonly source: string;
+}
+
+/** Prefix of every CloudEvents `type`. */
+export const CLOUDEVENTS_TYPE_PREFIX = 'design.paths.caws.';
+
+type OtlpValue =
+  | { readonly stringValue: string }
+  | { readonly intValue: string };
+
+interface OtlpAttribute {
+  readonly key: string;
+  readonly value: OtlpValue;
+}
+
+function str(key: string, value: string): OtlpAttribute {
+  return { key, value: { stringValue: value } };
+}
+
+function unixNano(ts: string): string {
+  const ms = Date.parse(ts);
+  return Number.isNaN(ms) ? '0' : (BigInt(ms) * 1_000_000n).toString();
+}
+
+function otlpLogRecord(event: ChainedEvent): Record<string, unknown> {
+  const attributes: OtlpAttribute[] = [
+    str('caws.event', event.event),
+    { key: 'caws.seq', value: { intValue: String(event.seq) } },
+    str('caws.event_hash', event.event_hash),
+    ...(event.prev_hash !== null ? [str('caws.prev_hash', event.prev_hash)] : []),
+    ...(event.spec_id !== undefined ? [str('caws.spec_id', event.spec_id)] : []),
+    str('caws.actor.kind', event.actor.kind),
+    str('caws.actor.id', event.actor.id),
+    ...(event.actor.session_id !== undefined
+      ? [str('caws.actor.session_id', event.actor.session_id)]
+      : []),
+    ...(event.actor.platform !== undefined ? [str('caws.actor.platform', event.actor.platform)] : []),
+    str('caws.data', JSON.stringify(event.data)),
+  ];
+  return {
+    timeUnixNano: unixNano(event.ts),
+    severityNumber: 9,
+    severityText: 'INFO',
+    body: { stringValue: event.event },
+    attributes,
+  };
+}
+
+/** One OTLP/JSON ExportLogsServiceRequest covering `events`. */
+export function toOtlpLogsRequest(
+  events: readonly ChainedEvent[],
+  options: EventExportOptions
+): Record<string, unknown> {
+  return {
+    resourceLogs: [
+      {
+        resource: {
+          attributes: [str('service.name', 'caws'), str('caws.source', options.source)],
+        },
+        scopeLogs: [
+          {
+            scope: { name: 'caws.events' },
+            logRecords: events.map(otlpLogRecord),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/** A structured-mode CloudEvents 1.0 object for one event. */
+export function toCloudEvent(
+  event: ChainedEvent,
+  options: EventExportOptions
+): Record<string, unknown> {
+  return {
+    specversion: '1.0',
+    id: event.event_hash,
+    source: options.source,
+    type: `${CLOUDEVENTS_TYPE_PREFIX}${event.event}`,
+    time: event.ts,
+    ...(event.spec_id !== undefined ? { subject: event.spec_id } : {}),
+    datacontenttype: 'application/json',
+    cawsseq: event.seq,
+    ...(event.prev_hash !== null ? { cawsprevhash: event.prev_hash } : {}),
+    cawsactorkind: event.actor.kind,
+    cawsactorid: event.actor.id,
+    ...(event.actor.session_id !== undefined ? { cawssessionid: event.actor.session_id } : {}),
+    data: event.data,
+  };
+}
+
+export const EVENT_CSV_COLUMNS = [
+  'seq',
+  'ts',
+  'event',
+  'spec_id',
+  'actor_kind',
+  'actor_id',
+  'session_id',
+  'event_hash',
+  'prev_hash',
+  'data',
+] as const;
+
+function csvCell(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function toCsvRow(event: ChainedEvent): string {
+  return [
+    String(event.seq),
+    event.ts,
+    event.event,
+    event.spec_id ?? '',
+    event.actor.kind,
+    event.actor.id,
+    event.actor.session_id ?? '',
+    event.event_hash,
+    event.prev_hash ?? '',
+    JSON.stringify(event.data),
+  ]
+    .map(csvCell)
+    .join(',');
+}
+
+/**
+ * Render `events` as output lines (no trailing newlines). CSV starts with
+ * the header row only when `csvHeader` is set, so appends to an existing
+ * file stay one table. An empty export is no lines at all, in every format.
+ */
+export function formatEventsExport(
+  events: readonly ChainedEvent[],
+  format: EventExportFormat,
+  options: EventExportOptions & { readonly csvHeader?: boolean }
+): string[] {
+  if (events.length === 0) return [];
+  if (format === 'otlp') return [JSON.stringify(toOtlpLogsRequest(events, options))];
+  if (format === 'cloudevents') return events.map((e) => JSON.stringify(toCloudEvent(e, options)));
+  return [...(options.csvHeader === true ? [EVENT_CSV_COLUMNS.join(',')] : []), ...events.map(toCsvRow)];
+}
@@ -12,7 +12,9 @@
 // `event_hash` is excluded from the hashed material because it's the field
 // being computed — including it would require two-pass fixed-point hashing
 // or a placeholder convention. Excluding it keeps `prepareAppend` a single
-// pass and `verifyChain`'s re-hash deterministic.
+// pass and `verifyChain`'s re-hash deterministic. `signature` is excluded for
+// the same reason: it signs event_hash, and adding or stripping it must not
+// change the hash (events written before signing existed keep theirs).
 //
 // The hash format is `sha256:<64 lowercase hex>`. The prefix is part of the
 // stored value (not just a comment) so a future migration to a different
@@ -36,10 +38,11 @@ import { DOMAIN_SEPARATOR, type ChainedEvent, type EventBody, type Hash } from '
 export function computeEventHash(
   event: HashableEvent
 ): Hash {
-  // Strip event_hash if present so the result is the same whether the
-  // caller passed a not-yet-hashed event or a fully-chained event.
-  const { event_hash: _ignored, ...rest } = event as ChainedEvent;
+  // Strip event_hash (and signature) if present so the result is the same
+  // whether the caller passed a not-yet-hashed event or a fully-chained one.
+  const { event_hash: _ignored, signature: _signature, ...rest } = event as ChainedEvent;
   void _ignored;
+  void _signature;
 
   // Strip undefined fields so canonical JSON treats absent and null
   // distinctly (canonicalJson already does this for object properties,
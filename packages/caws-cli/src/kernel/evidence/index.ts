@@ -10,8 +10,10 @@ export type {
   ChainedEvent,
   EventBody,
   EventPayload,
+  EventSignature,
   EventType,
   Hash,
+  SignatureAlgorithm,
   SpecIdClass,
 } from './types';
 
@@ -21,6 +23,7 @@ export {
   NO_SPEC_ID,
   OPTIONAL_SPEC_ID,
   REQUIRES_SPEC_ID,
+  SIGNATURE_DOMAIN_SEPARATOR,
   specIdClassOf,
 } from './types';
 
@@ -38,3 +41,42 @@ export { SPEC_ID_REGEX } from './validate';
 export { prepareAppend } from './prepare';
 
 export { verifyChain } from './verify';
+
+export {
+  KEY_ID_REGEX,
+  publicKeyFromPrivate,
+  signEvent,
+  unsignedEventsAfter,
+  validateTrustedKeys,
+  verifyEventSignatures,
+} from './signature';
+export type { SigningKey, TrustedKey, VerifySignaturesOptions } from './signature';
+
+export {
+  buildEventQuery,
+  formatEventQuery,
+  matchesEventQuery,
+  parseEventQuery,
+  resolveTimeBound,
+} from './query';
+export type { EventQuery, EventQueryFilters, EventQueryOperator, EventQueryTerm } from './query';
+
+export { eventRotationDue, formatEventRotationReasons } from './rotation';
+export type {
+  EventLogUsage,
+  EventRotationDue,
+  EventRotationReason,
+  EventRotationThresholds,
+} from './rotation';
+
+export {
+  CLOUDEVENTS_TYPE_PREFIX,
+  EVENT_CSV_COLUMNS,
+  EVENT_EXPORT_FORMATS,
+  formatEventsExport,
+  isEventExportFormat,
+  toCloudEvent,
+  toCsvRow,
+  toOtlpLogsRequest,
+} from './export';
+export type { EventExportFormat, EventExportOptions } from './export';
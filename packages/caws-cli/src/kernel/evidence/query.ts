@@ -0,0 +1,326 @@
+// Event query — a small filter language over ChainedEvent.
+//
+// `caws events list --where` and its filter flags compile to an EventQuery:
+// a conjunction of terms, each `field op value`. Terms are separated by
+// whitespace (a literal `and` between them is accepted and ignored):
+//
+//   event=gate_evaluated spec_id=FEAT-12 data.decision=block ts>=7d
+//
+// Fields:
+//   event, spec_id (alias spec), actor.kind, actor.id (alias actor),
+//   actor.session_id (alias session), actor.platform, seq, ts,
+//   hash (event_hash), data.<path> (dot path into the payload)
+//
+// Operators:
+//   =  !=   equality; the value may be a comma list (any-of / none-of)
+//   ~       substring
+//   > >= < <=  ordering; numeric when both sides are numbers, instant
+//              comparison for ts, string comparison otherwise
+//
+// Values are bare tokens or JSON double-quoted strings (for spaces or
+// commas). A ts value is an ISO date/time or a duration `<n>s|m|h|d|w`
+// meaning "that long before now"; `now` is passed in so this stays pure.
+//
+// A missing field never satisfies `=`, `~` or an ordering, and always
+// satisfies `!=`.
+//
+// Rule id (stable):
+//   evidence.query.invalid — the expression or a filter value does not parse
+
+import { diagnostic } from '../diagnostics';
+import type { Diagnostic } from '../diagnostics/types';
+import { err, ok } from '../result';
+import type { Result } from '../result/types';
+
+import { EVIDENCE_RULES } from './rules';
+import type { ChainedEvent } from './types';
+
+export type EventQueryOperator = '=' | '!=' | '~' | '>' | '>=' | '<' | '<=';
+
+export interface EventQueryTerm {
+  /** Canonical field name (aliases resolved). */
+  readonly field: string;
+  readonly op: EventQueryOperator;
+  /** One value, or several for a comma list under = / !=. ts values are resolved ISO instants. */
+  readonly values: readonly string[];
+}
+
+/** A conjunction of terms; the empty query matches every event. */
+export interface EventQuery {
+  readonly terms: readonly EventQueryTerm[];
+}
+
+/** Structured filters, as the CLI flags supply them. ANDed with `where`. */
+export interface EventQueryFilters {
+  readonly event?: readonly string[];
+  readonly spec_id?: string;
+  readonly actor_id?: string;
+  readonly actor_kind?: string;
+  readonly session_id?: string;
+  readonly since?: string;
+  readonly until?: string;
+}
+
+const FIELD_ALIASES: Readonly<Record<string, string>> = {
+  event: 'event',
+  spec_id: 'spec_id',
+  spec: 'spec_id',
+  'actor.kind': 'actor.kind',
+  'actor.id': 'actor.id',
+  actor: 'actor.id',
+  'actor.session_id': 'actor.session_id',
+  session: 'actor.session_id',
+  'actor.platform': 'actor.platform',
+  seq: 'seq',
+  ts: 'ts',
+  hash: 'hash',
+};
+
+const TERM_REGEX = /^([A-Za-z_][A-Za-z0-9_.-]*)(!=|>=|<=|=|>|<|~)(.*)$/s;
+const DURATION_REGEX = /^(\d+)([smhdw])$/;
+const DURATION_MS: Readonly<Record<string, number>> = {
+  s: 1_000,
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000,
+};
+
+function queryError(message: string, subject: string): Diagnostic {
+  return diagnostic({
+    rule: EVIDENCE_RULES.QUERY_INVALID,
+    authority: 'kernel/evidence',
+    message,
+    subject,
+  });
+}
+
+/**
+ * Resolve a time bound to an ISO instant: an ISO date/time as-is
+ * (normalized), or `<n>s|m|h|d|w` as that long before `now`.
+ */
+export function resolveTimeBound(value: string, now: Date): Result<string> {
+  const duration = DURATION_REGEX.exec(value);
+  if (duration !== null) {
+    const ms = Number(duration[1]) * DURATION_MS[duration[2]!]!;
+    return ok(new Date(now.getTime() - ms).toISOString());
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    return err(
+      queryError(
+        `Time value ${JSON.stringify(value)} is neither an ISO date/time nor a duration like 7d or 12h.`,
+        value
+      )
+    );
+  }
+  return ok(new Date(parsed).toISOString());
+}
+
+function tokenize(source: string): Result<string[]> {
+  const tokens: string[] = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]!;
+    if (quoted) {
+      current += ch;
+      if (ch === '\\' && i + 1 < source.length) current += source[++i]!;
+      else if (ch === '"') quoted = false;
+    } else if (ch === '"') {
+      current += ch;
+      quoted = true;
+    } else if (/\s/.test(ch)) {
+      if (current.length > 0) tokens.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (quoted) return err(queryError('Unterminated quoted value in query.', source));
+  if (current.length > 0) tokens.push(current);
+  return ok(tokens);
+}
+
+function resolveField(name: string): string | null {
+  if (name.startsWith('data.') && name.length > 'data.'.length) return name;
+  return FIELD_ALIASES[name] ?? null;
+}
+
+function parseTerm(token: string, now: Date): Result<EventQueryTerm> {
+  const match = TERM_REGEX.exec(token);
+  if (match === null) {
+    return err(queryError(`Query term ${JSON.stringify(token)} is not of the form field<op>value.`, token));
+  }
+  const [, rawField, rawOp, rawValue] = match;
+  const field = resolveField(rawField!);
+  if (field === null) {
+    return err(
+      queryError(
+        `Unknown query field ${JSON.stringify(rawField)}. Known: ${Object.keys(FIELD_ALIASES).join(', ')}, data.<path>.`,
+        token
+      )
+    );
+  }
+  const op = rawOp as EventQueryOperator;
+
+  let values: string[];
+  if (rawValue!.startsWith('"')) {
+    try {
+      const parsed: unknown = JSON.parse(rawValue!);
+      if (typeof parsed !== 'string') throw new Error('not a string');
+      values = [parsed];
+    } catch {
+      return err(queryError(`Quoted value in ${JSON.stringify(token)} is not a valid JSON string.`, token));
+    }
+  } else {
+    values = op === '=' || op === '!=' ? rawValue!.split(',') : [rawValue!];
+  }
+  if (values.length === 0 || values.some((v) => v.length === 0)) {
+    return err(queryError(`Query term ${JSON.stringify(token)} has an empty value.`, token));
+  }
+
+  if (field === 'ts' && op !== '~') {
+    const resolved: string[] = [];
+    for (const value of values) {
+      const bound = resolveTimeBound(value, now);
+      if (!bound.ok) return bound;
+      resolved.push(bound.value);
+    }
+    values = resolved;
+  }
+  return ok({ field, op, values });
+}
+
+/** Parse a `--where` expression. The empty string is the empty query. */
+export function parseEventQuery(source: string, now: Date): Result<EventQuery> {
+  const tokens = tokenize(source);
+  if (!tokens.ok) return tokens;
+  const terms: EventQueryTerm[] = [];
+  const errors: Diagnostic[] = [];
+  for (const token of tokens.value) {
+    if (token.toLowerCase() === 'and') continue;
+    const term = parseTerm(token, now);
+    if (term.ok) terms.push(term.value);
+    else errors.push(...term.errors);
+  }
+  return errors.length > 0 ? err(errors) : ok({ terms });
+}
+
+/** Compile structured filters plus an optional `where` expression into one query. */
+export function buildEventQuery(
+  filters: EventQueryFilters,
+  where: string | undefined,
+  now: Date
+): Result<EventQuery> {
+  const parsed = parseEventQuery(where ?? '', now);
+  if (!parsed.ok) return parsed;
+  const terms: EventQueryTerm[] = [...parsed.value.terms];
+  const errors: Diagnostic[] = [];
+
+  if (filters.event !== undefined && filters.event.length > 0) {
+    terms.push({ field: 'event', op: '=', values: filters.event });
+  }
+  if (filters.spec_id !== undefined) terms.push({ field: 'spec_id', op: '=', values: [filters.spec_id] });
+  if (filters.actor_id !== undefined) terms.push({ field: 'actor.id', op: '=', values: [filters.actor_id] });
+  if (filters.actor_kind !== undefined) {
+    terms.push({ field: 'actor.kind', op: '=', values: [filters.actor_kind] });
+  }
+  if (filters.session_id !== undefined) {
+    terms.push({ field: 'actor.session_id', op: '=', values: [filters.session_id] });
+  }
+  for (const [bound, op] of [
+    [filters.since, '>='],
+    [filters.until, '<'],
+  ] as const) {
+    if (bound === undefined) continue;
+    const resolved = resolveTimeBound(bound, now);
+    if (resolved.ok) terms.push({ field: 'ts', op, values: [resolved.value] });
+    else errors.push(...resolved.errors);
+  }
+  return errors.length > 0 ? err(errors) : ok({ terms });
+}
+
+function fieldValue(event: ChainedEvent, field: string): unknown {
+  switch (field) {
+    case 'event':
+      return event.event;
+    case 'spec_id':
+      return event.spec_id;
+    case 'seq':
+      return event.seq;
+    case 'ts':
+      return event.ts;
+    case 'hash':
+      return event.event_hash;
+    case 'actor.kind':
+      return event.actor.kind;
+    case 'actor.id':
+      return event.actor.id;
+    case 'actor.session_id':
+      return event.actor.session_id;
+    case 'actor.platform':
+      return event.actor.platform;
+  }
+  let node: unknown = event.data;
+  for (const key of field.slice('data.'.length).split('.')) {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) return undefined;
+    node = (node as Record<string, unknown>)[key];
+  }
+  return node;
+}
+
+function scalarString(value: unknown): string | null {
+  if (value === null) return 'null';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return null;
+}
+
+function compare(field: string, actual: string, expected: string): number {
+  if (field === 'ts') return Date.parse(actual) - Date.parse(expected);
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual.trim() !== '' && expected.trim() !== '' && !Number.isNaN(a) && !Number.isNaN(b)) {
+    return a - b;
+  }
+  return actual < expected ? -1 : actual > expected ? 1 : 0;
+}
+
+function termMatches(event: ChainedEvent, term: EventQueryTerm): boolean {
+  const actual = scalarString(fieldValue(event, term.field));
+  if (term.op === '!=') return actual === null || !term.values.includes(actual);
+  if (actual === null) return false;
+  const expected = term.values[0]!;
+  switch (term.op) {
+    case '=':
+      return term.values.includes(actual);
+    case '~':
+      return actual.includes(expected);
+    case '>':
+      return compare(term.field, actual, expected) > 0;
+    case '>=':
+      return compare(term.field, actual, expected) >= 0;
+    case '<':
+      return compare(term.field, actual, expected) < 0;
+    case '<=':
+      return compare(term.field, actual, expected) <= 0;
+  }
+}
+
+/** True when the event satisfies every term. */
+export function matchesEventQuery(event: ChainedEvent, query: EventQuery): boolean {
+  return query.terms.every((term) => termMatches(event, term));
+}
+
+/** Canonical text of a query, e.g. for echoing it back in --json output. */
+export function formatEventQuery(query: EventQuery): string {
+  return query.terms
+    .map((term) => {
+      const values = term.values.map((v) =>
+        /^[^\s",]+$/.test(v) ? v : JSON.stringify(v)
+      );
+      return `${term.field}${term.op}${values.join(',')}`;
+    })
+    .join(' ');
+}
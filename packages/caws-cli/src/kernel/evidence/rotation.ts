@@ -0,0 +1,56 @@
+// Policy-driven rotation thresholds.
+//
+// policy.yaml `events.rotation` declares when the live chain is due for
+// rotation (max_bytes / max_lines). The kernel only decides "due or not"
+// from figures the store observed; doctor reports it and
+// `caws events rotate --auto` acts on it. Nothing rotates on append.
+
+/** The threshold fields of policy `events.rotation`. */
+export interface EventRotationThresholds {
+  readonly max_bytes?: number;
+  readonly max_lines?: number;
+}
+
+/** What the store observed about the live events.jsonl. */
+export interface EventLogUsage {
+  readonly bytes: number;
+  /** Events in the live chain. */
+  readonly lines: number;
+}
+
+export interface EventRotationReason {
+  readonly threshold: 'max_bytes' | 'max_lines';
+  readonly limit: number;
+  readonly actual: number;
+}
+
+export interface EventRotationDue {
+  readonly due: boolean;
+  /** Every threshold reached, max_bytes first. Empty when not due. */
+  readonly reasons: readonly EventRotationReason[];
+}
+
+/**
+ * Whether `usage` reaches any declared threshold. With no thresholds
+ * declared, rotation is never due; nor is it for a chain holding at most
+ * its genesis, since rotating that would archive only the last rotation.
+ */
+export function eventRotationDue(
+  thresholds: EventRotationThresholds | undefined,
+  usage: EventLogUsage
+): EventRotationDue {
+  const reasons: EventRotationReason[] = [];
+  if (usage.lines <= 1) return { due: false, reasons };
+  if (thresholds?.max_bytes !== undefined && usage.bytes >= thresholds.max_bytes) {
+    reasons.push({ threshold: 'max_bytes', limit: thresholds.max_bytes, actual: usage.bytes });
+  }
+  if (thresholds?.max_lines !== undefined && usage.lines >= thresholds.max_lines) {
+    reasons.push({ threshold: 'max_lines', limit: thresholds.max_lines, actual: usage.lines });
+  }
+  return { due: reasons.length > 0, reasons };
+}
+
+/** One line per reason, e.g. `max_bytes 10485760 reached (10486011)`. */
+export function formatEventRotationReasons(reasons: readonly EventRotationReason[]): string {
+  return reasons.map((r) => `${r.threshold} ${r.limit} reached (${r.actual})`).join('; ');
+}
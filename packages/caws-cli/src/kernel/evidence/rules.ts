@@ -9,6 +9,9 @@
 //   evidence.event.*     — envelope shape / vocabulary / spec_id class issues
 //   evidence.actor.*     — actor shape issues (kind, id, optional fields)
 //   evidence.chain.*     — hash chain integrity issues (verifyChain only)
+//   evidence.signature.* — Ed25519 signature / trusted key issues
+//                          (verifyEventSignatures, signEvent, trusted keys)
+//   evidence.query.*     — event query expression issues (parseEventQuery)
 
 export const EVIDENCE_RULES = {
   // canonical JSON
@@ -46,6 +49,17 @@ export const EVIDENCE_RULES = {
   CHAIN_EVENT_HASH_MALFORMED: 'evidence.chain.event_hash_malformed',
   CHAIN_GENESIS_PREV_HASH_NOT_NULL: 'evidence.chain.genesis_prev_hash_not_null',
   CHAIN_NON_GENESIS_PREV_HASH_NULL: 'evidence.chain.non_genesis_prev_hash_null',
+
+  // signatures (verifyEventSignatures + signEvent + validateTrustedKeys)
+  SIGNATURE_MISSING: 'evidence.signature.missing',
+  SIGNATURE_UNKNOWN_KEY: 'evidence.signature.unknown_key',
+  SIGNATURE_INVALID: 'evidence.signature.invalid',
+  SIGNATURE_KEY_REVOKED: 'evidence.signature.key_revoked',
+  SIGNATURE_ACTOR_MISMATCH: 'evidence.signature.actor_mismatch',
+  SIGNATURE_KEY_INVALID: 'evidence.signature.key_invalid',
+
+  // event query (parseEventQuery / buildEventQuery)
+  QUERY_INVALID: 'evidence.query.invalid',
 } as const;
 
 /** Stable rule id type. Switch on these to react to specific failures. */
@@ -57,4 +71,6 @@ export const EVIDENCE_RULE_PREFIXES = [
   'evidence.event.',
   'evidence.actor.',
   'evidence.chain.',
+  'evidence.signature.',
+  'evidence.query.',
 ] as const;
@@ -0,0 +1,334 @@
+// Ed25519 event signatures.
+//
+// The hash chain makes events.jsonl tamper-evident, but anyone who can write
+// the file can rebuild a consistent chain from scratch. A signature binds an
+// event to a key whose public half is committed in the trusted key list, so a
+// rebuilt chain no longer verifies unless the rewriter also holds the keys.
+//
+// What is signed:
+//
+//   ed25519(SIGNATURE_DOMAIN_SEPARATOR + event_hash)
+//
+// event_hash already commits to every other field (seq, ts, actor, spec_id,
+// data, prev_hash), so signing it signs the event. The signature is not part
+// of the hashed material — see hash.ts.
+//
+// Key encodings:
+//   - public keys: base64 DER SubjectPublicKeyInfo (one line; fits YAML)
+//   - private keys: PKCS#8 PEM
+//
+// The kernel does NO I/O: the store reads the trusted key list and local
+// private keys and hands them in. `crypto` here is computation only, exactly
+// as in hash.ts.
+//
+// Rule ids (stable):
+//   evidence.signature.missing        — unsigned event at/after the required cutoff
+//   evidence.signature.unknown_key    — key_id not in the trusted key list
+//   evidence.signature.invalid        — signature does not verify, or wrong alg
+//   evidence.signature.key_revoked    — event ts at/after the key's revoked_at
+//   evidence.signature.actor_mismatch — key is bound to a different actor id
+//   evidence.signature.key_invalid    — malformed trusted key list or private key
+
+import { createPrivateKey, createPublicKey, sign, verify, type KeyObject } from 'crypto';
+import { diagnostic } from '../diagnostics';
+import type { Diagnostic } from '../diagnostics/types';
+import { err, ok } from '../result';
+import type { Result } from '../result/types';
+
+import { EVIDENCE_RULES } from './rules';
+import { SIGNATURE_DOMAIN_SEPARATOR, type ChainedEvent, type EventSignature } from './types';
+
+/** Key ids are path-safe: they name the local private key file. */
+export const KEY_ID_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * One entry of the trusted key list (`.caws/trusted-keys.yaml`).
+ *
+ * `actor_id`, when set, binds the key to events whose `actor.id` equals it;
+ * an unbound key may sign any actor's events. `revoked_at` rejects
+ * signatures on events stamped at or after that instant; earlier events
+ * signed by the key stay valid.
+ */
+export interface TrustedKey {
+  readonly key_id: string;
+  readonly public_key: string;
+  readonly actor_id?: string;
+  readonly added_at?: string;
+  readonly revoked_at?: string;
+}
+
+/** A local private key, as the store hands it to signEvent. */
+export interface SigningKey {
+  readonly key_id: string;
+  readonly private_key: string;
+}
+
+export interface VerifySignaturesOptions {
+  /** ISO-8601 cutoff; unsigned events with ts at or after it are reported. */
+  readonly requiredAfter?: string;
+}
+
+/** The bytes an event signature covers. */
+function signedMessage(eventHash: string): Buffer {
+  return Buffer.from(SIGNATURE_DOMAIN_SEPARATOR + eventHash, 'utf8');
+}
+
+function keyDiagnostic(message: string, subject: string): Diagnostic {
+  return diagnostic({
+    rule: EVIDENCE_RULES.SIGNATURE_KEY_INVALID,
+    authority: 'kernel/evidence',
+    message,
+    subject,
+  });
+}
+
+/**
+ * Attach a signature to a chained event. The event must already carry its
+ * final event_hash (i.e. come from prepareAppend); any existing signature is
+ * replaced.
+ */
+export function signEvent(event: ChainedEvent, key: SigningKey): Result<ChainedEvent> {
+  if (!KEY_ID_REGEX.test(key.key_id)) {
+    return err(keyDiagnostic(`Signing key id "${key.key_id}" is not a valid key id.`, key.key_id));
+  }
+  let privateKey: KeyObject;
+  try {
+    privateKey = createPrivateKey(key.private_key);
+  } catch (e) {
+    return err(
+      keyDiagnostic(
+        `Signing key "${key.key_id}" could not be read: ${e instanceof Error ? e.message : String(e)}.`,
+        key.key_id
+      )
+    );
+  }
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    return err(
+      keyDiagnostic(
+        `Signing key "${key.key_id}" is ${privateKey.asymmetricKeyType ?? 'not an asymmetric key'}; only ed25519 is supported.`,
+        key.key_id
+      )
+    );
+  }
+  const signature: EventSignature = {
+    alg: 'ed25519',
+    key_id: key.key_id,
+    sig: sign(null, signedMessage(event.event_hash), privateKey).toString('base64'),
+  };
+  return ok({ ...event, signature });
+}
+
+/** Derive the trusted-key-list encoding of a private key's public half. */
+export function publicKeyFromPrivate(privateKeyPem: string): string {
+  return createPublicKey(createPrivateKey(privateKeyPem))
+    .export({ format: 'der', type: 'spki' })
+    .toString('base64');
+}
+
+/**
+ * Validate a parsed trusted key list: `{ version: 1, keys: TrustedKey[] }`.
+ * Every key must decode to an Ed25519 public key and key ids must be unique.
+ */
+export function validateTrustedKeys(input: unknown): Result<readonly TrustedKey[]> {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return err(keyDiagnostic('Trusted key list must be an object with version and keys.', 'keys'));
+  }
+  const obj = input as Record<string, unknown>;
+  const errors: Diagnostic[] = [];
+  if (obj['version'] !== 1) {
+    errors.push(keyDiagnostic('Trusted key list version must be 1.', 'version'));
+  }
+  const rawKeys = obj['keys'] ?? [];
+  if (!Array.isArray(rawKeys)) {
+    errors.push(keyDiagnostic('Trusted key list "keys" must be an array.', 'keys'));
+    return err(errors);
+  }
+
+  const keys: TrustedKey[] = [];
+  const seen = new Set<string>();
+  rawKeys.forEach((raw: unknown, i) => {
+    const subject = `keys[${i}]`;
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(keyDiagnostic(`${subject} must be an object.`, subject));
+      return;
+    }
+    const entry = raw as Record<string, unknown>;
+    const keyId = entry['key_id'];
+    if (typeof keyId !== 'string' || !KEY_ID_REGEX.test(keyId)) {
+      errors.push(keyDiagnostic(`${subject}.key_id must match ${KEY_ID_REGEX.source}.`, subject));
+      return;
+    }
+    if (seen.has(keyId)) {
+      errors.push(keyDiagnostic(`Duplicate trusted key id "${keyId}".`, subject));
+      return;
+    }
+    seen.add(keyId);
+    const publicKey = entry['public_key'];
+    if (typeof publicKey !== 'string' || importPublicKey(publicKey) === null) {
+      errors.push(
+        keyDiagnostic(
+          `${subject}.public_key for "${keyId}" is not a base64 DER Ed25519 public key.`,
+          subject
+        )
+      );
+      return;
+    }
+    for (const field of ['actor_id', 'added_at', 'revoked_at'] as const) {
+      const value = entry[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(keyDiagnostic(`${subject}.${field} must be a non-empty string.`, subject));
+        return;
+      }
+      if (field !== 'actor_id' && Number.isNaN(Date.parse(value))) {
+        errors.push(keyDiagnostic(`${subject}.${field} must be an ISO-8601 date-time.`, subject));
+        return;
+      }
+    }
+    keys.push({
+      key_id: keyId,
+      public_key: publicKey,
+      ...(typeof entry['actor_id'] === 'string' ? { actor_id: entry['actor_id'] } : {}),
+      ...(typeof entry['added_at'] === 'string' ? { added_at: entry['added_at'] } : {}),
+      ...(typeof entry['revoked_at'] === 'string' ? { revoked_at: entry['revoked_at'] } : {}),
+    });
+  });
+
+  if (errors.length > 0) return err(errors);
+  return ok(keys);
+}
+
+/**
+ * Events that should be signed under `requiredAfter` but are not. Doctor
+ * uses this directly; it needs no keys.
+ */
+export function unsignedEventsAfter(
+  events: readonly ChainedEvent[],
+  requiredAfter: string
+): readonly ChainedEvent[] {
+  const cutoff = Date.parse(requiredAfter);
+  if (Number.isNaN(cutoff)) return [];
+  return events.filter((ev) => ev.signature === undefined && Date.parse(ev.ts) >= cutoff);
+}
+
+/**
+ * Verify every signature in the chain against the trusted key list, and
+ * (with `requiredAfter`) that no event at or after the cutoff is unsigned.
+ *
+ * Like verifyChain this collects every violation rather than stopping at the
+ * first. It does not re-check the chain itself — callers that want both run
+ * verifyChain first; a signature over a tampered event_hash would still
+ * verify here, because the hash is what was signed.
+ */
+export function verifyEventSignatures(
+  events: readonly ChainedEvent[],
+  trustedKeys: readonly TrustedKey[],
+  options: VerifySignaturesOptions = {}
+): Result<readonly ChainedEvent[]> {
+  const errors: Diagnostic[] = [];
+  const byId = new Map(trustedKeys.map((k) => [k.key_id, k]));
+  const imported = new Map<string, KeyObject | null>();
+  const cutoff =
+    options.requiredAfter !== undefined ? Date.parse(options.requiredAfter) : Number.NaN;
+
+  events.forEach((ev, i) => {
+    const subject = `[${i}].signature`;
+    const sig = ev.signature;
+    if (sig === undefined) {
+      if (!Number.isNaN(cutoff) && Date.parse(ev.ts) >= cutoff) {
+        errors.push(
+          diagnostic({
+            rule: EVIDENCE_RULES.SIGNATURE_MISSING,
+            authority: 'kernel/evidence',
+            message: `Event seq ${ev.seq} (${ev.event}, ${ev.ts}) is unsigned but signatures are required after ${options.requiredAfter}.`,
+            subject,
+            data: { seq: ev.seq },
+          })
+        );
+      }
+      return;
+    }
+
+    const key = byId.get(sig.key_id);
+    if (key === undefined) {
+      errors.push(
+        diagnostic({
+          rule: EVIDENCE_RULES.SIGNATURE_UNKNOWN_KEY,
+          authority: 'kernel/evidence',
+          message: `Event seq ${ev.seq} is signed by key "${sig.key_id}", which is not in the trusted key list.`,
+          subject,
+          narrowRepair: 'Add the key to .caws/trusted-keys.yaml if it is legitimate.',
+          data: { seq: ev.seq, key_id: sig.key_id },
+        })
+      );
+      return;
+    }
+
+    if (!imported.has(key.key_id)) imported.set(key.key_id, importPublicKey(key.public_key));
+    const publicKey = imported.get(key.key_id) ?? null;
+    let valid = false;
+    if (sig.alg === 'ed25519' && publicKey !== null) {
+      try {
+        valid = verify(
+          null,
+          signedMessage(ev.event_hash),
+          publicKey,
+          Buffer.from(sig.sig, 'base64')
+        );
+      } catch {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      errors.push(
+        diagnostic({
+          rule: EVIDENCE_RULES.SIGNATURE_INVALID,
+          authority: 'kernel/evidence',
+          message: `Signature on event seq ${ev.seq} does not verify against trusted key "${sig.key_id}".`,
+          subject,
+          data: { seq: ev.seq, key_id: sig.key_id },
+        })
+      );
+      return;
+    }
+
+    if (key.revoked_at !== undefined && Date.parse(ev.ts) >= Date.parse(key.revoked_at)) {
+      errors.push(
+        diagnostic({
+          rule: EVIDENCE_RULES.SIGNATURE_KEY_REVOKED,
+          authority: 'kernel/evidence',
+          message: `Event seq ${ev.seq} (${ev.ts}) is signed by key "${sig.key_id}", revoked at ${key.revoked_at}.`,
+          subject,
+          data: { seq: ev.seq, key_id: sig.key_id, revoked_at: key.revoked_at },
+        })
+      );
+    }
+    if (key.actor_id !== undefined && ev.actor.id !== key.actor_id) {
+      errors.push(
+        diagnostic({
+          rule: EVIDENCE_RULES.SIGNATURE_ACTOR_MISMATCH,
+          authority: 'kernel/evidence',
+          message: `Key "${sig.key_id}" is bound to actor "${key.actor_id}" but signed event seq ${ev.seq} from actor "${ev.actor.id}".`,
+          subject,
+          data: { seq: ev.seq, key_id: sig.key_id, actor_id: ev.actor.id },
+        })
+      );
+    }
+  });
+
+  if (errors.length > 0) return err(errors);
+  return ok(events);
+}
+
+function importPublicKey(encoded: string): KeyObject | null {
+  try {
+    const key = createPublicKey({
+      key: Buffer.from(encoded, 'base64'),
+      format: 'der',
+      type: 'spki',
+    });
+    return key.asymmetricKeyType === 'ed25519' ? key : null;
+  } catch {
+    return null;
+  }
+}
@@ -75,6 +75,7 @@ export type EventType =
   | 'worktree_created'
   | 'worktree_bound'
   | 'worktree_merged'
+  | 'worktree_synced'
   | 'worktree_destroyed'
   | 'worktree_pruned'
   | 'worktree_untracked'
@@ -140,6 +141,7 @@ export const REQUIRES_SPEC_ID: ReadonlySet<EventType> = new Set<EventType>([
 export const OPTIONAL_SPEC_ID: ReadonlySet<EventType> = new Set<EventType>([
   'worktree_created',
   'worktree_merged',
+  'worktree_synced',
   'worktree_destroyed',
   // WORKTREE-REPAIR-EVENT-CONTRACT-001: a pruned ghost registry entry MAY name
   // the spec it claimed, but a legitimate ghost can lack one.
@@ -238,6 +240,28 @@ export interface ChainedEvent {
   readonly data: EventPayload;
   readonly prev_hash: Hash | null;
   readonly event_hash: Hash;
+  /**
+   * Optional Ed25519 signature over the event_hash. It is NOT part of the
+   * hashed material (it signs the hash, so it cannot also be inside it) and
+   * an event without one is still a valid chain link. Whether a signature is
+   * required is policy (`events.signatures.required_after`), checked by
+   * verifyEventSignatures and doctor.
+   */
+  readonly signature?: EventSignature;
+}
+
+/** The only signature algorithm the kernel accepts. Adding one is a schema bump. */
+export type SignatureAlgorithm = 'ed25519';
+
+/**
+ * Signature envelope. `sig` is the base64 Ed25519 signature over
+ * SIGNATURE_DOMAIN_SEPARATOR + event_hash; `key_id` names the entry in the
+ * trusted key list that verifies it.
+ */
+export interface EventSignature {
+  readonly alg: SignatureAlgorithm;
+  readonly key_id: string;
+  readonly sig: string;
 }
 
 /**
@@ -249,3 +273,9 @@ export interface ChainedEvent {
  * v1 events without hash collisions.
  */
 export const DOMAIN_SEPARATOR = 'caws.events.v1\x00';
+
+/**
+ * Domain separator for event signatures. Distinct from DOMAIN_SEPARATOR so a
+ * signature over an event hash can never be replayed as anything else.
+ */
+export const SIGNATURE_DOMAIN_SEPARATOR = 'caws.events.sig.v1\x00';
@@ -60,6 +60,7 @@ import worktreeBoundSchema from '../schemas/events/worktree_bound.v1.json';
 import worktreeCreatedSchema from '../schemas/events/worktree_created.v1.json';
 import worktreeDestroyedSchema from '../schemas/events/worktree_destroyed.v1.json';
 import worktreeMergedSchema from '../schemas/events/worktree_merged.v1.json';
+import worktreeSyncedSchema from '../schemas/events/worktree_synced.v1.json';
 import worktreeOwnershipSeizedSchema from '../schemas/events/worktree_ownership_seized.v1.json';
 
 // v10 read-side compatibility (KERNEL-EVENT-V10-COMPAT-ALIAS-001). Used
@@ -125,6 +126,7 @@ const PAYLOAD_SCHEMAS: Readonly<Partial<Record<EventType, object>>> = {
   worktree_pruned: worktreePrunedSchema,
   worktree_untracked: worktreeUntrackedSchema,
   worktree_merged: worktreeMergedSchema,
+  worktree_synced: worktreeSyncedSchema,
   worktree_ownership_seized: worktreeOwnershipSeizedSchema,
 } as const;
 
@@ -204,6 +206,19 @@ export function validateEventBody(input: unknown): Result<EventBody> {
       );
     }
   }
+  // A signature covers event_hash, which does not exist yet.
+  if ('signature' in obj) {
+    errors.push(
+      diagnostic({
+        rule: EVIDENCE_RULES.EVENT_ENVELOPE_INVALID,
+        authority: 'kernel/evidence',
+        message:
+          'Field "signature" must not be present on an EventBody — it signs the event_hash and is attached by signEvent after prepareAppend.',
+        subject: 'signature',
+        narrowRepair: 'Remove "signature" from the body; the store signs the chained event.',
+      })
+    );
+  }
 
   // Validate the body's intrinsic shape (event, ts, actor, data, optional spec_id).
   errors.push(...validateBodyIntrinsic(obj));
@@ -623,6 +638,7 @@ const KNOWN_EVENT_TYPES: ReadonlySet<string> = new Set<EventType>([
   'worktree_created',
   'worktree_bound',
   'worktree_merged',
+  'worktree_synced',
   'worktree_destroyed',
   'worktree_pruned',
   'worktree_untracked',
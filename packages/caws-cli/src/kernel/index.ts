@@ -6,6 +6,7 @@
 // Slice 3 added: evidence (canonicalJson, hash chain, event validation).
 // Slice 4 added: worktree (binding, ownership, freshness, transitions).
 // Slice 5a adds: doctor (pure state diagnoser).
+// messages: structured message kinds + messages.v1.json record validation.
 
 export * from './result';
 export * from './diagnostics';
@@ -16,3 +17,4 @@ export * from './scope';
 export * from './evidence';
 export * from './doctor';
 export * from './waiver';
+export * from './messages';
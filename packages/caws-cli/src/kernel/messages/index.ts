@@ -0,0 +1,16 @@
+export { MESSAGE_RULES, MESSAGE_RULE_PREFIXES } from './rules';
+export type { MessageRule } from './rules';
+
+export { ACK_STATUSES, MESSAGE_KINDS, isMessageKind, summarizeMessageBody } from './kinds';
+export type {
+  AckBody,
+  AckStatus,
+  HandoffRequestBody,
+  MessageBodies,
+  MessageBody,
+  MessageKind,
+  ReviewRequestBody,
+  ScopeReleaseRequestBody,
+} from './kinds';
+
+export { validateMessageBody, validateMessageRecord } from './validate';
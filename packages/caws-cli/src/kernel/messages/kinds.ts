@@ -0,0 +1,88 @@
+// Structured message kinds — typed payloads on the inter-agent channel.
+//
+// A kind names what the sender is asking for. It is a request, never a
+// state change: a handoff_request does not rebind a worktree, a
+// scope_release_request does not amend a spec, an ack changes nothing. The
+// recipient acts (or not) through the normal governed commands, which is
+// where authority is checked. The shapes here mirror messages.v1.json $defs.
+
+export const MESSAGE_KINDS = [
+  'handoff_request',
+  'review_request',
+  'scope_release_request',
+  'ack',
+] as const;
+export type MessageKind = (typeof MESSAGE_KINDS)[number];
+
+export function isMessageKind(value: string): value is MessageKind {
+  return (MESSAGE_KINDS as readonly string[]).includes(value);
+}
+
+export interface HandoffRequestBody {
+  readonly summary: string;
+  readonly spec_id?: string;
+  readonly worktree?: string;
+  readonly branch?: string;
+  readonly notes?: string;
+}
+
+export interface ReviewRequestBody {
+  readonly summary: string;
+  readonly spec_id?: string;
+  readonly worktree?: string;
+  /** Branch or commit to review. */
+  readonly ref?: string;
+  readonly paths?: readonly string[];
+}
+
+export interface ScopeReleaseRequestBody {
+  readonly paths: readonly string[];
+  /** The recipient's spec holding the paths. */
+  readonly spec_id?: string;
+  readonly reason?: string;
+}
+
+export const ACK_STATUSES = ['accepted', 'declined', 'done'] as const;
+export type AckStatus = (typeof ACK_STATUSES)[number];
+
+export interface AckBody {
+  /** Id of the message being answered. */
+  readonly ack_id: string;
+  readonly status: AckStatus;
+  readonly note?: string;
+}
+
+export interface MessageBodies {
+  readonly handoff_request: HandoffRequestBody;
+  readonly review_request: ReviewRequestBody;
+  readonly scope_release_request: ScopeReleaseRequestBody;
+  readonly ack: AckBody;
+}
+
+export type MessageBody = MessageBodies[MessageKind];
+
+/**
+ * One-line text for a structured message sent without --text, so a reader
+ * that only shows `text` (history, poll) still says what was asked.
+ * Expects a body that already passed validation.
+ */
+export function summarizeMessageBody(kind: MessageKind, body: MessageBody): string {
+  switch (kind) {
+    case 'handoff_request': {
+      const b = body as HandoffRequestBody;
+      return `handoff request${b.worktree !== undefined ? ` for ${b.worktree}` : ''}: ${b.summary}`;
+    }
+    case 'review_request': {
+      const b = body as ReviewRequestBody;
+      return `review request${b.ref !== undefined ? ` for ${b.ref}` : ''}: ${b.summary}`;
+    }
+    case 'scope_release_request': {
+      const b = body as ScopeReleaseRequestBody;
+      return `scope release request: ${b.paths.join(', ')}${b.reason !== undefined ? ` (${b.reason})` : ''}`;
+    }
+    case 'ack': {
+      const b = body as AckBody;
+      return `ack ${b.status} ${b.ack_id}${b.note !== undefined ? `: ${b.note}` : ''}`;
+    }
+  }
+}
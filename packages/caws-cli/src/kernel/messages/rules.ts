@@ -0,0 +1,22 @@
+// Stable rule identifiers for message-record diagnostics.
+// Public contract — tests and agent-side handling reference them by string.
+// Renaming any of these is a breaking change.
+//
+// Namespaces:
+//   messages.kind.*    the structured kind is not one messages.v1.json knows
+//   messages.body.*    the structured body does not fit its kind
+//   messages.record.*  any other messages.v1.json violation
+
+export const MESSAGE_RULES = {
+  KIND_UNKNOWN: 'messages.kind.unknown',
+  BODY_INVALID: 'messages.body.invalid',
+  RECORD_INVALID: 'messages.record.invalid',
+} as const;
+
+export type MessageRule = (typeof MESSAGE_RULES)[keyof typeof MESSAGE_RULES];
+
+export const MESSAGE_RULE_PREFIXES = [
+  'messages.kind.',
+  'messages.body.',
+  'messages.record.',
+] as const;
@@ -0,0 +1,144 @@
+// Validate one messages.jsonl record against messages.v1.json.
+//
+// The store runs this on every message record before appending it, so a
+// structured body that does not fit its kind never reaches the log.
+// Validation is shape only: it says nothing about whether a request is
+// true, reasonable, or the sender's to make.
+
+import Ajv2020 from 'ajv/dist/2020';
+import addFormats from 'ajv-formats';
+import type { ErrorObject, ValidateFunction } from 'ajv';
+import { diagnostic } from '../diagnostics';
+import type { Diagnostic } from '../diagnostics/types';
+import { err, ok } from '../result';
+import type { Result } from '../result/types';
+import messagesSchema from '../schemas/messages.v1.json';
+import type { MessageBodies, MessageKind } from './kinds';
+import { MESSAGE_RULES } from './rules';
+
+/**
+ * Module-level lazy singleton AJV validator.
+ * See ../spec/validate-shape.ts for the contract — same rules apply here,
+ * except as noted in getAjv.
+ */
+let ajvSingleton: Ajv2020 | null = null;
+let validator: ValidateFunction | null = null;
+
+function getAjv(): Ajv2020 {
+  if (ajvSingleton !== null) return ajvSingleton;
+  // strictRequired off: the per-record `then: { required: [...] }` branches
+  // name properties declared once at the top level, which strict mode
+  // would otherwise reject. Every other strict check stays on.
+  ajvSingleton = new Ajv2020({ allErrors: true, strict: true, strictRequired: false });
+  addFormats(ajvSingleton);
+  return ajvSingleton;
+}
+
+function getValidator(): ValidateFunction {
+  if (validator !== null) return validator;
+  validator = getAjv().compile(messagesSchema as object);
+  return validator;
+}
+
+/** The $defs/<kind> body validator, resolved inside the compiled schema. */
+function getBodyValidator(kind: MessageKind): ValidateFunction {
+  getValidator();
+  const body = getAjv().getSchema(`${messagesSchema.$id}#/$defs/${kind}`);
+  if (body === undefined) throw new Error(`messages.v1.json has no $defs/${kind}`);
+  return body;
+}
+
+/**
+ * Validate an unknown value as one messages.jsonl record.
+ *
+ * An unknown `kind` lands in messages.kind.unknown; a body that does not
+ * fit its kind, or a kind without a body (and vice versa), in
+ * messages.body.invalid. Other violations land in messages.record.invalid.
+ */
+export function validateMessageRecord(input: unknown): Result<true> {
+  const validate = getValidator();
+  if (validate(input)) return ok(true);
+  // An `if` error only says "the then-branch failed"; that branch's own
+  // errors are reported alongside it.
+  const errors = (validate.errors ?? [])
+    .filter((e) => e.keyword !== 'if')
+    .map(ajvErrorToDiagnostic);
+  if (errors.length === 0) {
+    return err(
+      diagnostic({
+        rule: MESSAGE_RULES.RECORD_INVALID,
+        authority: 'kernel/messages',
+        message: 'Schema validation failed without producing errors.',
+      })
+    );
+  }
+  return err(errors);
+}
+
+/**
+ * Validate a structured body against its kind alone — for a caller that
+ * needs the body before it can build the record (e.g. to derive `text`).
+ * Errors point into the record (`/body/...`), as validateMessageRecord's do.
+ */
+export function validateMessageBody<K extends MessageKind>(
+  kind: K,
+  body: unknown
+): Result<MessageBodies[K]> {
+  const validate = getBodyValidator(kind);
+  if (validate(body)) return ok(body as MessageBodies[K]);
+  const errors = (validate.errors ?? []).map((e) =>
+    ajvErrorToDiagnostic({ ...e, instancePath: `/body${e.instancePath}` })
+  );
+  return err(
+    errors.length > 0
+      ? errors
+      : diagnostic({
+          rule: MESSAGE_RULES.BODY_INVALID,
+          authority: 'kernel/messages',
+          message: `Body does not fit kind ${kind}.`,
+        })
+  );
+}
+
+function ajvErrorToDiagnostic(e: ErrorObject): Diagnostic {
+  const pointer = e.instancePath || '/';
+  return diagnostic({
+    rule: pickRule(e),
+    authority: 'kernel/messages',
+    message: formatMessage(e),
+    subject: pointer,
+    location: { pointer },
+    data: {
+      ajvKeyword: e.keyword,
+      ajvParams: e.params,
+      ajvSchemaPath: e.schemaPath,
+    },
+  });
+}
+
+function pickRule(e: ErrorObject): string {
+  if (e.instancePath === '/kind') return MESSAGE_RULES.KIND_UNKNOWN;
+  if (e.instancePath.startsWith('/body') || e.keyword === 'dependentRequired') {
+    return MESSAGE_RULES.BODY_INVALID;
+  }
+  return MESSAGE_RULES.RECORD_INVALID;
+}
+
+function formatMessage(e: ErrorObject): string {
+  const params = (e.params ?? {}) as Record<string, unknown>;
+  const at = e.instancePath.length > 0 ? ` at ${e.instancePath}` : '';
+  switch (e.keyword) {
+    case 'additionalProperties':
+      return `Unknown field "${String(params['additionalProperty'])}"${at} is not permitted.`;
+    case 'required':
+      return `Missing required field "${String(params['missingProperty'])}"${at}.`;
+    case 'dependentRequired':
+      return `"${String(params['property'])}" requires "${String(params['missingProperty'])}".`;
+    case 'enum':
+      return `Value${at} not in permitted enum: ${JSON.stringify(params['allowedValues'])}.`;
+    case 'type':
+      return `Expected ${String(params['type'])}${at}.`;
+    default:
+      return `${e.message ?? `Schema violation (${e.keyword})`}${at}.`;
+  }
+}
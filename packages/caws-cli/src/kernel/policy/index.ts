@@ -11,15 +11,21 @@ import type { Policy } from './types';
 // waiver defined in `../waiver`. Avoid the name clash by aliasing
 // the legacy names with a `Budget` prefix.
 export type {
+  BudgetsPolicy,
   EditRules,
+  EventsPolicy,
+  EventsRotationPolicy,
+  ExternalGateConfig,
   GateConfig,
   GateId,
   GateMode,
+  PathBudget,
   Policy,
   RiskTierBudget,
   WaiversPolicy,
   WaiverApprover,
   WaiverDelta,
+  WorktreesPolicy,
   EffectiveBudget,
   SkipReason,
   AppliedWaiverEntry,
@@ -41,7 +47,8 @@ export { deriveBudget, type DeriveBudgetOptions } from './derive-budget';
  * Rule namespaces:
  *  - policy.yaml.*    parse layer
  *  - policy.schema.*  schema layer (AJV)
- *  - policy.semantic.* semantic layer (monotonicity, gate-mode warnings, root-passthrough warnings)
+ *  - policy.semantic.* semantic layer (monotonicity, gate-mode warnings, root-passthrough warnings,
+ *                      path-budget names)
  *  - policy.budget.*  budget derivation (separate function)
  */
 export function parseAndValidatePolicy(source: string, options: ParseOptions = {}): Result<Policy> {
@@ -23,6 +23,7 @@ export const POLICY_RULES = {
   CRITICAL_GATE_NOT_BLOCKING: 'policy.semantic.gates.critical_not_blocking',
   NON_GOVERNED_FORCE_USED: 'policy.semantic.non_governed_zones.force_used',
   ROOT_PASSTHROUGH_RISKY_FILE: 'policy.semantic.root_passthrough.risky_file',
+  PATH_BUDGET_DUPLICATE_NAME: 'policy.semantic.budgets.duplicate_name',
 
   // Budget derivation
   BUDGET_TIER_NOT_FOUND: 'policy.budget.tier_not_found',
@@ -15,9 +15,28 @@ export type GateMode = 'block' | 'warn' | 'skip';
 export interface RiskTierBudget {
   max_files: number;
   max_loc: number;
+  /** Lines deleted. Unbudgeted when absent. */
+  max_deleted_loc?: number;
   description?: string;
 }
 
+/** A per-module budget checked alongside the risk-tier budget. */
+export interface PathBudget {
+  name: string;
+  /** Globs or plain path prefixes, matched like scope.in. */
+  match: string[];
+  max_files: number;
+  max_loc: number;
+  max_deleted_loc?: number;
+  description?: string;
+}
+
+export interface BudgetsPolicy {
+  /** Generated/lock paths that count toward no budget. */
+  exclude?: string[];
+  paths?: PathBudget[];
+}
+
 export interface GateConfig {
   enabled: boolean;
   mode: GateMode;
@@ -25,6 +44,16 @@ export interface GateConfig {
   thresholds?: Record<string, unknown>;
 }
 
+/**
+ * A policy-declared gate outside the built-in vocabulary. CAWS runs
+ * `command` from the repo root and merges the gate report it prints into
+ * the same disposition/waiver/event pipeline as the built-in gates.
+ */
+export interface ExternalGateConfig extends GateConfig {
+  command: string[];
+  timeout_ms?: number;
+}
+
 export interface WaiversPolicy {
   min_approvers_for_budget_raise?: number;
   max_active_waivers_per_gate?: number;
@@ -37,6 +66,29 @@ export interface EditRules {
   require_dual_control_for_governance?: boolean;
 }
 
+/** Thresholds for `caws events rotate --auto`; doctor reports when one is reached. */
+export interface EventsRotationPolicy {
+  /** Rotate once events.jsonl reaches this many bytes. */
+  max_bytes?: number;
+  /** Rotate once the live chain holds this many events. */
+  max_lines?: number;
+  /** Archives kept after an automatic rotation; older verified ones are pruned. */
+  retain_archives?: number;
+}
+
+export interface EventsPolicy {
+  signatures?: {
+    /** ISO-8601 cutoff; events at or after it must be signed. */
+    required_after?: string;
+  };
+  rotation?: EventsRotationPolicy;
+}
+
+export interface WorktreesPolicy {
+  /** Default `caws worktree merge` strategy; `merge` when unset. */
+  merge_strategy?: 'merge' | 'squash' | 'rebase' | 'ff-only';
+}
+
 export interface Policy {
   version: 1;
   risk_tiers: {
@@ -50,12 +102,16 @@ export interface Policy {
     scope_boundary: GateConfig;
     god_object?: GateConfig;
     todo_detection?: GateConfig;
+    [gateId: string]: GateConfig | ExternalGateConfig | undefined;
   };
+  budgets?: BudgetsPolicy;
   waivers?: WaiversPolicy;
   non_governed_zones?: string[];
   non_governed_zones_force?: boolean;
   root_passthrough?: string[];
   edit_rules?: EditRules;
+  events?: EventsPolicy;
+  worktrees?: WorktreesPolicy;
 }
 
 // --- Waiver types (no schema file yet; lives in .caws/waivers/) ---
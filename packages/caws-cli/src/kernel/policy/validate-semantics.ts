@@ -15,6 +15,7 @@ export interface SemanticOptions {
  *
  * Errors:
  *  - Non-monotonic risk tiers (T1 max > T2 max, etc.)
+ *  - Two budgets.paths buckets sharing a name
  *
  * Warnings (returned as Ok with warnings, not Err):
  *  - non_governed_zones_force: true is in effect
@@ -60,6 +61,25 @@ export function validatePolicySemantics(policy: Policy, options: SemanticOptions
     );
   }
 
+  // Bucket names identify which budget overflowed; a duplicate would make
+  // the violation ambiguous.
+  const seenBuckets = new Set<string>();
+  for (const [idx, bucket] of (policy.budgets?.paths ?? []).entries()) {
+    if (seenBuckets.has(bucket.name)) {
+      errors.push(
+        diagnostic({
+          rule: POLICY_RULES.PATH_BUDGET_DUPLICATE_NAME,
+          authority: 'kernel/policy',
+          message: `budgets.paths declares "${bucket.name}" more than once.`,
+          subject: subjectBase,
+          location: { pointer: `/budgets/paths/${idx}/name` },
+          narrowRepair: 'Give each path budget a unique name, or merge the duplicates into one bucket with several match globs.',
+        }),
+      );
+    }
+    seenBuckets.add(bucket.name);
+  }
+
   // --- Warnings ---
 
   // Critical gates should default to block mode.
@@ -31,8 +31,10 @@ export interface ShapeValidateOptions {
  * Validate an unknown value against policy.v1.json.
  *
  * Stable rule ids cover the well-known drifts: label on tier objects,
- * misplaced approvers, unknown gate, unknown gate mode, missing required
- * gates, broad non_governed_zones, slash-containing root_passthrough.
+ * misplaced approvers, unknown gate (a non-built-in key without the
+ * `command` that would make it an external gate), unknown gate mode,
+ * missing required gates, broad non_governed_zones, slash-containing
+ * root_passthrough.
  * Other AJV violations land in policy.schema.violation.
  */
 export function validatePolicyShape(input: unknown, options: ShapeValidateOptions = {}): Result<Policy> {
@@ -99,8 +101,9 @@ function pickStableRule(e: ErrorObject): string {
     return POLICY_RULES.MISPLACED_APPROVERS_FIELD;
   }
 
-  // additionalProperties: false on /gates with an unrecognized gate name
-  if (e.keyword === 'additionalProperties' && additional !== undefined && e.instancePath === '/gates') {
+  // A non-built-in key under /gates is read as an external gate; without a
+  // command it is an unrecognized gate name (typically a typo).
+  if (isExternalGateMissingCommand(e) || (e.keyword === 'propertyNames' && e.instancePath === '/gates')) {
     return POLICY_RULES.UNKNOWN_GATE;
   }
 
@@ -127,7 +130,15 @@ function pickStableRule(e: ErrorObject): string {
   return POLICY_RULES.SCHEMA_VIOLATION;
 }
 
+function isExternalGateMissingCommand(e: ErrorObject): boolean {
+  const params = (e.params ?? {}) as Record<string, unknown>;
+  return e.keyword === 'required' && params['missingProperty'] === 'command' && /^\/gates\/[^/]+$/.test(e.instancePath);
+}
+
 function formatMessage(e: ErrorObject): string {
+  if (isExternalGateMissingCommand(e)) {
+    return `Unknown gate "${e.instancePath.slice('/gates/'.length)}": not a built-in gate and no command declared.`;
+  }
   const params = (e.params ?? {}) as Record<string, unknown>;
   switch (e.keyword) {
     case 'additionalProperties':
@@ -158,14 +169,20 @@ function formatRepair(e: ErrorObject): string | undefined {
     if (additional === 'min_approvers_for_budget_raise' && e.instancePath === '/edit_rules') {
       return 'Move min_approvers_for_budget_raise from edit_rules to waivers.';
     }
-    if (additional !== undefined && e.instancePath === '/gates') {
-      return `Remove "${additional}" from gates. Allowed gates: budget_limit, spec_completeness, scope_boundary, god_object, todo_detection.`;
-    }
     if (additional !== undefined) {
       return `Remove field "${additional}" — the schema admits no other fields here.`;
     }
   }
 
+  if (isExternalGateMissingCommand(e)) {
+    const gate = e.instancePath.slice('/gates/'.length);
+    return `Remove "${gate}" from gates, or add command: [<argv>] to declare it as an external gate. Built-in gates: budget_limit, spec_completeness, scope_boundary, god_object, todo_detection.`;
+  }
+
+  if (e.keyword === 'propertyNames' && e.instancePath === '/gates') {
+    return 'Gate ids must be lowercase snake_case (^[a-z][a-z0-9_]*$).';
+  }
+
   if (e.keyword === 'enum' && e.instancePath.endsWith('/mode') && e.instancePath.startsWith('/gates/')) {
     return 'Use one of: block, warn, skip.';
   }
@@ -0,0 +1,299 @@
+/**
+ * Spec dependency graph — cross-spec reference integrity.
+ *
+ * successors.ts stays an existence oracle for the close gate. This module is
+ * the graph authority its header defers to: it reads `successors`,
+ * `supersedes` and `superseded_by` across the whole corpus and reports three
+ * facts no single-spec validation can see:
+ *
+ *   - cycles          a chain of successions that leads back to its start
+ *   - dangling edges  a reference to a spec id the corpus does not contain
+ *   - contradictions  two specs that disagree about who superseded whom
+ *
+ * EDGE DIRECTION. Every edge is stored as declared (from the spec that
+ * carries the field, to the id it names). Cycle detection runs over the
+ * PRECEDENCE reading of those edges, where an edge points from earlier work
+ * to later work: a successor, an absorbing spec, and a `superseded_by`
+ * target come after the declaring spec; a `supersedes` target comes before
+ * it. A consistent pair (A.superseded_by = B, B.supersedes = A) therefore
+ * reads as one direction twice, never as a cycle.
+ *
+ * DANGLING, BY LIFECYCLE. Supersession references must always resolve. A
+ * successor obligation on a draft or active spec may legitimately name a
+ * spec not yet authored — the close gate demands it only at close — so
+ * successor and absorbed_by edges dangle only from closed specs.
+ *
+ * ARCHIVE. Archived specs are nodes without outgoing edges: the archive is
+ * too large to parse on every read, and an archived id only has to EXIST for
+ * a reference to it to resolve (see successors.ts on custody).
+ *
+ * PURITY. The corpus is injected; nothing here touches the filesystem.
+ */
+
+import type { LifecycleState, Spec, SuccessorDisposition } from './types';
+
+export type SpecGraphEdgeKind = 'successor' | 'absorbed_by' | 'supersedes' | 'superseded_by';
+
+export interface SpecGraphNode {
+  id: string;
+  lifecycle_state: LifecycleState;
+  archived: boolean;
+  title?: string;
+}
+
+export interface SpecGraphEdge {
+  from: string;
+  to: string;
+  kind: SpecGraphEdgeKind;
+  /** JSON pointer of the declaring field in the `from` spec. */
+  pointer: string;
+  /** Present on successor and absorbed_by edges. */
+  disposition?: SuccessorDisposition;
+}
+
+export interface SpecGraph {
+  /** Sorted by id. */
+  nodes: SpecGraphNode[];
+  /** In declaration order, grouped by declaring spec (sorted by id). */
+  edges: SpecGraphEdge[];
+}
+
+export type SpecGraphContradictionKind =
+  /** One spec names the same id as both its predecessor and its successor. */
+  | 'supersedes_and_superseded_by_same'
+  /** A.superseded_by = B, but B.supersedes names some other spec. */
+  | 'superseded_by_disagrees'
+  /** A.supersedes = B, but B.superseded_by names some other spec. */
+  | 'supersedes_disagrees';
+
+export interface SpecGraphContradiction {
+  kind: SpecGraphContradictionKind;
+  /** The spec whose declaration is contradicted. */
+  spec_id: string;
+  /** The spec it names. */
+  other_id: string;
+  /** What `other_id` declares instead. */
+  other_declares?: string;
+}
+
+export interface SpecGraphAnalysis {
+  /** Each cycle's member ids, sorted; cycles sorted by first member. */
+  cycles: string[][];
+  dangling: SpecGraphEdge[];
+  contradictions: SpecGraphContradiction[];
+}
+
+export interface SpecGraphInput {
+  /** Live specs, parsed. */
+  readonly specs: readonly Spec[];
+  /** Ids present only in the archive. Live ids win on overlap. */
+  readonly archivedIds?: readonly string[] | undefined;
+}
+
+function declaredEdges(spec: Spec): SpecGraphEdge[] {
+  const edges: SpecGraphEdge[] = [];
+  if (spec.supersedes !== undefined) {
+    edges.push({ from: spec.id, to: spec.supersedes, kind: 'supersedes', pointer: '/supersedes' });
+  }
+  if (spec.superseded_by !== undefined) {
+    edges.push({
+      from: spec.id,
+      to: spec.superseded_by,
+      kind: 'superseded_by',
+      pointer: '/superseded_by',
+    });
+  }
+  (spec.successors ?? []).forEach((s, index) => {
+    // Mirrors the close gate's custody rule: a required successor is the
+    // target; an absorbed one is carried by absorbed_by; a declined one
+    // names work nobody will author and is not an edge.
+    if (s.disposition === 'required') {
+      edges.push({
+        from: spec.id,
+        to: s.target_spec_id,
+        kind: 'successor',
+        pointer: `/successors/${index}/target_spec_id`,
+        disposition: s.disposition,
+      });
+    } else if (s.disposition === 'absorbed' && s.absorbed_by !== undefined) {
+      edges.push({
+        from: spec.id,
+        to: s.absorbed_by,
+        kind: 'absorbed_by',
+        pointer: `/successors/${index}/absorbed_by`,
+        disposition: s.disposition,
+      });
+    }
+  });
+  return edges;
+}
+
+/** Build the graph over live specs plus archived ids. */
+export function buildSpecGraph(input: SpecGraphInput): SpecGraph {
+  const nodes = new Map<string, SpecGraphNode>();
+  for (const spec of input.specs) {
+    if (nodes.has(spec.id)) continue;
+    nodes.set(spec.id, {
+      id: spec.id,
+      lifecycle_state: spec.lifecycle_state,
+      archived: false,
+      title: spec.title,
+    });
+  }
+  for (const id of input.archivedIds ?? []) {
+    if (nodes.has(id)) continue;
+    nodes.set(id, { id, lifecycle_state: 'archived', archived: true });
+  }
+  const specs = [...input.specs].sort((a, b) => a.id.localeCompare(b.id));
+  return {
+    nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+    edges: specs.flatMap(declaredEdges),
+  };
+}
+
+/** Precedence reading of an edge: `[earlier, later]`. */
+function precedence(edge: SpecGraphEdge): readonly [string, string] {
+  return edge.kind === 'supersedes' ? [edge.to, edge.from] : [edge.from, edge.to];
+}
+
+/**
+ * Strongly connected components with more than one member, or with a
+ * self-edge. Iterative Tarjan: a 2,500-spec corpus must not recurse 2,500
+ * frames deep on a long succession chain.
+ */
+function findCycles(ids: readonly string[], edges: readonly SpecGraphEdge[]): string[][] {
+  const adjacency = new Map<string, string[]>(ids.map((id) => [id, []]));
+  const selfLoops = new Set<string>();
+  for (const edge of edges) {
+    const [a, b] = precedence(edge);
+    const next = adjacency.get(a);
+    if (next === undefined || !adjacency.has(b)) continue;
+    if (a === b) selfLoops.add(a);
+    next.push(b);
+  }
+
+  const index = new Map<string, number>();
+  const low = new Map<string, number>();
+  const onStack = new Set<string>();
+  const stack: string[] = [];
+  const cycles: string[][] = [];
+  let counter = 0;
+
+  for (const root of ids) {
+    if (index.has(root)) continue;
+    const work: { id: string; next: number }[] = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    low.set(root, counter);
+    counter++;
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1] as { id: string; next: number };
+      const successors = adjacency.get(frame.id) ?? [];
+      if (frame.next < successors.length) {
+        const w = successors[frame.next++] as string;
+        if (!index.has(w)) {
+          index.set(w, counter);
+          low.set(w, counter);
+          counter++;
+          stack.push(w);
+          onStack.add(w);
+          work.push({ id: w, next: 0 });
+        } else if (onStack.has(w)) {
+          low.set(frame.id, Math.min(low.get(frame.id) as number, index.get(w) as number));
+        }
+        continue;
+      }
+      work.pop();
+      const parent = work[work.length - 1];
+      if (parent !== undefined) {
+        low.set(parent.id, Math.min(low.get(parent.id) as number, low.get(frame.id) as number));
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const component: string[] = [];
+        let w: string | undefined;
+        do {
+          w = stack.pop() as string;
+          onStack.delete(w);
+          component.push(w);
+        } while (w !== frame.id);
+        if (component.length > 1 || selfLoops.has(frame.id)) {
+          cycles.push(component.sort());
+        }
+      }
+    }
+  }
+  return cycles.sort((a, b) => (a[0] as string).localeCompare(b[0] as string));
+}
+
+function findContradictions(specs: readonly Spec[]): SpecGraphContradiction[] {
+  const byId = new Map(specs.map((s) => [s.id, s] as const));
+  const found = new Map<string, SpecGraphContradiction>();
+  const add = (c: SpecGraphContradiction): void => {
+    const key = `${c.kind}:${c.spec_id}:${c.other_id}`;
+    if (!found.has(key)) found.set(key, c);
+  };
+  for (const spec of specs) {
+    if (spec.supersedes !== undefined && spec.supersedes === spec.superseded_by) {
+      add({
+        kind: 'supersedes_and_superseded_by_same',
+        spec_id: spec.id,
+        other_id: spec.supersedes,
+      });
+    }
+    if (spec.superseded_by !== undefined) {
+      const other = byId.get(spec.superseded_by);
+      if (other?.supersedes !== undefined && other.supersedes !== spec.id) {
+        add({
+          kind: 'superseded_by_disagrees',
+          spec_id: spec.id,
+          other_id: other.id,
+          other_declares: other.supersedes,
+        });
+      }
+    }
+    if (spec.supersedes !== undefined) {
+      const other = byId.get(spec.supersedes);
+      if (other?.superseded_by !== undefined && other.superseded_by !== spec.id) {
+        add({
+          kind: 'supersedes_disagrees',
+          spec_id: spec.id,
+          other_id: other.id,
+          other_declares: other.superseded_by,
+        });
+      }
+    }
+  }
+  return [...found.values()].sort(
+    (a, b) => a.spec_id.localeCompare(b.spec_id) || a.kind.localeCompare(b.kind)
+  );
+}
+
+/**
+ * Cycles, dangling edges and contradictions over an injected corpus.
+ *
+ * Pass `archivedIds: undefined` when the archive could not be observed:
+ * dangling-edge detection is then skipped rather than reporting every
+ * reference to an archived spec as missing.
+ */
+export function analyzeSpecGraph(input: SpecGraphInput): SpecGraphAnalysis {
+  const graph = buildSpecGraph(input);
+  const known = new Map(graph.nodes.map((n) => [n.id, n] as const));
+  const dangling =
+    input.archivedIds === undefined
+      ? []
+      : graph.edges.filter((edge) => {
+          if (known.has(edge.to)) return false;
+          if (edge.kind === 'supersedes' || edge.kind === 'superseded_by') return true;
+          return known.get(edge.from)?.lifecycle_state === 'closed';
+        });
+  return {
+    cycles: findCycles(
+      graph.nodes.map((n) => n.id),
+      graph.edges
+    ),
+    dangling,
+    contradictions: findContradictions(input.specs),
+  };
+}
@@ -22,6 +22,18 @@ export {
   findUnresolvedObligations,
   projectSuccessorsForEvent,
 } from './successors';
+export {
+  type SpecGraph,
+  type SpecGraphAnalysis,
+  type SpecGraphContradiction,
+  type SpecGraphContradictionKind,
+  type SpecGraphEdge,
+  type SpecGraphEdgeKind,
+  type SpecGraphInput,
+  type SpecGraphNode,
+  analyzeSpecGraph,
+  buildSpecGraph,
+} from './graph';
 export {
   MIGRATE_RULES,
   type MigrateRule,
@@ -10,8 +10,8 @@
  * analysis beyond the direct self-reference already caught in
  * validate-semantics, any requirement that a successor COMPLETE, retroactive
  * mutation, and heuristic prose inference anywhere in the blocking path.
- * General supersedes/superseded_by graph integrity may reuse this substrate
- * in a later slice; it must not be absorbed into this one.
+ * General supersedes/superseded_by graph integrity lives in ./graph.ts,
+ * which reads the same declarations; it must not be absorbed into this one.
  *
  * PURITY. Nothing here touches the filesystem. The corpus is INJECTED by the
  * caller (the CLI's close preflight builds it by reading .caws/specs). That
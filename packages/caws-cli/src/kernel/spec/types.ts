@@ -131,6 +131,9 @@ export interface EvidenceRecord {
   exit_code?: number;
   artifact_path?: string;
   commit_sha?: string;
+  duration_ms?: number;
+  output_digest?: string;
+  dirty_tree?: true;
 }
 
 export interface Spec {
@@ -4,7 +4,11 @@
 // The kernel does not consult the filesystem and does not read
 // process time directly. All time inputs are passed by the caller.
 
+import { matchGlob } from '../scope/match';
+import { normalizeRelativePosixPath } from '../scope/normalize';
+
 import type { Waiver, WaiverEffectiveness } from './types';
+import { isWaiverExhausted, type WaiverUsage } from './usage';
 
 /**
  * Classify a single waiver in isolation. Returns:
@@ -12,14 +16,22 @@ import type { Waiver, WaiverEffectiveness } from './types';
  *   - 'active'         : usable for filtering
  *   - 'revoked'        : status === 'revoked'
  *   - 'expired'        : status === 'active' but expires_at <= now
- *   - 'not_applicable' : a future shape (max_uses exhausted etc.)
+ *   - 'not_applicable' : active and unexpired, but `constraints.max_uses`
+ *                        is exhausted according to `usage`
  *
- * "Expired" is purely derived; the stored status remains 'active'.
+ * "Expired" and "not_applicable" are purely derived; the stored status
+ * remains 'active'. When `usage` is omitted the cap is not consulted —
+ * callers that have no ledger get the time/status classification only.
  */
-export function waiverEffectiveness(waiver: Waiver, now: Date): WaiverEffectiveness {
+export function waiverEffectiveness(
+  waiver: Waiver,
+  now: Date,
+  usage?: WaiverUsage
+): WaiverEffectiveness {
   if (waiver.status === 'revoked') return 'revoked';
   const expiresAt = Date.parse(waiver.expires_at);
   if (!Number.isFinite(expiresAt) || expiresAt <= now.getTime()) return 'expired';
+  if (usage !== undefined && isWaiverExhausted(waiver, usage)) return 'not_applicable';
   return 'active';
 }
 
@@ -32,6 +44,23 @@ export interface EffectiveWaiversInput {
    * scope.spec_id filtering is bypassed.
    */
   readonly specId?: string;
+  /**
+   * The file of the violation being considered. Three states:
+   *
+   *   - omitted   : `scope.paths` is not consulted (gate-level questions
+   *                 such as "does any waiver cover this gate?")
+   *   - null      : the violation carries no file; path-scoped waivers
+   *                 do not apply to it
+   *   - a string  : path-scoped waivers apply only when one of their
+   *                 globs matches it
+   */
+  readonly path?: string | null;
+  /**
+   * Usage ledger (see `deriveWaiverUsage`). When supplied, waivers whose
+   * `constraints.max_uses` is exhausted are not effective. When omitted,
+   * the cap is not consulted.
+   */
+  readonly usage?: WaiverUsage;
   readonly now: Date;
 }
 
@@ -39,25 +68,35 @@ export interface EffectiveWaiversInput {
  * Return the subset of waivers that are currently effective for the
  * given gate and (optional) spec id. A waiver is effective iff:
  *
- *   - waiverEffectiveness(w, now) === 'active'
+ *   - waiverEffectiveness(w, now, usage) === 'active' (so an exhausted
+ *     max_uses cap excludes it when a ledger is supplied)
  *   - w.gates includes `gate`
  *   - w.scope.spec_id is absent, OR equals input.specId
+ *   - w.scope.paths is absent, OR input.path is omitted, OR input.path
+ *     matches one of its globs
  *
- * `scope.paths` is intentionally NOT consulted in this slice. Path-aware
- * waivering belongs to a later slice; doing it half-way here would lead
- * to silent over- or under-application.
+ * The path is normalized lexically first (leading './' stripped); a path
+ * the scope kernel would refuse never matches. A path-scoped waiver is
+ * never effective for a file-less violation: silently widening it to the
+ * whole gate would forgive exactly what the author chose not to.
  */
 export function effectiveWaiversForGate(
   input: EffectiveWaiversInput
 ): readonly Waiver[] {
   const out: Waiver[] = [];
   for (const w of input.waivers) {
-    if (waiverEffectiveness(w, input.now) !== 'active') continue;
+    if (waiverEffectiveness(w, input.now, input.usage) !== 'active') continue;
     if (!w.gates.includes(input.gate)) continue;
     if (w.scope?.spec_id !== undefined) {
       if (input.specId === undefined) continue;
       if (w.scope.spec_id !== input.specId) continue;
     }
+    if (w.scope?.paths !== undefined && input.path !== undefined) {
+      if (input.path === null) continue;
+      const normalized = normalizeRelativePosixPath(input.path);
+      if (!normalized.ok) continue;
+      if (matchGlob(normalized.normalized, w.scope.paths) === null) continue;
+    }
     out.push(w);
   }
   return out;
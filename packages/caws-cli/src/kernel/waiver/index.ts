@@ -17,3 +17,11 @@ export {
   waiverEffectiveness,
 } from './applicability';
 export type { EffectiveWaiversInput } from './applicability';
+
+export {
+  deriveWaiverUsage,
+  isWaiverExhausted,
+  waiverUses,
+  waiverUsesRemaining,
+} from './usage';
+export type { WaiverUsage, WaiverUsageEvent } from './usage';
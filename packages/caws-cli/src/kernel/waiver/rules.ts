@@ -10,6 +10,7 @@ export const WAIVER_RULES = {
   WAIVER_INVALID_REASON: 'waiver.schema.invalid_reason',
   WAIVER_INVALID_APPROVED_BY: 'waiver.schema.invalid_approved_by',
   WAIVER_INVALID_CREATED_AT: 'waiver.schema.invalid_created_at',
+  WAIVER_INVALID_SCOPE_PATHS: 'waiver.schema.invalid_scope_paths',
   WAIVER_REVOKED_WITHOUT_RECORD:
     'waiver.schema.revoked_without_revocation_record',
   WAIVER_ACTIVE_WITH_REVOCATION:
@@ -12,9 +12,9 @@
 // lifecycle race where a waiver must be rewritten just because time
 // passed; instead, applicability is evaluated at consult time.
 //
-// `scope.paths` is intentionally absent from this slice. Path-aware
-// waivering is deferred to a future slice rather than half-implemented
-// here.
+// `scope.paths` narrows a waiver to violations whose `file` matches one
+// of its globs (same `matchGlob` semantics as spec scope). A path-scoped
+// waiver never forgives a violation that carries no file.
 
 export type WaiverStatus = 'active' | 'revoked';
 
@@ -25,14 +25,22 @@ export interface WaiverScope {
    * this field as part of effectiveWaiversForGate.
    */
   readonly spec_id?: string;
+  /**
+   * Limit the waiver to violations whose `file` matches one of these
+   * globs (kernel `matchGlob`: picomatch, dotfiles included, plain
+   * entries match the path itself or anything beneath it). When omitted,
+   * the waiver covers every violation of its gates. Non-empty when
+   * present.
+   */
+  readonly paths?: readonly string[];
 }
 
 export interface WaiverConstraints {
   /**
-   * Optional max-uses constraint. The kernel does NOT enforce this —
-   * usage counting requires runtime state. The field is preserved on
-   * load/write for future runtime evaluation; doctor may flag waivers
-   * that have hit their cap once usage tracking exists.
+   * Optional cap on how many times the waiver may be relied on. Uses are
+   * derived from `waiver_applied` events (see usage.ts), never stored on
+   * the waiver. Once the cap is reached the waiver classifies as
+   * 'not_applicable' and stops suppressing violations.
    */
   readonly max_uses?: number;
 }
@@ -0,0 +1,72 @@
+// Waiver usage ledger — derived, never stored.
+//
+// `constraints.max_uses` caps how many times a waiver may be relied on.
+// The count is not a field on the waiver (that would need a rewrite on
+// every use and would race like a stored 'expired' status would); it is
+// derived from the append-only event log. Every `waiver_applied` event
+// names one waiver and records one use.
+//
+// What counts as a use is the emitter's contract: `caws gates run` appends
+// one `waiver_applied` per waiver it credited in that run, however many
+// violations the waiver suppressed in it. A rotation that prunes archives
+// carries the uses recorded in them forward as `chain_rotated.waiver_usage`,
+// which counts the same as that many waiver_applied events.
+
+import type { Waiver } from './types';
+
+/** Uses per waiver id. Ids with no recorded use are absent. */
+export type WaiverUsage = Readonly<Record<string, number>>;
+
+/** The subset of an event the ledger reads. `ChainedEvent` satisfies it. */
+export interface WaiverUsageEvent {
+  readonly event: string;
+  readonly data?: unknown;
+}
+
+/**
+ * Count `waiver_applied` events per `data.waiver_id`, plus the counts a
+ * `chain_rotated` event carries in `data.waiver_usage`. Events of other
+ * types, and waiver_applied events without a string waiver_id, are
+ * ignored. Pass events oldest-first across every chain segment the
+ * caller wants counted (archives included) — the ledger is only as
+ * complete as its input.
+ */
+export function deriveWaiverUsage(events: readonly WaiverUsageEvent[]): WaiverUsage {
+  const usage: Record<string, number> = {};
+  for (const ev of events) {
+    if (ev.event === 'chain_rotated') {
+      const carried = (ev.data as { waiver_usage?: unknown } | undefined)?.waiver_usage;
+      if (typeof carried !== 'object' || carried === null) continue;
+      for (const [id, n] of Object.entries(carried)) {
+        if (Number.isInteger(n) && n > 0) usage[id] = (usage[id] ?? 0) + n;
+      }
+      continue;
+    }
+    if (ev.event !== 'waiver_applied') continue;
+    const data = ev.data as { waiver_id?: unknown } | undefined;
+    const id = data?.waiver_id;
+    if (typeof id !== 'string' || id.length === 0) continue;
+    usage[id] = (usage[id] ?? 0) + 1;
+  }
+  return usage;
+}
+
+/** Recorded uses of `waiver` (0 when the ledger has none). */
+export function waiverUses(waiver: Waiver, usage: WaiverUsage): number {
+  return usage[waiver.id] ?? 0;
+}
+
+/**
+ * Uses left before the cap, floored at 0. Null when the waiver declares
+ * no `max_uses` (uncapped).
+ */
+export function waiverUsesRemaining(waiver: Waiver, usage: WaiverUsage): number | null {
+  const max = waiver.constraints?.max_uses;
+  if (max === undefined) return null;
+  return Math.max(0, max - waiverUses(waiver, usage));
+}
+
+/** True iff the waiver is capped and its recorded uses reached the cap. */
+export function isWaiverExhausted(waiver: Waiver, usage: WaiverUsage): boolean {
+  return waiverUsesRemaining(waiver, usage) === 0;
+}
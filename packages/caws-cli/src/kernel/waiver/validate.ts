@@ -41,6 +41,8 @@ function isStatus(value: unknown): value is WaiverStatus {
  *   - status='active'  must NOT carry a `revocation` record
  *   - status='revoked' must carry a `revocation` record with `revoked_at`
  *   - gates must be a non-empty array of non-empty strings
+ *   - scope.paths, when present, must be a non-empty array of non-empty
+ *     strings
  *
  * `expires_at` is required and must be an ISO-8601 datetime. Whether the
  * waiver is currently expired is a separate question (see applicability).
@@ -162,11 +164,24 @@ export function validateWaiver(input: unknown): Result<Waiver> {
         )
       );
     }
-    if (typeof s['spec_id'] === 'string') {
-      scope = { spec_id: s['spec_id'] };
-    } else {
-      scope = {};
+    if (
+      s['paths'] !== undefined &&
+      (!Array.isArray(s['paths']) ||
+        s['paths'].length === 0 ||
+        !s['paths'].every((p) => typeof p === 'string' && p.trim().length > 0))
+    ) {
+      return err(
+        waiverDiag(
+          WAIVER_RULES.WAIVER_INVALID_SCOPE_PATHS,
+          'Waiver scope.paths must be a non-empty array of non-empty glob strings when present.',
+          id
+        )
+      );
     }
+    scope = {
+      ...(typeof s['spec_id'] === 'string' ? { spec_id: s['spec_id'] } : {}),
+      ...(Array.isArray(s['paths']) ? { paths: s['paths'].slice() as string[] } : {}),
+    };
   }
 
   // Optional constraints
@@ -37,6 +37,16 @@ export type { RefreshAgentClaimOptions } from './freshness';
 
 export { canTransitionSpecWithWorktree } from './transitions';
 
+export {
+  DEFAULT_WORKTREE_MERGE_STRATEGY,
+  WORKTREE_MERGE_STRATEGIES,
+  WORKTREE_SYNC_STRATEGIES,
+  isWorktreeMergeStrategy,
+  isWorktreeSyncStrategy,
+  mergeStrategyWritesCommit,
+} from './merge-strategy';
+export type { WorktreeMergeStrategy, WorktreeSyncStrategy } from './merge-strategy';
+
 // ─── leases (MULTI-AGENT-ACTIVITY-REGISTRY-001) ──────────────────────────
 //
 // Liveness substrate separate from the legacy agents.json/freshness surface.
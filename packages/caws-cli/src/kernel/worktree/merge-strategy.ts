@@ -0,0 +1,38 @@
+// How `caws worktree merge` lands a lane on its base branch.
+//
+//   merge    a --no-ff merge commit (base, lane tip) — the default
+//   squash   one single-parent commit holding the lane's net changes
+//   rebase   the lane's commits replayed onto the base, one by one
+//   ff-only  the base advanced to the lane tip; refused once the base moved
+//
+// The choice comes from `--strategy`, else policy.yaml
+// `worktrees.merge_strategy`, else `merge`. Whatever the strategy, the
+// store advances the base with the same compare-and-swap.
+//
+// `caws worktree sync` moves the other way — the base into the lane — and
+// offers only the two strategies that keep the lane's own work: `merge`
+// (a merge commit on the lane, the default) and `rebase`.
+
+export const WORKTREE_MERGE_STRATEGIES = ['merge', 'squash', 'rebase', 'ff-only'] as const;
+export type WorktreeMergeStrategy = (typeof WORKTREE_MERGE_STRATEGIES)[number];
+
+export const DEFAULT_WORKTREE_MERGE_STRATEGY: WorktreeMergeStrategy = 'merge';
+
+export function isWorktreeMergeStrategy(value: string): value is WorktreeMergeStrategy {
+  return (WORKTREE_MERGE_STRATEGIES as readonly string[]).includes(value);
+}
+
+/**
+ * Whether the strategy writes a commit of its own that a `--message`
+ * would name. rebase and ff-only land the lane's own commits.
+ */
+export function mergeStrategyWritesCommit(strategy: WorktreeMergeStrategy): boolean {
+  return strategy === 'merge' || strategy === 'squash';
+}
+
+export const WORKTREE_SYNC_STRATEGIES = ['merge', 'rebase'] as const;
+export type WorktreeSyncStrategy = (typeof WORKTREE_SYNC_STRATEGIES)[number];
+
+export function isWorktreeSyncStrategy(value: string): value is WorktreeSyncStrategy {
+  return (WORKTREE_SYNC_STRATEGIES as readonly string[]).includes(value);
+}
@@ -92,6 +92,13 @@ export interface WorktreeRecord {
    * before this field existed, which reads as indeterminate.
    */
   readonly baseSha?: string;
+  /**
+   * The worktree this one is stacked on (`caws worktree create --on`). Its
+   * baseBranch is then the parent's branch, and it may not merge until the
+   * parent has. Cleared when the parent merges and the child is re-targeted
+   * onto the parent's base.
+   */
+  readonly parent?: string;
   /** The current ownership claim. */
   readonly owner?: SessionIdentity;
   /** Heartbeat for the current owner. ISO-8601. */
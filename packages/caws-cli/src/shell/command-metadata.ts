@@ -30,10 +30,14 @@
 //     same-slice scope.in is the discipline that keeps it honest.
 
 import {
+  EVENT_EXPORT_FORMATS,
   EVIDENCE_STATUSES,
+  MESSAGE_KINDS,
   RISK_TIERS,
   SPEC_MODES,
   SPEC_RESOLUTIONS,
+  WORKTREE_MERGE_STRATEGIES,
+  WORKTREE_SYNC_STRATEGIES,
 } from '../kernel';
 import { SPECS_LIST_STATUSES } from '../store/specs-writer';
 import { KNOWN_SURFACES } from '../init/hook-packs/register';
@@ -129,6 +133,21 @@ export interface GroupCommandMeta {
 /** Either a flat leaf command or a group with subcommands. */
 export type CommandMeta = LeafCommandMeta | GroupCommandMeta;
 
+/** The single source of truth for a leaf's declared positionals, whether
+ * authored as one `argument` or as an ordered `arguments` list — every other
+ * reader (register.ts's leafCommandName and guardExcessArguments, the MCP
+ * tool generator) goes through this so a leaf's advertised shape and its
+ * enforced shape can never diverge again
+ * (CAWS-DEFECT-INIT-ACTION-POSITIONALS-REFUSED-01: init declared its two
+ * positionals only via bolted-on `.argument()` calls in register.ts, which
+ * the excess-argument guard's Commander-arg-count check never saw, so
+ * `init diff` and `init port <path>` were refused before their action ran). */
+export function declaredArguments(leaf: LeafCommandMeta): readonly CommandArgMeta[] {
+  if (leaf.arguments !== undefined) return leaf.arguments;
+  if (leaf.argument !== undefined) return [leaf.argument];
+  return [];
+}
+
 /**
  * The `--data` option appears on every leaf command in the surface. Declaring
  * it once keeps the per-command metadata focused on what is distinctive.
@@ -147,7 +166,7 @@ export const SPECS_COMMAND_META: GroupCommandMeta = {
   kind: 'group',
   name: 'specs',
   description:
-    'Manage CAWS spec lifecycle (create/list/show/recover/restore/retire-draft/prune-drafts/activate/deactivate/amend/amend-scope/evidence/close/reopen/archive/prune-archive/migrate/validate)',
+    'Manage CAWS spec lifecycle (create/list/show/recover/restore/retire-draft/prune-drafts/activate/deactivate/amend/amend-scope/evidence/verify/close/reopen/archive/prune-archive/migrate/validate/graph)',
   options: [
     {
       flag: '--status <status>',
@@ -491,6 +510,23 @@ export const SPECS_COMMAND_META: GroupCommandMeta = {
         DATA_OPTION,
       ],
     },
+    {
+      kind: 'leaf',
+      name: 'verify',
+      argument: { name: 'id', required: true, description: 'Active or draft spec id whose acceptance criteria to run' },
+      description:
+        "Run each acceptance criterion's declared test_command from the repo root and record the verdict on the spec's evidence: block with an ac_recorded event — the same dual-write as caws specs evidence, but the status comes from the exit code (0 = pass, anything else, a signal or a timeout = fail). Each record carries the command, exit code, duration, sha256 output digest and the HEAD commit the command ran against. Criteria without a test_command are skipped. Refusals (unknown criterion, no test_command, closed spec) happen before anything runs. Exits 0 when every criterion run passed, 1 otherwise.",
+      options: [
+        {
+          flag: '--criterion <id>',
+          description: 'Run only this criterion (repeatable); it must declare a test_command',
+          collect: true,
+        },
+        { flag: '--timeout-ms <n>', description: 'Per-criterion time limit in milliseconds (default 600000)' },
+        { flag: '--json', description: 'Emit the results as JSON on stdout' },
+        DATA_OPTION,
+      ],
+    },
     {
       kind: 'leaf',
       name: 'reopen',
@@ -623,6 +659,19 @@ export const SPECS_COMMAND_META: GroupCommandMeta = {
         'Validate a spec YAML FILE on disk using the CLI\'s own bundled parser and the kernel parse->shape->semantics pipeline. Path-shaped (takes a file path, not a spec id); does NOT resolve .caws/, read canonical state, or mutate anything. Exits 0 when valid, non-zero with a rendered diagnostic when invalid or unreadable. Lets hooks/CI validate spec YAML without carrying their own parser dependency — works for any consumer project regardless of language.',
       options: [DATA_OPTION],
     },
+    {
+      kind: 'leaf',
+      name: 'graph',
+      description:
+        'Draw the cross-spec reference graph (successors, supersedes, superseded_by) over live and archived specs. Archived specs are dashed, ids no spec carries are drawn as missing, and cycle edges are highlighted. Cycles, dangling edges and contradictory supersession pairs are listed on stderr (or in the JSON document); caws doctor reports the same issues as doctor.spec.graph_* findings. Read-only; exits 0 whether or not the graph has issues.',
+      options: [
+        {
+          flag: '--format <fmt>',
+          description: 'stdout format: dot (Graphviz, default), mermaid or json',
+        },
+        DATA_OPTION,
+      ],
+    },
   ],
 };
 
@@ -635,7 +684,7 @@ export const WORKTREE_COMMAND_META: GroupCommandMeta = {
   kind: 'group',
   name: 'worktree',
   description:
-    'Manage CAWS worktrees (create/list/bind/destroy/untrack/merge/migrate-registry/repair-sparse/repair/prune/cleanup-plan). Worktrees are git worktrees bound to active specs. Compatibility: `caws worktree --prune ...` is normalized to `caws worktree prune ...` before parsing.',
+    'Manage CAWS worktrees (create/list/bind/destroy/untrack/merge/sync/queue/conflicts/migrate-registry/repair-sparse/repair/prune/cleanup-plan). Worktrees are git worktrees bound to active specs. Compatibility: `caws worktree --prune ...` is normalized to `caws worktree prune ...` before parsing.',
   subcommands: [
     {
       kind: 'leaf',
@@ -650,13 +699,19 @@ export const WORKTREE_COMMAND_META: GroupCommandMeta = {
           description: 'Base branch to start from (default: current branch)',
         },
         { flag: '--branch <branch>', description: 'New branch name (default: worktree name)' },
+        {
+          flag: '--on <parent>',
+          description:
+            "Stack on a registered worktree: fork from its branch, which becomes the base. The new worktree merges only after the parent has, and is then re-targeted onto the parent's base",
+        },
         DATA_OPTION,
       ],
     },
     {
       kind: 'leaf',
       name: 'list',
-      description: 'List registered worktrees with branch, spec binding, and owner.',
+      description:
+        'List registered worktrees with branch, spec binding, and owner. Stacked worktrees (create --on) are indented under their parent.',
       options: [DATA_OPTION],
     },
     {
@@ -729,7 +784,7 @@ export const WORKTREE_COMMAND_META: GroupCommandMeta = {
       name: 'merge',
       argument: { name: 'name', required: true, description: 'Worktree name' },
       description:
-        'Merge a worktree branch into its base. Auto-closes the bound spec via caws specs close.',
+        "Merge a worktree branch into its base. Auto-closes the bound spec via caws specs close. A stacked worktree (create --on) is refused until its parent has merged; merging a parent re-targets its stacked worktrees onto the parent's base.",
       options: [
         { flag: '--dry-run', description: 'Validate prerequisites only; no git, no file writes, no events' },
         {
@@ -737,9 +792,16 @@ export const WORKTREE_COMMAND_META: GroupCommandMeta = {
           description:
             'Run the dry-run gate, then merge if ready (collapses --dry-run + real merge into one call). Refuses with findings if not ready; never forces.',
         },
+        {
+          flag: '--strategy <strategy>',
+          description:
+            'How the lane lands on the base (default: policy worktrees.merge_strategy, else merge). Every strategy advances the base by compare-and-swap.',
+          allowedValues: WORKTREE_MERGE_STRATEGIES,
+        },
         {
           flag: '--message <text>',
-          description: 'Custom merge commit message (default: merge(worktree): <name>)',
+          description:
+            'Custom merge commit message (default: merge(worktree): <name>, or squash(worktree): <name> under squash). Refused under rebase and ff-only.',
         },
         {
           flag: '--closure-notes <text>',
@@ -757,6 +819,46 @@ export const WORKTREE_COMMAND_META: GroupCommandMeta = {
         DATA_OPTION,
       ],
     },
+    {
+      kind: 'leaf',
+      name: 'sync',
+      argument: { name: 'name', required: true, description: 'Worktree name' },
+      description:
+        'Integrate the base branch into a worktree lane. Refuses a dirty worktree; a conflict is reported per path and leaves the lane untouched (nothing half-merged or half-rebased). Appends worktree_synced.',
+      options: [
+        {
+          flag: '--strategy <strategy>',
+          description: 'merge: a merge commit on the lane (default). rebase: replay the lane onto the base.',
+          allowedValues: WORKTREE_SYNC_STRATEGIES,
+        },
+        {
+          flag: '--dry-run',
+          description: 'Report how far behind the lane is and any conflicting paths; move nothing, append nothing.',
+        },
+        DATA_OPTION,
+      ],
+    },
+    {
+      kind: 'leaf',
+      name: 'queue',
+      arguments: [
+        { name: 'action', required: true, description: 'add | list | run' },
+        { name: 'name', required: false, description: 'add: the worktree to queue' },
+      ],
+      description:
+        'Ordered merge queue. `add <name>` queues a lane (owner only); `list` shows the order; `run` merges from the head, re-running `caws gates run` for each candidate against the base as the previous merge left it, and stops at the first candidate that conflicts, fails its gates or cannot merge.',
+      options: [DATA_OPTION],
+    },
+    {
+      kind: 'leaf',
+      name: 'conflicts',
+      description:
+        'Predict conflicts with in-memory merges (git merge-tree): each active lane against its base, and each pair of lanes on the same base. Reports the conflicting paths and hunks; touches no ref or worktree. Exits 1 when any merge is predicted to conflict.',
+      options: [
+        { flag: '--name <name>', description: 'Only this lane: against its base and each other lane' },
+        DATA_OPTION,
+      ],
+    },
     {
       kind: 'leaf',
       name: 'migrate-registry',
@@ -1127,9 +1229,23 @@ export const GATES_COMMAND_META: GroupCommandMeta = {
         description: 'Spec id this gate run is about; alias for --spec <id>',
       },
       description:
-        'Run CAWS-local policy evaluators and apply policy.gates[gate].mode to decide block/warn/skip. Appends one gate_evaluated event per policy-declared gate. Exit codes: 0/1 on gate disposition; 2 on hard composition error (no policy / report-contract failure); 3 on evidence-integrity failure (a gate_evaluated event failed to append or validate).',
+        'Run CAWS-local policy evaluators plus any policy-declared external gate commands, and apply policy.gates[gate].mode to decide block/warn/skip. Appends one gate_evaluated event per policy-declared gate. Exit codes: 0/1 on gate disposition; 2 on hard composition error (no policy / report-contract failure); 3 on evidence-integrity failure (a gate_evaluated event failed to append or validate).',
       options: [
         { flag: '--spec <id>', description: 'Spec id this gate run is about; aliases positional <spec>' },
+        {
+          flag: '--base <ref>',
+          description: 'Evaluate the commits <ref>...--head introduces instead of the staged diff (CI / pull requests)',
+        },
+        { flag: '--head <ref>', description: 'Head of the --base range (default: HEAD)' },
+        {
+          flag: '--worktree <name>',
+          description: "Evaluate a registered worktree's branch against its base branch; defaults --spec to its bound spec",
+        },
+        {
+          flag: '--format <fmt>',
+          description: 'stdout format: text, json, sarif (SARIF 2.1.0) or junit (JUnit XML)',
+          defaultValue: 'text',
+        },
         {
           flag: '--context <ctx>',
           description: 'Compatibility no-op retained from the former external quality package path',
@@ -1214,18 +1330,49 @@ export const EVENTS_COMMAND_META: GroupCommandMeta = {
   kind: 'group',
   name: 'events',
   description:
-    'Read and maintain .caws/events.jsonl (list/show/rotate/migrate/verify-archive)',
+    'Read, verify, export and maintain .caws/events.jsonl (list/show/export/verify/keygen/rotate/migrate/verify-archive)',
   subcommands: [
     {
       kind: 'leaf',
       name: 'list',
       description:
-        'Summarize the current hash-chained events log. Read-only; verifies the chain, reports counts, latest event, recent events, and chain_rotated archive status.',
+        'Summarize the current hash-chained events log. Read-only; verifies the chain, reports counts, latest event, recent events, and chain_rotated archive status. Filter flags and --where narrow the listed events (all ANDed).',
       options: [
         { flag: '--json', description: 'Emit chain summary, rotations, and recent events as JSON.' },
+        {
+          flag: '--ndjson',
+          description: 'Emit only the matched events, one JSON object per line',
+        },
         {
           flag: '--limit <n>',
-          description: 'Number of recent events to include (default: 20; use 0 for summary only)',
+          description:
+            'Number of most recent matching events to include (default: 20; use 0 for summary only)',
+        },
+        {
+          flag: '--where <expr>',
+          description:
+            'Query expression: space-separated field<op>value terms, e.g. "event=gate_evaluated data.decision=block ts>=7d". Fields: event, spec_id, actor.kind, actor.id, actor.session_id, actor.platform, seq, ts, hash, data.<path>; ops: = != ~ > >= < <=',
+        },
+        { flag: '--event <types>', description: 'Only these event types (comma-separated)' },
+        { flag: '--spec <id>', description: 'Only events for this spec id' },
+        { flag: '--actor <id>', description: 'Only events by this actor id' },
+        {
+          flag: '--actor-kind <kind>',
+          description: 'Only events by this actor kind',
+          allowedValues: ['human', 'agent', 'system', 'automation'],
+        },
+        { flag: '--session <id>', description: 'Only events from this session id' },
+        {
+          flag: '--since <time>',
+          description: 'Only events at or after this ISO time or duration ago (e.g. 7d, 12h)',
+        },
+        {
+          flag: '--until <time>',
+          description: 'Only events before this ISO time or duration ago',
+        },
+        {
+          flag: '--include-archives',
+          description: 'Also search rotated v11 archives (oldest first); v10 archives are skipped',
         },
         DATA_OPTION,
       ],
@@ -1246,6 +1393,76 @@ export const EVENTS_COMMAND_META: GroupCommandMeta = {
         DATA_OPTION,
       ],
     },
+    {
+      kind: 'leaf',
+      name: 'export',
+      description:
+        'Export the verified event chain as OTLP/JSON logs, CloudEvents (one JSON object per line) or CSV, to stdout or --output. With --cursor, each run exports only the events after the previous run, across a rotation too. Read-only on .caws/.',
+      options: [
+        {
+          flag: '--format <format>',
+          description: 'Export envelope',
+          allowedValues: EVENT_EXPORT_FORMATS,
+          required: true,
+        },
+        {
+          flag: '--since <seq>',
+          description: 'Only live-chain events with a greater sequence number; overrides --cursor',
+        },
+        {
+          flag: '--output <file>',
+          description: 'Write to this file instead of stdout (appended to when --cursor is set)',
+        },
+        {
+          flag: '--cursor <file>',
+          description:
+            'Cursor file: resume after the last exported event, then record the new position',
+        },
+        {
+          flag: '--source <uri>',
+          description: 'CloudEvents source / OTLP caws.source (default: caws://<repo dir name>)',
+        },
+        DATA_OPTION,
+      ],
+    },
+    {
+      kind: 'leaf',
+      name: 'verify',
+      description:
+        'Verify the hash chain and every Ed25519 event signature against .caws/trusted-keys.yaml. With policy events.signatures.required_after, unsigned events at or after the cutoff fail. --all-archives also verifies every rotation archive back to the oldest. Read-only.',
+      options: [
+        {
+          flag: '--all-archives',
+          description:
+            'Walk every prior_file_path back to the oldest archive; check digests, line counts, tail hashes and v11 chains',
+        },
+        { flag: '--json', description: 'Emit chain, signature (and archive) results as JSON.' },
+        DATA_OPTION,
+      ],
+    },
+    {
+      kind: 'leaf',
+      name: 'keygen',
+      description:
+        'Generate a local Ed25519 event-signing key in the git-ignored .caws/keys/. Events this checkout appends are signed from then on.',
+      options: [
+        {
+          flag: '--key-id <id>',
+          required: true,
+          description: 'Key id (letters, digits, . _ -); names the key file and the trusted entry',
+        },
+        {
+          flag: '--trust',
+          description: 'Also add the public key to .caws/trusted-keys.yaml (commit that file)',
+        },
+        {
+          flag: '--actor-id <id>',
+          description: 'Bind the trusted entry to one actor id (requires --trust)',
+        },
+        { flag: '--json', description: 'Emit the key id, public key and paths as JSON.' },
+        DATA_OPTION,
+      ],
+    },
     {
       kind: 'leaf',
       name: 'migrate',
@@ -1280,18 +1497,23 @@ export const EVENTS_COMMAND_META: GroupCommandMeta = {
       kind: 'leaf',
       name: 'rotate',
       description:
-        'Rotate events.jsonl: archive existing chain, start fresh chain with chain_rotated genesis event. Distinct from migrate — admits fully-unparseable logs. Supports --dry-run preview.',
+        'Rotate events.jsonl: archive existing chain, start fresh chain with chain_rotated genesis event. Distinct from migrate — admits fully-unparseable logs. Supports --dry-run preview. --auto rotates only when a policy events.rotation threshold is reached, requires the chain to verify, and prunes verified archives beyond retain_archives.',
       options: [
         {
           flag: '--reason <text>',
-          required: true,
-          description: 'Operator reason recorded into the chain_rotated payload',
+          description:
+            'Operator reason recorded into the chain_rotated payload (required unless --auto, which defaults it to the thresholds reached)',
+        },
+        {
+          flag: '--auto',
+          description:
+            'Rotate only if policy events.rotation is due; archive the chain as verified and prune verified archives beyond retain_archives.',
         },
         {
           flag: '--dry-run',
           description: 'Preview archive path, digest, stats, and genesis event without mutating events.jsonl.',
         },
-        { flag: '--json', description: 'Emit the dry-run plan as JSON.' },
+        { flag: '--json', description: 'Emit the dry-run plan (or the --auto result) as JSON.' },
         {
           flag: '--actor-kind <kind>',
           description: 'Actor kind: agent | human | system | automation',
@@ -1343,6 +1565,12 @@ export const WAIVER_COMMAND_META: GroupCommandMeta = {
           flag: '--spec <id>',
           description: 'Optional spec id this waiver is scoped to (omit for project-wide)',
         },
+        {
+          flag: '--path <glob>',
+          description:
+            'Limit the waiver to violations whose file matches this glob; repeat for multiple globs (omit to cover every file)',
+          collect: true,
+        },
         {
           flag: '--dry-run',
           description: 'Validate the waiver and duplicate id state without writing .caws/waivers/',
@@ -1599,23 +1827,38 @@ export const MESSAGE_COMMAND_META: GroupCommandMeta = {
   kind: 'group',
   name: 'message',
   description:
-    'Inter-agent message channel (AGENT-MESSAGE-CHANNEL-001): send/reply/poll/inbox/history/status/prune directed messages between running sessions, addressed by session id (or a wt:/spec: alias), over .caws/messages.jsonl. Separate from the events audit chain; not authority — a message body is an unverified claim.',
+    'Inter-agent message channel (AGENT-MESSAGE-CHANNEL-001): send/reply/poll/inbox/history/status/prune/subscribe/unsubscribe messages between running sessions, addressed by session id (or a wt:/spec: alias), a topic:<name> or the all: broadcast, over .caws/messages.jsonl. Separate from the events audit chain; not authority — a message body is an unverified claim.',
   subcommands: [
     {
       kind: 'leaf',
       name: 'send',
       description:
-        "Send a message to another session. Attributes the sender via this session's identity; refuses a recipient with no lease or a stale heartbeat (a stopped lease with a fresh heartbeat is idle between turns, not dead). A refused send prints a not-sent verdict to stdout — judge sends by their printed output.",
+        "Send a message to another session. Attributes the sender via this session's identity; refuses a recipient with no lease or a stale heartbeat (a stopped lease with a fresh heartbeat is idle between turns, not dead). With --kind/--body, sends a structured handoff, review or scope-release request, or an ack. A refused send prints a not-sent verdict to stdout — judge sends by their printed output.",
       options: [
         {
           flag: '--to <endpoint>',
           description:
-            'Recipient endpoint (required): a session id, or an alias wt:<worktree-name> / spec:<spec-id> resolving to the freshest bound session',
+            'Recipient endpoint (required): a session id, an alias wt:<worktree-name> / spec:<spec-id> resolving to the freshest bound session, topic:<name> (its subscribers), or all: (every live session)',
+        },
+        {
+          flag: '--text <message>',
+          description: 'Message body (required and non-empty, unless --kind is given: then a one-line summary is derived)',
+        },
+        {
+          flag: '--kind <kind>',
+          description:
+            'Structured message kind, validated with --body against messages.v1.json. A request only — it changes no worktree, spec or scope',
+          allowedValues: MESSAGE_KINDS,
+        },
+        {
+          flag: '--body <json>',
+          description:
+            'Structured body for --kind, a JSON object (e.g. {"summary":"...","worktree":"..."}); an ack needs {"ack_id":"<message-id>","status":"accepted|declined|done"}',
         },
-        { flag: '--text <message>', description: 'Message body (required, non-empty)' },
         {
           flag: '--allow-dead',
-          description: 'Send even if the recipient is not live in the registry (escape hatch; default off)',
+          description:
+            'Send even if the recipient is not live in the registry; with all:, include every leased session (escape hatch; default off)',
         },
         DATA_OPTION,
       ],
@@ -1667,10 +1910,13 @@ export const MESSAGE_COMMAND_META: GroupCommandMeta = {
       kind: 'leaf',
       name: 'history',
       description:
-        'Show retained channel history between this session and another endpoint, each message annotated with its delivery state ([queued] vs [delivered]). Read-only; message bodies are communication, not authority.',
+        'Show retained channel history between this session and another endpoint, or of a topic:<name> / all: channel, each message annotated with its delivery state ([queued] vs [delivered], or delivered/recipients for a fan-out). Read-only; message bodies are communication, not authority.',
       options: [
         { flag: '--me <session_id>', description: 'This endpoint (default: this session id)' },
-        { flag: '--with <session_id>', description: 'Other endpoint in the channel (required)' },
+        {
+          flag: '--with <endpoint>',
+          description: 'Other endpoint in the channel, or topic:<name> / all: (required)',
+        },
         { flag: '--limit <n>', description: 'Maximum recent messages to print, preserving log order' },
         { flag: '--json', description: 'Emit JSON ({ok, read_only, channel, total, messages})' },
         DATA_OPTION,
@@ -1683,7 +1929,10 @@ export const MESSAGE_COMMAND_META: GroupCommandMeta = {
         "Observe one message's delivery state (queued vs delivered, with timestamps) — lets a sender distinguish \"queued\" from \"seen\" without polling the recipient. Read-only.",
       options: [
         { flag: '--id <message_id>', description: 'Id of the message to observe (required)' },
-        { flag: '--json', description: 'Emit JSON ({ok, read_only, message, delivered, delivered_at?})' },
+        {
+          flag: '--json',
+          description: 'Emit JSON ({ok, read_only, message, delivered, delivered_at?, deliveries?})',
+        },
         DATA_OPTION,
       ],
     },
@@ -1719,9 +1968,45 @@ export const MESSAGE_COMMAND_META: GroupCommandMeta = {
         DATA_OPTION,
       ],
     },
+    {
+      kind: 'leaf',
+      name: 'subscribe',
+      description:
+        'Subscribe to a topic. Messages sent to topic:<name> after this are delivered to you once each, like directed messages; earlier ones stay in history. Idempotent.',
+      options: [
+        { flag: '--topic <name>', description: 'Topic name, with or without the topic: prefix (required)' },
+        { flag: '--me <session_id>', description: 'Endpoint to subscribe (default: this session id)' },
+        { flag: '--json', description: 'Emit JSON ({ok, me, topic, subscribed, changed, topics})' },
+        DATA_OPTION,
+      ],
+    },
+    {
+      kind: 'leaf',
+      name: 'unsubscribe',
+      description:
+        'Unsubscribe from a topic. Copies already addressed to you stay in your inbox. Idempotent.',
+      options: [
+        { flag: '--topic <name>', description: 'Topic name, with or without the topic: prefix (required)' },
+        { flag: '--me <session_id>', description: 'Endpoint to unsubscribe (default: this session id)' },
+        { flag: '--json', description: 'Emit JSON ({ok, me, topic, subscribed, changed, topics})' },
+        DATA_OPTION,
+      ],
+    },
   ],
 };
 
+// ─── mcp (CAWS-MCP-SERVER-001) ────────────────────────────────────────────
+// The MCP tool list is generated FROM this array (shell/mcp/tools.ts), so a
+// new leaf here is a new tool with no second registration. `mcp` itself is
+// the one leaf the generator skips.
+export const MCP_COMMAND_META: LeafCommandMeta = {
+  kind: 'leaf',
+  name: 'mcp',
+  description:
+    'Serve the v11 command surface as Model Context Protocol tools over stdio (newline-delimited JSON-RPC 2.0). One tool per command, generated from this metadata; each call runs the same command handler with captured output and returns its --json payload as the structured result.',
+  options: [],
+};
+
 /**
  * The complete v11 command-surface metadata — the single authority for every
  * `.description()` / `.argument()` / `.option()` in register.ts.
@@ -1729,10 +2014,10 @@ export const MESSAGE_COMMAND_META: GroupCommandMeta = {
  * SLICE 3: every surface entry is populated and consumed by register.ts — the
  * flat top-level commands (init/doctor/status/claim) as LeafCommandMeta, and
  * the groups (scope/gates/evidence/events/waiver/reprieve/agents/message/specs/
- * worktree). The lock test enforces full set-equality with
- * REGISTERED_COMMAND_GROUPS (L1), enum/value-list parity (L3), non-empty
- * descriptions (L4), and the global no-inline-strings invariant on register.ts
- * (L5).
+ * worktree), plus the flat `mcp` server command. The lock test enforces full
+ * set-equality with REGISTERED_COMMAND_GROUPS (L1), enum/value-list parity
+ * (L3), non-empty descriptions (L4), and the global no-inline-strings
+ * invariant on register.ts (L5).
  */
 export const COMMAND_SURFACE_METADATA: readonly CommandMeta[] = Object.freeze([
   INIT_COMMAND_META,
@@ -1749,4 +2034,5 @@ export const COMMAND_SURFACE_METADATA: readonly CommandMeta[] = Object.freeze([
   WORKTREE_COMMAND_META,
   AGENTS_COMMAND_META,
   MESSAGE_COMMAND_META,
+  MCP_COMMAND_META,
 ]);
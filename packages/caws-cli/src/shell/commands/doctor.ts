@@ -45,6 +45,12 @@ import {
 export interface DoctorCommandOptions {
   readonly cwd?: string;
   readonly now?: Date;
+  /**
+   * The invoking environment, accepted like every other command's so a
+   * caller can hand one environment to all of them. Doctor resolves no
+   * session, so no finding depends on it today.
+   */
+  readonly env?: NodeJS.ProcessEnv;
   readonly out?: (line: string) => void;
   readonly err?: (line: string) => void;
   /**
@@ -201,6 +207,16 @@ function doctorRepairPlanItem(finding: DoctorFinding): DoctorRepairPlanItem {
           'Leases are operational cache, not authority; use explicit handoff or takeover intent before cleanup.',
       });
 
+    case DOCTOR_RULES.WORKTREE_PREDICTED_COLLISION: {
+      const names = Array.isArray(data.worktree_names) ? data.worktree_names : [];
+      return genericPlanItem(finding, {
+        stateClass: 'predicted-collision-refused',
+        nextCommand: `caws worktree conflicts --name ${String(names[0] ?? '<worktree>')}`,
+        refusalReason:
+          'Both lanes are valid on their own; which one lands first and how the other is reworked is a coordination decision.',
+      });
+    }
+
     case AGENT_CWD_GONE_RULE:
       // CAWS-GUARD-CWD-RECOVERY-001: a wedged session's shell cwd must be
       // reset by the operator — CAWS will not change a live session's cwd.
@@ -234,6 +250,22 @@ function doctorRepairPlanItem(finding: DoctorFinding): DoctorRepairPlanItem {
           'The event chain is invalid; inspect the chain before appending or rotating events.',
       });
 
+    case DOCTOR_RULES.EVENT_UNSIGNED_AFTER_CUTOFF:
+      return genericPlanItem(finding, {
+        stateClass: 'event-unsigned-refused',
+        nextCommand: 'caws events verify --json',
+        refusalReason:
+          'Events are append-only; unsigned history cannot be re-signed. Sign new events with a trusted local key and audit the unsigned ones.',
+      });
+
+    case DOCTOR_RULES.EVENT_ROTATION_DUE:
+      return genericPlanItem(finding, {
+        stateClass: 'event-rotation-due',
+        nextCommand: 'caws events rotate --auto --dry-run',
+        allowedMutation:
+          'archive the verified chain and prune verified archives beyond retention via caws events rotate --auto',
+      });
+
     default:
       return genericPlanItem(finding, {
         stateClass: finding.rule.replace(/^doctor\./, '').replace(/\./g, '-'),
@@ -281,7 +313,7 @@ export function runDoctorCommand(opts: DoctorCommandOptions = {}): number {
   // 2 + 3. Compose snapshot, run kernel diagnoser
   let composition: ReturnType<typeof composeDoctorSnapshot>;
   try {
-    composition = composeDoctorSnapshot({ repoRoot, cawsDir, now });
+    composition = composeDoctorSnapshot({ repoRoot, cawsDir, now, predictCollisions: true });
   } catch (e) {
     err(`caws doctor: store composition failed: ${(e as Error).message}`);
     return 2;
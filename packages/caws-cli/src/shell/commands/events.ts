@@ -26,7 +26,12 @@
 //                     line-count mismatch, missing archive, no rotation
 //                     event in chain, current chain unloadable).
 //
-// All three commands invoke kernel-validated paths. The shell never
+// `events verify` (chain + Ed25519 signatures against .caws/trusted-keys.yaml)
+// and `events keygen` (local signing keys) sit alongside them; see the
+// sections at the end of this file. `events export` (read-only, verified
+// chain → OTLP/CloudEvents/CSV) follows `events show`.
+//
+// All three maintenance commands invoke kernel-validated paths. The shell never
 // writes events.jsonl directly; rotateEvents (via prepareAppend) is
 // the only mutation surface. See invariant 14.
 
@@ -35,21 +40,48 @@ import * as fs from 'fs';
 import * as path from 'path';
 
 import {
+  buildEventQuery,
+  EVENT_EXPORT_FORMATS,
+  eventRotationDue,
+  formatEventQuery,
+  formatEventRotationReasons,
+  formatEventsExport,
+  isEventExportFormat,
+  matchesEventQuery,
   type Actor,
   type ActorKind,
   type ChainedEvent,
   type Diagnostic,
+  type EventQueryFilters,
   isOk,
   prepareAppend,
   verifyChain,
+  verifyEventSignatures,
 } from '../../kernel';
 
 import {
+  addTrustedKey,
+  eventsAfterCursor,
+  findIndexEntries,
+  generateSigningKey,
+  inspectEventArchive,
+  listEventArchives,
   loadEvents,
+  loadEventsIndex,
+  loadPolicy,
+  loadTrustedKeys,
+  planArchivePruning,
+  readExportCursor,
+  readIndexedEvents,
   resolveRepoRoot,
   rotateEvents,
   STORE_RULES,
   storeDiagnostic,
+  trustedKeysPath,
+  verifyArchiveLineage,
+  writeExportCursor,
+  type ArchiveLineageReport,
+  type EventIndexEntry,
 } from '../../store';
 import {
   detectEventsLogShape,
@@ -185,8 +217,16 @@ export interface EventsMigrateCommandOptions extends BaseCommandOptions {
 export interface EventsListCommandOptions extends BaseCommandOptions {
   /** Emit machine-readable JSON instead of human summary lines. */
   readonly json?: boolean;
-  /** Number of recent events to include. Defaults to 20. */
+  /** Emit one matched event summary per line (NDJSON) and nothing else. */
+  readonly ndjson?: boolean;
+  /** Number of recent (matching) events to include. Defaults to 20. */
   readonly limit?: number;
+  /** Query expression; see kernel/evidence/query.ts. ANDed with the filters. */
+  readonly where?: string;
+  /** Structured filters (--event, --spec, --actor, --actor-kind, --session, --since, --until). */
+  readonly filters?: EventQueryFilters;
+  /** Also search rotated v11 archives, oldest first, before the live chain. */
+  readonly includeArchives?: boolean;
 }
 
 export interface EventsShowCommandOptions extends BaseCommandOptions {
@@ -197,6 +237,8 @@ export interface EventsShowCommandOptions extends BaseCommandOptions {
 }
 
 interface EventSummary {
+  /** Archive file name or events.jsonl; only with --include-archives. */
+  readonly source?: string;
   readonly seq: number;
   readonly hash: string;
   readonly event: string;
@@ -222,8 +264,9 @@ interface RotationSummary {
   readonly archive_line_count_matches: boolean | null;
 }
 
-function eventSummary(event: ChainedEvent): EventSummary {
+function eventSummary(event: ChainedEvent, source?: string): EventSummary {
   return {
+    ...(source !== undefined ? { source } : {}),
     seq: event.seq,
     hash: event.event_hash,
     event: event.event,
@@ -324,47 +367,77 @@ function archiveStatus(cawsDir: string, rotation: ChainedEvent): RotationSummary
   };
 }
 
-function eventMatchesRef(event: ChainedEvent, ref: string): boolean {
-  if (/^\d+$/.test(ref)) return event.seq === Number(ref);
-  return event.event_hash === ref || event.event_hash.startsWith(ref);
-}
-
-function resolveEventRef(events: readonly ChainedEvent[], ref: string):
-  | { kind: 'found'; event: ChainedEvent }
-  | { kind: 'not_found' }
-  | { kind: 'ambiguous'; matches: readonly ChainedEvent[] } {
-  const matches = events.filter((event) => eventMatchesRef(event, ref));
-  if (matches.length === 0) return { kind: 'not_found' };
-  if (matches.length > 1) return { kind: 'ambiguous', matches };
-  return { kind: 'found', event: matches[0]! };
-}
-
-function mostRecentRotation(events: readonly ChainedEvent[]): ChainedEvent | null {
-  for (let i = events.length - 1; i >= 0; i--) {
-    if (events[i]!.event === 'chain_rotated') return events[i]!;
+/**
+ * Events to search: the live chain, preceded (oldest first) by every
+ * rotated archive that parses as a v11 chain when includeArchives is set.
+ * v10 / unparseable archives cannot be queried as ChainedEvents and are
+ * reported as skipped. Archive chains are not re-verified here; that is
+ * `caws events verify --all-archives`.
+ */
+function eventsToSearch(
+  cawsDir: string,
+  live: readonly ChainedEvent[],
+  includeArchives: boolean
+): {
+  entries: readonly { event: ChainedEvent; source?: string }[];
+  searched: readonly string[];
+  skipped: readonly string[];
+} {
+  if (!includeArchives) return { entries: live.map((event) => ({ event })), searched: [], skipped: [] };
+  const entries: { event: ChainedEvent; source?: string }[] = [];
+  const searched: string[] = [];
+  const skipped: string[] = [];
+  for (const name of listEventArchives(cawsDir)) {
+    const inspected = inspectEventArchive(cawsDir, name);
+    if (!isOk(inspected) || inspected.value.events === null) {
+      skipped.push(name);
+      continue;
+    }
+    searched.push(name);
+    for (const event of inspected.value.events) entries.push({ event, source: name });
   }
-  return null;
+  for (const event of live) entries.push({ event, source: 'events.jsonl' });
+  return { entries, searched, skipped };
 }
 
 export function runEventsListCommand(opts: EventsListCommandOptions): number {
-  const { cwd, out, err, showData } = defaults(opts);
+  const { cwd, now, out, err, showData } = defaults(opts);
   const limit = opts.limit === undefined ? 20 : opts.limit;
   if (!Number.isInteger(limit) || limit < 0) {
     err('caws events list: --limit must be a non-negative integer.');
     return 1;
   }
+  if (opts.json === true && opts.ndjson === true) {
+    err('caws events list: --json and --ndjson are mutually exclusive.');
+    return 1;
+  }
+  const query = buildEventQuery(opts.filters ?? {}, opts.where, now());
+  if (!isOk(query)) {
+    err('caws events list: invalid query.');
+    err(renderDiagnostics(query.errors, { showData }));
+    return 1;
+  }
+  const filtered = query.value.terms.length > 0 || opts.includeArchives === true;
 
   const loaded = loadVerifiedEventsForDiscovery(cwd, err, showData, 'list');
   if (loaded === null) return 2;
 
+  const search = eventsToSearch(loaded.cawsDir, loaded.events, opts.includeArchives === true);
+  const matched = search.entries.filter((entry) => matchesEventQuery(entry.event, query.value));
   const rotations = loaded.events
     .filter((event) => event.event === 'chain_rotated')
     .map((event) => archiveStatus(loaded.cawsDir, event));
   const latest = loaded.events.length > 0 ? loaded.events[loaded.events.length - 1]! : null;
-  const recent = limit === 0 ? [] : loaded.events.slice(-limit).map(eventSummary);
+  const recent =
+    limit === 0 ? [] : matched.slice(-limit).map((entry) => eventSummary(entry.event, entry.source));
   const latestRotation: RotationSummary | null =
     rotations.length > 0 ? rotations[rotations.length - 1]! : null;
 
+  if (opts.ndjson === true) {
+    for (const summary of recent) out(JSON.stringify(summary));
+    return 0;
+  }
+
   if (opts.json === true) {
     out(JSON.stringify({
       ok: true,
@@ -376,6 +449,15 @@ export function runEventsListCommand(opts: EventsListCommandOptions): number {
       rotation_count: rotations.length,
       latest_rotation: latestRotation,
       rotations,
+      ...(filtered
+        ? {
+            query: formatEventQuery(query.value),
+            matched_count: matched.length,
+            ...(opts.includeArchives === true
+              ? { searched_archives: search.searched, skipped_archives: search.skipped }
+              : {}),
+          }
+        : {}),
       recent_events: recent,
     }, null, 2));
     return 0;
@@ -396,9 +478,17 @@ export function runEventsListCommand(opts: EventsListCommandOptions): number {
   for (const [event, count] of Object.entries(countByEvent(loaded.events)).sort()) {
     out(`  - ${event}: ${count}`);
   }
+  if (filtered) {
+    const scope =
+      opts.includeArchives === true
+        ? `; searched ${search.searched.length} archive(s), skipped ${search.skipped.length} non-v11`
+        : '';
+    out(`  query: ${formatEventQuery(query.value) || '(none)'}; matched ${matched.length}${scope}`);
+  }
   out(`  recent_events${limit === 0 ? ' (suppressed by --limit 0)' : ` (last ${recent.length})`}:`);
   for (const event of recent) {
-    out(`  - seq=${event.seq} event=${event.event} hash=${event.hash} spec=${event.spec_id ?? '(none)'}`);
+    const source = event.source !== undefined ? ` source=${event.source}` : '';
+    out(`  - seq=${event.seq} event=${event.event} hash=${event.hash} spec=${event.spec_id ?? '(none)'}${source}`);
   }
   return 0;
 }
@@ -411,38 +501,60 @@ export function runEventsShowCommand(opts: EventsShowCommandOptions): number {
     return 1;
   }
 
-  const loaded = loadVerifiedEventsForDiscovery(cwd, err, showData, 'show');
-  if (loaded === null) return 2;
+  const rootResult = resolveRepoRoot(cwd);
+  if (!rootResult.ok) {
+    err('caws events show: failed to resolve repo root.');
+    err(renderDiagnostics(rootResult.errors, { showData }));
+    return 2;
+  }
+  const { cawsDir } = rootResult.value;
+  // The index is rebuilt (full load + verifyChain) when stale, so the one
+  // line read below still comes from a verified chain.
+  const index = loadEventsIndex(cawsDir);
+  if (!index.ok) {
+    const chainFailure = index.errors.some((d) => d.rule.startsWith('evidence.chain.'));
+    err(
+      chainFailure
+        ? 'caws events show: event chain verification failed.'
+        : 'caws events show: failed to load events.jsonl.'
+    );
+    err(renderDiagnostics(index.errors, { showData }));
+    return 2;
+  }
 
-  let event: ChainedEvent | null = null;
-  let rotation: RotationSummary | null = null;
+  let entry: EventIndexEntry;
   if (ref === 'latest-rotation') {
-    event = mostRecentRotation(loaded.events);
-    if (event === null) {
+    const rotations = index.value.byEvent.get('chain_rotated') ?? [];
+    if (rotations.length === 0) {
       err('caws events show: no chain_rotated event found.');
       return 1;
     }
-    rotation = archiveStatus(loaded.cawsDir, event);
+    entry = rotations[rotations.length - 1]!;
   } else {
-    const resolved = resolveEventRef(loaded.events, ref);
-    if (resolved.kind === 'not_found') {
+    const matches = findIndexEntries(index.value, ref);
+    if (matches.length === 0) {
       err(`caws events show: event-ref ${JSON.stringify(ref)} not found.`);
       return 1;
     }
-    if (resolved.kind === 'ambiguous') {
+    if (matches.length > 1) {
       err(
-        `caws events show: event-ref ${JSON.stringify(ref)} is ambiguous (${resolved.matches.length} matches).`
+        `caws events show: event-ref ${JSON.stringify(ref)} is ambiguous (${matches.length} matches).`
       );
-      for (const match of resolved.matches.slice(0, 10)) {
-        err(`- seq=${match.seq} hash=${match.event_hash} event=${match.event}`);
+      for (const match of matches.slice(0, 10)) {
+        err(`- seq=${match.seq} hash=${match.hash} event=${match.event}`);
       }
       return 1;
     }
-    event = resolved.event;
-    if (event.event === 'chain_rotated') {
-      rotation = archiveStatus(loaded.cawsDir, event);
-    }
+    entry = matches[0]!;
+  }
+  const read = readIndexedEvents(cawsDir, [entry]);
+  if (!read.ok) {
+    err('caws events show: failed to read events.jsonl.');
+    err(renderDiagnostics(read.errors, { showData }));
+    return 2;
   }
+  const event = read.value[0]!;
+  const rotation = event.event === 'chain_rotated' ? archiveStatus(cawsDir, event) : null;
 
   const summary = eventSummary(event);
   if (opts.json === true) {
@@ -471,6 +583,115 @@ export function runEventsShowCommand(opts: EventsShowCommandOptions): number {
   return 0;
 }
 
+// ---------------------------------------------------------------------------
+// events export — verified chain → OTLP/JSON, CloudEvents, CSV
+// ---------------------------------------------------------------------------
+//
+// Read-only on .caws/events.jsonl. The chain must verify before anything is
+// exported. Envelopes come from kernel/evidence/export.ts; the cursor file
+// (store/events-export-cursor.ts) makes repeated exports incremental, across
+// one rotation included. --since overrides the cursor's starting point.
+
+export interface EventsExportCommandOptions extends BaseCommandOptions {
+  /** otlp | cloudevents | csv. */
+  readonly format: string;
+  /** Export only live-chain events with seq > since. Overrides the cursor. */
+  readonly since?: number;
+  /** Write to this file instead of stdout. Appended to when --cursor is set. */
+  readonly output?: string;
+  /** Cursor file; read to resume, rewritten after a non-empty export. */
+  readonly cursor?: string;
+  /** CloudEvents source / OTLP caws.source. Defaults to caws://<repo dir name>. */
+  readonly source?: string;
+}
+
+/**
+ * Exit codes:
+ *   0 = exported (possibly nothing new)
+ *   1 = usage error, unreadable or mismatched cursor, output write failure
+ *   2 = composition failure (repo root, events load, chain verification)
+ */
+export function runEventsExportCommand(opts: EventsExportCommandOptions): number {
+  const { cwd, now, out, err, showData } = defaults(opts);
+  const format = opts.format;
+  if (!isEventExportFormat(format)) {
+    err(`caws events export: --format must be one of ${EVENT_EXPORT_FORMATS.join(', ')}.`);
+    return 1;
+  }
+  if (opts.since !== undefined && (!Number.isInteger(opts.since) || opts.since < 0)) {
+    err('caws events export: --since must be a non-negative integer.');
+    return 1;
+  }
+
+  const loaded = loadVerifiedEventsForDiscovery(cwd, err, showData, 'export');
+  if (loaded === null) return 2;
+  const { cawsDir, events } = loaded;
+
+  const cursorPath = opts.cursor !== undefined ? path.resolve(cwd, opts.cursor) : null;
+  let selected: readonly ChainedEvent[] = events;
+  if (opts.since !== undefined) {
+    selected = events.slice(opts.since);
+  } else if (cursorPath !== null) {
+    const cursor = readExportCursor(cursorPath);
+    if (!isOk(cursor)) {
+      err('caws events export: failed to read the export cursor.');
+      err(renderDiagnostics(cursor.errors, { showData }));
+      return 1;
+    }
+    if (cursor.value !== null) {
+      const after = eventsAfterCursor(cawsDir, events, cursor.value, format);
+      if (!isOk(after)) {
+        err('caws events export: the export cursor does not match the event chain.');
+        err(renderDiagnostics(after.errors, { showData }));
+        return 1;
+      }
+      selected = after.value;
+    }
+  }
+
+  const source = opts.source ?? `caws://${path.basename(path.dirname(cawsDir))}`;
+  const outputPath = opts.output !== undefined ? path.resolve(cwd, opts.output) : null;
+  const append = outputPath !== null && cursorPath !== null;
+  const csvHeader =
+    outputPath === null || !append || !fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0;
+  const lines = formatEventsExport(selected, format, { source, csvHeader });
+
+  if (outputPath === null) {
+    for (const line of lines) out(line);
+  } else {
+    const body = lines.map((line) => line + '\n').join('');
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      if (append) fs.appendFileSync(outputPath, body);
+      else fs.writeFileSync(outputPath, body);
+    } catch (e) {
+      err(`caws events export: failed to write ${outputPath}: ${(e as Error).message}`);
+      return 1;
+    }
+  }
+
+  const last = events[events.length - 1];
+  if (cursorPath !== null && selected.length > 0 && last !== undefined) {
+    const written = writeExportCursor(cursorPath, {
+      format,
+      chain: events[0]!.event_hash,
+      last_seq: last.seq,
+      last_event_hash: last.event_hash,
+      updated_at: now().toISOString(),
+    });
+    if (!isOk(written)) {
+      err('caws events export: exported, but failed to update the cursor; the next run re-exports.');
+      err(renderDiagnostics(written.errors, { showData }));
+      return 1;
+    }
+  }
+
+  if (outputPath !== null) {
+    out(`caws events export: ${selected.length} event(s) as ${format} → ${outputPath}`);
+  }
+  return 0;
+}
+
 /**
  * Pipeline:
  *   1. Resolve repo root + session + actor (apply only needs session;
@@ -684,8 +905,13 @@ function printMigratePlan(
 // ---------------------------------------------------------------------------
 
 export interface EventsRotateCommandOptions extends BaseCommandOptions {
-  /** Required — recorded verbatim into the chain_rotated payload. */
+  /** Recorded verbatim into the chain_rotated payload. Required unless auto. */
   readonly reason: string;
+  /**
+   * Policy-driven rotation: rotate only when events.rotation is due, with
+   * the prior chain verified and archives beyond retain_archives pruned.
+   */
+  readonly auto?: boolean;
   /** Actor kind for the chain_rotated genesis event. */
   readonly actorKind?: ActorKind;
   /** Actor id override. */
@@ -851,6 +1077,12 @@ function planRotatePreview(
  *
  * Required: --reason. Friction flag: --allow-clean.
  *
+ * --auto (runEventsRotateAuto) instead reads policy events.rotation: it is
+ * a no-op (exit 0) until a threshold is reached, then rotates with
+ * verifyPrior — so the archive is labeled prior_chain_status: 'verified'
+ * or the rotation refuses — and prunes archives beyond retain_archives
+ * that planArchivePruning verified. --reason is optional there.
+ *
  * Exit codes:
  *   0 = rotation succeeded
  *   1 = rotateEvents refused (empty, partial_corruption, clean-chain
@@ -861,8 +1093,9 @@ export function runEventsRotateCommand(
   opts: EventsRotateCommandOptions
 ): number {
   const { cwd, now, env, out, err, showData } = defaults(opts);
+  const auto = opts.auto === true;
 
-  if (typeof opts.reason !== 'string' || opts.reason.length === 0) {
+  if (!auto && (typeof opts.reason !== 'string' || opts.reason.length === 0)) {
     err('caws events rotate: --reason "<text>" is required (recorded verbatim into the chain_rotated payload).');
     return 1;
   }
@@ -893,6 +1126,10 @@ export function runEventsRotateCommand(
     ...(opts.actorId !== undefined ? { id: opts.actorId } : {}),
   });
 
+  if (auto) {
+    return runEventsRotateAuto(cawsDir, actor, opts, { now, out, err, showData });
+  }
+
   if (opts.dryRun === true) {
     const preview = planRotatePreview(cawsDir, {
       reason: opts.reason,
@@ -963,6 +1200,120 @@ export function runEventsRotateCommand(
   return 0;
 }
 
+function runEventsRotateAuto(
+  cawsDir: string,
+  actor: Actor,
+  opts: EventsRotateCommandOptions,
+  io: {
+    readonly now: () => Date;
+    readonly out: (line: string) => void;
+    readonly err: (line: string) => void;
+    readonly showData: boolean;
+  }
+): number {
+  const { now, out, err, showData } = io;
+  const policy = loadPolicy(cawsDir);
+  if (policy.errors.length > 0) {
+    err('caws events rotate --auto: failed to load policy.yaml.');
+    err(renderDiagnostics(policy.errors, { showData }));
+    return 2;
+  }
+  const rotationPolicy = policy.policy?.events?.rotation;
+  if (rotationPolicy?.max_bytes === undefined && rotationPolicy?.max_lines === undefined) {
+    err('caws events rotate --auto: policy.yaml declares no events.rotation max_bytes or max_lines.');
+    return 1;
+  }
+
+  const loaded = loadEvents(cawsDir);
+  if (!loaded.ok) {
+    err('caws events rotate --auto: failed to load events.jsonl.');
+    err(renderDiagnostics(loaded.errors, { showData }));
+    return 2;
+  }
+  const events = loaded.value.events;
+  let bytes = 0;
+  try {
+    bytes = fs.statSync(path.join(cawsDir, 'events.jsonl')).size;
+  } catch {
+    // No events.jsonl: nothing is due.
+  }
+  const rotation = eventRotationDue(rotationPolicy, { bytes, lines: events.length });
+  const retain = rotationPolicy.retain_archives;
+  const pruning =
+    rotation.due && retain !== undefined ? planArchivePruning(cawsDir, events, retain) : null;
+  const reason =
+    opts.reason.length > 0
+      ? opts.reason
+      : `auto rotation (policy events.rotation): ${formatEventRotationReasons(rotation.reasons)}`;
+
+  const report = {
+    auto: true,
+    due: rotation.due,
+    reasons: rotation.reasons,
+    retain_archives: retain ?? null,
+    prune: pruning?.plan.archives.map((a) => a.file) ?? [],
+    retained: pruning?.retained ?? [],
+  };
+  const printPlan = (): void => {
+    out(`  reasons: ${formatEventRotationReasons(rotation.reasons)}`);
+    for (const archive of report.prune) out(`  prune ${archive}`);
+    for (const kept of report.retained) out(`  retain ${kept.archive} (${kept.reason})`);
+  };
+
+  if (!rotation.due) {
+    if (opts.json === true) {
+      out(JSON.stringify({ ok: true, ...report, rotated: false }, null, 2));
+    } else {
+      out(`caws events rotate --auto: not due (${bytes} bytes, ${events.length} event(s)).`);
+    }
+    return 0;
+  }
+
+  if (opts.dryRun === true) {
+    if (opts.json === true) {
+      out(JSON.stringify({ ok: true, dry_run: true, read_only: true, ...report, rotated: false }, null, 2));
+    } else {
+      out('caws events rotate --auto --dry-run: rotation is due.');
+      printPlan();
+    }
+    return 0;
+  }
+
+  const rotateResult = rotateEvents(cawsDir, {
+    reason,
+    actor,
+    now: now(),
+    verifyPrior: true,
+    ...(pruning !== null ? { prune: pruning.plan } : {}),
+  });
+  if (!rotateResult.ok) {
+    err('caws events rotate --auto: refuse.');
+    err(renderDiagnostics(rotateResult.errors, { showData }));
+    return 1;
+  }
+
+  const event = rotateResult.value;
+  if (opts.json === true) {
+    out(JSON.stringify({
+      ok: true,
+      ...report,
+      rotated: true,
+      event_hash: event.event_hash,
+      archive: event.data['prior_file_path'],
+      prior_chain_status: event.data['prior_chain_status'],
+      prior_line_count: event.data['prior_line_count'],
+    }, null, 2));
+    return 0;
+  }
+  out('rotated (auto). chain_rotated genesis written.');
+  out(`  event_hash=${event.event_hash}`);
+  out(`  archive=${event.data['prior_file_path']}`);
+  out(`  prior_chain_status=${event.data['prior_chain_status']}`);
+  out(`  prior_line_count=${event.data['prior_line_count']}`);
+  printPlan();
+  return 0;
+}
+
 // ---------------------------------------------------------------------------
 // caws events verify-archive
 // ---------------------------------------------------------------------------
@@ -1120,3 +1471,226 @@ function countNonEmptyLines(raw: string): number {
   const lines = trailingNewline ? parts.slice(0, -1) : parts;
   return lines.filter((l) => l.length > 0).length;
 }
+
+// ---------------------------------------------------------------------------
+// caws events verify
+// ---------------------------------------------------------------------------
+
+export interface EventsVerifyCommandOptions extends BaseCommandOptions {
+  readonly json?: boolean;
+  /** Also walk every rotation archive back to the oldest one. */
+  readonly allArchives?: boolean;
+}
+
+/**
+ * Verify the live chain AND its signatures.
+ *
+ * Chain: verifyChain over .caws/events.jsonl (a load failure is reported as
+ * a chain failure, not a composition failure — the log is what is being
+ * verified). Signatures: every signed event must verify against
+ * .caws/trusted-keys.yaml, and with policy `events.signatures.required_after`
+ * every event at or after the cutoff must be signed. Without keys or a
+ * cutoff, an unsigned chain verifies exactly as before.
+ *
+ * With allArchives, the rotation lineage is verified too
+ * (verifyArchiveLineage): every prior_file_path back to the oldest archive,
+ * each digest / line count / tail hash, and a verifyChain re-run over v11
+ * segments. A missing, tampered or invalid archive fails the verdict; a
+ * renamed one whose bytes still match is a warning.
+ *
+ * Exit codes:
+ *   0 = chain, signatures (and archives) verified
+ *   1 = any chain, signature or archive violation
+ *   2 = composition failure (repo root, unreadable trusted key list or policy)
+ */
+export function runEventsVerifyCommand(opts: EventsVerifyCommandOptions): number {
+  const { cwd, out, err, showData } = defaults(opts);
+
+  const rootResult = resolveRepoRoot(cwd);
+  if (!rootResult.ok) {
+    err('caws events verify: failed to resolve repo root.');
+    err(renderDiagnostics(rootResult.errors, { showData }));
+    return 2;
+  }
+  const { cawsDir } = rootResult.value;
+
+  const trusted = loadTrustedKeys(cawsDir);
+  if (!isOk(trusted)) {
+    err(`caws events verify: cannot load ${path.relative(path.dirname(cawsDir), trustedKeysPath(cawsDir))}.`);
+    err(renderDiagnostics(trusted.errors, { showData }));
+    return 2;
+  }
+  const policy = loadPolicy(cawsDir);
+  if (policy.errors.length > 0) {
+    err('caws events verify: cannot load .caws/policy.yaml; the signature cutoff is policy.');
+    err(renderDiagnostics(policy.errors, { showData }));
+    return 2;
+  }
+  const requiredAfter = policy.policy?.events?.signatures?.required_after;
+
+  const loaded = loadEvents(cawsDir);
+  const events = loaded.ok ? loaded.value.events : [];
+  let chainErrors: readonly Diagnostic[] = loaded.ok ? [] : loaded.errors;
+  if (loaded.ok) {
+    const chain = verifyChain(events);
+    if (!isOk(chain)) chainErrors = chain.errors;
+  }
+  const signatures = verifyEventSignatures(
+    events,
+    trusted.value,
+    requiredAfter !== undefined ? { requiredAfter } : {}
+  );
+  const signatureErrors: readonly Diagnostic[] = isOk(signatures) ? [] : signatures.errors;
+  const signed = events.filter((ev) => ev.signature !== undefined).length;
+  const archives: ArchiveLineageReport | null =
+    opts.allArchives === true && loaded.ok
+      ? verifyArchiveLineage(cawsDir, events, {
+          trustedKeys: trusted.value,
+          ...(requiredAfter !== undefined ? { requiredAfter } : {}),
+        })
+      : null;
+  const verified =
+    chainErrors.length === 0 && signatureErrors.length === 0 && (archives?.ok ?? true);
+
+  if (opts.json === true) {
+    out(JSON.stringify({
+      ok: verified,
+      read_only: true,
+      event_count: events.length,
+      chain: { valid: chainErrors.length === 0, errors: chainErrors },
+      signatures: {
+        valid: signatureErrors.length === 0,
+        signed,
+        unsigned: events.length - signed,
+        trusted_key_count: trusted.value.length,
+        required_after: requiredAfter ?? null,
+        errors: signatureErrors,
+      },
+      ...(opts.allArchives === true ? { archives } : {}),
+    }, null, 2));
+    return verified ? 0 : 1;
+  }
+
+  out(`caws events verify: ${events.length} event(s); ${signed} signed, ${events.length - signed} unsigned`);
+  out(`  chain: ${chainErrors.length === 0 ? 'valid' : `${chainErrors.length} violation(s)`}`);
+  out(
+    `  signatures: ${signatureErrors.length === 0 ? 'valid' : `${signatureErrors.length} violation(s)`} ` +
+      `(${trusted.value.length} trusted key(s); required after: ${requiredAfter ?? 'not required'})`
+  );
+  if (archives !== null) {
+    out(`  archives: ${archives.ok ? 'valid' : 'FAILED'} (${archives.segments.length} in lineage)`);
+    for (const seg of archives.segments) {
+      const at = seg.found_at !== null && seg.found_at !== seg.archive ? ` -> ${seg.found_at}` : '';
+      out(`    [${seg.depth}] ${seg.archive}${at}: ${seg.integrity}, chain ${seg.chain}`);
+    }
+    for (const name of archives.unreferenced) {
+      out(`    unreferenced: ${name}`);
+    }
+  }
+  const archiveWarnings = archives?.diagnostics.filter((d) => d.severity !== 'error') ?? [];
+  if (!verified) {
+    const archiveErrors = archives?.diagnostics.filter((d) => d.severity === 'error') ?? [];
+    err(renderDiagnostics([...chainErrors, ...signatureErrors, ...archiveErrors], { showData }));
+  }
+  if (archiveWarnings.length > 0) err(renderDiagnostics(archiveWarnings, { showData }));
+  return verified ? 0 : 1;
+}
+
+// ---------------------------------------------------------------------------
+// caws events keygen
+// ---------------------------------------------------------------------------
+
+export interface EventsKeygenCommandOptions extends BaseCommandOptions {
+  readonly keyId: string;
+  /** Bind the trusted entry to this actor id. Only meaningful with trust. */
+  readonly actorId?: string;
+  /** Also add the public key to .caws/trusted-keys.yaml. */
+  readonly trust?: boolean;
+  readonly json?: boolean;
+}
+
+/**
+ * Generate a local Ed25519 signing key under .caws/keys/ (git-ignored).
+ * From the next append on, this checkout signs events with it. `--trust`
+ * also appends the public key to .caws/trusted-keys.yaml, which must then be
+ * committed for other checkouts to verify the signatures.
+ *
+ * Exit codes:
+ *   0 = key written (and trusted, with --trust)
+ *   1 = usage error or refused (key id exists, invalid key id)
+ *   2 = composition failure
+ */
+export function runEventsKeygenCommand(opts: EventsKeygenCommandOptions): number {
+  const { cwd, now, out, err, showData } = defaults(opts);
+  if (opts.actorId !== undefined && opts.trust !== true) {
+    err('caws events keygen: --actor-id binds the trusted entry; pass it together with --trust.');
+    return 1;
+  }
+
+  const rootResult = resolveRepoRoot(cwd);
+  if (!rootResult.ok) {
+    err('caws events keygen: failed to resolve repo root.');
+    err(renderDiagnostics(rootResult.errors, { showData }));
+    return 2;
+  }
+  const { cawsDir } = rootResult.value;
+
+  if (opts.trust === true) {
+    // Refuse before generating anything if the list is unreadable or the
+    // id is taken, so a failed --trust never leaves an orphan private key.
+    const trusted = loadTrustedKeys(cawsDir);
+    if (!isOk(trusted)) {
+      err('caws events keygen: cannot load the trusted key list.');
+      err(renderDiagnostics(trusted.errors, { showData }));
+      return 2;
+    }
+    if (trusted.value.some((k) => k.key_id === opts.keyId)) {
+      err(`caws events keygen: key id "${opts.keyId}" is already in the trusted key list.`);
+      return 1;
+    }
+  }
+
+  const generated = generateSigningKey(cawsDir, opts.keyId);
+  if (!isOk(generated)) {
+    err('caws events keygen: key not generated.');
+    err(renderDiagnostics(generated.errors, { showData }));
+    return 1;
+  }
+  const { key_id, public_key } = generated.value;
+
+  if (opts.trust === true) {
+    const added = addTrustedKey(cawsDir, {
+      key_id,
+      public_key,
+      ...(opts.actorId !== undefined ? { actor_id: opts.actorId } : {}),
+      added_at: now().toISOString(),
+    });
+    if (!isOk(added)) {
+      err(`caws events keygen: private key written to ${generated.value.path} but not trusted.`);
+      err(renderDiagnostics(added.errors, { showData }));
+      return 2;
+    }
+  }
+
+  if (opts.json === true) {
+    out(JSON.stringify({
+      ok: true,
+      key_id,
+      public_key,
+      private_key_path: generated.value.path,
+      trusted: opts.trust === true,
+      ...(opts.actorId !== undefined ? { actor_id: opts.actorId } : {}),
+    }, null, 2));
+    return 0;
+  }
+
+  out(`caws events keygen: wrote ${generated.value.path} (keep it local; .caws/keys/ is git-ignored)`);
+  out(`  key_id: ${key_id}`);
+  out(`  public_key: ${public_key}`);
+  if (opts.trust === true) {
+    out(`  trusted: added to .caws/trusted-keys.yaml${opts.actorId !== undefined ? ` (actor ${opts.actorId})` : ''}; commit it so other checkouts verify these signatures.`);
+  } else {
+    out('  trusted: no. Add it to .caws/trusted-keys.yaml (or re-run with --trust) before relying on it.');
+  }
+  return 0;
+}
@@ -30,11 +30,17 @@ import {
   type ChainedEvent,
   type EventBody,
   type EventType,
-  isOk,
-  verifyChain,
 } from '../../kernel';
 
-import { appendEvent, loadEvents, resolveRepoRoot } from '../../store';
+import {
+  appendEvent,
+  findIndexEntries,
+  loadEventsIndex,
+  readIndexedEvents,
+  resolveRepoRoot,
+  type EventIndexEntry,
+  type EventsIndex,
+} from '../../store';
 import { buildActor } from '../session/actor';
 import { resolveSession } from '../session/resolve-session';
 import { renderDiagnostics } from '../render/diagnostic';
@@ -268,12 +274,17 @@ function renderPropertySummary(schema: Record<string, unknown>, property: string
   return details.length > 0 ? `${property} (${details.join('; ')})` : property;
 }
 
-function loadVerifiedEventsForRead(
+/**
+ * Resolve the repo and open the events index (rebuilt from a full load +
+ * verifyChain when stale), so reads seek to the lines they need instead of
+ * re-verifying the whole log each time.
+ */
+function loadVerifiedEventsIndexForRead(
   cwd: string,
   err: (line: string) => void,
   showData: boolean,
   commandName: string
-): { repoRoot: string; cawsDir: string; events: readonly ChainedEvent[] } | null {
+): { repoRoot: string; cawsDir: string; index: EventsIndex } | null {
   const repoRootResult = resolveRepoRoot(cwd);
   if (!repoRootResult.ok) {
     err(`caws evidence ${commandName}: failed to resolve repo root.`);
@@ -281,34 +292,34 @@ function loadVerifiedEventsForRead(
     return null;
   }
   const { repoRoot, cawsDir } = repoRootResult.value;
-  const loaded = loadEvents(cawsDir);
-  if (!loaded.ok) {
-    err(`caws evidence ${commandName}: failed to load events.jsonl.`);
-    err(renderDiagnostics(loaded.errors, { showData }));
-    return null;
-  }
-  const verified = verifyChain(loaded.value.events);
-  if (!isOk(verified)) {
-    err(`caws evidence ${commandName}: event chain verification failed.`);
-    err(renderDiagnostics(verified.errors, { showData }));
+  const index = loadEventsIndex(cawsDir);
+  if (!index.ok) {
+    const chainFailure = index.errors.some((d) => d.rule.startsWith('evidence.chain.'));
+    err(
+      chainFailure
+        ? `caws evidence ${commandName}: event chain verification failed.`
+        : `caws evidence ${commandName}: failed to load events.jsonl.`
+    );
+    err(renderDiagnostics(index.errors, { showData }));
     return null;
   }
-  return { repoRoot, cawsDir, events: loaded.value.events };
-}
-
-function eventMatchesRef(event: ChainedEvent, ref: string): boolean {
-  if (/^\d+$/.test(ref)) return event.seq === Number(ref);
-  return event.event_hash === ref || event.event_hash.startsWith(ref);
+  return { repoRoot, cawsDir, index: index.value };
 }
 
-function resolveEventRef(events: readonly ChainedEvent[], ref: string):
-  | { kind: 'found'; event: ChainedEvent }
-  | { kind: 'not_found' }
-  | { kind: 'ambiguous'; matches: readonly ChainedEvent[] } {
-  const matches = events.filter((event) => eventMatchesRef(event, ref));
-  if (matches.length === 0) return { kind: 'not_found' };
-  if (matches.length > 1) return { kind: 'ambiguous', matches };
-  return { kind: 'found', event: matches[0]! };
+function readEventsForRead(
+  cawsDir: string,
+  entries: readonly EventIndexEntry[],
+  err: (line: string) => void,
+  showData: boolean,
+  commandName: string
+): ChainedEvent[] | null {
+  const read = readIndexedEvents(cawsDir, entries);
+  if (!read.ok) {
+    err(`caws evidence ${commandName}: failed to read events.jsonl.`);
+    err(renderDiagnostics(read.errors, { showData }));
+    return null;
+  }
+  return read.value;
 }
 
 export function runEvidenceRecordCommand(opts: EvidenceRecordOptions): number {
@@ -471,16 +482,20 @@ export function runEvidenceListCommand(opts: EvidenceListOptions): number {
     return 1;
   }
 
-  const loaded = loadVerifiedEventsForRead(cwd, err, showData, 'list');
+  const loaded = loadVerifiedEventsIndexForRead(cwd, err, showData, 'list');
   if (loaded === null) return 2;
+  const specEvents = readEventsForRead(
+    loaded.cawsDir,
+    loaded.index.bySpec.get(opts.specId) ?? [],
+    err,
+    showData,
+    'list'
+  );
+  if (specEvents === null) return 2;
 
-  const candidates = loaded.events.filter((event) => {
+  const candidates = specEvents.filter((event) => {
     const kind = evidenceKindForEvent(event);
-    return (
-      kind !== undefined &&
-      event.spec_id === opts.specId &&
-      (opts.kind === undefined || kind === opts.kind)
-    );
+    return kind !== undefined && (opts.kind === undefined || kind === opts.kind);
   });
   const summaries = candidates.map(evidenceSummary);
 
@@ -519,25 +534,27 @@ export function runEvidenceShowCommand(opts: EvidenceShowOptions): number {
     return 1;
   }
 
-  const loaded = loadVerifiedEventsForRead(cwd, err, showData, 'show');
+  const loaded = loadVerifiedEventsIndexForRead(cwd, err, showData, 'show');
   if (loaded === null) return 2;
 
-  const resolved = resolveEventRef(loaded.events, ref);
-  if (resolved.kind === 'not_found') {
+  const matches = findIndexEntries(loaded.index, ref);
+  if (matches.length === 0) {
     err(`caws evidence show: event-ref ${JSON.stringify(ref)} not found.`);
     return 1;
   }
-  if (resolved.kind === 'ambiguous') {
+  if (matches.length > 1) {
     err(
-      `caws evidence show: event-ref ${JSON.stringify(ref)} is ambiguous (${resolved.matches.length} matches).`
+      `caws evidence show: event-ref ${JSON.stringify(ref)} is ambiguous (${matches.length} matches).`
     );
-    for (const match of resolved.matches.slice(0, 10)) {
-      err(`- seq=${match.seq} hash=${match.event_hash} event=${match.event}`);
+    for (const match of matches.slice(0, 10)) {
+      err(`- seq=${match.seq} hash=${match.hash} event=${match.event}`);
     }
     return 1;
   }
+  const events = readEventsForRead(loaded.cawsDir, matches, err, showData, 'show');
+  if (events === null) return 2;
 
-  const summary = evidenceSummary(resolved.event);
+  const summary = evidenceSummary(events[0]!);
   if (opts.json === true) {
     out(JSON.stringify({
       ok: true,
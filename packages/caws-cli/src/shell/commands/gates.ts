@@ -4,22 +4,34 @@
 //   1. resolveRepoRoot(cwd)
 //   2. composeStoreSnapshot               — we need the policy
 //   3. policy presence check              — gates cannot run without policy
+//   3b. diff source                        — staged (default), --base/--head
+//      commit range, or --worktree <name> (its branch against its base);
+//      an unresolvable ref is a composition failure, never an empty diff
 //   4. resolveSession({ allowMint: true }) — we will append events
 //   5. build an in-process report          — production is empty; tests may inject
 //      a report fixture directly
+//   5b. local evaluators                   — built-in gates
+//   5c. external evaluators                — policy-declared gate commands; a
+//      crashed/timed-out/invalid evaluator fails its gate closed
 //   6. deriveDispositions(report, policy)  — policy decides block/warn/skip
 //   6c. zero-disposition guard             — refuse to "succeed" with no evidence
 //   7. For each disposition, appendEvent(`gate_evaluated`); per-gate isolation —
 //      one append failure does NOT abort the loop, subsequent gates are still
 //      attempted so partial evidence is captured.
-//   8. Render summary
+//   7b. For each waiver credited with a suppression, appendEvent
+//      (`waiver_applied`) — one use toward its `max_uses` cap. Same
+//      isolation and exit-3 rule as 7: a lost use would let a capped
+//      waiver outlive its cap.
+//   8. Render summary — human text by default; --format json|sarif|junit
+//      replaces it on stdout with a machine-readable document for CI
 //   9. Exit code:
 //      0 if no disposition blocks AND every gate's evidence was durably appended
 //      1 if any disposition blocks AND every gate's evidence was durably appended
 //      2 on hard composition errors (no policy, injected report contract failure,
-//        spec not found, session resolution failure)
-//      3 on evidence-integrity failure: any gate's gate_evaluated event was
-//        rejected by the store (schema violation, lock contention, I/O failure)
+//        spec not found, session resolution failure, unresolvable diff range)
+//      3 on evidence-integrity failure: any gate's gate_evaluated event (or any
+//        waiver_applied event) was rejected by the store (schema violation,
+//        lock contention, I/O failure)
 //        OR zero gates were dispositioned (no evidence ever appended). Exit 3
 //        is distinct from exit 1 so CI can distinguish "policy said block" from
 //        "evidence was lost" — both are non-zero, but only one means the
@@ -28,7 +40,8 @@
 // Policy owns blocking. Injected reports, when provided by tests, only report
 // violations; this command groups them per policy-declared gate and applies
 // policy.gates[gate].mode to compute outcome. Production no longer spawns an
-// external quality package.
+// external quality package; the only subprocesses are the commands policy
+// itself declares as external gates.
 //
 // CAWS-GATES-RUN-ABORT-ON-CORRUPT-CHAIN-001: prior to this slice the append
 // loop fail-fast'd on first failure and returned 2; that masked sibling gates'
@@ -41,19 +54,32 @@ import {
   type Diagnostic,
   type EventBody,
   effectiveWaiversForGate,
+  type ExternalGateConfig,
   type GateConfig,
   type Policy,
   type Waiver,
+  type WaiverUsage,
 } from '../../kernel';
 
 import {
   appendEvent,
   composeStoreSnapshot,
   loadWaivers,
+  loadWaiverUsage,
+  loadWorktrees,
   resolveRepoRoot,
 } from '../../store';
 import { renderDiagnostics } from '../render/diagnostic';
 import { renderGatesRun } from '../render/gates';
+import {
+  GATES_OUTPUT_FORMATS,
+  isGatesOutputFormat,
+  gatesRunOverall,
+  renderGatesRunJson,
+  renderGatesRunJunit,
+  renderGatesRunSarif,
+  type GatesRunReportInput,
+} from '../render/gates-report';
 import { resolveSession } from '../session/resolve-session';
 import { buildActor } from '../session/actor';
 import { SHELL_RULES } from '../rules';
@@ -61,7 +87,12 @@ import {
   deriveDispositions,
   type GateDisposition,
 } from '../gates/disposition';
-import { runLocalEvaluators } from '../gates/local-evaluators';
+import {
+  resolveDiffRange,
+  runLocalEvaluators,
+  type DiffRange,
+} from '../gates/local-evaluators';
+import { runExternalEvaluators } from '../gates/external-evaluators';
 import {
   validateGatesReport,
   type GatesReport,
@@ -69,6 +100,7 @@ import {
 import {
   filterWaivedViolations,
   type WaiverEvidence,
+  type WaiverUse,
 } from '../gates/waiver-filter';
 
 export interface GatesRunCommandOptions {
@@ -81,6 +113,8 @@ export interface GatesRunCommandOptions {
   readonly report?: GatesReport | string;
   /** Show structured data on rendered diagnostics. */
   readonly showData?: boolean;
+  /** stdout format: text (default), json, sarif or junit. */
+  readonly format?: string;
 }
 
 export interface GatesListCommandOptions {
@@ -125,14 +159,17 @@ interface GateDiscoverySnapshot {
   readonly cawsDir: string;
   readonly policy: Policy;
   readonly waivers: readonly Waiver[];
+  readonly usage: WaiverUsage;
 }
 
-interface GateSummary {
+export interface GateSummary {
   readonly gate_id: string;
   readonly enabled: boolean;
   readonly mode: string;
   readonly description: string | null;
   readonly thresholds: Record<string, unknown>;
+  /** argv of a policy-declared external gate; absent for built-in gates. */
+  readonly command?: readonly string[];
   readonly effective_waiver_ids: readonly string[];
   readonly effective_waiver_count: number;
 }
@@ -171,11 +208,16 @@ function loadGateDiscoverySnapshot(
   if (snapshot.waiverDiagnostics.length > 0) {
     err(renderDiagnostics(snapshot.waiverDiagnostics, { showData }));
   }
+  const usageLoad = loadWaiverUsage(cawsDir);
+  if (usageLoad.diagnostics.length > 0) {
+    err(renderDiagnostics(usageLoad.diagnostics, { showData }));
+  }
   return {
     repoRoot,
     cawsDir,
     policy: snapshot.policy,
     waivers: snapshot.waivers,
+    usage: usageLoad.usage,
   };
 }
 
@@ -183,6 +225,7 @@ function gateSummary(args: {
   readonly gateId: string;
   readonly config: GateConfig;
   readonly waivers: readonly Waiver[];
+  readonly usage: WaiverUsage;
   readonly specId?: string;
   readonly now: Date;
 }): GateSummary {
@@ -190,6 +233,7 @@ function gateSummary(args: {
     waivers: args.waivers,
     gate: args.gateId,
     ...(args.specId !== undefined ? { specId: args.specId } : {}),
+    usage: args.usage,
     now: args.now,
   });
   return {
@@ -198,6 +242,7 @@ function gateSummary(args: {
     mode: args.config.mode,
     description: args.config.description ?? null,
     thresholds: args.config.thresholds ?? {},
+    ...('command' in args.config ? { command: (args.config as ExternalGateConfig).command } : {}),
     effective_waiver_ids: effective.map((waiver) => waiver.id).sort(),
     effective_waiver_count: effective.length,
   };
@@ -206,6 +251,7 @@ function gateSummary(args: {
 function gateSummaries(args: {
   readonly policy: Policy;
   readonly waivers: readonly Waiver[];
+  readonly usage: WaiverUsage;
   readonly specId?: string;
   readonly now: Date;
 }): readonly GateSummary[] {
@@ -214,6 +260,7 @@ function gateSummaries(args: {
       gateId,
       config: config as GateConfig,
       waivers: args.waivers,
+      usage: args.usage,
       ...(args.specId !== undefined ? { specId: args.specId } : {}),
       now: args.now,
     })
@@ -232,6 +279,7 @@ export function runGatesListCommand(opts: GatesListCommandOptions = {}): number
   const gates = gateSummaries({
     policy: loaded.policy,
     waivers: loaded.waivers,
+    usage: loaded.usage,
     ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
     now,
   });
@@ -244,6 +292,7 @@ export function runGatesListCommand(opts: GatesListCommandOptions = {}): number
       gate_count: gates.length,
       gates,
       risk_tiers: loaded.policy.risk_tiers,
+      budgets: loaded.policy.budgets ?? {},
       waiver_policy: loaded.policy.waivers ?? {},
     }, null, 2));
     return 0;
@@ -255,13 +304,29 @@ export function runGatesListCommand(opts: GatesListCommandOptions = {}): number
   for (const gate of gates) {
     out(
       `  - ${gate.gate_id}: enabled=${gate.enabled} mode=${gate.mode} ` +
-        `effective_waivers=${gate.effective_waiver_count}`
+        `effective_waivers=${gate.effective_waiver_count}` +
+        (gate.command !== undefined ? ' external' : '')
     );
   }
   out('  risk_tiers:');
   for (const [tier, budget] of Object.entries(loaded.policy.risk_tiers)) {
-    out(`  - ${tier}: max_files=${budget.max_files} max_loc=${budget.max_loc}`);
+    out(
+      `  - ${tier}: max_files=${budget.max_files} max_loc=${budget.max_loc}` +
+        (budget.max_deleted_loc !== undefined ? ` max_deleted_loc=${budget.max_deleted_loc}` : '')
+    );
   }
+  const pathBudgets = loaded.policy.budgets?.paths ?? [];
+  if (pathBudgets.length > 0) {
+    out('  path_budgets:');
+    for (const b of pathBudgets) {
+      out(
+        `  - ${b.name} [${b.match.join(', ')}]: max_files=${b.max_files} max_loc=${b.max_loc}` +
+          (b.max_deleted_loc !== undefined ? ` max_deleted_loc=${b.max_deleted_loc}` : '')
+      );
+    }
+  }
+  const excluded = loaded.policy.budgets?.exclude ?? [];
+  if (excluded.length > 0) out(`  budget_exclude: ${excluded.join(', ')}`);
   return 0;
 }
 
@@ -286,6 +351,7 @@ export function runGatesExplainCommand(opts: GatesExplainCommandOptions): number
     gateId: opts.gateId,
     config: config as GateConfig,
     waivers: loaded.waivers,
+    usage: loaded.usage,
     ...(opts.specId !== undefined ? { specId: opts.specId } : {}),
     now,
   });
@@ -306,6 +372,7 @@ export function runGatesExplainCommand(opts: GatesExplainCommandOptions): number
   out(`  enabled=${summary.enabled}`);
   out(`  mode=${summary.mode}`);
   if (summary.description !== null) out(`  description=${summary.description}`);
+  if (summary.command !== undefined) out(`  command=${JSON.stringify(summary.command)}`);
   out(`  thresholds=${JSON.stringify(summary.thresholds)}`);
   out(
     `  effective_waivers=${summary.effective_waiver_count}` +
@@ -322,6 +389,7 @@ function dispositionToEventBody(args: {
   actor: Actor;
   specId: string;
   waiverEvidence?: WaiverEvidence;
+  diffRange?: DiffRange;
 }): EventBody {
   const violations = args.disposition.violations
     .slice(0, MAX_EVENT_VIOLATIONS)
@@ -353,12 +421,122 @@ function dispositionToEventBody(args: {
       ...(ev !== undefined && ev.waiver_ids.length > 0
         ? { waiver_ids: ev.waiver_ids.slice() }
         : {}),
+      ...(ev !== undefined && ev.waived_paths.length > 0
+        ? { waived_paths: ev.waived_paths.slice(0, MAX_EVENT_VIOLATIONS) }
+        : {}),
+      ...(args.diffRange !== undefined
+        ? {
+            diff_range: {
+              base_ref: args.diffRange.baseRef,
+              head_ref: args.diffRange.headRef,
+              base: args.diffRange.base,
+              head: args.diffRange.head,
+            },
+          }
+        : {}),
+    },
+  } as unknown as EventBody;
+}
+
+function waiverUseToEventBody(args: {
+  waiver: Waiver | undefined;
+  waiverId: string;
+  use: WaiverUse;
+  ts: string;
+  actor: Actor;
+  specId: string;
+}): EventBody {
+  return {
+    event: 'waiver_applied',
+    ts: args.ts,
+    actor: args.actor,
+    spec_id: args.specId,
+    data: {
+      waiver_id: args.waiverId,
+      gates: args.use.gates.slice(),
+      waived_count: args.use.waived_count,
+      ...(args.waiver !== undefined ? { expires_at: args.waiver.expires_at } : {}),
     },
   } as unknown as EventBody;
 }
 
 export interface GatesRunCommandRequest {
+  /** Required unless `worktree` names a worktree bound to a spec. */
   readonly specId: string;
+  /** Evaluate `base...head` instead of the staged diff. */
+  readonly base?: string;
+  /** Defaults to HEAD when `base` is given. */
+  readonly head?: string;
+  /** Evaluate a registered worktree's branch against its base branch. */
+  readonly worktree?: string;
+}
+
+interface GatesDiffSource {
+  readonly range?: DiffRange;
+  readonly worktreeName?: string;
+  /** Spec the worktree is bound to, used when no spec id was given. */
+  readonly boundSpecId?: string;
+}
+
+/**
+ * Step 3b: turn --base/--head/--worktree into a resolved commit range.
+ * Returns an exit code on failure (1 for a bad request, 2 when the
+ * registry or a ref cannot be resolved).
+ */
+function resolveGatesDiffSource(args: {
+  readonly request: GatesRunCommandRequest;
+  readonly repoRoot: string;
+  readonly cawsDir: string;
+  readonly err: (line: string) => void;
+  readonly showData: boolean;
+}): GatesDiffSource | number {
+  const { request, err, showData } = args;
+  if (request.worktree === undefined && request.base === undefined) return {};
+
+  let baseRef: string;
+  let headRef: string;
+  let boundSpecId: string | undefined;
+  if (request.worktree !== undefined) {
+    const registry = loadWorktrees(args.cawsDir);
+    if (!registry.ok) {
+      err('caws gates run: failed to load worktrees registry.');
+      err(renderDiagnostics(registry.errors, { showData }));
+      return 2;
+    }
+    const record = registry.value[request.worktree];
+    if (record === undefined) {
+      err(`caws gates run: worktree ${JSON.stringify(request.worktree)} is not registered.`);
+      err(`(rule: ${SHELL_RULES.BINDING_WORKTREE_NOT_FOUND_IN_REGISTRY})`);
+      return 1;
+    }
+    const base = record.baseBranch ?? record.baseSha;
+    if (record.branch === undefined || base === undefined) {
+      err(
+        `caws gates run: worktree ${request.worktree} records no branch or base; ` +
+          `pass --base/--head explicitly.`
+      );
+      err(`(rule: ${SHELL_RULES.GATES_DIFF_RANGE_INVALID})`);
+      return 1;
+    }
+    baseRef = base;
+    headRef = record.branch;
+    boundSpecId = record.specId;
+  } else {
+    baseRef = request.base as string;
+    headRef = request.head ?? 'HEAD';
+  }
+
+  const range = resolveDiffRange(args.repoRoot, baseRef, headRef);
+  if (!range.ok) {
+    err(`caws gates run: cannot resolve diff range ${baseRef}...${headRef}.`);
+    err(renderDiagnostics(range.errors, { showData }));
+    return 2;
+  }
+  return {
+    range: range.value,
+    ...(request.worktree !== undefined ? { worktreeName: request.worktree } : {}),
+    ...(boundSpecId !== undefined ? { boundSpecId } : {}),
+  };
 }
 
 export function runGatesRunCommand(
@@ -372,8 +550,30 @@ export function runGatesRunCommand(
   const out = opts.out ?? ((s: string) => process.stdout.write(s + '\n'));
   const err = opts.err ?? ((s: string) => process.stderr.write(s + '\n'));
   const showData = opts.showData === true;
+  const format = opts.format ?? 'text';
 
-  if (typeof request.specId !== 'string' || request.specId.length === 0) {
+  if (!isGatesOutputFormat(format)) {
+    err(
+      `caws gates run: unknown --format ${JSON.stringify(format)}; expected one of ` +
+        `${GATES_OUTPUT_FORMATS.join('|')}.`
+    );
+    err(`(rule: ${SHELL_RULES.GATES_UNKNOWN_FORMAT})`);
+    return 1;
+  }
+  if (request.worktree !== undefined && (request.base !== undefined || request.head !== undefined)) {
+    err('caws gates run: --worktree derives its own range; do not combine it with --base/--head.');
+    err(`(rule: ${SHELL_RULES.GATES_DIFF_SOURCE_CONFLICT})`);
+    return 1;
+  }
+  if (request.head !== undefined && request.base === undefined) {
+    err('caws gates run: --head requires --base.');
+    err(`(rule: ${SHELL_RULES.GATES_DIFF_SOURCE_CONFLICT})`);
+    return 1;
+  }
+  if (
+    (typeof request.specId !== 'string' || request.specId.length === 0) &&
+    request.worktree === undefined
+  ) {
     err('caws gates run: --spec is required.');
     err(`(rule: ${SHELL_RULES.COMMAND_MISSING_SPEC_ID})`);
     return 1;
@@ -411,6 +611,21 @@ export function runGatesRunCommand(
   }
   const policy = snapshot.policy;
 
+  // 3b. Diff source. A --worktree run may take its spec from the binding.
+  const diffSource = resolveGatesDiffSource({ request, repoRoot, cawsDir, err, showData });
+  if (typeof diffSource === 'number') return diffSource;
+  const specId =
+    typeof request.specId === 'string' && request.specId.length > 0
+      ? request.specId
+      : diffSource.boundSpecId;
+  if (specId === undefined) {
+    err(
+      `caws gates run: worktree ${request.worktree ?? ''} is not bound to a spec; pass --spec.`
+    );
+    err(`(rule: ${SHELL_RULES.COMMAND_MISSING_SPEC_ID})`);
+    return 1;
+  }
+
   // 4. Session (write op — gates append events)
   const sessionResult = resolveSession({
     cawsDir,
@@ -457,16 +672,17 @@ export function runGatesRunCommand(
 
   // 5b. Local CAWS policy evaluators. These produce violations under
   //     canonical policy gate IDs (budget_limit, scope_boundary,
-  //     spec_completeness). Locating them in caws-cli keeps gate execution
+  //     spec_completeness, and — when policy enables them — god_object and
+  //     todo_detection). Locating them in caws-cli keeps gate execution
   //     coupled to CAWS spec/policy authority rather than a retired package.
   //
   //     The active spec must exist and be loadable. If it isn't,
   //     refuse the run with a typed diagnostic — running gates against
   //     a missing or unparseable spec is a category error.
-  const activeSpec = snapshot.specs.find((s) => s.id === request.specId);
+  const activeSpec = snapshot.specs.find((s) => s.id === specId);
   if (activeSpec === undefined) {
     err(
-      `caws gates run: spec ${request.specId} not found in .caws/specs/. ` +
+      `caws gates run: spec ${specId} not found in .caws/specs/. ` +
         `Either the id is wrong, or the spec failed to load (run \`caws doctor\` for details).`
     );
     err(`(rule: ${SHELL_RULES.GATES_POLICY_REQUIRED})`);
@@ -477,10 +693,33 @@ export function runGatesRunCommand(
     policy,
     repoRoot,
     nowIso: now.toISOString(),
+    ...(diffSource.range !== undefined ? { diffRange: diffSource.range } : {}),
+    ...(diffSource.worktreeName !== undefined ? { worktreeName: diffSource.worktreeName } : {}),
+  });
+
+  // 5c. External evaluators: commands policy declares as gates outside the
+  //     built-in vocabulary. Their reports merge here so waivers, disposition
+  //     and evidence treat them exactly like built-in gates. A failed
+  //     evaluator already contributed a fail-closed violation; the
+  //     diagnostic tells the operator why.
+  const externalResult = runExternalEvaluators({
+    policy,
+    repoRoot,
+    specId,
+    env,
+    ...(diffSource.range !== undefined ? { diffRange: diffSource.range } : {}),
   });
+  if (externalResult.diagnostics.length > 0) {
+    err(renderDiagnostics(externalResult.diagnostics, { showData }));
+  }
   const mergedReport: GatesReport = {
     ...report,
-    violations: [...report.violations, ...localResult.violations],
+    warnings: [...report.warnings, ...localResult.warnings, ...externalResult.warnings],
+    violations: [
+      ...report.violations,
+      ...localResult.violations,
+      ...externalResult.violations,
+    ],
   };
 
   // 6a. Load + apply waivers BEFORE disposition.
@@ -488,16 +727,23 @@ export function runGatesRunCommand(
   //     authorized-exception violations from the report so blocking is
   //     computed only from unwaived violations. Malformed waiver files
   //     produce diagnostics but never discard valid waivers.
+  //     The usage ledger (waiver_applied events across every chain
+  //     segment) lets the kernel drop waivers whose max_uses is spent.
   const waiversLoad = loadWaivers(cawsDir);
   if (waiversLoad.diagnostics.length > 0) {
     err(renderDiagnostics(waiversLoad.diagnostics, { showData }));
   }
+  const usageLoad = loadWaiverUsage(cawsDir);
+  if (usageLoad.diagnostics.length > 0) {
+    err(renderDiagnostics(usageLoad.diagnostics, { showData }));
+  }
   const waiverFilter = filterWaivedViolations({
     report: mergedReport,
     waivers: waiversLoad.waivers,
-    specId: request.specId,
+    specId,
     now,
     policyGateIds: Object.keys(policy.gates),
+    usage: usageLoad.usage,
   });
 
   // 6b. Policy-driven disposition on UNWAIVED violations only.
@@ -544,10 +790,11 @@ export function runGatesRunCommand(
       disposition: d,
       ts,
       actor,
-      specId: request.specId,
+      specId,
       ...(waiverFilter.waivedByGate[d.gate_id] !== undefined
         ? { waiverEvidence: waiverFilter.waivedByGate[d.gate_id] }
         : {}),
+      ...(diffSource.range !== undefined ? { diffRange: diffSource.range } : {}),
     });
     const append = appendEvent(cawsDir, body);
     if (!append.ok) {
@@ -558,13 +805,68 @@ export function runGatesRunCommand(
     }
   }
 
+  // 7b. Record one use per credited waiver. Appended after the gate
+  //     evidence so a chain reader sees the outcome before the uses that
+  //     shaped it; isolated per waiver for the same reason as 7.
+  const lostWaiverUses: string[] = [];
+  for (const [waiverId, use] of Object.entries(waiverFilter.usesByWaiver)) {
+    const body = waiverUseToEventBody({
+      waiver: waiversLoad.waivers.find((w) => w.id === waiverId),
+      waiverId,
+      use,
+      ts,
+      actor,
+      specId,
+    });
+    const append = appendEvent(cawsDir, body);
+    if (!append.ok) {
+      err(`caws gates run: failed to append waiver_applied event for ${waiverId}.`);
+      err(renderDiagnostics(append.errors, { showData }));
+      lostWaiverUses.push(waiverId);
+    }
+  }
+
+  // The verdict the exit code in 9 follows, so a machine report cannot read
+  // ok on a run that exits 3.
+  const lostEvidence = [...lostEvidenceGates.map((e) => e.gateId), ...lostWaiverUses];
+  const overall = gatesRunOverall(dispositionResult, lostEvidence);
+
   // 8. Render summary (always — partial evidence is still operator-useful).
-  out(renderGatesRun(dispositionResult));
+  //    Machine formats own stdout entirely; diagnostics stay on stderr.
+  if (format === 'text') {
+    if (diffSource.range !== undefined) {
+      const r = diffSource.range;
+      out(
+        `Diff: ${r.baseRef}...${r.headRef} (${r.base.slice(0, 12)}..${r.head.slice(0, 12)})` +
+          (diffSource.worktreeName !== undefined ? ` [worktree ${diffSource.worktreeName}]` : '')
+      );
+    }
+    out(renderGatesRun(dispositionResult, mergedReport.warnings, waiverFilter.waivedByGate));
+  } else {
+    const reportInput: GatesRunReportInput = {
+      specId,
+      generatedAt: ts,
+      result: dispositionResult,
+      warnings: mergedReport.warnings,
+      waived: waiverFilter.waivedViolations,
+      ...(diffSource.range !== undefined ? { diffRange: diffSource.range } : {}),
+      evidenceLost: lostEvidence,
+    };
+    out(
+      format === 'json'
+        ? renderGatesRunJson(reportInput)
+        : format === 'sarif'
+          ? renderGatesRunSarif(reportInput)
+          : renderGatesRunJunit(reportInput)
+    );
+  }
 
   // 9. Exit code, in priority order:
   //    - exit 3 if any gate's evidence was lost (evidence integrity beats
   //      policy disposition; a green-looking policy decision over a chain
   //      with holes is worse than a clean fail).
+  //    - exit 3 if any waiver use was lost (the max_uses ledger would
+  //      undercount, so a capped waiver could outlive its cap).
   //    - exit 1 if any disposition blocks (policy fail).
   //    - exit 0 otherwise (all gates appended, no policy block).
   if (lostEvidenceGates.length > 0) {
@@ -578,5 +880,14 @@ export function runGatesRunCommand(
     err(`(rule: ${GATES_EVIDENCE_LOST_RULE})`);
     return EXIT_EVIDENCE_INTEGRITY;
   }
-  return dispositionResult.anyBlocks ? 1 : 0;
+  if (lostWaiverUses.length > 0) {
+    err(
+      `caws gates run: evidence-integrity failure — waiver use was not ` +
+        `recorded for ${lostWaiverUses.join(', ')}. Their max_uses ledger ` +
+        `undercounts this run. Per-waiver diagnostics above.`
+    );
+    err(`(rule: ${GATES_EVIDENCE_LOST_RULE})`);
+    return EXIT_EVIDENCE_INTEGRITY;
+  }
+  return overall === 'blocked' ? 1 : 0;
 }
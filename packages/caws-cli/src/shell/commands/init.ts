@@ -34,17 +34,23 @@ import {
 import {
   detectOrphanedDispatchDir,
   inspectClaudeSettings,
+  inspectCursorHooks,
   inspectKimiUserConfig,
   inspectQwenSettings,
+  inspectWindsurfHooks,
   inspectZcodeConfig,
   diffHookPack,
   installHookPack,
   mergeClaudeSettings,
+  mergeCursorHooks,
   mergeKimiUserConfig,
   mergeQwenInstructionImport,
   mergeQwenSettings,
+  mergeWindsurfHooks,
   mergeZcodeConfig,
   planClaudeSettingsMerge,
+  planCursorHooksExample,
+  planCursorHooksMerge,
   planHookPackInstall,
   portHookFile,
   planKimiConfigExample,
@@ -53,11 +59,15 @@ import {
   planQwenSettingsExample,
   planQwenSettingsMerge,
   planSettingsExample,
+  planWindsurfHooksExample,
+  planWindsurfHooksMerge,
   planZcodeConfigExample,
   planZcodeConfigMerge,
+  writeCursorHooksExample,
   writeKimiConfigExample,
   writeQwenSettingsExample,
   writeSettingsExample,
+  writeWindsurfHooksExample,
   writeZcodeConfigExample,
 } from '../../init/hook-install';
 import {
@@ -93,10 +103,12 @@ import { renderInit } from '../render/init';
 import {
   renderCodexHookTrust,
   renderActivationContract,
+  renderCursorHooksWiring,
   renderHookPackInstall,
   renderKimiHookWiring,
   renderQwenSettingsWiring,
   renderSettingsWiring,
+  renderWindsurfHooksWiring,
   renderZcodeSettingsWiring,
 } from '../render/init-hook-pack';
 import type {
@@ -413,6 +425,14 @@ interface InitPlanDocument {
     readonly settings_example: SettingsExamplePlanResult;
     readonly instruction_import: InstructionImportPlanResult;
   };
+  readonly cursor_hooks?: {
+    readonly hooks_json: SettingsMergePlanResult;
+    readonly hooks_example: SettingsExamplePlanResult;
+  };
+  readonly windsurf_hooks?: {
+    readonly hooks_json: SettingsMergePlanResult;
+    readonly hooks_example: SettingsExamplePlanResult;
+  };
   readonly codex_trust_note?: string;
   readonly next_apply_command: string;
 }
@@ -746,6 +766,30 @@ function renderInitPlan(plan: InitPlanDocument): string {
     );
   }
 
+  for (const [dir, wiring] of [
+    ['.cursor', plan.cursor_hooks],
+    ['.windsurf', plan.windsurf_hooks],
+  ] as const) {
+    if (!wiring) continue;
+    lines.push('');
+    lines.push(`${dir} hooks wiring:`);
+    lines.push(`  hooks.json: ${wiring.hooks_json.kind}`);
+    if (wiring.hooks_json.kind === 'merged') {
+      if (wiring.hooks_json.added.length > 0) {
+        lines.push(`  would add: ${wiring.hooks_json.added.join(', ')}`);
+      }
+      if (wiring.hooks_json.repaired && wiring.hooks_json.repaired.length > 0) {
+        lines.push(
+          `  would upgrade in place: ${wiring.hooks_json.repaired.join(', ')}`
+        );
+      }
+    }
+    if (wiring.hooks_json.kind === 'invalid') {
+      lines.push(`  error: ${wiring.hooks_json.error}`);
+    }
+    lines.push(`  hooks.json.example: ${wiring.hooks_example.action}`);
+  }
+
   if (plan.codex_trust_note) {
     lines.push('');
     lines.push(plan.codex_trust_note);
@@ -839,6 +883,20 @@ function runInitPlan(
           instruction_import: planQwenInstructionImport(repoRoot),
         }
       : undefined;
+  const cursorHooks =
+    hookPlan.pack?.id === 'cursor'
+      ? {
+          hooks_json: planCursorHooksMerge(repoRoot),
+          hooks_example: planCursorHooksExample(repoRoot),
+        }
+      : undefined;
+  const windsurfHooks =
+    hookPlan.pack?.id === 'windsurf'
+      ? {
+          hooks_json: planWindsurfHooksMerge(repoRoot),
+          hooks_example: planWindsurfHooksExample(repoRoot),
+        }
+      : undefined;
   const codexTrustNote =
     hookPlan.pack?.id === 'codex'
       ? 'Codex project hooks require project trust and /hooks review before changed command hooks run.'
@@ -865,6 +923,8 @@ function runInitPlan(
     ...(zcodeSettings ? { zcode_settings: zcodeSettings } : {}),
     ...(kimiSettings ? { kimi_settings: kimiSettings } : {}),
     ...(qwenSettings ? { qwen_settings: qwenSettings } : {}),
+    ...(cursorHooks ? { cursor_hooks: cursorHooks } : {}),
+    ...(windsurfHooks ? { windsurf_hooks: windsurfHooks } : {}),
     ...(codexTrustNote ? { codex_trust_note: codexTrustNote } : {}),
     next_apply_command: applyCommand(opts),
   };
@@ -1137,6 +1197,21 @@ export function runInitCommand(opts: InitCommandOptions = {}): number {
     // now-wired state, exactly as the claude-code branch does.
     wiringStatus = inspectQwenSettings(repoRoot);
     out(renderQwenSettingsWiring(mergeResult, importResult));
+  } else if (hookPackResult.pack?.id === 'cursor') {
+    // Cursor reads repo-local .cursor/hooks.json: merge the four shim
+    // entries in place (qwen precedent — the write stays in the repo) and
+    // always emit the hooks.json.example reference. The doctrine lands as an
+    // always-applied rule, so there is no import line to maintain.
+    mergeResult = mergeCursorHooks(repoRoot);
+    writeCursorHooksExample(repoRoot);
+    wiringStatus = inspectCursorHooks(repoRoot);
+    out(renderCursorHooksWiring(mergeResult));
+  } else if (hookPackResult.pack?.id === 'windsurf') {
+    // Windsurf reads repo-local .windsurf/hooks.json: same shape as cursor.
+    mergeResult = mergeWindsurfHooks(repoRoot);
+    writeWindsurfHooksExample(repoRoot);
+    wiringStatus = inspectWindsurfHooks(repoRoot);
+    out(renderWindsurfHooksWiring(mergeResult));
   } else if (opts.wireUserConfig === true) {
     // The flag only makes sense when the kimi-code pack was installed; on
     // any other outcome (no pack, a different detected surface) refuse
@@ -0,0 +1,44 @@
+// `caws mcp` — Model Context Protocol server over stdio (CAWS-MCP-SERVER-001).
+//
+// Pipeline (no business logic in this file):
+//
+//   1. createMcpServer(...)     (shell/mcp/server.ts — tool list + dispatch)
+//   2. read stdin line by line  (this file; newline-delimited JSON-RPC 2.0)
+//   3. write each response as one line to `out`
+//
+// Requests are answered strictly in arrival order: command handlers are
+// synchronous and share the working tree, so there is nothing to gain from
+// overlapping them. stdout carries protocol lines ONLY — every command's own
+// output is captured by the server and returned inside the tool result.
+//
+// Exit codes:
+//   0 = stdin closed (the client disconnected)
+//
+// Testable without Commander: caller passes the input stream and an `out`
+// sink. `registerShellCommands` wires it to Commander and hands itself in as
+// `registerCommands`, which keeps this module free of an import cycle.
+
+import * as readline from 'node:readline';
+
+import { createMcpServer, type McpServerOptions } from '../mcp/server';
+
+export interface McpCommandOptions extends McpServerOptions {
+  /** Default process.stdin. */
+  readonly input?: NodeJS.ReadableStream;
+  /** Receives one serialized JSON-RPC response per call. Default stdout. */
+  readonly out?: (line: string) => void;
+}
+
+export async function runMcpCommand(opts: McpCommandOptions): Promise<number> {
+  const input = opts.input ?? process.stdin;
+  const out = opts.out ?? ((s: string) => process.stdout.write(s + '\n'));
+  const server = createMcpServer(opts);
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim().length === 0) continue;
+    const response = await server.handleLine(line);
+    if (response !== null) out(JSON.stringify(response));
+  }
+  return 0;
+}
@@ -1,4 +1,5 @@
-// `caws message send | reply | poll | inbox | history | status | prune` — the
+// `caws message send | reply | poll | inbox | history | status | prune |
+// subscribe | unsubscribe` — the
 // inter-agent message channel command surface (AGENT-MESSAGE-CHANNEL-001,
 // CAWS-MESSAGE-DELIVERY-UX-001). Sessions exchange directed messages addressed
 // by session id (or a wt:/spec: alias), over .caws/messages.jsonl (a separate
@@ -7,14 +8,21 @@
 // refused — a stopped lease with a FRESH heartbeat is idle, not dead.
 //
 //   message send --to <sid|wt:name|spec:id> --text <t>   directed send
+//   message send --to <topic:name|all:> --text <t>       fan-out: one copy per recipient
+//   message send --to <…> --kind <k> --body <json>       structured request / ack
 //   message reply <message-id> --text <t>                reply on the same channel
 //   message poll [--me <sid>]                            pull next message addressed to me
 //   message status <message-id>                          observe delivered state of one message
+//   message subscribe|unsubscribe --topic <name>         join or leave a topic
 //
 // OUTPUT CONTRACT: a refusal is observable on STDOUT (one verdict line naming
 // the refusal class) with full diagnostics on stderr — an agent that follows
 // the common `2>/dev/null` habit cannot mistake a refusal for a successful
 // send. Success lines stay byte-stable (`sent to <id> (id ..., channel ...)`).
+//
+// A structured kind (handoff_request, review_request, scope_release_request,
+// ack) is a request the recipient may act on through the governed commands;
+// sending one changes no worktree, spec or scope.
 
 import {
   pollMessage,
@@ -25,13 +33,27 @@ import {
   inboxCount,
   inboxMessages,
   channelHistory,
+  fanoutHistory,
+  isFanoutAddress,
   pruneMessages,
+  setTopicSubscription,
   storeDiagnostic,
   STORE_RULES,
   type MessageActor,
   type MessagePruneEntry,
   type MessageRecord,
+  type RecipientDelivery,
 } from '../../store';
+import {
+  MESSAGE_KINDS,
+  MESSAGE_RULES,
+  isMessageKind,
+  summarizeMessageBody,
+  validateMessageBody,
+  type Diagnostic,
+  type MessageBody,
+  type MessageKind,
+} from '../../kernel';
 import { buildActor } from '../session/actor';
 import { resolveSession } from '../session/resolve-session';
 import { renderDiagnostics } from '../render/diagnostic';
@@ -55,7 +77,12 @@ function defaults(opts: BaseCommandOptions) {
 
 export interface MessageSendCommandOptions extends BaseCommandOptions {
   readonly to: string;
+  /** Required unless `kind` is given; then derived from the body when empty. */
   readonly text: string;
+  /** Structured message kind (one of MESSAGE_KINDS); needs `body`. */
+  readonly kind?: string;
+  /** The structured body as JSON text, validated against `kind`. */
+  readonly body?: string;
   /** Skip the recipient-liveness check (escape hatch; default false). */
   readonly allowDead?: boolean;
 }
@@ -74,14 +101,43 @@ function refusalClass(errors: ReadonlyArray<{ rule?: string }>): string {
       return 'message not found';
     case STORE_RULES.MESSAGES_REPLY_TO_SELF:
       return 'reply-to-self refused';
+    case STORE_RULES.MESSAGES_NO_RECIPIENTS:
+      return 'no recipients';
+    case STORE_RULES.MESSAGES_TOPIC_INVALID:
+      return 'invalid topic';
+    case MESSAGE_RULES.BODY_INVALID:
+      return 'invalid body';
     default:
       return 'refused';
   }
 }
 
+/** Parse `--body` and check it against `--kind`, before anything else is resolved. */
+function parseStructured(
+  kind: string | undefined,
+  body: string | undefined
+): { kind?: MessageKind; body?: MessageBody; usage?: string; errors?: Diagnostic[] } {
+  if (kind === undefined && body === undefined) return {};
+  if (kind === undefined) return { usage: '--body is only meaningful with --kind <kind>.' };
+  if (!isMessageKind(kind)) return { usage: `--kind must be one of ${MESSAGE_KINDS.join(', ')}.` };
+  if (body === undefined) return { usage: `--kind ${kind} requires --body '<json object>'.` };
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    return { usage: `--body is not valid JSON: ${(e as Error).message}` };
+  }
+  const valid = validateMessageBody(kind, parsed);
+  if (!valid.ok) return { errors: [...valid.errors] };
+  return { kind, body: valid.value };
+}
+
 /**
- * `caws message send` — send `text` to recipient session `to`.
- * Exit codes: 0 sent, 1 refused (bad recipient / not live / no session), 2 repo error.
+ * `caws message send` — send `text` to recipient session `to`. With `kind`,
+ * the message also carries a structured body; an ack must name a message
+ * present in the log.
+ * Exit codes: 0 sent, 1 refused (bad recipient / not live / no session /
+ * invalid body), 2 repo error.
  */
 export function runMessageSendCommand(opts: MessageSendCommandOptions): number {
   const { cwd, env, out, err, showData } = defaults(opts);
@@ -90,10 +146,26 @@ export function runMessageSendCommand(opts: MessageSendCommandOptions): number {
     err('caws message send: --to <session_id> is required.');
     return 1;
   }
-  if (typeof opts.text !== 'string' || opts.text.length === 0) {
+  const structured = parseStructured(opts.kind, opts.body);
+  if (structured.usage !== undefined) {
+    err(`caws message send: ${structured.usage}`);
+    return 1;
+  }
+  if (structured.errors !== undefined) {
+    out(`caws message send: not sent — ${refusalClass(structured.errors)} (details on stderr).`);
+    err('caws message send: not sent.');
+    err(renderDiagnostics(structured.errors, { showData }));
+    return 1;
+  }
+  const hasText = typeof opts.text === 'string' && opts.text.length > 0;
+  if (!hasText && structured.kind === undefined) {
     err('caws message send: --text "<message>" is required and must be non-empty.');
     return 1;
   }
+  const text =
+    hasText || structured.kind === undefined || structured.body === undefined
+      ? opts.text
+      : summarizeMessageBody(structured.kind, structured.body);
 
   const rootResult = resolveRepoRoot(cwd);
   if (!rootResult.ok) {
@@ -103,6 +175,28 @@ export function runMessageSendCommand(opts: MessageSendCommandOptions): number {
   }
   const { cawsDir } = rootResult.value;
 
+  if (structured.kind === 'ack') {
+    const ackId = (structured.body as { ack_id: string }).ack_id;
+    const target = getMessageDeliveryState(cawsDir, ackId);
+    if (!target.ok) {
+      err('caws message send: failed to read the message log.');
+      err(renderDiagnostics(target.errors, { showData }));
+      return 2;
+    }
+    if (target.value === null) {
+      const notFound = [
+        storeDiagnostic(
+          STORE_RULES.MESSAGES_MESSAGE_NOT_FOUND,
+          `No message with id "${ackId}" in this repo's message log — an ack must answer a message that exists.`
+        ),
+      ];
+      out(`caws message send: not sent — ${refusalClass(notFound)} (details on stderr).`);
+      err('caws message send: not sent.');
+      err(renderDiagnostics(notFound, { showData }));
+      return 1;
+    }
+  }
+
   const sessionResult = resolveSession({ cawsDir, worktreeRoot: cwd, env, allowMint: true });
   if (!sessionResult.ok) {
     err('caws message send: could not resolve your session identity (who is sending).');
@@ -126,7 +220,9 @@ export function runMessageSendCommand(opts: MessageSendCommandOptions): number {
   const sent = sendMessage(cawsDir, {
     actor,
     to: recipient.value.sessionId,
-    text: opts.text,
+    text,
+    ...(structured.kind !== undefined ? { kind: structured.kind } : {}),
+    ...(structured.body !== undefined ? { body: structured.body } : {}),
     ...(opts.allowDead === true ? { requireLive: false } : {}),
   });
   if (!sent.ok) {
@@ -135,7 +231,13 @@ export function runMessageSendCommand(opts: MessageSendCommandOptions): number {
     err(renderDiagnostics(sent.errors, { showData }));
     return 1;
   }
-  out(`sent to ${sent.value.message.to} (id ${sent.value.message.id}, channel ${sent.value.message.channel})`);
+  const fanout = sent.value.message.recipients;
+  const kind = sent.value.message.kind;
+  out(
+    `sent to ${sent.value.message.to} (id ${sent.value.message.id}, channel ${sent.value.message.channel}` +
+      `${fanout !== undefined ? `, ${fanout.length} recipient(s)` : ''}` +
+      `${kind !== undefined ? `, kind ${kind}` : ''})`
+  );
   if (sent.value.recipientIdle) {
     out(
       `(note: recipient lease is stopped but its heartbeat is fresh — idle between turns; ` +
@@ -288,7 +390,7 @@ export function runMessageStatusCommand(opts: MessageStatusCommandOptions): numb
     err(renderDiagnostics(notFound, { showData }));
     return 1;
   }
-  const { message, delivered, deliveredAt } = target.value;
+  const { message, delivered, deliveredAt, deliveries } = target.value;
   const from = message.actor.session_id ?? message.actor.id;
 
   if (opts.json === true) {
@@ -299,6 +401,7 @@ export function runMessageStatusCommand(opts: MessageStatusCommandOptions): numb
         message,
         delivered,
         ...(deliveredAt !== undefined ? { delivered_at: deliveredAt } : {}),
+        ...(deliveries !== undefined ? { deliveries } : {}),
       })
     );
     return 0;
@@ -306,11 +409,18 @@ export function runMessageStatusCommand(opts: MessageStatusCommandOptions): numb
   out(`message ${message.id}`);
   out(`from ${from} -> ${message.to} (channel ${message.channel})`);
   out(`sent: ${message.ts}`);
-  out(
-    delivered
-      ? `delivered: yes (at ${deliveredAt})`
-      : 'delivered: no (still queued — surfaces at the recipient\'s next poll/tool call)'
-  );
+  if (deliveries !== undefined) {
+    out(`delivered: ${deliveries.filter((d) => d.delivered).length}/${deliveries.length} recipient(s)`);
+    for (const d of deliveries) {
+      out(`  ${d.recipient}: ${d.delivered ? `delivered ${d.deliveredAt}` : 'queued'}`);
+    }
+  } else {
+    out(
+      delivered
+        ? `delivered: yes (at ${deliveredAt})`
+        : 'delivered: no (still queued — surfaces at the recipient\'s next poll/tool call)'
+    );
+  }
   out(message.text);
   return 0;
 }
@@ -390,8 +500,12 @@ export function runMessagePollCommand(opts: MessagePollCommandOptions): number {
   if (sender?.specId !== undefined) senderBits.push(`spec ${sender.specId}`);
   if (sender?.branch !== undefined) senderBits.push(`branch ${sender.branch}`);
   const senderTag = senderBits.length > 0 ? ` (${senderBits.join(', ')})` : '';
-  out(`from ${message.actor.session_id ?? message.actor.id}${senderTag}${peekTag}:`);
+  const viaTag = message.recipients !== undefined ? ` via ${message.to}` : '';
+  out(`from ${message.actor.session_id ?? message.actor.id}${senderTag}${viaTag}${peekTag}:`);
   out(message.text);
+  if (message.kind !== undefined) {
+    out(`(${message.kind}, a request only — acting on it is up to you) body: ${JSON.stringify(message.body)}`);
+  }
   // `waiting` is computed AFTER this poll: on a consume it's the post-delivery
   // remainder; on a peek it still includes the message just shown. Report how many
   // others remain, so the threshold differs by one between the two modes.
@@ -412,7 +526,7 @@ export interface MessageInboxCommandOptions extends BaseCommandOptions {
 export interface MessageHistoryCommandOptions extends BaseCommandOptions {
   /** One side of the channel. Defaults to the resolved session id. */
   readonly me?: string;
-  /** Other endpoint in the channel. */
+  /** Other endpoint in the channel, or a topic:<name> / all: address. */
   readonly with: string;
   readonly limit?: number;
   readonly json?: boolean;
@@ -460,17 +574,22 @@ function sanitizeLimit(limit: number | undefined): number | undefined {
  * Minimal renderable shape shared by inbox messages (undelivered by
  * definition — rendered [queued]) and history entries (annotated).
  */
-type RenderableMessage = Pick<MessageRecord, 'ts' | 'actor' | 'to' | 'text'> & {
+type RenderableMessage = Pick<MessageRecord, 'ts' | 'actor' | 'to' | 'text' | 'kind'> & {
   delivered?: boolean;
   deliveredAt?: string;
+  deliveries?: readonly RecipientDelivery[];
 };
 
 function renderMessageLine(message: RenderableMessage): string {
   const from = message.actor.session_id ?? message.actor.id;
-  const delivery = message.delivered
-    ? ` [delivered${message.deliveredAt !== undefined ? ` ${message.deliveredAt}` : ''}]`
-    : ' [queued]';
-  return `${message.ts} ${from} -> ${message.to}${delivery}: ${message.text}`;
+  const delivery =
+    message.deliveries !== undefined
+      ? ` [delivered ${message.deliveries.filter((d) => d.delivered).length}/${message.deliveries.length}]`
+      : message.delivered
+        ? ` [delivered${message.deliveredAt !== undefined ? ` ${message.deliveredAt}` : ''}]`
+        : ' [queued]';
+  const kind = message.kind !== undefined ? `[${message.kind}] ` : '';
+  return `${message.ts} ${from} -> ${message.to}${delivery}: ${kind}${message.text}`;
 }
 
 function renderPruneEntry(entry: MessagePruneEntry): string {
@@ -535,11 +654,20 @@ export function runMessageHistoryCommand(opts: MessageHistoryCommandOptions): nu
     return 2;
   }
   const { cawsDir } = rootResult.value;
-  const me = resolveMe('history', cawsDir, cwd, env, opts.me, err, showData);
-  if (me === null) return 1;
 
-  const result = channelHistory(cawsDir, me, opts.with);
+  // A topic/broadcast channel is the address itself and is readable without
+  // a session; a pair channel needs this endpoint's id.
+  const fanout = isFanoutAddress(opts.with);
+  const me = fanout ? opts.me ?? null : resolveMe('history', cawsDir, cwd, env, opts.me, err, showData);
+  if (!fanout && me === null) return 1;
+
+  const result = fanout ? fanoutHistory(cawsDir, opts.with) : channelHistory(cawsDir, me!, opts.with);
   if (!result.ok) {
+    if (result.errors.some((d) => d.rule === STORE_RULES.MESSAGES_TOPIC_INVALID)) {
+      err('caws message history: invalid topic.');
+      err(renderDiagnostics(result.errors, { showData }));
+      return 1;
+    }
     err('caws message history: failed to read the message log.');
     err(renderDiagnostics(result.errors, { showData }));
     return 2;
@@ -547,13 +675,13 @@ export function runMessageHistoryCommand(opts: MessageHistoryCommandOptions): nu
   const limit = sanitizeLimit(opts.limit);
   const messages =
     limit !== undefined ? result.value.slice(Math.max(0, result.value.length - limit)) : result.value;
-  const channel = [me, opts.with].sort().join('::');
+  const channel = fanout ? opts.with : [me!, opts.with].sort().join('::');
 
   if (opts.json === true) {
     out(JSON.stringify({
       ok: true,
       read_only: true,
-      me,
+      ...(me !== null ? { me } : {}),
       with: opts.with,
       channel,
       total: result.value.length,
@@ -631,3 +759,66 @@ export function runMessagePruneCommand(opts: MessagePruneCommandOptions = {}): n
   }
   return 0;
 }
+
+export interface MessageSubscribeCommandOptions extends BaseCommandOptions {
+  /** Endpoint to (un)subscribe. Defaults to the resolved session id. */
+  readonly me?: string;
+  /** Topic name, with or without the topic: prefix. */
+  readonly topic: string;
+  /** Leave the topic instead of joining it. */
+  readonly unsubscribe?: boolean;
+  readonly json?: boolean;
+}
+
+/**
+ * `caws message subscribe|unsubscribe --topic <name>` — join or leave a topic.
+ * Idempotent. Only messages sent to the topic AFTER joining are delivered;
+ * `history --with topic:<name>` shows the rest. Exit codes: 0 done (or already
+ * in that state), 1 invalid topic / no session, 2 repo error.
+ */
+export function runMessageSubscribeCommand(opts: MessageSubscribeCommandOptions): number {
+  const { cwd, env, out, err, showData } = defaults(opts);
+  const verb = opts.unsubscribe === true ? 'unsubscribe' : 'subscribe';
+  if (typeof opts.topic !== 'string' || opts.topic.length === 0) {
+    err(`caws message ${verb}: --topic <name> is required.`);
+    return 1;
+  }
+
+  const rootResult = resolveRepoRoot(cwd);
+  if (!rootResult.ok) {
+    err(`caws message ${verb}: failed to resolve repo root.`);
+    err(renderDiagnostics(rootResult.errors, { showData }));
+    return 2;
+  }
+  const { cawsDir } = rootResult.value;
+  const me = resolveMe(verb, cawsDir, cwd, env, opts.me, err, showData);
+  if (me === null) return 1;
+
+  const result = setTopicSubscription(cawsDir, {
+    endpoint: me,
+    topic: opts.topic,
+    subscribe: opts.unsubscribe !== true,
+  });
+  if (!result.ok) {
+    const rule = result.errors[0]?.rule;
+    err(`caws message ${verb}: failed.`);
+    err(renderDiagnostics(result.errors, { showData }));
+    return rule === STORE_RULES.MESSAGES_TOPIC_INVALID || rule === STORE_RULES.MESSAGES_RECIPIENT_INVALID
+      ? 1
+      : 2;
+  }
+  const { topic, changed, topics } = result.value;
+  const subscribed = opts.unsubscribe !== true;
+
+  if (opts.json === true) {
+    out(JSON.stringify({ ok: true, me, topic, subscribed, changed, topics }));
+    return 0;
+  }
+  out(
+    changed
+      ? `${subscribed ? 'subscribed' : 'unsubscribed'} ${me} ${subscribed ? 'to' : 'from'} ${topic}`
+      : `${me} was already ${subscribed ? 'subscribed to' : 'not subscribed to'} ${topic} (no change)`
+  );
+  out(`topics: ${topics.length > 0 ? topics.join(', ') : '(none)'}`);
+  return 0;
+}
@@ -21,14 +21,23 @@
 import * as path from 'node:path';
 
 import {
+  analyzeSpecGraph,
+  buildSpecGraph,
   isOk,
   parseAndValidateSpec,
+  type AcceptanceCriterion,
   type Actor,
   type ActorKind,
   type Diagnostic,
 } from '../../kernel';
 
-import { resolveRepoRoot, runSpecsMigrateApply } from '../../store';
+import {
+  listArchivedSpecIds,
+  loadSpecs,
+  resolveRepoRoot,
+  runGit,
+  runSpecsMigrateApply,
+} from '../../store';
 import type {
   MigrationReport,
   SpecsMigrateApplyResult,
@@ -64,6 +73,14 @@ import * as fs from 'node:fs';
 import { buildActor } from '../session/actor';
 import { resolveSession } from '../session/resolve-session';
 import { renderDiagnostics } from '../render/diagnostic';
+import { runAcceptanceCriterion, type AcceptanceRun } from '../specs/acceptance-runner';
+import {
+  isSpecGraphFormat,
+  renderSpecGraphDot,
+  renderSpecGraphJson,
+  renderSpecGraphMermaid,
+  SPEC_GRAPH_FORMATS,
+} from '../render/spec-graph';
 
 // --mode / --resolution validation reads the kernel's single enum source
 // (SPEC_MODES / SPEC_RESOLUTIONS) rather than re-declaring the values here.
@@ -1646,6 +1663,196 @@ export function runSpecsEvidenceCommand(opts: SpecsEvidenceOptions): number {
   return 0;
 }
 
+// ─── caws specs verify ────────────────────────────────────────────────────
+//
+// Machine-produced AC evidence: runs each criterion's declared test_command
+// (shell/specs/acceptance-runner.ts) and records the verdict through the
+// same dual-write as `caws specs evidence` — spec evidence: block plus an
+// ac_recorded event — with the command, exit code, duration, output digest
+// and the HEAD the command ran against — or, when the working tree has
+// uncommitted changes, dirty_tree in place of a commit that does not
+// describe what ran. The agent supplies no status; the exit code does.
+//
+// Everything that can refuse (spec missing, closed, unknown criterion, no
+// test_command) is checked before the first command runs, so a refused
+// verify never half-runs a suite. Exit 0 when every run criterion passed,
+// 1 when any failed or could not be recorded, 2 on context failure.
+
+export interface SpecsVerifyOptions extends BaseCommandOptions {
+  readonly id: string;
+  /** Criterion ids to run; all criteria with a test_command when omitted. */
+  readonly criteria?: readonly string[];
+  readonly timeoutMs?: number | string;
+  readonly json?: boolean;
+}
+
+interface VerifyResult extends AcceptanceRun {
+  readonly status: 'pass' | 'fail';
+  readonly recorded: boolean;
+}
+
+export function runSpecsVerifyCommand(opts: SpecsVerifyOptions): number {
+  const { cwd, nowFn, env, out, err, showData } = setupIO(opts);
+
+  let timeoutMs: number | undefined;
+  if (opts.timeoutMs !== undefined) {
+    timeoutMs = Number(opts.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      err(`caws specs verify: --timeout-ms must be a positive integer. Got ${JSON.stringify(opts.timeoutMs)}.`);
+      return 1;
+    }
+  }
+
+  const ctx = resolveCawsCtx(cwd, err, showData, 'verify');
+  if (ctx === null) return 2;
+
+  const shown = showSpec(ctx.cawsDir, opts.id);
+  if (!isOk(shown)) {
+    err('caws specs verify: failed.');
+    err(renderDiagnostics(shown.errors, { showData }));
+    return 1;
+  }
+  const spec = shown.value.spec;
+  if (spec.lifecycle_state !== 'active' && spec.lifecycle_state !== 'draft') {
+    err(
+      `caws specs verify: ${opts.id} is ${spec.lifecycle_state}; evidence records only on active or draft specs.`
+    );
+    return 1;
+  }
+
+  const requested = opts.criteria ?? [];
+  const byId = new Map(spec.acceptance.map((a) => [a.id, a] as const));
+  const unknown = requested.filter((id) => !byId.has(id));
+  if (unknown.length > 0) {
+    err(
+      `caws specs verify: ${opts.id} declares no criterion ${unknown.join(', ')}. ` +
+        `Declared: ${[...byId.keys()].join(', ') || '(none)'}.`
+    );
+    return 1;
+  }
+  const withoutCommand = requested.filter((id) => byId.get(id)?.test_command === undefined);
+  if (withoutCommand.length > 0) {
+    err(
+      `caws specs verify: criterion ${withoutCommand.join(', ')} of ${opts.id} declares no test_command. ` +
+        'Add one to the acceptance entry, or record evidence by hand with `caws specs evidence`.'
+    );
+    return 1;
+  }
+  const selected = (requested.length > 0 ? requested.map((id) => byId.get(id)) : spec.acceptance)
+    .filter((a): a is AcceptanceCriterion & { test_command: string } => a?.test_command !== undefined);
+  if (selected.length === 0) {
+    err(
+      `caws specs verify: no acceptance criterion of ${opts.id} declares a test_command; nothing to run.`
+    );
+    return 1;
+  }
+  const skipped = requested.length > 0 ? [] : spec.acceptance.filter((a) => a.test_command === undefined);
+
+  const actor = buildActorOrError(
+    ctx.cawsDir, cwd, env, nowFn, opts.actorKind, err, showData, 'verify'
+  );
+  if (actor === null) return 2;
+
+  // The commit the commands ran against. Read once, before the first run:
+  // recording evidence may auto-commit and move HEAD. Only a clean tree ran
+  // against HEAD; .caws/ is left out because recording evidence writes it.
+  const head = runGit(['rev-parse', 'HEAD'], ctx.repoRoot);
+  const status = runGit(
+    ['status', '--porcelain', '--', '.', `:(exclude)${path.relative(ctx.repoRoot, ctx.cawsDir)}`],
+    ctx.repoRoot
+  );
+  const dirtyTree = status.ok && status.stdout.trim().length > 0;
+  const commitSha = head.ok && status.ok && !dirtyTree ? head.stdout.trim() : undefined;
+  if (dirtyTree) {
+    err(
+      'caws specs verify: the working tree has uncommitted changes; evidence records dirty_tree instead of a commit_sha.'
+    );
+  }
+
+  const results: VerifyResult[] = [];
+  for (const criterion of selected) {
+    const run = runAcceptanceCriterion({
+      specId: opts.id,
+      criterion,
+      repoRoot: ctx.repoRoot,
+      env,
+      ...(timeoutMs !== undefined ? { timeoutMs } : {}),
+    });
+    const status = run.outcome === 'pass' ? 'pass' : 'fail';
+    const recorded = recordSpecEvidence(ctx.cawsDir, {
+      id: opts.id,
+      criterionId: criterion.id,
+      status,
+      evidenceRef: run.command,
+      command: run.command,
+      ...(run.test_nodeids.length > 0 ? { testNodeid: run.test_nodeids.join(' ') } : {}),
+      ...(run.exit_code !== null ? { exitCode: run.exit_code } : {}),
+      ...(commitSha !== undefined ? { commitSha } : {}),
+      ...(dirtyTree ? { dirtyTree } : {}),
+      durationMs: run.duration_ms,
+      outputDigest: run.output_digest,
+      now: nowFn,
+      actor,
+    });
+    let ok = isOk(recorded) && recorded.value.kind !== 'partial_failure_recovered';
+    if (!isOk(recorded)) {
+      err(`caws specs verify: ran ${criterion.id} but could not record its evidence.`);
+      err(renderDiagnostics(recorded.errors, { showData }));
+    } else if (recorded.value.kind === 'partial_failure_recovered') {
+      err(`caws specs verify: ran ${criterion.id} but recording partially failed (no state change).`);
+      err(renderDiagnostics(recorded.value.cause, { showData }));
+      ok = false;
+    } else {
+      surfaceAuditCommit(recorded.value.data?.audit_commit, err);
+    }
+    results.push({ ...run, status, recorded: ok });
+
+    if (opts.json !== true) {
+      const seconds = (run.duration_ms / 1000).toFixed(1);
+      const how =
+        run.outcome === 'timeout'
+          ? 'timed out'
+          : run.outcome === 'crashed'
+            ? 'did not exit cleanly'
+            : `exit ${run.exit_code}`;
+      out(`${criterion.id} ${status} (${how}, ${seconds}s): ${run.command}`);
+      if (status === 'fail' && run.output_tail.length > 0) {
+        err(`--- ${criterion.id} output (tail) ---`);
+        err(run.output_tail.trimEnd());
+      }
+    }
+  }
+
+  const allPassed = results.every((r) => r.status === 'pass' && r.recorded);
+  if (opts.json === true) {
+    emitJson(out, {
+      ok: allPassed,
+      spec_id: opts.id,
+      commit_sha: commitSha ?? null,
+      dirty_tree: dirtyTree,
+      results: results.map((r) => ({
+        criterion_id: r.criterion_id,
+        status: r.status,
+        outcome: r.outcome,
+        command: r.command,
+        test_nodeids: r.test_nodeids,
+        exit_code: r.exit_code,
+        duration_ms: r.duration_ms,
+        output_digest: r.output_digest,
+        recorded: r.recorded,
+      })),
+      skipped: skipped.map((a) => a.id),
+    });
+  } else {
+    for (const a of skipped) out(`${a.id} skipped (no test_command)`);
+    const passed = results.filter((r) => r.status === 'pass').length;
+    out(
+      `verified ${opts.id}: ${passed}/${results.length} criteria passed — dual-write: spec evidence block + ac_recorded event`
+    );
+  }
+  return allPassed ? 0 : 1;
+}
+
 // ─── caws specs amend-scope ──────────────────────────────────────────────
 
 export interface SpecsAmendScopeOptions extends BaseCommandOptions {
@@ -2562,3 +2769,60 @@ export function runSpecsValidateCommand(opts: SpecsValidateOptions): number {
   out(`caws specs validate: ${filePath} is valid (${result.value.id}).`);
   return 0;
 }
+
+// ─── caws specs graph ─────────────────────────────────────────────────────
+//
+// Read-only view of the cross-spec reference graph (successors, supersedes,
+// superseded_by) for planning reviews. The analysis is the kernel's
+// (kernel/spec/graph.ts) and the same one `caws doctor` reports under
+// doctor.spec.graph_*; this command draws it. In dot and mermaid formats
+// the issues go to stderr so stdout stays a renderable document.
+//
+// Exit 0 whether or not the graph has issues: this is a viewer, and doctor
+// is the verdict. Exit 1 on an unknown --format; 2 when .caws/ cannot be
+// resolved.
+
+export interface SpecsGraphOptions extends BaseCommandOptions {
+  readonly format?: string;
+}
+
+export function runSpecsGraphCommand(opts: SpecsGraphOptions): number {
+  const { cwd, out, err, showData } = setupIO(opts);
+  const format = opts.format ?? 'dot';
+  if (!isSpecGraphFormat(format)) {
+    err(
+      `caws specs graph: unknown --format "${format}". Expected one of: ` +
+        `${SPEC_GRAPH_FORMATS.join('|')}.`
+    );
+    return 1;
+  }
+  const ctx = resolveCawsCtx(cwd, err, showData, 'graph');
+  if (ctx === null) return 2;
+
+  const loaded = loadSpecs(ctx.cawsDir);
+  const input = { specs: loaded.specs, archivedIds: listArchivedSpecIds(ctx.cawsDir) };
+  const graph = buildSpecGraph(input);
+  const analysis = analyzeSpecGraph(input);
+
+  if (format === 'json') {
+    out(renderSpecGraphJson(graph, analysis));
+    return 0;
+  }
+  out(format === 'dot' ? renderSpecGraphDot(graph, analysis) : renderSpecGraphMermaid(graph, analysis));
+  for (const ids of analysis.cycles) {
+    err(`caws specs graph: cycle: ${ids.join(' -> ')}`);
+  }
+  for (const e of analysis.dangling) {
+    err(`caws specs graph: dangling ${e.kind} edge: ${e.from} -> ${e.to} (no such spec)`);
+  }
+  for (const c of analysis.contradictions) {
+    err(`caws specs graph: contradiction (${c.kind}): ${c.spec_id} / ${c.other_id}`);
+  }
+  if (input.archivedIds === undefined) {
+    err('caws specs graph: archive unreadable; dangling edges were not checked.');
+  }
+  if (loaded.diagnostics.length > 0) {
+    err(`caws specs graph: ${loaded.diagnostics.length} spec file(s) could not be loaded and are not drawn.`);
+  }
+  return 0;
+}
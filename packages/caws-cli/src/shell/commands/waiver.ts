@@ -39,6 +39,7 @@ import {
   isOk,
   validateWaiver,
   waiverEffectiveness,
+  waiverUses,
   type Diagnostic,
   type Waiver,
   type WaiverEffectiveness,
@@ -46,6 +47,7 @@ import {
 
 import {
   loadWaivers,
+  loadWaiverUsage,
   markRevoked,
   resolveRepoRoot,
   STORE_RULES,
@@ -118,6 +120,11 @@ export interface WaiverCreateOptions extends WaiverCommandBase {
   readonly expiresAt: string;
   /** Optional. When supplied, scopes the waiver to a single spec id. */
   readonly specId?: string;
+  /**
+   * Optional. When supplied, limits the waiver to violations whose file
+   * matches one of these globs (kernel matchGlob semantics).
+   */
+  readonly paths?: readonly string[];
   /** Validate and report only; do not write .caws/waivers/<id>.yaml. */
   readonly dryRun?: boolean;
   /** Emit machine-readable JSON for dry-run/create results. */
@@ -156,8 +163,11 @@ function buildCreateCandidate(opts: WaiverCreateOptions, now: Date): Record<stri
     created_at: now.toISOString(),
     expires_at: opts.expiresAt,
   };
-  if (opts.specId !== undefined) {
-    candidate['scope'] = { spec_id: opts.specId };
+  if (opts.specId !== undefined || opts.paths !== undefined) {
+    candidate['scope'] = {
+      ...(opts.specId !== undefined ? { spec_id: opts.specId } : {}),
+      ...(opts.paths !== undefined ? { paths: opts.paths } : {}),
+    };
   }
   return candidate;
 }
@@ -404,6 +414,13 @@ export function runWaiverListCommand(opts: WaiverListOptions = {}): number {
     err(renderDiagnostics(load.diagnostics, { showData }));
   }
 
+  // Usage ledger, so a waiver whose max_uses is spent lists as
+  // NOT_APPLICABLE rather than ACTIVE.
+  const usageLoad = loadWaiverUsage(ctx.cawsDir);
+  if (usageLoad.diagnostics.length > 0) {
+    err(renderDiagnostics(usageLoad.diagnostics, { showData }));
+  }
+
   const now = nowFn();
   const includeRevoked = opts.includeRevoked === true;
   const includeExpired = opts.includeExpired === true;
@@ -411,7 +428,7 @@ export function runWaiverListCommand(opts: WaiverListOptions = {}): number {
   type Row = { waiver: Waiver; effectiveness: WaiverEffectiveness };
   const rows: Row[] = [];
   for (const w of load.waivers) {
-    const eff = waiverEffectiveness(w, now);
+    const eff = waiverEffectiveness(w, now, usageLoad.usage);
     if (eff === 'revoked' && !includeRevoked) continue;
     if (eff === 'expired' && !includeExpired) continue;
     rows.push({ waiver: w, effectiveness: eff });
@@ -481,11 +498,16 @@ export function runWaiverShowCommand(opts: WaiverShowOptions): number {
     );
     return 1;
   }
+  const usageLoad = loadWaiverUsage(ctx.cawsDir);
+  if (usageLoad.diagnostics.length > 0) {
+    err(renderDiagnostics(usageLoad.diagnostics, { showData }));
+  }
   out(
     renderWaiverDetail({
       waiver: found,
-      effectiveness: waiverEffectiveness(found, now),
+      effectiveness: waiverEffectiveness(found, now, usageLoad.usage),
       now,
+      uses: waiverUses(found, usageLoad.usage),
     })
   );
   return 0;
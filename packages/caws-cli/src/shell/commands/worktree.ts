@@ -8,6 +8,9 @@
 //   - caws worktree destroy <name> [--abandon-unmerged|--force]
 //   - caws worktree untrack <name> --reason <why> [--apply]
 //   - caws worktree merge <name> [--dry-run]
+//   - caws worktree sync <name> [--strategy merge|rebase] [--dry-run]
+//   - caws worktree queue add <name> | list | run
+//   - caws worktree conflicts [--name <wt>]
 //
 // Discipline:
 //   - All mutation paths go through worktrees-writer (which uses the
@@ -29,11 +32,35 @@ import {
   DOCTOR_RULES,
   inspectProjectState,
   isOk,
+  isWorktreeMergeStrategy,
+  isWorktreeSyncStrategy,
   type Spec,
+  WORKTREE_MERGE_STRATEGIES,
+  WORKTREE_SYNC_STRATEGIES,
+  type WorktreeMergeStrategy,
   type WorktreeRecord,
 } from '../../kernel';
 
-import { loadSpecs, loadWorktrees, realpathSafe, resolveRepoRoot, runGit, writeFileAtomic } from '../../store';
+import {
+  claimMergeQueue,
+  type ConflictCheck,
+  type ConflictSide,
+  enqueueMerge,
+  loadMergeQueue,
+  loadSpecs,
+  loadWorktrees,
+  type MergeQueueEntry,
+  type MergeQueueStage,
+  predictWorktreeConflicts,
+  realpathSafe,
+  recordMergeQueueFailure,
+  releaseMergeQueue,
+  removeFromMergeQueue,
+  resolveRepoRoot,
+  runGit,
+  STORE_RULES,
+  writeFileAtomic,
+} from '../../store';
 import { composeDoctorSnapshot } from '../../store/doctor-snapshot';
 import { configureWorktreeSparseCheckout } from '../../store/git-sparse-checkout';
 import type {
@@ -51,13 +78,17 @@ import {
   destroyWorktree,
   listWorktreesPretty,
   mergeWorktree,
+  previewWorktreeLanding,
   pruneWorktree,
+  resolveQueueMergeStrategy,
+  syncWorktree,
   untrackWorktree,
 } from '../../store/worktrees-writer';
 import { clearSpecBinding } from '../../store/specs-writer';
 import { buildActor } from '../session/actor';
 import { admitsOwner, resolveSession, resolveSessionCandidates } from '../session/resolve-session';
 import { renderDiagnostics } from '../render/diagnostic';
+import { runGatesRunCommand } from './gates';
 
 interface BaseCommandOptions {
   readonly cwd?: string;
@@ -250,6 +281,8 @@ export interface WorktreeCreateOptions extends BaseCommandOptions {
   readonly specId: string;
   readonly baseBranch?: string;
   readonly branch?: string;
+  /** Stack on this registered worktree (`--on`). */
+  readonly parent?: string;
 }
 
 export function runWorktreeCreateCommand(opts: WorktreeCreateOptions): number {
@@ -269,6 +302,7 @@ export function runWorktreeCreateCommand(opts: WorktreeCreateOptions): number {
   if (opts.baseBranch !== undefined)
     (input as { baseBranch?: string }).baseBranch = opts.baseBranch;
   if (opts.branch !== undefined) (input as { branch?: string }).branch = opts.branch;
+  if (opts.parent !== undefined) (input as { parent?: string }).parent = opts.parent;
 
   const result = createWorktree(ctx.cawsDir, input);
   if (!isOk(result)) {
@@ -289,6 +323,11 @@ export function runWorktreeCreateCommand(opts: WorktreeCreateOptions): number {
   const wtPath = outcome.data?.path ?? '';
   const relWtPath = path.relative(ctx.repoRoot, String(wtPath));
   out(`created ${outcome.name} at ${relWtPath} (spec: ${opts.specId})`);
+  if (opts.parent !== undefined) {
+    out(
+      `stacked on ${opts.parent} (base: ${String(outcome.data?.base_branch)}); it merges after ${opts.parent} does.`
+    );
+  }
   surfaceBindActivation(outcome.data, opts.specId, out);
   // CAWS-FIRST-CONTACT-UX-001 A3: tell the user where to work next.
   // Without this hint, users continue editing in the canonical checkout
@@ -318,12 +357,26 @@ export function runWorktreeListCommand(opts: WorktreeListOptions = {}): number {
     out('(no worktrees registered)');
     return 0;
   }
+  // Entries arrive with each stacked worktree right after its parent;
+  // indent it one level per ancestor.
+  const parentOf = new Map(result.value.entries.map((e) => [e.name, e.parent]));
+  const depthOf = (name: string): number => {
+    let depth = 0;
+    let p = parentOf.get(name);
+    while (typeof p === 'string' && parentOf.has(p)) {
+      depth++;
+      p = parentOf.get(p);
+    }
+    return depth;
+  };
   for (const entry of result.value.entries) {
     const rel = path.relative(ctx.repoRoot, entry.path);
     const ownerStr = entry.owner ? entry.owner.session_id.slice(0, 8) : 'unowned';
     const specStr = entry.specId ?? '(unbound)';
+    const depth = depthOf(entry.name);
+    const nameStr = depth === 0 ? entry.name : `${'  '.repeat(depth - 1)}└─ ${entry.name}`;
     out(
-      `${entry.name.padEnd(28)} ${entry.branch.padEnd(20)} → ${entry.baseBranch.padEnd(12)} spec=${specStr.padEnd(20)} owner=${ownerStr.padEnd(10)} ${rel}`
+      `${nameStr.padEnd(28)} ${entry.branch.padEnd(20)} → ${entry.baseBranch.padEnd(12)} spec=${specStr.padEnd(20)} owner=${ownerStr.padEnd(10)} ${rel}`
     );
   }
   return 0;
@@ -542,6 +595,8 @@ export interface WorktreeMergeOptions extends BaseCommandOptions {
   readonly name: string;
   readonly dryRun?: boolean;
   readonly apply?: boolean;
+  /** merge | squash | rebase | ff-only; absent defers to policy.yaml. */
+  readonly strategy?: string;
   readonly message?: string;
   // CAWS-FEAT-WORKTREE-MERGE-CLOSURE-NOTES-FLAG-01: --closure-notes lets an
   // operator author the bound spec's closure_notes THROUGH the merge, replacing
@@ -572,6 +627,12 @@ export function runWorktreeMergeCommand(opts: WorktreeMergeOptions): number {
     err('  --dry-run reports the plan without merging. Use one or the other.');
     return 2;
   }
+  if (opts.strategy !== undefined && !isWorktreeMergeStrategy(opts.strategy)) {
+    err(
+      `caws worktree merge: --strategy must be one of ${WORKTREE_MERGE_STRATEGIES.join(', ')} (got "${opts.strategy}").`
+    );
+    return 2;
+  }
 
   // See destroy: ownership-comparison surface needs the exhaustive
   // candidate set, distinct from the single-identity actor.
@@ -594,6 +655,9 @@ export function runWorktreeMergeCommand(opts: WorktreeMergeOptions): number {
   };
   if (opts.dryRun === true) (input as { dryRun?: boolean }).dryRun = true;
   if (opts.message !== undefined) (input as { message?: string }).message = opts.message;
+  if (opts.strategy !== undefined && isWorktreeMergeStrategy(opts.strategy)) {
+    (input as { strategy?: WorktreeMergeStrategy }).strategy = opts.strategy;
+  }
   if (opts.noClose === true) (input as { noClose?: boolean }).noClose = true;
 
   // CAWS-FEAT-WORKTREE-MERGE-CLOSURE-NOTES-FLAG-01: resolve the closure-notes
@@ -690,13 +754,22 @@ export function runWorktreeMergeCommand(opts: WorktreeMergeOptions): number {
   // deliberately still active, so the success line must not claim it was
   // auto-closed. The follow-up close is named immediately below.
   const specLeftOpen = outcome.data?.spec_left_open === true;
+  // The strategy is named only when it is not the default shape, so a plain
+  // merge's success line is unchanged.
+  const strategy = outcome.data?.strategy;
+  const rewroteLane = strategy === 'squash' || strategy === 'rebase';
   out(
     `merged ${outcome.name} (merge_commit: ${outcome.data?.merge_commit}; ` +
+      (typeof strategy === 'string' && strategy !== 'merge' ? `strategy: ${strategy}; ` : '') +
       (specLeftOpen
         ? `spec_left_open: ${outcome.data?.spec_id}; `
         : `auto_closed_spec: ${outcome.data?.spec_id}; `) +
       `branch: ${branchName}${branchDeleted ? ' deleted' : ' RETAINED'})`
   );
+  const retargeted = outcome.data?.retargeted_children;
+  if (Array.isArray(retargeted) && retargeted.length > 0) {
+    out(`re-targeted onto the base: ${retargeted.join(', ')} (stacked on ${outcome.name})`);
+  }
   if (specLeftOpen) {
     out(
       `Spec ${outcome.data?.spec_id} was NOT closed (--no-close): it remains active, so ` +
@@ -712,11 +785,18 @@ export function runWorktreeMergeCommand(opts: WorktreeMergeOptions): number {
     // a loud, actionable warning: what happened, why, and the exact way to
     // reconcile it.
     err(
-      `warning: merge completed but branch "${branchName}" was NOT deleted.\n` +
-        `  git said: ${outcome.data?.branch_delete_error}\n` +
-        `  This is unexpected after a successful merge — git considers the branch unmerged.\n` +
-        `  Inspect before removing it: git log --oneline main..${branchName}\n` +
-        `  If that range is empty the branch is safe to delete: git branch -d ${branchName}`
+      rewroteLane
+        ? `warning: merge completed but branch "${branchName}" was NOT deleted.\n` +
+            `  reason: ${outcome.data?.branch_delete_error}\n` +
+            `  Under --strategy ${strategy} the lane's commits land as copies, so the branch is deleted only\n` +
+            `  when the landed tip provably contains all of its changes.\n` +
+            `  Inspect before removing it: git merge-tree --write-tree ${outcome.data?.merge_commit} ${branchName}\n` +
+            `  If that prints ${outcome.data?.merge_commit}^{tree} the branch is safe to delete: git branch -D ${branchName}`
+        : `warning: merge completed but branch "${branchName}" was NOT deleted.\n` +
+            `  git said: ${outcome.data?.branch_delete_error}\n` +
+            `  This is unexpected after a successful merge — git considers the branch unmerged.\n` +
+            `  Inspect before removing it: git log --oneline main..${branchName}\n` +
+            `  If that range is empty the branch is safe to delete: git branch -d ${branchName}`
     );
   }
   // CAWS-FEAT-WORKTREE-MERGE-CLOSURE-NOTES-FLAG-01: when --closure-notes was
@@ -755,6 +835,482 @@ export function runWorktreeMergeCommand(opts: WorktreeMergeOptions): number {
   return 0;
 }
 
+// ─── caws worktree sync ───────────────────────────────────────────────────
+
+export interface WorktreeSyncOptions extends BaseCommandOptions {
+  readonly name: string;
+  /** merge | rebase; absent means merge. */
+  readonly strategy?: string;
+  readonly dryRun?: boolean;
+}
+
+export function runWorktreeSyncCommand(opts: WorktreeSyncOptions): number {
+  const { cwd, nowFn, env, out, err, showData } = setupIO(opts);
+  if (opts.strategy !== undefined && !isWorktreeSyncStrategy(opts.strategy)) {
+    err(
+      `caws worktree sync: --strategy must be one of ${WORKTREE_SYNC_STRATEGIES.join(', ')} (got "${opts.strategy}").`
+    );
+    return 2;
+  }
+  const ctx = resolveCawsCtx(cwd, err, showData, 'sync');
+  if (ctx === null) return 2;
+  const id = buildActorPair(ctx.cawsDir, cwd, env, nowFn, opts.actorKind, err, showData, 'sync');
+  if (id === null) return 2;
+
+  // Sync rewrites the lane, so it is an ownership-comparison surface like
+  // merge and destroy.
+  const sessionCandidates = resolveSessionCandidates({ cawsDir: ctx.cawsDir, env });
+  const result = syncWorktree(ctx.cawsDir, {
+    name: opts.name,
+    sessionCandidates,
+    actor: id.actor,
+    now: nowFn,
+    ...(opts.strategy !== undefined && isWorktreeSyncStrategy(opts.strategy)
+      ? { strategy: opts.strategy }
+      : {}),
+    ...(opts.dryRun === true ? { dryRun: true } : {}),
+  });
+  if (!isOk(result)) {
+    const conflicts = result.errors.filter((d) => d.rule === STORE_RULES.WORKTREE_SYNC_CONFLICT);
+    err(
+      conflicts.length > 0
+        ? `caws worktree sync: ${conflicts.length} conflicting path(s); the lane was left untouched.`
+        : 'caws worktree sync: failed.'
+    );
+    err(renderDiagnostics(result.errors, { showData }));
+    return 1;
+  }
+  const outcome = result.value;
+  if (outcome.kind === 'partial_failure_recovered') {
+    err('caws worktree sync: partial failure recovered (no state change).');
+    err(renderDiagnostics(outcome.cause, { showData }));
+    return 1;
+  }
+  const data = outcome.data ?? {};
+  const short = (sha: unknown): string => String(sha).slice(0, 12);
+  if (outcome.kind === 'dry_run') {
+    if (data['up_to_date'] === true) {
+      out(`caws worktree sync ${outcome.name} --dry-run: already up to date.`);
+    } else if (outcome.canProceed) {
+      out(
+        `caws worktree sync ${outcome.name} --dry-run: ready to sync ` +
+          `(${String(data['commits_behind'])} commit(s) behind ${String(data['base_branch'])}; strategy: ${String(data['strategy'])}).`
+      );
+    } else {
+      err(`caws worktree sync ${outcome.name} --dry-run: NOT ready to sync.`);
+      for (const f of outcome.findings) err(`  - ${f}`);
+    }
+    if (showData === true) out(JSON.stringify(data, null, 2));
+    return outcome.canProceed ? 0 : 1;
+  }
+  if (data['up_to_date'] === true) {
+    out(`${outcome.name} is already up to date with ${String(data['base_branch'])} (${short(data['base_tip'])}).`);
+    return 0;
+  }
+  out(
+    `synced ${outcome.name} with ${String(data['base_branch'])} ` +
+      `(strategy: ${String(data['strategy'])}; ${short(data['lane_before'])} -> ${short(data['lane_after'])})`
+  );
+  if (data['strategy'] === 'rebase') {
+    out(`  The lane's commits were rewritten; if ${String(data['branch'])} was pushed, the next push needs --force-with-lease.`);
+  }
+  return 0;
+}
+
+// ─── caws worktree queue ──────────────────────────────────────────────────
+//
+// An ordered merge queue. `add` appends a lane (its owner only), `list`
+// shows the order, and `run` takes candidates from the head one at a time:
+//   1. preview — the candidate landed by the policy merge strategy onto the
+//      base as it stands now, i.e. as the previous candidate's merge left
+//      it, as an unreferenced commit. A conflict stops the queue;
+//   2. precheck — the merge's own dry run (dirty tree, lane provenance);
+//   3. gates — `caws gates run` over <base tip>...<preview>, so the gates
+//      see exactly what would land;
+//   4. merge — with the base tip pinned, so the lane lands on what the gates
+//      saw or not at all.
+// The first candidate that fails a step keeps its place and stops the run.
+// An ff-only policy is refused up front: only the first candidate could
+// fast-forward.
+
+export interface WorktreeQueueOptions extends BaseCommandOptions {
+  /** add | list | run */
+  readonly action: string;
+  /** The worktree to queue (add only). */
+  readonly name?: string;
+}
+
+const WORKTREE_QUEUE_ACTIONS = ['add', 'list', 'run'] as const;
+
+export function runWorktreeQueueCommand(opts: WorktreeQueueOptions): number {
+  const { err } = setupIO(opts);
+  switch (opts.action) {
+    case 'add':
+      return runWorktreeQueueAdd(opts);
+    case 'list':
+      return runWorktreeQueueList(opts);
+    case 'run':
+      return runWorktreeQueueRun(opts);
+    default:
+      err(
+        `caws worktree queue: action must be one of ${WORKTREE_QUEUE_ACTIONS.join(', ')} (got "${opts.action}").`
+      );
+      return 2;
+  }
+}
+
+function runWorktreeQueueAdd(opts: WorktreeQueueOptions): number {
+  const { cwd, nowFn, env, out, err, showData } = setupIO(opts);
+  if (opts.name === undefined || opts.name.length === 0) {
+    err('caws worktree queue add: a worktree name is required.');
+    return 2;
+  }
+  const ctx = resolveCawsCtx(cwd, err, showData, 'queue add');
+  if (ctx === null) return 2;
+  const id = buildActorPair(ctx.cawsDir, cwd, env, nowFn, opts.actorKind, err, showData, 'queue add');
+  if (id === null) return 2;
+  const strategy = resolveQueueMergeStrategy(ctx.cawsDir);
+  if (!isOk(strategy)) {
+    err('caws worktree queue add: failed.');
+    err(renderDiagnostics(strategy.errors, { showData }));
+    return 1;
+  }
+  const result = enqueueMerge(ctx.cawsDir, {
+    name: opts.name,
+    sessionCandidates: resolveSessionCandidates({ cawsDir: ctx.cawsDir, env }),
+    actor: id.actor,
+    now: nowFn,
+  });
+  if (!isOk(result)) {
+    err('caws worktree queue add: failed.');
+    err(renderDiagnostics(result.errors, { showData }));
+    return 1;
+  }
+  out(`queued ${opts.name} at position ${result.value.position}.`);
+  return 0;
+}
+
+function runWorktreeQueueList(opts: WorktreeQueueOptions): number {
+  const { cwd, out, err, showData } = setupIO(opts);
+  const ctx = resolveCawsCtx(cwd, err, showData, 'queue list');
+  if (ctx === null) return 2;
+  const queue = loadMergeQueue(ctx.cawsDir);
+  if (!isOk(queue)) {
+    err('caws worktree queue list: failed.');
+    err(renderDiagnostics(queue.errors, { showData }));
+    return 1;
+  }
+  if (showData) {
+    out(JSON.stringify(queue.value, null, 2));
+    return 0;
+  }
+  const { entries, runner } = queue.value;
+  if (entries.length === 0) {
+    out('The merge queue is empty.');
+    return 0;
+  }
+  const registry = loadWorktrees(ctx.cawsDir);
+  const records = isOk(registry) ? registry.value : {};
+  out(`Merge queue (${entries.length}):`);
+  entries.forEach((entry, i) => {
+    const record = records[entry.name];
+    const lane =
+      record === undefined
+        ? '(no longer registered)'
+        : `${record.branch ?? '?'} -> ${record.baseBranch ?? '?'}; spec ${record.specId ?? '(unbound)'}`;
+    out(`  ${i + 1}. ${entry.name}  ${lane}; queued ${entry.added_at} by ${entry.added_by}`);
+    if (entry.last_failure !== undefined) {
+      const f = entry.last_failure;
+      out(`     last failure (${f.stage}, ${f.at}): ${f.message}`);
+    }
+  });
+  if (runner !== undefined) {
+    out(`Running: pid ${runner.pid} (session ${runner.session_id}) since ${runner.started_at}.`);
+  }
+  return 0;
+}
+
+interface QueueCandidateFailure {
+  readonly stage: MergeQueueStage;
+  readonly message: string;
+}
+
+function runWorktreeQueueRun(opts: WorktreeQueueOptions): number {
+  const { cwd, nowFn, env, out, err, showData } = setupIO(opts);
+  const ctx = resolveCawsCtx(cwd, err, showData, 'queue run');
+  if (ctx === null) return 2;
+  const id = buildActorPair(ctx.cawsDir, cwd, env, nowFn, opts.actorKind, err, showData, 'queue run');
+  if (id === null) return 2;
+  const sessionCandidates = resolveSessionCandidates({ cawsDir: ctx.cawsDir, env });
+  const strategy = resolveQueueMergeStrategy(ctx.cawsDir);
+  if (!isOk(strategy)) {
+    err('caws worktree queue run: failed.');
+    err(renderDiagnostics(strategy.errors, { showData }));
+    return 1;
+  }
+
+  const claimed = claimMergeQueue(ctx.cawsDir, {
+    session_id: id.session.session_id,
+    pid: process.pid,
+    started_at: nowFn().toISOString(),
+  });
+  if (!isOk(claimed)) {
+    err('caws worktree queue run: failed.');
+    err(renderDiagnostics(claimed.errors, { showData }));
+    return 1;
+  }
+
+  const merged: string[] = [];
+  let stopped: { name: string; failure: QueueCandidateFailure } | null = null;
+  try {
+    const total = claimed.value.entries.length;
+    if (total === 0) {
+      out('The merge queue is empty.');
+      return 0;
+    }
+    out(`caws worktree queue run: ${total} candidate(s).`);
+    for (let n = 1; ; n++) {
+      const queue = loadMergeQueue(ctx.cawsDir);
+      if (!isOk(queue)) {
+        err(renderDiagnostics(queue.errors, { showData }));
+        return 1;
+      }
+      const entry = queue.value.entries[0];
+      if (entry === undefined) break;
+      const tag = `[${n}] ${entry.name}`;
+      const settled = runQueueCandidate(ctx.cawsDir, entry, {
+        tag,
+        cwd,
+        env,
+        nowFn,
+        out,
+        err,
+        showData,
+        session: id.session,
+        sessionCandidates,
+        actor: id.actor,
+      });
+      if (settled === 'merged' || settled === 'dropped') {
+        // A candidate left at the head would be taken again on the next
+        // pass, so a failed removal ends the run.
+        const removed = removeFromMergeQueue(ctx.cawsDir, entry.name);
+        if (!isOk(removed)) {
+          err(
+            `caws worktree queue run: ${entry.name} was ${settled} but could not be removed from the queue.`
+          );
+          err(renderDiagnostics(removed.errors, { showData }));
+          return 1;
+        }
+        if (settled === 'merged') merged.push(entry.name);
+        continue;
+      }
+      const recorded = recordMergeQueueFailure(ctx.cawsDir, entry.name, {
+        at: nowFn().toISOString(),
+        ...settled,
+      });
+      if (!isOk(recorded)) {
+        err(`caws worktree queue run: could not record why ${entry.name} stopped the queue.`);
+        err(renderDiagnostics(recorded.errors, { showData }));
+      }
+      stopped = { name: entry.name, failure: settled };
+      break;
+    }
+  } finally {
+    releaseMergeQueue(ctx.cawsDir, process.pid);
+  }
+
+  if (stopped === null) {
+    out(`caws worktree queue run: merged ${merged.length}; the queue is empty.`);
+    return 0;
+  }
+  const rest = loadMergeQueue(ctx.cawsDir);
+  const waiting = isOk(rest) ? rest.value.entries.slice(1).map((e) => e.name) : [];
+  err(`caws worktree queue run: stopped at ${stopped.name} (${stopped.failure.stage}).`);
+  err(`  ${stopped.failure.message}`);
+  err(`  merged:  ${merged.length > 0 ? merged.join(', ') : '(none)'}`);
+  err(`  waiting: ${waiting.length > 0 ? waiting.join(', ') : '(none)'}`);
+  err(
+    `  ${stopped.name} keeps its place at the head of the queue. Fix it ` +
+      (stopped.failure.stage === 'conflict' ? `(caws worktree sync ${stopped.name}) ` : '') +
+      'and re-run `caws worktree queue run`.'
+  );
+  return 1;
+}
+
+/** Preview, precheck, gate and merge one candidate. */
+function runQueueCandidate(
+  cawsDir: string,
+  entry: MergeQueueEntry,
+  io: {
+    readonly tag: string;
+    readonly cwd: string;
+    readonly env: NodeJS.ProcessEnv;
+    readonly nowFn: () => Date;
+    readonly out: (line: string) => void;
+    readonly err: (line: string) => void;
+    readonly showData: boolean;
+    readonly session: { session_id: string; platform?: string };
+    readonly sessionCandidates: ReturnType<typeof resolveSessionCandidates>;
+    readonly actor: ReturnType<typeof buildActor>;
+  }
+): 'merged' | 'dropped' | QueueCandidateFailure {
+  const { tag, out, err, showData } = io;
+  const registry = loadWorktrees(cawsDir);
+  if (isOk(registry) && registry.value[entry.name] === undefined) {
+    out(`${tag}: no longer registered (merged or destroyed outside the queue); dropped.`);
+    return 'dropped';
+  }
+
+  const preview = previewWorktreeLanding(cawsDir, entry.name);
+  if (!isOk(preview)) {
+    err(renderDiagnostics(preview.errors, { showData }));
+    return { stage: 'precheck', message: preview.errors[0]?.message ?? 'preview failed' };
+  }
+  const p = preview.value;
+  if (p.landing === undefined || p.specId === undefined) {
+    const paths = p.conflicts.map((c) => (c.kind !== undefined ? `${c.path} (${c.kind})` : c.path));
+    return p.specId === undefined
+      ? { stage: 'precheck', message: `${entry.name} is not bound to a spec.` }
+      : {
+          stage: 'conflict',
+          message: `${p.branch} conflicts with ${p.baseBranch} at ${p.baseTip.slice(0, 12)} in ${paths.join(', ')}.`,
+        };
+  }
+
+  const base = {
+    name: entry.name,
+    session: io.session,
+    sessionCandidates: io.sessionCandidates,
+    actor: io.actor,
+    now: io.nowFn,
+    callerCwd: io.cwd,
+    queuedBy: entry.added_by,
+    strategy: p.strategy,
+  };
+  const precheck = mergeWorktree(cawsDir, { ...base, dryRun: true });
+  if (!isOk(precheck)) {
+    err(renderDiagnostics(precheck.errors, { showData }));
+    return { stage: 'precheck', message: precheck.errors[0]?.message ?? 'merge dry run failed' };
+  }
+  if (precheck.value.kind === 'dry_run' && !precheck.value.canProceed) {
+    return { stage: 'precheck', message: `not ready to merge: ${precheck.value.findings.join('; ')}.` };
+  }
+
+  out(`${tag}: gating ${p.branch} onto ${p.baseBranch} at ${p.baseTip.slice(0, 12)} (${p.strategy} preview ${p.landing.slice(0, 12)})`);
+  const gates = runGatesRunCommand(
+    { specId: p.specId, base: p.baseTip, head: p.landing },
+    {
+      cwd: io.cwd,
+      env: io.env,
+      now: io.nowFn,
+      out: (line) => out(indent(line)),
+      err: (line) => err(indent(line)),
+      showData,
+    }
+  );
+  if (gates !== 0) {
+    return { stage: 'gates', message: `caws gates run exited ${gates} for ${p.specId}.` };
+  }
+
+  const result = mergeWorktree(cawsDir, { ...base, expectedBaseTip: p.baseTip });
+  if (!isOk(result)) {
+    err(renderDiagnostics(result.errors, { showData }));
+    return { stage: 'merge', message: result.errors[0]?.message ?? 'merge failed' };
+  }
+  if (result.value.kind !== 'success') {
+    return { stage: 'merge', message: 'merge reported no change; nothing landed.' };
+  }
+  out(`${tag}: merged (merge_commit: ${String(result.value.data?.['merge_commit']).slice(0, 12)})`);
+  surfaceAuditCommit(result.value.data?.['audit_commit'], err);
+  return 'merged';
+}
+
+function indent(text: string): string {
+  return text
+    .split('\n')
+    .map((line) => `    ${line}`)
+    .join('\n');
+}
+
+// ─── caws worktree conflicts ──────────────────────────────────────────────
+//
+// Read-only: predicts, with in-memory merges, which lanes will conflict with
+// their base and with each other. Exit 1 when any merge is predicted to
+// conflict, so scripts can gate on it.
+
+export interface WorktreeConflictsOptions extends BaseCommandOptions {
+  /** Only this lane: against its base and each other lane on that base. */
+  readonly name?: string;
+}
+
+/** Lines shown per side of a hunk; --data carries all of them. */
+const HUNK_LINES_SHOWN = 5;
+
+export function runWorktreeConflictsCommand(opts: WorktreeConflictsOptions): number {
+  const { cwd, out, err, showData } = setupIO(opts);
+  const ctx = resolveCawsCtx(cwd, err, showData, 'conflicts');
+  if (ctx === null) return 2;
+  const result = predictWorktreeConflicts(ctx.cawsDir, {
+    ...(opts.name !== undefined ? { name: opts.name } : {}),
+  });
+  if (!isOk(result)) {
+    err('caws worktree conflicts: failed.');
+    err(renderDiagnostics(result.errors, { showData }));
+    return 1;
+  }
+  const report = result.value;
+  const conflicting = report.checks.filter((c) => c.conflicts.length > 0);
+  if (showData) {
+    out(JSON.stringify(report, null, 2));
+    return conflicting.length > 0 ? 1 : 0;
+  }
+  if (report.lanes.length === 0) {
+    out('No active worktree lanes.');
+    return 0;
+  }
+
+  out(
+    `caws worktree conflicts: ${report.lanes.length} lane(s), ${report.checks.length} merge(s) checked; ` +
+      `${conflicting.length} predicted to conflict.`
+  );
+  for (const check of conflicting) {
+    out(`${describeCheck(check)}: ${check.conflicts.length} conflicting path(s)`);
+    for (const conflict of check.conflicts) {
+      out(`  ${conflict.path}${conflict.kind !== undefined ? ` (${conflict.kind})` : ''}`);
+      for (const hunk of conflict.hunks) {
+        out(`    lines ${hunk.start}-${hunk.end}`);
+        for (const [side, lines] of [
+          [check.left, hunk.left],
+          [check.right, hunk.right],
+        ] as const) {
+          const label = sideLabel(side);
+          for (const line of lines.slice(0, HUNK_LINES_SHOWN)) out(`      ${label} | ${line}`);
+          if (lines.length > HUNK_LINES_SHOWN) {
+            out(`      ${label} | … ${lines.length - HUNK_LINES_SHOWN} more line(s)`);
+          }
+          if (lines.length === 0) out(`      ${label} | (nothing)`);
+        }
+      }
+    }
+  }
+  const clean = report.checks.filter((c) => c.conflicts.length === 0);
+  if (clean.length > 0) out(`clean: ${clean.map(describeCheck).join(', ')}`);
+  if (report.skipped.length > 0) {
+    out(`skipped: ${report.skipped.map((s) => `${s.name} (${s.reason})`).join(', ')}`);
+  }
+  return conflicting.length > 0 ? 1 : 0;
+}
+
+function sideLabel(side: ConflictSide): string {
+  return side.worktree ?? side.branch;
+}
+
+function describeCheck(check: ConflictCheck): string {
+  return check.kind === 'base'
+    ? `${sideLabel(check.right)} into ${check.baseBranch}`
+    : `${sideLabel(check.left)} with ${sideLabel(check.right)}`;
+}
+
 // ─── caws worktree migrate-registry ──────────────────────────────────────
 //
 // WORKTREE-REGISTRY-LEGACY-ENVELOPE-MIGRATION-001
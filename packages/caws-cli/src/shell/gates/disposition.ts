@@ -80,25 +80,17 @@ function canonicalGateName(reportGate: string): string {
   return REPORT_GATE_TO_POLICY_GATE[reportGate] ?? reportGate;
 }
 
-// gateId is a plain string: the authoritative iteration set is
-// policy.gates keys (CAWS-GATES-POLICY-DISPOSITION-DRIFT-001), which
-// includes gates beyond the canonical KNOWN_GATE_IDS tuple.
+// gateId is a plain string because policy.gates is indexed by gate id: the
+// canonical gates and any policy-declared external gate resolve through the
+// same lookup, so every key orderedPolicyGateIds yields
+// (CAWS-GATES-POLICY-DISPOSITION-DRIFT-001) finds its config here.
 function gateConfigFor(
   policy: Policy,
   gateId: string
 ): { enabled: boolean; mode: GateMode } | undefined {
-  // Policy.gates is typed (in the kernel) as a fixed-shape object over the
-  // canonical gate names; the kernel type is scope.out for this slice. Read
-  // through a string-indexable view so policy-declared gates beyond the
-  // canonical set are reachable (CAWS-GATES-POLICY-DISPOSITION-DRIFT-001).
-  // The shape of each value (enabled, mode) is unchanged.
-  const gates = policy.gates as Record<
-    string,
-    { enabled: boolean; mode: string } | undefined
-  >;
-  const cfg = gates[gateId];
+  const cfg = policy.gates[gateId];
   if (cfg === undefined) return undefined;
-  return { enabled: cfg.enabled, mode: cfg.mode as GateMode };
+  return { enabled: cfg.enabled, mode: cfg.mode };
 }
 
 /**
@@ -0,0 +1,227 @@
+// External gate evaluators — policy-declared commands.
+//
+// A `policy.gates` key outside the built-in vocabulary declares an external
+// gate: a local command (lint, type-check, license scan, ...) that prints a
+// gate report on stdout. The report is parsed with `validateGatesReport`,
+// the same contract injected reports honor, and its violations join the
+// built-in evaluators' output before waivers and disposition run. Nothing
+// downstream distinguishes an external gate from a built-in one.
+//
+// Contract with the command:
+//
+//   cwd      repo root; argv is `command` verbatim, no shell
+//   env      inherited, plus CAWS_GATE_ID, CAWS_SPEC_ID, CAWS_REPO_ROOT
+//            and CAWS_GATE_THRESHOLDS (JSON of `thresholds`, `{}` if unset);
+//            in range mode also CAWS_DIFF_BASE / CAWS_DIFF_HEAD (commit shas)
+//   stdout   gate report JSON; every violation/warning is attributed to the
+//            declaring gate, whatever its own `gate` field says
+//   exit     ignored when stdout is a valid report — linters conventionally
+//            exit non-zero when they find problems
+//
+// Failure mode: fail closed. A command that cannot be spawned, is killed by
+// a signal, exceeds `timeout_ms`, or does not print a valid report yields a
+// single violation on its gate (`evaluator_crashed`, `evaluator_timeout`,
+// `evaluator_invalid_report`) plus a diagnostic on stderr. Policy mode then
+// decides what that means: a block gate blocks, a warn gate warns. A broken
+// evaluator must never read as a passing one.
+
+import { spawnSync, type SpawnSyncReturns } from 'node:child_process';
+
+import type { Diagnostic, ExternalGateConfig, Policy } from '../../kernel';
+
+import { storeDiagnostic } from '../../store/repo-root';
+import { SHELL_RULES } from '../rules';
+import {
+  validateGatesReport,
+  type GatesViolation,
+  type GatesWarning,
+} from './gate-result-contract';
+import type { DiffRange } from './local-evaluators';
+
+export const DEFAULT_EXTERNAL_GATE_TIMEOUT_MS = 120_000;
+
+/** Cap on captured output; a report larger than this is treated as a crash. */
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/** Trailing stderr included in crash diagnostics. */
+const STDERR_TAIL_CHARS = 2000;
+
+export type ExternalGateOutcome = 'ok' | 'crashed' | 'timeout' | 'invalid_report';
+
+export interface ExternalGateRun {
+  readonly gate_id: string;
+  readonly outcome: ExternalGateOutcome;
+  readonly exit_code: number | null;
+  readonly duration_ms: number;
+}
+
+export interface ExternalEvaluatorsInput {
+  readonly policy: Policy;
+  readonly repoRoot: string;
+  readonly specId: string;
+  readonly env?: NodeJS.ProcessEnv;
+  /** Commit range under evaluation; absent for the staged diff. */
+  readonly diffRange?: DiffRange;
+}
+
+export interface ExternalEvaluatorsResult {
+  readonly violations: readonly GatesViolation[];
+  readonly warnings: readonly GatesWarning[];
+  /** One per evaluator that did not produce a valid report. */
+  readonly diagnostics: readonly Diagnostic[];
+  readonly runs: readonly ExternalGateRun[];
+}
+
+function isExternalGate(cfg: unknown): cfg is ExternalGateConfig {
+  return (
+    typeof cfg === 'object' &&
+    cfg !== null &&
+    Array.isArray((cfg as { command?: unknown }).command)
+  );
+}
+
+/**
+ * External gates declared in policy, in declaration order. Disabled and
+ * skip-mode gates are included; the caller decides whether to run them.
+ */
+export function externalGates(
+  policy: Policy
+): ReadonlyArray<readonly [string, ExternalGateConfig]> {
+  const out: Array<readonly [string, ExternalGateConfig]> = [];
+  for (const [gateId, cfg] of Object.entries(policy.gates)) {
+    if (isExternalGate(cfg)) out.push([gateId, cfg]);
+  }
+  return out;
+}
+
+function stderrTail(r: SpawnSyncReturns<string>): string {
+  const text = typeof r.stderr === 'string' ? r.stderr.trim() : '';
+  return text.length > STDERR_TAIL_CHARS ? '…' + text.slice(-STDERR_TAIL_CHARS) : text;
+}
+
+interface Failure {
+  readonly outcome: Exclude<ExternalGateOutcome, 'ok'>;
+  readonly message: string;
+  readonly data: Record<string, unknown>;
+}
+
+function classifyFailure(
+  gateId: string,
+  cfg: ExternalGateConfig,
+  timeoutMs: number,
+  r: SpawnSyncReturns<string>
+): Failure | null {
+  const argv0 = cfg.command[0];
+  const error = r.error as NodeJS.ErrnoException | undefined;
+  if (error !== undefined && error.code === 'ETIMEDOUT') {
+    return {
+      outcome: 'timeout',
+      message: `external gate ${gateId} exceeded timeout_ms=${timeoutMs} and was killed.`,
+      data: { gate_id: gateId, command: cfg.command, timeout_ms: timeoutMs },
+    };
+  }
+  if (error !== undefined) {
+    return {
+      outcome: 'crashed',
+      message: `external gate ${gateId} could not run ${JSON.stringify(argv0)}: ${error.message}`,
+      data: { gate_id: gateId, command: cfg.command, code: error.code ?? null },
+    };
+  }
+  if (r.signal !== null) {
+    return {
+      outcome: 'crashed',
+      message: `external gate ${gateId} was killed by ${r.signal}.`,
+      data: { gate_id: gateId, command: cfg.command, signal: r.signal, stderr: stderrTail(r) },
+    };
+  }
+  return null;
+}
+
+function failureViolation(gateId: string, f: Failure): GatesViolation {
+  return {
+    gate: gateId,
+    type: `evaluator_${f.outcome}`,
+    message: `${f.message} The gate fails closed until its evaluator produces a valid report.`,
+    severity: 'fail',
+  };
+}
+
+/**
+ * Run every enabled, non-skip external gate declared in policy. Never
+ * throws; evaluator failures are reported as violations + diagnostics.
+ */
+export function runExternalEvaluators(input: ExternalEvaluatorsInput): ExternalEvaluatorsResult {
+  const env = input.env ?? process.env;
+  const violations: GatesViolation[] = [];
+  const warnings: GatesWarning[] = [];
+  const diagnostics: Diagnostic[] = [];
+  const runs: ExternalGateRun[] = [];
+
+  for (const [gateId, cfg] of externalGates(input.policy)) {
+    if (!cfg.enabled || cfg.mode === 'skip') continue;
+    const timeoutMs = cfg.timeout_ms ?? DEFAULT_EXTERNAL_GATE_TIMEOUT_MS;
+    // The schema guarantees at least one argv element.
+    const [file, ...args] = cfg.command as [string, ...string[]];
+    const started = Date.now();
+    const r = spawnSync(file, args, {
+      cwd: input.repoRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: timeoutMs,
+      killSignal: 'SIGKILL',
+      maxBuffer: MAX_OUTPUT_BYTES,
+      env: {
+        ...env,
+        CAWS_GATE_ID: gateId,
+        CAWS_SPEC_ID: input.specId,
+        CAWS_REPO_ROOT: input.repoRoot,
+        CAWS_GATE_THRESHOLDS: JSON.stringify(cfg.thresholds ?? {}),
+        ...(input.diffRange !== undefined
+          ? { CAWS_DIFF_BASE: input.diffRange.base, CAWS_DIFF_HEAD: input.diffRange.head }
+          : {}),
+      },
+    });
+    const duration = Math.max(0, Date.now() - started);
+
+    let failure = classifyFailure(gateId, cfg, timeoutMs, r);
+    if (failure === null) {
+      const report = validateGatesReport(r.stdout.trim());
+      if (report.ok) {
+        for (const v of report.value.violations) violations.push({ ...v, gate: gateId });
+        for (const w of report.value.warnings) warnings.push({ ...w, gate: gateId });
+        runs.push({ gate_id: gateId, outcome: 'ok', exit_code: r.status, duration_ms: duration });
+        continue;
+      }
+      // A non-zero exit without a report reads as a crash; a zero exit
+      // with garbage on stdout is a contract violation by the evaluator.
+      const reason = report.errors.map((d) => d.message).join(' ');
+      failure =
+        r.status !== 0
+          ? {
+              outcome: 'crashed',
+              message: `external gate ${gateId} exited ${r.status} without a valid gate report (${reason}).`,
+              data: { gate_id: gateId, command: cfg.command, exit_code: r.status, stderr: stderrTail(r) },
+            }
+          : {
+              outcome: 'invalid_report',
+              message: `external gate ${gateId} printed an invalid gate report: ${reason}`,
+              data: { gate_id: gateId, command: cfg.command, rules: report.errors.map((d) => d.rule) },
+            };
+    }
+
+    violations.push(failureViolation(gateId, failure));
+    diagnostics.push(
+      storeDiagnostic(SHELL_RULES.GATES_EXTERNAL_EVALUATOR_FAILED, failure.message, {
+        severity: 'error',
+        subject: `policy.gates.${gateId}`,
+        narrowRepair:
+          `Run ${JSON.stringify(cfg.command.join(' '))} from the repo root and fix it, or set ` +
+          `gates.${gateId}.mode to skip while it is repaired.`,
+        data: { ...failure.data, outcome: failure.outcome },
+      })
+    );
+    runs.push({ gate_id: gateId, outcome: failure.outcome, exit_code: r.status, duration_ms: duration });
+  }
+
+  return { violations, warnings, diagnostics, runs };
+}
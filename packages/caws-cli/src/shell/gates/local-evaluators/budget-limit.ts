@@ -1,22 +1,38 @@
 // budget_limit evaluator.
 //
-// Compares staged diff size to the policy's per-risk-tier budget.
+// Compares diff size to the policy's per-risk-tier budget and to any
+// per-module budgets declared under `policy.budgets.paths`.
 //
 // Rules:
 //   - Risk tier comes from the active spec (1, 2, or 3).
-//   - Budget comes from policy.risk_tiers[tier] (max_files, max_loc).
-//   - A violation fires when files_changed > max_files or
-//     loc_changed > max_loc. Each threshold breach is one violation.
+//   - Budget comes from policy.risk_tiers[tier] (max_files, max_loc,
+//     optional max_deleted_loc).
+//   - Paths matching policy.budgets.exclude (lockfiles, generated code)
+//     count toward no budget.
+//   - Counts are kept apart: files changed, lines added, lines deleted,
+//     and pure renames. max_files counts changed files, so a move with no
+//     content change is tallied as a rename and nothing else; max_loc
+//     counts added lines only.
+//   - Each path bucket is checked against the changed files its globs
+//     match, in addition to the tier budget. A file may fall in several
+//     buckets.
+//   - Each threshold breach is one violation. Bucket violations carry
+//     `rule: budgets.paths.<name>` and name the bucket in their message.
 //
 // This evaluator is local (caws-cli concern). v11 deliberately keeps
 // risk-tier budget enforcement in the CLI where the active spec and
 // staged diff are authoritative.
 
-import type { Spec } from '../../../kernel';
-import type { Policy } from '../../../kernel';
+import { matchGlob, type PathBudget, type Policy, type Spec } from '../../../kernel';
 
 import type { GatesViolation } from '../gate-result-contract';
-import { listStagedChanges, totalInsertions, type StagedFileChange } from './diff-helpers';
+import {
+  isPureRename,
+  listStagedChanges,
+  totalDeletions,
+  totalInsertions,
+  type StagedFileChange,
+} from './diff-helpers';
 
 export interface BudgetLimitInput {
   readonly spec: Spec;
@@ -26,15 +42,31 @@ export interface BudgetLimitInput {
   readonly stagedChanges?: readonly StagedFileChange[];
 }
 
+/** Consumption of one budget (the tier's, or one path bucket's). */
+export interface BudgetTally {
+  readonly files_changed: number;
+  readonly files_renamed: number;
+  readonly loc_changed: number;
+  readonly loc_deleted: number;
+}
+
+export interface PathBudgetObservation extends BudgetTally {
+  readonly name: string;
+  readonly max_files: number;
+  readonly max_loc: number;
+  readonly max_deleted_loc: number | null;
+}
+
 export interface BudgetLimitResult {
   readonly violations: readonly GatesViolation[];
   /** Observed budget consumption, regardless of whether a violation fired.
    *  Useful for telemetry/diagnostics; not used for blocking. */
-  readonly observed: {
-    readonly files_changed: number;
-    readonly loc_changed: number;
+  readonly observed: BudgetTally & {
+    readonly files_excluded: number;
     readonly max_files: number;
     readonly max_loc: number;
+    readonly max_deleted_loc: number | null;
+    readonly paths: readonly PathBudgetObservation[];
   };
 }
 
@@ -45,10 +77,75 @@ function tierKey(tier: number): '1' | '2' | '3' | undefined {
   return undefined;
 }
 
+function tally(changes: readonly StagedFileChange[]): BudgetTally {
+  const renamed = changes.filter(isPureRename).length;
+  return {
+    files_changed: changes.length - renamed,
+    files_renamed: renamed,
+    loc_changed: totalInsertions(changes),
+    loc_deleted: totalDeletions(changes),
+  };
+}
+
+interface Limits {
+  readonly max_files: number;
+  readonly max_loc: number;
+  readonly max_deleted_loc?: number;
+}
+
+/** One violation per breached limit; `label` says whose budget it is. */
+function checkLimits(
+  observed: BudgetTally,
+  limits: Limits,
+  label: string,
+  rule: string | undefined
+): GatesViolation[] {
+  const violations: GatesViolation[] = [];
+  const base = { gate: 'budget_limit', severity: 'fail', ...(rule !== undefined ? { rule } : {}) };
+  if (observed.files_changed > limits.max_files) {
+    violations.push({
+      ...base,
+      type: 'max_files_exceeded',
+      message:
+        `Change touches ${observed.files_changed} file(s)${label}; ` +
+        `budget allows up to ${limits.max_files}.`,
+    });
+  }
+  if (observed.loc_changed > limits.max_loc) {
+    violations.push({
+      ...base,
+      type: 'max_loc_exceeded',
+      message:
+        `Change adds ${observed.loc_changed} line(s)${label}; ` +
+        `budget allows up to ${limits.max_loc}.`,
+    });
+  }
+  if (limits.max_deleted_loc !== undefined && observed.loc_deleted > limits.max_deleted_loc) {
+    violations.push({
+      ...base,
+      type: 'max_deleted_loc_exceeded',
+      message:
+        `Change deletes ${observed.loc_deleted} line(s)${label}; ` +
+        `budget allows up to ${limits.max_deleted_loc}.`,
+    });
+  }
+  return violations;
+}
+
+function bucketChanges(
+  bucket: PathBudget,
+  changes: readonly StagedFileChange[]
+): readonly StagedFileChange[] {
+  return changes.filter((c) => matchGlob(c.path, bucket.match) !== null);
+}
+
 export function evaluateBudgetLimit(input: BudgetLimitInput): BudgetLimitResult {
-  const changes = input.stagedChanges ?? listStagedChanges(input.repoRoot);
-  const files_changed = changes.length;
-  const loc_changed = totalInsertions(changes);
+  const all = input.stagedChanges ?? listStagedChanges(input.repoRoot);
+  const exclude = input.policy.budgets?.exclude ?? [];
+  const changes = all.filter((c) => matchGlob(c.path, exclude) === null);
+  const files_excluded = all.length - changes.length;
+  const total = tally(changes);
+  const buckets = input.policy.budgets?.paths ?? [];
 
   const tk = tierKey(input.spec.risk_tier);
   if (tk === undefined) {
@@ -56,36 +153,48 @@ export function evaluateBudgetLimit(input: BudgetLimitInput): BudgetLimitResult
     // else is a spec-completeness problem, not a budget violation.
     return {
       violations: [],
-      observed: { files_changed, loc_changed, max_files: 0, max_loc: 0 },
+      observed: {
+        ...total,
+        files_excluded,
+        max_files: 0,
+        max_loc: 0,
+        max_deleted_loc: null,
+        paths: [],
+      },
     };
   }
   const budget = input.policy.risk_tiers[tk];
-  const { max_files, max_loc } = budget;
 
-  const violations: GatesViolation[] = [];
-  if (files_changed > max_files) {
-    violations.push({
-      gate: 'budget_limit',
-      type: 'max_files_exceeded',
-      message:
-        `Staged change touches ${files_changed} file(s); risk-tier ${input.spec.risk_tier} ` +
-        `budget allows up to ${max_files}.`,
-      severity: 'fail',
-    });
-  }
-  if (loc_changed > max_loc) {
-    violations.push({
-      gate: 'budget_limit',
-      type: 'max_loc_exceeded',
-      message:
-        `Staged change adds ${loc_changed} line(s); risk-tier ${input.spec.risk_tier} ` +
-        `budget allows up to ${max_loc}.`,
-      severity: 'fail',
+  const violations = checkLimits(total, budget, ` under risk-tier ${input.spec.risk_tier}`, undefined);
+  const paths: PathBudgetObservation[] = [];
+  for (const bucket of buckets) {
+    const observed = tally(bucketChanges(bucket, changes));
+    paths.push({
+      name: bucket.name,
+      ...observed,
+      max_files: bucket.max_files,
+      max_loc: bucket.max_loc,
+      max_deleted_loc: bucket.max_deleted_loc ?? null,
     });
+    violations.push(
+      ...checkLimits(
+        observed,
+        bucket,
+        ` in path budget "${bucket.name}" (${bucket.match.join(', ')})`,
+        `budgets.paths.${bucket.name}`
+      )
+    );
   }
 
   return {
     violations,
-    observed: { files_changed, loc_changed, max_files, max_loc },
+    observed: {
+      ...total,
+      files_excluded,
+      max_files: budget.max_files,
+      max_loc: budget.max_loc,
+      max_deleted_loc: budget.max_deleted_loc ?? null,
+      paths,
+    },
   };
 }
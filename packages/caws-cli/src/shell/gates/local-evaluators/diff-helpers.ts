@@ -1,12 +1,23 @@
-// Staged-diff helpers for local gate evaluators.
+// Diff helpers for local gate evaluators.
 //
-// These helpers shell out to git to enumerate staged file changes and
-// their insertion counts. They are the only place local evaluators
-// touch git; the evaluators themselves remain pure (path lists + numbers
-// in, violations out).
+// These helpers shell out to git to enumerate changed files and their
+// insertion counts. They are the only place local evaluators touch git;
+// the evaluators themselves remain pure (path lists + numbers in,
+// violations out).
+//
+// Two diff sources exist. The staged diff (`git diff --cached`) is the
+// default and matches `--context=commit`. A commit range (`--base/--head`,
+// or a worktree's branch against its base) serves CI and pre-merge checks,
+// where nothing is staged. The range variants return the same shapes: the
+// head commit plays the part of the index and the merge-base plays HEAD.
 
 import { execFileSync } from 'node:child_process';
+
+import { err, ok, type Result } from '../../../kernel';
+
 import { resolveGitBinary } from '../../../store/git-binary';
+import { storeDiagnostic } from '../../../store/repo-root';
+import { SHELL_RULES } from '../../rules';
 
 export interface StagedFileChange {
   /** Repo-relative POSIX path of the changed file. */
@@ -15,6 +26,8 @@ export interface StagedFileChange {
   readonly insertions: number | null;
   /** Lines deleted in the staged diff. `null` for binary files. */
   readonly deletions: number | null;
+  /** Pre-rename path when git detected a rename; `path` is the new one. */
+  readonly renamedFrom?: string;
 }
 
 function runGit(args: readonly string[], cwd: string): string {
@@ -22,6 +35,9 @@ function runGit(args: readonly string[], cwd: string): string {
     cwd,
     encoding: 'utf8',
     stdio: ['ignore', 'pipe', 'pipe'],
+    // A large staged diff must not overflow the default 1 MiB buffer: an
+    // overflow throws, and callers read a throw as "no changes".
+    maxBuffer: 64 * 1024 * 1024,
   }).toString();
 }
 
@@ -37,14 +53,25 @@ function runGit(args: readonly string[], cwd: string): string {
 export function listStagedChanges(repoRoot: string): readonly StagedFileChange[] {
   let raw: string;
   try {
-    raw = runGit(['diff', '--cached', '--numstat', '-z'], repoRoot);
+    raw = runGit(['diff', '--cached', ...NUMSTAT_FLAGS], repoRoot);
   } catch {
     return [];
   }
+  return parseNumstat(raw);
+}
+
+// Rename detection is explicit so a user's diff.renames setting cannot
+// change what the budget counts.
+const NUMSTAT_FLAGS = ['--numstat', '-z', '--find-renames'] as const;
+
+function parseNumstat(raw: string): readonly StagedFileChange[] {
   // --numstat -z output: `\d+\t\d+\t<path>\0` per record. Binary files
-  // show `-\t-\t<path>\0`.
+  // show `-\t-\t<path>\0`. A rename leaves the path empty and follows
+  // with two more fields: `\d+\t\d+\t\0<old>\0<new>\0`.
   const records: StagedFileChange[] = [];
-  for (const rec of raw.split('\0')) {
+  const fields = raw.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const rec = fields[i] as string;
     if (rec.length === 0) continue;
     const tab1 = rec.indexOf('\t');
     if (tab1 === -1) continue;
@@ -52,17 +79,227 @@ export function listStagedChanges(repoRoot: string): readonly StagedFileChange[]
     if (tab2 === -1) continue;
     const addsRaw = rec.slice(0, tab1);
     const delsRaw = rec.slice(tab1 + 1, tab2);
-    const path = rec.slice(tab2 + 1);
+    let path = rec.slice(tab2 + 1);
+    let renamedFrom: string | undefined;
+    if (path.length === 0) {
+      renamedFrom = fields[i + 1];
+      path = fields[i + 2] ?? '';
+      i += 2;
+      if (renamedFrom === undefined || renamedFrom.length === 0) continue;
+    }
     if (path.length === 0) continue;
     records.push({
       path,
       insertions: addsRaw === '-' ? null : Number.parseInt(addsRaw, 10),
       deletions: delsRaw === '-' ? null : Number.parseInt(delsRaw, 10),
+      ...(renamedFrom !== undefined ? { renamedFrom } : {}),
     });
   }
   return records;
 }
 
+/** One line the staged diff adds, with its post-image line number. */
+export interface StagedAddedLine {
+  /** Repo-relative POSIX path of the file the line was added to. */
+  readonly path: string;
+  /** 1-based line number in the staged (index) version of the file. */
+  readonly line: number;
+  /** Line text without the leading `+` diff marker. */
+  readonly text: string;
+}
+
+/**
+ * Which version of a file to read: the staged blob (`git show :<path>`) or
+ * the committed blob (`git show HEAD:<path>`).
+ */
+export type FileRevision = 'index' | 'head';
+
+/**
+ * Reads one revision of a repo-relative file. Returns `null` when the file
+ * does not exist at that revision (new file, deleted file, no commits yet).
+ */
+export type RevisionReader = (path: string, revision: FileRevision) => string | null;
+
+/**
+ * List every line the staged diff adds. Returns an empty array on any git
+ * error, matching `listStagedChanges`.
+ *
+ * `-U0` keeps the output to changed lines only; `--no-prefix` drops the
+ * `a/`/`b/` path prefixes so the `+++` header is the repo-relative path.
+ * Deleted files (`+++ /dev/null`) contribute no lines.
+ */
+export function listStagedAddedLines(repoRoot: string): readonly StagedAddedLine[] {
+  let raw: string;
+  try {
+    raw = runGit(['-c', 'core.quotePath=false', 'diff', '--cached', ...ADDED_LINES_FLAGS], repoRoot);
+  } catch {
+    return [];
+  }
+  return parseAddedLines(raw);
+}
+
+const ADDED_LINES_FLAGS = ['-U0', '--no-color', '--no-ext-diff', '--no-prefix'] as const;
+
+function parseAddedLines(raw: string): readonly StagedAddedLine[] {
+  const records: StagedAddedLine[] = [];
+  let currentPath: string | null = null;
+  let nextLine = 0;
+  // An added content line that itself starts with `++ ` renders as `+++ `;
+  // only a line inside a file header (between `diff --git` and the first
+  // hunk) names the target path.
+  let inHeader = false;
+  for (const rawLine of raw.split('\n')) {
+    if (rawLine.startsWith('diff --git ')) {
+      inHeader = true;
+      currentPath = null;
+      nextLine = 0;
+      continue;
+    }
+    if (inHeader && rawLine.startsWith('+++ ')) {
+      const target = rawLine.slice(4);
+      currentPath = target === '/dev/null' ? null : target;
+      continue;
+    }
+    if (rawLine.startsWith('@@ ')) {
+      inHeader = false;
+      // `@@ -a[,b] +c[,d] @@` — c is the first post-image line of the hunk.
+      const m = /\+(\d+)(?:,\d+)? @@/.exec(rawLine);
+      nextLine = m !== null ? Number.parseInt(m[1] as string, 10) : 0;
+      continue;
+    }
+    if (inHeader || currentPath === null || nextLine === 0) continue;
+    if (rawLine.startsWith('+')) {
+      records.push({ path: currentPath, line: nextLine, text: rawLine.slice(1) });
+      nextLine++;
+    }
+  }
+  return records;
+}
+
+/**
+ * Build a `RevisionReader` over the repo's git object store. Any git error
+ * (path absent at that revision, unborn HEAD) reads as `null`.
+ */
+export function gitRevisionReader(repoRoot: string): RevisionReader {
+  return (path, revision) => {
+    const spec = revision === 'index' ? `:${path}` : `HEAD:${path}`;
+    try {
+      return runGit(['show', spec], repoRoot);
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * A resolved commit range. `base` is the merge-base of the requested base
+ * and head, so the range holds exactly the commits the head introduces —
+ * the same set a pull request shows.
+ */
+export interface DiffRange {
+  /** The refs as given, for display. */
+  readonly baseRef: string;
+  readonly headRef: string;
+  /** Merge-base commit sha. */
+  readonly base: string;
+  /** Head commit sha. */
+  readonly head: string;
+}
+
+function revParseCommit(repoRoot: string, ref: string): string | null {
+  // A leading dash would be parsed as an option, not a ref.
+  if (ref.length === 0 || ref.startsWith('-')) return null;
+  try {
+    return runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoRoot).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve `baseRef...headRef` to commit shas. Unlike the list helpers this
+ * refuses rather than degrading to "no changes": a typo in a CI ref must
+ * not read as an empty, passing diff.
+ */
+export function resolveDiffRange(
+  repoRoot: string,
+  baseRef: string,
+  headRef: string
+): Result<DiffRange> {
+  const resolved: Record<string, string> = {};
+  for (const ref of [baseRef, headRef]) {
+    const sha = revParseCommit(repoRoot, ref);
+    if (sha === null || sha.length === 0) {
+      return err(
+        storeDiagnostic(SHELL_RULES.GATES_DIFF_RANGE_INVALID, `${JSON.stringify(ref)} does not name a commit.`, {
+          severity: 'error',
+          subject: ref,
+          narrowRepair: 'Fetch the ref first (CI checkouts are often shallow), or pass a branch, tag or sha that exists locally.',
+        })
+      );
+    }
+    resolved[ref] = sha;
+  }
+  const head = resolved[headRef] as string;
+  let base: string;
+  try {
+    base = runGit(['merge-base', resolved[baseRef] as string, head], repoRoot).trim();
+  } catch {
+    return err(
+      storeDiagnostic(
+        SHELL_RULES.GATES_DIFF_RANGE_INVALID,
+        `${JSON.stringify(baseRef)} and ${JSON.stringify(headRef)} share no history.`,
+        {
+          severity: 'error',
+          subject: `${baseRef}...${headRef}`,
+          narrowRepair: 'Deepen the clone (git fetch --unshallow) so the merge-base is reachable.',
+        }
+      )
+    );
+  }
+  return ok({ baseRef, headRef, base, head });
+}
+
+/** `listStagedChanges` over a resolved commit range. */
+export function listRangeChanges(repoRoot: string, range: DiffRange): readonly StagedFileChange[] {
+  let raw: string;
+  try {
+    raw = runGit(['diff', ...NUMSTAT_FLAGS, range.base, range.head], repoRoot);
+  } catch {
+    return [];
+  }
+  return parseNumstat(raw);
+}
+
+/** `listStagedAddedLines` over a resolved commit range. */
+export function listRangeAddedLines(repoRoot: string, range: DiffRange): readonly StagedAddedLine[] {
+  let raw: string;
+  try {
+    raw = runGit(
+      ['-c', 'core.quotePath=false', 'diff', ...ADDED_LINES_FLAGS, range.base, range.head],
+      repoRoot
+    );
+  } catch {
+    return [];
+  }
+  return parseAddedLines(raw);
+}
+
+/**
+ * `gitRevisionReader` over a resolved commit range: `index` reads the head
+ * commit, `head` reads the merge-base.
+ */
+export function rangeRevisionReader(repoRoot: string, range: DiffRange): RevisionReader {
+  return (path, revision) => {
+    const commit = revision === 'index' ? range.head : range.base;
+    try {
+      return runGit(['show', `${commit}:${path}`], repoRoot);
+    } catch {
+      return null;
+    }
+  };
+}
+
 /**
  * Total inserted lines across staged changes. Binary files (`null`
  * insertions) contribute 0 to the LOC count — they are governed by
@@ -75,3 +312,20 @@ export function totalInsertions(changes: readonly StagedFileChange[]): number {
   }
   return n;
 }
+
+/** Total deleted lines across staged changes; binary files contribute 0. */
+export function totalDeletions(changes: readonly StagedFileChange[]): number {
+  let n = 0;
+  for (const c of changes) {
+    if (typeof c.deletions === 'number') n += c.deletions;
+  }
+  return n;
+}
+
+/**
+ * A rename git detected with no content change. It moves a path without
+ * adding or deleting lines, so budgets count it apart from changed files.
+ */
+export function isPureRename(change: StagedFileChange): boolean {
+  return change.renamedFrom !== undefined && change.insertions === 0 && change.deletions === 0;
+}
@@ -0,0 +1,198 @@
+// god_object evaluator.
+//
+// Gate-time counterpart of the `god-object-check.sh` hook. For every staged
+// source file, reads the staged (index) blob and counts approximate source
+// lines (SLOC: non-blank lines that are not whole-line `//`, `#`, `/*` or `*`
+// comments). Classes in brace languages are measured the same way, from the
+// `class` declaration line to its closing brace.
+//
+// Thresholds (policy.gates.god_object.thresholds):
+//   critical        file SLOC above which a violation fires   (default 2000)
+//   warning         file SLOC above which a report warning is
+//                   raised without failing the gate           (default: none)
+//   class_critical  class SLOC above which a violation fires  (default 1000)
+//   delta           growth that counts as signal on a file that
+//                   was already over a threshold              (default 100)
+//
+// Hysteresis mirrors the hook: a file that was already over the threshold at
+// HEAD only fires again when this change grows it by `delta` SLOC or more.
+// Touching a 2004-line file to fix a typo is not a new god object; crossing
+// the line, or piling another hundred lines on, is.
+
+import type { Policy } from '../../../kernel';
+
+import type { GatesViolation, GatesWarning } from '../gate-result-contract';
+import {
+  gitRevisionReader,
+  listStagedChanges,
+  type RevisionReader,
+  type StagedFileChange,
+} from './diff-helpers';
+import { numericThreshold } from './thresholds';
+
+export interface GodObjectInput {
+  readonly policy: Policy;
+  readonly repoRoot: string;
+  /** Override the staged-diff source (tests). */
+  readonly stagedChanges?: readonly StagedFileChange[];
+  /** Override the blob reader (tests). */
+  readonly readRevision?: RevisionReader;
+}
+
+export interface GodObjectResult {
+  readonly violations: readonly GatesViolation[];
+  readonly warnings: readonly GatesWarning[];
+  readonly observed: {
+    readonly files_evaluated: number;
+    readonly critical: number;
+    readonly warning: number | null;
+    readonly class_critical: number;
+  };
+}
+
+const DEFAULT_CRITICAL = 2000;
+const DEFAULT_CLASS_CRITICAL = 1000;
+const DEFAULT_DELTA = 100;
+
+const SOURCE_EXTENSIONS = /\.(js|ts|jsx|tsx|mjs|cjs|py|go|rs|java|rb|php|c|cpp|h)$/;
+const EXCLUDED_SEGMENTS = /(^|\/)(node_modules|dist|build|coverage)\//;
+/** Languages whose class bodies are brace-delimited. */
+const BRACE_LANGUAGES = /\.(js|ts|jsx|tsx|mjs|cjs|java|php|cpp|h)$/;
+const CLASS_DECLARATION = /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?(?:public\s+|final\s+)*class\s+([A-Za-z_$][\w$]*)/;
+
+function isSourceLine(line: string): boolean {
+  const t = line.trim();
+  if (t.length === 0) return false;
+  return !(t.startsWith('//') || t.startsWith('#') || t.startsWith('/*') || t.startsWith('*'));
+}
+
+/** Approximate SLOC, matching the hook's heuristic. */
+export function countSloc(content: string): number {
+  let n = 0;
+  for (const line of content.split('\n')) {
+    if (isSourceLine(line)) n++;
+  }
+  return n;
+}
+
+interface ClassSpan {
+  readonly name: string;
+  readonly line: number;
+  readonly sloc: number;
+}
+
+/**
+ * Find brace-delimited class bodies and their SLOC. Brace counting ignores
+ * string and comment context — good enough for a size heuristic, and it
+ * errs toward over-counting rather than missing a class.
+ */
+function findClassSpans(content: string): readonly ClassSpan[] {
+  const lines = content.split('\n');
+  const spans: ClassSpan[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    const m = CLASS_DECLARATION.exec(lines[i] as string);
+    if (m === null) continue;
+    let depth = 0;
+    let opened = false;
+    let sloc = 0;
+    let j = i;
+    for (; j < lines.length; j++) {
+      const line = lines[j] as string;
+      if (isSourceLine(line)) sloc++;
+      for (const ch of line) {
+        if (ch === '{') {
+          depth++;
+          opened = true;
+        } else if (ch === '}') {
+          depth--;
+        }
+      }
+      if (opened && depth <= 0) break;
+    }
+    if (opened) spans.push({ name: m[1] as string, line: i + 1, sloc });
+  }
+  return spans;
+}
+
+/** True when the change is signal for a measure that is over `limit` now. */
+function isSignal(before: number, after: number, limit: number, delta: number): boolean {
+  return before <= limit || after - before >= delta;
+}
+
+export function evaluateGodObject(input: GodObjectInput): GodObjectResult {
+  const thresholds = input.policy.gates.god_object?.thresholds;
+  const critical = numericThreshold(thresholds, 'critical', DEFAULT_CRITICAL);
+  const warningRaw = numericThreshold(thresholds, 'warning', Number.POSITIVE_INFINITY);
+  const warning = Number.isFinite(warningRaw) && warningRaw < critical ? warningRaw : null;
+  const classCritical = numericThreshold(thresholds, 'class_critical', DEFAULT_CLASS_CRITICAL);
+  const delta = numericThreshold(thresholds, 'delta', DEFAULT_DELTA);
+
+  const changes = input.stagedChanges ?? listStagedChanges(input.repoRoot);
+  const read = input.readRevision ?? gitRevisionReader(input.repoRoot);
+
+  const violations: GatesViolation[] = [];
+  const warnings: GatesWarning[] = [];
+  let evaluated = 0;
+  for (const c of changes) {
+    if (!SOURCE_EXTENSIONS.test(c.path) || EXCLUDED_SEGMENTS.test(c.path)) continue;
+    const staged = read(c.path, 'index');
+    if (staged === null) continue; // deleted in this change
+    evaluated++;
+    // A renamed file's history lives at its old path; reading HEAD at the
+    // new one would make an already-oversized file look brand new.
+    const head = read(c.renamedFrom ?? c.path, 'head');
+    const after = countSloc(staged);
+    const before = head === null ? 0 : countSloc(head);
+
+    if (after > critical) {
+      if (isSignal(before, after, critical, delta)) {
+        violations.push({
+          gate: 'god_object',
+          type: 'file_too_large',
+          message:
+            `${c.path} has ~${after} source lines (critical threshold: ${critical}). ` +
+            `Split it into focused modules before it accumulates more responsibilities.`,
+          file: c.path,
+          severity: 'fail',
+        });
+      }
+    } else if (warning !== null && after > warning && isSignal(before, after, warning, delta)) {
+      warnings.push({
+        gate: 'god_object',
+        type: 'file_near_limit',
+        message: `${c.path} has ~${after} source lines (warning threshold: ${warning}).`,
+      });
+    }
+
+    if (!BRACE_LANGUAGES.test(c.path)) continue;
+    const beforeByName = new Map<string, number>();
+    if (head !== null) {
+      for (const span of findClassSpans(head)) beforeByName.set(span.name, span.sloc);
+    }
+    for (const span of findClassSpans(staged)) {
+      if (span.sloc <= classCritical) continue;
+      if (!isSignal(beforeByName.get(span.name) ?? 0, span.sloc, classCritical, delta)) continue;
+      violations.push({
+        gate: 'god_object',
+        type: 'class_too_large',
+        message:
+          `class ${span.name} in ${c.path} spans ~${span.sloc} source lines ` +
+          `(class threshold: ${classCritical}). Extract collaborators instead of growing it.`,
+        file: c.path,
+        line: span.line,
+        severity: 'fail',
+      });
+    }
+  }
+
+  return {
+    violations,
+    warnings,
+    observed: {
+      files_evaluated: evaluated,
+      critical,
+      warning,
+      class_critical: classCritical,
+    },
+  };
+}
@@ -16,21 +16,46 @@
 //   gates command   : merge violations, apply waivers, derive disposition,
 //                     emit events
 //
+// The heuristic gates (`god_object`, `todo_detection`) straddle both: the
+// hooks give the agent in-loop feedback per edit, and the evaluators here
+// re-check the staged diff as a whole so the same signal lands in the event
+// log as `gate_evaluated` evidence. They only run when policy declares the
+// gate enabled and not in skip mode — there is no point reading blobs for a
+// gate whose disposition is fixed at `skipped`.
+//
 // Each evaluator returns the same `GatesViolation[]` shape the
 // downstream disposition/waiver pipeline consumes.
+//
+// Evaluators read the staged diff by default. Given a resolved `diffRange`,
+// this module reads the range once and hands every evaluator the same
+// change list, added lines and blob reader, so the evaluators themselves
+// never learn which diff source they are looking at.
 
 import type { Spec, Policy } from '../../../kernel';
 
-import type { GatesViolation } from '../gate-result-contract';
+import type { GatesViolation, GatesWarning } from '../gate-result-contract';
 import { evaluateBudgetLimit } from './budget-limit';
+import { evaluateGodObject } from './god-object';
 import { evaluateScopeBoundary } from './scope-boundary';
 import { evaluateSpecCompleteness } from './spec-completeness';
-import type { StagedFileChange } from './diff-helpers';
+import { evaluateTodoDetection } from './todo-detection';
+import {
+  listRangeAddedLines,
+  listRangeChanges,
+  rangeRevisionReader,
+  type DiffRange,
+  type RevisionReader,
+  type StagedAddedLine,
+  type StagedFileChange,
+} from './diff-helpers';
 
-export type { StagedFileChange } from './diff-helpers';
+export type { DiffRange, RevisionReader, StagedAddedLine, StagedFileChange } from './diff-helpers';
+export { resolveDiffRange } from './diff-helpers';
 export { evaluateBudgetLimit } from './budget-limit';
+export { evaluateGodObject } from './god-object';
 export { evaluateScopeBoundary } from './scope-boundary';
 export { evaluateSpecCompleteness } from './spec-completeness';
+export { evaluateTodoDetection } from './todo-detection';
 
 export interface LocalEvaluatorsInput {
   readonly spec: Spec;
@@ -39,22 +64,51 @@ export interface LocalEvaluatorsInput {
   readonly nowIso: string;
   /** Worktree name for scope diagnostics (optional). */
   readonly worktreeName?: string;
+  /** Evaluate this commit range instead of the staged diff. The explicit
+   *  overrides below still win when both are given. */
+  readonly diffRange?: DiffRange;
   /** Override staged-diff source (tests). When provided, all evaluators
    *  use this list instead of shelling out to git. */
   readonly stagedChanges?: readonly StagedFileChange[];
+  /** Override the staged added-lines source (tests). */
+  readonly stagedAddedLines?: readonly StagedAddedLine[];
+  /** Override the staged/HEAD blob reader (tests). */
+  readonly readRevision?: RevisionReader;
 }
 
 export interface LocalEvaluatorsResult {
   readonly violations: readonly GatesViolation[];
+  /** Advisory findings that do not drive disposition (e.g. god_object
+   *  files between the warning and critical thresholds). */
+  readonly warnings: readonly GatesWarning[];
+}
+
+function gateActive(policy: Policy, gate: 'god_object' | 'todo_detection'): boolean {
+  const cfg = policy.gates[gate];
+  return cfg !== undefined && cfg.enabled && cfg.mode !== 'skip';
+}
+
+function withDiffRange(input: LocalEvaluatorsInput): LocalEvaluatorsInput {
+  const range = input.diffRange;
+  if (range === undefined) return input;
+  return {
+    ...input,
+    stagedChanges: input.stagedChanges ?? listRangeChanges(input.repoRoot, range),
+    stagedAddedLines: input.stagedAddedLines ?? listRangeAddedLines(input.repoRoot, range),
+    readRevision: input.readRevision ?? rangeRevisionReader(input.repoRoot, range),
+  };
 }
 
 /**
  * Run all CAWS-local policy evaluators against the given spec+policy.
  * Returns a flat list of violations tagged with canonical policy gate
- * names (`budget_limit`, `scope_boundary`, `spec_completeness`).
+ * names (`budget_limit`, `scope_boundary`, `spec_completeness`,
+ * `god_object`, `todo_detection`).
  */
-export function runLocalEvaluators(input: LocalEvaluatorsInput): LocalEvaluatorsResult {
+export function runLocalEvaluators(request: LocalEvaluatorsInput): LocalEvaluatorsResult {
+  const input = withDiffRange(request);
   const violations: GatesViolation[] = [];
+  const warnings: GatesWarning[] = [];
 
   const budget = evaluateBudgetLimit({
     spec: input.spec,
@@ -79,5 +133,25 @@ export function runLocalEvaluators(input: LocalEvaluatorsInput): LocalEvaluators
   });
   violations.push(...completeness.violations);
 
-  return { violations };
+  if (gateActive(input.policy, 'god_object')) {
+    const godObject = evaluateGodObject({
+      policy: input.policy,
+      repoRoot: input.repoRoot,
+      ...(input.stagedChanges !== undefined ? { stagedChanges: input.stagedChanges } : {}),
+      ...(input.readRevision !== undefined ? { readRevision: input.readRevision } : {}),
+    });
+    violations.push(...godObject.violations);
+    warnings.push(...godObject.warnings);
+  }
+
+  if (gateActive(input.policy, 'todo_detection')) {
+    const todos = evaluateTodoDetection({
+      policy: input.policy,
+      repoRoot: input.repoRoot,
+      ...(input.stagedAddedLines !== undefined ? { addedLines: input.stagedAddedLines } : {}),
+    });
+    violations.push(...todos.violations);
+  }
+
+  return { violations, warnings };
 }
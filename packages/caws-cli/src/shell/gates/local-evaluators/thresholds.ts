@@ -0,0 +1,18 @@
+// Threshold lookup for local gate evaluators.
+//
+// policy.v1.json admits `gates.<gate>.thresholds` as an open object whose
+// shape is "validated at gate-implementation time". This is that point: an
+// evaluator asks for a named numeric threshold and gets the policy value when
+// it is a finite non-negative number, or its own default otherwise. A
+// malformed threshold therefore degrades to the documented default instead of
+// silently disabling the gate.
+
+export function numericThreshold(
+  thresholds: Readonly<Record<string, unknown>> | undefined,
+  key: string,
+  fallback: number
+): number {
+  const raw = thresholds?.[key];
+  if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < 0) return fallback;
+  return raw;
+}
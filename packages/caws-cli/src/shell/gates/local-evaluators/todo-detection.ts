@@ -0,0 +1,184 @@
+// todo_detection evaluator.
+//
+// Gate-time counterpart of the `shortcut-language-check.sh` hook. Scans only
+// the lines the staged diff ADDS, so a marker that already lives in the file
+// is not re-reported on every commit that touches it — the gate is about
+// newly introduced incomplete work.
+//
+// Each pattern carries a confidence. A match becomes a violation only when
+// its confidence meets policy.gates.todo_detection.thresholds.min_confidence
+// (default 0.8):
+//
+//   throw new Error("not implemented")          1.0  explicit stub
+//   TODO / FIXME                                0.9  incomplete-work marker
+//   XXX / HACK / TBD                            0.8  incomplete-work marker
+//     (upper case only: "a quick hack" or "tbd" in prose is not a marker)
+//   not implemented / implement later /
+//   coming soon                                 0.8  placeholder phrase
+//   placeholder (as a word, not an identifier)  0.6  placeholder phrase
+//
+// Like the hook, a keyword preceded by a determiner ("the TODO marker",
+// "avoid placeholder stubs") is a reference to the concept, not a marker,
+// and is skipped. Test files, docs, lockfiles and generated output are
+// exempt: TODO language there is routine.
+
+import type { Policy } from '../../../kernel';
+
+import type { GatesViolation } from '../gate-result-contract';
+import { listStagedAddedLines, type StagedAddedLine } from './diff-helpers';
+import { numericThreshold } from './thresholds';
+
+export interface TodoDetectionInput {
+  readonly policy: Policy;
+  readonly repoRoot: string;
+  /** Override the added-lines source (tests). */
+  readonly addedLines?: readonly StagedAddedLine[];
+}
+
+export interface TodoDetectionResult {
+  readonly violations: readonly GatesViolation[];
+  readonly observed: {
+    readonly lines_scanned: number;
+    readonly matches: number;
+    readonly min_confidence: number;
+  };
+}
+
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+const EXCLUDED_SEGMENTS =
+  /(^|\/)(node_modules|dist|build|coverage|\.next|out|vendor|tests|__tests__|test|fixtures)\//;
+const EXCLUDED_BASENAMES =
+  /(\.test\.|\.spec\.|\.md$|\.markdown$|\.txt$|\.lock$|-lock\.json$|\.min\.js$|\.bundle\.js$|\.map$)/;
+
+const REFERENCE_DETERMINERS =
+  'the|a|an|this|that|these|those|its|our|their|your|my|no|any|some|each|avoid|instead of|without|of|todo|fixme|xxx|hack|tbd';
+
+interface MarkerPattern {
+  readonly type: string;
+  readonly description: string;
+  readonly confidence: number;
+  /** Keyword alternation, matched case-insensitively unless caseSensitive. */
+  readonly keyword: string;
+  /** Markers are conventionally upper case; their lower-case forms are words. */
+  readonly caseSensitive?: boolean;
+  /** When false, determiner suppression does not apply (stub shapes). */
+  readonly referenceable: boolean;
+}
+
+// Ordered most- to least-confident so a line reports its strongest match.
+const PATTERNS: readonly MarkerPattern[] = [
+  {
+    type: 'not_implemented_stub',
+    description: 'explicit not-implemented stub throw',
+    confidence: 1.0,
+    keyword: `throw new Error\\(["'\`]not implemented`,
+    referenceable: false,
+  },
+  {
+    type: 'todo_marker',
+    description: 'incomplete-work marker',
+    confidence: 0.9,
+    keyword: '\\b(?:TODO|FIXME)\\b',
+    caseSensitive: true,
+    referenceable: true,
+  },
+  {
+    type: 'todo_marker',
+    description: 'incomplete-work marker',
+    confidence: 0.8,
+    keyword: '\\b(?:XXX|HACK|TBD)\\b',
+    caseSensitive: true,
+    referenceable: true,
+  },
+  {
+    type: 'placeholder_language',
+    description: 'not-implemented language',
+    confidence: 0.8,
+    keyword: 'not implemented|implement later|coming soon',
+    referenceable: true,
+  },
+  {
+    type: 'placeholder_language',
+    description: 'placeholder language',
+    confidence: 0.6,
+    // `placeholder` followed by an identifier continuation is an attribute,
+    // asset name or path segment, not a stub marker.
+    keyword: '\\bplaceholder(?![A-Za-z0-9=._/:-])',
+    referenceable: true,
+  },
+];
+
+interface CompiledPattern extends MarkerPattern {
+  readonly hit: RegExp;
+  readonly reference: RegExp;
+}
+
+/** `the` → `[tT][hH][eE]`: a caseless determiner inside a case-sensitive regex. */
+function caseless(alternation: string): string {
+  return alternation.replace(/[a-z]/g, (c) => `[${c}${c.toUpperCase()}]`);
+}
+
+const COMPILED: readonly CompiledPattern[] = PATTERNS.map((p) => {
+  const flags = p.caseSensitive === true ? '' : 'i';
+  const determiners =
+    p.caseSensitive === true ? caseless(REFERENCE_DETERMINERS) : REFERENCE_DETERMINERS;
+  return {
+    ...p,
+    hit: new RegExp(p.keyword, flags),
+    reference: new RegExp(`\\b(?:${determiners})\\s+(?:${p.keyword})`, flags),
+  };
+});
+
+function isExempt(path: string): boolean {
+  if (EXCLUDED_SEGMENTS.test(path)) return true;
+  const slash = path.lastIndexOf('/');
+  return EXCLUDED_BASENAMES.test(slash === -1 ? path : path.slice(slash + 1));
+}
+
+function strongestMatch(text: string): CompiledPattern | undefined {
+  for (const p of COMPILED) {
+    if (!p.hit.test(text)) continue;
+    if (p.referenceable && p.reference.test(text)) continue;
+    return p;
+  }
+  return undefined;
+}
+
+export function evaluateTodoDetection(input: TodoDetectionInput): TodoDetectionResult {
+  const minConfidence = numericThreshold(
+    input.policy.gates.todo_detection?.thresholds,
+    'min_confidence',
+    DEFAULT_MIN_CONFIDENCE
+  );
+  const lines = input.addedLines ?? listStagedAddedLines(input.repoRoot);
+
+  const violations: GatesViolation[] = [];
+  let scanned = 0;
+  let matches = 0;
+  for (const l of lines) {
+    if (isExempt(l.path)) continue;
+    scanned++;
+    const match = strongestMatch(l.text);
+    if (match === undefined) continue;
+    matches++;
+    if (match.confidence < minConfidence) continue;
+    const excerpt = l.text.trim().slice(0, 120);
+    violations.push({
+      gate: 'todo_detection',
+      type: match.type,
+      message:
+        `${l.path}:${l.line} introduces ${match.description} ` +
+        `(confidence ${match.confidence}): "${excerpt}". ` +
+        `Complete the implementation or track the remaining work in a spec.`,
+      file: l.path,
+      line: l.line,
+      severity: 'fail',
+    });
+  }
+
+  return {
+    violations,
+    observed: { lines_scanned: scanned, matches, min_confidence: minConfidence },
+  };
+}
@@ -13,17 +13,19 @@
 //      of truth. The shell only knows: "given the per-gate effective
 //      waivers, drop the violations that match this gate."
 //
-//   3. Path scoping (`scope.paths`) is intentionally absent. The kernel
-//      type does not include it. Doing it half-way here would be worse
-//      than deferring it to a later slice.
+//   3. Path scoping (`scope.paths`) is decided per violation: the
+//      violation's `file` is handed to the kernel, which matches it
+//      against the waiver's globs. A path-scoped waiver never forgives a
+//      file-less violation, so a waiver for `src/legacy/**` cannot
+//      silently become a gate-wide waiver.
 //
 //   4. The "violation matched this gate" rule is the same as
 //      `deriveDispositions`'s grouping rule: violations whose `gate`
 //      field equals a gate in the waiver's `gates` list. We do NOT use
 //      the violation's `severity` field for matching — policy and waivers
-//      are both gate-level constructs in this slice; per-violation
-//      identity (e.g. by rule + subject) is not yet a thing waivers
-//      address.
+//      are gate-level constructs, narrowed only by spec and path;
+//      per-violation identity (e.g. by rule + subject) is not a thing
+//      waivers address.
 //
 //   5. Unmatched gates (gates the report includes but policy doesn't
 //      declare) are never waiver-suppressed: waivers
@@ -34,6 +36,7 @@
 import {
   effectiveWaiversForGate,
   type Waiver,
+  type WaiverUsage,
 } from '../../kernel';
 
 import type { GatesReport, GatesViolation } from './gate-result-contract';
@@ -55,6 +58,12 @@ export interface WaiverFilterInput {
    * convenience). Production callers should always pass this.
    */
   readonly policyGateIds?: readonly string[];
+  /**
+   * Waiver usage ledger. When supplied, waivers whose `max_uses` cap is
+   * exhausted do not suppress anything (kernel decides). Production
+   * callers pass the ledger from `loadWaiverUsage`.
+   */
+  readonly usage?: WaiverUsage;
 }
 
 export interface WaiverEvidence {
@@ -62,6 +71,27 @@ export interface WaiverEvidence {
   readonly waived_count: number;
   /** Stable ids of the waivers credited with the suppression, deduped + sorted. */
   readonly waiver_ids: readonly string[];
+  /**
+   * Files of the suppressed violations, deduped + sorted. File-less
+   * violations (e.g. a spec-wide budget overrun) contribute no entry, so
+   * this may be empty even when waived_count > 0.
+   */
+  readonly waived_paths: readonly string[];
+}
+
+/** One waiver's share of the suppressions in this filter pass. */
+export interface WaiverUse {
+  /** Gates on which this waiver was credited, sorted. */
+  readonly gates: readonly string[];
+  /** Violations this waiver was credited with suppressing. */
+  readonly waived_count: number;
+}
+
+/** One suppressed violation and the waivers that forgave it. */
+export interface WaivedViolation {
+  readonly violation: GatesViolation;
+  /** Every effective waiver covering it, sorted. */
+  readonly waiver_ids: readonly string[];
 }
 
 export interface WaiverFilterResult {
@@ -76,89 +106,126 @@ export interface WaiverFilterResult {
    * Per-gate evidence keyed by the violation's `gate` field. Only gates
    * that actually had at least one suppression appear here. Gates with
    * zero suppressions are intentionally omitted: callers should default
-   * them to `{ waived_count: 0, waiver_ids: [] }` if they need a uniform
-   * shape, but the canonical form is "absent means zero".
+   * them to `{ waived_count: 0, waiver_ids: [], waived_paths: [] }` if
+   * they need a uniform shape, but the canonical form is "absent means
+   * zero".
    */
   readonly waivedByGate: Readonly<Record<string, WaiverEvidence>>;
+  /**
+   * The same suppressions keyed by waiver id — one entry per waiver that
+   * was credited at least once. This is what a run records as waiver
+   * uses (one `waiver_applied` per entry).
+   */
+  readonly usesByWaiver: Readonly<Record<string, WaiverUse>>;
+  /**
+   * The suppressed violations themselves, in report order, for renderers
+   * that annotate each one (SARIF suppressions, JUnit output).
+   */
+  readonly waivedViolations: readonly WaivedViolation[];
 }
 
 /**
  * Filter `report.violations` against the supplied effective waivers.
  *
  * For each violation:
- *   - look up the effective waivers for that violation's gate (kernel call)
+ *   - look up the effective waivers for that violation's gate and file
+ *     (kernel call)
  *   - if any are effective, the violation is suppressed and the waivers'
  *     ids are recorded as evidence on that gate's bucket
  *   - if none are effective, the violation passes through unchanged
  *
  * The kernel's effectiveness rule (active && not expired && gate matches
- * && (no spec_id OR matches input.specId)) is the only applicability
- * decision. Path scoping is not consulted (see file header).
+ * && (no spec_id OR matches input.specId) && (no paths OR the violation's
+ * file matches one) && max_uses not exhausted per input.usage) is the only
+ * applicability decision.
  */
 export function filterWaivedViolations(
   input: WaiverFilterInput
 ): WaiverFilterResult {
-  // Per-gate effective waivers, computed lazily so we don't pay the cost
-  // for gates that have no violations in this report.
-  const effectiveByGate = new Map<string, readonly Waiver[]>();
   const policyGateSet =
     input.policyGateIds === undefined
       ? undefined
       : new Set<string>(input.policyGateIds);
+  // Path-scoped waivers make applicability per (gate, file), so the cache
+  // is keyed on both. A file-less violation keys on the empty string and
+  // is asked with `path: null`.
+  const effectiveByKey = new Map<string, readonly Waiver[]>();
 
-  function effectiveFor(gate: string): readonly Waiver[] {
+  function effectiveFor(v: GatesViolation): readonly Waiver[] {
     // Waivers only touch policy-declared gates. An unmatched report
     // violation is observational by construction; letting waivers
     // suppress it would break that contract and confuse the unmatched
     // surface in `deriveDispositions`.
-    if (policyGateSet !== undefined && !policyGateSet.has(gate)) {
+    if (policyGateSet !== undefined && !policyGateSet.has(v.gate)) {
       return [];
     }
-    const cached = effectiveByGate.get(gate);
+    const file = typeof v.file === 'string' && v.file.length > 0 ? v.file : null;
+    const key = `${v.gate}\u0000${file ?? ''}`;
+    const cached = effectiveByKey.get(key);
     if (cached !== undefined) return cached;
     const computed = effectiveWaiversForGate({
       waivers: input.waivers,
-      gate,
+      gate: v.gate,
       specId: input.specId,
+      path: file,
+      ...(input.usage !== undefined ? { usage: input.usage } : {}),
       now: input.now,
     });
-    effectiveByGate.set(gate, computed);
+    effectiveByKey.set(key, computed);
     return computed;
   }
 
   const survivors: GatesViolation[] = [];
-  const evidenceByGate = new Map<string, Set<string>>();
+  const buckets = new Map<
+    string,
+    { count: number; ids: Set<string>; paths: Set<string> }
+  >();
+  const perWaiver = new Map<string, { gates: Set<string>; count: number }>();
+  const waivedViolations: WaivedViolation[] = [];
 
   for (const v of input.report.violations) {
-    const effective = effectiveFor(v.gate);
+    const effective = effectiveFor(v);
     if (effective.length === 0) {
       survivors.push(v);
       continue;
     }
     // Suppressed. Credit every effective waiver — overlapping coverage is
     // fine; the audit record names every authorized exception.
-    let bucket = evidenceByGate.get(v.gate);
+    let bucket = buckets.get(v.gate);
     if (bucket === undefined) {
-      bucket = new Set<string>();
-      evidenceByGate.set(v.gate, bucket);
+      bucket = { count: 0, ids: new Set<string>(), paths: new Set<string>() };
+      buckets.set(v.gate, bucket);
+    }
+    bucket.count++;
+    for (const w of effective) {
+      bucket.ids.add(w.id);
+      let use = perWaiver.get(w.id);
+      if (use === undefined) {
+        use = { gates: new Set<string>(), count: 0 };
+        perWaiver.set(w.id, use);
+      }
+      use.gates.add(v.gate);
+      use.count++;
     }
-    for (const w of effective) bucket.add(w.id);
+    if (typeof v.file === 'string' && v.file.length > 0) bucket.paths.add(v.file);
+    waivedViolations.push({ violation: v, waiver_ids: effective.map((w) => w.id).sort() });
   }
 
   const waivedByGate: Record<string, WaiverEvidence> = {};
-  for (const [gate, ids] of evidenceByGate) {
-    const sorted = Array.from(ids).sort();
-    // waived_count counts violations on this gate that were suppressed,
-    // not waivers credited. Recompute by re-walking; cheaper than carrying
-    // a parallel counter and keeps the meaning explicit.
-    let count = 0;
-    for (const v of input.report.violations) {
-      if (v.gate !== gate) continue;
-      if (effectiveFor(v.gate).length > 0) count++;
-    }
+  for (const [gate, bucket] of buckets) {
     waivedByGate[gate] = {
-      waived_count: count,
-      waiver_ids: sorted,
+      waived_count: bucket.count,
+      waiver_ids: Array.from(bucket.ids).sort(),
+      waived_paths: Array.from(bucket.paths).sort(),
+    };
+  }
+
+  const usesByWaiver: Record<string, WaiverUse> = {};
+  for (const id of Array.from(perWaiver.keys()).sort()) {
+    const use = perWaiver.get(id)!;
+    usesByWaiver[id] = {
+      gates: Array.from(use.gates).sort(),
+      waived_count: use.count,
     };
   }
 
@@ -167,5 +234,5 @@ export function filterWaivedViolations(
     violations: survivors,
   };
 
-  return { reportForDisposition, waivedByGate };
+  return { reportForDisposition, waivedByGate, usesByWaiver, waivedViolations };
 }
@@ -52,10 +52,10 @@ export {
 } from './render/finding';
 export type { RenderFindingsOptions } from './render/finding';
 export { renderDecision } from './render/decision';
-export type { RenderDecisionOptions } from './render/decision';
+export type { RenderDecisionOptions, ScopeDecisionJson } from './render/decision';
 
 export { runDoctorCommand } from './commands/doctor';
-export type { DoctorCommandOptions } from './commands/doctor';
+export type { DoctorCommandOptions, DoctorRepairPlanItem } from './commands/doctor';
 
 export {
   groupScopePlanRemediations,
@@ -92,14 +92,20 @@ export {
   runEventsMigrateCommand,
   runEventsRotateCommand,
   runEventsShowCommand,
+  runEventsExportCommand,
   runEventsVerifyArchiveCommand,
+  runEventsVerifyCommand,
+  runEventsKeygenCommand,
 } from './commands/events';
 export type {
   EventsListCommandOptions,
   EventsMigrateCommandOptions,
   EventsRotateCommandOptions,
   EventsShowCommandOptions,
+  EventsExportCommandOptions,
   EventsVerifyArchiveCommandOptions,
+  EventsVerifyCommandOptions,
+  EventsKeygenCommandOptions,
 } from './commands/events';
 
 export { runClaimCommand } from './commands/claim';
@@ -112,7 +118,7 @@ export { runStatusCommand } from './commands/status';
 export type { StatusCommandOptions } from './commands/status';
 
 export { renderStatus } from './render/status';
-export type { StatusRenderInput } from './render/status';
+export type { StatusPanel, StatusRenderInput } from './render/status';
 
 export {
   runGatesExplainCommand,
@@ -124,6 +130,7 @@ export type {
   GatesListCommandOptions,
   GatesRunCommandOptions,
   GatesRunCommandRequest,
+  GateSummary,
 } from './commands/gates';
 
 export { renderGatesRun } from './render/gates';
@@ -210,6 +217,8 @@ export {
   runSpecsPruneDraftsCommand,
   runSpecsMigrateCommand,
   runSpecsValidateCommand,
+  runSpecsGraphCommand,
+  runSpecsVerifyCommand,
 } from './commands/specs';
 export type {
   SpecsCreateOptions,
@@ -226,6 +235,8 @@ export type {
   SpecsPruneDraftsOptions,
   SpecsMigrateOptions,
   SpecsValidateOptions,
+  SpecsGraphOptions,
+  SpecsVerifyOptions,
 } from './commands/specs';
 
 export {
@@ -235,6 +246,9 @@ export {
   runWorktreeDestroyCommand,
   runWorktreeUntrackCommand,
   runWorktreeMergeCommand,
+  runWorktreeSyncCommand,
+  runWorktreeQueueCommand,
+  runWorktreeConflictsCommand,
   runWorktreeMigrateRegistryCommand,
   runWorktreePhysicalCleanupPlanCommand,
   runWorktreePruneCommand,
@@ -251,6 +265,9 @@ export type {
   WorktreeDestroyOptions,
   WorktreeUntrackOptions,
   WorktreeMergeOptions,
+  WorktreeSyncOptions,
+  WorktreeQueueOptions,
+  WorktreeConflictsOptions,
   WorktreeMigrateRegistryOptions,
   WorktreePhysicalCleanupOptions,
   WorktreePhysicalCleanupPlanItem,
@@ -292,6 +309,7 @@ export {
   runMessageHistoryCommand,
   runMessageStatusCommand,
   runMessagePruneCommand,
+  runMessageSubscribeCommand,
 } from './commands/message';
 export type {
   MessageSendCommandOptions,
@@ -301,16 +319,29 @@ export type {
   MessageHistoryCommandOptions,
   MessageStatusCommandOptions,
   MessagePruneCommandOptions,
+  MessageSubscribeCommandOptions,
 } from './commands/message';
 
+export { runMcpCommand } from './commands/mcp';
+export type { McpCommandOptions } from './commands/mcp';
+export { createMcpServer, MCP_PROTOCOL_VERSIONS } from './mcp/server';
+export type {
+  JsonRpcResponse,
+  McpServer,
+  McpServerOptions,
+  McpToolCallResult,
+} from './mcp/server';
+export { buildMcpTools, mcpToolArgv } from './mcp/tools';
+export type { McpTool, McpToolBinding, McpPropertySchema } from './mcp/tools';
+
 export { registerShellCommands } from './register';
-export type { RegisterShellCommandsOptions } from './register';
+export type { RegisterShellCommandsOptions, ShellCommandIo } from './register';
 
 // CAWS-CLI-HELP-METADATA-AUTHORITY-001: the typed single-source command
 // metadata that register.ts consumes (populated group-by-group in slices 2-3)
 // and that the help-metadata lock test asserts against the kernel enums +
 // REGISTERED_COMMAND_GROUPS.
-export { COMMAND_SURFACE_METADATA } from './command-metadata';
+export { COMMAND_SURFACE_METADATA, declaredArguments } from './command-metadata';
 export type {
   CommandMeta,
   LeafCommandMeta,
@@ -0,0 +1,224 @@
+// JSON-RPC dispatch for `caws mcp` (CAWS-MCP-SERVER-001).
+//
+// Transport-free: handleLine() takes one newline-delimited JSON-RPC 2.0
+// message and returns the response (or null for a notification);
+// commands/mcp.ts owns stdio. Implemented methods are the ones a tools-only
+// server needs — initialize, ping, tools/list, tools/call — and anything else
+// is -32601.
+//
+// A tool call never reimplements a command. It builds the argv (tools.ts),
+// parses it through a fresh Commander program populated by
+// registerShellCommands with the exit hook and the out/err sinks captured,
+// and returns what the command printed: the --json payload parsed into
+// structuredContent, the raw text as content, and a non-zero exit as isError.
+//
+// Session identity is not the server's to decide. Every command resolves it
+// through resolveSession with the server's cwd and env, exactly as a `caws`
+// call from the same harness would; `initialize` only reports what that
+// resolver answers (read-only, never mints).
+
+import { Command, CommanderError } from 'commander';
+
+import type { RegisterShellCommandsOptions } from '../register';
+import { resolveRepoRoot } from '../../store';
+import { resolveSession } from '../session/resolve-session';
+import { buildMcpTools, mcpToolArgv, type McpToolBinding } from './tools';
+
+/** Protocol revisions this server speaks, newest first. */
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'] as const;
+
+const JSONRPC_PARSE_ERROR = -32700;
+const JSONRPC_INVALID_REQUEST = -32600;
+const JSONRPC_METHOD_NOT_FOUND = -32601;
+const JSONRPC_INVALID_PARAMS = -32602;
+
+type JsonRpcId = string | number | null;
+
+export interface JsonRpcResponse {
+  readonly jsonrpc: '2.0';
+  readonly id: JsonRpcId;
+  readonly result?: unknown;
+  readonly error?: { readonly code: number; readonly message: string };
+}
+
+export interface McpToolCallResult {
+  readonly content: readonly { readonly type: 'text'; readonly text: string }[];
+  readonly structuredContent?: {
+    readonly exit_code: number;
+    /** The command's stdout parsed as JSON, or null when it printed text. */
+    readonly result: unknown;
+    readonly stderr: string;
+  };
+  readonly isError: boolean;
+}
+
+export interface McpServerOptions {
+  /** registerShellCommands, injected so this module does not import register.ts. */
+  readonly registerCommands: (program: Command, options: RegisterShellCommandsOptions) => void;
+  readonly serverVersion: string;
+  readonly cwd?: string;
+  readonly env?: NodeJS.ProcessEnv;
+}
+
+export interface McpServer {
+  readonly tools: readonly McpToolBinding[];
+  handleLine(line: string): Promise<JsonRpcResponse | null>;
+  callTool(name: string, args: unknown): Promise<McpToolCallResult>;
+}
+
+function rpcResult(id: JsonRpcId, result: unknown): JsonRpcResponse {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id: JsonRpcId, code: number, message: string): JsonRpcResponse {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describeSession(cwd: string, env: NodeJS.ProcessEnv): string {
+  const repo = resolveRepoRoot(cwd);
+  if (!repo.ok) {
+    return `No CAWS repository at ${cwd}; commands will report that themselves.`;
+  }
+  const session = resolveSession({
+    cawsDir: repo.value.cawsDir,
+    worktreeRoot: cwd,
+    env,
+    allowMint: false,
+  });
+  if (!session.ok) {
+    return 'Session identity is unresolved; write commands mint one exactly as the CLI does.';
+  }
+  const { identity, source } = session.value;
+  return `Session identity: ${identity.session_id} (${identity.platform}, from ${source}).`;
+}
+
+export function createMcpServer(opts: McpServerOptions): McpServer {
+  const cwd = opts.cwd ?? process.cwd();
+  const env = opts.env ?? process.env;
+  const tools = buildMcpTools();
+  const byName = new Map(tools.map((b) => [b.tool.name, b]));
+
+  async function runArgv(argv: readonly string[]): Promise<McpToolCallResult> {
+    const out: string[] = [];
+    const err: string[] = [];
+    let exitCode: number | undefined;
+    const program = new Command();
+    program
+      .name('caws')
+      .exitOverride()
+      .configureOutput({
+        writeOut: (s) => out.push(s.replace(/\n$/, '')),
+        writeErr: (s) => err.push(s.replace(/\n$/, '')),
+      });
+    opts.registerCommands(program, {
+      exit: (code) => {
+        exitCode ??= code;
+      },
+      io: { cwd, env, out: (s) => out.push(s), err: (s) => err.push(s) },
+    });
+    try {
+      await program.parseAsync([...argv], { from: 'user' });
+    } catch (e) {
+      if (e instanceof CommanderError) {
+        exitCode ??= e.exitCode;
+      } else {
+        err.push(`caws ${argv[0] ?? ''}: ${(e as Error).message}`);
+        exitCode ??= 1;
+      }
+    }
+
+    const code = exitCode ?? 0;
+    const stdout = out.join('\n');
+    const stderr = err.join('\n');
+    let result: unknown = null;
+    if (stdout.trim().length > 0) {
+      try {
+        result = JSON.parse(stdout);
+      } catch {
+        result = null;
+      }
+    }
+    const content: { type: 'text'; text: string }[] = [
+      { type: 'text', text: stdout.length > 0 ? stdout : `(exit ${code}, no output)` },
+    ];
+    if (stderr.length > 0) content.push({ type: 'text', text: stderr });
+    return {
+      content,
+      structuredContent: { exit_code: code, result, stderr },
+      isError: code !== 0,
+    };
+  }
+
+  async function callTool(name: string, args: unknown): Promise<McpToolCallResult> {
+    const binding = byName.get(name);
+    if (binding === undefined) {
+      return { content: [{ type: 'text', text: `unknown tool: ${name}` }], isError: true };
+    }
+    const argv = mcpToolArgv(binding, args);
+    if (!argv.ok) {
+      return { content: [{ type: 'text', text: argv.message }], isError: true };
+    }
+    return runArgv(argv.argv);
+  }
+
+  async function dispatch(id: JsonRpcId, method: string, params: unknown): Promise<JsonRpcResponse> {
+    switch (method) {
+      case 'initialize': {
+        const requested = isRecord(params) ? params['protocolVersion'] : undefined;
+        const protocolVersion = (MCP_PROTOCOL_VERSIONS as readonly unknown[]).includes(requested)
+          ? (requested as string)
+          : MCP_PROTOCOL_VERSIONS[0];
+        return rpcResult(id, {
+          protocolVersion,
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'caws', version: opts.serverVersion },
+          instructions: [
+            'Each tool runs one `caws` command in this repository and returns its --json payload as structuredContent.result.',
+            describeSession(cwd, env),
+          ].join(' '),
+        });
+      }
+      case 'ping':
+        return rpcResult(id, {});
+      case 'tools/list':
+        return rpcResult(id, { tools: tools.map((b) => b.tool) });
+      case 'tools/call': {
+        if (!isRecord(params) || typeof params['name'] !== 'string') {
+          return rpcError(id, JSONRPC_INVALID_PARAMS, 'tools/call: params.name must be a string');
+        }
+        if (!byName.has(params['name'])) {
+          return rpcError(id, JSONRPC_INVALID_PARAMS, `tools/call: unknown tool ${params['name']}`);
+        }
+        return rpcResult(id, await callTool(params['name'], params['arguments']));
+      }
+      default:
+        return rpcError(id, JSONRPC_METHOD_NOT_FOUND, `method not found: ${method}`);
+    }
+  }
+
+  async function handleLine(line: string): Promise<JsonRpcResponse | null> {
+    let message: unknown;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      return rpcError(null, JSONRPC_PARSE_ERROR, `parse error: ${(e as Error).message}`);
+    }
+    if (!isRecord(message) || message['jsonrpc'] !== '2.0') {
+      return rpcError(null, JSONRPC_INVALID_REQUEST, 'expected a JSON-RPC 2.0 message object');
+    }
+    const id = message['id'];
+    const method = message['method'];
+    // Notifications (no id) and responses to server requests need no reply.
+    if (id === undefined || typeof method !== 'string') return null;
+    if (typeof id !== 'string' && typeof id !== 'number' && id !== null) {
+      return rpcError(null, JSONRPC_INVALID_REQUEST, 'id must be a string or number');
+    }
+    return dispatch(id, method, message['params']);
+  }
+
+  return { tools, handleLine, callTool };
+}
@@ -0,0 +1,311 @@
+// MCP tool generation for `caws mcp` (CAWS-MCP-SERVER-001).
+//
+// The tool list is DERIVED from COMMAND_SURFACE_METADATA — the same typed
+// metadata register.ts builds the Commander surface from — so a command and
+// its tool cannot disagree about names, options or required-ness. A tool call
+// is translated back into the argv the command would have been typed with;
+// server.ts parses that argv through registerShellCommands, so the
+// option → run*Command mapping stays in exactly one place (register.ts).
+//
+// Naming: caws_<group>_<leaf> (caws_<command> for flat commands), hyphens as
+// underscores: `specs amend-scope` → caws_specs_amend_scope. Input properties
+// are the long flag names treated the same way (`--risk-tier` → risk_tier,
+// `--scope.in` → scope_in) plus the declared positionals by name. When a
+// positional and an option share a name (`specs create [id]` / `--id`), they
+// are aliases of one value and only the positional is exposed.
+//
+// Not exposed: the boolean `--data` (diagnostic rendering for a terminal),
+// `--json` (always passed), hidden migration aliases, group-level actions
+// (each leaf is its own tool) and `mcp` itself. A leaf with `--format` gets
+// `--format json` unless the caller picks another format.
+
+import {
+  COMMAND_SURFACE_METADATA,
+  declaredArguments,
+  type CommandMeta,
+  type CommandOptionMeta,
+  type LeafCommandMeta,
+} from '../command-metadata';
+
+/** JSON Schema for one tool input property (the subset the generator emits). */
+export interface McpPropertySchema {
+  readonly type?: 'string' | 'boolean' | 'array';
+  readonly items?: { readonly type: 'string' };
+  readonly oneOf?: readonly McpPropertySchema[];
+  readonly enum?: readonly string[];
+  readonly default?: string | boolean | readonly string[];
+  readonly description?: string;
+}
+
+/** An MCP tool definition as returned by `tools/list`. */
+export interface McpTool {
+  readonly name: string;
+  readonly description: string;
+  readonly inputSchema: {
+    readonly type: 'object';
+    readonly properties: Readonly<Record<string, McpPropertySchema>>;
+    readonly required?: readonly string[];
+    readonly additionalProperties: false;
+  };
+}
+
+type OptionValueShape = 'flag' | 'value' | 'list' | 'optional-list';
+
+interface ToolOptionParam {
+  readonly kind: 'option';
+  readonly key: string;
+  readonly long: string;
+  readonly shape: OptionValueShape;
+  readonly required: boolean;
+}
+
+interface ToolPositionalParam {
+  readonly kind: 'positional';
+  readonly key: string;
+  readonly required: boolean;
+}
+
+type ToolParam = ToolOptionParam | ToolPositionalParam;
+
+/** A generated tool plus what server.ts needs to turn a call into argv. */
+export interface McpToolBinding {
+  readonly tool: McpTool;
+  /** Command path, e.g. ['specs', 'show'] or ['status']. */
+  readonly commandPath: readonly string[];
+  readonly params: readonly ToolParam[];
+  /** Append `--json` to every call. */
+  readonly forceJson: boolean;
+  /** Append `--format json` when the caller does not choose a format. */
+  readonly defaultFormatJson: boolean;
+}
+
+/** Commands that are never tools: the server itself. */
+const EXCLUDED_COMMANDS: ReadonlySet<string> = new Set(['mcp']);
+
+function toKey(name: string): string {
+  return name.replace(/[.-]/g, '_');
+}
+
+function parseFlag(flag: string): { long: string; valueToken: string | undefined } {
+  const tokens = flag.split(/[ ,]+/).filter((t) => t.length > 0);
+  const long = tokens.find((t) => t.startsWith('--')) ?? tokens[0] ?? flag;
+  const valueToken = tokens.find((t) => t.startsWith('<') || t.startsWith('['));
+  return { long, valueToken };
+}
+
+function optionShape(opt: CommandOptionMeta, valueToken: string | undefined): OptionValueShape {
+  if (valueToken === undefined) return 'flag';
+  if (valueToken.startsWith('[')) return 'optional-list';
+  return opt.collect === true ? 'list' : 'value';
+}
+
+function optionSchema(
+  opt: CommandOptionMeta,
+  shape: OptionValueShape,
+  formatJson: boolean
+): McpPropertySchema {
+  const description = opt.description;
+  switch (shape) {
+    case 'flag':
+      return { type: 'boolean', description };
+    case 'list':
+      return {
+        type: 'array',
+        items: { type: 'string' },
+        description: `${description} (one entry per value)`,
+      };
+    case 'optional-list':
+      return {
+        oneOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+        description: `${description} (true for the bare flag, or a list of values)`,
+      };
+    case 'value': {
+      const allowed =
+        opt.allowedValues !== undefined && opt.allowedValues.length > 0
+          ? { enum: opt.allowedValues.map((v) => String(v)) }
+          : {};
+      const fallback = formatJson
+        ? { default: 'json' }
+        : typeof opt.defaultValue === 'string'
+          ? { default: opt.defaultValue }
+          : {};
+      return { type: 'string', description, ...allowed, ...fallback };
+    }
+  }
+}
+
+function isExposedOption(opt: CommandOptionMeta, long: string, valueToken: string | undefined): boolean {
+  if (opt.hidden === true) return false;
+  if (long === '--json') return false;
+  if (long === '--data' && valueToken === undefined) return false;
+  return true;
+}
+
+function buildBinding(commandPath: readonly string[], leaf: LeafCommandMeta): McpToolBinding {
+  const properties: Record<string, McpPropertySchema> = {};
+  const required: string[] = [];
+  const params: ToolParam[] = [];
+
+  for (const arg of declaredArguments(leaf)) {
+    const key = toKey(arg.name);
+    properties[key] = { type: 'string', description: arg.description };
+    params.push({ kind: 'positional', key, required: arg.required });
+    if (arg.required) required.push(key);
+  }
+
+  let forceJson = false;
+  let defaultFormatJson = false;
+  for (const opt of leaf.options) {
+    const { long, valueToken } = parseFlag(opt.flag);
+    if (long === '--json') forceJson = true;
+    if (!isExposedOption(opt, long, valueToken)) continue;
+    const key = toKey(long.replace(/^--/, ''));
+    if (properties[key] !== undefined) continue;
+    const shape = optionShape(opt, valueToken);
+    const formatJson = long === '--format' && shape === 'value';
+    if (formatJson) defaultFormatJson = true;
+    properties[key] = optionSchema(opt, shape, formatJson);
+    params.push({ kind: 'option', key, long, shape, required: opt.required === true });
+    if (opt.required === true) required.push(key);
+  }
+
+  const tool: McpTool = {
+    name: ['caws', ...commandPath].map(toKey).join('_'),
+    description: `${leaf.description} (caws ${commandPath.join(' ')})`,
+    inputSchema: {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+      additionalProperties: false,
+    },
+  };
+  return { tool, commandPath, params, forceJson, defaultFormatJson };
+}
+
+/**
+ * One binding per leaf of the command surface, in metadata order. Pure: the
+ * same metadata always yields the same tool list.
+ */
+export function buildMcpTools(
+  metadata: readonly CommandMeta[] = COMMAND_SURFACE_METADATA
+): readonly McpToolBinding[] {
+  const bindings: McpToolBinding[] = [];
+  for (const meta of metadata) {
+    if (EXCLUDED_COMMANDS.has(meta.name)) continue;
+    if (meta.kind === 'leaf') {
+      bindings.push(buildBinding([meta.name], meta));
+      continue;
+    }
+    for (const leaf of meta.subcommands) {
+      bindings.push(buildBinding([meta.name, leaf.name], leaf));
+    }
+  }
+  return bindings;
+}
+
+function scalarString(value: unknown): string | undefined {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return undefined;
+}
+
+function stringList(value: unknown): string[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const list: string[] = [];
+  for (const item of value) {
+    const s = scalarString(item);
+    if (s === undefined) return undefined;
+    list.push(s);
+  }
+  return list;
+}
+
+/**
+ * Translate tool-call arguments into the argv (after `caws`) the command
+ * would have been typed with. Option values use the `--flag=value` form so a
+ * value that starts with `-` is never mistaken for a flag, and positionals
+ * follow `--` for the same reason.
+ */
+export function mcpToolArgv(
+  binding: McpToolBinding,
+  args: unknown
+): { ok: true; argv: string[] } | { ok: false; message: string } {
+  const name = binding.tool.name;
+  if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+    return { ok: false, message: `${name}: arguments must be an object` };
+  }
+  const given = (args ?? {}) as Record<string, unknown>;
+  const known = new Set(binding.params.map((p) => p.key));
+  const unknown = Object.keys(given).filter((k) => !known.has(k));
+  if (unknown.length > 0) {
+    return {
+      ok: false,
+      message: `${name}: unknown argument(s): ${unknown.join(', ')}. Expected: ${[...known].join(', ') || '(none)'}`,
+    };
+  }
+
+  const options: string[] = [];
+  const positionals: string[] = [];
+  let gap: string | undefined;
+  for (const param of binding.params) {
+    const value = given[param.key];
+    if (value === undefined || value === null) {
+      if (param.required) {
+        return { ok: false, message: `${name}: missing required argument "${param.key}"` };
+      }
+      if (param.kind === 'positional' && gap === undefined) gap = param.key;
+      continue;
+    }
+    if (param.kind === 'positional') {
+      const s = scalarString(value);
+      if (s === undefined) {
+        return { ok: false, message: `${name}: "${param.key}" must be a string` };
+      }
+      if (gap !== undefined) {
+        return {
+          ok: false,
+          message: `${name}: "${param.key}" requires the earlier positional "${gap}"`,
+        };
+      }
+      positionals.push(s);
+      continue;
+    }
+    switch (param.shape) {
+      case 'flag':
+        if (typeof value !== 'boolean') {
+          return { ok: false, message: `${name}: "${param.key}" must be a boolean` };
+        }
+        if (value) options.push(param.long);
+        break;
+      case 'value': {
+        const s = scalarString(value);
+        if (s === undefined) {
+          return { ok: false, message: `${name}: "${param.key}" must be a string` };
+        }
+        options.push(`${param.long}=${s}`);
+        break;
+      }
+      case 'list':
+      case 'optional-list': {
+        if (param.shape === 'optional-list' && typeof value === 'boolean') {
+          if (value) options.push(param.long);
+          break;
+        }
+        const list = stringList(value);
+        if (list === undefined) {
+          return { ok: false, message: `${name}: "${param.key}" must be an array of strings` };
+        }
+        for (const item of list) options.push(`${param.long}=${item}`);
+        break;
+      }
+    }
+  }
+
+  if (binding.forceJson) options.push('--json');
+  if (binding.defaultFormatJson && given['format'] === undefined) {
+    options.push('--format=json');
+  }
+  const argv = [...binding.commandPath, ...options];
+  if (positionals.length > 0) argv.push('--', ...positionals);
+  return { ok: true, argv };
+}
@@ -32,12 +32,13 @@ import {
   REPRIEVE_COMMAND_META,
   AGENTS_COMMAND_META,
   MESSAGE_COMMAND_META,
+  MCP_COMMAND_META,
   SPECS_COMMAND_META,
   WORKTREE_COMMAND_META,
   type GroupCommandMeta,
   type LeafCommandMeta,
   type CommandOptionMeta,
-  type CommandArgMeta,
+  declaredArguments,
 } from './command-metadata';
 import {
   runAgentsHeartbeatCommand,
@@ -53,13 +54,18 @@ import {
   runMessageHistoryCommand,
   runMessageStatusCommand,
   runMessagePruneCommand,
+  runMessageSubscribeCommand,
+  runMcpCommand,
   runClaimCommand,
   runDoctorCommand,
   runEventsListCommand,
   runEventsMigrateCommand,
   runEventsRotateCommand,
   runEventsShowCommand,
+  runEventsExportCommand,
   runEventsVerifyArchiveCommand,
+  runEventsVerifyCommand,
+  runEventsKeygenCommand,
   evidenceRecordExampleCommand,
   runEvidenceListCommand,
   runEvidenceRecordCommand,
@@ -90,6 +96,8 @@ import {
   runSpecsMigrateCommand,
   runSpecsShowCommand,
   runSpecsValidateCommand,
+  runSpecsGraphCommand,
+  runSpecsVerifyCommand,
   runStatusCommand,
   runWaiverCreateCommand,
   runWaiverListCommand,
@@ -110,6 +118,9 @@ import {
   runWorktreePruneCommand,
   runWorktreeRepairSparseCommand,
   runWorktreeRepairCommand,
+  runWorktreeSyncCommand,
+  runWorktreeQueueCommand,
+  runWorktreeConflictsCommand,
   runWorktreeUntrackCommand,
   type EvidenceKind,
 } from './index';
@@ -122,6 +133,21 @@ export interface RegisterShellCommandsOptions {
    * actually exiting the test process.
    */
   readonly exit?: (code: number) => void;
+  /**
+   * I/O threaded into every `run*Command` call — the same cwd/env/out/err
+   * seams the command tests inject directly. Default: the process's own.
+   * `caws mcp` sets it to capture each tool call's output
+   * (CAWS-MCP-SERVER-001).
+   */
+  readonly io?: ShellCommandIo;
+}
+
+/** The per-invocation I/O every `run*Command` accepts. */
+export interface ShellCommandIo {
+  readonly cwd?: string;
+  readonly env?: NodeJS.ProcessEnv;
+  readonly out?: (line: string) => void;
+  readonly err?: (line: string) => void;
 }
 
 function renderEvidenceDataParseGuidance(kind: string | undefined): string {
@@ -186,7 +212,7 @@ function renderOptionDescription(opt: CommandOptionMeta): string {
 
 /** Commander value collector for repeatable string options — accumulates each
  * occurrence into an array, verbatim caller order, no normalization. Shared by
- * every `collect: true` metadata option (claim --paths, waiver create --gate). */
+ * every `collect: true` metadata option (claim --paths, waiver create --gate/--path). */
 function collectOption(
   value: string,
   previous: readonly string[] | undefined
@@ -254,20 +280,6 @@ function parseOptionalNonNegativeInteger(raw: string | undefined): number | unde
   return parsed;
 }
 
-/** The single source of truth for a leaf's declared positionals, whether
- * authored as one `argument` or as an ordered `arguments` list — every other
- * reader (leafCommandName, guardExcessArguments) goes through this so a
- * leaf's advertised shape and its enforced shape can never diverge again
- * (CAWS-DEFECT-INIT-ACTION-POSITIONALS-REFUSED-01: init declared its two
- * positionals only via bolted-on `.argument()` calls in register.ts, which
- * this guard's Commander-arg-count check never saw, so `init diff` and
- * `init port <path>` were refused before their action ran). */
-function declaredArguments(leaf: LeafCommandMeta): readonly CommandArgMeta[] {
-  if (leaf.arguments !== undefined) return leaf.arguments;
-  if (leaf.argument !== undefined) return [leaf.argument];
-  return [];
-}
-
 /** Construct the `.command()` name string with the metadata's positional
  * argument suffix (`<name>` required, `[name]` optional), e.g. "create <id>"
  * or "init [action] [actionArg]" for a multi-positional leaf. */
@@ -373,6 +385,10 @@ export function registerShellCommands(
   options: RegisterShellCommandsOptions = {}
 ): void {
   const exit = options.exit ?? ((code: number) => process.exit(code));
+  const io: ShellCommandIo = options.io ?? {};
+  // Usage refusals raised here, before any run*Command, go to the same
+  // stderr sink the command would have used.
+  const usageErr = io.err ?? ((s: string) => process.stderr.write(`${s}\n`));
 
   // -------------------------------------------------------------------
   // caws init
@@ -406,8 +422,8 @@ export function registerShellCommands(
         // Positional subcommands (CAWS-HOOKPACK-UPGRADE-RETROFIT-001).
         // Unknown positional = usage error, not silently ignored.
         if (action !== undefined && action !== 'diff' && action !== 'port') {
-          process.stderr.write(
-            `caws init: unknown subcommand "${action}" (expected diff | port).\n`
+          usageErr(
+            `caws init: unknown subcommand "${action}" (expected diff | port).`
           );
           exit(2);
           return;
@@ -415,6 +431,7 @@ export function registerShellCommands(
         // Commander hands back the raw string for agentSurface; the
         // runInitCommand validator rejects unknown values with exit 2.
         const runOpts: Parameters<typeof runInitCommand>[0] = {
+          ...io,
           showData: opts.data === true,
         };
         if (opts.agentSurface !== undefined) {
@@ -474,6 +491,7 @@ export function registerShellCommands(
   defineFlat(program, DOCTOR_COMMAND_META)
     .action((opts: { data?: boolean; repairPlan?: boolean; json?: boolean }) => {
       const code = runDoctorCommand({
+        ...io,
         showData: opts.data === true,
         repairPlan: opts.repairPlan === true,
         json: opts.json === true,
@@ -491,6 +509,7 @@ export function registerShellCommands(
   defineLeaf(scopeCmd, leafMeta(SCOPE_COMMAND_META, 'show'))
     .action((p: string, opts: { data?: boolean; json?: boolean; spec?: string }) => {
       const code = runScopeCommand({
+        ...io,
         path: p,
         mode: 'show',
         showData: opts.data === true,
@@ -503,6 +522,7 @@ export function registerShellCommands(
   defineLeaf(scopeCmd, leafMeta(SCOPE_COMMAND_META, 'check'))
     .action((p: string, opts: { data?: boolean; json?: boolean; spec?: string }) => {
       const code = runScopeCommand({
+        ...io,
         path: p,
         mode: 'check',
         showData: opts.data === true,
@@ -515,6 +535,7 @@ export function registerShellCommands(
   defineLeaf(scopeCmd, leafMeta(SCOPE_COMMAND_META, 'plan'))
     .action((opts: { path?: string[]; pathsFile?: string; json?: boolean; data?: boolean; spec?: string }) => {
       const code = runScopePlanCommand({
+        ...io,
         paths: opts.path ?? [],
         ...(opts.pathsFile !== undefined ? { pathsFile: opts.pathsFile } : {}),
         ...(opts.spec !== undefined ? { specId: opts.spec } : {}),
@@ -527,6 +548,7 @@ export function registerShellCommands(
   defineLeaf(scopeCmd, leafMeta(SCOPE_COMMAND_META, 'contention'))
     .action((p: string, opts: { json?: boolean }) => {
       const code = runScopeContentionCommand({
+        ...io,
         path: p,
         json: opts.json === true,
       });
@@ -547,6 +569,7 @@ export function registerShellCommands(
       json?: boolean;
     }) => {
       const code = runStatusCommand({
+        ...io,
         showData: opts.data === true,
         specs: opts.specs === true,
         worktrees: opts.worktrees === true,
@@ -573,6 +596,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runClaimCommand({
+          ...io,
           takeover: opts.takeover === true,
           plan: opts.plan === true,
           json: opts.json === true,
@@ -595,6 +619,7 @@ export function registerShellCommands(
   defineLeaf(gatesCmd, leafMeta(GATES_COMMAND_META, 'list'))
     .action((opts: { spec?: string; json?: boolean; data?: boolean }) => {
       const code = runGatesListCommand({
+        ...io,
         ...(opts.spec !== undefined ? { specId: opts.spec } : {}),
         json: opts.json === true,
         showData: opts.data === true,
@@ -605,6 +630,7 @@ export function registerShellCommands(
   defineLeaf(gatesCmd, leafMeta(GATES_COMMAND_META, 'explain'))
     .action((gate: string, opts: { spec?: string; json?: boolean; data?: boolean }) => {
       const code = runGatesExplainCommand({
+        ...io,
         gateId: gate,
         ...(opts.spec !== undefined ? { specId: opts.spec } : {}),
         json: opts.json === true,
@@ -615,19 +641,37 @@ export function registerShellCommands(
 
   defineLeaf(gatesCmd, leafMeta(GATES_COMMAND_META, 'run'))
     .action(
-      (specArg: string | undefined, opts: { spec?: string; context: string; data?: boolean }) => {
+      (
+        specArg: string | undefined,
+        opts: {
+          spec?: string;
+          base?: string;
+          head?: string;
+          worktree?: string;
+          format?: string;
+          context: string;
+          data?: boolean;
+        }
+      ) => {
         if (specArg !== undefined && opts.spec !== undefined) {
-          process.stderr.write(
-            'caws gates run: positional <spec> and --spec both name the spec id; supply only one.\n'
+          usageErr(
+            'caws gates run: positional <spec> and --spec both name the spec id; supply only one.'
           );
           exit(1);
           return;
         }
         const specId = opts.spec ?? specArg ?? '';
         const code = runGatesRunCommand(
-          { specId },
           {
+            specId,
+            ...(opts.base !== undefined ? { base: opts.base } : {}),
+            ...(opts.head !== undefined ? { head: opts.head } : {}),
+            ...(opts.worktree !== undefined ? { worktree: opts.worktree } : {}),
+          },
+          {
+            ...io,
             showData: opts.data === true,
+            ...(opts.format !== undefined ? { format: opts.format } : {}),
           }
         );
         exit(code);
@@ -654,18 +698,19 @@ export function registerShellCommands(
         try {
           data = parseDataOption(opts.data, opts.type);
         } catch (e) {
-          process.stderr.write(`${(e as Error).message}\n`);
+          usageErr((e as Error).message);
           exit(1);
           return;
         }
         if (!isEvidenceKind(opts.type)) {
-          process.stderr.write(
-            `caws evidence record: invalid --type ${JSON.stringify(opts.type)}; expected test|gate|ac.\n`
+          usageErr(
+            `caws evidence record: invalid --type ${JSON.stringify(opts.type)}; expected test|gate|ac.`
           );
           exit(1);
           return;
         }
         const code = runEvidenceRecordCommand({
+          ...io,
           kind: opts.type,
           specId: opts.spec,
           data,
@@ -682,13 +727,14 @@ export function registerShellCommands(
     .action(
       (opts: { spec: string; type?: string; json?: boolean; data?: boolean }) => {
         if (opts.type !== undefined && !isEvidenceKind(opts.type)) {
-          process.stderr.write(
-            `caws evidence list: invalid --type ${JSON.stringify(opts.type)}; expected test|gate|ac.\n`
+          usageErr(
+            `caws evidence list: invalid --type ${JSON.stringify(opts.type)}; expected test|gate|ac.`
           );
           exit(1);
           return;
         }
         const code = runEvidenceListCommand({
+          ...io,
           specId: opts.spec,
           ...(opts.type !== undefined ? { kind: opts.type } : {}),
           json: opts.json === true,
@@ -701,6 +747,7 @@ export function registerShellCommands(
   defineLeaf(evidenceCmd, leafMeta(EVIDENCE_COMMAND_META, 'show'))
     .action((eventRef: string, opts: { json?: boolean; data?: boolean }) => {
       const code = runEvidenceShowCommand({
+        ...io,
         ref: eventRef,
         json: opts.json === true,
         showData: opts.data === true,
@@ -711,6 +758,7 @@ export function registerShellCommands(
   defineLeaf(evidenceCmd, leafMeta(EVIDENCE_COMMAND_META, 'schema'))
     .action((opts: { type: string; json?: boolean }) => {
       const code = runEvidenceSchemaCommand({
+        ...io,
         kind: opts.type as EvidenceKind,
         json: opts.json === true,
       });
@@ -718,7 +766,8 @@ export function registerShellCommands(
     });
 
   // -------------------------------------------------------------------
-  // caws events migrate / rotate / verify-archive
+  // caws events list / show / verify / keygen / migrate / rotate /
+  // verify-archive
   //
   // v11.2 maintenance command surface for the event-log writer. See
   // docs/architecture/caws-vnext-command-surface.md §6 invariant 14 and
@@ -730,38 +779,128 @@ export function registerShellCommands(
   //              unparseable as evidence quarantine).
   //   - verify-archive: recompute archive sha256+line count vs the
   //              most recent chain_rotated event.
+  //   - verify / keygen: Ed25519 event signatures (chain + trusted keys;
+  //              local signing keys under .caws/keys/).
   // -------------------------------------------------------------------
   const eventsCmd = program.command('events');
   applyGroupMeta(eventsCmd, EVENTS_COMMAND_META);
 
   defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'list'))
-    .action((opts: { json?: boolean; limit?: string; data?: boolean }) => {
-      let limit: number | undefined;
-      try {
-        limit = parseOptionalNonNegativeInteger(opts.limit);
-      } catch (e) {
-        process.stderr.write(`caws events list: invalid --limit: ${(e as Error).message}\n`);
-        exit(1);
-        return;
+    .action(
+      (opts: {
+        json?: boolean;
+        ndjson?: boolean;
+        limit?: string;
+        where?: string;
+        event?: string;
+        spec?: string;
+        actor?: string;
+        actorKind?: string;
+        session?: string;
+        since?: string;
+        until?: string;
+        includeArchives?: boolean;
+        data?: boolean;
+      }) => {
+        let limit: number | undefined;
+        try {
+          limit = parseOptionalNonNegativeInteger(opts.limit);
+        } catch (e) {
+          usageErr(`caws events list: invalid --limit: ${(e as Error).message}`);
+          exit(1);
+          return;
+        }
+        const eventTypes = parseCommaSeparatedList(opts.event);
+        const code = runEventsListCommand({
+          ...io,
+          json: opts.json === true,
+          ...(opts.ndjson === true ? { ndjson: true } : {}),
+          ...(limit !== undefined ? { limit } : {}),
+          ...(opts.where !== undefined ? { where: opts.where } : {}),
+          filters: {
+            ...(eventTypes !== undefined ? { event: eventTypes } : {}),
+            ...(opts.spec !== undefined ? { spec_id: opts.spec } : {}),
+            ...(opts.actor !== undefined ? { actor_id: opts.actor } : {}),
+            ...(opts.actorKind !== undefined ? { actor_kind: opts.actorKind } : {}),
+            ...(opts.session !== undefined ? { session_id: opts.session } : {}),
+            ...(opts.since !== undefined ? { since: opts.since } : {}),
+            ...(opts.until !== undefined ? { until: opts.until } : {}),
+          },
+          ...(opts.includeArchives === true ? { includeArchives: true } : {}),
+          showData: opts.data === true,
+        });
+        exit(code);
       }
-      const code = runEventsListCommand({
+    );
+
+  defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'show'))
+    .action((eventRef: string, opts: { json?: boolean; data?: boolean }) => {
+      const code = runEventsShowCommand({
+        ...io,
+        ref: eventRef,
         json: opts.json === true,
-        ...(limit !== undefined ? { limit } : {}),
         showData: opts.data === true,
       });
       exit(code);
     });
 
-  defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'show'))
-    .action((eventRef: string, opts: { json?: boolean; data?: boolean }) => {
-      const code = runEventsShowCommand({
-        ref: eventRef,
+  defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'export'))
+    .action(
+      (opts: {
+        format: string;
+        since?: string;
+        output?: string;
+        cursor?: string;
+        source?: string;
+        data?: boolean;
+      }) => {
+        let since: number | undefined;
+        try {
+          since = parseOptionalNonNegativeInteger(opts.since);
+        } catch (e) {
+          usageErr(`caws events export: invalid --since: ${(e as Error).message}`);
+          exit(1);
+          return;
+        }
+        const code = runEventsExportCommand({
+          ...io,
+          format: opts.format,
+          ...(since !== undefined ? { since } : {}),
+          ...(opts.output !== undefined ? { output: opts.output } : {}),
+          ...(opts.cursor !== undefined ? { cursor: opts.cursor } : {}),
+          ...(opts.source !== undefined ? { source: opts.source } : {}),
+          showData: opts.data === true,
+        });
+        exit(code);
+      }
+    );
+
+  defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'verify'))
+    .action((opts: { allArchives?: boolean; json?: boolean; data?: boolean }) => {
+      const code = runEventsVerifyCommand({
+        ...io,
+        ...(opts.allArchives === true ? { allArchives: true } : {}),
         json: opts.json === true,
         showData: opts.data === true,
       });
       exit(code);
     });
 
+  defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'keygen'))
+    .action(
+      (opts: { keyId: string; trust?: boolean; actorId?: string; json?: boolean; data?: boolean }) => {
+        const code = runEventsKeygenCommand({
+          ...io,
+          keyId: opts.keyId,
+          ...(opts.trust === true ? { trust: true } : {}),
+          ...(opts.actorId !== undefined ? { actorId: opts.actorId } : {}),
+          json: opts.json === true,
+          showData: opts.data === true,
+        });
+        exit(code);
+      }
+    );
+
   defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'migrate'))
     .action(
       (opts: {
@@ -773,13 +912,14 @@ export function registerShellCommands(
         allowPartialUpgrade?: boolean;
       }) => {
         if (opts.from !== 'v10') {
-          process.stderr.write(
-            `caws events migrate: only --from v10 is supported in v11.2; got ${JSON.stringify(opts.from)}.\n`
+          usageErr(
+            `caws events migrate: only --from v10 is supported in v11.2; got ${JSON.stringify(opts.from)}.`
           );
           exit(1);
           return;
         }
         const code = runEventsMigrateCommand({
+          ...io,
           from: 'v10',
           ...(opts.apply === true ? { apply: true } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
@@ -796,7 +936,8 @@ export function registerShellCommands(
   defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'rotate'))
     .action(
       (opts: {
-        reason: string;
+        reason?: string;
+        auto?: boolean;
         dryRun?: boolean;
         json?: boolean;
         actorKind?: string;
@@ -804,7 +945,9 @@ export function registerShellCommands(
         allowClean?: boolean;
       }) => {
         const code = runEventsRotateCommand({
-          reason: opts.reason,
+          ...io,
+          reason: opts.reason ?? '',
+          ...(opts.auto === true ? { auto: true } : {}),
           ...(opts.actorKind !== undefined
             ? { actorKind: opts.actorKind as 'agent' | 'human' | 'system' | 'automation' }
             : {}),
@@ -819,7 +962,7 @@ export function registerShellCommands(
 
   defineLeaf(eventsCmd, leafMeta(EVENTS_COMMAND_META, 'verify-archive'))
     .action(() => {
-      const code = runEventsVerifyArchiveCommand({});
+      const code = runEventsVerifyArchiveCommand({ ...io });
       exit(code);
     });
 
@@ -844,12 +987,14 @@ export function registerShellCommands(
           approvedBy: string;
           expiresAt: string;
           spec?: string;
+          path?: string[];
           dryRun?: boolean;
           json?: boolean;
           data?: boolean;
         }
       ) => {
         const code = runWaiverCreateCommand({
+          ...io,
           id,
           title: opts.title,
           gates: opts.gate,
@@ -857,6 +1002,7 @@ export function registerShellCommands(
           approvedBy: opts.approvedBy,
           expiresAt: opts.expiresAt,
           ...(opts.spec !== undefined ? { specId: opts.spec } : {}),
+          ...(opts.path !== undefined ? { paths: opts.path } : {}),
           dryRun: opts.dryRun === true,
           json: opts.json === true,
           showData: opts.data === true,
@@ -873,6 +1019,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runWaiverListCommand({
+          ...io,
           includeRevoked: opts.includeRevoked === true,
           includeExpired: opts.includeExpired === true,
           showData: opts.data === true,
@@ -884,6 +1031,7 @@ export function registerShellCommands(
   defineLeaf(waiverCmd, leafMeta(WAIVER_COMMAND_META, 'show'))
     .action((id: string, opts: { data?: boolean }) => {
       const code = runWaiverShowCommand({
+        ...io,
         id,
         showData: opts.data === true,
       });
@@ -897,6 +1045,7 @@ export function registerShellCommands(
         opts: { revokedBy?: string; reason?: string; data?: boolean }
       ) => {
         const code = runWaiverRevokeCommand({
+          ...io,
           id,
           ...(opts.revokedBy !== undefined ? { revokedBy: opts.revokedBy } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
@@ -917,6 +1066,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runWaiverPruneCommand({
+          ...io,
           status: opts.status as 'expired',
           apply: opts.apply === true,
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
@@ -957,6 +1107,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runReprieveGrantCommand({
+          ...io,
           handlers: opts.handlers,
           reason: opts.reason,
           approvedBy: opts.approvedBy,
@@ -986,6 +1137,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runReprieveShowCommand({
+          ...io,
           current: opts.current !== false,
           ...(opts.session !== undefined ? { session: opts.session } : {}),
           ...(opts.surface !== undefined ? { surface: opts.surface } : {}),
@@ -1007,6 +1159,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runReprieveRevokeCommand({
+          ...io,
           reason: opts.reason,
           current: opts.current !== false,
           ...(opts.session !== undefined ? { session: opts.session } : {}),
@@ -1021,6 +1174,7 @@ export function registerShellCommands(
   defineLeaf(reprieveCmd, leafMeta(REPRIEVE_COMMAND_META, 'list'))
     .action((opts: { surface?: string; json?: boolean; data?: boolean }) => {
       const code = runReprieveListCommand({
+        ...io,
         ...(opts.surface !== undefined ? { surface: opts.surface } : {}),
         json: opts.json === true,
         showData: opts.data === true,
@@ -1046,6 +1200,7 @@ export function registerShellCommands(
       return;
     }
     const code = runSpecsListCommand({
+      ...io,
       status: opts.status,
       showData: opts.data === true,
     });
@@ -1079,6 +1234,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsCreateCommand({
+          ...io,
           ...(id !== undefined ? { id } : {}),
           ...(opts.id !== undefined ? { idOption: opts.id } : {}),
           ...(opts.title !== undefined ? { title: opts.title } : {}),
@@ -1137,6 +1293,7 @@ export function registerShellCommands(
             ? parentStatus
             : undefined;
       const code = runSpecsListCommand({
+        ...io,
         ...(status !== undefined ? { status } : {}),
         ...(opts.lifecycle !== undefined ? { lifecycle: opts.lifecycle } : {}),
         ...(opts.state !== undefined ? { state: opts.state } : {}),
@@ -1152,6 +1309,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'show'))
     .action((id: string, opts: { data?: boolean; archived?: boolean }) => {
       const code = runSpecsShowCommand({
+        ...io,
         id,
         showData: opts.data === true,
         ...(opts.archived === true ? { archived: true } : {}),
@@ -1162,6 +1320,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'recover'))
     .action((id: string, opts: { data?: boolean; out?: string }) => {
       const code = runSpecsRecoverCommand({
+        ...io,
         id,
         showData: opts.data === true,
         ...(typeof opts.out === 'string' && opts.out.length > 0 ? { outPath: opts.out } : {}),
@@ -1172,6 +1331,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'restore'))
     .action((id: string, opts: { as?: string; apply?: boolean; json?: boolean; data?: boolean }) => {
       const code = runSpecsRestoreCommand({
+        ...io,
         id,
         ...(opts.as !== undefined ? { targetState: opts.as } : {}),
         ...(opts.apply === true ? { apply: true } : {}),
@@ -1184,6 +1344,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'retire-draft'))
     .action((id: string, opts: { reason?: string; data?: boolean }) => {
       const code = runSpecsRetireDraftCommand({
+        ...io,
         id,
         ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
         showData: opts.data === true,
@@ -1205,6 +1366,7 @@ export function registerShellCommands(
       const include = parseCommaSeparatedList(opts.include);
       const exclude = parseCommaSeparatedList(opts.exclude);
       const code = runSpecsPruneDraftsCommand({
+        ...io,
         ...(opts.olderThanMs !== undefined ? { olderThanMs: opts.olderThanMs } : {}),
         ...(include !== undefined ? { include } : {}),
         ...(exclude !== undefined ? { exclude } : {}),
@@ -1220,6 +1382,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'activate'))
     .action((id: string, opts: { data?: boolean }) => {
       const code = runSpecsActivateCommand({
+        ...io,
         id,
         showData: opts.data === true,
       });
@@ -1242,6 +1405,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsAmendScopeCommand({
+          ...io,
           id,
           ...(opts.add !== undefined ? { addIn: opts.add } : {}),
           ...(opts.remove !== undefined ? { removeIn: opts.remove } : {}),
@@ -1272,6 +1436,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsCloseCommand({
+          ...io,
           id,
           resolution: opts.resolution,
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
@@ -1319,6 +1484,7 @@ export function registerShellCommands(
         // deliberately not commander-required — see command-metadata.ts).
         const globals = command.optsWithGlobals() as { status?: string; data?: boolean };
         const code = runSpecsEvidenceCommand({
+          ...io,
           id,
           ac: opts.ac,
           status: globals.status as 'pass' | 'fail' | 'unchecked' | 'waived',
@@ -1335,6 +1501,26 @@ export function registerShellCommands(
       }
     );
 
+  defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'verify'))
+    .action(
+      (
+        id: string,
+        opts: { criterion?: string[]; timeoutMs?: string; json?: boolean },
+        command: Command
+      ) => {
+        const globals = command.optsWithGlobals() as { data?: boolean };
+        const code = runSpecsVerifyCommand({
+          ...io,
+          id,
+          ...(opts.criterion !== undefined ? { criteria: opts.criterion } : {}),
+          ...(opts.timeoutMs !== undefined ? { timeoutMs: opts.timeoutMs } : {}),
+          json: opts.json === true,
+          showData: globals.data === true,
+        });
+        exit(code);
+      }
+    );
+
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'reopen'))
     .action(
       (
@@ -1345,6 +1531,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsReopenCommand({
+          ...io,
           id,
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
           showData: opts.data === true,
@@ -1366,6 +1553,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsAmendCommand({
+          ...io,
           id,
           ...(opts.addModule !== undefined ? { addModule: opts.addModule } : {}),
           ...(opts.removeModule !== undefined ? { removeModule: opts.removeModule } : {}),
@@ -1387,6 +1575,7 @@ export function registerShellCommands(
         }
       ) => {
         const code = runSpecsDeactivateCommand({
+          ...io,
           id,
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
           showData: opts.data === true,
@@ -1434,6 +1623,7 @@ export function registerShellCommands(
         ).status;
         const status = effectiveStatus === 'closed' ? 'closed' : undefined;
         const code = runSpecsArchiveCommand({
+          ...io,
           ...(id !== undefined ? { id } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
           ...(status !== undefined ? { status } : {}),
@@ -1454,6 +1644,7 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'prune-archive'))
     .action((opts: { apply?: boolean; data?: boolean }) => {
       const code = runSpecsPruneArchiveCommand({
+        ...io,
         ...(opts.apply === true ? { apply: true } : {}),
         showData: opts.data === true,
       });
@@ -1471,6 +1662,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runSpecsMigrateCommand({
+          ...io,
           from: opts.from,
           apply: opts.apply === true,
           partial: opts.partial === true,
@@ -1487,12 +1679,23 @@ export function registerShellCommands(
   defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'validate'))
     .action((file: string, opts: { data?: boolean }) => {
       const code = runSpecsValidateCommand({
+        ...io,
         file,
         showData: opts.data === true,
       });
       exit(code);
     });
 
+  defineLeaf(specsCmd, leafMeta(SPECS_COMMAND_META, 'graph'))
+    .action((opts: { format?: string; data?: boolean }) => {
+      const code = runSpecsGraphCommand({
+        ...io,
+        ...(opts.format !== undefined ? { format: opts.format } : {}),
+        showData: opts.data === true,
+      });
+      exit(code);
+    });
+
   // -------------------------------------------------------------------
   // caws worktree (CLI-WORKTREE-001)
   //
@@ -1512,14 +1715,17 @@ export function registerShellCommands(
           spec: string;
           baseBranch?: string;
           branch?: string;
+          on?: string;
           data?: boolean;
         }
       ) => {
         const code = runWorktreeCreateCommand({
+          ...io,
           name,
           specId: opts.spec,
           ...(opts.baseBranch !== undefined ? { baseBranch: opts.baseBranch } : {}),
           ...(opts.branch !== undefined ? { branch: opts.branch } : {}),
+          ...(opts.on !== undefined ? { parent: opts.on } : {}),
           showData: opts.data === true,
         });
         exit(code);
@@ -1528,7 +1734,7 @@ export function registerShellCommands(
 
   defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'list'))
     .action((opts: { data?: boolean }) => {
-      const code = runWorktreeListCommand({ showData: opts.data === true });
+      const code = runWorktreeListCommand({ ...io, showData: opts.data === true });
       exit(code);
     });
 
@@ -1539,6 +1745,7 @@ export function registerShellCommands(
         opts: { spec: string; steal?: boolean; reason?: string; data?: boolean }
       ) => {
         const code = runWorktreeBindCommand({
+          ...io,
           name,
           specId: opts.spec,
           ...(opts.steal === true ? { steal: true } : {}),
@@ -1553,6 +1760,7 @@ export function registerShellCommands(
     .action(
       (name: string, opts: { abandonUnmerged?: boolean; force?: boolean; data?: boolean }) => {
         const code = runWorktreeDestroyCommand({
+          ...io,
           name,
           ...(opts.abandonUnmerged === true ? { abandonUnmerged: true } : {}),
           ...(opts.force === true ? { force: true } : {}),
@@ -1569,6 +1777,7 @@ export function registerShellCommands(
         opts: { reason: string; apply?: boolean; json?: boolean; data?: boolean }
       ) => {
         const code = runWorktreeUntrackCommand({
+          ...io,
           name,
           reason: opts.reason,
           apply: opts.apply === true,
@@ -1586,6 +1795,7 @@ export function registerShellCommands(
         opts: {
           dryRun?: boolean;
           apply?: boolean;
+          strategy?: string;
           message?: string;
           closureNotes?: string;
           reason?: string;
@@ -1603,9 +1813,11 @@ export function registerShellCommands(
         }
       ) => {
         const code = runWorktreeMergeCommand({
+          ...io,
           name,
           ...(opts.dryRun === true ? { dryRun: true } : {}),
           ...(opts.apply === true ? { apply: true } : {}),
+          ...(opts.strategy !== undefined ? { strategy: opts.strategy } : {}),
           ...(opts.message !== undefined ? { message: opts.message } : {}),
           ...(opts.closureNotes !== undefined ? { closureNotes: opts.closureNotes } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason } : {}),
@@ -1618,9 +1830,43 @@ export function registerShellCommands(
       }
     );
 
+  defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'sync'))
+    .action((name: string, opts: { strategy?: string; dryRun?: boolean; data?: boolean }) => {
+      const code = runWorktreeSyncCommand({
+        ...io,
+        name,
+        ...(opts.strategy !== undefined ? { strategy: opts.strategy } : {}),
+        ...(opts.dryRun === true ? { dryRun: true } : {}),
+        showData: opts.data === true,
+      });
+      exit(code);
+    });
+
+  defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'queue'))
+    .action((action: string, name: string | undefined, opts: { data?: boolean }) => {
+      const code = runWorktreeQueueCommand({
+        ...io,
+        action,
+        ...(name !== undefined ? { name } : {}),
+        showData: opts.data === true,
+      });
+      exit(code);
+    });
+
+  defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'conflicts'))
+    .action((opts: { name?: string; data?: boolean }) => {
+      const code = runWorktreeConflictsCommand({
+        ...io,
+        ...(opts.name !== undefined ? { name: opts.name } : {}),
+        showData: opts.data === true,
+      });
+      exit(code);
+    });
+
   defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'migrate-registry'))
     .action((opts: { dryRun?: boolean; data?: boolean }) => {
       const code = runWorktreeMigrateRegistryCommand({
+        ...io,
         ...(opts.dryRun === true ? { dryRun: true } : {}),
         showData: opts.data === true,
       });
@@ -1630,6 +1876,7 @@ export function registerShellCommands(
   defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'repair-sparse'))
     .action((name: string, opts: { data?: boolean }) => {
       const code = runWorktreeRepairSparseCommand({
+        ...io,
         name,
         showData: opts.data === true,
       });
@@ -1639,6 +1886,7 @@ export function registerShellCommands(
   defineLeaf(worktreeCmd, leafMeta(WORKTREE_COMMAND_META, 'repair'))
     .action((opts: { dryRun?: boolean; data?: boolean }) => {
       const code = runWorktreeRepairCommand({
+        ...io,
         ...(opts.dryRun === true ? { dryRun: true } : {}),
         showData: opts.data === true,
       });
@@ -1657,13 +1905,14 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         if (opts.state !== undefined && opts.status !== undefined) {
-          console.error('caws worktree prune: use either --state or --status, not both.');
+          usageErr('caws worktree prune: use either --state or --status, not both.');
           exit(1);
         }
         const state = parseCommaSeparatedList(opts.state ?? opts.status);
         const include = parseCommaSeparatedList(opts.include);
         const exclude = parseCommaSeparatedList(opts.exclude);
         const code = runWorktreePruneCommand({
+          ...io,
           ...(state !== undefined ? { state } : {}),
           ...(include !== undefined ? { include } : {}),
           ...(exclude !== undefined ? { exclude } : {}),
@@ -1687,13 +1936,14 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         if (opts.state !== undefined && opts.status !== undefined) {
-          console.error('caws worktree cleanup-plan: use either --state or --status, not both.');
+          usageErr('caws worktree cleanup-plan: use either --state or --status, not both.');
           exit(1);
         }
         const state = parseCommaSeparatedList(opts.state ?? opts.status);
         const include = parseCommaSeparatedList(opts.include);
         const exclude = parseCommaSeparatedList(opts.exclude);
         const code = runWorktreePhysicalCleanupPlanCommand({
+          ...io,
           ...(state !== undefined ? { state } : {}),
           ...(include !== undefined ? { include } : {}),
           ...(exclude !== undefined ? { exclude } : {}),
@@ -1720,6 +1970,7 @@ export function registerShellCommands(
         data?: boolean;
       }) => {
         const code = runAgentsRegisterCommand({
+          ...io,
           ...(opts.sessionId !== undefined ? { sessionId: opts.sessionId } : {}),
           ...(opts.platform !== undefined ? { platform: opts.platform } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason as LeaseReason } : {}),
@@ -1744,6 +1995,7 @@ export function registerShellCommands(
       }) => {
         const throttleMs = opts.throttle !== undefined ? Number(opts.throttle) : 0;
         const code = runAgentsHeartbeatCommand({
+          ...io,
           ...(opts.sessionId !== undefined ? { sessionId: opts.sessionId } : {}),
           ...(opts.platform !== undefined ? { platform: opts.platform } : {}),
           ...(opts.reason !== undefined ? { reason: opts.reason as LeaseReason } : {}),
@@ -1759,6 +2011,7 @@ export function registerShellCommands(
   defineLeaf(agentsCmd, leafMeta(AGENTS_COMMAND_META, 'stop'))
     .action((opts: { sessionId?: string; platform?: string; json?: boolean; data?: boolean }) => {
       const code = runAgentsStopCommand({
+        ...io,
         ...(opts.sessionId !== undefined ? { sessionId: opts.sessionId } : {}),
         ...(opts.platform !== undefined ? { platform: opts.platform } : {}),
         json: opts.json === true,
@@ -1779,6 +2032,7 @@ export function registerShellCommands(
       }) => {
         const ttl = opts.staleTtlMs !== undefined ? Number(opts.staleTtlMs) : undefined;
         const code = runAgentsListCommand({
+          ...io,
           includeStale: opts.includeStale === true,
           includeStopped: opts.includeStopped === true,
           activeOnly: opts.active === true,
@@ -1793,6 +2047,7 @@ export function registerShellCommands(
   defineLeaf(agentsCmd, leafMeta(AGENTS_COMMAND_META, 'show'))
     .action((id: string, opts: { json?: boolean; data?: boolean }) => {
       const code = runAgentsShowCommand({
+        ...io,
         id,
         json: opts.json === true,
         showData: opts.data === true,
@@ -1814,13 +2069,14 @@ export function registerShellCommands(
         // PID-liveness mode: --dead is mutually exclusive with --status.
         if (opts.dead === true) {
           if (opts.status !== undefined || opts.olderThanMs !== undefined) {
-            process.stderr.write(
-              'caws agents prune: --dead cannot be combined with --status / --older-than-ms.\n'
+            usageErr(
+              'caws agents prune: --dead cannot be combined with --status / --older-than-ms.'
             );
             exit(1);
             return;
           }
           const code = runAgentsPruneCommand({
+            ...io,
             dead: true,
             apply: opts.apply === true,
             json: opts.json === true,
@@ -1844,14 +2100,15 @@ export function registerShellCommands(
         const status = isRetentionStatus(opts.status) ? opts.status : null;
         const olderThanMs = Number(opts.olderThanMs);
         if (status === null || !Number.isFinite(olderThanMs)) {
-          process.stderr.write(
-            `caws agents prune: pass --dead, or --status <${RETENTION_STATUSES.join('|')}> with a numeric --older-than-ms.\n`
+          usageErr(
+            `caws agents prune: pass --dead, or --status <${RETENTION_STATUSES.join('|')}> with a numeric --older-than-ms.`
           );
           exit(1);
           return;
         }
         const staleTtl = opts.staleTtlMs !== undefined ? Number(opts.staleTtlMs) : undefined;
         const code = runAgentsPruneCommand({
+          ...io,
           status,
           olderThanMs,
           ...(staleTtl !== undefined && Number.isFinite(staleTtl) ? { staleTtlMs: staleTtl } : {}),
@@ -1875,19 +2132,32 @@ export function registerShellCommands(
   applyGroupMeta(messageCmd, MESSAGE_COMMAND_META);
 
   defineLeaf(messageCmd, leafMeta(MESSAGE_COMMAND_META, 'send'))
-    .action((opts: { to?: string; text?: string; allowDead?: boolean; data?: boolean }) => {
-      const code = runMessageSendCommand({
-        to: opts.to ?? '',
-        text: opts.text ?? '',
-        ...(opts.allowDead === true ? { allowDead: true } : {}),
-        showData: opts.data === true,
-      });
-      exit(code);
-    });
+    .action(
+      (opts: {
+        to?: string;
+        text?: string;
+        kind?: string;
+        body?: string;
+        allowDead?: boolean;
+        data?: boolean;
+      }) => {
+        const code = runMessageSendCommand({
+          ...io,
+          to: opts.to ?? '',
+          text: opts.text ?? '',
+          ...(opts.kind !== undefined ? { kind: opts.kind } : {}),
+          ...(opts.body !== undefined ? { body: opts.body } : {}),
+          ...(opts.allowDead === true ? { allowDead: true } : {}),
+          showData: opts.data === true,
+        });
+        exit(code);
+      }
+    );
 
   defineLeaf(messageCmd, leafMeta(MESSAGE_COMMAND_META, 'reply'))
     .action((opts: { id?: string; text?: string; allowDead?: boolean; data?: boolean }) => {
       const code = runMessageReplyCommand({
+        ...io,
         id: opts.id ?? '',
         text: opts.text ?? '',
         ...(opts.allowDead === true ? { allowDead: true } : {}),
@@ -1900,6 +2170,7 @@ export function registerShellCommands(
     .action((opts: { me?: string; wait?: string; peek?: boolean; json?: boolean; data?: boolean }) => {
       const waitMs = opts.wait !== undefined ? Number(opts.wait) : undefined;
       const code = runMessagePollCommand({
+        ...io,
         ...(opts.me !== undefined ? { me: opts.me } : {}),
         ...(waitMs !== undefined && Number.isFinite(waitMs) ? { waitMs } : {}),
         ...(opts.peek === true ? { peek: true } : {}),
@@ -1913,6 +2184,7 @@ export function registerShellCommands(
     .action((opts: { me?: string; limit?: string; json?: boolean; data?: boolean }) => {
       const limit = opts.limit !== undefined ? Number(opts.limit) : undefined;
       const code = runMessageInboxCommand({
+        ...io,
         ...(opts.me !== undefined ? { me: opts.me } : {}),
         ...(limit !== undefined && Number.isFinite(limit) ? { limit } : {}),
         json: opts.json === true,
@@ -1925,6 +2197,7 @@ export function registerShellCommands(
     .action((opts: { me?: string; with?: string; limit?: string; json?: boolean; data?: boolean }) => {
       const limit = opts.limit !== undefined ? Number(opts.limit) : undefined;
       const code = runMessageHistoryCommand({
+        ...io,
         ...(opts.me !== undefined ? { me: opts.me } : {}),
         with: opts.with ?? '',
         ...(limit !== undefined && Number.isFinite(limit) ? { limit } : {}),
@@ -1937,6 +2210,7 @@ export function registerShellCommands(
   defineLeaf(messageCmd, leafMeta(MESSAGE_COMMAND_META, 'status'))
     .action((opts: { id?: string; json?: boolean; data?: boolean }) => {
       const code = runMessageStatusCommand({
+        ...io,
         id: opts.id ?? '',
         json: opts.json === true,
         showData: opts.data === true,
@@ -1958,6 +2232,7 @@ export function registerShellCommands(
       const include = parseCommaSeparatedList(opts.include);
       const exclude = parseCommaSeparatedList(opts.exclude);
       const code = runMessagePruneCommand({
+        ...io,
         status: opts.status ?? '',
         ...(olderThanMs !== undefined ? { olderThanMs } : {}),
         ...(include !== undefined ? { include } : {}),
@@ -1968,4 +2243,36 @@ export function registerShellCommands(
       });
       exit(code);
     });
+
+  for (const name of ['subscribe', 'unsubscribe'] as const) {
+    defineLeaf(messageCmd, leafMeta(MESSAGE_COMMAND_META, name))
+      .action((opts: { me?: string; topic?: string; json?: boolean; data?: boolean }) => {
+        const code = runMessageSubscribeCommand({
+          ...io,
+          ...(opts.me !== undefined ? { me: opts.me } : {}),
+          topic: opts.topic ?? '',
+          ...(name === 'unsubscribe' ? { unsubscribe: true } : {}),
+          json: opts.json === true,
+          showData: opts.data === true,
+        });
+        exit(code);
+      });
+  }
+
+  // -------------------------------------------------------------------
+  // caws mcp (CAWS-MCP-SERVER-001)
+  //
+  // Stdio MCP server. Its tools are generated from COMMAND_SURFACE_METADATA
+  // and each call is parsed through a fresh registration of THIS function
+  // with captured I/O, so the server reuses every handler above verbatim.
+  // -------------------------------------------------------------------
+  defineFlat(program, MCP_COMMAND_META)
+    .action(async () => {
+      const code = await runMcpCommand({
+        ...io,
+        registerCommands: registerShellCommands,
+        serverVersion: program.version() ?? '0.0.0',
+      });
+      exit(code);
+    });
 }
@@ -0,0 +1,363 @@
+// Machine-readable formatters for `caws gates run --format json|sarif|junit`.
+//
+// Same inputs as the text renderer in ./gates.ts, plus the individual
+// waived violations, so CI can annotate pull requests straight from the
+// run that produced the gate evidence. All three are pure: the command
+// decides what was evaluated; these only choose a serialization.
+//
+//   json   CAWS-shaped document: one entry per disposition with its
+//          violations and the waived violations that never reached it
+//   sarif  SARIF 2.1.0, one result per violation. Rule ids are
+//          `<gate_id>/<type>`. Waived violations carry an accepted external
+//          suppression naming their waivers, so code-scanning UIs show them
+//          as dismissed rather than dropping them.
+//   junit  One testcase per disposition. Only a blocking failure is a
+//          <failure>; warn-mode findings and waived violations are listed
+//          in <system-out>, and skipped gates are <skipped/>, so a test
+//          reporter's red/green matches the run's exit code.
+//
+// All three follow gatesRunOverall: lost evidence (exit 3) is an
+// unsuccessful SARIF invocation and a JUnit <error>, never ok.
+
+import type { DispositionResult, GateDisposition } from '../gates/disposition';
+import type { GatesViolation, GatesWarning } from '../gates/gate-result-contract';
+import type { DiffRange } from '../gates/local-evaluators';
+import type { WaivedViolation } from '../gates/waiver-filter';
+
+export const GATES_OUTPUT_FORMATS = ['text', 'json', 'sarif', 'junit'] as const;
+export type GatesOutputFormat = (typeof GATES_OUTPUT_FORMATS)[number];
+
+export function isGatesOutputFormat(value: string): value is GatesOutputFormat {
+  return (GATES_OUTPUT_FORMATS as readonly string[]).includes(value);
+}
+
+export interface GatesRunReportInput {
+  readonly specId: string;
+  /** ISO-8601 time of the run. */
+  readonly generatedAt: string;
+  readonly result: DispositionResult;
+  readonly warnings: readonly GatesWarning[];
+  readonly waived: readonly WaivedViolation[];
+  readonly diffRange?: DiffRange;
+  /** Gates and waivers whose gate_evaluated / waiver_applied append failed. */
+  readonly evidenceLost?: readonly string[];
+}
+
+export type GatesRunOverall = 'ok' | 'blocked' | 'evidence_lost';
+
+/**
+ * The run's verdict, in the exit code's priority order: lost evidence
+ * (exit 3) beats a blocking gate (exit 1), which beats ok (exit 0).
+ */
+export function gatesRunOverall(
+  result: DispositionResult,
+  evidenceLost: readonly string[] = []
+): GatesRunOverall {
+  if (evidenceLost.length > 0) return 'evidence_lost';
+  return result.anyBlocks ? 'blocked' : 'ok';
+}
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://caws.paths.design';
+
+interface ViolationJson {
+  readonly type: string | null;
+  readonly message: string | null;
+  readonly file: string | null;
+  readonly line: number | null;
+  readonly rule: string | null;
+}
+
+function violationJson(v: GatesViolation): ViolationJson {
+  return {
+    type: v.type ?? null,
+    message: v.message ?? null,
+    file: v.file ?? null,
+    line: v.line ?? null,
+    rule: v.rule ?? null,
+  };
+}
+
+function diffRangeJson(r: DiffRange | undefined): Record<string, string> | null {
+  if (r === undefined) return null;
+  return { base_ref: r.baseRef, head_ref: r.headRef, base: r.base, head: r.head };
+}
+
+function evidenceLostMessage(lost: readonly string[]): string {
+  return `evidence was not recorded for ${lost.join(', ')}; the run exits 3`;
+}
+
+function waivedFor(gateId: string, waived: readonly WaivedViolation[]): WaivedViolation[] {
+  return waived.filter((w) => w.violation.gate === gateId);
+}
+
+export function renderGatesRunJson(input: GatesRunReportInput): string {
+  const gates = input.result.dispositions.map((d) => ({
+    gate_id: d.gate_id,
+    mode: d.mode,
+    outcome: d.outcome,
+    blocks: d.blocks,
+    violations: d.violations.map(violationJson),
+    waived: waivedFor(d.gate_id, input.waived).map((w) => ({
+      ...violationJson(w.violation),
+      waiver_ids: w.waiver_ids,
+    })),
+  }));
+  const overall = gatesRunOverall(input.result, input.evidenceLost);
+  return JSON.stringify(
+    {
+      ok: overall === 'ok',
+      spec_id: input.specId,
+      generated_at: input.generatedAt,
+      overall,
+      evidence_lost: input.evidenceLost ?? [],
+      diff_range: diffRangeJson(input.diffRange),
+      gates,
+      unmatched_violations: input.result.unmatchedViolations.map((v) => ({
+        gate: v.gate,
+        ...violationJson(v),
+      })),
+      warnings: input.warnings.map((w) => ({
+        gate: w.gate ?? null,
+        type: w.type ?? null,
+        message: w.message ?? null,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// ---------------------------------------------------------------------------
+// SARIF
+// ---------------------------------------------------------------------------
+
+type SarifLevel = 'error' | 'warning' | 'note';
+
+/** A blocking gate's findings are errors, a warn gate's are warnings. */
+function sarifLevel(d: GateDisposition | undefined): SarifLevel {
+  if (d === undefined || d.mode === 'skip' || d.outcome === 'skipped') return 'note';
+  return d.mode === 'block' ? 'error' : 'warning';
+}
+
+function sarifRuleId(v: GatesViolation): string {
+  return `${v.gate}/${v.type ?? 'violation'}`;
+}
+
+function sarifLocations(v: GatesViolation): unknown[] | undefined {
+  if (v.file === undefined || v.file.length === 0) return undefined;
+  return [
+    {
+      physicalLocation: {
+        artifactLocation: { uri: v.file, uriBaseId: '%SRCROOT%' },
+        ...(typeof v.line === 'number' && v.line >= 1 ? { region: { startLine: v.line } } : {}),
+      },
+    },
+  ];
+}
+
+export function renderGatesRunSarif(input: GatesRunReportInput): string {
+  const byGate = new Map(input.result.dispositions.map((d) => [d.gate_id, d] as const));
+  const rules: Array<{ id: string; gate: string; type: string | undefined }> = [];
+  const ruleIndex = new Map<string, number>();
+  function indexOf(v: GatesViolation): number {
+    const id = sarifRuleId(v);
+    let idx = ruleIndex.get(id);
+    if (idx === undefined) {
+      idx = rules.length;
+      rules.push({ id, gate: v.gate, type: v.type });
+      ruleIndex.set(id, idx);
+    }
+    return idx;
+  }
+
+  const results: unknown[] = [];
+  function push(
+    v: GatesViolation,
+    level: SarifLevel,
+    properties: Record<string, unknown>,
+    waiverIds?: readonly string[]
+  ): void {
+    const locations = sarifLocations(v);
+    results.push({
+      ruleId: sarifRuleId(v),
+      ruleIndex: indexOf(v),
+      level,
+      message: { text: v.message ?? `${v.gate} violation` },
+      ...(locations !== undefined ? { locations } : {}),
+      ...(waiverIds !== undefined
+        ? {
+            suppressions: [
+              {
+                kind: 'external',
+                status: 'accepted',
+                justification: `Waived by ${waiverIds.join(', ')}`,
+              },
+            ],
+          }
+        : {}),
+      properties: { gate_id: v.gate, ...properties },
+    });
+  }
+
+  for (const d of input.result.dispositions) {
+    for (const v of d.violations) {
+      push(v, sarifLevel(d), { mode: d.mode, outcome: d.outcome, blocks: d.blocks });
+    }
+  }
+  for (const w of input.waived) {
+    const d = byGate.get(w.violation.gate);
+    push(
+      w.violation,
+      sarifLevel(d),
+      { mode: d?.mode ?? null, waived: true, waiver_ids: w.waiver_ids },
+      w.waiver_ids
+    );
+  }
+  for (const v of input.result.unmatchedViolations) {
+    push(v, 'note', { unmatched: true });
+  }
+  const overall = gatesRunOverall(input.result, input.evidenceLost);
+  const lost = input.evidenceLost ?? [];
+
+  return JSON.stringify(
+    {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'caws',
+              informationUri: INFORMATION_URI,
+              rules: rules.map((r) => ({
+                id: r.id,
+                name: r.type ?? r.gate,
+                shortDescription: { text: `${r.gate}: ${r.type ?? 'violation'}` },
+                properties: { gate_id: r.gate },
+              })),
+            },
+          },
+          invocations: [
+            {
+              executionSuccessful: overall !== 'evidence_lost',
+              endTimeUtc: input.generatedAt,
+              ...(lost.length > 0
+                ? {
+                    toolExecutionNotifications: [
+                      { level: 'error', message: { text: evidenceLostMessage(lost) } },
+                    ],
+                  }
+                : {}),
+            },
+          ],
+          results,
+          properties: {
+            spec_id: input.specId,
+            overall,
+            evidence_lost: lost,
+            diff_range: diffRangeJson(input.diffRange),
+          },
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+// ---------------------------------------------------------------------------
+// JUnit
+// ---------------------------------------------------------------------------
+
+function xmlEscape(s: string): string {
+  return (
+    s
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // XML 1.0 forbids most control characters outright.
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  );
+}
+
+function violationLine(v: GatesViolation): string {
+  const where =
+    v.file !== undefined
+      ? typeof v.line === 'number'
+        ? `${v.file}:${v.line} `
+        : `${v.file} `
+      : '';
+  return `${where}[${v.type ?? 'violation'}] ${v.message ?? ''}`.trimEnd();
+}
+
+export function renderGatesRunJunit(input: GatesRunReportInput): string {
+  const ds = input.result.dispositions;
+  const lost = input.evidenceLost ?? [];
+  // Lost evidence is one extra testcase, in error: the run exits 3.
+  const errors = lost.length > 0 ? 1 : 0;
+  const tests = ds.length + errors;
+  const failures = ds.filter((d) => d.blocks).length;
+  const skipped = ds.filter((d) => d.outcome === 'skipped').length;
+  const lines: string[] = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(
+    `<testsuites name="caws gates run" tests="${tests}" failures="${failures}" skipped="${skipped}">`
+  );
+  lines.push(
+    `  <testsuite name="caws.gates" tests="${tests}" failures="${failures}" ` +
+      `skipped="${skipped}" errors="${errors}" timestamp="${xmlEscape(input.generatedAt)}">`
+  );
+  lines.push('    <properties>');
+  lines.push(`      <property name="spec_id" value="${xmlEscape(input.specId)}"/>`);
+  if (input.diffRange !== undefined) {
+    lines.push(`      <property name="diff_base" value="${input.diffRange.base}"/>`);
+    lines.push(`      <property name="diff_head" value="${input.diffRange.head}"/>`);
+  }
+  lines.push('    </properties>');
+
+  for (const d of ds) {
+    const waived = waivedFor(d.gate_id, input.waived);
+    lines.push(`    <testcase classname="caws.gates" name="${xmlEscape(d.gate_id)}">`);
+    if (d.outcome === 'skipped') {
+      lines.push(`      <skipped message="${xmlEscape(`mode=${d.mode}`)}"/>`);
+    } else if (d.blocks) {
+      lines.push(
+        `      <failure type="${xmlEscape(d.gate_id)}" ` +
+          `message="${xmlEscape(`${d.violations.length} violation(s), mode=${d.mode}`)}">` +
+          xmlEscape(d.violations.map(violationLine).join('\n')) +
+          '</failure>'
+      );
+    }
+    const notes: string[] = [];
+    if (!d.blocks && d.violations.length > 0) {
+      notes.push(`${d.violations.length} advisory violation(s) (mode=${d.mode}):`);
+      for (const v of d.violations) notes.push(`  ${violationLine(v)}`);
+    }
+    if (waived.length > 0) {
+      notes.push(`${waived.length} waived violation(s):`);
+      for (const w of waived) {
+        notes.push(`  ${violationLine(w.violation)} (waived by ${w.waiver_ids.join(', ')})`);
+      }
+    }
+    if (notes.length > 0) {
+      lines.push(`      <system-out>${xmlEscape(notes.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+  if (lost.length > 0) {
+    lines.push('    <testcase classname="caws.gates" name="evidence">');
+    lines.push(
+      `      <error type="evidence_lost" message="${xmlEscape(evidenceLostMessage(lost))}">` +
+        xmlEscape(lost.join('\n')) +
+        '</error>'
+    );
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
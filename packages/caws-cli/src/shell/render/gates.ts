@@ -6,6 +6,8 @@
 // stream); each disposition carries enough text for an agent to triage.
 
 import type { DispositionResult } from '../gates/disposition';
+import type { GatesWarning } from '../gates/gate-result-contract';
+import type { WaiverEvidence } from '../gates/waiver-filter';
 
 function outcomeLabel(o: 'pass' | 'fail' | 'skipped'): string {
   switch (o) {
@@ -18,7 +20,11 @@ function outcomeLabel(o: 'pass' | 'fail' | 'skipped'): string {
   }
 }
 
-export function renderGatesRun(result: DispositionResult): string {
+export function renderGatesRun(
+  result: DispositionResult,
+  warnings: readonly GatesWarning[] = [],
+  waivedByGate: Readonly<Record<string, WaiverEvidence>> = {}
+): string {
   const lines: string[] = [];
   lines.push('Gate dispositions (policy-derived):');
   if (result.dispositions.length === 0) {
@@ -55,6 +61,34 @@ export function renderGatesRun(result: DispositionResult): string {
     }
   }
 
+  // Waived violations never reach disposition either. Name the waivers and
+  // the files they forgave so a path-scoped waiver's reach is visible on the
+  // run that used it, not only in the event log.
+  const waivedGates = Object.keys(waivedByGate).sort();
+  if (waivedGates.length > 0) {
+    lines.push('');
+    lines.push('Waived (authorized exceptions, not dispositioned):');
+    for (const gate of waivedGates) {
+      const ev = waivedByGate[gate] as WaiverEvidence;
+      lines.push(
+        `  ${gate}: ${ev.waived_count} violation(s) by ${ev.waiver_ids.join(', ')}`
+      );
+      for (const p of ev.waived_paths) {
+        lines.push(`              · ${p}`);
+      }
+    }
+  }
+
+  // Report warnings are advisory by contract: they never reach disposition,
+  // so they are listed after it rather than folded into a gate's count.
+  if (warnings.length > 0) {
+    lines.push('');
+    lines.push(`Warnings (advisory, not dispositioned): ${warnings.length}`);
+    for (const w of warnings) {
+      lines.push(`  ${w.gate ?? 'report'}: ${w.message ?? w.type ?? '(no message)'}`);
+    }
+  }
+
   // A blocked disposition names the bounded exception path with its required
   // flags — an agent that has never read the docs learns the sanctioned
   // off-ramp at the point of block, and learns it is NOT the hook-guard
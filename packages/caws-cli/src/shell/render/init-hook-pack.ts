@@ -6,7 +6,9 @@
 // This renderer never decides outcomes; install/inspect decide.
 
 import {
+  CANONICAL_CURSOR_HOOKS_SNIPPET,
   CANONICAL_QWEN_SETTINGS_SNIPPET,
+  CANONICAL_WINDSURF_HOOKS_SNIPPET,
   CANONICAL_SETTINGS_SNIPPET,
   CANONICAL_ZCODE_CONFIG_SNIPPET,
   kimiUserConfigPath,
@@ -38,7 +40,7 @@ export function renderHookPackInstall(result: HookPackInstallResult): string {
         '  This repo is NOT agent-safe for multi-session work without external governance.'
       );
       lines.push(
-        '  If you intended to enable a hook pack, rerun with --agent-surface claude-code, codex, opencode, zcode, kimi-code, or qwen-code.'
+        '  If you intended to enable a hook pack, rerun with --agent-surface claude-code, codex, opencode, zcode, kimi-code, qwen-code, cursor, or windsurf.'
       );
       return lines.join('\n');
     }
@@ -53,6 +55,8 @@ export function renderHookPackInstall(result: HookPackInstallResult): string {
       lines.push('    caws init --agent-surface zcode');
       lines.push('    caws init --agent-surface kimi-code');
       lines.push('    caws init --agent-surface qwen-code');
+      lines.push('    caws init --agent-surface cursor');
+      lines.push('    caws init --agent-surface windsurf');
       lines.push('    caws init --agent-surface none      # explicit opt-out');
       return lines.join('\n');
     }
@@ -373,6 +377,88 @@ export function renderQwenSettingsWiring(
   return lines.join('\n');
 }
 
+/** Shared body of the cursor / windsurf hooks.json wiring steps: both merge
+ *  flat per-event command entries into a repo-local hooks.json. */
+function renderFlatHooksWiring(
+  dir: string,
+  eventSummary: string,
+  snippet: string,
+  mergeResult: SettingsMergeResult
+): string {
+  const file = `${dir}/hooks.json`;
+  const lines: string[] = [];
+  lines.push(section(`Step: ${file} wiring`));
+
+  switch (mergeResult.kind) {
+    case 'created':
+      lines.push(`  Created ${file} wiring the CAWS shim entrypoints`);
+      lines.push(`  (${eventSummary}).`);
+      break;
+    case 'merged': {
+      const actions: string[] = [];
+      if (mergeResult.added.length > 0) {
+        actions.push(`added: ${mergeResult.added.join(', ')}`);
+      }
+      if (mergeResult.repaired && mergeResult.repaired.length > 0) {
+        actions.push(`upgraded in place: ${mergeResult.repaired.join(', ')}`);
+      }
+      lines.push('  Merged the CAWS shim wiring into your existing');
+      lines.push(
+        `  ${file}${actions.length > 0 ? ` (${actions.join('; ')})` : ''}.`
+      );
+      lines.push('  Your other hooks were preserved unchanged.');
+      break;
+    }
+    case 'unchanged':
+      lines.push(`  OK — ${file} already wires every CAWS shim entrypoint.`);
+      lines.push('  No change.');
+      break;
+    case 'invalid':
+      lines.push(`  ERROR — ${file} could not be parsed: ${mergeResult.error}`);
+      lines.push('  init did NOT modify the file. Repair the JSON, then re-run init or');
+      lines.push('  merge the canonical wiring by hand:');
+      lines.push('');
+      for (const line of snippet.split('\n')) {
+        lines.push(`    ${line}`);
+      }
+      break;
+  }
+  lines.push('');
+  lines.push(`  A ${file}.example with the canonical wiring was also`);
+  lines.push('  written for reference.');
+  lines.push('');
+  lines.push('  The wiring is repo-conditional: outside repos with the CAWS shared');
+  lines.push('  core installed, every entry exits silently.');
+  return lines.join('\n');
+}
+
+/** Render the .cursor/hooks.json wiring step (repo-local in-place merge, no
+ *  consent flag). */
+export function renderCursorHooksWiring(
+  mergeResult: SettingsMergeResult
+): string {
+  return renderFlatHooksWiring(
+    '.cursor',
+    'beforeShellExecution/afterFileEdit/beforeSubmitPrompt/stop',
+    CANONICAL_CURSOR_HOOKS_SNIPPET,
+    mergeResult
+  );
+}
+
+/** Render the .windsurf/hooks.json wiring step (repo-local in-place merge, no
+ *  consent flag). */
+export function renderWindsurfHooksWiring(
+  mergeResult: SettingsMergeResult
+): string {
+  return renderFlatHooksWiring(
+    '.windsurf',
+    'pre_run_command/pre_write_code/post_run_command/post_write_code/' +
+      'pre_user_prompt/post_cascade_response',
+    CANONICAL_WINDSURF_HOOKS_SNIPPET,
+    mergeResult
+  );
+}
+
 /** Render the settings.json wiring step. Reports what the in-place merge
  *  actually did (created / merged / unchanged / invalid), notes that a
  *  settings.json.example was written, and emits the leave-and-warn message
@@ -501,6 +587,8 @@ export function renderActivationContract(
   const isOpencode = result.pack.id === 'opencode';
   const isZcode = result.pack.id === 'zcode';
   const isQwen = result.pack.id === 'qwen-code';
+  const isCursor = result.pack.id === 'cursor';
+  const isWindsurf = result.pack.id === 'windsurf';
 
   switch (result.activation) {
     case 'immediate':
@@ -553,6 +641,26 @@ export function renderActivationContract(
         }
         break;
       }
+      if (isCursor || isWindsurf) {
+        const editor = isCursor ? 'Cursor' : 'Windsurf';
+        const dir = isCursor ? '.cursor' : '.windsurf';
+        if (changed) {
+          lines.push(`  Hook files were installed or updated. Reload the ${editor} window`);
+          lines.push(`  so ${dir}/hooks.json is re-read and the shim begins dispatching`);
+          lines.push('  the shared CAWS hooks.');
+        } else {
+          lines.push(`  The CAWS shim is installed. It is active in any ${editor} window`);
+          lines.push(`  opened AFTER the install; reload the window if it pre-dates the`);
+          lines.push('  install.');
+        }
+        if (isCursor) {
+          lines.push('');
+          lines.push('  Cursor fires no hook before a file edit: shell commands are');
+          lines.push('  enforced, but out-of-scope edits are only detected after they');
+          lines.push('  land (see .cursor/rules/caws-hooks.mdc).');
+        }
+        break;
+      }
       if (!changed && wired) {
         // No-op re-run on a fully-wired install. Positive confirmation.
         lines.push('  Hooks are installed and wired. They are active in any Claude Code');
@@ -0,0 +1,119 @@
+// Renderers for `caws specs graph --format dot|mermaid|json`.
+//
+// Pure: the kernel builds and analyzes the graph (kernel/spec/graph.ts);
+// these only serialize it for planning reviews. Edges are drawn as
+// declared, from the spec carrying the field to the id it names, and
+// labelled with that field. Archived specs are dashed, ids no spec carries
+// are drawn as missing, and edges inside a cycle are red so the picture
+// shows what `caws doctor` reports.
+
+import type { SpecGraph, SpecGraphAnalysis, SpecGraphEdge } from '../../kernel';
+
+export const SPEC_GRAPH_FORMATS = ['dot', 'mermaid', 'json'] as const;
+export type SpecGraphFormat = (typeof SPEC_GRAPH_FORMATS)[number];
+
+export function isSpecGraphFormat(value: string): value is SpecGraphFormat {
+  return (SPEC_GRAPH_FORMATS as readonly string[]).includes(value);
+}
+
+const EDGE_LABELS: Record<SpecGraphEdge['kind'], string> = {
+  successor: 'successor',
+  absorbed_by: 'absorbed by',
+  supersedes: 'supersedes',
+  superseded_by: 'superseded by',
+};
+
+/** Ids named by an edge that are not nodes, in first-seen order. */
+function missingTargets(graph: SpecGraph): string[] {
+  const known = new Set(graph.nodes.map((n) => n.id));
+  const missing: string[] = [];
+  for (const e of graph.edges) {
+    if (!known.has(e.to) && !missing.includes(e.to)) missing.push(e.to);
+  }
+  return missing;
+}
+
+function cycleEdge(analysis: SpecGraphAnalysis): (e: SpecGraphEdge) => boolean {
+  const component = new Map<string, number>();
+  analysis.cycles.forEach((ids, i) => {
+    for (const id of ids) component.set(id, i);
+  });
+  return (e) => {
+    const a = component.get(e.from);
+    return a !== undefined && a === component.get(e.to);
+  };
+}
+
+function dotString(s: string): string {
+  return JSON.stringify(s);
+}
+
+export function renderSpecGraphDot(graph: SpecGraph, analysis: SpecGraphAnalysis): string {
+  const inCycle = cycleEdge(analysis);
+  const lines = ['digraph caws_specs {', '  rankdir=LR;', '  node [shape=box];'];
+  for (const n of graph.nodes) {
+    const attrs = [`label=${dotString(`${n.id}\n${n.lifecycle_state}`)}`];
+    if (n.archived) attrs.push('style=dashed');
+    if (n.title !== undefined) attrs.push(`tooltip=${dotString(n.title)}`);
+    lines.push(`  ${dotString(n.id)} [${attrs.join(', ')}];`);
+  }
+  for (const id of missingTargets(graph)) {
+    lines.push(`  ${dotString(id)} [label=${dotString(`${id}\nmissing`)}, style=dotted, color=gray];`);
+  }
+  for (const e of graph.edges) {
+    const attrs = [`label=${dotString(EDGE_LABELS[e.kind])}`];
+    if (inCycle(e)) attrs.push('color=red');
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)} [${attrs.join(', ')}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+export function renderSpecGraphMermaid(graph: SpecGraph, analysis: SpecGraphAnalysis): string {
+  const inCycle = cycleEdge(analysis);
+  // Spec ids contain dashes, which Mermaid reads as edge syntax; draw each
+  // node under a positional key and show the id in its label.
+  const keys = new Map<string, string>();
+  const key = (id: string): string => {
+    let k = keys.get(id);
+    if (k === undefined) {
+      k = `s${keys.size}`;
+      keys.set(id, k);
+    }
+    return k;
+  };
+  const lines = ['flowchart LR'];
+  for (const n of graph.nodes) {
+    lines.push(`  ${key(n.id)}["${n.id}<br/>${n.lifecycle_state}"]`);
+    if (n.archived) lines.push(`  class ${key(n.id)} archived`);
+  }
+  for (const id of missingTargets(graph)) {
+    lines.push(`  ${key(id)}["${id}<br/>missing"]`);
+    lines.push(`  class ${key(id)} missing`);
+  }
+  const red: number[] = [];
+  graph.edges.forEach((e, i) => {
+    lines.push(`  ${key(e.from)} -->|${EDGE_LABELS[e.kind]}| ${key(e.to)}`);
+    if (inCycle(e)) red.push(i);
+  });
+  lines.push('  classDef archived stroke-dasharray: 5 5');
+  lines.push('  classDef missing stroke-dasharray: 2 2, color: gray');
+  if (red.length > 0) lines.push(`  linkStyle ${red.join(',')} stroke: red`);
+  return lines.join('\n');
+}
+
+export function renderSpecGraphJson(graph: SpecGraph, analysis: SpecGraphAnalysis): string {
+  return JSON.stringify(
+    {
+      ok: analysis.cycles.length === 0 && analysis.contradictions.length === 0,
+      nodes: graph.nodes,
+      edges: graph.edges,
+      missing: missingTargets(graph),
+      cycles: analysis.cycles,
+      dangling: analysis.dangling,
+      contradictions: analysis.contradictions,
+    },
+    null,
+    2
+  );
+}
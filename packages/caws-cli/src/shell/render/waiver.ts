@@ -29,6 +29,11 @@ export interface RenderWaiverSummaryInput {
 export interface RenderWaiverDetailInput extends RenderWaiverSummaryInput {
   /** Now, used to format expiry deltas. Caller owns the clock. */
   readonly now: Date;
+  /**
+   * Recorded uses from the usage ledger. When omitted the usage line is
+   * not rendered (the caller had no ledger to consult).
+   */
+  readonly uses?: number;
 }
 
 function effectivenessLabel(e: WaiverEffectiveness): string {
@@ -45,8 +50,10 @@ function effectivenessLabel(e: WaiverEffectiveness): string {
 }
 
 function fmtScope(w: Waiver): string {
-  if (w.scope?.spec_id !== undefined) return `spec=${w.scope.spec_id}`;
-  return 'project-wide';
+  const parts: string[] = [];
+  if (w.scope?.spec_id !== undefined) parts.push(`spec=${w.scope.spec_id}`);
+  if (w.scope?.paths !== undefined) parts.push(`paths=${w.scope.paths.join(',')}`);
+  return parts.length > 0 ? parts.join(' ') : 'project-wide';
 }
 
 function fmtExpiryDelta(expiresAt: string, now: Date): string {
@@ -89,8 +96,15 @@ export function renderWaiverDetail(input: RenderWaiverDetailInput): string {
   lines.push(`  Approved by:      ${w.approved_by}`);
   lines.push(`  Created at:       ${w.created_at}`);
   lines.push(`  Expires at:       ${w.expires_at} (${fmtExpiryDelta(w.expires_at, input.now)})`);
-  if (w.constraints?.max_uses !== undefined) {
-    lines.push(`  Max uses:         ${w.constraints.max_uses} (kernel does not enforce)`);
+  if (input.uses !== undefined) {
+    const max = w.constraints?.max_uses;
+    lines.push(
+      max === undefined
+        ? `  Uses:             ${input.uses} (no max_uses cap)`
+        : `  Uses:             ${input.uses} of ${max} (${Math.max(0, max - input.uses)} remaining)`
+    );
+  } else if (w.constraints?.max_uses !== undefined) {
+    lines.push(`  Max uses:         ${w.constraints.max_uses}`);
   }
   if (w.revocation !== undefined) {
     lines.push('  Revocation:');
@@ -83,6 +83,10 @@ export const SHELL_RULES = {
   GATES_REPORT_NOT_JSON: 'shell.gates.report_not_json',
   GATES_REPORT_INVALID_SHAPE: 'shell.gates.report_invalid_shape',
   GATES_POLICY_REQUIRED: 'shell.gates.policy_required',
+  GATES_EXTERNAL_EVALUATOR_FAILED: 'shell.gates.external_evaluator_failed',
+  GATES_DIFF_RANGE_INVALID: 'shell.gates.diff_range_invalid',
+  GATES_DIFF_SOURCE_CONFLICT: 'shell.gates.diff_source_conflict',
+  GATES_UNKNOWN_FORMAT: 'shell.gates.unknown_format',
 
   // waiver command surface.
   WAIVER_MISSING_ID: 'shell.waiver.missing_id',
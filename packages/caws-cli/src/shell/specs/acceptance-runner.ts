@@ -0,0 +1,108 @@
+// Acceptance-criterion runner for `caws specs verify`.
+//
+// A criterion that declares `test_command` is checked by running it; the
+// verdict is the exit code, not an agent's claim. The runner only executes
+// and measures. Recording the result (the spec's evidence: block plus an
+// ac_recorded event) stays with recordSpecEvidence, the single writer of
+// the closure authority.
+//
+// Contract with the command:
+//
+//   cwd      repo root; `test_command` runs through the platform shell, as
+//            it would if pasted into a terminal there
+//   env      inherited, plus CAWS_SPEC_ID, CAWS_AC_ID and CAWS_TEST_NODEIDS
+//            (the criterion's test_nodeids, newline-separated, '' if none)
+//   stdin    closed
+//   verdict  exit 0 is pass. Any other exit, a signal, a timeout or a spawn
+//            failure is fail: a command that did not run to a clean exit
+//            must never read as a passing one.
+//
+// Output is captured, not streamed. Its sha256 (stdout then stderr) is the
+// `output_digest` recorded with the evidence, so a later reader can tell two
+// runs with the same exit code apart.
+
+import { spawnSync } from 'node:child_process';
+import * as crypto from 'node:crypto';
+
+import type { AcceptanceCriterion } from '../../kernel';
+
+export const DEFAULT_ACCEPTANCE_TIMEOUT_MS = 600_000;
+
+/** Cap on captured output; beyond it the run is killed and fails. */
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/** Trailing output shown when a criterion fails. */
+const OUTPUT_TAIL_CHARS = 2000;
+
+export type AcceptanceRunOutcome = 'pass' | 'fail' | 'timeout' | 'crashed';
+
+export interface AcceptanceRun {
+  readonly criterion_id: string;
+  readonly command: string;
+  readonly test_nodeids: readonly string[];
+  readonly outcome: AcceptanceRunOutcome;
+  /** null when the process did not exit on its own (signal, timeout, spawn error). */
+  readonly exit_code: number | null;
+  readonly duration_ms: number;
+  readonly output_digest: string;
+  /** Last OUTPUT_TAIL_CHARS of combined output, or the spawn error. */
+  readonly output_tail: string;
+}
+
+export interface RunAcceptanceInput {
+  readonly specId: string;
+  readonly criterion: AcceptanceCriterion & { readonly test_command: string };
+  readonly repoRoot: string;
+  readonly timeoutMs?: number;
+  readonly env?: NodeJS.ProcessEnv;
+}
+
+export function runAcceptanceCriterion(input: RunAcceptanceInput): AcceptanceRun {
+  const { criterion } = input;
+  const nodeids = criterion.test_nodeids ?? [];
+  const timeoutMs = input.timeoutMs ?? DEFAULT_ACCEPTANCE_TIMEOUT_MS;
+  const started = Date.now();
+  const r = spawnSync(criterion.test_command, {
+    cwd: input.repoRoot,
+    shell: true,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: timeoutMs,
+    killSignal: 'SIGKILL',
+    maxBuffer: MAX_OUTPUT_BYTES,
+    env: {
+      ...(input.env ?? process.env),
+      CAWS_SPEC_ID: input.specId,
+      CAWS_AC_ID: criterion.id,
+      CAWS_TEST_NODEIDS: nodeids.join('\n'),
+    },
+  });
+  const duration = Math.max(0, Date.now() - started);
+
+  const stdout = r.stdout ?? Buffer.alloc(0);
+  const stderr = r.stderr ?? Buffer.alloc(0);
+  const digest = crypto.createHash('sha256').update(stdout).update(stderr).digest('hex');
+  const combined = Buffer.concat([stdout, stderr]).toString('utf8');
+
+  let outcome: AcceptanceRunOutcome;
+  let tail = combined.slice(-OUTPUT_TAIL_CHARS);
+  const code = (r.error as NodeJS.ErrnoException | undefined)?.code;
+  if (code === 'ETIMEDOUT') {
+    outcome = 'timeout';
+  } else if (r.error !== undefined || r.signal !== null) {
+    outcome = 'crashed';
+    if (r.error !== undefined) tail = `${tail}${tail.length > 0 ? '\n' : ''}${r.error.message}`;
+  } else {
+    outcome = r.status === 0 ? 'pass' : 'fail';
+  }
+
+  return {
+    criterion_id: criterion.id,
+    command: criterion.test_command,
+    test_nodeids: nodeids,
+    outcome,
+    exit_code: outcome === 'pass' || outcome === 'fail' ? r.status : null,
+    duration_ms: duration,
+    output_digest: `sha256:${digest}`,
+    output_tail: tail,
+  };
+}
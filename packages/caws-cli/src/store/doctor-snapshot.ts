@@ -29,14 +29,16 @@ import {
   type DoctorInput,
   type GitWorktreeEntry,
   type TemplateCheck,
+  type WorktreeCollision,
 } from '../kernel';
 import { loadAgents } from './agents-store';
 import { loadEvents } from './events-store';
 import { loadLeases } from './leases-store';
 import { loadPolicy } from './policy-store';
-import { loadSpecs } from './specs-store';
+import { listArchivedSpecIds, loadSpecs } from './specs-store';
 import type { StoreSnapshot } from './types';
-import { loadWaivers } from './waivers-store';
+import { loadWaivers, loadWaiverUsage } from './waivers-store';
+import { predictWorktreeConflicts } from './worktree-conflicts';
 import { loadWorktrees } from './worktrees-store';
 
 // ----------------------------------------------------------------------------
@@ -51,6 +53,7 @@ export interface ComposeOptions {
 export function composeStoreSnapshot(options: ComposeOptions): StoreSnapshot {
   const { repoRoot, cawsDir } = options;
   const specsResult = loadSpecs(cawsDir);
+  const archivedSpecIds = listArchivedSpecIds(cawsDir);
   const policyResult = loadPolicy(cawsDir);
   const worktreesResult = loadWorktrees(cawsDir);
   const agentsResult = loadAgents(cawsDir);
@@ -86,11 +89,23 @@ export function composeStoreSnapshot(options: ComposeOptions): StoreSnapshot {
   // H1/H6 rules. The rest of the report still runs.
   const gitObservation = observeGitWorktrees(repoRoot);
 
+  // Path-scoped waivers are checked against the tracked tree. Listing it
+  // is the only cost doctor pays for them, so skip it when no waiver
+  // carries globs.
+  const trackedPaths = waiversResult.waivers.some((w) => w.scope?.paths !== undefined)
+    ? observeTrackedPaths(repoRoot)
+    : undefined;
+  // Likewise the cross-segment usage ledger: only capped waivers need it.
+  const waiverUsage = waiversResult.waivers.some((w) => w.constraints?.max_uses !== undefined)
+    ? loadWaiverUsage(cawsDir).usage
+    : undefined;
+
   return {
     repoRoot,
     cawsDir,
     specs: specsResult.specs,
     specDiagnostics: specsResult.diagnostics,
+    ...(archivedSpecIds !== undefined ? { archivedSpecIds } : {}),
     ...(policyResult.policy !== undefined ? { policy: policyResult.policy } : {}),
     policyWarnings: policyResult.warnings,
     policyErrors: policyResult.errors,
@@ -107,6 +122,8 @@ export function composeStoreSnapshot(options: ComposeOptions): StoreSnapshot {
     ...(gitObservation.kind === 'ok'
       ? { gitWorktrees: gitObservation.entries }
       : { gitObservationFailure: gitObservation.reason }),
+    ...(trackedPaths !== undefined ? { trackedPaths } : {}),
+    ...(waiverUsage !== undefined ? { waiverUsage } : {}),
   };
 }
 
@@ -127,6 +144,14 @@ function isFile(p: string): boolean {
   }
 }
 
+function fileSize(p: string): number {
+  try {
+    return fs.statSync(p).size;
+  } catch {
+    return 0;
+  }
+}
+
 function isDir(p: string): boolean {
   try {
     return fs.statSync(p).isDirectory();
@@ -207,6 +232,7 @@ function observeFilesystem(
     worktreesJsonExists: isFile(path.join(cawsDir, 'worktrees.json')),
     agentsJsonExists: isFile(path.join(cawsDir, 'agents.json')),
     eventsJsonlExists: isFile(path.join(cawsDir, 'events.jsonl')),
+    eventsJsonlBytes: fileSize(path.join(cawsDir, 'events.jsonl')),
     // CAWS-DOCTOR-HOOKS-NO-CAWS-DRIFT-001: observe the hook pack so doctor
     // can flag the hooks-present/substrate-absent split-brain.
     hookPackInstalled: observeHookPackInstalled(repoRoot),
@@ -316,6 +342,27 @@ function observeGitWorktrees(repoRoot: string): GitObservationResult {
   return { kind: 'ok', entries: linked };
 }
 
+/**
+ * `git ls-files -z` from the repo root. Returns undefined on any failure —
+ * the consuming doctor rule skips rather than reporting every glob dead.
+ */
+function observeTrackedPaths(repoRoot: string): readonly string[] | undefined {
+  let result;
+  try {
+    result = spawnSync(resolveGitBinary(), ['-C', repoRoot, 'ls-files', '-z'], {
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch {
+    return undefined;
+  }
+  if (result.error || result.status !== 0) return undefined;
+  return (result.stdout ?? '')
+    .toString()
+    .split('\0')
+    .filter((p) => p.length > 0);
+}
+
 function parseWorktreePorcelainLocal(text: string): GitWorktreeEntry[] {
   const entries: GitWorktreeEntry[] = [];
   // Stanzas are separated by blank lines. Split on \n and walk; a stanza
@@ -376,6 +423,11 @@ export interface ComposeDoctorOptions extends ComposeOptions {
   readonly staleAgentTtlMs?: number;
   readonly unboundActiveThresholdMs?: number;
   readonly priorOwnersGrowthThreshold?: number;
+  /**
+   * Merge every pair of active lanes in memory to find the ones that will
+   * collide. One `git merge-tree` per pair, so only `caws doctor` asks.
+   */
+  readonly predictCollisions?: boolean;
 }
 
 export interface ComposeDoctorResult {
@@ -385,9 +437,14 @@ export interface ComposeDoctorResult {
 
 export function composeDoctorSnapshot(options: ComposeDoctorOptions): ComposeDoctorResult {
   const snapshot = composeStoreSnapshot(options);
+  const worktreeCollisions =
+    options.predictCollisions === true ? observeWorktreeCollisions(options.cawsDir) : undefined;
 
   const doctorInput: DoctorInput = {
     specs: snapshot.specs,
+    ...(snapshot.archivedSpecIds !== undefined
+      ? { archivedSpecIds: snapshot.archivedSpecIds }
+      : {}),
     ...(snapshot.policy !== undefined ? { policy: snapshot.policy } : {}),
     policyWarnings: snapshot.policyWarnings,
     worktrees: snapshot.worktrees,
@@ -406,6 +463,13 @@ export function composeDoctorSnapshot(options: ComposeDoctorOptions): ComposeDoc
     ...(snapshot.gitObservationFailure !== undefined
       ? { gitObservationFailure: snapshot.gitObservationFailure }
       : {}),
+    ...(snapshot.trackedPaths !== undefined
+      ? { trackedPaths: snapshot.trackedPaths }
+      : {}),
+    ...(snapshot.waiverUsage !== undefined
+      ? { waiverUsage: snapshot.waiverUsage }
+      : {}),
+    ...(worktreeCollisions !== undefined ? { worktreeCollisions } : {}),
     now: options.now,
     ...(options.staleAgentTtlMs !== undefined
       ? { staleAgentTtlMs: options.staleAgentTtlMs }
@@ -420,3 +484,20 @@ export function composeDoctorSnapshot(options: ComposeDoctorOptions): ComposeDoc
 
   return { snapshot, doctorInput };
 }
+
+/**
+ * Pairs of lanes whose merge-tree reported conflicts. A prediction that
+ * could not run (no registry, git too old) is "not observed", not "clean".
+ */
+function observeWorktreeCollisions(cawsDir: string): readonly WorktreeCollision[] | undefined {
+  const report = predictWorktreeConflicts(cawsDir, { pairsOnly: true });
+  if (!isOk(report)) return undefined;
+  return report.value.checks
+    .filter((c) => c.conflicts.length > 0)
+    .map((c) => ({
+      left: c.left.worktree ?? c.left.branch,
+      right: c.right.worktree ?? c.right.branch,
+      baseBranch: c.baseBranch,
+      paths: c.conflicts.map((p) => p.path),
+    }));
+}
@@ -0,0 +1,417 @@
+// Archive lineage — verify the full event history across every rotation.
+//
+// Each rotation renames the live events.jsonl to an archive and starts a new
+// chain whose genesis chain_rotated event commits prior_file_path,
+// prior_file_digest, prior_line_count and prior_tail_hash (+ prior_seq). An
+// archive that was itself a rotated chain starts with ITS chain_rotated
+// genesis, so the archives form a linked list back to the oldest history:
+//
+//   events.jsonl[0]  ──prior_file_path──▶  archive-C[0]  ──▶  archive-B[0]  ──▶  archive-A
+//
+// `verifyArchiveLineage` walks that list from the current genesis and, per
+// segment:
+//   1. locates the file — by name, else by committed digest among the other
+//      files in .caws/ (a rename keeps the bytes; reported as a warning);
+//   2. recomputes digest + non-empty line count and compares them;
+//   3. compares the segment's tail event_hash / seq with prior_tail_hash /
+//      prior_seq, which ties the archive to the rotation that closed it;
+//   4. for an all-v11 segment, parses it strictly and re-runs verifyChain
+//      (and verifyEventSignatures when trusted keys are supplied). v10 or
+//      unparseable segments cannot be re-hashed under v11 code and are
+//      reported as `not_v11`, not as failures.
+//
+// A missing archive ends the walk: nothing older can be located from it.
+// When a newer genesis lists it in pruned_archives (with the same digest),
+// an automatic rotation deleted it on purpose and the segment is `pruned`,
+// not a failure. Read-only; never touches events.jsonl.
+//
+// `planArchivePruning` uses the same walk to pick the archives an
+// automatic rotation may delete under policy events.rotation.retain_archives.
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  deriveWaiverUsage,
+  isOk,
+  verifyChain,
+  verifyEventSignatures,
+  type ChainedEvent,
+  type Diagnostic,
+  type TrustedKey,
+} from '../kernel';
+import { MIGRATION_RULES } from './events-migration';
+import { inspectEventArchive, listEventArchives, readEventArchive } from './events-store';
+import { storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+import type { ArchivePrunePlan, PrunedArchive } from './types';
+
+/** Upper bound on the walk; a real repo rotates far fewer times. */
+const MAX_LINEAGE_DEPTH = 1000;
+
+export type ArchiveIntegrity = 'intact' | 'renamed' | 'tampered' | 'missing' | 'pruned';
+export type ArchiveChainStatus = 'verified' | 'invalid' | 'not_v11' | 'unknown';
+
+export interface ArchiveSegmentReport {
+  /** 1 = named by the current chain's genesis, 2 = named by that archive, … */
+  readonly depth: number;
+  /** prior_file_path as the rotation recorded it. */
+  readonly archive: string;
+  /** File actually verified; differs from `archive` when renamed, null when missing. */
+  readonly found_at: string | null;
+  /** seq of the chain_rotated event (in the newer segment) that names this archive. */
+  readonly named_by_seq: number;
+  readonly integrity: ArchiveIntegrity;
+  readonly chain: ArchiveChainStatus;
+  readonly line_count: number | null;
+  readonly diagnostics: readonly Diagnostic[];
+}
+
+export interface ArchiveLineageReport {
+  /** False when any segment is missing (not pruned), tampered or has an invalid chain. */
+  readonly ok: boolean;
+  /** Newest first. Empty when the current chain never rotated. */
+  readonly segments: readonly ArchiveSegmentReport[];
+  /** Archive files in .caws/ that no rotation in the lineage names. */
+  readonly unreferenced: readonly string[];
+  readonly diagnostics: readonly Diagnostic[];
+}
+
+export interface ArchiveLineageOptions {
+  /** When set, v11 segments also get their signatures verified. */
+  readonly trustedKeys?: readonly TrustedKey[];
+  readonly requiredAfter?: string;
+}
+
+interface RotationPointer {
+  readonly seq: number;
+  readonly data: Record<string, unknown>;
+}
+
+function rotationPointer(event: { event: string; data?: unknown; seq?: unknown }): RotationPointer | null {
+  if (event.event !== 'chain_rotated') return null;
+  if (event.data === null || typeof event.data !== 'object') return null;
+  const data = event.data as Record<string, unknown>;
+  if (typeof data['prior_file_path'] !== 'string') return null;
+  return { seq: typeof event.seq === 'number' ? event.seq : 1, data };
+}
+
+/** Record the pruned_archives a genesis lists, keyed by file name. */
+function collectPruned(data: Record<string, unknown>, into: Map<string, PrunedArchive>): void {
+  const list = data['pruned_archives'];
+  if (!Array.isArray(list)) return;
+  for (const entry of list as PrunedArchive[]) {
+    if (entry !== null && typeof entry === 'object' && typeof entry.file === 'string') {
+      into.set(entry.file, entry);
+    }
+  }
+}
+
+/** Other regular files in .caws/ with the committed digest, for rename detection. */
+function findByDigest(cawsDir: string, digest: string, exclude: ReadonlySet<string>): string | null {
+  let names: string[];
+  try {
+    names = fs.readdirSync(cawsDir).sort();
+  } catch {
+    return null;
+  }
+  for (const name of names) {
+    if (exclude.has(name) || name === 'events.jsonl' || name === 'events.jsonl.lock') continue;
+    const filePath = path.join(cawsDir, name);
+    try {
+      if (!fs.statSync(filePath).isFile()) continue;
+      const actual = `sha256:${crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')}`;
+      if (actual === digest) return name;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Walk every archive reachable from `current` (the live chain, already
+ * loaded by the caller) and verify each one. See the module header.
+ */
+export function verifyArchiveLineage(
+  cawsDir: string,
+  current: readonly ChainedEvent[],
+  options: ArchiveLineageOptions = {}
+): ArchiveLineageReport {
+  const segments: ArchiveSegmentReport[] = [];
+  const visited = new Set<string>();
+  const pruned = new Map<string, PrunedArchive>();
+  const genesis = current[0];
+  let pointer = genesis === undefined ? null : rotationPointer(genesis);
+
+  while (pointer !== null && segments.length < MAX_LINEAGE_DEPTH) {
+    collectPruned(pointer.data, pruned);
+    const depth = segments.length + 1;
+    const archive = String(pointer.data['prior_file_path']);
+    const expectedDigest = String(pointer.data['prior_file_digest'] ?? '');
+    const expectedLines = pointer.data['prior_line_count'];
+    const expectedTail = pointer.data['prior_tail_hash'];
+    const expectedSeq = pointer.data['prior_seq'];
+    const diagnostics: Diagnostic[] = [];
+    const subject = path.join(cawsDir, archive);
+
+    if (visited.has(archive)) {
+      diagnostics.push(
+        storeDiagnostic(
+          MIGRATION_RULES.VERIFY_ARCHIVE_LINEAGE_CYCLE,
+          `chain_rotated seq=${pointer.seq} names ${archive}, which the lineage already visited.`,
+          { subject }
+        )
+      );
+      segments.push({
+        depth,
+        archive,
+        found_at: null,
+        named_by_seq: pointer.seq,
+        integrity: 'tampered',
+        chain: 'unknown',
+        line_count: null,
+        diagnostics,
+      });
+      break;
+    }
+
+    let foundAt: string | null = fs.existsSync(subject) ? archive : null;
+    let integrity: ArchiveIntegrity = 'intact';
+    const prunedEntry = pruned.get(archive);
+    if (foundAt === null && prunedEntry !== undefined && prunedEntry.digest === expectedDigest) {
+      segments.push({
+        depth,
+        archive,
+        found_at: null,
+        named_by_seq: pointer.seq,
+        integrity: 'pruned',
+        chain: 'unknown',
+        line_count: prunedEntry.line_count,
+        diagnostics,
+      });
+      break;
+    }
+    if (foundAt === null) {
+      foundAt = findByDigest(cawsDir, expectedDigest, visited);
+      if (foundAt === null) {
+        diagnostics.push(
+          storeDiagnostic(
+            MIGRATION_RULES.VERIFY_ARCHIVE_MISSING,
+            `Archive ${archive} (named by chain_rotated seq=${pointer.seq}, depth ${depth}) does not exist, and no file in .caws/ has its digest ${expectedDigest}. History older than this point cannot be verified.`,
+            { subject }
+          )
+        );
+        segments.push({
+          depth,
+          archive,
+          found_at: null,
+          named_by_seq: pointer.seq,
+          integrity: 'missing',
+          chain: 'unknown',
+          line_count: null,
+          diagnostics,
+        });
+        break;
+      }
+      integrity = 'renamed';
+      diagnostics.push(
+        storeDiagnostic(
+          MIGRATION_RULES.VERIFY_ARCHIVE_RENAMED,
+          `Archive ${archive} was renamed to ${foundAt}; its bytes still match the committed digest.`,
+          {
+            subject,
+            severity: 'warning',
+            narrowRepair: `Rename ${foundAt} back to ${archive} so verify-archive and tooling find it.`,
+            data: { found_at: foundAt },
+          }
+        )
+      );
+    }
+    visited.add(foundAt);
+
+    const inspected = inspectEventArchive(cawsDir, foundAt);
+    if (!isOk(inspected)) {
+      segments.push({
+        depth,
+        archive,
+        found_at: foundAt,
+        named_by_seq: pointer.seq,
+        integrity: 'missing',
+        chain: 'unknown',
+        line_count: null,
+        diagnostics: [...diagnostics, ...inspected.errors],
+      });
+      break;
+    }
+    const info = inspected.value;
+
+    if (info.digest !== expectedDigest) {
+      integrity = 'tampered';
+      diagnostics.push(
+        storeDiagnostic(
+          STORE_RULES.EVENTS_ARCHIVE_DIGEST_MISMATCH,
+          `Archive ${foundAt} sha256 does not match chain_rotated seq=${pointer.seq}. Expected ${expectedDigest}, got ${info.digest}.`,
+          { subject, data: { expected: expectedDigest, actual: info.digest } }
+        )
+      );
+    }
+    if (info.lineCount !== expectedLines) {
+      integrity = 'tampered';
+      diagnostics.push(
+        storeDiagnostic(
+          STORE_RULES.EVENTS_ARCHIVE_LINE_COUNT_MISMATCH,
+          `Archive ${foundAt} has ${info.lineCount} non-empty line(s); chain_rotated seq=${pointer.seq} committed ${String(expectedLines)}.`,
+          { subject, data: { expected: expectedLines, actual: info.lineCount } }
+        )
+      );
+    }
+    const tailMismatch =
+      (typeof expectedTail === 'string' && info.tailHash !== expectedTail) ||
+      (typeof expectedSeq === 'number' && info.tailSeq !== expectedSeq);
+    if (tailMismatch) {
+      integrity = 'tampered';
+      diagnostics.push(
+        storeDiagnostic(
+          MIGRATION_RULES.VERIFY_ARCHIVE_TAIL_MISMATCH,
+          `Archive ${foundAt} ends at seq ${String(info.tailSeq)} / ${String(info.tailHash)}; chain_rotated seq=${pointer.seq} committed seq ${String(expectedSeq ?? '(none)')} / ${String(expectedTail)}.`,
+          {
+            subject,
+            data: {
+              expected_tail_hash: expectedTail ?? null,
+              actual_tail_hash: info.tailHash,
+              expected_seq: expectedSeq ?? null,
+              actual_seq: info.tailSeq,
+            },
+          }
+        )
+      );
+    }
+
+    let chain: ArchiveChainStatus = 'not_v11';
+    if (info.isV11) {
+      const chainErrors: Diagnostic[] = [...info.parseErrors];
+      if (info.events !== null) {
+        const verified = verifyChain(info.events);
+        if (!isOk(verified)) chainErrors.push(...verified.errors);
+        if (options.trustedKeys !== undefined) {
+          const signatures = verifyEventSignatures(
+            info.events,
+            options.trustedKeys,
+            options.requiredAfter !== undefined ? { requiredAfter: options.requiredAfter } : {}
+          );
+          if (!isOk(signatures)) chainErrors.push(...signatures.errors);
+        }
+      }
+      chain = chainErrors.length === 0 ? 'verified' : 'invalid';
+      for (const d of chainErrors) {
+        diagnostics.push({
+          ...d,
+          rule: MIGRATION_RULES.VERIFY_ARCHIVE_CHAIN_INVALID,
+          subject,
+          data: { ...(d.data ?? {}), source_rule: d.rule },
+        });
+      }
+    }
+
+    segments.push({
+      depth,
+      archive,
+      found_at: foundAt,
+      named_by_seq: pointer.seq,
+      integrity,
+      chain,
+      line_count: info.lineCount,
+      diagnostics,
+    });
+
+    pointer = info.first === null ? null : rotationPointer({ ...info.first, seq: 1 });
+  }
+
+  const unreferenced = listEventArchives(cawsDir).filter((name) => !visited.has(name));
+  const unreferencedDiagnostics = unreferenced.map((name) =>
+    storeDiagnostic(
+      MIGRATION_RULES.VERIFY_ARCHIVE_UNREFERENCED,
+      `Archive ${name} is not named by any rotation in the current lineage.`,
+      { subject: path.join(cawsDir, name), severity: 'info' }
+    )
+  );
+
+  const ok = segments.every(
+    (s) =>
+      (s.integrity === 'intact' || s.integrity === 'renamed' || s.integrity === 'pruned') &&
+      s.chain !== 'invalid'
+  );
+  return {
+    ok,
+    segments,
+    unreferenced,
+    diagnostics: [...segments.flatMap((s) => s.diagnostics), ...unreferencedDiagnostics],
+  };
+}
+
+export interface ArchivePruning {
+  readonly plan: ArchivePrunePlan;
+  /** Archives beyond retention that stay, newest first, with the reason. */
+  readonly retained: readonly { readonly archive: string; readonly reason: string }[];
+}
+
+/**
+ * Archives an automatic rotation of `current` may delete so that `retain`
+ * archives remain, counting the one the rotation is about to create.
+ *
+ * Walks the lineage (verifyArchiveLineage) and considers segments at depth
+ * >= retain. Only the oldest contiguous run of them is pruned: deleting an
+ * archive also cuts the lineage to everything older, so nothing older may
+ * stay behind. A segment qualifies when it sits under its recorded name
+ * with the committed digest, line count and tail, and its chain either
+ * re-verified or is a v10 chain (which v11 code can only check by digest).
+ * Already-pruned segments are skipped over. The first segment that does not
+ * qualify stops the run; it and everything newer are retained.
+ *
+ * The waiver uses recorded in the pruned archives are summed into
+ * `waiverUsage`, so the rotation can carry them forward.
+ */
+export function planArchivePruning(
+  cawsDir: string,
+  current: readonly ChainedEvent[],
+  retain: number
+): ArchivePruning {
+  const anchor = current[0]?.event_hash ?? '';
+  const lineage = verifyArchiveLineage(cawsDir, current);
+  const beyond = lineage.segments.filter((s) => s.depth >= retain);
+  const archives: PrunedArchive[] = [];
+  const waiverUsage: Record<string, number> = {};
+  const retained: { archive: string; reason: string }[] = [];
+  let stopped = false;
+  for (const segment of [...beyond].reverse()) {
+    if (segment.integrity === 'pruned') continue;
+    const qualifies =
+      !stopped &&
+      segment.integrity === 'intact' &&
+      (segment.chain === 'verified' || segment.chain === 'not_v11');
+    if (qualifies) {
+      const info = inspectEventArchive(cawsDir, segment.archive);
+      const read = readEventArchive(cawsDir, segment.archive);
+      if (isOk(info) && isOk(read)) {
+        archives.push({ file: segment.archive, digest: info.value.digest, line_count: info.value.lineCount });
+        for (const [id, n] of Object.entries(deriveWaiverUsage(read.value.records))) {
+          waiverUsage[id] = (waiverUsage[id] ?? 0) + n;
+        }
+        continue;
+      }
+    }
+    stopped = true;
+    retained.push({
+      archive: segment.archive,
+      reason: qualifies
+        ? 'archive could not be re-read'
+        : segment.integrity !== 'intact'
+          ? `integrity ${segment.integrity}`
+          : segment.chain !== 'verified' && segment.chain !== 'not_v11'
+            ? `chain ${segment.chain}`
+            : 'an older archive is retained',
+    });
+  }
+  return { plan: { anchor, archives, waiverUsage }, retained: retained.reverse() };
+}
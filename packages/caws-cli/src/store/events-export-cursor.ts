@@ -0,0 +1,159 @@
+// Events export cursor — where the last `caws events export` stopped.
+//
+// The cursor names a position in a specific chain, not just a seq: seqs
+// restart at 1 after every rotation, so the cursor also records the genesis
+// event_hash of the chain it points into and the event_hash at that seq.
+//
+//   { "caws_export_cursor": 1, "format": "otlp",
+//     "chain": "sha256:<genesis>", "last_seq": 42,
+//     "last_event_hash": "sha256:…", "updated_at": "…" }
+//
+// Resuming from a cursor (eventsAfterCursor):
+//   - cursor chain is the live chain → events after last_seq;
+//   - cursor chain is the archive the live chain rotated from (named by the
+//     live genesis) → that archive's remaining events, then the whole live
+//     chain, so a rotation between two exports loses nothing;
+//   - anything else (older rotations, an edited file, another format) is
+//     EVENTS_EXPORT_CURSOR_MISMATCH. Nothing is guessed.
+//
+// The cursor is written only after the export output was, so a failed
+// write re-exports rather than skips.
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  err,
+  isOk,
+  ok,
+  verifyChain,
+  type ChainedEvent,
+  type EventExportFormat,
+  type Result,
+} from '../kernel';
+import { writeFileAtomic } from './atomic-write';
+import { inspectEventArchive } from './events-store';
+import { readJsonFile } from './json-store';
+import { storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+
+export const EXPORT_CURSOR_VERSION = 1;
+
+export interface EventExportCursor {
+  readonly format: EventExportFormat;
+  /** event_hash of the genesis of the chain `last_seq` belongs to. */
+  readonly chain: string;
+  readonly last_seq: number;
+  readonly last_event_hash: string;
+  readonly updated_at: string;
+}
+
+/** Read a cursor file. Ok(null) when it does not exist yet. */
+export function readExportCursor(cursorPath: string): Result<EventExportCursor | null> {
+  if (!fs.existsSync(cursorPath)) return ok(null);
+  const raw = readJsonFile(cursorPath);
+  if (!isOk(raw)) return err(raw.errors);
+  const v = raw.value as Record<string, unknown> | null;
+  const valid =
+    v !== null &&
+    typeof v === 'object' &&
+    v['caws_export_cursor'] === EXPORT_CURSOR_VERSION &&
+    typeof v['format'] === 'string' &&
+    typeof v['chain'] === 'string' &&
+    Number.isInteger(v['last_seq']) &&
+    typeof v['last_event_hash'] === 'string';
+  if (!valid) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.EVENTS_EXPORT_CURSOR_INVALID,
+        `${cursorPath} is not a caws export cursor (version ${EXPORT_CURSOR_VERSION}).`,
+        {
+          subject: cursorPath,
+          narrowRepair: 'Delete the cursor file and re-export with --since to choose the starting seq.',
+        }
+      )
+    );
+  }
+  return ok({
+    format: v['format'] as EventExportFormat,
+    chain: v['chain'] as string,
+    last_seq: v['last_seq'] as number,
+    last_event_hash: v['last_event_hash'] as string,
+    updated_at: typeof v['updated_at'] === 'string' ? v['updated_at'] : '',
+  });
+}
+
+export function writeExportCursor(cursorPath: string, cursor: EventExportCursor): Result<true> {
+  try {
+    fs.mkdirSync(path.dirname(cursorPath), { recursive: true });
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    return err(
+      storeDiagnostic(
+        STORE_RULES.WRITE_IO_FAILED,
+        `Failed to create ${path.dirname(cursorPath)}: ${cause.message ?? 'unknown error'}.`,
+        { subject: cursorPath, data: { code: cause.code } }
+      )
+    );
+  }
+  const body = { caws_export_cursor: EXPORT_CURSOR_VERSION, ...cursor };
+  return writeFileAtomic(cursorPath, JSON.stringify(body, null, 2) + '\n');
+}
+
+function mismatch(cursor: EventExportCursor, message: string): Result<ChainedEvent[]> {
+  return err(
+    storeDiagnostic(STORE_RULES.EVENTS_EXPORT_CURSOR_MISMATCH, message, {
+      data: { chain: cursor.chain, last_seq: cursor.last_seq, last_event_hash: cursor.last_event_hash },
+      narrowRepair:
+        'Re-export with --since <seq> to choose the starting point; the cursor is rewritten after the export.',
+    })
+  );
+}
+
+/**
+ * The events to export after `cursor`, given the verified live chain
+ * `current`. See the module header for the resolution rules.
+ */
+export function eventsAfterCursor(
+  cawsDir: string,
+  current: readonly ChainedEvent[],
+  cursor: EventExportCursor,
+  format: EventExportFormat
+): Result<ChainedEvent[]> {
+  if (cursor.format !== format) {
+    return mismatch(
+      cursor,
+      `The export cursor tracks format ${cursor.format}, not ${format}; use a cursor file per format.`
+    );
+  }
+  const genesis = current[0];
+  if (genesis !== undefined && genesis.event_hash === cursor.chain) {
+    if (current[cursor.last_seq - 1]?.event_hash !== cursor.last_event_hash) {
+      return mismatch(
+        cursor,
+        `The export cursor expects ${cursor.last_event_hash} at seq ${cursor.last_seq}, which the live chain does not hold.`
+      );
+    }
+    return ok(current.slice(cursor.last_seq));
+  }
+
+  const archive =
+    genesis?.event === 'chain_rotated' && typeof genesis.data['prior_file_path'] === 'string'
+      ? genesis.data['prior_file_path']
+      : null;
+  if (archive !== null) {
+    const inspected = inspectEventArchive(cawsDir, archive);
+    const archived = isOk(inspected) ? inspected.value.events : null;
+    if (
+      archived !== null &&
+      archived[0]?.event_hash === cursor.chain &&
+      archived[cursor.last_seq - 1]?.event_hash === cursor.last_event_hash &&
+      isOk(verifyChain(archived))
+    ) {
+      return ok([...archived.slice(cursor.last_seq), ...current]);
+    }
+  }
+  return mismatch(
+    cursor,
+    'The export cursor points into neither the live chain nor the archive it rotated from.'
+  );
+}
@@ -0,0 +1,330 @@
+// Events index — a derived, rebuildable lookup cache over .caws/events.jsonl.
+//
+// Read commands used to parse, validate and hash-verify the whole log on
+// every invocation. The index records, per event, the byte range of its
+// line plus the fields lookups key on (seq, event_hash, event type,
+// spec_id), so a reader can seek straight to the lines it needs.
+//
+// File: .caws/cache/events-index.jsonl (under the git-ignored cache dir).
+//
+//   {"caws_events_index":1}                                  ← header
+//   {"seq":1,"offset":0,"length":412,"hash":"sha256:…","event":"…","spec_id":null,"mtime_ms":…}
+//   …
+//
+// Trust model. An entry is only ever written for a chain that verified:
+// appendEvent adds one entry under the events lock right after writing the
+// line it describes, and a rebuild runs verifyChain first. The index is
+// CURRENT when events.jsonl still ends exactly where the last entry ends,
+// its mtime equals the last entry's mtime_ms, and the line at the last
+// offset still carries the indexed event_hash. Anything else — an
+// out-of-band edit, a crash between the two appends, a rotation by an older
+// CLI — makes it stale, and readers fall back to a full load + verifyChain
+// (and rewrite the index). It is a cache: `caws events verify` never
+// consults it.
+//
+// This module does the index file I/O only. The lock, and the decision of
+// when to append or rebuild, belong to events-store.ts (the single writer).
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  computeEventHash,
+  err,
+  isOk,
+  ok,
+  validateChainedEvent,
+  type ChainedEvent,
+  type Result,
+} from '../kernel';
+import { writeFileAtomic } from './atomic-write';
+import { storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+
+export const EVENTS_INDEX_VERSION = 1;
+
+/** Hex characters of event_hash the prefix map keys on. */
+const HASH_BUCKET_CHARS = 8;
+const HASH_PREFIX = 'sha256:';
+
+export interface EventIndexEntry {
+  readonly seq: number;
+  /** Byte offset of the line in events.jsonl. */
+  readonly offset: number;
+  /** Byte length of the line, excluding the trailing '\n'. */
+  readonly length: number;
+  readonly hash: string;
+  readonly event: string;
+  readonly spec_id: string | null;
+  /** events.jsonl mtime right after this line was written. */
+  readonly mtime_ms: number;
+}
+
+export interface EventsIndex {
+  /** Chain order; entries[i].seq === i + 1. */
+  readonly entries: readonly EventIndexEntry[];
+  readonly bySpec: ReadonlyMap<string, readonly EventIndexEntry[]>;
+  readonly byEvent: ReadonlyMap<string, readonly EventIndexEntry[]>;
+  /** Keyed on the first 8 hex chars of event_hash. */
+  readonly byHashBucket: ReadonlyMap<string, readonly EventIndexEntry[]>;
+  /** True when this call rebuilt the index from a full load. */
+  readonly rebuilt: boolean;
+}
+
+export function eventsIndexPath(cawsDir: string): string {
+  return path.join(cawsDir, 'cache', 'events-index.jsonl');
+}
+
+function pushInto<K>(map: Map<K, EventIndexEntry[]>, key: K, entry: EventIndexEntry): void {
+  const list = map.get(key);
+  if (list === undefined) map.set(key, [entry]);
+  else list.push(entry);
+}
+
+export function makeEventsIndex(entries: readonly EventIndexEntry[], rebuilt: boolean): EventsIndex {
+  const bySpec = new Map<string, EventIndexEntry[]>();
+  const byEvent = new Map<string, EventIndexEntry[]>();
+  const byHashBucket = new Map<string, EventIndexEntry[]>();
+  for (const entry of entries) {
+    if (entry.spec_id !== null) pushInto(bySpec, entry.spec_id, entry);
+    pushInto(byEvent, entry.event, entry);
+    pushInto(byHashBucket, entry.hash.slice(HASH_PREFIX.length, HASH_PREFIX.length + HASH_BUCKET_CHARS), entry);
+  }
+  return { entries, bySpec, byEvent, byHashBucket, rebuilt };
+}
+
+function isEntry(value: unknown, expectedSeq: number): value is EventIndexEntry {
+  if (value === null || typeof value !== 'object') return false;
+  const v = value as Record<string, unknown>;
+  return (
+    v['seq'] === expectedSeq &&
+    Number.isInteger(v['offset']) &&
+    Number.isInteger(v['length']) &&
+    typeof v['hash'] === 'string' &&
+    typeof v['event'] === 'string' &&
+    (v['spec_id'] === null || typeof v['spec_id'] === 'string') &&
+    typeof v['mtime_ms'] === 'number'
+  );
+}
+
+/** Parse the index file. Null when missing, from another version, or malformed. */
+function readIndexEntries(cawsDir: string): EventIndexEntry[] | null {
+  let raw: string;
+  try {
+    raw = fs.readFileSync(eventsIndexPath(cawsDir), 'utf8');
+  } catch {
+    return null;
+  }
+  const lines = raw.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  try {
+    const header = JSON.parse(lines[0] ?? '') as Record<string, unknown>;
+    if (header['caws_events_index'] !== EVENTS_INDEX_VERSION) return null;
+    const entries: EventIndexEntry[] = [];
+    for (let i = 1; i < lines.length; i++) {
+      const parsed: unknown = JSON.parse(lines[i]!);
+      if (!isEntry(parsed, i)) return null;
+      entries.push(parsed);
+    }
+    return entries;
+  } catch {
+    return null;
+  }
+}
+
+function readRange(fd: number, offset: number, length: number): string {
+  const buf = Buffer.alloc(length);
+  let read = 0;
+  while (read < length) {
+    const n = fs.readSync(fd, buf, read, length - read, offset + read);
+    if (n === 0) break;
+    read += n;
+  }
+  return buf.subarray(0, read).toString('utf8');
+}
+
+function isCurrent(cawsDir: string, entries: readonly EventIndexEntry[]): boolean {
+  const eventsPath = path.join(cawsDir, 'events.jsonl');
+  let stat: fs.Stats;
+  try {
+    stat = fs.statSync(eventsPath);
+  } catch {
+    return entries.length === 0;
+  }
+  const last = entries[entries.length - 1];
+  if (last === undefined) return stat.size === 0;
+  if (stat.size !== last.offset + last.length + 1 || stat.mtimeMs !== last.mtime_ms) return false;
+  let fd: number | undefined;
+  try {
+    fd = fs.openSync(eventsPath, 'r');
+    const tail = JSON.parse(readRange(fd, last.offset, last.length)) as { event_hash?: unknown };
+    return tail.event_hash === last.hash;
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Open the index if it exists and is current for events.jsonl; null
+ * otherwise. Never writes — callers that want a rebuild go through
+ * events-store's loadEventsIndex.
+ */
+export function openEventsIndex(cawsDir: string): EventsIndex | null {
+  const entries = readIndexEntries(cawsDir);
+  if (entries === null || !isCurrent(cawsDir, entries)) return null;
+  return makeEventsIndex(entries, false);
+}
+
+/**
+ * Compute entries for a raw events.jsonl whose lines parsed to `events`
+ * (one event per line, as parseJsonlContent guarantees; a tolerated
+ * trailing partial line has no event and gets no entry).
+ */
+export function buildIndexEntries(
+  raw: Buffer,
+  events: readonly ChainedEvent[],
+  mtimeMs: number
+): EventIndexEntry[] {
+  const entries: EventIndexEntry[] = [];
+  let offset = 0;
+  for (const event of events) {
+    const newline = raw.indexOf(0x0a, offset);
+    const end = newline === -1 ? raw.length : newline;
+    entries.push(indexEntryFor(event, offset, end - offset, mtimeMs));
+    offset = end + 1;
+  }
+  return entries;
+}
+
+export function indexEntryFor(
+  event: ChainedEvent,
+  offset: number,
+  length: number,
+  mtimeMs: number
+): EventIndexEntry {
+  return {
+    seq: event.seq,
+    offset,
+    length,
+    hash: event.event_hash,
+    event: event.event,
+    spec_id: event.spec_id ?? null,
+    mtime_ms: mtimeMs,
+  };
+}
+
+function entryLine(entry: EventIndexEntry): string {
+  return JSON.stringify(entry) + '\n';
+}
+
+/** Replace the index file. A failure leaves a stale (ignored) index behind. */
+export function writeEventsIndex(cawsDir: string, entries: readonly EventIndexEntry[]): Result<true> {
+  const indexPath = eventsIndexPath(cawsDir);
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    return err(
+      storeDiagnostic(
+        STORE_RULES.WRITE_IO_FAILED,
+        `Failed to create ${path.dirname(indexPath)}: ${cause.message ?? 'unknown error'}.`,
+        { subject: indexPath, data: { code: cause.code } }
+      )
+    );
+  }
+  const header = JSON.stringify({ caws_events_index: EVENTS_INDEX_VERSION }) + '\n';
+  return writeFileAtomic(indexPath, header + entries.map(entryLine).join(''));
+}
+
+/** Append one entry. Only valid when the index was current before the append. */
+export function appendEventsIndexEntry(cawsDir: string, entry: EventIndexEntry): void {
+  try {
+    fs.appendFileSync(eventsIndexPath(cawsDir), entryLine(entry));
+  } catch {
+    // A cache miss, not a failure: the next reader finds the index stale
+    // (its last entry no longer ends at EOF) and rebuilds it.
+  }
+}
+
+/** Remove the index, e.g. after a rebuild found the chain invalid. */
+export function removeEventsIndex(cawsDir: string): void {
+  try {
+    fs.rmSync(eventsIndexPath(cawsDir), { force: true });
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * Entries matching an event ref: a sequence number, a full event_hash, or
+ * an event_hash prefix (same rules as `caws events show`).
+ */
+export function findIndexEntries(index: EventsIndex, ref: string): readonly EventIndexEntry[] {
+  if (/^\d+$/.test(ref)) {
+    const seq = Number(ref);
+    const entry = index.entries[seq - 1];
+    return entry !== undefined && entry.seq === seq ? [entry] : [];
+  }
+  const hex = ref.startsWith(HASH_PREFIX) ? ref.slice(HASH_PREFIX.length) : null;
+  const candidates =
+    hex !== null && hex.length >= HASH_BUCKET_CHARS
+      ? index.byHashBucket.get(hex.slice(0, HASH_BUCKET_CHARS)) ?? []
+      : index.entries;
+  return candidates.filter((entry) => entry.hash.startsWith(ref));
+}
+
+/**
+ * Read the events behind `entries` by byte range. Each line is validated
+ * and must still hash to the indexed event_hash; a mismatch means the file
+ * changed under the index and is reported as store.events.index_mismatch.
+ */
+export function readIndexedEvents(
+  cawsDir: string,
+  entries: readonly EventIndexEntry[]
+): Result<ChainedEvent[]> {
+  if (entries.length === 0) return ok([]);
+  const eventsPath = path.join(cawsDir, 'events.jsonl');
+  let fd: number;
+  try {
+    fd = fs.openSync(eventsPath, 'r');
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    return err(
+      storeDiagnostic(
+        STORE_RULES.READ_IO_FAILED,
+        `Failed to read events.jsonl: ${cause.message ?? 'unknown error'}.`,
+        { subject: eventsPath, data: { code: cause.code } }
+      )
+    );
+  }
+  try {
+    const events: ChainedEvent[] = [];
+    for (const entry of entries) {
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(readRange(fd, entry.offset, entry.length));
+      } catch {
+        parsed = null;
+      }
+      const validated = validateChainedEvent(parsed);
+      if (
+        !isOk(validated) ||
+        validated.value.event_hash !== entry.hash ||
+        computeEventHash(validated.value) !== entry.hash
+      ) {
+        return err(
+          storeDiagnostic(
+            STORE_RULES.EVENTS_INDEX_MISMATCH,
+            `events.jsonl no longer matches its index at seq ${entry.seq}; the index is rebuilt on the next read.`,
+            { subject: eventsPath, data: { seq: entry.seq, offset: entry.offset } }
+          )
+        );
+      }
+      events.push(validated.value);
+    }
+    return ok(events);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
@@ -80,6 +80,22 @@ export const MIGRATION_RULES = {
    *  determine the most recent chain_rotated event. */
   VERIFY_CURRENT_CHAIN_INVALID:
     'store.events.verify_archive.current_chain_invalid',
+  /** verify --all-archives: the archive named by prior_file_path is gone,
+   *  but another archive file has the committed digest. The bytes are
+   *  intact; the name is not. Warning — the walk continues through it. */
+  VERIFY_ARCHIVE_RENAMED: 'store.events.verify_archive.archive_renamed',
+  /** verify --all-archives: the archive's last event_hash (or seq) does
+   *  not match the prior_tail_hash (prior_seq) the rotation committed. */
+  VERIFY_ARCHIVE_TAIL_MISMATCH: 'store.events.verify_archive.tail_mismatch',
+  /** verify --all-archives: an all-v11 archive segment failed strict
+   *  parsing or verifyChain. Kernel rule preserved in data.source_rule. */
+  VERIFY_ARCHIVE_CHAIN_INVALID: 'store.events.verify_archive.archive_chain_invalid',
+  /** verify --all-archives: two rotations name the same archive, so the
+   *  lineage loops. The walk stops at the repeat. */
+  VERIFY_ARCHIVE_LINEAGE_CYCLE: 'store.events.verify_archive.lineage_cycle',
+  /** verify --all-archives: an archive file in .caws/ that no rotation in
+   *  the lineage names. Informational — often a renamed or foreign file. */
+  VERIFY_ARCHIVE_UNREFERENCED: 'store.events.verify_archive.archive_unreferenced',
 } as const;
 
 export type MigrationRule = (typeof MIGRATION_RULES)[keyof typeof MIGRATION_RULES];
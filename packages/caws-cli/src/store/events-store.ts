@@ -27,15 +27,29 @@ import {
   ok,
   prepareAppend,
   validateChainedEvent,
+  verifyChain,
   type Actor,
   type ChainedEvent,
   type Diagnostic,
   type EventBody,
   type Result,
 } from '../kernel';
+import {
+  appendEventsIndexEntry,
+  buildIndexEntries,
+  indexEntryFor,
+  makeEventsIndex,
+  openEventsIndex,
+  readIndexedEvents,
+  removeEventsIndex,
+  writeEventsIndex,
+  type EventIndexEntry,
+  type EventsIndex,
+} from './events-index';
 import { sleepSyncMs, storeDiagnostic } from './repo-root';
 import { STORE_RULES } from './rules';
-import type { EventsLoadResult } from './types';
+import { signWithLocalKey } from './signing-keys-store';
+import type { ArchivePrunePlan, EventsLoadResult } from './types';
 
 const LOCK_STALE_MS = 30_000;
 const LOCK_MAX_ATTEMPTS = 3;
@@ -165,10 +179,14 @@ function parseJsonlContent(raw: string, filePath: string): Result<EventsLoadResu
  *
  * Sequence under lock:
  *   1. Acquire .caws/events.jsonl.lock (with stale-recovery + bounded retry).
- *   2. Re-read the full events file to get the most-recent event.
+ *   2. Get the most-recent event: from the events index when it is current
+ *      (one seek), else by re-reading the full events file.
  *   3. Call prepareAppend(lastEvent ?? null, body).
- *   4. Append the chained event as a JSON line + '\n'.
- *   5. Release the lock.
+ *   4. Sign it when a local key under .caws/keys/ applies (see
+ *      signing-keys-store.ts); an unusable key refuses the append.
+ *   5. Append the chained event as a JSON line + '\n'.
+ *   6. Add its index entry (or rebuild a stale index; see events-index.ts).
+ *   7. Release the lock.
  *
  * Returns the new ChainedEvent on success. On failure, the lock is
  * released and no bytes are written.
@@ -195,9 +213,23 @@ export function appendEvent(
   if (!isOk(lockFd)) return err(lockFd.errors);
 
   try {
-    const loaded = loadEvents(cawsDir);
-    if (!isOk(loaded)) return err(loaded.errors);
-    const prev = loaded.value.events[loaded.value.events.length - 1] ?? null;
+    let index = openEventsIndex(cawsDir);
+    let prev: ChainedEvent | null = null;
+    const tailEntry = index?.entries[index.entries.length - 1];
+    if (index !== null && tailEntry !== undefined) {
+      const tail = readIndexedEvents(cawsDir, [tailEntry]);
+      if (isOk(tail)) prev = tail.value[0] ?? null;
+      else index = null;
+    }
+    // Without a current index, the full load that finds the tail is also
+    // the one the index is rebuilt from after the append.
+    let scan: EventsScan | null = null;
+    if (index === null) {
+      const scanned = scanEvents(cawsDir);
+      if (!isOk(scanned)) return err(scanned.errors);
+      scan = scanned.value;
+      prev = scan.loaded.events[scan.loaded.events.length - 1] ?? null;
+    }
 
     const prepared = prepareAppend(prev, body);
     if (!isOk(prepared)) {
@@ -211,14 +243,19 @@ export function appendEvent(
       return err(wrapped);
     }
 
-    const event = prepared.value;
+    // Sign with the local key for this actor, if the checkout has one.
+    const signed = signWithLocalKey(cawsDir, prepared.value);
+    if (!isOk(signed)) return err(signed.errors);
+    const event = signed.value;
     const line = JSON.stringify(event) + '\n';
 
     // Direct append — atomic-write is the wrong tool here because the
     // file is append-only and we hold the lock.
     let fd: number | undefined;
+    let offset = 0;
     try {
       fd = fs.openSync(eventsPath, 'a');
+      offset = fs.fstatSync(fd).size;
       fs.writeFileSync(fd, line);
       fs.fsyncSync(fd);
     } catch (e) {
@@ -240,6 +277,19 @@ export function appendEvent(
       }
     }
 
+    // The event is durable; keeping the index in step is best-effort.
+    const entry = indexEntryFor(event, offset, Buffer.byteLength(line) - 1, mtimeOf(eventsPath));
+    if (index !== null) {
+      appendEventsIndexEntry(cawsDir, entry);
+    } else if (scan !== null) {
+      const indexed = offset === scan.raw.length ? indexScan(scan) : null;
+      if (indexed !== null && isOk(indexed) && indexed.value.covers) {
+        writeEventsIndex(cawsDir, [...indexed.value.entries, entry]);
+      } else {
+        removeEventsIndex(cawsDir);
+      }
+    }
+
     return ok(event);
   } finally {
     releaseLock(lockFd.value, lockPath);
@@ -301,6 +351,20 @@ export interface RotateEventsOptions {
    * maintenance operation. See A8.
    */
   readonly allowClean?: boolean;
+  /**
+   * Require the prior chain to parse strictly as a v11 chain and pass
+   * verifyChain under the lock, and label it prior_chain_status:
+   * 'verified'. Refuses with EVENTS_ROTATE_PRIOR_UNVERIFIED otherwise.
+   * Implies allowClean. Set by `caws events rotate --auto`.
+   */
+  readonly verifyPrior?: boolean;
+  /**
+   * Archives to delete once the new genesis is durable, recorded in it as
+   * pruned_archives. Computed by planArchivePruning; refused with
+   * EVENTS_ROTATE_PRUNE_PLAN_STALE when its anchor is not the genesis
+   * found under the lock. Requires verifyPrior.
+   */
+  readonly prune?: ArchivePrunePlan;
   /**
    * Override the wall-clock used for the archive timestamp. Tests inject
    * a fixed Date; production omits this and the function uses new Date().
@@ -317,7 +381,11 @@ export interface RotateEventsOptions {
  * Refusals (typed Diagnostic, no file mutations on any refusal path):
  *   - EVENTS_ROTATE_NOTHING_TO_ROTATE: file missing or zero-length.
  *   - EVENTS_ROTATE_CLEAN_CHAIN_REQUIRES_ALLOW_CLEAN: all entries are
- *     structured (v11) actors and allowClean !== true.
+ *     structured (v11) actors and neither allowClean nor verifyPrior.
+ *   - EVENTS_ROTATE_PRIOR_UNVERIFIED: verifyPrior and the chain does not
+ *     parse strictly or fails verifyChain.
+ *   - EVENTS_ROTATE_PRUNE_PLAN_STALE: prune.anchor is not the current
+ *     chain's genesis.
  *   - EVENTS_PREPARE_APPEND_REJECTED: the constructed chain_rotated body
  *     failed kernel validation (programmer error in this function or a
  *     schema change drift). Carries kernel diagnostics in data.source_rule.
@@ -336,6 +404,9 @@ export function rotateEvents(
   if (!fs.existsSync(cawsDir)) {
     throw new Error(`rotateEvents: cawsDir does not exist: ${cawsDir}`);
   }
+  if (opts.prune !== undefined && opts.verifyPrior !== true) {
+    throw new Error('rotateEvents: prune requires verifyPrior');
+  }
 
   const lockFd = acquireLock(lockPath);
   if (!isOk(lockFd)) return err(lockFd.errors);
@@ -418,7 +489,7 @@ export function rotateEvents(
       scanResult.stats.v10_string_actor === 0 &&
       scanResult.stats.unparseable === 0 &&
       scanResult.stats.v11_object_actor > 0;
-    if (isCleanV11 && opts.allowClean !== true) {
+    if (isCleanV11 && opts.allowClean !== true && opts.verifyPrior !== true) {
       return err(
         storeDiagnostic(
           STORE_RULES.EVENTS_ROTATE_CLEAN_CHAIN_REQUIRES_ALLOW_CLEAN,
@@ -431,17 +502,57 @@ export function rotateEvents(
       );
     }
 
+    // ── 3c. Prior-chain verification (verifyPrior). ──────────────────────
+    // The strict parse + verifyChain that earns the 'verified' label. The
+    // prune plan is checked against the genesis found here, so archives
+    // are only deleted from the lineage the plan actually walked.
+    if (opts.verifyPrior === true) {
+      const problems: Diagnostic[] = [];
+      const parsed = parseJsonlContent(rawBytes.toString('utf8'), eventsPath);
+      if (!isOk(parsed)) {
+        problems.push(...parsed.errors);
+      } else {
+        problems.push(...parsed.value.warnings);
+        const verified = verifyChain(parsed.value.events);
+        if (!isOk(verified)) problems.push(...verified.errors);
+      }
+      if (problems.length > 0) {
+        return err(
+          storeDiagnostic(
+            STORE_RULES.EVENTS_ROTATE_PRIOR_UNVERIFIED,
+            `rotateEvents refuses: the prior chain did not verify (${problems.length} problem(s); first rule: ${problems[0]!.rule}). An automatic rotation only archives a chain it can label verified; inspect it with caws events verify.`,
+            {
+              subject: eventsPath,
+              data: { rules: [...new Set(problems.map((d) => d.rule))] },
+            }
+          )
+        );
+      }
+      const genesisHash = isOk(parsed) ? parsed.value.events[0]?.event_hash : undefined;
+      if (opts.prune !== undefined && genesisHash !== opts.prune.anchor) {
+        return err(
+          storeDiagnostic(
+            STORE_RULES.EVENTS_ROTATE_PRUNE_PLAN_STALE,
+            'rotateEvents refuses: the archive prune plan was computed for a different chain genesis (a concurrent rotation?). Nothing was rotated or deleted; plan again.',
+            { subject: eventsPath, data: { anchor: opts.prune.anchor, genesis: genesisHash ?? null } }
+          )
+        );
+      }
+    }
+
     // ── 4. Build the chain_rotated body. ────────────────────────────────
     const nowDate = opts.now ?? new Date();
     const archiveName = `${ARCHIVE_PREFIX}${windowsSafeIso(nowDate)}`;
     const archivePath = path.join(cawsDir, archiveName);
 
-    const priorChainStatus: 'parseable_unverified' | 'unparseable' | 'empty' =
-      scanResult.stats.unparseable > 0 &&
-      scanResult.stats.v10_string_actor === 0 &&
-      scanResult.stats.v11_object_actor === 0
-        ? 'unparseable'
-        : 'parseable_unverified';
+    const priorChainStatus: 'parseable_unverified' | 'unparseable' | 'empty' | 'verified' =
+      opts.verifyPrior === true
+        ? 'verified'
+        : scanResult.stats.unparseable > 0 &&
+            scanResult.stats.v10_string_actor === 0 &&
+            scanResult.stats.v11_object_actor === 0
+          ? 'unparseable'
+          : 'parseable_unverified';
 
     const data: Record<string, unknown> = {
       prior_tail_hash: scanResult.tailHash,
@@ -455,6 +566,12 @@ export function rotateEvents(
     if (scanResult.tailSeq !== null) {
       data.prior_seq = scanResult.tailSeq;
     }
+    if (opts.prune !== undefined && opts.prune.archives.length > 0) {
+      data.pruned_archives = opts.prune.archives;
+      if (Object.keys(opts.prune.waiverUsage).length > 0) {
+        data.waiver_usage = opts.prune.waiverUsage;
+      }
+    }
 
     const body: EventBody = {
       event: 'chain_rotated',
@@ -476,7 +593,9 @@ export function rotateEvents(
       }));
       return err(wrapped);
     }
-    const genesisEvent = prepared.value;
+    const signedGenesis = signWithLocalKey(cawsDir, prepared.value);
+    if (!isOk(signedGenesis)) return err(signedGenesis.errors);
+    const genesisEvent = signedGenesis.value;
     const genesisLine = JSON.stringify(genesisEvent) + '\n';
 
     // ── 6. Two-step filesystem transition: rename then write+fsync. ────
@@ -527,12 +646,142 @@ export function rotateEvents(
       }
     }
 
+    // ── 7. Prune, only now that the genesis recording it is durable. ────
+    // A file that survives a failed delete is still named by the lineage
+    // and still verifies; the next --auto rotation plans it again.
+    for (const archive of opts.prune?.archives ?? []) {
+      try {
+        fs.rmSync(path.join(cawsDir, archive.file), { force: true });
+      } catch {
+        /* see above */
+      }
+    }
+
+    refreshEventsIndex(cawsDir);
     return ok(genesisEvent);
   } finally {
     releaseLock(lockFd.value, lockPath);
   }
 }
 
+// ----------------------------------------------------------------------------
+// Events index (see events-index.ts) — maintained here, under the lock
+// ----------------------------------------------------------------------------
+
+function mtimeOf(filePath: string): number {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/** events.jsonl as one read saw it: bytes, mtime and parsed events. */
+interface EventsScan {
+  readonly raw: Buffer;
+  readonly mtimeMs: number;
+  readonly loaded: EventsLoadResult;
+}
+
+/** Read and parse events.jsonl once. No verifyChain, no lock. */
+function scanEvents(cawsDir: string): Result<EventsScan> {
+  const eventsPath = path.join(cawsDir, 'events.jsonl');
+  const mtimeMs = mtimeOf(eventsPath);
+  let raw: Buffer;
+  try {
+    raw = fs.readFileSync(eventsPath);
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    if (cause.code !== 'ENOENT') {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.READ_IO_FAILED,
+          `Failed to read events.jsonl: ${cause.message ?? 'unknown error'}.`,
+          { subject: eventsPath, data: { code: cause.code } }
+        )
+      );
+    }
+    raw = Buffer.alloc(0);
+  }
+  const loaded = parseJsonlContent(raw.toString('utf8'), eventsPath);
+  if (!isOk(loaded)) return err(loaded.errors);
+  return ok({ raw, mtimeMs, loaded: loaded.value });
+}
+
+/**
+ * verifyChain over a scan, then its index entries. `covers` is false when a
+ * trailing partial line leaves bytes no entry describes: such an index would
+ * never be current, so it is kept in memory only.
+ */
+function indexScan(scan: EventsScan): Result<{ entries: EventIndexEntry[]; covers: boolean }> {
+  const verified = verifyChain(scan.loaded.events);
+  if (!isOk(verified)) return err(verified.errors);
+  const entries = buildIndexEntries(scan.raw, scan.loaded.events, scan.mtimeMs);
+  const last = entries[entries.length - 1];
+  const covers = (last === undefined ? 0 : last.offset + last.length + 1) === scan.raw.length;
+  return ok({ entries, covers });
+}
+
+/**
+ * Full load + verifyChain, then rewrite the index. The caller holds the
+ * lock. A load or chain failure removes any index so no reader trusts it,
+ * and is returned as-is.
+ */
+function refreshEventsIndex(cawsDir: string): Result<EventsIndex> {
+  const scan = scanEvents(cawsDir);
+  const indexed = isOk(scan) ? indexScan(scan.value) : scan;
+  if (!isOk(indexed)) {
+    removeEventsIndex(cawsDir);
+    return err(indexed.errors);
+  }
+  if (indexed.value.covers) writeEventsIndex(cawsDir, indexed.value.entries);
+  else removeEventsIndex(cawsDir);
+  return ok(makeEventsIndex(indexed.value.entries, true));
+}
+
+/**
+ * The events index for read commands: the persisted one when current,
+ * else rebuilt from a full load + verifyChain. Ok means every indexed event
+ * belongs to a chain that verified; Err carries the load or
+ * evidence.chain.* diagnostics.
+ *
+ * The rebuild runs without the events lock — on a large log it would
+ * outlast appendEvent's lock retries — and is persisted only if the lock is
+ * free at once and events.jsonl is still the file that was read.
+ */
+export function loadEventsIndex(cawsDir: string): Result<EventsIndex> {
+  const current = openEventsIndex(cawsDir);
+  if (current !== null) return ok(current);
+  if (!fs.existsSync(cawsDir)) return ok(makeEventsIndex([], true));
+
+  const scan = scanEvents(cawsDir);
+  const indexed = isOk(scan) ? indexScan(scan.value) : scan;
+
+  const lockPath = path.join(cawsDir, 'events.jsonl.lock');
+  const lockFd = tryAcquireLock(lockPath);
+  if (lockFd !== null) {
+    try {
+      if (!isOk(indexed)) removeEventsIndex(cawsDir);
+      else if (indexed.value.covers && isOk(scan) && unchangedSince(cawsDir, scan.value)) {
+        writeEventsIndex(cawsDir, indexed.value.entries);
+      }
+    } finally {
+      releaseLock(lockFd, lockPath);
+    }
+  }
+  if (!isOk(indexed)) return err(indexed.errors);
+  return ok(makeEventsIndex(indexed.value.entries, true));
+}
+
+function unchangedSince(cawsDir: string, scan: EventsScan): boolean {
+  try {
+    const stat = fs.statSync(path.join(cawsDir, 'events.jsonl'));
+    return stat.size === scan.raw.length && stat.mtimeMs === scan.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Tolerant scan of an events.jsonl file's raw text. Used by rotateEvents
  * to extract the prior tail hash + seq and tally actor-shape stats WITHOUT
@@ -625,6 +874,149 @@ function tolerantScanEventsFile(raw: string): TolerantScanResult {
   };
 }
 
+// ----------------------------------------------------------------------------
+// Archived segments (read-only)
+// ----------------------------------------------------------------------------
+
+/**
+ * File names of archived chain segments left in `.caws/` by rotation,
+ * oldest first. Archive names embed a sortable timestamp, so lexical order
+ * is chronological. Missing or unreadable `.caws/` → [].
+ */
+export function listEventArchives(cawsDir: string): readonly string[] {
+  let names: string[];
+  try {
+    names = fs.readdirSync(cawsDir);
+  } catch {
+    return [];
+  }
+  return names.filter((n) => n.startsWith(ARCHIVE_PREFIX)).sort();
+}
+
+/** One line of an archived segment, parsed but not chain-validated. */
+export interface ArchivedEventRecord {
+  readonly event: string;
+  readonly data?: unknown;
+}
+
+/**
+ * Read an archived segment leniently. Archives may predate the current
+ * envelope (a migration rotation archives v10 string-actor lines), so
+ * lines are JSON-parsed only — no chain or schema validation. Lines that
+ * do not parse, or carry no string `event`, are skipped and counted.
+ * Integrity of the archive itself is `caws events verify-archive`'s job.
+ */
+export function readEventArchive(
+  cawsDir: string,
+  archiveName: string
+): Result<{ readonly records: readonly ArchivedEventRecord[]; readonly skipped: number }> {
+  const filePath = path.join(cawsDir, archiveName);
+  let raw: string;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    return err(
+      storeDiagnostic(
+        STORE_RULES.READ_IO_FAILED,
+        `Failed to read events archive ${archiveName}: ${cause.message ?? 'unknown error'}.`,
+        { subject: filePath, data: { code: cause.code } }
+      )
+    );
+  }
+  const records: ArchivedEventRecord[] = [];
+  let skipped = 0;
+  for (const line of raw.split('\n')) {
+    if (line.trim().length === 0) continue;
+    try {
+      const obj = JSON.parse(line) as { event?: unknown; data?: unknown };
+      if (typeof obj.event !== 'string') {
+        skipped++;
+        continue;
+      }
+      records.push({ event: obj.event, data: obj.data });
+    } catch {
+      skipped++;
+    }
+  }
+  return ok({ records, skipped });
+}
+
+/**
+ * Everything the archive-lineage walk needs from one archived segment,
+ * read once. `digest` and `lineCount` are computed exactly as rotateEvents
+ * computed prior_file_digest / prior_line_count. When every line carries a
+ * structured (v11) actor the segment is also parsed strictly: `events` is
+ * the validated chain, or null with `parseErrors` when a line fails
+ * validation. Segments with v10 or unparseable lines are never strictly
+ * parsed (`events` null, `parseErrors` empty) — they cannot be re-hashed
+ * under v11 code.
+ */
+export interface EventArchiveInspection {
+  readonly digest: string;
+  readonly lineCount: number;
+  readonly tailHash: string | null;
+  readonly tailSeq: number | null;
+  readonly stats: TolerantScanResult['stats'];
+  readonly isV11: boolean;
+  readonly events: readonly ChainedEvent[] | null;
+  readonly parseErrors: readonly Diagnostic[];
+  /** The first line, JSON-parsed leniently (null when it does not parse). */
+  readonly first: ArchivedEventRecord | null;
+}
+
+export function inspectEventArchive(
+  cawsDir: string,
+  archiveName: string
+): Result<EventArchiveInspection> {
+  const filePath = path.join(cawsDir, archiveName);
+  let bytes: Buffer;
+  try {
+    bytes = fs.readFileSync(filePath);
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    return err(
+      storeDiagnostic(
+        STORE_RULES.READ_IO_FAILED,
+        `Failed to read events archive ${archiveName}: ${cause.message ?? 'unknown error'}.`,
+        { subject: filePath, data: { code: cause.code } }
+      )
+    );
+  }
+  const raw = bytes.toString('utf8');
+  const scan = tolerantScanEventsFile(raw);
+  const isV11 =
+    scan.lineCount > 0 && scan.stats.v10_string_actor === 0 && scan.stats.unparseable === 0;
+  let events: readonly ChainedEvent[] | null = null;
+  let parseErrors: readonly Diagnostic[] = [];
+  if (isV11) {
+    const parsed = parseJsonlContent(raw, filePath);
+    if (isOk(parsed)) events = parsed.value.events;
+    else parseErrors = parsed.errors;
+  }
+  let first: ArchivedEventRecord | null = null;
+  const firstLine = raw.split('\n').find((l) => l.trim().length > 0);
+  if (firstLine !== undefined) {
+    try {
+      const obj = JSON.parse(firstLine) as { event?: unknown; data?: unknown };
+      if (typeof obj.event === 'string') first = { event: obj.event, data: obj.data };
+    } catch {
+      first = null;
+    }
+  }
+  return ok({
+    digest: `sha256:${crypto.createHash('sha256').update(bytes).digest('hex')}`,
+    lineCount: scan.lineCount,
+    tailHash: scan.tailHash,
+    tailSeq: scan.tailSeq,
+    stats: scan.stats,
+    isV11,
+    events,
+    parseErrors,
+    first,
+  });
+}
+
 /**
  * Windows-safe ISO timestamp for archive filenames. Replaces ':' with '-'
  * (colons are forbidden in Windows filesystem names) while keeping the
@@ -642,19 +1034,33 @@ interface LockHandle {
   readonly fd: number;
 }
 
+/** Create the lock file, or throw (EEXIST when it is held). */
+function openLock(lockPath: string): LockHandle {
+  const fd = fs.openSync(lockPath, 'wx');
+  // Write the holder pid + timestamp so a future doctor can see who
+  // is holding the lock and when they took it.
+  try {
+    fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
+    fs.fsyncSync(fd);
+  } catch {
+    /* writing the lock body is best-effort; the lock itself is the file's existence */
+  }
+  return { fd };
+}
+
+/** One attempt, no waiting: null when the lock is held or cannot be taken. */
+function tryAcquireLock(lockPath: string): LockHandle | null {
+  try {
+    return openLock(lockPath);
+  } catch {
+    return null;
+  }
+}
+
 function acquireLock(lockPath: string): Result<LockHandle> {
   for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
     try {
-      const fd = fs.openSync(lockPath, 'wx');
-      // Write the holder pid + timestamp so a future doctor can see who
-      // is holding the lock and when they took it.
-      try {
-        fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
-        fs.fsyncSync(fd);
-      } catch {
-        /* writing the lock body is best-effort; the lock itself is the file's existence */
-      }
-      return ok({ fd });
+      return ok(openLock(lockPath));
     } catch (e) {
       const cause = e as { code?: string; message?: string };
       if (cause.code !== 'EEXIST') {
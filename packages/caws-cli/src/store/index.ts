@@ -8,8 +8,10 @@ export { STORE_RULES, STORE_RULE_PREFIXES } from './rules';
 export type { StoreRule } from './rules';
 
 export type {
+  ArchivePrunePlan,
   EventsLoadResult,
   PolicyLoadResult,
+  PrunedArchive,
   SpecsLoadResult,
   StoreSnapshot,
 } from './types';
@@ -35,7 +37,7 @@ export { fsyncDir, writeFileAtomic } from './atomic-write';
 export { readJsonFile } from './json-store';
 export { readYamlFile, readYamlSource } from './yaml-store';
 
-export { loadSpecs } from './specs-store';
+export { listArchivedSpecIds, loadSpecs } from './specs-store';
 
 // ─── v10→v11 spec migration (CAWS-MIGRATE-V10-SPECS-001) ─────────────────
 export {
@@ -58,11 +60,87 @@ export type {
 export { loadPolicy } from './policy-store';
 export { loadWorktrees } from './worktrees-store';
 export { loadAgents } from './agents-store';
-export { appendEvent, loadEvents, rotateEvents } from './events-store';
-export type { RotateEventsOptions } from './events-store';
+export {
+  appendEvent,
+  inspectEventArchive,
+  listEventArchives,
+  loadEvents,
+  loadEventsIndex,
+  readEventArchive,
+  rotateEvents,
+} from './events-store';
+export type {
+  ArchivedEventRecord,
+  EventArchiveInspection,
+  RotateEventsOptions,
+} from './events-store';
+export {
+  eventsIndexPath,
+  findIndexEntries,
+  openEventsIndex,
+  readIndexedEvents,
+} from './events-index';
+export type { EventIndexEntry, EventsIndex } from './events-index';
+export {
+  eventsAfterCursor,
+  readExportCursor,
+  writeExportCursor,
+} from './events-export-cursor';
+export type { EventExportCursor } from './events-export-cursor';
+export { planArchivePruning, verifyArchiveLineage } from './events-archive-lineage';
+export type {
+  ArchiveChainStatus,
+  ArchiveIntegrity,
+  ArchiveLineageOptions,
+  ArchiveLineageReport,
+  ArchivePruning,
+  ArchiveSegmentReport,
+} from './events-archive-lineage';
+export {
+  addTrustedKey,
+  generateSigningKey,
+  listLocalSigningKeys,
+  loadTrustedKeys,
+  localKeyPath,
+  selectSigningKey,
+  trustedKeysPath,
+} from './signing-keys-store';
+export type { GeneratedSigningKey } from './signing-keys-store';
 
 export { applyRegistryPatch } from './apply-patch';
 
+// Merge queue for `caws worktree queue` — ordered candidates in
+// .caws/state/merge-queue.json, mutated under the lifecycle lock.
+export {
+  claimMergeQueue,
+  enqueueMerge,
+  loadMergeQueue,
+  mergeQueuePath,
+  recordMergeQueueFailure,
+  releaseMergeQueue,
+  removeFromMergeQueue,
+} from './merge-queue-store';
+export type {
+  EnqueueMergeInput,
+  MergeQueue,
+  MergeQueueEntry,
+  MergeQueueFailure,
+  MergeQueueRunner,
+  MergeQueueStage,
+} from './merge-queue-store';
+
+// Conflict prediction between worktree lanes and their bases
+// (`caws worktree conflicts`, doctor's collision check). Read-only.
+export { predictWorktreeConflicts } from './worktree-conflicts';
+export type {
+  ConflictCheck,
+  ConflictHunk,
+  ConflictSide,
+  PredictConflictsInput,
+  PredictedConflict,
+  WorktreeConflictsReport,
+} from './worktree-conflicts';
+
 // ─── leases (MULTI-AGENT-ACTIVITY-REGISTRY-001) ──────────────────────────
 // Lease I/O surface — separate from applyRegistryPatch. LeasePatch is
 // applied ONLY through applyLeasePatch / applyLeasePatches.
@@ -83,8 +161,8 @@ export type {
   PruneDeadResult,
 } from './leases-store';
 
-export { loadWaivers, writeWaiver, markRevoked } from './waivers-store';
-export type { WaiversLoadResult } from './waivers-store';
+export { loadWaivers, loadWaiverUsage, writeWaiver, markRevoked } from './waivers-store';
+export type { WaiversLoadResult, WaiverUsageLoadResult } from './waivers-store';
 
 export { initProject, planInitProject, DEFAULT_POLICY_YAML } from './init-store';
 export type {
@@ -111,23 +189,31 @@ export type {
 // Inter-agent message channel over .caws/messages.jsonl — separate from the
 // events audit chain by design. sendMessage refuses a recipient with no lease
 // or a stale heartbeat (liveness is age-based; a stopped lease with a fresh
-// heartbeat is idle, not dead — CAWS-MESSAGE-DELIVERY-UX-001).
+// heartbeat is idle, not dead — CAWS-MESSAGE-DELIVERY-UX-001). topic:<name>
+// and all: addresses fan out to per-recipient copies.
 export {
   sendMessage,
   pollMessage,
   inboxCount,
   inboxMessages,
   channelHistory,
+  fanoutHistory,
   pruneMessages,
   isRecipientLive,
   resolveRecipient,
   getMessageDeliveryState,
   channelId,
+  isFanoutAddress,
+  normalizeTopic,
+  setTopicSubscription,
+  listSubscriptions,
+  BROADCAST_ADDRESS,
 } from './messages-store';
 export type {
   MessageRecord,
   MessageActor,
   MessageSendOutcome,
+  MessageSendParams,
   MessageSenderContext,
   MessageDeliveryState,
   HistoryEntry,
@@ -138,4 +224,6 @@ export type {
   MessagePrunePlan,
   MessagePruneResult,
   ResolvedRecipient,
+  RecipientDelivery,
+  SubscriptionOutcome,
 } from './messages-store';
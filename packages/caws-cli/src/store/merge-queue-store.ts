@@ -0,0 +1,260 @@
+// Merge queue — .caws/state/merge-queue.json, the ordered worktrees waiting
+// for `caws worktree queue run`.
+//
+//   { "caws_merge_queue": 1,
+//     "entries": [ { "name": "wt-a", "added_at": "…", "added_by": "<session>",
+//                    "last_failure": { "at": "…", "stage": "gates", "message": "…" } } ],
+//     "runner": { "session_id": "…", "pid": 1234, "started_at": "…" } }
+//
+// Runtime state, like worktrees.json (.caws/state/ is gitignored). Every
+// read-modify-write holds the lifecycle lock, the lock every worktree
+// lifecycle mutation takes, so an enqueue cannot interleave with a merge's
+// registry write or with another enqueue. The lock is NOT held across a
+// whole run — each candidate's merge takes it itself — so a run claims the
+// queue through `runner` instead, and a second runner is refused while that
+// process is alive.
+//
+// A failed candidate stays at the head with `last_failure`: the queue is an
+// order, so nothing behind it may land first.
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { err, isOk, ok, type EventBody, type Result } from '../kernel';
+import { admitsOwner } from '../shell/session/resolve-session';
+import type { SessionCandidates } from '../shell/session/types';
+import { writeFileAtomic } from './atomic-write';
+import { readJsonFile } from './json-store';
+import { defaultIsPidAlive } from './leases-store';
+import { withLifecycleLock } from './lifecycle-lock';
+import { storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+import { loadWorktrees } from './worktrees-store';
+
+export const MERGE_QUEUE_VERSION = 1;
+
+/** Where a candidate stopped the queue. */
+export type MergeQueueStage = 'conflict' | 'precheck' | 'gates' | 'merge';
+
+export interface MergeQueueFailure {
+  readonly at: string;
+  readonly stage: MergeQueueStage;
+  readonly message: string;
+}
+
+export interface MergeQueueEntry {
+  readonly name: string;
+  readonly added_at: string;
+  /** The owner session that queued the lane; see MergeWorktreeInput.queuedBy. */
+  readonly added_by: string;
+  readonly last_failure?: MergeQueueFailure;
+}
+
+export interface MergeQueueRunner {
+  readonly session_id: string;
+  readonly pid: number;
+  readonly started_at: string;
+}
+
+export interface MergeQueue {
+  readonly entries: readonly MergeQueueEntry[];
+  readonly runner?: MergeQueueRunner;
+}
+
+export function mergeQueuePath(cawsDir: string): string {
+  return path.join(cawsDir, 'state', 'merge-queue.json');
+}
+
+function invalid(cawsDir: string, message: string): Result<MergeQueue> {
+  return err(
+    storeDiagnostic(STORE_RULES.WORKTREE_QUEUE_INVALID, message, {
+      subject: mergeQueuePath(cawsDir),
+      narrowRepair:
+        'Inspect the file; delete it to start an empty queue (queued worktrees are untouched).',
+    })
+  );
+}
+
+function isEntry(v: unknown): v is MergeQueueEntry {
+  if (v === null || typeof v !== 'object') return false;
+  const e = v as Record<string, unknown>;
+  return (
+    typeof e['name'] === 'string' &&
+    typeof e['added_at'] === 'string' &&
+    typeof e['added_by'] === 'string'
+  );
+}
+
+/** Read the queue. An absent file is an empty queue. */
+export function loadMergeQueue(cawsDir: string): Result<MergeQueue> {
+  const file = mergeQueuePath(cawsDir);
+  if (!fs.existsSync(file)) return ok({ entries: [] });
+  const raw = readJsonFile(file);
+  if (!isOk(raw)) return err(raw.errors);
+  const v = raw.value as Record<string, unknown> | null;
+  if (v === null || typeof v !== 'object' || v['caws_merge_queue'] !== MERGE_QUEUE_VERSION) {
+    return invalid(cawsDir, `${file} is not a caws merge queue (version ${MERGE_QUEUE_VERSION}).`);
+  }
+  const entries = v['entries'];
+  if (!Array.isArray(entries) || !entries.every(isEntry)) {
+    return invalid(cawsDir, `${file} has a malformed entries list.`);
+  }
+  const runner = v['runner'] as MergeQueueRunner | undefined;
+  return ok({ entries, ...(runner !== undefined && runner !== null ? { runner } : {}) });
+}
+
+/**
+ * Read, change and write the queue under the lifecycle lock. `change`
+ * returns the new queue, or an error to leave the file as it was.
+ */
+function updateMergeQueue<T>(
+  cawsDir: string,
+  change: (queue: MergeQueue) => Result<{ queue: MergeQueue; value: T }>
+): Result<T> {
+  return withLifecycleLock(cawsDir, () => {
+    const current = loadMergeQueue(cawsDir);
+    if (!isOk(current)) return err(current.errors);
+    const changed = change(current.value);
+    if (!isOk(changed)) return err(changed.errors);
+    const file = mergeQueuePath(cawsDir);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    } catch (e) {
+      const cause = e as { code?: string; message?: string };
+      return err(
+        storeDiagnostic(
+          STORE_RULES.WRITE_IO_FAILED,
+          `Failed to create ${path.dirname(file)}: ${cause.message ?? 'unknown error'}.`,
+          { subject: file, data: { code: cause.code } }
+        )
+      );
+    }
+    const body = { caws_merge_queue: MERGE_QUEUE_VERSION, ...changed.value.queue };
+    const written = writeFileAtomic(file, JSON.stringify(body, null, 2) + '\n');
+    if (!isOk(written)) return err(written.errors);
+    return ok(changed.value.value);
+  });
+}
+
+export interface EnqueueMergeInput {
+  readonly name: string;
+  readonly sessionCandidates: SessionCandidates;
+  readonly actor: EventBody['actor'];
+  readonly now?: () => Date;
+}
+
+/**
+ * Append a worktree to the queue. Only its owner can queue it, and only a
+ * lane `caws worktree merge` could land: bound to a spec, with a branch and
+ * base recorded. Returns the 1-based position.
+ */
+export function enqueueMerge(
+  cawsDir: string,
+  input: EnqueueMergeInput
+): Result<{ position: number; entry: MergeQueueEntry }> {
+  const ineligible = (why: string) =>
+    err(
+      storeDiagnostic(
+        STORE_RULES.WORKTREE_QUEUE_INELIGIBLE,
+        `Worktree "${input.name}" cannot be queued: ${why}.`,
+        { subject: input.name }
+      )
+    );
+  const registry = loadWorktrees(cawsDir);
+  if (!isOk(registry)) return err(registry.errors);
+  const record = registry.value[input.name];
+  if (record === undefined) return ineligible('it is not registered');
+  if (record.specId === undefined) return ineligible('it is not bound to a spec');
+  if (record.branch === undefined || record.baseBranch === undefined) {
+    return ineligible('it records no branch or base branch');
+  }
+  if (
+    record.owner !== undefined &&
+    admitsOwner(input.sessionCandidates, record.owner.session_id) === null
+  ) {
+    return ineligible(`it is owned by a different session (${record.owner.session_id})`);
+  }
+  const addedBy = record.owner?.session_id ?? input.actor.session_id ?? input.actor.id;
+  const entry: MergeQueueEntry = {
+    name: input.name,
+    added_at: (input.now ?? (() => new Date()))().toISOString(),
+    added_by: addedBy,
+  };
+
+  return updateMergeQueue(cawsDir, (queue) => {
+    if (queue.entries.some((e) => e.name === input.name)) {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.WORKTREE_QUEUE_DUPLICATE,
+          `Worktree "${input.name}" is already queued.`,
+          {
+            subject: input.name,
+            narrowRepair: 'Run `caws worktree queue list` to see its position.',
+          }
+        )
+      );
+    }
+    const entries = [...queue.entries, entry];
+    return ok({ queue: { ...queue, entries }, value: { position: entries.length, entry } });
+  });
+}
+
+/**
+ * Claim the queue for one run. Refused while another live process holds the
+ * claim; a claim whose process is gone is taken over.
+ */
+export function claimMergeQueue(
+  cawsDir: string,
+  runner: MergeQueueRunner,
+  isPidAlive: (pid: number) => boolean = defaultIsPidAlive
+): Result<MergeQueue> {
+  return updateMergeQueue(cawsDir, (queue) => {
+    const held = queue.runner;
+    if (held !== undefined && held.pid !== runner.pid && isPidAlive(held.pid)) {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.WORKTREE_QUEUE_BUSY,
+          `The merge queue is being run by pid ${held.pid} (session ${held.session_id}, since ${held.started_at}).`,
+          { subject: mergeQueuePath(cawsDir), data: { runner: held } }
+        )
+      );
+    }
+    const claimed = { ...queue, runner };
+    return ok({ queue: claimed, value: claimed });
+  });
+}
+
+/** Drop this process's claim. */
+export function releaseMergeQueue(cawsDir: string, pid: number): Result<true> {
+  return updateMergeQueue(cawsDir, (queue) => {
+    if (queue.runner?.pid !== pid) return ok({ queue, value: true as const });
+    return ok({ queue: { entries: queue.entries }, value: true as const });
+  });
+}
+
+/** Remove a candidate that merged, or that no longer exists to merge. */
+export function removeFromMergeQueue(cawsDir: string, name: string): Result<true> {
+  return updateMergeQueue(cawsDir, (queue) =>
+    ok({
+      queue: { ...queue, entries: queue.entries.filter((e) => e.name !== name) },
+      value: true as const,
+    })
+  );
+}
+
+/** Record why a candidate stopped the queue. It keeps its position. */
+export function recordMergeQueueFailure(
+  cawsDir: string,
+  name: string,
+  failure: MergeQueueFailure
+): Result<true> {
+  return updateMergeQueue(cawsDir, (queue) =>
+    ok({
+      queue: {
+        ...queue,
+        entries: queue.entries.map((e) => (e.name === name ? { ...e, last_failure: failure } : e)),
+      },
+      value: true as const,
+    })
+  );
+}
@@ -9,19 +9,42 @@
 // lighter: line order is authoritative, no hash chain — losing or reordering a
 // chat message is not an audit-integrity failure.
 //
-// Two record kinds share the file (see messages.v1.json):
+// Three record kinds share the file (see messages.v1.json):
 //   - { record: 'message', id, actor, to, channel, text, ts }  — a directed send
-//   - { record: 'delivery', deliver_id, ts }                    — marks consumed
+//     (plus `recipients` when `to` is a topic:<name> or all: address, and
+//     `kind` + `body` for a structured message)
+//   - { record: 'delivery', deliver_id, recipient?, ts }        — marks consumed
+//   - { record: 'subscription', topic, endpoint, action, ts }   — topic membership
 //
 // Delivery semantics: a message is delivered at most once (a delivery record is
 // appended when a recipient polls it) but retained in channel history forever.
 // Replay rebuilds per-recipient mailboxes excluding delivered ids — O(n).
+//
+// Fan-out (topic:<name>, all:): the send resolves its audience ONCE — the
+// topic's subscribers, or every live session for all: — and records it as
+// `recipients` on the message. Each recipient then consumes its own copy at
+// most once; its delivery record carries `recipient`. A session that
+// subscribes later does not receive earlier topic traffic (history shows it).
+//
+// Structured messages (kind: handoff_request | review_request |
+// scope_release_request | ack) carry a typed `body`. Every message record is
+// validated against messages.v1.json before it is appended, so a body that
+// does not fit its kind is refused, not logged. A kind is still only a
+// request: nothing here acts on it.
 
 import * as crypto from 'node:crypto';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 
-import { type Diagnostic, type Result, ok, err } from '../kernel';
+import {
+  type Diagnostic,
+  type MessageBody,
+  type MessageKind,
+  type Result,
+  ok,
+  err,
+  validateMessageRecord,
+} from '../kernel';
 
 import { writeFileAtomic } from './atomic-write';
 import { loadLeases } from './leases-store';
@@ -42,7 +65,15 @@ export interface MessageRecord {
   readonly actor: MessageActor;
   readonly to: string;
   readonly channel: string;
+  /**
+   * Fan-out audience, resolved at send time: present exactly when `to` is a
+   * topic:<name> or all: address. Delivery is tracked per recipient.
+   */
+  readonly recipients?: readonly string[];
   readonly text: string;
+  /** Structured kind of `body`; present exactly when `body` is. A request, never a state change. */
+  readonly kind?: MessageKind;
+  readonly body?: MessageBody;
   readonly ts: string;
 }
 export interface MessageActor {
@@ -54,8 +85,19 @@ export interface MessageActor {
 interface DeliveryRecord {
   readonly record: 'delivery';
   readonly deliver_id: string;
+  /** The consuming endpoint; set only for a fan-out message. */
+  readonly recipient?: string;
   readonly ts: string;
 }
+interface SubscriptionRecord {
+  readonly record: 'subscription';
+  /** Normalized topic address, `topic:<name>`. */
+  readonly topic: string;
+  readonly endpoint: string;
+  readonly action: 'subscribe' | 'unsubscribe';
+  readonly ts: string;
+}
+type MessageLogRecord = MessageRecord | DeliveryRecord | SubscriptionRecord;
 
 /** Normalized unordered channel id for a pair of endpoints. A->B == B->A. */
 export function channelId(a: string, b: string): string {
@@ -66,6 +108,34 @@ function messagesPath(cawsDir: string): string {
   return path.join(cawsDir, MESSAGES_FILENAME);
 }
 
+/** Replay key of a delivery: the message id, plus the recipient for a fan-out copy. */
+function deliveryKey(messageId: string, recipient?: string): string {
+  return recipient === undefined ? messageId : `${messageId}\n${recipient}`;
+}
+
+function recordDelivery(delivered: Set<string>, record: DeliveryRecord): void {
+  if (typeof record.deliver_id !== 'string') return;
+  delivered.add(
+    deliveryKey(record.deliver_id, typeof record.recipient === 'string' ? record.recipient : undefined)
+  );
+}
+
+/** Is `message` addressed to `me` and not yet consumed by `me`? */
+function isWaitingFor(message: MessageRecord, me: string, delivered: ReadonlySet<string>): boolean {
+  if (message.recipients !== undefined) {
+    return message.recipients.includes(me) && !delivered.has(deliveryKey(message.id, me));
+  }
+  return message.to === me && !delivered.has(message.id);
+}
+
+/** Has every recipient consumed `message`? (For a directed send: its one recipient.) */
+function isFullyDelivered(message: MessageRecord, delivered: ReadonlySet<string>): boolean {
+  if (message.recipients !== undefined) {
+    return message.recipients.every((r) => delivered.has(deliveryKey(message.id, r)));
+  }
+  return delivered.has(message.id);
+}
+
 /**
  * Is `sessionId` a live recipient per the lease registry?
  *
@@ -163,7 +233,7 @@ function describeNotLiveReason(liveness: RecipientLiveness): string {
   }
 }
 
-function appendLine(cawsDir: string, record: MessageRecord | DeliveryRecord): Result<void> {
+function appendLine(cawsDir: string, record: MessageLogRecord): Result<void> {
   try {
     fs.mkdirSync(cawsDir, { recursive: true });
     fs.appendFileSync(messagesPath(cawsDir), JSON.stringify(record) + '\n');
@@ -178,6 +248,23 @@ function appendLine(cawsDir: string, record: MessageRecord | DeliveryRecord): Re
   }
 }
 
+/** Validate a message record against messages.v1.json, then append it. */
+function appendMessage(cawsDir: string, record: MessageRecord): Result<void> {
+  const valid = validateMessageRecord(record);
+  if (!valid.ok) return err(valid.errors);
+  return appendLine(cawsDir, record);
+}
+
+/** What a send carries: the text plus, for a structured message, its kind and body. */
+export interface MessageSendParams {
+  readonly actor: MessageActor;
+  readonly to: string;
+  readonly text: string;
+  readonly kind?: MessageKind;
+  readonly body?: MessageBody;
+  readonly requireLive?: boolean;
+}
+
 /** A successful send: the persisted record plus delivery-relevant detail. */
 export interface MessageSendOutcome {
   /** The persisted message record (identical to what was appended). */
@@ -191,20 +278,21 @@ export interface MessageSendOutcome {
 }
 
 /**
- * Send a directed message from `actor` to recipient `to`.
+ * Send a directed message from `actor` to recipient `to`. A topic:<name> or
+ * all: address fans out instead — see {@link sendFanoutMessage}.
  *
  * Refuses (err) when:
  *   - `to` is empty or contains characters outside the endpoint allowlist
  *   - `requireLive` is set and the recipient has no lease, or its heartbeat
  *     is older than the TTL (a stopped lease with a FRESH heartbeat is
  *     deliverable — see {@link describeRecipientLiveness})
+ *   - the record fails messages.v1.json — e.g. a `body` that does not fit
+ *     its `kind` (messages.body.invalid)
  * On success, persists a 'message' record and returns it.
  */
-export function sendMessage(
-  cawsDir: string,
-  params: { actor: MessageActor; to: string; text: string; requireLive?: boolean }
-): Result<MessageSendOutcome> {
+export function sendMessage(cawsDir: string, params: MessageSendParams): Result<MessageSendOutcome> {
   const { actor, to, text } = params;
+  if (typeof to === 'string' && isFanoutAddress(to)) return sendFanoutMessage(cawsDir, params);
   if (typeof to !== 'string' || to.length === 0 || !ENDPOINT_RE.test(to)) {
     return err(
       storeDiagnostic(
@@ -238,13 +326,22 @@ export function sendMessage(
     to,
     channel: channelId(from, to),
     text,
+    ...structuredFields(params),
     ts: new Date().toISOString(),
   };
-  const appended = appendLine(cawsDir, record);
+  const appended = appendMessage(cawsDir, record);
   if (!appended.ok) return err(appended.errors);
   return ok({ message: record, recipientIdle });
 }
 
+/** `kind`/`body` as given; a half-structured send is left for validation to refuse. */
+function structuredFields(params: MessageSendParams): Pick<MessageRecord, 'kind' | 'body'> {
+  return {
+    ...(params.kind !== undefined ? { kind: params.kind } : {}),
+    ...(params.body !== undefined ? { body: params.body } : {}),
+  };
+}
+
 // ─── recipient aliases (CAWS-MESSAGE-DELIVERY-UX-001) ─────────────────────
 
 const WT_ALIAS_PREFIX = 'wt:';
@@ -274,6 +371,9 @@ export function resolveRecipient(cawsDir: string, to: string): Result<ResolvedRe
       )
     );
   }
+  // Fan-out addresses are not sessions; they pass through and sendMessage
+  // resolves their audience.
+  if (isFanoutAddress(to)) return ok({ sessionId: to });
   if (!to.startsWith(WT_ALIAS_PREFIX) && !to.startsWith(SPEC_ALIAS_PREFIX)) {
     if (!ENDPOINT_RE.test(to)) {
       return err(
@@ -335,6 +435,176 @@ export function resolveRecipient(cawsDir: string, to: string): Result<ResolvedRe
   return ok({ sessionId: best.sessionId, alias: to });
 }
 
+// ─── topics + broadcast ─────────────────────────────────────────────────────
+
+const TOPIC_PREFIX = 'topic:';
+/** Broadcast address: every live session except the sender. */
+export const BROADCAST_ADDRESS = 'all:';
+const TOPIC_NAME_RE = /^[A-Za-z0-9._-]+$/;
+
+/** True for a topic:<name> or all: address (a fan-out, not a session). */
+export function isFanoutAddress(to: string): boolean {
+  return to === BROADCAST_ADDRESS || to.startsWith(TOPIC_PREFIX);
+}
+
+/** `release` or `topic:release` → `topic:release`; refuses an invalid name. */
+export function normalizeTopic(topic: string): Result<string> {
+  const name = topic.startsWith(TOPIC_PREFIX) ? topic.slice(TOPIC_PREFIX.length) : topic;
+  if (name.length === 0 || !TOPIC_NAME_RE.test(name)) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.MESSAGES_TOPIC_INVALID,
+        `Topic "${topic}" is empty or its name contains characters outside ${TOPIC_NAME_RE} ` +
+          `(e.g. topic:release).`
+      )
+    );
+  }
+  return ok(`${TOPIC_PREFIX}${name}`);
+}
+
+/** Current subscribers of each topic, replayed in line order. */
+function replaySubscriptions(lines: readonly ParsedMessageLine[]): Map<string, Set<string>> {
+  const topics = new Map<string, Set<string>>();
+  for (const entry of lines) {
+    if (entry.parsed?.record !== 'subscription') continue;
+    const { topic, endpoint, action } = entry.parsed;
+    const members = topics.get(topic) ?? new Set<string>();
+    if (action === 'subscribe') members.add(endpoint);
+    else members.delete(endpoint);
+    topics.set(topic, members);
+  }
+  return topics;
+}
+
+export interface SubscriptionOutcome {
+  readonly topic: string;
+  readonly endpoint: string;
+  /** False when the endpoint was already in the requested state (nothing appended). */
+  readonly changed: boolean;
+  /** Every topic the endpoint is subscribed to afterwards, sorted. */
+  readonly topics: readonly string[];
+}
+
+/**
+ * Subscribe `endpoint` to `topic` (or unsubscribe it). Idempotent: a no-op
+ * change appends nothing. Like a send, the append takes no lock — replay is
+ * order-based, so a racing duplicate subscribe is harmless.
+ */
+export function setTopicSubscription(
+  cawsDir: string,
+  params: { endpoint: string; topic: string; subscribe: boolean }
+): Result<SubscriptionOutcome> {
+  const { endpoint, subscribe } = params;
+  if (endpoint.length === 0 || !ENDPOINT_RE.test(endpoint) || isFanoutAddress(endpoint)) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.MESSAGES_RECIPIENT_INVALID,
+        `Endpoint "${endpoint}" is not a session id (empty, outside ${ENDPOINT_RE}, or a fan-out address).`
+      )
+    );
+  }
+  const topic = normalizeTopic(params.topic);
+  if (!topic.ok) return err(topic.errors);
+  const loaded = readMessageLines(cawsDir);
+  if (!loaded.ok) return err(loaded.errors);
+  const subscriptions = replaySubscriptions(loaded.value.lines);
+  const member = subscriptions.get(topic.value)?.has(endpoint) === true;
+  const changed = member !== subscribe;
+  if (changed) {
+    const appended = appendLine(cawsDir, {
+      record: 'subscription',
+      topic: topic.value,
+      endpoint,
+      action: subscribe ? 'subscribe' : 'unsubscribe',
+      ts: new Date().toISOString(),
+    });
+    if (!appended.ok) return err(appended.errors);
+    const members = subscriptions.get(topic.value) ?? new Set<string>();
+    if (subscribe) members.add(endpoint);
+    else members.delete(endpoint);
+    subscriptions.set(topic.value, members);
+  }
+  const topics = [...subscriptions.entries()]
+    .filter(([, members]) => members.has(endpoint))
+    .map(([t]) => t)
+    .sort();
+  return ok({ topic: topic.value, endpoint, changed, topics });
+}
+
+/** Topics `endpoint` is subscribed to, sorted. */
+export function listSubscriptions(cawsDir: string, endpoint: string): Result<string[]> {
+  const loaded = readMessageLines(cawsDir);
+  if (!loaded.ok) return err(loaded.errors);
+  return ok(
+    [...replaySubscriptions(loaded.value.lines).entries()]
+      .filter(([, members]) => members.has(endpoint))
+      .map(([topic]) => topic)
+      .sort()
+  );
+}
+
+/**
+ * Fan-out send. The audience is resolved now and recorded on the message:
+ *   - topic:<name> → its current subscribers;
+ *   - all:         → every session with a live lease (every leased session
+ *                    when requireLive is false).
+ * The sender is never its own recipient. An empty audience is refused with
+ * MESSAGES_NO_RECIPIENTS. recipientIdle is always false for a fan-out.
+ */
+function sendFanoutMessage(cawsDir: string, params: MessageSendParams): Result<MessageSendOutcome> {
+  const { actor, text } = params;
+  const from = actor.session_id ?? actor.id;
+  let address = params.to;
+  let audience: string[];
+  if (address === BROADCAST_ADDRESS) {
+    const leasesResult = loadLeases(cawsDir);
+    if (!leasesResult.ok) return err(leasesResult.errors);
+    audience = [];
+    for (const sessionId of Object.keys(leasesResult.value.leases).sort()) {
+      if (params.requireLive !== false) {
+        const liveness = describeRecipientLiveness(cawsDir, sessionId);
+        if (!liveness.ok) return err(liveness.errors);
+        if (!liveness.value.live) continue;
+      }
+      audience.push(sessionId);
+    }
+  } else {
+    const topic = normalizeTopic(address);
+    if (!topic.ok) return err(topic.errors);
+    address = topic.value;
+    const loaded = readMessageLines(cawsDir);
+    if (!loaded.ok) return err(loaded.errors);
+    audience = [...(replaySubscriptions(loaded.value.lines).get(address) ?? [])].sort();
+  }
+  const recipients = audience.filter((r) => r !== from);
+  if (recipients.length === 0) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.MESSAGES_NO_RECIPIENTS,
+        address === BROADCAST_ADDRESS
+          ? `No live session other than you to broadcast to. The message was NOT sent. ` +
+              `Run \`caws agents list\` to see sessions, or re-send with --allow-dead to include idle-out ones.`
+          : `Topic "${address}" has no subscribers other than you. The message was NOT sent. ` +
+              `Recipients join with \`caws message subscribe --topic ${address}\`.`
+      )
+    );
+  }
+  const record: MessageRecord = {
+    record: 'message',
+    id: crypto.randomUUID(),
+    actor,
+    to: address,
+    channel: address,
+    recipients,
+    text,
+    ...structuredFields(params),
+    ts: new Date().toISOString(),
+  };
+  const appended = appendMessage(cawsDir, record);
+  if (!appended.ok) return err(appended.errors);
+  return ok({ message: record, recipientIdle: false });
+}
+
 export interface PollResult {
   /** The next undelivered message addressed to `me`, or null if none. */
   readonly message: MessageRecord | null;
@@ -428,7 +698,7 @@ const POLL_RETRY_MS = 150;
 
 interface ParsedMessageLine {
   readonly raw: string;
-  readonly parsed: MessageRecord | DeliveryRecord | null;
+  readonly parsed: MessageLogRecord | null;
 }
 
 function readMessageLines(cawsDir: string): Result<{ readonly lines: ParsedMessageLine[]; readonly diagnostics: Diagnostic[] }> {
@@ -467,8 +737,8 @@ function readMessageLines(cawsDir: string): Result<{ readonly lines: ParsedMessa
       continue;
     }
     const rec = parsed as { record?: string };
-    if (rec.record === 'message' || rec.record === 'delivery') {
-      lines.push({ raw: line, parsed: parsed as MessageRecord | DeliveryRecord });
+    if (rec.record === 'message' || rec.record === 'delivery' || rec.record === 'subscription') {
+      lines.push({ raw: line, parsed: parsed as MessageLogRecord });
     } else {
       lines.push({ raw: line, parsed: null });
     }
@@ -504,9 +774,7 @@ function buildMessagePrunePlan(cawsDir: string, opts: MessagePruneOptions): Resu
 
   const delivered = new Set<string>();
   for (const entry of loaded.value.lines) {
-    if (entry.parsed?.record === 'delivery' && typeof entry.parsed.deliver_id === 'string') {
-      delivered.add(entry.parsed.deliver_id);
-    }
+    if (entry.parsed?.record === 'delivery') recordDelivery(delivered, entry.parsed);
   }
 
   const include = new Set(opts.include ?? []);
@@ -520,7 +788,7 @@ function buildMessagePrunePlan(cawsDir: string, opts: MessagePruneOptions): Resu
   for (const entry of loaded.value.lines) {
     if (entry.parsed?.record !== 'message') continue;
     const message = entry.parsed;
-    const isDelivered = delivered.has(message.id);
+    const isDelivered = isFullyDelivered(message, delivered);
     if (!isDelivered) {
       skipped.push(messageEntry(message, false, 'skipped', 'undelivered'));
       continue;
@@ -689,12 +957,11 @@ function pollMessageLocked(cawsDir: string, me: string, peek: boolean): Result<P
     if (rec.record === 'message') {
       messages.push(parsed as MessageRecord);
     } else if (rec.record === 'delivery') {
-      const d = parsed as DeliveryRecord;
-      if (typeof d.deliver_id === 'string') delivered.add(d.deliver_id);
+      recordDelivery(delivered, parsed as DeliveryRecord);
     }
   }
 
-  const next = messages.find((m) => m.to === me && !delivered.has(m.id));
+  const next = messages.find((m) => isWaitingFor(m, me, delivered));
   if (!next) return ok({ message: null, diagnostics });
   const sender = senderContextFor(cawsDir, next.actor.session_id ?? next.actor.id);
   const withSender = { ...(sender !== undefined ? { sender } : {}) };
@@ -708,6 +975,7 @@ function pollMessageLocked(cawsDir: string, me: string, peek: boolean): Result<P
   const deliveryAppend = appendLine(cawsDir, {
     record: 'delivery',
     deliver_id: next.id,
+    ...(next.recipients !== undefined ? { recipient: me } : {}),
     ts: new Date().toISOString(),
   });
   if (!deliveryAppend.ok) return err(deliveryAppend.errors);
@@ -744,12 +1012,9 @@ export function inboxCount(cawsDir: string, me: string): Result<number> {
     }
     const rec = parsed as { record?: string };
     if (rec.record === 'message') messages.push(parsed as MessageRecord);
-    else if (rec.record === 'delivery') {
-      const d = parsed as DeliveryRecord;
-      if (typeof d.deliver_id === 'string') delivered.add(d.deliver_id);
-    }
+    else if (rec.record === 'delivery') recordDelivery(delivered, parsed as DeliveryRecord);
   }
-  return ok(messages.filter((m) => m.to === me && !delivered.has(m.id)).length);
+  return ok(messages.filter((m) => isWaitingFor(m, me, delivered)).length);
 }
 
 /**
@@ -797,12 +1062,9 @@ export function inboxMessages(
     }
     const rec = parsed as { record?: string };
     if (rec.record === 'message') messages.push(parsed as MessageRecord);
-    else if (rec.record === 'delivery') {
-      const d = parsed as DeliveryRecord;
-      if (typeof d.deliver_id === 'string') delivered.add(d.deliver_id);
-    }
+    else if (rec.record === 'delivery') recordDelivery(delivered, parsed as DeliveryRecord);
   }
-  const waitingMessages = messages.filter((m) => m.to === me && !delivered.has(m.id));
+  const waitingMessages = messages.filter((m) => isWaitingFor(m, me, delivered));
   const limit =
     typeof opts.limit === 'number' && Number.isFinite(opts.limit) && opts.limit >= 0
       ? Math.floor(opts.limit)
@@ -814,13 +1076,60 @@ export function inboxMessages(
   });
 }
 
+/** One fan-out recipient's delivery state. */
+export interface RecipientDelivery {
+  readonly recipient: string;
+  readonly delivered: boolean;
+  readonly deliveredAt?: string;
+}
+
 /** A message record plus its read-time derived delivery state. */
 export interface MessageDeliveryState {
   readonly message: MessageRecord;
-  /** True when a delivery record for this message id exists (the recipient consumed it). */
+  /**
+   * True when a delivery record for this message id exists (the recipient
+   * consumed it). For a fan-out message: when every recipient has.
+   */
   readonly delivered: boolean;
-  /** Delivery-record timestamp; present only when delivered. */
+  /** Delivery-record timestamp (the last recipient's, for a fan-out); present only when delivered. */
   readonly deliveredAt?: string;
+  /** Per-recipient state; present only for a fan-out message. */
+  readonly deliveries?: readonly RecipientDelivery[];
+}
+
+/**
+ * First-delivery timestamp per replay key. First record wins (deliver-once;
+ * a second record for the same key would be a replay artifact, not a
+ * re-delivery).
+ */
+function deliveryTimes(lines: readonly ParsedMessageLine[]): Map<string, string> {
+  const at = new Map<string, string>();
+  for (const entry of lines) {
+    if (entry.parsed?.record !== 'delivery' || typeof entry.parsed.deliver_id !== 'string') continue;
+    const key = deliveryKey(
+      entry.parsed.deliver_id,
+      typeof entry.parsed.recipient === 'string' ? entry.parsed.recipient : undefined
+    );
+    if (!at.has(key)) at.set(key, entry.parsed.ts);
+  }
+  return at;
+}
+
+function deliveryStateOf(
+  message: MessageRecord,
+  at: ReadonlyMap<string, string>
+): Omit<MessageDeliveryState, 'message'> {
+  if (message.recipients === undefined) {
+    const deliveredAt = at.get(message.id);
+    return { delivered: deliveredAt !== undefined, ...(deliveredAt !== undefined ? { deliveredAt } : {}) };
+  }
+  const deliveries = message.recipients.map((recipient): RecipientDelivery => {
+    const deliveredAt = at.get(deliveryKey(message.id, recipient));
+    return { recipient, delivered: deliveredAt !== undefined, ...(deliveredAt !== undefined ? { deliveredAt } : {}) };
+  });
+  const delivered = deliveries.every((d) => d.delivered);
+  const last = delivered ? deliveries.map((d) => d.deliveredAt!).sort().pop() : undefined;
+  return { delivered, ...(last !== undefined ? { deliveredAt: last } : {}), deliveries };
 }
 
 /**
@@ -832,26 +1141,37 @@ export function getMessageDeliveryState(cawsDir: string, messageId: string): Res
   const loaded = readMessageLines(cawsDir);
   if (!loaded.ok) return err(loaded.errors);
   let target: MessageRecord | null = null;
-  let deliveredAt: string | undefined;
   for (const entry of loaded.value.lines) {
     if (entry.parsed?.record === 'message' && entry.parsed.id === messageId) {
       target = entry.parsed;
-    } else if (entry.parsed?.record === 'delivery' && entry.parsed.deliver_id === messageId) {
-      deliveredAt = entry.parsed.ts;
     }
   }
   if (target === null) return ok(null);
-  return ok({
-    message: target,
-    delivered: deliveredAt !== undefined,
-    ...(deliveredAt !== undefined ? { deliveredAt } : {}),
-  });
+  return ok({ message: target, ...deliveryStateOf(target, deliveryTimes(loaded.value.lines)) });
 }
 
 /** A channel-history entry: the message plus its derived delivery state. */
 export interface HistoryEntry extends MessageRecord {
   readonly delivered: boolean;
   readonly deliveredAt?: string;
+  readonly deliveries?: readonly RecipientDelivery[];
+}
+
+function historyOf(cawsDir: string, channel: string): Result<HistoryEntry[]> {
+  const loaded = readMessageLines(cawsDir);
+  if (!loaded.ok) return err(loaded.errors);
+  // Delivery times are collected over the whole log first: a message's
+  // delivery record ALWAYS trails the message in line order (delivery happens
+  // after the send), so a single interleaved pass would annotate every entry
+  // undelivered.
+  const at = deliveryTimes(loaded.value.lines);
+  const entries: HistoryEntry[] = [];
+  for (const entry of loaded.value.lines) {
+    if (entry.parsed?.record === 'message' && entry.parsed.channel === channel) {
+      entries.push({ ...entry.parsed, ...deliveryStateOf(entry.parsed, at) });
+    }
+  }
+  return ok(entries);
 }
 
 /**
@@ -861,31 +1181,16 @@ export interface HistoryEntry extends MessageRecord {
  * recipient's mailbox.
  */
 export function channelHistory(cawsDir: string, a: string, b: string): Result<HistoryEntry[]> {
-  const loaded = readMessageLines(cawsDir);
-  if (!loaded.ok) return err(loaded.errors);
-  const ch = channelId(a, b);
-  // Two passes: a message's delivery record ALWAYS trails the message in line
-  // order (delivery happens after the send), so a single interleaved pass
-  // would annotate every entry undelivered.
-  const deliveredAt = new Map<string, string>();
-  const channelMessages: MessageRecord[] = [];
-  for (const entry of loaded.value.lines) {
-    if (entry.parsed?.record === 'delivery' && typeof entry.parsed.deliver_id === 'string') {
-      // First delivery record wins for the timestamp (deliver-once; a second
-      // record for the same id would be a replay artifact, not a re-delivery).
-      if (!deliveredAt.has(entry.parsed.deliver_id)) deliveredAt.set(entry.parsed.deliver_id, entry.parsed.ts);
-    } else if (entry.parsed?.record === 'message' && entry.parsed.channel === ch) {
-      channelMessages.push(entry.parsed);
-    }
-  }
-  return ok(
-    channelMessages.map((message) => {
-      const at = deliveredAt.get(message.id);
-      return {
-        ...message,
-        delivered: at !== undefined,
-        ...(at !== undefined ? { deliveredAt: at } : {}),
-      };
-    })
-  );
+  return historyOf(cawsDir, channelId(a, b));
+}
+
+/**
+ * Full history of a topic:<name> or all: address, in order, each entry with
+ * its per-recipient delivery state. Readable by anyone, subscribed or not.
+ */
+export function fanoutHistory(cawsDir: string, address: string): Result<HistoryEntry[]> {
+  if (address === BROADCAST_ADDRESS) return historyOf(cawsDir, BROADCAST_ADDRESS);
+  const topic = normalizeTopic(address);
+  if (!topic.ok) return err(topic.errors);
+  return historyOf(cawsDir, topic.value);
 }
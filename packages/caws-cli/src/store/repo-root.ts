@@ -67,7 +67,8 @@ export const defaultGitRunner: GitRunner = (args, options) => {
  * The byte-identical twin formerly private to git-autocommit.ts and
  * worktrees-writer.ts. Spawns via execFileSync with stdio
  * `['ignore','pipe','pipe']` and utf8 encoding; on non-zero exit, captures
- * stderr into `reason` (falling back to the error message, then a literal).
+ * stderr into `reason` (falling back to the error message, then a literal)
+ * and any stdout into `stdout`.
  * (CAWS-REFACTOR-SHARED-UTILS-001.)
  *
  * NOTE: this is the result-shape helper. Divergent variants stay in place —
@@ -78,7 +79,7 @@ export const defaultGitRunner: GitRunner = (args, options) => {
 export function runGit(
   args: readonly string[],
   cwd: string
-): { ok: true; stdout: string } | { ok: false; reason: string } {
+): { ok: true; stdout: string } | { ok: false; reason: string; stdout?: string } {
   try {
     const stdout = execFileSync(resolveGitBinary(), [...args], {
       cwd,
@@ -87,7 +88,7 @@ export function runGit(
     });
     return { ok: true, stdout: stdout.toString() };
   } catch (e) {
-    const cause = e as { message?: string; stderr?: Buffer | string };
+    const cause = e as { message?: string; stderr?: Buffer | string; stdout?: Buffer | string };
     const stderr: string =
       cause.stderr instanceof Buffer
         ? cause.stderr.toString()
@@ -95,7 +96,14 @@ export function runGit(
           ? cause.stderr
           : '';
     const message: string = typeof cause.message === 'string' ? cause.message : '';
-    return { ok: false, reason: stderr || message || 'unknown git error' };
+    // Some commands report through stdout on a non-zero exit (merge-tree
+    // lists its conflicts there), so it is kept when present.
+    const stdout = cause.stdout !== undefined ? cause.stdout.toString() : '';
+    return {
+      ok: false,
+      reason: stderr || message || 'unknown git error',
+      ...(stdout !== '' ? { stdout } : {}),
+    };
   }
 }
 
@@ -84,6 +84,15 @@ export const STORE_RULES = {
    *  diagnostic). */
   EVENTS_ROTATE_PARTIAL_CORRUPTION:
     'store.events.rotate.partial_corruption',
+  /** rotateEvents was asked to verify the prior chain (verifyPrior, CLI:
+   *  --auto) and it did not parse strictly as a v11 chain or failed
+   *  verifyChain. An automatic rotation only ever archives a chain it can
+   *  label prior_chain_status: 'verified'. */
+  EVENTS_ROTATE_PRIOR_UNVERIFIED: 'store.events.rotate.prior_unverified',
+  /** The archive prune plan handed to rotateEvents was computed against a
+   *  different chain genesis than the one found under the lock (a
+   *  concurrent rotation). Nothing was rotated or deleted; re-plan. */
+  EVENTS_ROTATE_PRUNE_PLAN_STALE: 'store.events.rotate.prune_plan_stale',
   /** verify-archive recomputed the archive file's sha256 and it did not
    *  match the prior_file_digest committed in the most recent
    *  chain_rotated event. Tamper detection trip. */
@@ -98,6 +107,25 @@ export const STORE_RULES = {
    *  is structural (see CAWS-MIGRATE-V10-EVENTS-001 A10 invariant). */
   EVENTS_MIGRATE_PARTIAL_UPGRADE_REFUSED:
     'store.events.migrate.partial_upgrade_refused',
+  /** .caws/trusted-keys.yaml is unreadable or fails validateTrustedKeys.
+   *  The kernel rule is preserved in data.source_rule. */
+  EVENTS_TRUSTED_KEYS_INVALID: 'store.events.trusted_keys_invalid',
+  /** A local private key under .caws/keys/ could not be used to sign. The
+   *  append is refused rather than silently written unsigned. */
+  EVENTS_SIGNING_KEY_INVALID: 'store.events.signing_key_invalid',
+  /** keygen/trust refused: the key id already exists locally or in the
+   *  trusted key list. */
+  EVENTS_SIGNING_KEY_EXISTS: 'store.events.signing_key_exists',
+  /** A line read through .caws/cache/events-index.jsonl did not parse or
+   *  no longer hashed to the indexed event_hash: events.jsonl changed under
+   *  the index. Readers rebuild the index on the next load. */
+  EVENTS_INDEX_MISMATCH: 'store.events.index_mismatch',
+  /** An events export cursor file is not valid JSON of the cursor shape. */
+  EVENTS_EXPORT_CURSOR_INVALID: 'store.events.export.cursor_invalid',
+  /** An events export cursor does not point into the current chain or the
+   *  archive it rotated from (or was written for another format), so the
+   *  next event to export cannot be located. Nothing is exported. */
+  EVENTS_EXPORT_CURSOR_MISMATCH: 'store.events.export.cursor_mismatch',
 
   // ---- specs migration (CAWS-MIGRATE-V10-SPECS-001) -----------------------
   /** Scan failed to read .caws/specs/ directory. Structural — refuses
@@ -151,6 +179,43 @@ export const STORE_RULES = {
   /** yaml-patch refused because the target key was not found in the document. */
   YAML_PATCH_KEY_NOT_FOUND: 'store.yaml_patch.key_not_found',
 
+  // ---- worktree sync ------------------------------------------------------
+  /** `caws worktree sync` refused: the lane worktree has uncommitted
+   *  changes, or its HEAD is not on the lane branch (e.g. a rebase or merge
+   *  the operator left in progress). Nothing moved. */
+  WORKTREE_SYNC_DIRTY: 'store.worktree.sync.dirty',
+  /** One path the base and the lane both changed in ways git could not
+   *  merge. One diagnostic per path; data carries the path, git's conflict
+   *  kind and the commits involved. The lane branch and its worktree are
+   *  untouched — no merge or rebase is left in progress. */
+  WORKTREE_SYNC_CONFLICT: 'store.worktree.sync.conflict',
+
+  // ---- worktree merge queue -----------------------------------------------
+  /** .caws/state/merge-queue.json exists but is not a merge queue (bad JSON,
+   *  unknown version, malformed entry). Nothing is guessed or rewritten. */
+  WORKTREE_QUEUE_INVALID: 'store.worktree.queue.invalid',
+  /** `caws worktree queue add` refused: the worktree is already queued. */
+  WORKTREE_QUEUE_DUPLICATE: 'store.worktree.queue.duplicate',
+  /** `caws worktree queue add` refused: the worktree is not registered, is
+   *  not bound to a spec, records no branch/base, or belongs to another
+   *  session. Only the owner can hand a lane to the queue. */
+  WORKTREE_QUEUE_INELIGIBLE: 'store.worktree.queue.ineligible',
+  /** `caws worktree queue run` refused: another live process is running the
+   *  queue. A runner whose process is gone is replaced, not waited on. */
+  WORKTREE_QUEUE_BUSY: 'store.worktree.queue.busy',
+  /** `caws worktree queue add|run` refused: policy.yaml sets
+   *  `worktrees.merge_strategy: ff-only`. Every merge moves the base, so only
+   *  the first candidate could ever fast-forward. */
+  WORKTREE_QUEUE_FF_ONLY: 'store.worktree.queue.ff_only',
+
+  // ---- worktree conflict prediction ---------------------------------------
+  /** `caws worktree conflicts --name` named a worktree that is not an active
+   *  lane: not registered, no branch/base recorded, or its branch is gone. */
+  WORKTREE_CONFLICTS_NOT_ACTIVE: 'store.worktree.conflicts.not_active',
+  /** `git merge-tree` failed for a reason other than a conflict (git older
+   *  than 2.38, an unreadable object). No prediction is made for the pair. */
+  WORKTREE_CONFLICTS_GIT_FAILED: 'store.worktree.conflicts.git_failed',
+
   // ---- leases (MULTI-AGENT-ACTIVITY-REGISTRY-001) -------------------------
   /** Lease directory exists but is unreadable (permission denied, etc).
    *  Only failure mode for loadLeases — per-file failures are degraded
@@ -197,6 +262,14 @@ export const STORE_RULES = {
    *  session with a fresh heartbeat. The alias names a binding, not an
    *  address — resolution is refused rather than guessed. */
   MESSAGES_ALIAS_UNRESOLVED: 'store.messages.alias_unresolved',
+  /** A `topic:<name>` address (send, subscribe, history) whose name is empty
+   *  or outside ^[A-Za-z0-9._-]+$. Refused before anything is written. */
+  MESSAGES_TOPIC_INVALID: 'store.messages.topic_invalid',
+  /** A `topic:<name>` or `all:` send that would reach nobody: the topic has
+   *  no subscribers other than the sender, or no other session is live. No
+   *  message written — the same void the single-recipient liveness check
+   *  refuses. */
+  MESSAGES_NO_RECIPIENTS: 'store.messages.no_recipients',
 } as const;
 
 export type StoreRule = (typeof STORE_RULES)[keyof typeof STORE_RULES];
@@ -208,6 +281,7 @@ export const STORE_RULE_PREFIXES = [
   'store.specs.',
   'store.waivers.',
   'store.registry.',
+  'store.worktree.',
   'store.events.',
   'store.init.',
   'store.leases.',
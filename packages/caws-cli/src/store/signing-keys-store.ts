@@ -0,0 +1,268 @@
+// Event signing keys (Ed25519).
+//
+// Two files, two audiences:
+//
+//   .caws/trusted-keys.yaml   TRACKED. The public keys `caws events verify`
+//                             and doctor trust, each optionally bound to an
+//                             actor id and optionally revoked.
+//   .caws/keys/<key_id>.key   LOCAL, git-ignored. PKCS#8 PEM private keys,
+//                             written 0600. Never leave the machine.
+//
+// Signing is opt-in: a checkout with no `.caws/keys/` writes unsigned events
+// exactly as before. With local keys present, appendEvent (and rotateEvents)
+// sign every event they write with the key `selectSigningKey` picks:
+//
+//   1. a key whose trusted entry is bound to the event's actor id, else
+//   2. a key whose trusted entry has no actor binding, else
+//   3. a key not (yet) in the trusted list — it signs, and verify reports
+//      unknown_key until someone trusts it.
+//
+// Revoked keys are never selected. Ties break by key id so the choice is
+// stable. A key that cannot be read refuses the append rather than writing
+// an unsigned event the operator believes is signed.
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as yaml from 'js-yaml';
+import {
+  err,
+  isOk,
+  KEY_ID_REGEX,
+  ok,
+  publicKeyFromPrivate,
+  signEvent,
+  validateTrustedKeys,
+  type Actor,
+  type ChainedEvent,
+  type Diagnostic,
+  type Result,
+  type SigningKey,
+  type TrustedKey,
+} from '../kernel';
+import { writeFileAtomic } from './atomic-write';
+import { storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+import { readYamlSource } from './yaml-store';
+
+const TRUSTED_KEYS_FILE = 'trusted-keys.yaml';
+const KEYS_DIR = 'keys';
+const KEY_SUFFIX = '.key';
+
+export function trustedKeysPath(cawsDir: string): string {
+  return path.join(cawsDir, TRUSTED_KEYS_FILE);
+}
+
+export function localKeyPath(cawsDir: string, keyId: string): string {
+  return path.join(cawsDir, KEYS_DIR, `${keyId}${KEY_SUFFIX}`);
+}
+
+function wrapKernel(rule: string, errors: readonly Diagnostic[]): Diagnostic[] {
+  return errors.map((d) => ({
+    ...d,
+    rule,
+    data: { ...(d.data ?? {}), source_rule: d.rule },
+  }));
+}
+
+/**
+ * Load and validate `.caws/trusted-keys.yaml`. A missing file is an empty
+ * list — signatures are optional until a policy cutoff says otherwise.
+ * Parsed with the CORE schema so `revoked_at` stays a string.
+ */
+export function loadTrustedKeys(cawsDir: string): Result<readonly TrustedKey[]> {
+  const filePath = trustedKeysPath(cawsDir);
+  const source = readYamlSource(filePath);
+  if (!isOk(source)) {
+    if (source.errors.some((e) => e.rule === STORE_RULES.READ_MISSING_FILE)) return ok([]);
+    return err(source.errors);
+  }
+  let parsed: unknown;
+  try {
+    parsed = yaml.load(source.value, { schema: yaml.CORE_SCHEMA });
+  } catch (e) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.READ_YAML_INVALID,
+        `YAML parse failed in ${filePath}: ${(e as { message?: string }).message ?? 'unknown error'}.`,
+        { subject: filePath }
+      )
+    );
+  }
+  if (parsed === undefined || parsed === null) return ok([]);
+  const validated = validateTrustedKeys(parsed);
+  if (!isOk(validated)) {
+    return err(wrapKernel(STORE_RULES.EVENTS_TRUSTED_KEYS_INVALID, validated.errors));
+  }
+  return ok(validated.value);
+}
+
+/** Key ids with a private key under `.caws/keys/`, sorted. */
+export function listLocalSigningKeys(cawsDir: string): readonly string[] {
+  let names: string[];
+  try {
+    names = fs.readdirSync(path.join(cawsDir, KEYS_DIR));
+  } catch {
+    return [];
+  }
+  return names
+    .filter((n) => n.endsWith(KEY_SUFFIX))
+    .map((n) => n.slice(0, -KEY_SUFFIX.length))
+    .filter((id) => KEY_ID_REGEX.test(id))
+    .sort();
+}
+
+/**
+ * Pick the local key that signs an event from `actor` (see the module
+ * header for the order). Ok(null) means "write unsigned".
+ */
+export function selectSigningKey(cawsDir: string, actor: Actor): Result<SigningKey | null> {
+  const local = listLocalSigningKeys(cawsDir);
+  if (local.length === 0) return ok(null);
+
+  const trusted = loadTrustedKeys(cawsDir);
+  if (!isOk(trusted)) return err(trusted.errors);
+  const byId = new Map(trusted.value.map((k) => [k.key_id, k]));
+
+  const rank = (keyId: string): number => {
+    const entry = byId.get(keyId);
+    if (entry === undefined) return 3;
+    if (entry.revoked_at !== undefined) return Number.POSITIVE_INFINITY;
+    if (entry.actor_id === undefined) return 2;
+    return entry.actor_id === actor.id ? 1 : Number.POSITIVE_INFINITY;
+  };
+  const chosen = local
+    .map((keyId) => ({ keyId, rank: rank(keyId) }))
+    .filter((c) => Number.isFinite(c.rank))
+    .sort((a, b) => a.rank - b.rank)[0];
+  if (chosen === undefined) return ok(null);
+
+  const keyPath = localKeyPath(cawsDir, chosen.keyId);
+  try {
+    return ok({ key_id: chosen.keyId, private_key: fs.readFileSync(keyPath, 'utf8') });
+  } catch (e) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.EVENTS_SIGNING_KEY_INVALID,
+        `Failed to read signing key ${keyPath}: ${(e as { message?: string }).message ?? 'unknown error'}.`,
+        { subject: keyPath }
+      )
+    );
+  }
+}
+
+/**
+ * Sign a freshly prepared event with the selected local key, or return it
+ * unchanged when no key applies. Called by the events store under its lock.
+ */
+export function signWithLocalKey(cawsDir: string, event: ChainedEvent): Result<ChainedEvent> {
+  const selected = selectSigningKey(cawsDir, event.actor);
+  if (!isOk(selected)) return err(selected.errors);
+  if (selected.value === null) return ok(event);
+  const signed = signEvent(event, selected.value);
+  if (!isOk(signed)) {
+    return err(wrapKernel(STORE_RULES.EVENTS_SIGNING_KEY_INVALID, signed.errors));
+  }
+  return ok(signed.value);
+}
+
+export interface GeneratedSigningKey {
+  readonly key_id: string;
+  readonly public_key: string;
+  readonly path: string;
+}
+
+/**
+ * Generate an Ed25519 key pair and write the private half to
+ * `.caws/keys/<key_id>.key` (0600). Refuses to overwrite an existing key.
+ */
+export function generateSigningKey(cawsDir: string, keyId: string): Result<GeneratedSigningKey> {
+  if (!KEY_ID_REGEX.test(keyId)) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.EVENTS_SIGNING_KEY_INVALID,
+        `Key id "${keyId}" must match ${KEY_ID_REGEX.source}.`,
+        { subject: keyId }
+      )
+    );
+  }
+  const keyPath = localKeyPath(cawsDir, keyId);
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const pem = privateKey.export({ format: 'pem', type: 'pkcs8' }).toString();
+  try {
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyPath, pem, { flag: 'wx', mode: 0o600 });
+  } catch (e) {
+    const cause = e as { code?: string; message?: string };
+    if (cause.code === 'EEXIST') {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.EVENTS_SIGNING_KEY_EXISTS,
+          `A signing key named "${keyId}" already exists at ${keyPath}.`,
+          { subject: keyPath, narrowRepair: 'Choose a different --key-id.' }
+        )
+      );
+    }
+    return err(
+      storeDiagnostic(
+        STORE_RULES.WRITE_IO_FAILED,
+        `Failed to write signing key ${keyPath}: ${cause.message ?? 'unknown error'}.`,
+        { subject: keyPath, data: { code: cause.code } }
+      )
+    );
+  }
+  return ok({ key_id: keyId, public_key: publicKeyFromPrivate(pem), path: keyPath });
+}
+
+/**
+ * Append a key to `.caws/trusted-keys.yaml`, creating the file if needed.
+ * Existing entries are re-serialized in their current order; a duplicate
+ * key id is refused (revoke by editing `revoked_at`, never by reusing ids).
+ */
+export function addTrustedKey(cawsDir: string, key: TrustedKey): Result<readonly TrustedKey[]> {
+  const current = loadTrustedKeys(cawsDir);
+  if (!isOk(current)) return err(current.errors);
+  const filePath = trustedKeysPath(cawsDir);
+  if (current.value.some((k) => k.key_id === key.key_id)) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.EVENTS_SIGNING_KEY_EXISTS,
+        `Key id "${key.key_id}" is already in ${TRUSTED_KEYS_FILE}.`,
+        { subject: filePath }
+      )
+    );
+  }
+  const next = [...current.value, key];
+  const validated = validateTrustedKeys({ version: 1, keys: next });
+  if (!isOk(validated)) {
+    return err(wrapKernel(STORE_RULES.EVENTS_TRUSTED_KEYS_INVALID, validated.errors));
+  }
+  const written = writeFileAtomic(filePath, serializeTrustedKeys(next));
+  if (!isOk(written)) return err(written.errors);
+  return ok(next);
+}
+
+/**
+ * Deterministic serialization, built by hand like the waiver writer so
+ * timestamps stay quoted strings and diffs stay one-key-per-block.
+ */
+function serializeTrustedKeys(keys: readonly TrustedKey[]): string {
+  const lines: string[] = [
+    '# Public keys trusted to sign .caws/events.jsonl. Committed; private keys',
+    '# live in the git-ignored .caws/keys/. Revoke a key by setting revoked_at.',
+    'version: 1',
+    keys.length === 0 ? 'keys: []' : 'keys:',
+  ];
+  for (const k of keys) {
+    lines.push(`  - key_id: ${yamlQuote(k.key_id)}`);
+    lines.push(`    public_key: ${yamlQuote(k.public_key)}`);
+    if (k.actor_id !== undefined) lines.push(`    actor_id: ${yamlQuote(k.actor_id)}`);
+    if (k.added_at !== undefined) lines.push(`    added_at: ${yamlQuote(k.added_at)}`);
+    if (k.revoked_at !== undefined) lines.push(`    revoked_at: ${yamlQuote(k.revoked_at)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function yamlQuote(value: string): string {
+  return `'${value.replace(/'/g, "''")}'`;
+}
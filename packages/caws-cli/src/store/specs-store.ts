@@ -20,6 +20,7 @@ import * as path from 'path';
 import {
   isOk,
   parseAndValidateSpec,
+  SPEC_ID_REGEX,
   type Diagnostic,
   type Spec,
 } from '../kernel';
@@ -132,3 +133,29 @@ export function loadSpecs(cawsDir: string): SpecsLoadResult {
 
   return { specs: validSpecs, diagnostics };
 }
+
+/**
+ * Spec ids present in `.caws/specs/.archive/`, read from filenames, sorted.
+ *
+ * The archive is too large to parse on every read, and archiveSpec moves
+ * `<id>.yaml` under the same name, so the filename is the id by
+ * construction. Names that are not spec ids (`<id>.superseded-<ts>.yaml`
+ * snapshots) are skipped. Returns `undefined` when the archive exists but
+ * cannot be read, so callers can tell "no archived specs" from "could not
+ * look".
+ */
+export function listArchivedSpecIds(cawsDir: string): readonly string[] | undefined {
+  const archiveDir = path.join(cawsDir, 'specs', '.archive');
+  if (!fs.existsSync(archiveDir)) return [];
+  let names: string[];
+  try {
+    names = fs.readdirSync(archiveDir);
+  } catch {
+    return undefined;
+  }
+  return names
+    .filter(isYamlPath)
+    .map((name) => name.replace(/\.ya?ml$/, ''))
+    .filter((id) => SPEC_ID_REGEX.test(id))
+    .sort();
+}
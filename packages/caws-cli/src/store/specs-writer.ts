@@ -377,6 +377,11 @@ export interface RecordSpecEvidenceInput {
   readonly exitCode?: number;
   readonly artifactPath?: string;
   readonly commitSha?: string;
+  /** Set by `caws specs verify`, which ran the command itself. */
+  readonly durationMs?: number;
+  readonly outputDigest?: string;
+  /** The command ran against uncommitted changes; commitSha is then absent. */
+  readonly dirtyTree?: boolean;
   readonly now?: () => Date;
   readonly actor: EventBody['actor'];
 }
@@ -3644,6 +3649,9 @@ function patchEvidenceBlock(
     exit_code?: number;
     artifact_path?: string;
     commit_sha?: string;
+    duration_ms?: number;
+    output_digest?: string;
+    dirty_tree?: true;
   }
 ): string | null {
   const lines = source.split('\n');
@@ -3710,6 +3718,9 @@ function renderEvidenceEntry(
     exit_code?: number;
     artifact_path?: string;
     commit_sha?: string;
+    duration_ms?: number;
+    output_digest?: string;
+    dirty_tree?: true;
   },
   baseIndent: number
 ): string {
@@ -3730,6 +3741,9 @@ function renderEvidenceEntry(
   if (entry.exit_code !== undefined) fields.push(`exit_code: ${entry.exit_code}`);
   pushStr('artifact_path', entry.artifact_path);
   pushStr('commit_sha', entry.commit_sha);
+  if (entry.duration_ms !== undefined) fields.push(`duration_ms: ${entry.duration_ms}`);
+  pushStr('output_digest', entry.output_digest);
+  if (entry.dirty_tree === true) fields.push('dirty_tree: true');
   return fields.map((f, i) => `${i === 0 ? dash : cont}${f}`).join('\n');
 }
 
@@ -3844,6 +3858,9 @@ export function recordSpecEvidence(
     ...(input.exitCode !== undefined ? { exit_code: input.exitCode } : {}),
     ...(input.artifactPath !== undefined ? { artifact_path: input.artifactPath } : {}),
     ...(input.commitSha !== undefined ? { commit_sha: input.commitSha } : {}),
+    ...(input.durationMs !== undefined ? { duration_ms: input.durationMs } : {}),
+    ...(input.outputDigest !== undefined ? { output_digest: input.outputDigest } : {}),
+    ...(input.dirtyTree === true ? { dirty_tree: true as const } : {}),
   };
 
   const patched = patchEvidenceBlock(originalBytes, entryRecord);
@@ -3883,6 +3900,9 @@ export function recordSpecEvidence(
       ...(input.exitCode !== undefined ? { exit_code: input.exitCode } : {}),
       ...(input.artifactPath !== undefined ? { artifact_path: input.artifactPath } : {}),
       ...(input.commitSha !== undefined ? { commit_sha: input.commitSha } : {}),
+      ...(input.durationMs !== undefined ? { duration_ms: input.durationMs } : {}),
+      ...(input.outputDigest !== undefined ? { output_digest: input.outputDigest } : {}),
+      ...(input.dirtyTree === true ? { dirty_tree: true } : {}),
     },
   } as unknown as EventBody;
 
@@ -19,6 +19,7 @@ import type {
   Policy,
   Spec,
   Waiver,
+  WaiverUsage,
   WorktreeRegistry,
 } from '../kernel';
 
@@ -51,6 +52,30 @@ export interface PolicyLoadResult {
   readonly errors: readonly Diagnostic[];
 }
 
+// ----------------------------------------------------------------------------
+// ArchivePrunePlan — events-archive-lineage.planArchivePruning → rotateEvents
+// ----------------------------------------------------------------------------
+
+/** An archive an automatic rotation deletes; recorded in chain_rotated.pruned_archives. */
+export interface PrunedArchive {
+  /** Archive name relative to .caws/, as the rotation that created it recorded it. */
+  readonly file: string;
+  readonly digest: string;
+  readonly line_count: number;
+}
+
+export interface ArchivePrunePlan {
+  /** event_hash of the live chain's genesis the plan was computed from. */
+  readonly anchor: string;
+  /** Oldest first. */
+  readonly archives: readonly PrunedArchive[];
+  /**
+   * waiver_applied uses recorded in `archives`, carried into the new
+   * genesis as waiver_usage so deleting them does not reset max_uses.
+   */
+  readonly waiverUsage: Readonly<Record<string, number>>;
+}
+
 // ----------------------------------------------------------------------------
 // EventsLoadResult — output of events-store.loadEvents
 // ----------------------------------------------------------------------------
@@ -82,6 +107,8 @@ export interface StoreSnapshot {
   readonly specs: readonly Spec[];
   /** Per-file diagnostics from loadSpecs. */
   readonly specDiagnostics: readonly Diagnostic[];
+  /** Archived spec ids (filenames); undefined when the archive is unreadable. */
+  readonly archivedSpecIds?: readonly string[];
   /** Parsed policy if present. */
   readonly policy?: Policy;
   /** Non-fatal diagnostics from the policy kernel. */
@@ -149,6 +176,8 @@ export interface StoreSnapshot {
     readonly worktreesJsonExists: boolean;
     readonly agentsJsonExists: boolean;
     readonly eventsJsonlExists: boolean;
+    /** Size of events.jsonl in bytes; 0 when absent. */
+    readonly eventsJsonlBytes: number;
     /**
      * CAWS-DOCTOR-HOOKS-NO-CAWS-DRIFT-001: whether the CAWS hook pack is
      * installed under `.claude/hooks/` (detected by marker guard hooks).
@@ -176,6 +205,19 @@ export interface StoreSnapshot {
   readonly gitWorktrees?: readonly GitWorktreeEntry[];
   readonly gitObservationFailure?: string;
 
+  /**
+   * Tracked file paths from `git ls-files`. Observed only when at least
+   * one loaded waiver carries `scope.paths` (the only consumer), and
+   * undefined when that observation was skipped or failed.
+   */
+  readonly trackedPaths?: readonly string[];
+
+  /**
+   * Waiver usage ledger across archived and live chain segments. Built
+   * only when at least one loaded waiver declares `constraints.max_uses`.
+   */
+  readonly waiverUsage?: WaiverUsage;
+
   /**
    * Diagnostics from worktrees.json / agents.json load failures that
    * the previous shape silently swallowed (the snapshot fell back to
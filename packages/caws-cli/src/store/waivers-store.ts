@@ -16,6 +16,7 @@ import * as fs from 'fs';
 import * as path from 'path';
 
 import {
+  deriveWaiverUsage,
   isOk,
   validateWaiver,
   err,
@@ -23,9 +24,12 @@ import {
   type Diagnostic,
   type Result,
   type Waiver,
+  type WaiverUsage,
+  type WaiverUsageEvent,
 } from '../kernel';
 
 import { writeFileAtomic } from './atomic-write';
+import { listEventArchives, loadEvents, readEventArchive } from './events-store';
 import { storeDiagnostic } from './repo-root';
 import { STORE_RULES } from './rules';
 import { readYamlFile } from './yaml-store';
@@ -147,6 +151,36 @@ export function loadWaivers(cawsDir: string): WaiversLoadResult {
   return { waivers: validWaivers, diagnostics };
 }
 
+export interface WaiverUsageLoadResult {
+  readonly usage: WaiverUsage;
+  readonly diagnostics: readonly Diagnostic[];
+}
+
+/**
+ * Build the waiver usage ledger from every chain segment on disk: the
+ * archived segments rotation left behind (oldest first), then the live
+ * events.jsonl. Archives are included so a rotation does not reset
+ * every waiver's use count; uses in archives a rotation pruned are
+ * counted through the waiver_usage its chain_rotated genesis carries.
+ *
+ * A segment that cannot be read contributes no uses and a diagnostic;
+ * the ledger is still returned so callers can decide how loudly to
+ * surface the gap.
+ */
+export function loadWaiverUsage(cawsDir: string): WaiverUsageLoadResult {
+  const events: WaiverUsageEvent[] = [];
+  const diagnostics: Diagnostic[] = [];
+  for (const name of listEventArchives(cawsDir)) {
+    const archive = readEventArchive(cawsDir, name);
+    if (isOk(archive)) events.push(...archive.value.records);
+    else diagnostics.push(...archive.errors);
+  }
+  const live = loadEvents(cawsDir);
+  if (isOk(live)) events.push(...live.value.events);
+  else diagnostics.push(...live.errors);
+  return { usage: deriveWaiverUsage(events), diagnostics };
+}
+
 /**
  * Write a waiver atomically to `.caws/waivers/<id>.yaml`. Refuses
  * to overwrite an existing file (use markRevoked to update status).
@@ -256,6 +290,10 @@ function serializeWaiver(w: Waiver): string {
   if (w.scope !== undefined) {
     lines.push('scope:');
     if (w.scope.spec_id !== undefined) lines.push(`  spec_id: ${w.scope.spec_id}`);
+    if (w.scope.paths !== undefined) {
+      lines.push('  paths:');
+      for (const p of w.scope.paths) lines.push(`    - ${yamlQuote(p)}`);
+    }
   }
   if (w.constraints !== undefined) {
     lines.push('constraints:');
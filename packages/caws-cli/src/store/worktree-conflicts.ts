@@ -0,0 +1,238 @@
+// Worktree conflict prediction — `caws worktree conflicts` and the doctor's
+// collision check.
+//
+// Every active lane (registered, branch and base recorded, branch present)
+// is merged in memory with `git merge-tree --write-tree`: once against its
+// base tip, and once against every other active lane on the same base. Each
+// merge reports the paths git could not merge; the conflict hunks are read
+// back from the merged tree, which carries the markers.
+//
+// Read-only as far as refs, worktrees and the index go. merge-tree writes
+// unreferenced tree and blob objects, which `git gc` collects.
+
+import { err, isOk, ok, type Diagnostic, type Result, type WorktreeRecord } from '../kernel';
+import { repoRootFromCawsDir, runGit, storeDiagnostic } from './repo-root';
+import { STORE_RULES } from './rules';
+import { loadWorktrees } from './worktrees-store';
+
+/** One side of a predicted merge: a worktree lane, or a base branch. */
+export interface ConflictSide {
+  /** The worktree name; absent when this side is the base branch. */
+  readonly worktree?: string;
+  readonly branch: string;
+}
+
+/** One block between conflict markers, as 1-based lines of the merged file. */
+export interface ConflictHunk {
+  readonly start: number;
+  readonly end: number;
+  /** The left side's lines. */
+  readonly left: readonly string[];
+  /** The right side's lines. */
+  readonly right: readonly string[];
+}
+
+export interface PredictedConflict {
+  readonly path: string;
+  /** git's conflict kind: content, add/add, modify/delete, rename/delete, … */
+  readonly kind?: string;
+  /** Empty when git left no markers (modify/delete, binary files). */
+  readonly hunks: readonly ConflictHunk[];
+}
+
+export interface ConflictCheck {
+  /** base: a lane against its base tip. pair: two lanes against each other. */
+  readonly kind: 'base' | 'pair';
+  /** The base branch the lanes land on. */
+  readonly baseBranch: string;
+  readonly left: ConflictSide;
+  readonly right: ConflictSide;
+  readonly conflicts: readonly PredictedConflict[];
+}
+
+export interface WorktreeConflictsReport {
+  /** The active lanes that were checked, by name. */
+  readonly lanes: readonly string[];
+  /** Registered worktrees that are not active lanes, and why. */
+  readonly skipped: readonly { readonly name: string; readonly reason: string }[];
+  /** Every merge checked, clean or not, base checks first. */
+  readonly checks: readonly ConflictCheck[];
+}
+
+export interface PredictConflictsInput {
+  /** Only this lane: against its base and against each other lane. */
+  readonly name?: string;
+  /** Skip the base checks; pairs of lanes only. */
+  readonly pairsOnly?: boolean;
+}
+
+interface ActiveLane {
+  readonly name: string;
+  readonly branch: string;
+  readonly baseBranch: string;
+}
+
+function laneOf(
+  repoRoot: string,
+  name: string,
+  record: WorktreeRecord
+): ActiveLane | { reason: string } {
+  if (record.branch === undefined || record.baseBranch === undefined) {
+    return { reason: 'no branch or base branch recorded' };
+  }
+  if (!runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${record.branch}`], repoRoot).ok) {
+    return { reason: `branch ${record.branch} does not exist` };
+  }
+  return { name, branch: record.branch, baseBranch: record.baseBranch };
+}
+
+/**
+ * Predict the conflicts between active lanes and their bases, and between
+ * pairs of lanes that share a base. Lanes on different bases are never
+ * paired: neither lands where the other does.
+ */
+export function predictWorktreeConflicts(
+  cawsDir: string,
+  input: PredictConflictsInput = {}
+): Result<WorktreeConflictsReport> {
+  const registry = loadWorktrees(cawsDir);
+  if (!isOk(registry)) return err(registry.errors);
+  const repoRoot = repoRootFromCawsDir(cawsDir);
+
+  const lanes: ActiveLane[] = [];
+  const skipped: { name: string; reason: string }[] = [];
+  for (const name of Object.keys(registry.value).sort()) {
+    const lane = laneOf(repoRoot, name, registry.value[name]!);
+    if ('reason' in lane) skipped.push({ name, reason: lane.reason });
+    else lanes.push(lane);
+  }
+
+  let focus: ActiveLane | undefined;
+  if (input.name !== undefined) {
+    focus = lanes.find((l) => l.name === input.name);
+    if (focus === undefined) {
+      const why = skipped.find((s) => s.name === input.name)?.reason ?? 'it is not registered';
+      return err(
+        storeDiagnostic(
+          STORE_RULES.WORKTREE_CONFLICTS_NOT_ACTIVE,
+          `Worktree "${input.name}" is not an active lane: ${why}.`,
+          {
+            subject: input.name,
+            narrowRepair: 'Run `caws worktree list` to see registered worktrees.',
+          }
+        )
+      );
+    }
+  }
+
+  const checks: ConflictCheck[] = [];
+  if (input.pairsOnly !== true) {
+    for (const lane of focus !== undefined ? [focus] : lanes) {
+      const left: ConflictSide = { branch: lane.baseBranch };
+      const right: ConflictSide = { worktree: lane.name, branch: lane.branch };
+      const check = predictMerge(repoRoot, 'base', lane.baseBranch, left, right);
+      if (!isOk(check)) return err(check.errors);
+      checks.push(check.value);
+    }
+  }
+  for (let i = 0; i < lanes.length; i++) {
+    for (let j = i + 1; j < lanes.length; j++) {
+      const a = lanes[i]!;
+      const b = lanes[j]!;
+      if (a.baseBranch !== b.baseBranch) continue;
+      if (focus !== undefined && a !== focus && b !== focus) continue;
+      const check = predictMerge(
+        repoRoot,
+        'pair',
+        a.baseBranch,
+        { worktree: a.name, branch: a.branch },
+        { worktree: b.name, branch: b.branch }
+      );
+      if (!isOk(check)) return err(check.errors);
+      checks.push(check.value);
+    }
+  }
+
+  return ok({
+    lanes: focus !== undefined ? [focus.name] : lanes.map((l) => l.name),
+    skipped: focus !== undefined ? [] : skipped,
+    checks,
+  });
+}
+
+/**
+ * `git merge-tree --write-tree <left> <right>`. Exit 0 is a clean merge;
+ * exit 1 lists the conflicted stages, a blank line and git's messages;
+ * anything else is a failure, not a prediction.
+ */
+function predictMerge(
+  repoRoot: string,
+  kind: ConflictCheck['kind'],
+  baseBranch: string,
+  left: ConflictSide,
+  right: ConflictSide
+): Result<ConflictCheck> {
+  const merged = runGit(['merge-tree', '--write-tree', left.branch, right.branch], repoRoot);
+  if (merged.ok) return ok({ kind, baseBranch, left, right, conflicts: [] });
+
+  const lines = (merged.stdout ?? '').split('\n');
+  const tree = lines[0]?.trim() ?? '';
+  if (!/^[0-9a-f]{40,64}$/.test(tree)) {
+    return err(gitFailed(left, right, merged.reason));
+  }
+  const blank = lines.indexOf('', 1);
+  const stages = lines.slice(1, blank === -1 ? undefined : blank);
+  const messages = blank === -1 ? [] : lines.slice(blank + 1);
+  const paths = [
+    ...new Set(stages.map((l) => l.slice(l.indexOf('\t') + 1)).filter((p) => p.length > 0)),
+  ];
+  const conflicts = paths.map((p): PredictedConflict => {
+    const message = messages.find((m) => m.startsWith('CONFLICT (') && m.includes(p)) ?? '';
+    const conflictKind = /^CONFLICT \(([^)]+)\)/.exec(message)?.[1];
+    const blob = runGit(['cat-file', '-p', `${tree}:${p}`], repoRoot);
+    return {
+      path: p,
+      ...(conflictKind !== undefined ? { kind: conflictKind } : {}),
+      hunks: blob.ok ? conflictHunks(blob.stdout) : [],
+    };
+  });
+  return ok({ kind, baseBranch, left, right, conflicts });
+}
+
+function gitFailed(left: ConflictSide, right: ConflictSide, reason: string): Diagnostic {
+  return storeDiagnostic(
+    STORE_RULES.WORKTREE_CONFLICTS_GIT_FAILED,
+    `git merge-tree ${left.branch} ${right.branch} failed: ${reason.trim()}`,
+    {
+      subject: right.worktree ?? right.branch,
+      narrowRepair: 'Conflict prediction needs git 2.38 or later (`git merge-tree --write-tree`).',
+    }
+  );
+}
+
+/**
+ * The marker blocks of a merged file. A diff3 or zdiff3 base section
+ * (`|||||||` up to `=======`) belongs to neither side and is dropped.
+ */
+function conflictHunks(text: string): ConflictHunk[] {
+  const hunks: ConflictHunk[] = [];
+  let open: { start: number; left: string[]; right: string[] } | null = null;
+  let side: 'left' | 'base' | 'right' = 'left';
+  text.split('\n').forEach((line, i) => {
+    if (open === null) {
+      if (line.startsWith('<<<<<<<')) {
+        open = { start: i + 1, left: [], right: [] };
+        side = 'left';
+      }
+      return;
+    }
+    if (line.startsWith('|||||||')) side = 'base';
+    else if (line === '=======' || line.startsWith('======= ')) side = 'right';
+    else if (line.startsWith('>>>>>>>')) {
+      hunks.push({ start: open.start, end: i + 1, left: open.left, right: open.right });
+      open = null;
+    } else if (side === 'left') open.left.push(line);
+    else if (side === 'right') open.right.push(line);
+  });
+  return hunks;
+}
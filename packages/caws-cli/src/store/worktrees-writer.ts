@@ -27,6 +27,7 @@
 //   - Run rm -rf on any path.
 
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
 
 import {
@@ -40,7 +41,13 @@ import {
   type Result,
   type SessionIdentity,
   type Diagnostic,
+  DEFAULT_WORKTREE_MERGE_STRATEGY,
+  mergeStrategyWritesCommit,
   WORKTREE_NAME_REGEX,
+  type WorktreeMergeStrategy,
+  type WorktreeRecord,
+  type WorktreeRegistry,
+  type WorktreeSyncStrategy,
 } from '../kernel';
 
 import { applyRegistryPatch } from './apply-patch';
@@ -52,9 +59,10 @@ import {
   removeWorktreeArtifactLinks,
 } from './worktree-artifacts';
 import { closeSpec, type SpecWriterOutcome } from './specs-writer';
+import { loadPolicy } from './policy-store';
 import { loadSpecs } from './specs-store';
 import { loadWorktrees } from './worktrees-store';
-import { runLifecycleTransaction } from './lifecycle-transaction';
+import { runLifecycleTransaction, type LifecycleFileWrite } from './lifecycle-transaction';
 import { withLifecycleLock } from './lifecycle-lock';
 import {
   admitsOwner,
@@ -81,6 +89,9 @@ export interface CreateWorktreeInput {
   /** Optional: new branch name for the worktree. Defaults to the
    *  worktree name. */
   readonly branch?: string;
+  /** Optional: a registered worktree to stack on. The new worktree forks
+   *  from the parent's branch, which becomes its base branch. */
+  readonly parent?: string;
   readonly session: SessionIdentity;
   readonly actor: EventBody['actor'];
   readonly now?: () => Date;
@@ -154,6 +165,13 @@ export interface DestroyWorktreeInput {
    * (CAWS-FIX-WORKTREE-MERGE-CWD-SELF-DESTRUCT-GUARD-001.)
    */
   readonly callerCwd?: string;
+  /**
+   * The session that handed this worktree to the merge queue. Admitted as
+   * the owner while it still IS the registered owner, so the queue runner
+   * can tear down a lane it merged on the owner's behalf. See
+   * MergeWorktreeInput.queuedBy.
+   */
+  readonly queuedBy?: string;
 }
 
 export interface UntrackWorktreeInput {
@@ -179,8 +197,17 @@ export interface MergeWorktreeInput {
    *  writes, no event appends. */
   readonly dryRun?: boolean;
   /** Optional commit message for the merge commit. Defaults to a
-   *  conventional "merge(worktree): <name>" form. */
+   *  conventional "merge(worktree): <name>" form ("squash(worktree): <name>"
+   *  under squash). Refused under rebase and ff-only, which write no commit
+   *  of their own. */
   readonly message?: string;
+  /**
+   * How the lane lands on the base: merge (the default, a --no-ff merge
+   * commit), squash, rebase or ff-only. Absent means policy.yaml
+   * `worktrees.merge_strategy`, else merge — so every caller, not only the
+   * CLI, honors the project's history shape.
+   */
+  readonly strategy?: WorktreeMergeStrategy;
   /**
    * Optional closure notes authored by the operator and supplied at merge
    * time (CAWS-FEAT-WORKTREE-MERGE-CLOSURE-NOTES-FLAG-01). When present,
@@ -215,13 +242,27 @@ export interface MergeWorktreeInput {
    * (CAWS-FIX-WORKTREE-MERGE-CWD-SELF-DESTRUCT-GUARD-001.)
    */
   readonly callerCwd?: string;
+  /**
+   * The session that enqueued this worktree with `caws worktree queue add`.
+   * Enqueueing is the owner's consent for whoever runs the queue to merge
+   * the lane, so this session is admitted as the owner — but only while it
+   * still is the registered owner: a takeover after the enqueue voids it.
+   */
+  readonly queuedBy?: string;
+  /**
+   * Land only on this base tip. The merge queue gates a candidate against
+   * the base as it stands, then merges with that tip pinned: if the base
+   * moved in between, the merge is refused instead of recomputed, because
+   * the gates never saw the new base.
+   */
+  readonly expectedBaseTip?: string;
 }
 
 export type WorktreeWriterOutcome =
   | {
       readonly kind: 'success';
       readonly name: string;
-      readonly action: 'created' | 'bound' | 'destroyed' | 'merged' | 'pruned' | 'untracked';
+      readonly action: 'created' | 'bound' | 'destroyed' | 'merged' | 'synced' | 'pruned' | 'untracked';
       readonly data?: Record<string, unknown>;
     }
   | {
@@ -291,6 +332,19 @@ function realpathOrLiteral(p: string): string {
  * for the descendant test so `/foo/wt-bar` does not match `/foo/wt-barbaz`.
  * (CAWS-FIX-WORKTREE-MERGE-CWD-SELF-DESTRUCT-GUARD-001.)
  */
+/**
+ * Ownership admission for destroy and merge: some identity the invoker can
+ * speak for is the registered owner, or the owner itself queued the lane
+ * for merge (`queuedBy`, see MergeWorktreeInput.queuedBy).
+ */
+function ownerAdmits(
+  candidates: SessionCandidates,
+  ownerSessionId: string,
+  queuedBy: string | undefined
+): boolean {
+  return admitsOwner(candidates, ownerSessionId) !== null || queuedBy === ownerSessionId;
+}
+
 function isCwdInsideWorktree(callerCwd: string, wtPath: string): boolean {
   const cwdReal = realpathOrLiteral(callerCwd);
   const wtReal = realpathOrLiteral(wtPath);
@@ -837,8 +891,39 @@ export function createWorktree(
     );
   }
 
+  // A stacked worktree forks from its parent's branch; an explicit base
+  // branch that names anything else contradicts --on.
+  let parentBranch: string | undefined;
+  if (input.parent !== undefined) {
+    const parent = registry.value[input.parent];
+    if (parent === undefined || parent.branch === undefined) {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+          parent === undefined
+            ? `Parent worktree "${input.parent}" is not registered.`
+            : `Parent worktree "${input.parent}" has no branch recorded.`,
+          {
+            subject: input.name,
+            narrowRepair: 'Run `caws worktree list` to see registered worktrees.',
+          }
+        )
+      );
+    }
+    if (input.baseBranch !== undefined && input.baseBranch !== parent.branch) {
+      return err(
+        storeDiagnostic(
+          STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+          `--base-branch ${input.baseBranch} contradicts --on ${input.parent}, whose branch is ${parent.branch}.`,
+          { subject: input.name, narrowRepair: 'Pass --on or --base-branch, not both.' }
+        )
+      );
+    }
+    parentBranch = parent.branch;
+  }
+
   const repoRoot = repoRootFromCawsDir(cawsDir);
-  const baseBranch = input.baseBranch ?? getCurrentBranch(repoRoot);
+  const baseBranch = parentBranch ?? input.baseBranch ?? getCurrentBranch(repoRoot);
   if (baseBranch === null) {
     return err(
       storeDiagnostic(
@@ -952,6 +1037,7 @@ export function createWorktree(
       base_branch: baseBranch,
       path: wtPath,
       owner_session_id: input.session.session_id,
+      ...(input.parent !== undefined ? { parent: input.parent } : {}),
     },
   } as unknown as EventBody;
 
@@ -984,13 +1070,14 @@ export function createWorktree(
     if (!isOk(applyResult)) return err(applyResult.errors);
 
     // Augment the entry with descriptive metadata the kernel does NOT
-    // model (branch, baseBranch, path). These are governance metadata
-    // for merge/destroy decisions, not authority claims.
+    // model (branch, baseBranch, path, parent). These are governance
+    // metadata for merge/destroy decisions, not authority claims.
     augmentRegistryEntry(cawsDir, input.name, {
       branch,
       baseBranch,
       path: wtPath,
       ...(baseSha !== null ? { baseSha } : {}),
+      ...(input.parent !== undefined ? { parent: input.parent } : {}),
     });
 
     // Then run the lifecycle transaction for spec YAML + events.
@@ -1051,6 +1138,7 @@ export function createWorktree(
       base_branch: baseBranch,
       path: wtPath,
       spec_id: input.specId,
+      ...(input.parent !== undefined ? { parent: input.parent } : {}),
       artifact_links: artifactLinks,
       audit_commit: autoCommitOutcome,
       spec_activated: activation.value.activated,
@@ -1296,6 +1384,7 @@ function augmentRegistryEntry(
     readonly baseBranch?: string;
     readonly path?: string;
     readonly baseSha?: string;
+    readonly parent?: string;
   }
 ): void {
   const p = path.join(cawsDir, 'worktrees.json');
@@ -1540,6 +1629,11 @@ export function destroyWorktree(
     }
   }
 
+  // Nothing may be stacked on the lane. (merge re-targets the children
+  // before its own destroy runs.)
+  const stacked = stackedParentRefusal(registry.value, input.name, 'destroyed');
+  if (stacked !== null) return err(stacked);
+
   // Ownership check: admit if ANY identity the invoker can speak for
   // matches the registered owner (CAWS-WORKTREE-DESTROY-SESSION-
   // RESOLUTION-001). The candidate set is built by the caller via
@@ -1549,8 +1643,7 @@ export function destroyWorktree(
   // succeeds. A genuinely-foreign session has no candidate that matches
   // entry.owner.session_id, so the refusal still fires.
   if (entry.owner !== undefined) {
-    const matched = admitsOwner(input.sessionCandidates, entry.owner.session_id);
-    if (matched === null) {
+    if (!ownerAdmits(input.sessionCandidates, entry.owner.session_id, input.queuedBy)) {
       return err(
         storeDiagnostic(
           STORE_RULES.LIFECYCLE_PLAN_REJECTED,
@@ -1745,6 +1838,8 @@ export function pruneWorktree(
       )
     );
   }
+  const stacked = stackedParentRefusal(registry.value, input.name, 'pruned');
+  if (stacked !== null) return err(stacked);
 
   // Foreign-ownership refusal (same semantic as destroy): admit only if a
   // candidate matches the registered owner, else require --takeover.
@@ -1856,6 +1951,8 @@ export function untrackWorktree(
       )
     );
   }
+  const stacked = stackedParentRefusal(registry.value, input.name, 'untracked');
+  if (stacked !== null) return err(stacked);
 
   if (entry.owner !== undefined) {
     const matched = admitsOwner(input.sessionCandidates, entry.owner.session_id);
@@ -2141,13 +2238,85 @@ function verifyLaneProvenance(
   return { foreignCommits };
 }
 
+// ─── Stacked worktrees ───────────────────────────────────────────────────
+//
+// `caws worktree create --on <parent>` forks a worktree from another lane's
+// branch and records `parent` on its registry entry. The child's baseBranch
+// is the parent's branch, so a child merge would land on a branch that has
+// not landed itself: merge refuses until the parent has merged. When the
+// parent merges, its children are re-targeted onto the parent's base in the
+// same transaction as the worktree_merged event.
+
+/** The worktrees stacked directly on `name`, by name. */
+function stackedChildren(registry: WorktreeRegistry, name: string): string[] {
+  return Object.keys(registry)
+    .filter((child) => registry[child]?.parent === name)
+    .sort();
+}
+
+/**
+ * A lane other worktrees are stacked on is their base: destroying, pruning
+ * or untracking it would leave them recording a parent that no longer
+ * exists, with its branch as their base. Null when nothing is stacked on it.
+ */
+function stackedParentRefusal(
+  registry: WorktreeRegistry,
+  name: string,
+  action: 'destroyed' | 'pruned' | 'untracked'
+): Diagnostic | null {
+  const children = stackedChildren(registry, name);
+  if (children.length === 0) return null;
+  return storeDiagnostic(
+    STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+    `Worktree "${name}" has worktrees stacked on it (${children.join(', ')}) and cannot be ${action} under them. Merge it with caws worktree merge ${name}, or destroy the stacked worktrees first.`,
+    { subject: name, data: { stacked_children: children } }
+  );
+}
+
+/**
+ * The worktrees.json write that moves the children of a merging lane onto
+ * its base: each takes `baseBranch` and stops recording a parent. Read under
+ * the lifecycle lock, so a child created while the merge ran is not missed.
+ * `write` is null when nothing is stacked on the lane.
+ */
+function retargetStackedChildren(
+  cawsDir: string,
+  name: string,
+  baseBranch: string
+): Result<{ readonly children: string[]; readonly write: LifecycleFileWrite | null }> {
+  const registry = loadWorktrees(cawsDir);
+  if (!isOk(registry)) return err(registry.errors);
+  const children = stackedChildren(registry.value, name);
+  if (children.length === 0) return ok({ children, write: null });
+  const next: Record<string, WorktreeRecord> = { ...registry.value };
+  for (const child of children) {
+    const { parent: _parent, ...rest } = next[child]!;
+    next[child] = { ...rest, baseBranch };
+  }
+  return ok({
+    children,
+    write: {
+      path: path.join(cawsDir, 'worktrees.json'),
+      contents: JSON.stringify(next, null, 2) + '\n',
+    },
+  });
+}
+
 // ─── mergeWorktree ───────────────────────────────────────────────────────
 
 /** How many times a lost compare-and-swap is retried before giving up. */
 const MERGE_CAS_MAX_ATTEMPTS = 5;
 
 type MergeCasOutcome =
-  | { ok: true; mergeCommit: string; baseBefore: string; attempts: number }
+  | {
+      ok: true;
+      /** The commit the base now points at. */
+      mergeCommit: string;
+      baseBefore: string;
+      /** Commits that landed on the base, oldest first (baseBefore..mergeCommit). */
+      landedCommits: string[];
+      attempts: number;
+    }
   | {
       ok: false;
       message: string;
@@ -2157,14 +2326,210 @@ type MergeCasOutcome =
       repairSuffix?: string;
     };
 
+/** One path git could not merge, with git's own conflict type when it named one. */
+export interface LaneConflict {
+  readonly path: string;
+  /** e.g. `content`, `modify/delete`, `add/add`. */
+  readonly kind?: string;
+}
+
+/** What one strategy would put on the base, computed without moving any ref. */
+type LaneLanding =
+  | { ok: true; tip: string }
+  | { ok: false; message: string; repairSuffix?: string; conflicts?: readonly LaneConflict[] };
+
 /**
- * Merge `branch` into `baseBranch` without checking either one out.
+ * Pair each conflicted path with the `CONFLICT (<kind>): ...` line git
+ * printed for it. merge-tree and rebase both print these.
+ */
+function describeConflicts(paths: readonly string[], gitOutput: string): LaneConflict[] {
+  const lines = gitOutput.split('\n').filter((l) => l.startsWith('CONFLICT ('));
+  return [...new Set(paths)].map((p) => {
+    const kind = /^CONFLICT \(([^)]+)\)/.exec(lines.find((l) => l.includes(p)) ?? '')?.[1];
+    return { path: p, ...(kind !== undefined ? { kind } : {}) };
+  });
+}
+
+/**
+ * Conflicts from `git merge-tree --write-tree --name-only` output: the
+ * tree line, the conflicted paths, a blank line, then git's messages.
+ */
+function mergeTreeConflicts(stdout: string): LaneConflict[] {
+  const lines = stdout.split('\n');
+  const blank = lines.indexOf('', 1);
+  const paths = lines.slice(1, blank === -1 ? undefined : blank).filter((l) => l.length > 0);
+  return describeConflicts(paths, lines.slice(blank === -1 ? lines.length : blank).join('\n'));
+}
+
+const NOTHING_STARTED =
+  'No merge was started and the working tree is untouched.';
+
+/**
+ * The merged tree of `baseBefore` and `branch`, in the object database only.
+ * merge-tree exits non-zero on conflict and prints the conflicted paths. That
+ * is a genuine conflict, not contention: retrying cannot help, and the
+ * working tree is still clean.
+ */
+function mergedTreeOf(
+  repoRoot: string,
+  baseBranch: string,
+  baseBefore: string,
+  branch: string
+): LaneLanding {
+  const treeResult = runGit(
+    ['merge-tree', '--write-tree', '--name-only', baseBefore, branch],
+    repoRoot
+  );
+  if (!treeResult.ok) {
+    const conflicts = mergeTreeConflicts(treeResult.stdout ?? '');
+    return {
+      ok: false,
+      message:
+        `Cannot merge ${branch} into ${baseBranch}: conflicting changes` +
+        `${conflicts.length > 0 ? ` in ${conflicts.map((c) => c.path).join(', ')}` : ''}.\n` +
+        `${treeResult.reason}`,
+      repairSuffix:
+        `${NOTHING_STARTED} Resolve by ` +
+        `merging ${baseBranch} into ${branch} inside the worktree, then re-run.`,
+      conflicts,
+    };
+  }
+  const mergedTree = treeResult.stdout.trim().split('\n')[0]?.trim() ?? '';
+  if (!/^[0-9a-f]{40}$/.test(mergedTree)) {
+    return { ok: false, message: `Unexpected tree SHA from git merge-tree: ${mergedTree}` };
+  }
+  return { ok: true, tip: mergedTree };
+}
+
+function commitTree(repoRoot: string, args: readonly string[]): LaneLanding {
+  const commitResult = runGit(['commit-tree', ...args], repoRoot);
+  if (!commitResult.ok) {
+    return { ok: false, message: `git commit-tree failed: ${commitResult.reason}` };
+  }
+  return { ok: true, tip: commitResult.stdout.trim() };
+}
+
+function isAncestor(repoRoot: string, ancestor: string, descendant: string): boolean {
+  return runGit(['merge-base', '--is-ancestor', ancestor, descendant], repoRoot).ok;
+}
+
+/** ff-only: the lane tip itself, when the base has not moved past the fork. */
+function fastForwardLanding(
+  repoRoot: string,
+  baseBranch: string,
+  baseBefore: string,
+  branch: string
+): LaneLanding {
+  if (!isAncestor(repoRoot, baseBefore, branch)) {
+    return {
+      ok: false,
+      message: `Cannot fast-forward ${baseBranch} to ${branch}: ${baseBranch} has commits the lane does not.`,
+      repairSuffix:
+        `${NOTHING_STARTED} Bring ${baseBranch} into ${branch} inside the worktree, ` +
+        'or land it with --strategy rebase, then re-run.',
+    };
+  }
+  const tip = runGit(['rev-parse', branch], repoRoot);
+  if (!tip.ok) return { ok: false, message: `git rev-parse ${branch} failed: ${tip.reason}` };
+  return { ok: true, tip: tip.stdout.trim() };
+}
+
+/**
+ * rebase: replay the lane's commits onto `baseBefore` in a throwaway
+ * detached worktree, so neither the canonical checkout nor the lane's own
+ * worktree is touched. The replayed commits stay unreferenced until the
+ * caller's compare-and-swap; on a conflict the rebase is aborted and the
+ * throwaway worktree removed, so no half-rebased tree survives.
+ */
+function rebaseLanding(
+  repoRoot: string,
+  baseBranch: string,
+  baseBefore: string,
+  branch: string
+): LaneLanding {
+  if (isAncestor(repoRoot, baseBefore, branch)) {
+    return fastForwardLanding(repoRoot, baseBranch, baseBefore, branch);
+  }
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'caws-rebase-'));
+  try {
+    const added = runGit(['worktree', 'add', '--detach', scratch, branch], repoRoot);
+    if (!added.ok) {
+      return { ok: false, message: `git worktree add (rebase scratch) failed: ${added.reason}` };
+    }
+    // Hooks are off for the replay: it computes commits, it does not author
+    // them, and the lane's commits already passed its hooks once.
+    const rebased = runGit(
+      ['-c', 'core.hooksPath=/dev/null', 'rebase', '--no-verify', baseBefore],
+      scratch
+    );
+    if (!rebased.ok) {
+      const unmerged = runGit(['diff', '--name-only', '--diff-filter=U'], scratch);
+      const paths = unmerged.ok ? unmerged.stdout.trim().split('\n').filter((l) => l.length > 0) : [];
+      runGit(['rebase', '--abort'], scratch);
+      return {
+        ok: false,
+        message:
+          `Cannot rebase ${branch} onto ${baseBranch}: conflicting changes` +
+          `${paths.length > 0 ? ` in ${paths.join(', ')}` : ''}.\n${rebased.reason}`,
+        repairSuffix:
+          `${NOTHING_STARTED} Resolve by ` +
+          `merging or rebasing ${baseBranch} into ${branch} inside the worktree, then re-run.`,
+        conflicts: describeConflicts(paths, rebased.stdout ?? ''),
+      };
+    }
+    const tip = runGit(['rev-parse', 'HEAD'], scratch);
+    if (!tip.ok) return { ok: false, message: `git rev-parse HEAD (rebase scratch) failed: ${tip.reason}` };
+    return { ok: true, tip: tip.stdout.trim() };
+  } finally {
+    const removed = runGit(['worktree', 'remove', '--force', scratch], repoRoot);
+    if (!removed.ok) {
+      fs.rmSync(scratch, { recursive: true, force: true });
+      runGit(['worktree', 'prune'], repoRoot);
+    }
+  }
+}
+
+function laneLanding(
+  repoRoot: string,
+  strategy: WorktreeMergeStrategy,
+  baseBranch: string,
+  baseBefore: string,
+  branch: string,
+  message: string
+): LaneLanding {
+  switch (strategy) {
+    case 'merge': {
+      // Two parents, base first, matching the shape `git merge --no-ff`
+      // would have produced.
+      const tree = mergedTreeOf(repoRoot, baseBranch, baseBefore, branch);
+      if (!tree.ok) return tree;
+      return commitTree(repoRoot, [tree.tip, '-p', baseBefore, '-p', branch, '-m', message]);
+    }
+    case 'squash': {
+      // The same merged tree as `merge`, committed with the base as its only
+      // parent: one commit, linear history.
+      const tree = mergedTreeOf(repoRoot, baseBranch, baseBefore, branch);
+      if (!tree.ok) return tree;
+      return commitTree(repoRoot, [tree.tip, '-p', baseBefore, '-m', message]);
+    }
+    case 'rebase':
+      return rebaseLanding(repoRoot, baseBranch, baseBefore, branch);
+    case 'ff-only':
+      return fastForwardLanding(repoRoot, baseBranch, baseBefore, branch);
+  }
+}
+
+/**
+ * Land `branch` on `baseBranch` by `strategy` without checking either one out.
  *
- * The three-step sequence — merge-tree, commit-tree, update-ref with an
- * expected-old SHA — is the whole concurrency story. Steps 1 and 2 write only
- * unreferenced objects, so they are invisible to every other process and safe
- * to abandon. Step 3 is the single atomic instant at which the merge becomes
- * real, and git refuses it outright if the base moved underneath us.
+ * The sequence — compute the new base tip as unreferenced objects, then
+ * update-ref with an expected-old SHA — is the whole concurrency story. For
+ * merge and squash the tip comes from merge-tree + commit-tree; for rebase
+ * from a replay in a throwaway worktree; for ff-only it is the lane tip
+ * itself. Computing writes only unreferenced objects, so it is invisible to
+ * every other process and safe to abandon. The update-ref is the single
+ * atomic instant at which the landing becomes real, and git refuses it
+ * outright if the base moved underneath us.
  *
  * Losing that race is NORMAL under multi-agent load, not an error: we re-read
  * the base and recompute. Only exhausting the retry budget, or hitting a real
@@ -2175,7 +2540,9 @@ function mergeViaCompareAndSwap(
   repoRoot: string,
   baseBranch: string,
   branch: string,
-  message: string
+  message: string,
+  strategy: WorktreeMergeStrategy,
+  expectedBase?: string
 ): MergeCasOutcome {
   const ref = `refs/heads/${baseBranch}`;
 
@@ -2192,52 +2559,32 @@ function mergeViaCompareAndSwap(
       };
     }
     const baseBefore = baseRead.stdout.trim();
-
-    // Compute the merged tree in the object database. No working tree, no
-    // index, no HEAD — so a dirty canonical checkout cannot corrupt the
-    // result and a conflict cannot strand a half-merged tree on disk.
-    const treeResult = runGit(
-      ['merge-tree', '--write-tree', baseBefore, branch],
-      repoRoot
-    );
-    if (!treeResult.ok) {
-      // merge-tree exits non-zero on conflict and prints the conflicted
-      // paths. This is a genuine conflict, not contention: retrying cannot
-      // help, and the working tree is still clean.
+    // A pinned base turns losing the race into a refusal: whatever was
+    // checked against the old tip says nothing about the new one.
+    if (expectedBase !== undefined && baseBefore !== expectedBase) {
       return {
         ok: false,
         message:
-          `Cannot merge ${branch} into ${baseBranch}: conflicting changes.\n` +
-          `${treeResult.reason}`,
-        contention: false,
-        repairSuffix:
-          'No merge was started and the working tree is untouched. Resolve by ' +
-          `merging ${baseBranch} into ${branch} inside the worktree, then re-run.`,
-      };
-    }
-    const mergedTree = treeResult.stdout.trim().split('\n')[0]?.trim() ?? '';
-    if (!/^[0-9a-f]{40}$/.test(mergedTree)) {
-      return {
-        ok: false,
-        message: `Unexpected tree SHA from git merge-tree: ${mergedTree}`,
+          `${baseBranch} moved from ${expectedBase.slice(0, 12)} to ${baseBefore.slice(0, 12)} ` +
+          'after this merge was checked against it.',
         contention: false,
+        repairSuffix: `${NOTHING_STARTED} Re-check the lane against the new ${baseBranch}, then re-run.`,
       };
     }
 
-    // Build the merge commit. Two parents, base first, matching the shape
-    // `git merge --no-ff` would have produced.
-    const commitResult = runGit(
-      ['commit-tree', mergedTree, '-p', baseBefore, '-p', branch, '-m', message],
-      repoRoot
-    );
-    if (!commitResult.ok) {
+    // Compute the new tip in the object database. No working tree, no
+    // index, no HEAD of ours — so a dirty canonical checkout cannot corrupt
+    // the result and a conflict cannot strand a half-merged tree on disk.
+    const landing = laneLanding(repoRoot, strategy, baseBranch, baseBefore, branch, message);
+    if (!landing.ok) {
       return {
         ok: false,
-        message: `git commit-tree failed: ${commitResult.reason}`,
+        message: landing.message,
         contention: false,
+        ...(landing.repairSuffix !== undefined ? { repairSuffix: landing.repairSuffix } : {}),
       };
     }
-    const mergeCommit = commitResult.stdout.trim();
+    const mergeCommit = landing.tip;
 
     // The atomic instant. Passing baseBefore as the expected-old value makes
     // this a compare-and-swap: if another agent advanced the base since we
@@ -2264,7 +2611,11 @@ function mergeViaCompareAndSwap(
       if (headRef.ok && headRef.stdout.trim() === ref) {
         runGit(['read-tree', '-u', '-m', 'HEAD'], repoRoot);
       }
-      return { ok: true, mergeCommit, baseBefore, attempts: attempt };
+      const landed = runGit(['rev-list', '--reverse', `${baseBefore}..${mergeCommit}`], repoRoot);
+      const landedCommits = landed.ok
+        ? landed.stdout.split('\n').map((l) => l.trim()).filter((l) => l.length > 0)
+        : [mergeCommit];
+      return { ok: true, mergeCommit, baseBefore, landedCommits, attempts: attempt };
     }
 
     // Lost the race. The objects we just wrote are unreferenced and will be
@@ -2292,6 +2643,42 @@ function mergeViaCompareAndSwap(
   };
 }
 
+/**
+ * Whether squash or rebase landed every change on `branch`. Those
+ * strategies land copies of the lane's commits, so the lane is never
+ * reachable from the base and git's own "is it merged" checks answer no.
+ * The proof instead: merging the lane into the landed tip changes nothing.
+ */
+function rewrittenLaneLanded(
+  repoRoot: string,
+  branch: string,
+  landedTip: string
+): { ok: true } | { ok: false; reason: string } {
+  const merged = runGit(['merge-tree', '--write-tree', landedTip, branch], repoRoot);
+  const landedTree = runGit(['rev-parse', `${landedTip}^{tree}`], repoRoot);
+  const mergedTree = merged.ok ? merged.stdout.trim().split('\n')[0]?.trim() : undefined;
+  if (!landedTree.ok || mergedTree !== landedTree.stdout.trim()) {
+    return { ok: false, reason: `${branch} has changes that ${landedTip.slice(0, 12)} does not contain` };
+  }
+  return { ok: true };
+}
+
+/**
+ * The strategy for this merge: the explicit one, else policy.yaml
+ * `worktrees.merge_strategy`, else `merge`. A policy.yaml that does not
+ * load is a refusal — guessing the strategy could rewrite history the
+ * policy meant to keep.
+ */
+function resolveMergeStrategy(
+  cawsDir: string,
+  explicit: WorktreeMergeStrategy | undefined
+): Result<WorktreeMergeStrategy> {
+  if (explicit !== undefined) return ok(explicit);
+  const policy = loadPolicy(cawsDir);
+  if (policy.errors.length > 0) return err([...policy.errors]);
+  return ok(policy.policy?.worktrees?.merge_strategy ?? DEFAULT_WORKTREE_MERGE_STRATEGY);
+}
+
 export function mergeWorktree(
   cawsDir: string,
   input: MergeWorktreeInput
@@ -2355,6 +2742,22 @@ export function mergeWorktree(
     }
   }
 
+  const strategyResult = resolveMergeStrategy(cawsDir, input.strategy);
+  if (!isOk(strategyResult)) return err(strategyResult.errors);
+  const strategy = strategyResult.value;
+  if (input.message !== undefined && !mergeStrategyWritesCommit(strategy)) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+        `--message has no effect under the ${strategy} strategy: it lands the lane's own commits and writes no commit of its own.`,
+        {
+          subject: input.name,
+          narrowRepair: `Drop --message, or merge with --strategy merge or --strategy squash.`,
+        }
+      )
+    );
+  }
+
   // Validate prerequisites.
   const findings: string[] = [];
   // Ownership: same multi-candidate admission semantic as destroyWorktree.
@@ -2362,8 +2765,7 @@ export function mergeWorktree(
   // must be the registered owner. See CAWS-WORKTREE-DESTROY-SESSION-
   // RESOLUTION-001 closure_notes Option E for the why.
   if (entry.owner !== undefined) {
-    const matched = admitsOwner(input.sessionCandidates, entry.owner.session_id);
-    if (matched === null) {
+    if (!ownerAdmits(input.sessionCandidates, entry.owner.session_id, input.queuedBy)) {
       findings.push(
         `worktree is owned by a different session (${entry.owner.session_id})`
       );
@@ -2385,6 +2787,25 @@ export function mergeWorktree(
   if (entry.branch === undefined || entry.baseBranch === undefined) {
     findings.push('missing branch or base_branch on registry entry');
   }
+  // Stacked lanes land in order: the child's base is the parent's branch
+  // until the parent merges and re-targets it. A parent that left the
+  // registry any other way never re-targeted it, so its base is wrong.
+  if (entry.parent !== undefined) {
+    findings.push(
+      registry.value[entry.parent] !== undefined
+        ? `stacked on ${entry.parent}, which has not merged yet — merge ${entry.parent} first`
+        : `stacked on ${entry.parent}, which is no longer registered; its base (${entry.baseBranch ?? '?'}) was never re-targeted`
+    );
+  }
+  // squash and rebase land copies of the lane's commits, so a child forked
+  // from the originals would be re-targeted onto a base that never receives
+  // them.
+  const children = stackedChildren(registry.value, input.name);
+  if (children.length > 0 && (strategy === 'squash' || strategy === 'rebase')) {
+    findings.push(
+      `${children.join(', ')} ${children.length === 1 ? 'is' : 'are'} stacked on this lane; the ${strategy} strategy would strand ${children.length === 1 ? 'it' : 'them'} on commits ${entry.baseBranch ?? 'the base'} never receives — merge with --strategy merge or ff-only`
+    );
+  }
 
   // CAWS-PREPUSH-PROVENANCE-REWORK-001 (lane provenance teeth): every
   // commit the lane would land must belong to the lane — verified BEFORE
@@ -2417,6 +2838,16 @@ export function mergeWorktree(
       );
     }
   }
+  // ff-only can be judged up front; the real merge re-checks inside the CAS
+  // loop, since the base may move in between.
+  if (
+    strategy === 'ff-only' &&
+    entry.branch !== undefined &&
+    entry.baseBranch !== undefined &&
+    !isAncestor(repoRootFromCawsDir(cawsDir), entry.baseBranch, entry.branch)
+  ) {
+    findings.push(`${entry.baseBranch} cannot be fast-forwarded to ${entry.branch} (the base has commits the lane does not)`);
+  }
 
   // Dry-run: report and return without mutation.
   if (input.dryRun === true) {
@@ -2430,6 +2861,7 @@ export function mergeWorktree(
         dry_run: true,
         can_proceed: findings.length === 0,
         findings,
+        strategy,
         next_commands: mergeRecoveryNextCommands(input.name, entry),
         worktree: {
           name: input.name,
@@ -2487,6 +2919,9 @@ export function mergeWorktree(
   //   git commit-tree <tree> -p <base> -p <branch>  -> merge commit object
   //   git update-ref <ref> <new> <expected-old>     -> ATOMIC CAS
   //
+  // Every strategy shares the last step; only how the new tip is computed
+  // differs (see laneLanding).
+  //
   // If a concurrent agent advanced the base in between, git itself refuses
   // the ref update ("is at X but expected Y") and nothing is written — we
   // simply recompute against the new base and retry. This is strictly
@@ -2499,7 +2934,7 @@ export function mergeWorktree(
   const baseBranch = entry.baseBranch as string;
   const branch = entry.branch as string;
   const specId = entry.specId as string;
-  const message = input.message ?? `merge(worktree): ${input.name}`;
+  const message = input.message ?? `${strategy === 'squash' ? 'squash' : 'merge'}(worktree): ${input.name}`;
 
   // A1 (CAWS-PREPUSH-PROVENANCE-REWORK-001): capture the lane tip BEFORE
   // the CAS sequence so the worktree_merged event records the lane's
@@ -2511,7 +2946,9 @@ export function mergeWorktree(
     repoRoot,
     baseBranch,
     branch,
-    message
+    message,
+    strategy,
+    input.expectedBaseTip
   );
   if (!casOutcome.ok) {
     return err(
@@ -2525,6 +2962,7 @@ export function mergeWorktree(
             : `${mergeRepairHint(input.name, entry)} ${casOutcome.repairSuffix ?? ''}`.trim(),
           data: {
             base_branch: baseBranch,
+            strategy,
             ...(casOutcome.contention ? { contention: true } : {}),
             ...(casOutcome.attempts !== undefined
               ? { attempts: casOutcome.attempts }
@@ -2708,6 +3146,11 @@ export function mergeWorktree(
       // itself already succeeded; the range remains parent-derivable).
       ...(laneTip !== undefined ? { lane_tip: laneTip } : {}),
       base_before: casOutcome.baseBefore,
+      // How the lane landed and what landed: the merge commit, the squash
+      // commit, the rebased commits or the fast-forwarded lane commits,
+      // oldest first. merge_commit is always the last of them — the base tip.
+      strategy,
+      landed_commits: casOutcome.landedCommits,
       // False only under --no-close (A3): the spec is deliberately left active
       // so AC evidence can be recorded before an explicit close.
       auto_closed_spec: !specLeftOpen,
@@ -2720,16 +3163,29 @@ export function mergeWorktree(
     },
   } as unknown as EventBody;
 
-  // The worktree_merged event is appended via runLifecycleTransaction
-  // even though we have no file writes for this step; the substrate's
-  // append path is the only sanctioned writer for events.jsonl.
-  const mergedTxn = withLifecycleLock(cawsDir, () =>
-    runLifecycleTransaction({
+  // The worktree_merged event is appended via runLifecycleTransaction;
+  // the substrate's append path is the only sanctioned writer for
+  // events.jsonl. Its one file write re-targets the lanes stacked on this
+  // one, so they move onto the base exactly when the merge is recorded —
+  // and before the branch they were based on is deleted below.
+  let retargetedChildren: string[] = [];
+  const mergedTxn = withLifecycleLock(cawsDir, () => {
+    const retarget = retargetStackedChildren(cawsDir, input.name, baseBranch);
+    if (!isOk(retarget)) return err(retarget.errors);
+    retargetedChildren = retarget.value.children;
+    const event =
+      retargetedChildren.length > 0
+        ? ({
+            ...mergedEvent,
+            data: { ...mergedEvent.data, retargeted_children: retargetedChildren },
+          } as unknown as EventBody)
+        : mergedEvent;
+    return runLifecycleTransaction({
       cawsDir,
-      plannedWrites: [],
-      events: [mergedEvent],
-    })
-  );
+      plannedWrites: retarget.value.write !== null ? [retarget.value.write] : [],
+      events: [event],
+    });
+  });
   if (!mergedTxn.ok) {
     return err(
       storeDiagnostic(
@@ -2788,6 +3244,14 @@ export function mergeWorktree(
     );
   }
 
+  // squash and rebase leave the lane unreachable from the base, so the
+  // destroy's reachability check would refuse. Prove the content landed
+  // instead, and only then waive that check.
+  const rewroteLane = strategy === 'squash' || strategy === 'rebase';
+  const laneLanded = rewroteLane
+    ? rewrittenLaneLanded(repoRoot, branch, mergeCommit)
+    : ({ ok: true } as const);
+
   // Destroy the worktree last. Reuse the same merge-baseline clock
   // so worktree_destroyed.ts matches the rest of the composed merge.
   const destroyResult = destroyWorktree(cawsDir, {
@@ -2796,6 +3260,8 @@ export function mergeWorktree(
     sessionCandidates: input.sessionCandidates,
     actor: input.actor,
     now: sharedNowFactory,
+    ...(rewroteLane && laneLanded.ok ? { abandonUnmerged: true } : {}),
+    ...(input.queuedBy !== undefined ? { queuedBy: input.queuedBy } : {}),
     // CAWS-FIX-CWD-GUARD-COVERAGE-001: defense-in-depth — thread callerCwd
     // into the merge's own teardown so the guard covers this destroy path
     // too. Unreachable when dry-run (mergeWorktree returns at the dry-run
@@ -2848,10 +3314,20 @@ export function mergeWorktree(
   // means something is genuinely wrong. We surface that loudly and leave
   // the branch intact rather than escalating to -D.
   //
+  // squash and rebase land copies of the lane's commits, so reachability
+  // cannot hold; rewrittenLaneLanded proved the content landed instead, and
+  // the ref is deleted by compare-and-swap on the tip captured pre-merge.
+  //
   // Only this path deletes. Standalone `caws worktree destroy` preserves
   // the branch: it has no proof of reachability, and the operator may be
   // parking unmerged work.
-  const branchDeleteResult = runGit(['branch', '-d', branch], repoRoot);
+  const branchDeleteResult = !rewroteLane
+    ? runGit(['branch', '-d', branch], repoRoot)
+    : !laneLanded.ok
+      ? laneLanded
+      : laneTip === undefined
+        ? { ok: false as const, reason: `the tip of ${branch} was not recorded before the merge` }
+        : runGit(['update-ref', '-d', `refs/heads/${branch}`, laneTip], repoRoot);
   const branchDeleted = branchDeleteResult.ok;
 
   const autoCommitOutcome = autoCommitTransition(
@@ -2867,6 +3343,9 @@ export function mergeWorktree(
     action: 'merged',
     data: {
       merge_commit: mergeCommit,
+      strategy,
+      landed_commits: casOutcome.landedCommits,
+      ...(retargetedChildren.length > 0 ? { retargeted_children: retargetedChildren } : {}),
       spec_id: specId,
       auto_closed_spec: !specLeftOpen,
       spec_already_closed: specWasAlreadyClosed,
@@ -2890,6 +3369,414 @@ export function mergeWorktree(
   });
 }
 
+// ─── syncWorktree ────────────────────────────────────────────────────────
+//
+// The opposite direction of merge: the base branch INTO the lane, so a
+// long-lived lane can take in what landed meanwhile. The new lane tip is
+// computed exactly as merge computes a new base tip — merge-tree +
+// commit-tree, or a replay in a throwaway worktree — so a conflict is
+// reported per path and nothing is left half-merged or half-rebased. Only
+// then does the lane move: a compare-and-swap on the lane ref, followed by
+// a two-tree read-tree in the (clean) lane worktree, the same switch
+// `git checkout` performs.
+
+export interface SyncWorktreeInput {
+  readonly name: string;
+  /** See DestroyWorktreeInput.sessionCandidates — only the owner may sync. */
+  readonly sessionCandidates: SessionCandidates;
+  readonly actor: EventBody['actor'];
+  /** merge (default): a merge commit on the lane. rebase: the lane's
+   *  commits replayed onto the base tip. */
+  readonly strategy?: WorktreeSyncStrategy;
+  readonly now?: () => Date;
+  /** Report whether the sync would apply cleanly (including the
+   *  conflicting paths) without moving the lane or appending an event. */
+  readonly dryRun?: boolean;
+}
+
+function syncConflictDiagnostics(
+  name: string,
+  conflicts: readonly LaneConflict[],
+  facts: { strategy: WorktreeSyncStrategy; baseBranch: string; baseTip: string; branch: string; laneTip: string }
+): Diagnostic[] {
+  return conflicts.map((c) =>
+    storeDiagnostic(
+      STORE_RULES.WORKTREE_SYNC_CONFLICT,
+      `${c.path}: ${c.kind ?? 'conflict'} between ${facts.baseBranch} and ${facts.branch}.`,
+      {
+        subject: c.path,
+        narrowRepair:
+          `The lane is untouched. Resolve by hand inside the worktree ` +
+          `(git merge ${facts.baseBranch}), or change ${c.path} on the lane so it ` +
+          `no longer collides, then re-run: caws worktree sync ${name}`,
+        data: {
+          worktree_name: name,
+          path: c.path,
+          ...(c.kind !== undefined ? { conflict_kind: c.kind } : {}),
+          strategy: facts.strategy,
+          base_branch: facts.baseBranch,
+          base_tip: facts.baseTip,
+          lane_tip: facts.laneTip,
+        },
+      }
+    )
+  );
+}
+
+export function syncWorktree(
+  cawsDir: string,
+  input: SyncWorktreeInput
+): Result<WorktreeWriterOutcome> {
+  const nameValidation = validateWorktreeName(input.name);
+  if (!nameValidation.ok) return nameValidation;
+  const strategy: WorktreeSyncStrategy = input.strategy ?? 'merge';
+
+  const registry = loadWorktrees(cawsDir);
+  if (!isOk(registry)) return err(registry.errors);
+  const entry = registry.value[input.name];
+  if (entry === undefined) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+        `Worktree "${input.name}" not found in registry.`,
+        { subject: input.name, narrowRepair: 'Run `caws worktree list` to see registered worktrees.' }
+      )
+    );
+  }
+  const wtPath = entry.path ?? worktreePathFor(cawsDir, input.name);
+  const findings: string[] = [];
+  if (entry.owner !== undefined && admitsOwner(input.sessionCandidates, entry.owner.session_id) === null) {
+    findings.push(`worktree is owned by a different session (${entry.owner.session_id})`);
+  }
+  if (entry.branch === undefined || entry.baseBranch === undefined) {
+    findings.push('missing branch or base_branch on registry entry');
+  }
+  if (!fs.existsSync(wtPath)) {
+    findings.push(`worktree directory ${wtPath} does not exist`);
+  }
+  if (findings.length > 0) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+        `caws worktree sync ${input.name}: prerequisites unmet (${findings.join('; ')}).`,
+        { subject: input.name, data: { findings } }
+      )
+    );
+  }
+  const repoRoot = repoRootFromCawsDir(cawsDir);
+  const branch = entry.branch as string;
+  const baseBranch = entry.baseBranch as string;
+
+  // A dirty tree, or a HEAD that is not the lane branch (detached, or a
+  // rebase the operator left in progress), would make the read-tree below
+  // refuse or — worse — carry half-finished work across. Refuse up front,
+  // dry run included: there is nothing to predict until the tree is clean.
+  const head = runGit(['symbolic-ref', '--quiet', 'HEAD'], wtPath);
+  const dirty = !isWorkingTreeCleanExceptArtifactLinks(repoRoot, wtPath);
+  if (dirty || !head.ok || head.stdout.trim() !== `refs/heads/${branch}`) {
+    const status = runGit(['status', '--short'], wtPath);
+    return err(
+      storeDiagnostic(
+        STORE_RULES.WORKTREE_SYNC_DIRTY,
+        dirty
+          ? `Worktree "${input.name}" has uncommitted changes; commit or stash them before syncing.`
+          : `Worktree "${input.name}" is not on its branch ${branch}; finish or abort the operation in progress before syncing.`,
+        {
+          subject: input.name,
+          narrowRepair: `Inspect with: git -C ${wtPath} status`,
+          data: {
+            path: wtPath,
+            ...(status.ok && status.stdout.trim() !== '' ? { status: status.stdout.trimEnd().split('\n') } : {}),
+          },
+        }
+      )
+    );
+  }
+
+  const baseRead = runGit(['rev-parse', `refs/heads/${baseBranch}`], repoRoot);
+  const laneRead = runGit(['rev-parse', `refs/heads/${branch}`], repoRoot);
+  if (!baseRead.ok || !laneRead.ok) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_WRITE_FAILED,
+        `Cannot resolve ${baseRead.ok ? branch : baseBranch}: ${baseRead.ok ? (laneRead.ok ? '' : laneRead.reason) : baseRead.reason}`.trim(),
+        { subject: input.name }
+      )
+    );
+  }
+  const baseTip = baseRead.stdout.trim();
+  const laneTip = laneRead.stdout.trim();
+  const facts = { strategy, baseBranch, baseTip, branch, laneTip };
+  const behind = runGit(['rev-list', '--count', `${laneTip}..${baseTip}`], repoRoot);
+  const commitsBehind = behind.ok ? Number(behind.stdout.trim()) : null;
+
+  // Already contains the base: nothing to do, and nothing to record.
+  if (isAncestor(repoRoot, baseTip, laneTip)) {
+    return ok(
+      input.dryRun === true
+        ? {
+            kind: 'dry_run',
+            name: input.name,
+            canProceed: true,
+            findings: [],
+            data: { read_only: true, dry_run: true, up_to_date: true, strategy, base_tip: baseTip, lane_tip: laneTip },
+          }
+        : {
+            kind: 'success',
+            name: input.name,
+            action: 'synced',
+            data: { up_to_date: true, strategy, branch, base_branch: baseBranch, base_tip: baseTip, lane_after: laneTip },
+          }
+    );
+  }
+
+  // The new lane tip, as unreferenced objects. A lane with no commits of its
+  // own simply fast-forwards under merge: a merge commit there would record
+  // nothing but the sync itself.
+  let landing: LaneLanding;
+  if (strategy === 'rebase') {
+    landing = rebaseLanding(repoRoot, baseBranch, baseTip, branch);
+  } else if (isAncestor(repoRoot, laneTip, baseTip)) {
+    landing = { ok: true, tip: baseTip };
+  } else {
+    const tree = mergedTreeOf(repoRoot, baseBranch, baseTip, branch);
+    landing = !tree.ok
+      ? tree
+      : commitTree(repoRoot, [
+          tree.tip,
+          '-p',
+          laneTip,
+          '-p',
+          baseTip,
+          '-m',
+          `sync(worktree): ${input.name} with ${baseBranch}`,
+        ]);
+  }
+
+  if (input.dryRun === true) {
+    const conflicts = landing.ok ? [] : (landing.conflicts ?? []);
+    const dryFindings = landing.ok
+      ? []
+      : conflicts.length > 0
+        ? conflicts.map((c) => `conflict in ${c.path}${c.kind !== undefined ? ` (${c.kind})` : ''}`)
+        : [landing.message];
+    return ok({
+      kind: 'dry_run',
+      name: input.name,
+      canProceed: landing.ok,
+      findings: dryFindings,
+      data: {
+        read_only: true,
+        dry_run: true,
+        can_proceed: landing.ok,
+        findings: dryFindings,
+        strategy,
+        base_branch: baseBranch,
+        base_tip: baseTip,
+        lane_tip: laneTip,
+        ...(commitsBehind !== null ? { commits_behind: commitsBehind } : {}),
+        ...(conflicts.length > 0 ? { conflicts } : {}),
+      },
+    });
+  }
+  if (!landing.ok) {
+    if (landing.conflicts !== undefined && landing.conflicts.length > 0) {
+      return err(syncConflictDiagnostics(input.name, landing.conflicts, facts));
+    }
+    return err(
+      storeDiagnostic(STORE_RULES.LIFECYCLE_WRITE_FAILED, landing.message, {
+        subject: input.name,
+        data: { strategy, base_branch: baseBranch },
+      })
+    );
+  }
+  const laneAfter = landing.tip;
+
+  // Move the lane: CAS on its ref (the lane tip we computed from), then bring
+  // the clean worktree along. If the worktree cannot follow, put the ref back
+  // so ref and checkout never disagree.
+  const cas = runGit(['update-ref', `refs/heads/${branch}`, laneAfter, laneTip], repoRoot);
+  if (!cas.ok) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_WRITE_FAILED,
+        `${branch} moved while the sync was computed; nothing was changed. ${cas.reason}`.trim(),
+        { subject: input.name, narrowRepair: `Re-run: caws worktree sync ${input.name}` }
+      )
+    );
+  }
+  const checkout = runGit(['read-tree', '-u', '-m', laneTip, laneAfter], wtPath);
+  if (!checkout.ok) {
+    runGit(['update-ref', `refs/heads/${branch}`, laneTip, laneAfter], repoRoot);
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_WRITE_FAILED,
+        `Updating the worktree to the synced ${branch} failed; ${branch} was reset to ${laneTip.slice(0, 12)}. ${checkout.reason}`.trim(),
+        { subject: input.name, narrowRepair: `Inspect with: git -C ${wtPath} status` }
+      )
+    );
+  }
+
+  const syncedEvent = {
+    event: 'worktree_synced',
+    ts: (input.now ?? (() => new Date()))().toISOString(),
+    actor: input.actor,
+    ...(entry.specId !== undefined ? { spec_id: entry.specId } : {}),
+    data: {
+      worktree_name: input.name,
+      branch,
+      base_branch: baseBranch,
+      strategy,
+      base_tip: baseTip,
+      lane_before: laneTip,
+      lane_after: laneAfter,
+    },
+  } as unknown as EventBody;
+  const txn = withLifecycleLock(cawsDir, () =>
+    runLifecycleTransaction({ cawsDir, plannedWrites: [], events: [syncedEvent] })
+  );
+  if (!txn.ok || txn.value.kind !== 'success') {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_PARTIAL_FAILURE_UNRECOVERED,
+        `${branch} was synced with ${baseBranch} (now ${laneAfter.slice(0, 12)}) but the worktree_synced event was not appended.`,
+        {
+          subject: input.name,
+          narrowRepair:
+            `The lane itself is consistent. To undo the sync: git -C ${wtPath} reset --keep ${laneTip}. ` +
+            'Run `caws events verify` before further lifecycle commands.',
+          data: {
+            lane_before: laneTip,
+            lane_after: laneAfter,
+            ...(txn.ok ? {} : { append_errors: txn.errors.map((d) => d.message) }),
+          },
+        }
+      )
+    );
+  }
+
+  return ok({
+    kind: 'success',
+    name: input.name,
+    action: 'synced',
+    data: {
+      strategy,
+      branch,
+      base_branch: baseBranch,
+      base_tip: baseTip,
+      lane_before: laneTip,
+      lane_after: laneAfter,
+      ...(commitsBehind !== null ? { commits_behind: commitsBehind } : {}),
+    },
+  });
+}
+
+// ─── previewWorktreeLanding ──────────────────────────────────────────────
+//
+// What a lane would put on its base if it merged now, as an unreferenced
+// commit built by the strategy `caws worktree merge` will use: the merge
+// queue gates that commit against the current base tip before merging, so
+// each candidate is checked against the base as the previous candidate left
+// it. Writes only unreferenced objects.
+
+export interface WorktreeLandingPreview {
+  readonly name: string;
+  readonly specId?: string;
+  readonly branch: string;
+  readonly baseBranch: string;
+  /** The base tip the preview was computed against. */
+  readonly baseTip: string;
+  /** The policy strategy the landing was built with. */
+  readonly strategy: WorktreeMergeStrategy;
+  /** The unreferenced landed tip on baseTip. Absent on conflict. */
+  readonly landing?: string;
+  readonly conflicts: readonly LaneConflict[];
+}
+
+/**
+ * The strategy the merge queue lands with: policy.yaml
+ * `worktrees.merge_strategy`, else `merge`. ff-only is refused — each merge
+ * moves the base, so every candidate after the first would fail to
+ * fast-forward.
+ */
+export function resolveQueueMergeStrategy(cawsDir: string): Result<WorktreeMergeStrategy> {
+  const strategy = resolveMergeStrategy(cawsDir, undefined);
+  if (!isOk(strategy)) return strategy;
+  if (strategy.value === 'ff-only') {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.WORKTREE_QUEUE_FF_ONLY,
+        'The merge queue cannot run with worktrees.merge_strategy: ff-only: each merge moves the base, so later candidates cannot fast-forward.',
+        {
+          subject: 'worktrees.merge_strategy',
+          narrowRepair:
+            'Set worktrees.merge_strategy to merge, squash or rebase in .caws/policy.yaml, or merge lanes one at a time with `caws worktree merge`.',
+        }
+      )
+    );
+  }
+  return strategy;
+}
+
+export function previewWorktreeLanding(
+  cawsDir: string,
+  name: string
+): Result<WorktreeLandingPreview> {
+  const nameValidation = validateWorktreeName(name);
+  if (!nameValidation.ok) return nameValidation;
+  const strategy = resolveQueueMergeStrategy(cawsDir);
+  if (!isOk(strategy)) return strategy;
+  const registry = loadWorktrees(cawsDir);
+  if (!isOk(registry)) return err(registry.errors);
+  const entry = registry.value[name];
+  if (entry === undefined || entry.branch === undefined || entry.baseBranch === undefined) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_PLAN_REJECTED,
+        entry === undefined
+          ? `Worktree "${name}" not found in registry.`
+          : `Worktree "${name}" records no branch or base_branch.`,
+        { subject: name, narrowRepair: 'Run `caws worktree list` to see registered worktrees.' }
+      )
+    );
+  }
+  const repoRoot = repoRootFromCawsDir(cawsDir);
+  const baseRead = runGit(['rev-parse', `refs/heads/${entry.baseBranch}`], repoRoot);
+  if (!baseRead.ok) {
+    return err(
+      storeDiagnostic(
+        STORE_RULES.LIFECYCLE_WRITE_FAILED,
+        `git rev-parse ${entry.baseBranch} failed: ${baseRead.reason}`,
+        { subject: name }
+      )
+    );
+  }
+  const baseTip = baseRead.stdout.trim();
+  const preview = {
+    name,
+    ...(entry.specId !== undefined ? { specId: entry.specId } : {}),
+    branch: entry.branch,
+    baseBranch: entry.baseBranch,
+    baseTip,
+    strategy: strategy.value,
+  };
+  const landing = laneLanding(
+    repoRoot,
+    strategy.value,
+    entry.baseBranch,
+    baseTip,
+    entry.branch,
+    `preview(worktree): ${name} on ${entry.baseBranch}`
+  );
+  if (!landing.ok) {
+    if (landing.conflicts !== undefined && landing.conflicts.length > 0) {
+      return ok({ ...preview, conflicts: landing.conflicts });
+    }
+    return err(storeDiagnostic(STORE_RULES.LIFECYCLE_WRITE_FAILED, landing.message, { subject: name }));
+  }
+  return ok({ ...preview, landing: landing.tip, conflicts: [] });
+}
+
 // ─── listWorktrees ───────────────────────────────────────────────────────
 
 export interface WorktreeListEntry {
@@ -2900,6 +3787,8 @@ export interface WorktreeListEntry {
   readonly specId: string | null;
   readonly owner: SessionIdentity | null;
   readonly status: 'active' | 'unknown';
+  /** The worktree this one is stacked on (`caws worktree create --on`). */
+  readonly parent: string | null;
 }
 
 export interface WorktreeListResult {
@@ -2920,11 +3809,22 @@ export function listWorktreesPretty(cawsDir: string): Result<WorktreeListResult>
       specId: record.specId ?? null,
       owner: record.owner ?? null,
       status: 'active',
+      parent: record.parent ?? null,
     });
   }
-  // Sort for deterministic output.
+  // Sort for deterministic output, then move each stacked worktree right
+  // after its parent so a stack reads top-down.
   entries.sort((a, b) => a.name.localeCompare(b.name));
-  return ok({ entries });
+  const names = new Set(entries.map((e) => e.name));
+  const stacked: WorktreeListEntry[] = [];
+  const visit = (entry: WorktreeListEntry): void => {
+    stacked.push(entry);
+    for (const child of entries) if (child.parent === entry.name) visit(child);
+  };
+  for (const entry of entries) {
+    if (entry.parent === null || !names.has(entry.parent)) visit(entry);
+  }
+  return ok({ entries: stacked });
 }
 
 // Re-export loadSpecs for any future consumers; not used internally
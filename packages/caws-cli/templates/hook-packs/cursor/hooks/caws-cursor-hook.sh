@@ -0,0 +1,184 @@
+#!/bin/bash
+# CAWS-MANAGED-HOOK
+# hook_pack: cursor
+# hook_pack_version: 1
+# caws_min_major: 11
+# lineage_refs: 8,11,16,17,19,22,23,24,26
+# edit_stance: YOURS TO EDIT. This is a starting hook, not a locked one — shape it
+#   to your repo: tune thresholds, add checks, remove what does not fit. Your edits
+#   are preserved: caws init treats a changed hook as intended growth and will not
+#   clobber it — it shows a diff and asks (--adopt keeps yours; --overwrite --force
+#   takes the upstream template). The CAWS-MANAGED-HOOK marker above is only how caws
+#   init finds hooks it can offer updates for; it is NOT a keep-out sign. CAWS owns the
+#   failure-class invariant (the why/what a guard protects); you own the how. The one
+#   edit to avoid: gutting a guard to dodge a block instead of fixing the cause. Grow
+#   everything else freely.
+#
+# caws-cursor-hook.sh <cursorEvent> — the cursor vendor adapter shim.
+#
+# WHY THIS EXISTS. Cursor reads hook config from the repo-local
+# .cursor/hooks.json, but neither its payload nor its response contract is
+# Claude-shaped, and the shared dispatchers only speak the Claude shape. So
+# unlike the qwen/kimi shims (which pass stdin through untouched) this one is a
+# TRANSLATING bridge (zcode precedent: caws-bridge.sh re-wraps dispatcher
+# output; this one also re-shapes the input):
+#
+#   1. Resolves the active git root at INVOCATION time (codex/kimi/qwen
+#      precedent; HOOK-PROJECT-DIR-ROOT-NOT-CWD-01) and no-ops silently when
+#      the root has no CAWS shared core, or when jq is absent (the payload
+#      cannot be translated without it — fail open, never fail closed on a
+#      wiring hiccup).
+#   2. Translates the Cursor payload into the Claude-shaped envelope the
+#      shared parser reads: conversation_id -> session_id, the event ->
+#      hook_event_name, and the tool fields -> tool_name / tool_input.
+#   3. Runs the shared dispatcher with the surface identity injected
+#      (CAWS_AGENT_SURFACE / CAWS_PROJECT_DIR), then folds its verdict (exit 2,
+#      decision:block, permissionDecision deny|ask) back into Cursor's
+#      response JSON: {"permission":"allow|deny|ask","userMessage",
+#      "agentMessage"}.
+#
+# EVENT MAP (Cursor hook contract as documented for the 1.7 hooks beta; the
+# field names below are taken from those docs, not from a live probe):
+#
+#   beforeShellExecution {command, cwd}
+#       -> PreToolUse Bash via pre_tool_use.sh. ENFORCING: a deny verdict is
+#          returned as permission "deny", an ask as "ask".
+#   afterFileEdit {file_path, edits:[{old_string,new_string}]}
+#       -> PreToolUse Edit via pre_tool_use.sh, then PostToolUse Edit via
+#          post_tool_use.sh. DETECTING ONLY: Cursor fires no hook before a
+#          file edit, so scope-guard / worktree-write-guard see the edit after
+#          it landed. A deny verdict is logged (the guards' own audit trail)
+#          and mirrored to stderr; it cannot undo the edit.
+#   beforeSubmitPrompt {prompt}
+#       -> SessionStart via session_start.sh, ONCE per conversation_id (a
+#          marker under .cursor/hooks/state/ records the first prompt).
+#          Always answers {"continue":true}: session registration never
+#          blocks a prompt.
+#   stop {status}
+#       -> Stop via stop.sh. No response body.
+#
+# Any other event fails open (exit 0, no output).
+#
+# FAIL-OPEN everywhere: any anomaly (unknown event, missing dispatcher, git or
+# jq absent) exits 0 with no output, which Cursor reads as allow. Deliberately
+# NOT `set -e`.
+
+set -uo pipefail
+
+EVENT="${1:-}"
+
+ROOT="$(git rev-parse --show-toplevel 2>/dev/null || pwd -P)"
+
+DISPATCH_DIR="$ROOT/.caws/hooks/dispatch"
+
+# Inert outside CAWS repos: no shared core installed -> allow, no output.
+[[ -d "$DISPATCH_DIR" ]] || exit 0
+command -v jq >/dev/null 2>&1 || exit 0
+
+PAYLOAD="$(cat)"
+[[ -n "$PAYLOAD" ]] || PAYLOAD='{}'
+
+export CAWS_AGENT_SURFACE="cursor"
+export CAWS_PROJECT_DIR="$ROOT"
+
+# _cursor_envelope <hook_event_name> <tool_name> — the Claude-shaped envelope
+# for the current Cursor payload. tool_name may be empty (lifecycle events).
+_cursor_envelope() {
+  printf '%s' "$PAYLOAD" | jq -c --arg event "$1" --arg tool "$2" --arg root "$ROOT" '
+    {
+      hook_event_name: $event,
+      session_id: (.conversation_id // "unknown"),
+      cwd: (.cwd // (.workspace_roots[0]?) // $root)
+    }
+    + (if $tool == "Bash" then
+         { tool_name: "Bash", tool_input: { command: (.command // "") } }
+       elif $tool == "Edit" then
+         { tool_name: "Edit",
+           tool_input: {
+             file_path: (.file_path // ""),
+             old_string: ([.edits[]?.old_string // empty] | join("\n")),
+             new_string: ([.edits[]?.new_string // empty] | join("\n"))
+           } }
+       else {} end)' 2>/dev/null
+}
+
+# _cursor_dispatch <dispatcher> <envelope> — run a shared dispatcher on the
+# envelope. Sets DISPATCH_EXIT, DISPATCH_STDOUT and DISPATCH_STDERR; relays
+# the dispatcher's stderr so Cursor's hook log keeps the diagnostics.
+_cursor_dispatch() {
+  local dispatcher="$DISPATCH_DIR/$1"
+  DISPATCH_EXIT=0
+  DISPATCH_STDOUT=""
+  DISPATCH_STDERR=""
+  [[ -x "$dispatcher" ]] || return 0
+  local err_file
+  err_file="$(mktemp)"
+  DISPATCH_STDOUT="$(printf '%s' "$2" | "$dispatcher" 2>"$err_file")" || DISPATCH_EXIT=$?
+  DISPATCH_STDERR="$(cat "$err_file")"
+  rm -f "$err_file"
+  [[ -n "$DISPATCH_STDERR" ]] && printf '%s\n' "$DISPATCH_STDERR" >&2
+  return 0
+}
+
+# _cursor_verdict — allow, deny or ask for the last dispatch. exit 2 or
+# decision:block is deny; permissionDecision deny|ask is itself.
+_cursor_verdict() {
+  local verdict
+  [[ "$DISPATCH_EXIT" -eq 2 ]] && { echo deny; return 0; }
+  verdict="$(printf '%s' "$DISPATCH_STDOUT" | jq -rs '
+    [.[] | select(type == "object")] |
+    if any(.[]; .decision == "block" or .hookSpecificOutput.permissionDecision == "deny") then "deny"
+    elif any(.[]; .hookSpecificOutput.permissionDecision == "ask") then "ask"
+    else "allow" end' 2>/dev/null)"
+  echo "${verdict:-allow}"
+}
+
+# _cursor_reason — the refusal text for the last dispatch, falling back to
+# the dispatcher's stderr when stdout carried none.
+_cursor_reason() {
+  local reason
+  reason="$(printf '%s' "$DISPATCH_STDOUT" | jq -rs '
+    [.[] | select(type == "object") | (.reason // .hookSpecificOutput.permissionDecisionReason // empty)]
+    | first // ""' 2>/dev/null)"
+  printf '%s' "${reason:-$DISPATCH_STDERR}"
+}
+
+case "$EVENT" in
+  beforeShellExecution)
+    _cursor_dispatch pre_tool_use.sh "$(_cursor_envelope PreToolUse Bash)"
+    VERDICT="$(_cursor_verdict)"
+    if [[ "$VERDICT" == "allow" ]]; then
+      printf '{"permission":"allow"}\n'
+    else
+      REASON="$(_cursor_reason)"
+      jq -nc --arg p "$VERDICT" --arg r "${REASON:-Blocked by CAWS}" \
+        '{permission: $p, userMessage: $r, agentMessage: $r}'
+    fi
+    ;;
+  afterFileEdit)
+    _cursor_dispatch pre_tool_use.sh "$(_cursor_envelope PreToolUse Edit)"
+    if [[ "$(_cursor_verdict)" != "allow" ]]; then
+      REASON="$(_cursor_reason)"
+      printf '[caws-cursor-hook] edit already applied; CAWS would have refused it: %s\n' \
+        "${REASON:-see the guard log}" >&2
+    fi
+    _cursor_dispatch post_tool_use.sh "$(_cursor_envelope PostToolUse Edit)"
+    ;;
+  beforeSubmitPrompt)
+    SESSION="$(printf '%s' "$PAYLOAD" | jq -r '.conversation_id // empty' 2>/dev/null)"
+    STATE_DIR="$ROOT/.cursor/hooks/state"
+    MARKER="$STATE_DIR/session-started-${SESSION//[^A-Za-z0-9._-]/_}"
+    if [[ -n "$SESSION" && ! -e "$MARKER" ]]; then
+      mkdir -p "$STATE_DIR" 2>/dev/null && : > "$MARKER" 2>/dev/null
+      _cursor_dispatch session_start.sh "$(_cursor_envelope SessionStart '')"
+    fi
+    printf '{"continue":true}\n'
+    ;;
+  stop)
+    _cursor_dispatch stop.sh "$(_cursor_envelope Stop '')"
+    ;;
+  *)
+    exit 0 ;; # unknown event: fail open
+esac
+
+exit 0
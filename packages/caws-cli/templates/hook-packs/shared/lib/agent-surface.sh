@@ -102,7 +102,18 @@
 #                  headless/background); updatedInput is documented but NOT
 #                  enforced in 0.21.x, so quiet-merge passes the command
 #                  through unrewritten.
-#   (future)     — cursor, windsurf, vscode, idea, ... Add a case arm below.
+#   cursor       — Cursor. Hooks live in the repo-local .cursor/hooks.json;
+#                  every entry invokes a translating shim (caws-cursor-hook.sh)
+#                  that re-shapes Cursor's payload into the Claude envelope
+#                  and folds the verdict into Cursor's {"permission": ...}
+#                  response. Full allow/deny/ask on shell commands; no hook
+#                  fires before a file edit, so file guards run after the
+#                  fact (afterFileEdit) and detect rather than prevent.
+#   windsurf     — Windsurf (Cascade hooks). Hooks live in the repo-local
+#                  .windsurf/hooks.json; every entry invokes a translating
+#                  shim (caws-windsurf-hook.sh). Deny-only vocab: a pre_*
+#                  hook blocks with exit 2 and the reason on stderr.
+#   (future)     — vscode, idea, ... Add a case arm below.
 #
 # IDEMPOTENT: safe to source multiple times.
 #
@@ -196,15 +207,25 @@ case "$CAWS_AGENT_SURFACE" in
   cursor)
     CAWS_VENDOR_DIR=".cursor"
     CAWS_PLATFORM_FLAG="cursor"
+    # beforeShellExecution answers allow/deny/ask natively; the cursor shim
+    # folds the dispatcher's permissionDecision into that response.
     CAWS_PERMISSION_VOCAB="ask"
     CAWS_INSTRUCTION_FILES="AGENTS.md"
+    # Cursor's hook response has no input-rewrite field — quiet-merge passes
+    # the command through unrewritten on this surface.
+    CAWS_SUPPORTS_UPDATED_INPUT="0"
     CAWS_AGENT_PROCESS_NAMES="cursor"
     ;;
   windsurf)
     CAWS_VENDOR_DIR=".windsurf"
     CAWS_PLATFORM_FLAG="windsurf"
-    CAWS_PERMISSION_VOCAB="ask"
+    # Cascade's only block primitive is exit 2 on a pre_* hook — there is no
+    # "ask". Map ask -> deny, matching the codex adapter precedent.
+    CAWS_PERMISSION_VOCAB="deny"
     CAWS_INSTRUCTION_FILES="AGENTS.md"
+    # No input-rewrite contract — quiet-merge passes the command through
+    # unrewritten on this surface.
+    CAWS_SUPPORTS_UPDATED_INPUT="0"
     CAWS_AGENT_PROCESS_NAMES="windsurf"
     ;;
   opencode)
@@ -292,7 +313,8 @@ else
 fi
 
 # Default updatedInput support ON for every surface that has been emitting it
-# (all surfaces predating this flag); the kimi-code arm above opts out.
+# (all surfaces predating this flag); the kimi-code, qwen-code, cursor and
+# windsurf arms above opt out.
 : "${CAWS_SUPPORTS_UPDATED_INPUT:=1}"
 
 # ---------------------------------------------------------------------------
@@ -0,0 +1,172 @@
+#!/bin/bash
+# CAWS-MANAGED-HOOK
+# hook_pack: windsurf
+# hook_pack_version: 1
+# caws_min_major: 11
+# lineage_refs: 8,11,16,17,19,22,23,24,26
+# edit_stance: YOURS TO EDIT. This is a starting hook, not a locked one — shape it
+#   to your repo: tune thresholds, add checks, remove what does not fit. Your edits
+#   are preserved: caws init treats a changed hook as intended growth and will not
+#   clobber it — it shows a diff and asks (--adopt keeps yours; --overwrite --force
+#   takes the upstream template). The CAWS-MANAGED-HOOK marker above is only how caws
+#   init finds hooks it can offer updates for; it is NOT a keep-out sign. CAWS owns the
+#   failure-class invariant (the why/what a guard protects); you own the how. The one
+#   edit to avoid: gutting a guard to dodge a block instead of fixing the cause. Grow
+#   everything else freely.
+#
+# caws-windsurf-hook.sh <windsurfEvent> — the windsurf vendor adapter shim.
+#
+# WHY THIS EXISTS. Windsurf (Cascade hooks) reads hook config from the
+# repo-local .windsurf/hooks.json and pipes a Cascade-shaped payload
+# ({agent_action_name, trajectory_id, execution_id, timestamp, tool_info}) to
+# each hook. The shared dispatchers only speak the Claude shape, so this shim
+# is a TRANSLATING bridge (same role as the cursor shim):
+#
+#   1. Resolves the active git root at INVOCATION time (codex/kimi/qwen
+#      precedent; HOOK-PROJECT-DIR-ROOT-NOT-CWD-01) and no-ops silently when
+#      the root has no CAWS shared core, or when jq is absent (fail open).
+#   2. Translates tool_info into the Claude-shaped envelope the shared parser
+#      reads: trajectory_id -> session_id, the action -> hook_event_name, and
+#      tool_info -> tool_name / tool_input.
+#   3. Runs the shared dispatcher with the surface identity injected
+#      (CAWS_AGENT_SURFACE / CAWS_PROJECT_DIR). Cascade's only block primitive
+#      on a pre-hook is exit 2 with the reason on stderr, so any refusal
+#      (exit 2, decision:block, permissionDecision deny|ask) is folded into
+#      exactly that; agent-surface.sh maps windsurf to the deny vocabulary.
+#
+# EVENT MAP (Cascade hook contract as documented; field names are taken from
+# those docs, not from a live probe):
+#
+#   pre_run_command  {command_line, cwd}      -> PreToolUse Bash  (blocking)
+#   pre_write_code   {file_path, edits[]}     -> PreToolUse Edit  (blocking)
+#   post_run_command {command_line, cwd}      -> PostToolUse Bash
+#   post_write_code  {file_path, edits[]}     -> PostToolUse Edit
+#   pre_user_prompt  {user_prompt}            -> SessionStart, ONCE per
+#                                                trajectory_id (a marker under
+#                                                .windsurf/hooks/state/); never
+#                                                blocks the prompt
+#   post_cascade_response {response}          -> Stop
+#
+# Any other action fails open (exit 0, no output).
+#
+# FAIL-OPEN everywhere: any anomaly (unknown action, missing dispatcher, git or
+# jq absent) exits 0 so a wiring hiccup never blocks a legitimate action.
+# Deliberately NOT `set -e`.
+
+set -uo pipefail
+
+EVENT="${1:-}"
+
+ROOT="$(git rev-parse --show-toplevel 2>/dev/null || pwd -P)"
+
+DISPATCH_DIR="$ROOT/.caws/hooks/dispatch"
+
+# Inert outside CAWS repos: no shared core installed -> allow, no output.
+[[ -d "$DISPATCH_DIR" ]] || exit 0
+command -v jq >/dev/null 2>&1 || exit 0
+
+PAYLOAD="$(cat)"
+[[ -n "$PAYLOAD" ]] || PAYLOAD='{}'
+
+export CAWS_AGENT_SURFACE="windsurf"
+export CAWS_PROJECT_DIR="$ROOT"
+
+# _windsurf_envelope <hook_event_name> <tool_name> — the Claude-shaped
+# envelope for the current Cascade payload. tool_name may be empty.
+_windsurf_envelope() {
+  printf '%s' "$PAYLOAD" | jq -c --arg event "$1" --arg tool "$2" --arg root "$ROOT" '
+    (.tool_info // {}) as $t
+    | {
+        hook_event_name: $event,
+        session_id: (.trajectory_id // "unknown"),
+        cwd: ($t.cwd // $root)
+      }
+    + (if $tool == "Bash" then
+         { tool_name: "Bash", tool_input: { command: ($t.command_line // "") } }
+       elif $tool == "Edit" then
+         { tool_name: "Edit",
+           tool_input: {
+             file_path: ($t.file_path // ""),
+             old_string: ([$t.edits[]?.old_string // empty] | join("\n")),
+             new_string: ([$t.edits[]?.new_string // empty] | join("\n"))
+           } }
+       else {} end)' 2>/dev/null
+}
+
+# _windsurf_dispatch <dispatcher> <envelope> — run a shared dispatcher on the
+# envelope. Sets DISPATCH_EXIT, DISPATCH_STDOUT and DISPATCH_STDERR.
+_windsurf_dispatch() {
+  local dispatcher="$DISPATCH_DIR/$1"
+  DISPATCH_EXIT=0
+  DISPATCH_STDOUT=""
+  DISPATCH_STDERR=""
+  [[ -x "$dispatcher" ]] || return 0
+  local err_file
+  err_file="$(mktemp)"
+  DISPATCH_STDOUT="$(printf '%s' "$2" | "$dispatcher" 2>"$err_file")" || DISPATCH_EXIT=$?
+  DISPATCH_STDERR="$(cat "$err_file")"
+  rm -f "$err_file"
+  return 0
+}
+
+# _windsurf_refused — does the last dispatch refuse the action? exit 2,
+# decision:block and permissionDecision deny|ask all refuse: Cascade has no
+# ask, so an ask degrades to a block (codex/kimi precedent).
+_windsurf_refused() {
+  [[ "$DISPATCH_EXIT" -eq 2 ]] && return 0
+  printf '%s' "$DISPATCH_STDOUT" | jq -es '
+    any(.[] | select(type == "object");
+      .decision == "block"
+      or .hookSpecificOutput.permissionDecision == "deny"
+      or .hookSpecificOutput.permissionDecision == "ask")' >/dev/null 2>&1
+}
+
+# _windsurf_block_or_pass — exit 2 with the reason on stderr when the last
+# dispatch refused; otherwise relay diagnostics and fall through.
+_windsurf_block_or_pass() {
+  if _windsurf_refused; then
+    local reason
+    reason="$(printf '%s' "$DISPATCH_STDOUT" | jq -rs '
+      [.[] | select(type == "object") | (.reason // .hookSpecificOutput.permissionDecisionReason // empty)]
+      | first // ""' 2>/dev/null)"
+    printf '%s\n' "${reason:-${DISPATCH_STDERR:-Blocked by CAWS}}" >&2
+    exit 2
+  fi
+  [[ -n "$DISPATCH_STDERR" ]] && printf '%s\n' "$DISPATCH_STDERR" >&2
+  return 0
+}
+
+case "$EVENT" in
+  pre_run_command)
+    _windsurf_dispatch pre_tool_use.sh "$(_windsurf_envelope PreToolUse Bash)"
+    _windsurf_block_or_pass
+    ;;
+  pre_write_code)
+    _windsurf_dispatch pre_tool_use.sh "$(_windsurf_envelope PreToolUse Edit)"
+    _windsurf_block_or_pass
+    ;;
+  post_run_command)
+    _windsurf_dispatch post_tool_use.sh "$(_windsurf_envelope PostToolUse Bash)"
+    [[ -n "$DISPATCH_STDERR" ]] && printf '%s\n' "$DISPATCH_STDERR" >&2
+    ;;
+  post_write_code)
+    _windsurf_dispatch post_tool_use.sh "$(_windsurf_envelope PostToolUse Edit)"
+    [[ -n "$DISPATCH_STDERR" ]] && printf '%s\n' "$DISPATCH_STDERR" >&2
+    ;;
+  pre_user_prompt)
+    SESSION="$(printf '%s' "$PAYLOAD" | jq -r '.trajectory_id // empty' 2>/dev/null)"
+    STATE_DIR="$ROOT/.windsurf/hooks/state"
+    MARKER="$STATE_DIR/session-started-${SESSION//[^A-Za-z0-9._-]/_}"
+    if [[ -n "$SESSION" && ! -e "$MARKER" ]]; then
+      mkdir -p "$STATE_DIR" 2>/dev/null && : > "$MARKER" 2>/dev/null
+      _windsurf_dispatch session_start.sh "$(_windsurf_envelope SessionStart '')"
+    fi
+    ;;
+  post_cascade_response)
+    _windsurf_dispatch stop.sh "$(_windsurf_envelope Stop '')"
+    ;;
+  *)
+    exit 0 ;; # unknown action: fail open
+esac
+
+exit 0
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Programmatic Node API — `@paths.design/caws-cli/api` (CAWS-NODE-API-001).
+ *
+ * The API runs the real command handlers in process, so these tests pin the
+ * contract a caller relies on rather than the commands' behavior (which their
+ * own suites cover):
+ *   - the package subpath resolves to dist/api and carries API_VERSION
+ *   - --json commands return their parsed payload as `data`, including the
+ *     payload a non-zero exit still prints (scope check)
+ *   - commands without a JSON mode return the store record they just wrote
+ *   - a failed command is ok:false, data:null, with the CLI's stderr
+ *   - nothing reaches process stdout/stderr
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { initProject } = require('../../dist/store/init-store');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const api = require('../../dist/api');
+
+const SESSION = 'node-api-session';
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function mkRepo() {
+  const root = makeTempRepo();
+  const initialized = initProject(root);
+  if (!initialized.ok) throw new Error('initProject failed: ' + JSON.stringify(initialized.errors));
+  execFileSync('git', ['-C', root, 'add', '-A']);
+  execFileSync('git', ['-C', root, 'commit', '--quiet', '--no-verify', '-m', 'caws init']);
+  return root;
+}
+
+function opts(root) {
+  return { cwd: root, env: { ...process.env, CLAUDE_CODE_SESSION_ID: SESSION } };
+}
+
+function createSpec(root, id) {
+  const created = api.specs.create(
+    { id, title: 'API fixture', mode: 'chore', riskTier: 3, scopeIn: ['payload.txt'] },
+    opts(root)
+  );
+  if (!created.ok) throw new Error('specs.create failed: ' + created.stderr.join('\n'));
+  return created;
+}
+
+describe('package surface', () => {
+  test('the ./api subpath resolves to dist/api and exports a numeric API_VERSION', () => {
+    expect(require.resolve('@paths.design/caws-cli/api')).toBe(
+      path.resolve(__dirname, '..', '..', 'dist', 'api', 'index.js')
+    );
+    expect(api.API_VERSION).toBe(1);
+    expect(Object.keys(api.specs).sort()).toEqual(
+      ['activate', 'close', 'create', 'list', 'plan', 'show', 'verify'].sort()
+    );
+  });
+});
+
+describe('read commands', () => {
+  test('status, doctor and gates return their --json payloads', () => {
+    const root = mkRepo();
+    createSpec(root, 'API-001');
+
+    const status = api.status({ ...opts(root), panels: ['specs'] });
+    expect(status).toMatchObject({ ok: true, exitCode: 0 });
+    expect(status.data.panels).toEqual(['specs']);
+    expect(status.data.specs.items).toEqual([
+      { id: 'API-001', title: 'API fixture', lifecycle_state: 'draft' },
+    ]);
+    expect(status.data).not.toHaveProperty('doctor');
+
+    const doctor = api.doctor(opts(root));
+    expect(doctor.data).toMatchObject({ dry_run: true, read_only: true });
+    expect(Array.isArray(doctor.data.items)).toBe(true);
+
+    const gates = api.gates.list(opts(root));
+    expect(gates.ok).toBe(true);
+    expect(gates.data.gate_count).toBe(gates.data.gates.length);
+    const first = gates.data.gates[0].gate_id;
+    expect(api.gates.explain(first, opts(root)).data.gate.gate_id).toBe(first);
+  });
+
+  test('scope check keeps the decision on a refusal exit', () => {
+    const root = mkRepo();
+    const check = api.scope.check('src/unclaimed.js', opts(root));
+    expect(check.ok).toBe(false);
+    expect(check.exitCode).toBe(1);
+    expect(check.data).toMatchObject({ decision: 'no_authority', path: 'src/unclaimed.js' });
+
+    const plan = api.scope.plan(['src/a.js', 'src/b.js'], opts(root));
+    expect(plan.data.count).toBe(2);
+    expect(plan.data.paths.map((p) => p.path)).toEqual(['src/a.js', 'src/b.js']);
+  });
+
+  test('a failed command is data:null with the CLI stderr, and prints nothing itself', () => {
+    const root = mkRepo();
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    let shown;
+    try {
+      shown = api.specs.show('NOPE-404', opts(root));
+    } finally {
+      stdout.mockRestore();
+      stderr.mockRestore();
+    }
+    expect(shown).toMatchObject({ ok: false, exitCode: 1, data: null });
+    expect(shown.stderr.join('\n')).toContain('NOPE-404');
+    expect(stdout).not.toHaveBeenCalled();
+    expect(stderr).not.toHaveBeenCalled();
+  });
+});
+
+describe('write commands return what they wrote', () => {
+  test('specs plan writes nothing; create, activate and close return the stored spec', () => {
+    const root = mkRepo();
+    const plan = api.specs.plan(
+      { id: 'API-002', title: 'Planned', mode: 'chore', riskTier: 3 },
+      opts(root)
+    );
+    expect(plan.data).toMatchObject({ dry_run: true, id: 'API-002', valid: true });
+    expect(fs.existsSync(path.join(root, '.caws', 'specs', 'API-002.yaml'))).toBe(false);
+
+    const created = createSpec(root, 'API-002');
+    expect(created.data.spec).toMatchObject({ id: 'API-002', lifecycle_state: 'draft' });
+    expect(created.data.path).toBe(path.join(root, '.caws', 'specs', 'API-002.yaml'));
+
+    expect(api.specs.activate('API-002', opts(root)).data.spec.lifecycle_state).toBe('active');
+    const closed = api.specs.close(
+      'API-002',
+      { resolution: 'abandoned', closureNotes: 'not needed' },
+      opts(root)
+    );
+    expect(closed.data.spec.lifecycle_state).toBe('closed');
+
+    const listed = api.specs.list({ ...opts(root), status: 'closed' });
+    expect(listed.data.active.map((s) => s.id)).toEqual(['API-002']);
+  });
+
+  test('worktree create, list and merge: registry entry, then the worktree_merged event', () => {
+    const root = mkRepo();
+    createSpec(root, 'API-003');
+    execFileSync('git', ['-C', root, 'add', '-A']);
+    execFileSync('git', ['-C', root, 'commit', '--quiet', '--no-verify', '-m', 'spec']);
+
+    const created = api.worktree.create('api-lane', { specId: 'API-003' }, opts(root));
+    expect(created.data).toMatchObject({ name: 'api-lane', specId: 'API-003' });
+    expect(created.data.owner.session_id).toBe(SESSION);
+    expect(api.worktree.list(opts(root)).data.map((w) => w.name)).toEqual(['api-lane']);
+
+    fs.writeFileSync(path.join(created.data.path, 'payload.txt'), 'work\n');
+    execFileSync('git', ['-C', created.data.path, 'add', 'payload.txt']);
+    execFileSync('git', [
+      '-C',
+      created.data.path,
+      'commit',
+      '--quiet',
+      '--no-verify',
+      '-m',
+      'work',
+    ]);
+
+    const merged = api.worktree.merge('api-lane', {}, opts(root));
+    expect(merged.ok).toBe(true);
+    expect(merged.data).toMatchObject({
+      name: 'api-lane',
+      spec_id: 'API-003',
+      auto_closed_spec: true,
+    });
+    expect(merged.data.merge_commit).toMatch(/^[0-9a-f]{40}$/);
+    expect(api.worktree.list(opts(root)).data).toEqual([]);
+  });
+});
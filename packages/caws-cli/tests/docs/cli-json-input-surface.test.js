@@ -38,6 +38,9 @@ function isOperatorSuppliedJsonInput(option) {
   if (option.command === 'specs migrate' && option.flag === '--lifecycle-mapping <path>') {
     return true;
   }
+  if (option.command === 'message send' && option.flag === '--body <json>') {
+    return true;
+  }
   return false;
 }
 
@@ -50,6 +53,7 @@ describe('CLI JSON input surface reconciliation', () => {
 
     expect(inputs).toEqual([
       'evidence record --data <json>',
+      'message send --body <json>',
       'specs migrate --lifecycle-mapping <path>',
     ]);
   });
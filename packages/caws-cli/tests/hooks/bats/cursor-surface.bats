@@ -0,0 +1,170 @@
+#!/usr/bin/env bats
+# cursor vendor adapter — shim translation, surface resolution, and wiring.
+#
+# Covers what the jest merge tests cannot:
+#   - the pack files install (executable shim, always-applied rule) and init
+#     wires .cursor/hooks.json + the example;
+#   - agent-surface.sh resolves cursor to .cursor / ask / no-updatedInput;
+#   - caws-cursor-hook.sh is INERT outside CAWS repos;
+#   - the shim translates Cursor payloads into the Claude envelope the shared
+#     dispatchers read, and folds the dispatcher verdict back into Cursor's
+#     {"permission": ...} response (spy dispatchers stand in for the guards);
+#   - afterFileEdit reports a would-be refusal but never blocks (Cursor has
+#     no pre-edit hook — detect only);
+#   - beforeSubmitPrompt runs SessionStart once per conversation.
+
+load helpers
+
+setup_file() {
+  [[ -f "$CLI_DIST_ENTRY" ]] || {
+    echo "caws-cli dist not built at $CLI_DIST_ENTRY" >&2
+    return 1
+  }
+  local repo
+  repo="$(mktemp -d "${TMPDIR:-/tmp}/caws-bats-cursor-XXXXXX")"
+  git -C "$repo" init -q -b main
+  git -C "$repo" config user.name 'CAWS Test'
+  git -C "$repo" config user.email 'test@caws.invalid'
+  git -C "$repo" config commit.gpgsign false
+  git -C "$repo" commit -q --allow-empty -m 'root commit'
+  ( cd "$repo" && CI=true NO_COLOR=1 node "$CLI_DIST_ENTRY" init --agent-surface cursor >/dev/null 2>&1 )
+  export CAWS_TEST_REPO="$repo"
+  export CAWS_TEST_HOOKS_DIR="$repo/.caws/hooks"
+  export CURSOR_VENDOR_DIR="$repo/.cursor"
+  export CURSOR_SHIM="$repo/.cursor/hooks/caws-cursor-hook.sh"
+}
+teardown_file() {
+  caws_teardown_pack
+}
+
+# _spy_dispatcher <name> <body> — swap a shared dispatcher for a spy script;
+# the real one is kept at <name>.real and restored by _restore_dispatcher.
+_spy_dispatcher() {
+  local dir="$CAWS_TEST_HOOKS_DIR/dispatch"
+  mv "$dir/$1" "$dir/$1.real"
+  printf '#!/bin/bash\n%s\n' "$2" > "$dir/$1"
+  chmod +x "$dir/$1"
+}
+_restore_dispatcher() {
+  mv -f "$CAWS_TEST_HOOKS_DIR/dispatch/$1.real" "$CAWS_TEST_HOOKS_DIR/dispatch/$1"
+}
+
+# --- install layout ---------------------------------------------------------------
+
+@test "cursor pack: shim and always-applied rule install at their destPaths" {
+  [[ -x "$CURSOR_SHIM" ]]
+  [[ -f "$CURSOR_VENDOR_DIR/rules/caws-hooks.mdc" ]]
+  head -n 4 "$CURSOR_VENDOR_DIR/rules/caws-hooks.mdc" | grep -q 'alwaysApply: true'
+}
+
+@test "cursor pack: init wires .cursor/hooks.json and writes the example" {
+  [[ -f "$CURSOR_VENDOR_DIR/hooks.json.example" ]]
+  run jq -r '.version, (.hooks | keys | sort | join(","))' "$CURSOR_VENDOR_DIR/hooks.json"
+  assert_success
+  assert_output "1
+afterFileEdit,beforeShellExecution,beforeSubmitPrompt,stop"
+  grep -q 'caws-cursor-hook.sh' "$CURSOR_VENDOR_DIR/hooks.json"
+}
+
+# --- agent-surface resolution -------------------------------------------------------
+
+@test "agent-surface: cursor resolves vendor dir, ask vocab, no updatedInput" {
+  run env -i PATH="$PATH" \
+    CAWS_AGENT_SURFACE="cursor" \
+    CAWS_PROJECT_DIR="$CAWS_TEST_REPO" \
+    bash -c "source '$CAWS_TEST_HOOKS_DIR/lib/agent-surface.sh' >/dev/null 2>&1; \
+      printf '%s|%s|%s|%s\n' \"\$CAWS_VENDOR_DIR\" \"\$CAWS_PERMISSION_VOCAB\" \
+        \"\$CAWS_PLATFORM_FLAG\" \"\$CAWS_SUPPORTS_UPDATED_INPUT\""
+  assert_success
+  assert_output ".cursor|ask|cursor|0"
+}
+
+# --- shim: inert outside CAWS repos ---------------------------------------------------
+
+@test "shim: inert in a git repo with no .caws/hooks (exit 0, no output)" {
+  local bare_repo
+  bare_repo="$(mktemp -d "${TMPDIR:-/tmp}/caws-shim-bare-XXXXXX")"
+  git -C "$bare_repo" init -q -b main
+  run env -i PATH="$PATH" \
+    bash -c "cd '$bare_repo' && printf '%s' '{\"command\":\"rm -rf /\"}' | '$CURSOR_SHIM' beforeShellExecution"
+  assert_success
+  assert_output ""
+  rm -rf "$bare_repo"
+}
+
+@test "shim: unknown event fails open (exit 0, no output)" {
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{}' | '$CURSOR_SHIM' beforeMCPExecution"
+  assert_success
+  assert_output ""
+}
+
+# --- shim: translation ------------------------------------------------------------------
+
+@test "shim: beforeShellExecution becomes a PreToolUse Bash envelope" {
+  local spy_out="$CAWS_TEST_REPO/spy-out.json"
+  _spy_dispatcher pre_tool_use.sh 'cat > "$CAWS_SPY_OUT"; printf "%s" "$CAWS_AGENT_SURFACE" > "$CAWS_SPY_OUT.surface"'
+  run env -i PATH="$PATH" CAWS_SPY_OUT="$spy_out" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"conversation_id\":\"conv-1\",\"command\":\"npm test\",\"cwd\":\"$CAWS_TEST_REPO\"}' | '$CURSOR_SHIM' beforeShellExecution"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_success
+  assert_output '{"permission":"allow"}'
+  run jq -c '[.hook_event_name, .tool_name, .tool_input.command, .session_id]' "$spy_out"
+  assert_output '["PreToolUse","Bash","npm test","conv-1"]'
+  run cat "$spy_out.surface"
+  assert_output "cursor"
+  rm -f "$spy_out" "$spy_out.surface"
+}
+
+@test "shim: a dispatcher block becomes permission deny with the reason" {
+  _spy_dispatcher pre_tool_use.sh 'cat >/dev/null; printf "%s\n" "{\"decision\":\"block\",\"reason\":\"no force-push\"}"; exit 2'
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"conversation_id\":\"c\",\"command\":\"git push -f\"}' | '$CURSOR_SHIM' beforeShellExecution 2>/dev/null"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_success
+  run jq -r '.permission + "|" + .agentMessage' <<<"$output"
+  assert_output "deny|no force-push"
+}
+
+@test "shim: a dispatcher ask becomes permission ask" {
+  _spy_dispatcher pre_tool_use.sh 'cat >/dev/null; printf "%s\n" "{\"hookSpecificOutput\":{\"permissionDecision\":\"ask\",\"permissionDecisionReason\":\"confirm merge\"}}"'
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"conversation_id\":\"c\",\"command\":\"git merge x\"}' | '$CURSOR_SHIM' beforeShellExecution"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_success
+  run jq -r '.permission + "|" + .userMessage' <<<"$output"
+  assert_output "ask|confirm merge"
+}
+
+@test "shim: afterFileEdit reports a would-be refusal on stderr but never blocks" {
+  local spy_out="$CAWS_TEST_REPO/spy-edit.json"
+  _spy_dispatcher pre_tool_use.sh 'cat > "$CAWS_SPY_OUT"; printf "%s\n" "{\"decision\":\"block\",\"reason\":\"out of scope\"}"; exit 2'
+  run env -i PATH="$PATH" CAWS_SPY_OUT="$spy_out" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"conversation_id\":\"c\",\"file_path\":\"src/x.ts\",\"edits\":[{\"old_string\":\"a\",\"new_string\":\"b\"}]}' | '$CURSOR_SHIM' afterFileEdit 2>&1"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_success
+  assert_output --partial 'CAWS would have refused it: out of scope'
+  run jq -c '[.tool_name, .tool_input.file_path, .tool_input.new_string]' "$spy_out"
+  assert_output '["Edit","src/x.ts","b"]'
+  rm -f "$spy_out"
+}
+
+@test "shim: beforeSubmitPrompt runs SessionStart once per conversation and always continues" {
+  local spy_out="$CAWS_TEST_REPO/spy-session.log"
+  _spy_dispatcher session_start.sh 'cat >/dev/null; echo started >> "$CAWS_SPY_OUT"'
+  for _ in 1 2; do
+    run env -i PATH="$PATH" CAWS_SPY_OUT="$spy_out" \
+      bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"conversation_id\":\"conv-once\",\"prompt\":\"hi\"}' | '$CURSOR_SHIM' beforeSubmitPrompt"
+    assert_success
+    assert_output '{"continue":true}'
+  done
+  _restore_dispatcher session_start.sh
+
+  run wc -l < "$spy_out"
+  assert_output --regexp '^ *1$'
+  rm -f "$spy_out"
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env bats
+# windsurf vendor adapter — shim translation, surface resolution, and wiring.
+#
+# Covers what the jest merge tests cannot:
+#   - the pack files install (executable shim, always-on rule) and init wires
+#     .windsurf/hooks.json + the example;
+#   - agent-surface.sh resolves windsurf to .windsurf / deny / no-updatedInput
+#     (Cascade has no "ask");
+#   - caws-windsurf-hook.sh is INERT outside CAWS repos;
+#   - the shim translates Cascade tool_info into the Claude envelope and turns
+#     every refusal (block, deny, or a stray ask) into exit 2 with the reason
+#     on stderr — Cascade's only block primitive (spy dispatchers stand in for
+#     the guards);
+#   - pre_user_prompt runs SessionStart once per trajectory.
+
+load helpers
+
+setup_file() {
+  [[ -f "$CLI_DIST_ENTRY" ]] || {
+    echo "caws-cli dist not built at $CLI_DIST_ENTRY" >&2
+    return 1
+  }
+  local repo
+  repo="$(mktemp -d "${TMPDIR:-/tmp}/caws-bats-windsurf-XXXXXX")"
+  git -C "$repo" init -q -b main
+  git -C "$repo" config user.name 'CAWS Test'
+  git -C "$repo" config user.email 'test@caws.invalid'
+  git -C "$repo" config commit.gpgsign false
+  git -C "$repo" commit -q --allow-empty -m 'root commit'
+  ( cd "$repo" && CI=true NO_COLOR=1 node "$CLI_DIST_ENTRY" init --agent-surface windsurf >/dev/null 2>&1 )
+  export CAWS_TEST_REPO="$repo"
+  export CAWS_TEST_HOOKS_DIR="$repo/.caws/hooks"
+  export WINDSURF_VENDOR_DIR="$repo/.windsurf"
+  export WINDSURF_SHIM="$repo/.windsurf/hooks/caws-windsurf-hook.sh"
+}
+teardown_file() {
+  caws_teardown_pack
+}
+
+# _spy_dispatcher <name> <body> — swap a shared dispatcher for a spy script;
+# the real one is kept at <name>.real and restored by _restore_dispatcher.
+_spy_dispatcher() {
+  local dir="$CAWS_TEST_HOOKS_DIR/dispatch"
+  mv "$dir/$1" "$dir/$1.real"
+  printf '#!/bin/bash\n%s\n' "$2" > "$dir/$1"
+  chmod +x "$dir/$1"
+}
+_restore_dispatcher() {
+  mv -f "$CAWS_TEST_HOOKS_DIR/dispatch/$1.real" "$CAWS_TEST_HOOKS_DIR/dispatch/$1"
+}
+
+# --- install layout ---------------------------------------------------------------
+
+@test "windsurf pack: shim and always-on rule install at their destPaths" {
+  [[ -x "$WINDSURF_SHIM" ]]
+  [[ -f "$WINDSURF_VENDOR_DIR/rules/caws-hooks.md" ]]
+  head -n 3 "$WINDSURF_VENDOR_DIR/rules/caws-hooks.md" | grep -q 'trigger: always_on'
+}
+
+@test "windsurf pack: init wires .windsurf/hooks.json and writes the example" {
+  [[ -f "$WINDSURF_VENDOR_DIR/hooks.json.example" ]]
+  run jq -r '.hooks | keys | sort | join(",")' "$WINDSURF_VENDOR_DIR/hooks.json"
+  assert_success
+  assert_output "post_cascade_response,post_run_command,post_write_code,pre_run_command,pre_user_prompt,pre_write_code"
+}
+
+# --- agent-surface resolution -------------------------------------------------------
+
+@test "agent-surface: windsurf resolves vendor dir, deny vocab, no updatedInput" {
+  run env -i PATH="$PATH" \
+    CAWS_AGENT_SURFACE="windsurf" \
+    CAWS_PROJECT_DIR="$CAWS_TEST_REPO" \
+    bash -c "source '$CAWS_TEST_HOOKS_DIR/lib/agent-surface.sh' >/dev/null 2>&1; \
+      printf '%s|%s|%s|%s\n' \"\$CAWS_VENDOR_DIR\" \"\$CAWS_PERMISSION_VOCAB\" \
+        \"\$CAWS_PLATFORM_FLAG\" \"\$CAWS_SUPPORTS_UPDATED_INPUT\""
+  assert_success
+  assert_output ".windsurf|deny|windsurf|0"
+}
+
+# --- shim: inert outside CAWS repos ---------------------------------------------------
+
+@test "shim: inert in a git repo with no .caws/hooks (exit 0, no output)" {
+  local bare_repo
+  bare_repo="$(mktemp -d "${TMPDIR:-/tmp}/caws-shim-bare-XXXXXX")"
+  git -C "$bare_repo" init -q -b main
+  run env -i PATH="$PATH" \
+    bash -c "cd '$bare_repo' && printf '%s' '{\"tool_info\":{\"command_line\":\"rm -rf /\"}}' | '$WINDSURF_SHIM' pre_run_command"
+  assert_success
+  assert_output ""
+  rm -rf "$bare_repo"
+}
+
+@test "shim: unknown action fails open (exit 0, no output)" {
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{}' | '$WINDSURF_SHIM' pre_mcp_tool_use"
+  assert_success
+  assert_output ""
+}
+
+# --- shim: translation ------------------------------------------------------------------
+
+@test "shim: pre_run_command becomes a PreToolUse Bash envelope and passes on allow" {
+  local spy_out="$CAWS_TEST_REPO/spy-out.json"
+  _spy_dispatcher pre_tool_use.sh 'cat > "$CAWS_SPY_OUT"'
+  run env -i PATH="$PATH" CAWS_SPY_OUT="$spy_out" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"agent_action_name\":\"pre_run_command\",\"trajectory_id\":\"traj-1\",\"tool_info\":{\"command_line\":\"npm test\",\"cwd\":\"$CAWS_TEST_REPO\"}}' | '$WINDSURF_SHIM' pre_run_command"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_success
+  assert_output ""
+  run jq -c '[.hook_event_name, .tool_name, .tool_input.command, .session_id]' "$spy_out"
+  assert_output '["PreToolUse","Bash","npm test","traj-1"]'
+  rm -f "$spy_out"
+}
+
+@test "shim: pre_write_code block exits 2 with the reason on stderr" {
+  _spy_dispatcher pre_tool_use.sh 'cat >/dev/null; printf "%s\n" "{\"decision\":\"block\",\"reason\":\"src/x.ts is out of scope\"}"; exit 2'
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"trajectory_id\":\"t\",\"tool_info\":{\"file_path\":\"src/x.ts\",\"edits\":[{\"old_string\":\"a\",\"new_string\":\"b\"}]}}' | '$WINDSURF_SHIM' pre_write_code 2>&1 >/dev/null"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_failure 2
+  assert_output "src/x.ts is out of scope"
+}
+
+@test "shim: a stray ask degrades to a block (exit 2)" {
+  _spy_dispatcher pre_tool_use.sh 'cat >/dev/null; printf "%s\n" "{\"hookSpecificOutput\":{\"permissionDecision\":\"ask\",\"permissionDecisionReason\":\"confirm merge\"}}"'
+  run env -i PATH="$PATH" \
+    bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"trajectory_id\":\"t\",\"tool_info\":{\"command_line\":\"git merge x\"}}' | '$WINDSURF_SHIM' pre_run_command 2>&1"
+  _restore_dispatcher pre_tool_use.sh
+
+  assert_failure 2
+  assert_output "confirm merge"
+}
+
+@test "shim: pre_user_prompt runs SessionStart once per trajectory" {
+  local spy_out="$CAWS_TEST_REPO/spy-session.log"
+  _spy_dispatcher session_start.sh 'cat >/dev/null; echo started >> "$CAWS_SPY_OUT"'
+  for _ in 1 2; do
+    run env -i PATH="$PATH" CAWS_SPY_OUT="$spy_out" \
+      bash -c "cd '$CAWS_TEST_REPO' && printf '%s' '{\"trajectory_id\":\"traj-once\",\"tool_info\":{\"user_prompt\":\"hi\"}}' | '$WINDSURF_SHIM' pre_user_prompt"
+    assert_success
+  done
+  _restore_dispatcher session_start.sh
+
+  run wc -l < "$spy_out"
+  assert_output --regexp '^ *1$'
+  rm -f "$spy_out"
+}
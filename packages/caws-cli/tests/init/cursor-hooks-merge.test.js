@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Cursor repo-local .cursor/hooks.json merge coverage.
+ *
+ * Modeled on qwen-config-merge.test.js. Cursor's hooks.json is a flat list of
+ * command entries per event (no matcher groups) plus a required top-level
+ * `"version": 1`, so the merge contract under test is:
+ *   - absent file → created with `version: 1` and exactly the four canonical
+ *     shim entries
+ *   - existing file → append-only per event; user-authored entries preserved
+ *   - a missing `version` is filled in; an existing one is never rewritten
+ *   - stale CAWS-owned entries → replaced in place (reported as repaired)
+ *   - already wired (by merge OR a hand-pasted snippet) → unchanged no-op
+ *   - idempotent: a second run is byte-identical
+ *   - unparseable file → invalid, left untouched
+ *   - plan / inspect / example never write hooks.json
+ *
+ * The SUT is the compiled surface: require('../../dist/init/hook-install').
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  mergeCursorHooks,
+  planCursorHooksMerge,
+  inspectCursorHooks,
+  writeCursorHooksExample,
+  planCursorHooksExample,
+  CANONICAL_CURSOR_HOOK_ENTRIES,
+  CANONICAL_CURSOR_HOOKS_SNIPPET,
+} = require('../../dist/init/hook-install');
+const { resolveHookPack } = require('../../dist/init/hook-packs/register');
+
+const ALL_EVENTS = ['beforeShellExecution', 'afterFileEdit', 'beforeSubmitPrompt', 'stop'];
+
+function makeRepo() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'caws-cursor-merge-'));
+}
+function hooksPathFor(repo) {
+  return path.join(repo, '.cursor', 'hooks.json');
+}
+function readHooks(repo) {
+  return fs.readFileSync(hooksPathFor(repo), 'utf8');
+}
+function writeHooks(repo, value) {
+  fs.mkdirSync(path.join(repo, '.cursor'), { recursive: true });
+  fs.writeFileSync(
+    hooksPathFor(repo),
+    typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+    'utf8'
+  );
+}
+
+describe('registration: cursor is a first-class surface', () => {
+  test("resolveHookPack('cursor') returns the cursor pack", () => {
+    const r = resolveHookPack('cursor');
+    expect(r).toEqual({ kind: 'pack', pack: expect.objectContaining({ id: 'cursor' }) });
+  });
+
+  test('the cursor pack installs exactly the shim and the always-applied rule', () => {
+    const r = resolveHookPack('cursor');
+    if (r.kind !== 'pack') throw new Error('expected pack resolution');
+    expect(r.pack.installedFiles.map((f) => f.destPath).sort()).toEqual([
+      '.cursor/hooks/caws-cursor-hook.sh',
+      '.cursor/rules/caws-hooks.mdc',
+    ]);
+    expect(r.pack.activation).toBe('restart_required');
+    // Cursor has no pre-edit hook: the pack must not claim to gate writes.
+    expect(r.pack.lifecycleEvents).not.toContain('pre_write');
+    expect(r.pack.lifecycleEvents).not.toContain('pre_edit');
+  });
+
+  test('every canonical command resolves the git root and no-ops without the shim', () => {
+    expect(Object.keys(CANONICAL_CURSOR_HOOK_ENTRIES).sort()).toEqual([...ALL_EVENTS].sort());
+    for (const [event, entry] of Object.entries(CANONICAL_CURSOR_HOOK_ENTRIES)) {
+      expect(entry.command).toContain('git rev-parse --show-toplevel');
+      expect(entry.command).toContain('test -x "$ROOT/.cursor/hooks/caws-cursor-hook.sh"');
+      expect(entry.command).toContain(`caws-cursor-hook.sh" ${event} || true`);
+    }
+  });
+});
+
+describe('mergeCursorHooks', () => {
+  let repo;
+  beforeEach(() => {
+    repo = makeRepo();
+  });
+  afterEach(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+  test('absent file → created with version 1 and the four canonical entries', () => {
+    const result = mergeCursorHooks(repo);
+    expect(result).toEqual({ kind: 'created', path: hooksPathFor(repo) });
+    const parsed = JSON.parse(readHooks(repo));
+    expect(parsed.version).toBe(1);
+    for (const event of ALL_EVENTS) {
+      expect(parsed.hooks[event]).toEqual([CANONICAL_CURSOR_HOOK_ENTRIES[event]]);
+    }
+  });
+
+  test('a second run is a byte-identical no-op (unchanged)', () => {
+    mergeCursorHooks(repo);
+    const before = readHooks(repo);
+    expect(mergeCursorHooks(repo).kind).toBe('unchanged');
+    expect(readHooks(repo)).toBe(before);
+  });
+
+  test('a user-authored hook on the same event is kept ahead of the CAWS entry', () => {
+    writeHooks(repo, {
+      version: 1,
+      hooks: { beforeShellExecution: [{ command: './my-audit.sh' }] },
+    });
+    const result = mergeCursorHooks(repo);
+    expect(result.kind).toBe('merged');
+    expect([...result.added].sort()).toEqual([...ALL_EVENTS].sort());
+    const parsed = JSON.parse(readHooks(repo));
+    expect(parsed.hooks.beforeShellExecution).toEqual([
+      { command: './my-audit.sh' },
+      CANONICAL_CURSOR_HOOK_ENTRIES.beforeShellExecution,
+    ]);
+  });
+
+  test('a missing version is filled in; an existing one is left alone', () => {
+    writeHooks(repo, { hooks: {} });
+    mergeCursorHooks(repo);
+    expect(JSON.parse(readHooks(repo)).version).toBe(1);
+
+    writeHooks(repo, { version: 2, hooks: {} });
+    mergeCursorHooks(repo);
+    expect(JSON.parse(readHooks(repo)).version).toBe(2);
+  });
+
+  test('a hand-pasted canonical snippet counts as wired', () => {
+    writeHooks(repo, `${CANONICAL_CURSOR_HOOKS_SNIPPET}\n`);
+    expect(mergeCursorHooks(repo).kind).toBe('unchanged');
+  });
+
+  test('a stale CAWS entry is replaced in place and reported as repaired', () => {
+    const stale = {
+      command: '"$ROOT/.cursor/hooks/caws-cursor-hook.sh" beforeShellExecution',
+    };
+    writeHooks(repo, {
+      version: 1,
+      hooks: {
+        ...JSON.parse(CANONICAL_CURSOR_HOOKS_SNIPPET).hooks,
+        beforeShellExecution: [{ command: 'echo user' }, stale],
+      },
+    });
+    const result = mergeCursorHooks(repo);
+    expect(result).toMatchObject({ kind: 'merged', added: [], repaired: ['beforeShellExecution'] });
+    expect(JSON.parse(readHooks(repo)).hooks.beforeShellExecution).toEqual([
+      { command: 'echo user' },
+      CANONICAL_CURSOR_HOOK_ENTRIES.beforeShellExecution,
+    ]);
+  });
+
+  test('unparseable or non-object hooks.json is invalid and left untouched', () => {
+    writeHooks(repo, '{ not json');
+    expect(mergeCursorHooks(repo).kind).toBe('invalid');
+    expect(readHooks(repo)).toBe('{ not json');
+
+    writeHooks(repo, '[]\n');
+    expect(mergeCursorHooks(repo).kind).toBe('invalid');
+    expect(readHooks(repo)).toBe('[]\n');
+  });
+});
+
+describe('read-only cursor helpers', () => {
+  let repo;
+  beforeEach(() => {
+    repo = makeRepo();
+  });
+  afterEach(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+  test('planCursorHooksMerge reports the merge outcome without writing', () => {
+    expect(planCursorHooksMerge(repo)).toEqual({
+      kind: 'created',
+      path: hooksPathFor(repo),
+      readOnly: true,
+    });
+    expect(fs.existsSync(hooksPathFor(repo))).toBe(false);
+
+    writeHooks(repo, { version: 1, hooks: {} });
+    const plan = planCursorHooksMerge(repo);
+    expect(plan.kind).toBe('merged');
+    expect(plan.readOnly).toBe(true);
+    expect(JSON.parse(readHooks(repo))).toEqual({ version: 1, hooks: {} });
+  });
+
+  test('inspectCursorHooks reports absent / partial / wired', () => {
+    expect(inspectCursorHooks(repo)).toEqual({ kind: 'absent' });
+    writeHooks(repo, {
+      version: 1,
+      hooks: { stop: [CANONICAL_CURSOR_HOOK_ENTRIES.stop] },
+    });
+    expect(inspectCursorHooks(repo)).toEqual({
+      kind: 'partial',
+      missing: ['beforeShellExecution', 'afterFileEdit', 'beforeSubmitPrompt'],
+    });
+    mergeCursorHooks(repo);
+    expect(inspectCursorHooks(repo)).toEqual({ kind: 'wired' });
+  });
+
+  test('the example is the canonical snippet and its plan tracks drift', () => {
+    const examplePath = path.join(repo, '.cursor', 'hooks.json.example');
+    expect(planCursorHooksExample(repo).action).toBe('would_create');
+    expect(writeCursorHooksExample(repo)).toBe(examplePath);
+    expect(fs.readFileSync(examplePath, 'utf8')).toBe(`${CANONICAL_CURSOR_HOOKS_SNIPPET}\n`);
+    expect(planCursorHooksExample(repo).action).toBe('unchanged');
+    fs.writeFileSync(examplePath, '{}\n', 'utf8');
+    expect(planCursorHooksExample(repo).action).toBe('would_update');
+  });
+});
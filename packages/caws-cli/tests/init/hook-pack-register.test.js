@@ -54,20 +54,30 @@ describe('hook-pack registration: the surface arrays are mutually consistent', (
   });
 
   test('the unimplemented surfaces stay declared_not_implemented', () => {
-    // cursor / windsurf are recognized values but ship no pack. If a pack is
-    // added for one of them, move it to IMPLEMENTED_SURFACES and update this.
+    // Every known surface ships a pack today, so this loop is currently empty.
+    // It guards the next surface declared in KNOWN_SURFACES ahead of its
+    // manifest: it must resolve to the diagnostic, never to a wrong pack.
     for (const surface of KNOWN_SURFACES) {
       if (surface === 'none' || IMPLEMENTED_SURFACES.includes(surface)) continue;
       expect(resolveHookPack(surface).kind).toBe('declared_not_implemented');
     }
   });
 
-  test('the implemented surfaces are exactly claude-code, codex, opencode, zcode, kimi-code, qwen-code', () => {
+  test('the implemented surfaces are exactly claude-code, codex, opencode, zcode, kimi-code, qwen-code, cursor, windsurf', () => {
     // Canary: adding a new implemented surface MUST update this assertion, so
     // the registration lock cannot silently go stale. If you ship a new pack,
     // add it here AND confirm every assertion above still holds.
     expect([...IMPLEMENTED_SURFACES].sort()).toEqual(
-      ['claude-code', 'codex', 'kimi-code', 'opencode', 'qwen-code', 'zcode'].sort()
+      [
+        'claude-code',
+        'codex',
+        'cursor',
+        'kimi-code',
+        'opencode',
+        'qwen-code',
+        'windsurf',
+        'zcode',
+      ].sort()
     );
   });
 });
@@ -67,9 +67,11 @@ const RECORDED = JSON.parse(
 const { SHARED_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-shared');
 const { CLAUDE_CODE_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-claude-code');
 const { CODEX_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-codex');
+const { CURSOR_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-cursor');
 const { KIMI_CODE_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-kimi-code');
 const { OPENCODE_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-opencode');
 const { QWEN_CODE_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-qwen-code');
+const { WINDSURF_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-windsurf');
 const { ZCODE_PACK_VERSION } = require('../../dist/init/hook-packs/manifest-zcode');
 
 const PACKS = [
@@ -80,9 +82,11 @@ const PACKS = [
     version: CLAUDE_CODE_PACK_VERSION,
   },
   { id: 'codex', dir: path.join(PACKS_ROOT, 'codex'), version: CODEX_PACK_VERSION },
+  { id: 'cursor', dir: path.join(PACKS_ROOT, 'cursor'), version: CURSOR_PACK_VERSION },
   { id: 'kimi-code', dir: path.join(PACKS_ROOT, 'kimi-code'), version: KIMI_CODE_PACK_VERSION },
   { id: 'opencode', dir: path.join(PACKS_ROOT, 'opencode'), version: OPENCODE_PACK_VERSION },
   { id: 'qwen-code', dir: path.join(PACKS_ROOT, 'qwen-code'), version: QWEN_CODE_PACK_VERSION },
+  { id: 'windsurf', dir: path.join(PACKS_ROOT, 'windsurf'), version: WINDSURF_PACK_VERSION },
   { id: 'zcode', dir: path.join(PACKS_ROOT, 'zcode'), version: ZCODE_PACK_VERSION },
 ];
 
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Windsurf repo-local .windsurf/hooks.json merge coverage.
+ *
+ * Windsurf shares Cursor's flat hooks.json shape (one command list per Cascade
+ * action), so the merge machinery is the same and cursor-hooks-merge.test.js
+ * carries the exhaustive contract. This suite pins what is Windsurf-specific:
+ * the six Cascade actions, `show_output` on every entry, no top-level
+ * `version` key, and the append / idempotent / never-clobber basics.
+ *
+ * The SUT is the compiled surface: require('../../dist/init/hook-install').
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  mergeWindsurfHooks,
+  planWindsurfHooksMerge,
+  inspectWindsurfHooks,
+  writeWindsurfHooksExample,
+  CANONICAL_WINDSURF_HOOK_ENTRIES,
+  CANONICAL_WINDSURF_HOOKS_SNIPPET,
+} = require('../../dist/init/hook-install');
+const { resolveHookPack } = require('../../dist/init/hook-packs/register');
+
+const ALL_ACTIONS = [
+  'pre_run_command',
+  'pre_write_code',
+  'post_run_command',
+  'post_write_code',
+  'pre_user_prompt',
+  'post_cascade_response',
+];
+
+function makeRepo() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'caws-windsurf-merge-'));
+}
+function hooksPathFor(repo) {
+  return path.join(repo, '.windsurf', 'hooks.json');
+}
+function readHooks(repo) {
+  return fs.readFileSync(hooksPathFor(repo), 'utf8');
+}
+function writeHooks(repo, value) {
+  fs.mkdirSync(path.join(repo, '.windsurf'), { recursive: true });
+  fs.writeFileSync(
+    hooksPathFor(repo),
+    typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+    'utf8'
+  );
+}
+
+describe('registration: windsurf is a first-class surface', () => {
+  test("resolveHookPack('windsurf') returns the windsurf pack", () => {
+    const r = resolveHookPack('windsurf');
+    if (r.kind !== 'pack') throw new Error('expected pack resolution');
+    expect(r.pack.id).toBe('windsurf');
+    expect(r.pack.installedFiles.map((f) => f.destPath).sort()).toEqual([
+      '.windsurf/hooks/caws-windsurf-hook.sh',
+      '.windsurf/rules/caws-hooks.md',
+    ]);
+    // pre_write_code fires before the edit lands: writes are gated here.
+    expect(r.pack.lifecycleEvents).toEqual(
+      expect.arrayContaining(['pre_bash', 'pre_write', 'pre_edit'])
+    );
+  });
+
+  test('every canonical entry invokes the shim for its action and shows output', () => {
+    expect(Object.keys(CANONICAL_WINDSURF_HOOK_ENTRIES).sort()).toEqual([...ALL_ACTIONS].sort());
+    for (const [action, entry] of Object.entries(CANONICAL_WINDSURF_HOOK_ENTRIES)) {
+      expect(entry.command).toContain('test -x "$ROOT/.windsurf/hooks/caws-windsurf-hook.sh"');
+      expect(entry.command).toContain(`caws-windsurf-hook.sh" ${action} || true`);
+      expect(entry.show_output).toBe(true);
+    }
+  });
+});
+
+describe('mergeWindsurfHooks', () => {
+  let repo;
+  beforeEach(() => {
+    repo = makeRepo();
+  });
+  afterEach(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+  test('absent file → created with only a hooks key', () => {
+    expect(mergeWindsurfHooks(repo).kind).toBe('created');
+    const parsed = JSON.parse(readHooks(repo));
+    expect(Object.keys(parsed)).toEqual(['hooks']);
+    expect(Object.keys(parsed.hooks).sort()).toEqual([...ALL_ACTIONS].sort());
+    expect(inspectWindsurfHooks(repo)).toEqual({ kind: 'wired' });
+  });
+
+  test('user hooks are preserved and a second run is byte-identical', () => {
+    writeHooks(repo, { hooks: { pre_run_command: [{ command: 'python3 audit.py' }] } });
+    const result = mergeWindsurfHooks(repo);
+    expect(result.kind).toBe('merged');
+    expect(JSON.parse(readHooks(repo)).hooks.pre_run_command[0]).toEqual({
+      command: 'python3 audit.py',
+    });
+    const before = readHooks(repo);
+    expect(mergeWindsurfHooks(repo).kind).toBe('unchanged');
+    expect(readHooks(repo)).toBe(before);
+  });
+
+  test('a hand-pasted canonical snippet counts as wired', () => {
+    writeHooks(repo, `${CANONICAL_WINDSURF_HOOKS_SNIPPET}\n`);
+    expect(mergeWindsurfHooks(repo).kind).toBe('unchanged');
+  });
+
+  test('unparseable hooks.json is invalid, left untouched, and never planned over', () => {
+    writeHooks(repo, '{ "hooks": ');
+    expect(planWindsurfHooksMerge(repo)).toMatchObject({ kind: 'invalid', readOnly: true });
+    expect(mergeWindsurfHooks(repo).kind).toBe('invalid');
+    expect(readHooks(repo)).toBe('{ "hooks": ');
+  });
+
+  test('the example lands next to hooks.json', () => {
+    const examplePath = writeWindsurfHooksExample(repo);
+    expect(examplePath).toBe(path.join(repo, '.windsurf', 'hooks.json.example'));
+    expect(fs.readFileSync(examplePath, 'utf8')).toBe(`${CANONICAL_WINDSURF_HOOKS_SNIPPET}\n`);
+    expect(fs.existsSync(hooksPathFor(repo))).toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Event export envelopes (kernel/evidence/export.ts).
+ *
+ * Pure formatting: these pin which ChainedEvent fields land where in the
+ * OTLP/JSON, CloudEvents and CSV shapes, and the CSV quoting rules.
+ */
+
+import {
+  EVENT_CSV_COLUMNS,
+  formatEventsExport,
+  toCloudEvent,
+  toCsvRow,
+  toOtlpLogsRequest,
+} from '../../../src/kernel/evidence/export';
+import { type ChainedEvent } from '../../../src/kernel/evidence/types';
+
+const HASH_1 = `sha256:${'1'.repeat(64)}` as ChainedEvent['event_hash'];
+const HASH_2 = `sha256:${'2'.repeat(64)}` as ChainedEvent['event_hash'];
+const SOURCE = { source: 'caws://demo' };
+
+function ev(overrides: Partial<ChainedEvent> = {}): ChainedEvent {
+  return {
+    seq: 2,
+    event: 'gate_evaluated',
+    ts: '2026-07-04T00:00:00.123Z',
+    actor: { kind: 'agent', id: 'alice', session_id: 's1' },
+    spec_id: 'FEAT-12',
+    data: { gate_id: 'budget_limit', result: 'fail' },
+    prev_hash: HASH_1,
+    event_hash: HASH_2,
+    ...overrides,
+  };
+}
+
+describe('toOtlpLogsRequest', () => {
+  test('one log record per event with caws.* attributes and nanosecond time', () => {
+    const request = toOtlpLogsRequest([ev()], SOURCE) as {
+      resourceLogs: Array<{
+        resource: { attributes: unknown[] };
+        scopeLogs: Array<{ scope: unknown; logRecords: Array<Record<string, unknown>> }>;
+      }>;
+    };
+    const [resourceLog] = request.resourceLogs;
+    expect(resourceLog!.resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'caws' } },
+      { key: 'caws.source', value: { stringValue: 'caws://demo' } },
+    ]);
+    const [record] = resourceLog!.scopeLogs[0]!.logRecords;
+    expect(record).toMatchObject({
+      timeUnixNano: '1783123200123000000',
+      severityText: 'INFO',
+      body: { stringValue: 'gate_evaluated' },
+    });
+    expect(record!['attributes']).toEqual([
+      { key: 'caws.event', value: { stringValue: 'gate_evaluated' } },
+      { key: 'caws.seq', value: { intValue: '2' } },
+      { key: 'caws.event_hash', value: { stringValue: HASH_2 } },
+      { key: 'caws.prev_hash', value: { stringValue: HASH_1 } },
+      { key: 'caws.spec_id', value: { stringValue: 'FEAT-12' } },
+      { key: 'caws.actor.kind', value: { stringValue: 'agent' } },
+      { key: 'caws.actor.id', value: { stringValue: 'alice' } },
+      { key: 'caws.actor.session_id', value: { stringValue: 's1' } },
+      {
+        key: 'caws.data',
+        value: { stringValue: '{"gate_id":"budget_limit","result":"fail"}' },
+      },
+    ]);
+  });
+});
+
+describe('toCloudEvent', () => {
+  test('id is the event hash and chain fields ride in extension attributes', () => {
+    expect(toCloudEvent(ev(), SOURCE)).toEqual({
+      specversion: '1.0',
+      id: HASH_2,
+      source: 'caws://demo',
+      type: 'design.paths.caws.gate_evaluated',
+      time: '2026-07-04T00:00:00.123Z',
+      subject: 'FEAT-12',
+      datacontenttype: 'application/json',
+      cawsseq: 2,
+      cawsprevhash: HASH_1,
+      cawsactorkind: 'agent',
+      cawsactorid: 'alice',
+      cawssessionid: 's1',
+      data: { gate_id: 'budget_limit', result: 'fail' },
+    });
+  });
+
+  test('absent spec_id, prev_hash and session_id are omitted, not null', () => {
+    const genesis = toCloudEvent(
+      {
+        seq: 1,
+        event: 'session_started',
+        ts: '2026-07-04T00:00:00.000Z',
+        actor: { kind: 'human', id: 'bob' },
+        data: {},
+        prev_hash: null,
+        event_hash: HASH_1,
+      },
+      SOURCE
+    );
+    expect(genesis).not.toHaveProperty('subject');
+    expect(genesis).not.toHaveProperty('cawsprevhash');
+    expect(genesis).not.toHaveProperty('cawssessionid');
+  });
+});
+
+describe('CSV', () => {
+  test('cells holding commas, quotes or newlines are RFC 4180 quoted', () => {
+    const row = toCsvRow(ev({ data: { note: 'a, "b"\nc' } }));
+    expect(row).toBe(
+      `2,2026-07-04T00:00:00.123Z,gate_evaluated,FEAT-12,agent,alice,s1,${HASH_2},${HASH_1},` +
+        '"{""note"":""a, \\""b\\""\\nc""}"'
+    );
+  });
+
+  test('the header row is written only when asked for', () => {
+    const events = [ev({ seq: 1, prev_hash: null }), ev()];
+    const withHeader = formatEventsExport(events, 'csv', { ...SOURCE, csvHeader: true });
+    expect(withHeader[0]).toBe(EVENT_CSV_COLUMNS.join(','));
+    expect(withHeader).toHaveLength(3);
+    expect(formatEventsExport(events, 'csv', SOURCE)).toHaveLength(2);
+  });
+});
+
+test('formatEventsExport: otlp is one line, cloudevents one per event, nothing for no events', () => {
+  const events = [ev({ seq: 1, prev_hash: null }), ev()];
+  expect(formatEventsExport(events, 'otlp', SOURCE)).toHaveLength(1);
+  expect(
+    formatEventsExport(events, 'cloudevents', SOURCE).map((l) => JSON.parse(l).cawsseq)
+  ).toEqual([1, 2]);
+  for (const format of ['otlp', 'cloudevents', 'csv'] as const) {
+    expect(formatEventsExport([], format, { ...SOURCE, csvHeader: true })).toEqual([]);
+  }
+});
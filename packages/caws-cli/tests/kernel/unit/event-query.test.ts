@@ -0,0 +1,110 @@
+/**
+ * Event query language (kernel/evidence/query.ts).
+ *
+ * parseEventQuery / buildEventQuery / matchesEventQuery are pure; these pin
+ * the operator semantics, the missing-field rules, time resolution against
+ * an injected `now`, and the single rule id every parse failure carries.
+ */
+
+import {
+  buildEventQuery,
+  formatEventQuery,
+  matchesEventQuery,
+  parseEventQuery,
+  resolveTimeBound,
+  type EventQuery,
+} from '../../../src/kernel/evidence/query';
+import { EVIDENCE_RULES } from '../../../src/kernel/evidence/rules';
+import { type ChainedEvent } from '../../../src/kernel/evidence/types';
+import { isErr, isOk } from '../../../src/kernel/result';
+
+const NOW = new Date('2026-07-08T00:00:00.000Z');
+const HASH = `sha256:${'0'.repeat(64)}` as ChainedEvent['event_hash'];
+
+function ev(overrides: Partial<ChainedEvent> = {}): ChainedEvent {
+  return {
+    seq: 1,
+    event: 'gate_evaluated',
+    ts: '2026-07-04T00:00:00.000Z',
+    actor: { kind: 'agent', id: 'alice', session_id: 's1' },
+    spec_id: 'FEAT-12',
+    data: { gate_id: 'budget_limit', result: 'fail', mode: 'block', nested: { n: 3 } },
+    prev_hash: null,
+    event_hash: HASH,
+    ...overrides,
+  };
+}
+
+function q(source: string): EventQuery {
+  const parsed = parseEventQuery(source, NOW);
+  if (!isOk(parsed)) throw new Error(JSON.stringify(parsed.errors));
+  return parsed.value;
+}
+
+describe('parseEventQuery + matchesEventQuery', () => {
+  test('terms are ANDed; aliases resolve; a literal "and" is ignored', () => {
+    const query = q('event=gate_evaluated and spec=FEAT-12 actor=alice data.mode=block');
+    expect(query.terms.map((t) => t.field)).toEqual(['event', 'spec_id', 'actor.id', 'data.mode']);
+    expect(matchesEventQuery(ev(), query)).toBe(true);
+    expect(matchesEventQuery(ev({ actor: { kind: 'agent', id: 'bob' } }), query)).toBe(false);
+  });
+
+  test('comma lists are any-of for = and none-of for !=', () => {
+    expect(matchesEventQuery(ev(), q('event=spec_closed,gate_evaluated'))).toBe(true);
+    expect(matchesEventQuery(ev(), q('event!=spec_closed,gate_evaluated'))).toBe(false);
+  });
+
+  test('a missing field fails =, ~ and orderings but satisfies !=', () => {
+    const noSpec = ev({ data: {} });
+    expect(matchesEventQuery(noSpec, q('data.mode=block'))).toBe(false);
+    expect(matchesEventQuery(noSpec, q('data.mode~blo'))).toBe(false);
+    expect(matchesEventQuery(noSpec, q('data.nested.n>1'))).toBe(false);
+    expect(matchesEventQuery(noSpec, q('data.mode!=block'))).toBe(true);
+  });
+
+  test('orderings are numeric for numbers and instant-based for ts', () => {
+    expect(matchesEventQuery(ev(), q('data.nested.n>=3 data.nested.n<10'))).toBe(true);
+    expect(matchesEventQuery(ev({ seq: 12 }), q('seq>9'))).toBe(true);
+    expect(matchesEventQuery(ev(), q('ts>=2026-07-04 ts<2026-07-04T00:00:01Z'))).toBe(true);
+    expect(matchesEventQuery(ev(), q('ts>=3d'))).toBe(false);
+    expect(matchesEventQuery(ev(), q('ts>=7d'))).toBe(true);
+  });
+
+  test('quoted values keep spaces and commas', () => {
+    const query = q('data.gate_id="a b,c"');
+    expect(query.terms[0]!.values).toEqual(['a b,c']);
+    expect(formatEventQuery(query)).toBe('data.gate_id="a b,c"');
+  });
+
+  test('every parse failure is evidence.query.invalid', () => {
+    for (const bad of ['nope', 'colour=red', 'event=', 'ts>=yesterday', 'data.x="open']) {
+      const result = parseEventQuery(bad, NOW);
+      expect(isErr(result) && result.errors.map((e) => e.rule)).toEqual([
+        EVIDENCE_RULES.QUERY_INVALID,
+      ]);
+    }
+  });
+});
+
+describe('buildEventQuery', () => {
+  test('flags become terms ANDed after the where expression', () => {
+    const built = buildEventQuery(
+      { event: ['gate_evaluated'], actor_kind: 'agent', since: '1w', until: '2026-07-05' },
+      'data.result=fail',
+      NOW
+    );
+    expect(isOk(built) && formatEventQuery(built.value)).toBe(
+      'data.result=fail event=gate_evaluated actor.kind=agent ' +
+        'ts>=2026-07-01T00:00:00.000Z ts<2026-07-05T00:00:00.000Z'
+    );
+    expect(isOk(built) && matchesEventQuery(ev(), built.value)).toBe(true);
+  });
+
+  test('resolveTimeBound rejects values that are neither ISO nor a duration', () => {
+    expect(resolveTimeBound('12h', NOW)).toEqual({
+      ok: true,
+      value: '2026-07-07T12:00:00.000Z',
+    });
+    expect(isErr(buildEventQuery({ since: 'last week' }, undefined, NOW))).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Policy-driven rotation thresholds (kernel/evidence/rotation.ts).
+ *
+ * eventRotationDue is pure: the store observes bytes and the chain length,
+ * the kernel only compares them with policy events.rotation.
+ */
+
+import {
+  eventRotationDue,
+  formatEventRotationReasons,
+} from '../../../src/kernel/evidence/rotation';
+
+describe('eventRotationDue', () => {
+  test('never due without thresholds', () => {
+    expect(eventRotationDue(undefined, { bytes: 1e9, lines: 1e6 })).toEqual({
+      due: false,
+      reasons: [],
+    });
+    expect(eventRotationDue({}, { bytes: 1e9, lines: 1e6 }).due).toBe(false);
+  });
+
+  test('each threshold is inclusive and every reached one is reported, max_bytes first', () => {
+    const due = eventRotationDue({ max_bytes: 100, max_lines: 10 }, { bytes: 100, lines: 12 });
+    expect(due.due).toBe(true);
+    expect(due.reasons).toEqual([
+      { threshold: 'max_bytes', limit: 100, actual: 100 },
+      { threshold: 'max_lines', limit: 10, actual: 12 },
+    ]);
+    expect(formatEventRotationReasons(due.reasons)).toBe(
+      'max_bytes 100 reached (100); max_lines 10 reached (12)'
+    );
+    expect(eventRotationDue({ max_bytes: 100, max_lines: 10 }, { bytes: 99, lines: 9 }).due).toBe(
+      false
+    );
+  });
+
+  test('a chain holding only its genesis is never due', () => {
+    expect(eventRotationDue({ max_bytes: 1 }, { bytes: 700, lines: 1 }).due).toBe(false);
+    expect(eventRotationDue({ max_bytes: 1 }, { bytes: 900, lines: 2 }).due).toBe(true);
+  });
+});
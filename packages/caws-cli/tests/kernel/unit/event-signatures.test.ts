@@ -0,0 +1,189 @@
+/**
+ * Ed25519 event signatures (CAWS-EVENT-SIGNATURES-001).
+ *
+ * signEvent / verifyEventSignatures are pure, so these build a real chain,
+ * sign it with freshly generated keys and pin the SPECIFIC rule id each
+ * failure fires, the same way verify-chain.test.ts does for the chain.
+ *
+ * Also pinned: the signature is outside the hashed material, so signing an
+ * event never changes its event_hash and a signed chain still passes
+ * verifyChain unchanged.
+ */
+
+import { generateKeyPairSync } from 'crypto';
+
+import { computeEventHash } from '../../../src/kernel/evidence/hash';
+import { EVIDENCE_RULES } from '../../../src/kernel/evidence/rules';
+import {
+  publicKeyFromPrivate,
+  signEvent,
+  unsignedEventsAfter,
+  validateTrustedKeys,
+  verifyEventSignatures,
+  type TrustedKey,
+} from '../../../src/kernel/evidence/signature';
+import { type Actor, type ChainedEvent, type Hash } from '../../../src/kernel/evidence/types';
+import { validateEventBody } from '../../../src/kernel/evidence/validate';
+import { verifyChain } from '../../../src/kernel/evidence/verify';
+import { isErr, isOk } from '../../../src/kernel/result';
+
+const actor: Actor = { kind: 'agent', id: 'alice', session_id: 's1', platform: 'test' };
+
+function newKey(): string {
+  return generateKeyPairSync('ed25519')
+    .privateKey.export({ format: 'pem', type: 'pkcs8' })
+    .toString();
+}
+
+function chain(n: number): ChainedEvent[] {
+  const events: ChainedEvent[] = [];
+  let prev: Hash | null = null;
+  for (let seq = 1; seq <= n; seq++) {
+    const body = {
+      seq,
+      event: 'session_started' as const,
+      ts: `2026-06-0${seq}T00:00:00.000Z`,
+      actor,
+      data: {},
+      prev_hash: prev,
+    };
+    const event_hash = computeEventHash(body);
+    events.push({ ...body, event_hash });
+    prev = event_hash;
+  }
+  return events;
+}
+
+function signAll(events: ChainedEvent[], keyId: string, pem: string): ChainedEvent[] {
+  return events.map((ev) => {
+    const signed = signEvent(ev, { key_id: keyId, private_key: pem });
+    if (!isOk(signed)) throw new Error('sign failed');
+    return signed.value;
+  });
+}
+
+function rulesOf(result: ReturnType<typeof verifyEventSignatures>): string[] {
+  return isErr(result) ? result.errors.map((e) => e.rule) : [];
+}
+
+describe('signing', () => {
+  test('a signed chain keeps its hashes and verifies against the trusted key', () => {
+    const pem = newKey();
+    const plain = chain(3);
+    const signed = signAll(plain, 'laptop', pem);
+    expect(signed.map((e) => e.event_hash)).toEqual(plain.map((e) => e.event_hash));
+    expect(signed.map((e) => computeEventHash(e))).toEqual(plain.map((e) => e.event_hash));
+    expect(isOk(verifyChain(signed))).toBe(true);
+
+    const trusted: TrustedKey[] = [{ key_id: 'laptop', public_key: publicKeyFromPrivate(pem) }];
+    expect(isOk(verifyEventSignatures(signed, trusted))).toBe(true);
+  });
+
+  test('a non-ed25519 private key is refused with key_invalid', () => {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 1024 })
+      .privateKey.export({ format: 'pem', type: 'pkcs8' })
+      .toString();
+    const result = signEvent(chain(1)[0]!, { key_id: 'rsa', private_key: rsa });
+    expect(isErr(result) && result.errors[0]!.rule).toBe(EVIDENCE_RULES.SIGNATURE_KEY_INVALID);
+  });
+
+  test('an EventBody may not carry a signature', () => {
+    const result = validateEventBody({
+      event: 'session_started',
+      ts: '2026-06-01T00:00:00.000Z',
+      actor,
+      data: {},
+      signature: { alg: 'ed25519', key_id: 'k', sig: 'AA==' },
+    });
+    expect(isErr(result) && result.errors.map((e) => e.subject)).toEqual(['signature']);
+  });
+});
+
+describe('verifyEventSignatures rule ids', () => {
+  const pem = newKey();
+  const trusted: TrustedKey[] = [{ key_id: 'laptop', public_key: publicKeyFromPrivate(pem) }];
+
+  test('a signature from a key outside the list is unknown_key', () => {
+    const signed = signAll(chain(1), 'stranger', newKey());
+    expect(rulesOf(verifyEventSignatures(signed, trusted))).toEqual([
+      EVIDENCE_RULES.SIGNATURE_UNKNOWN_KEY,
+    ]);
+  });
+
+  test('a rebuilt chain re-signed with another key under a trusted id is invalid', () => {
+    const forged = signAll(chain(2), 'laptop', newKey());
+    expect(rulesOf(verifyEventSignatures(forged, trusted))).toEqual([
+      EVIDENCE_RULES.SIGNATURE_INVALID,
+      EVIDENCE_RULES.SIGNATURE_INVALID,
+    ]);
+  });
+
+  test('a signature copied onto a different event is invalid', () => {
+    const [first, second] = signAll(chain(2), 'laptop', pem);
+    const swapped = [first!, { ...second!, signature: first!.signature! }];
+    expect(rulesOf(verifyEventSignatures(swapped, trusted))).toEqual([
+      EVIDENCE_RULES.SIGNATURE_INVALID,
+    ]);
+  });
+
+  test('revocation rejects signatures on events at or after revoked_at only', () => {
+    const signed = signAll(chain(3), 'laptop', pem);
+    const revoked = [{ ...trusted[0]!, revoked_at: '2026-06-02T00:00:00.000Z' }];
+    const result = verifyEventSignatures(signed, revoked);
+    expect(rulesOf(result)).toEqual([
+      EVIDENCE_RULES.SIGNATURE_KEY_REVOKED,
+      EVIDENCE_RULES.SIGNATURE_KEY_REVOKED,
+    ]);
+    expect(isErr(result) && result.errors.map((e) => e.data?.['seq'])).toEqual([2, 3]);
+  });
+
+  test('an actor-bound key signing another actor is actor_mismatch', () => {
+    const signed = signAll(chain(1), 'laptop', pem);
+    const bound = [{ ...trusted[0]!, actor_id: 'bob' }];
+    expect(rulesOf(verifyEventSignatures(signed, bound))).toEqual([
+      EVIDENCE_RULES.SIGNATURE_ACTOR_MISMATCH,
+    ]);
+  });
+
+  test('unsigned events fail only at or after requiredAfter', () => {
+    const events = chain(3);
+    expect(isOk(verifyEventSignatures(events, trusted))).toBe(true);
+    const result = verifyEventSignatures(events, trusted, {
+      requiredAfter: '2026-06-02T00:00:00.000Z',
+    });
+    expect(rulesOf(result)).toEqual([
+      EVIDENCE_RULES.SIGNATURE_MISSING,
+      EVIDENCE_RULES.SIGNATURE_MISSING,
+    ]);
+    expect(unsignedEventsAfter(events, '2026-06-02T00:00:00.000Z').map((e) => e.seq)).toEqual([
+      2, 3,
+    ]);
+  });
+});
+
+describe('validateTrustedKeys', () => {
+  test('accepts a well-formed list and rejects duplicates and non-ed25519 keys', () => {
+    const pub = publicKeyFromPrivate(newKey());
+    expect(
+      isOk(validateTrustedKeys({ version: 1, keys: [{ key_id: 'a', public_key: pub }] }))
+    ).toBe(true);
+
+    const rsaPub = generateKeyPairSync('rsa', { modulusLength: 1024 })
+      .publicKey.export({ format: 'der', type: 'spki' })
+      .toString('base64');
+    const bad = validateTrustedKeys({
+      version: 1,
+      keys: [
+        { key_id: 'a', public_key: pub },
+        { key_id: 'a', public_key: pub },
+        { key_id: 'b', public_key: rsaPub },
+        { key_id: '../escape', public_key: pub },
+      ],
+    });
+    expect(isErr(bad) && bad.errors.map((e) => e.subject)).toEqual([
+      'keys[1]',
+      'keys[2]',
+      'keys[3]',
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Structured message kinds (kernel/messages).
+ *
+ * Pins the messages.v1.json per-kind body shapes as validateMessageRecord
+ * and validateMessageBody see them, the rule each violation lands in, and
+ * the one-line text derived for a send without --text.
+ */
+
+import {
+  MESSAGE_KINDS,
+  MESSAGE_RULES,
+  summarizeMessageBody,
+  validateMessageBody,
+  validateMessageRecord,
+} from '../../../src/kernel/messages';
+
+function record(extra: Record<string, unknown>): Record<string, unknown> {
+  return {
+    record: 'message',
+    id: 'm-1',
+    actor: { kind: 'agent', id: 'alice', session_id: 'alice' },
+    to: 'bob',
+    channel: 'alice::bob',
+    text: 'hi',
+    ts: '2026-07-05T00:00:00.000Z',
+    ...extra,
+  };
+}
+
+describe('validateMessageRecord', () => {
+  test('a plain message, and each kind with a minimal body, is valid', () => {
+    expect(validateMessageRecord(record({})).ok).toBe(true);
+    const minimal = {
+      handoff_request: { summary: 'take over' },
+      review_request: { summary: 'please review' },
+      scope_release_request: { paths: ['src/a.ts'] },
+      ack: { ack_id: 'm-0', status: 'accepted' },
+    };
+    for (const kind of MESSAGE_KINDS) {
+      expect(validateMessageRecord(record({ kind, body: minimal[kind] })).ok).toBe(true);
+    }
+  });
+
+  test('violations land in kind.unknown, body.invalid or record.invalid', () => {
+    const rules = (input: unknown): string[] => {
+      const r = validateMessageRecord(input);
+      return r.ok ? [] : r.errors.map((d) => d.rule);
+    };
+    expect(rules(record({ kind: 'order', body: {} }))).toEqual([MESSAGE_RULES.KIND_UNKNOWN]);
+    expect(rules(record({ kind: 'ack' }))).toEqual([MESSAGE_RULES.BODY_INVALID]);
+    expect(rules(record({ body: { summary: 'x' } }))).toEqual([MESSAGE_RULES.BODY_INVALID]);
+    expect(rules(record({ kind: 'handoff_request', body: { summary: 'x', owner: 'me' } }))).toEqual(
+      [MESSAGE_RULES.BODY_INVALID]
+    );
+    expect(rules(record({ text: undefined }))).toEqual([MESSAGE_RULES.RECORD_INVALID]);
+  });
+});
+
+test('validateMessageBody checks one kind and points into /body', () => {
+  const bad = validateMessageBody('scope_release_request', { paths: [] });
+  expect(bad.ok).toBe(false);
+  if (!bad.ok) {
+    expect(bad.errors[0]).toMatchObject({
+      rule: MESSAGE_RULES.BODY_INVALID,
+      location: { pointer: '/body/paths' },
+    });
+  }
+  expect(validateMessageBody('ack', { ack_id: 'm-0', status: 'done' }).ok).toBe(true);
+});
+
+test('summarizeMessageBody names the kind and the gist of the body', () => {
+  expect(summarizeMessageBody('handoff_request', { summary: 'finish it', worktree: 'wt-a' })).toBe(
+    'handoff request for wt-a: finish it'
+  );
+  expect(summarizeMessageBody('review_request', { summary: 'check', ref: 'feat/x' })).toBe(
+    'review request for feat/x: check'
+  );
+  expect(summarizeMessageBody('scope_release_request', { paths: ['a', 'b'] })).toBe(
+    'scope release request: a, b'
+  );
+  expect(summarizeMessageBody('ack', { ack_id: 'm-0', status: 'accepted' })).toBe(
+    'ack accepted m-0'
+  );
+});
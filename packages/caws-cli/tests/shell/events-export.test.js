@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * `caws events export` — verified chain → OTLP/JSON, CloudEvents, CSV.
+ *
+ * Output goes to stdout or --output. With --cursor, each run exports only
+ * the events after the previous run, including across a rotation (the
+ * cursor names the chain by its genesis hash, not only a seq); a cursor
+ * that matches neither the live chain nor its prior archive is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { runEventsExportCommand, runEventsRotateCommand } = require('../../dist/shell');
+const { initProject } = require('../../dist/store/init-store');
+const { appendEvent } = require('../../dist/store/events-store');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const ALICE = { kind: 'agent', id: 'alice', session_id: 'session-1' };
+const NOW = () => new Date('2026-07-05T00:00:00.000Z');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function mkRepo() {
+  const root = makeTempRepo();
+  const r = initProject(root);
+  if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  return { root, cawsDir: path.join(root, '.caws') };
+}
+
+function append(cawsDir, count) {
+  for (let i = 0; i < count; i++) {
+    const result = appendEvent(cawsDir, {
+      event: 'session_started',
+      ts: '2026-07-01T00:00:00.000Z',
+      actor: ALICE,
+      data: { note: `n${i}, "q"` },
+    });
+    if (!result.ok) throw new Error('appendEvent failed: ' + JSON.stringify(result.errors));
+  }
+}
+
+function exportEvents(root, opts) {
+  const out = [];
+  const err = [];
+  const code = runEventsExportCommand({
+    cwd: root,
+    now: NOW,
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    showData: true,
+    ...opts,
+  });
+  return { code, out, err: err.join('\n') };
+}
+
+test('cloudevents to stdout: one JSON object per event, --since skips earlier seqs', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 2);
+  const recorded = appendEvent(cawsDir, {
+    event: 'test_recorded',
+    spec_id: 'FEAT-1',
+    ts: '2026-07-01T00:00:00.000Z',
+    actor: ALICE,
+    data: { command: 'npm test', exit_code: 0 },
+  });
+  expect(recorded.ok).toBe(true);
+
+  const { code, out } = exportEvents(root, { format: 'cloudevents', source: 'caws://t' });
+  expect(code).toBe(0);
+  const events = out.map((line) => JSON.parse(line));
+  expect(events.map((e) => e.cawsseq)).toEqual([1, 2, 3]);
+  expect(events[2]).toMatchObject({
+    specversion: '1.0',
+    source: 'caws://t',
+    type: 'design.paths.caws.test_recorded',
+    subject: 'FEAT-1',
+    cawsactorid: 'alice',
+  });
+
+  const since = exportEvents(root, { format: 'cloudevents', since: 2 });
+  expect(since.out.map((line) => JSON.parse(line).cawsseq)).toEqual([3]);
+  expect(JSON.parse(since.out[0]).source).toBe(`caws://${path.basename(root)}`);
+});
+
+test('otlp is a single ExportLogsServiceRequest with one log record per event', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 2);
+  const { code, out } = exportEvents(root, { format: 'otlp' });
+  expect(code).toBe(0);
+  expect(out).toHaveLength(1);
+  const records = JSON.parse(out[0]).resourceLogs[0].scopeLogs[0].logRecords;
+  expect(records.map((r) => r.body.stringValue)).toEqual(['session_started', 'session_started']);
+});
+
+test('csv with --cursor appends only new rows under a single header', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 2);
+  const output = path.join(root, 'out', 'events.csv');
+  const cursor = path.join(root, 'out', 'csv.cursor.json');
+
+  const first = exportEvents(root, { format: 'csv', output, cursor });
+  expect(first.code).toBe(0);
+  expect(first.out).toEqual([`caws events export: 2 event(s) as csv → ${output}`]);
+  expect(JSON.parse(fs.readFileSync(cursor, 'utf8'))).toMatchObject({
+    caws_export_cursor: 1,
+    format: 'csv',
+    last_seq: 2,
+    updated_at: '2026-07-05T00:00:00.000Z',
+  });
+
+  expect(exportEvents(root, { format: 'csv', output, cursor }).out[0]).toMatch(/: 0 event\(s\)/);
+  append(cawsDir, 1);
+  expect(exportEvents(root, { format: 'csv', output, cursor }).code).toBe(0);
+
+  const lines = fs.readFileSync(output, 'utf8').trimEnd().split('\n');
+  expect(lines[0]).toBe(
+    'seq,ts,event,spec_id,actor_kind,actor_id,session_id,event_hash,prev_hash,data'
+  );
+  expect(lines.slice(1).map((l) => l.split(',')[0])).toEqual(['1', '2', '3']);
+  expect(lines[1]).toContain('"{""note"":""n0, \\""q\\""""}"');
+  expect(JSON.parse(fs.readFileSync(cursor, 'utf8')).last_seq).toBe(3);
+});
+
+test('a cursor into the archive the live chain rotated from resumes across the rotation', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 2);
+  const cursor = path.join(root, 'cursor.json');
+  expect(exportEvents(root, { format: 'cloudevents', cursor }).out).toHaveLength(2);
+  append(cawsDir, 1);
+
+  const rotated = runEventsRotateCommand({
+    cwd: root,
+    reason: 'test rotation',
+    allowClean: true,
+    now: NOW,
+    out: () => {},
+    err: () => {},
+  });
+  expect(rotated).toBe(0);
+  append(cawsDir, 1);
+
+  const { code, out } = exportEvents(root, { format: 'cloudevents', cursor });
+  expect(code).toBe(0);
+  expect(out.map((line) => JSON.parse(line)).map((e) => [e.cawsseq, e.type])).toEqual([
+    [3, 'design.paths.caws.session_started'],
+    [1, 'design.paths.caws.chain_rotated'],
+    [2, 'design.paths.caws.session_started'],
+  ]);
+  expect(JSON.parse(fs.readFileSync(cursor, 'utf8')).last_seq).toBe(2);
+});
+
+test('a cursor that does not match the chain or the format is refused and left alone', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 2);
+  const cursor = path.join(root, 'cursor.json');
+  exportEvents(root, { format: 'otlp', cursor });
+
+  const wrongFormat = exportEvents(root, { format: 'csv', cursor });
+  expect(wrongFormat.code).toBe(1);
+  expect(wrongFormat.err).toContain('store.events.export.cursor_mismatch');
+
+  const body = JSON.parse(fs.readFileSync(cursor, 'utf8'));
+  const edited = JSON.stringify({ ...body, last_event_hash: `sha256:${'0'.repeat(64)}` });
+  fs.writeFileSync(cursor, edited);
+  const mismatch = exportEvents(root, { format: 'otlp', cursor });
+  expect(mismatch.code).toBe(1);
+  expect(mismatch.err).toContain('store.events.export.cursor_mismatch');
+  expect(fs.readFileSync(cursor, 'utf8')).toBe(edited);
+
+  fs.writeFileSync(cursor, '{"last_seq": 1}');
+  const invalid = exportEvents(root, { format: 'otlp', cursor });
+  expect(invalid.code).toBe(1);
+  expect(invalid.err).toContain('store.events.export.cursor_invalid');
+});
+
+test('an unknown format is a usage error', () => {
+  const { root } = mkRepo();
+  const { code, err } = exportEvents(root, { format: 'xml' });
+  expect(code).toBe(1);
+  expect(err).toContain('--format must be one of otlp, cloudevents, csv');
+});
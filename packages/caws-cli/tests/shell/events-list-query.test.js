@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * `caws events list` filters: flags and --where compile to one query over
+ * the verified chain; --ndjson streams only the matches; --include-archives
+ * also searches rotated v11 archives, tagging each match with its source.
+ */
+
+const path = require('path');
+
+const { runEventsListCommand } = require('../../dist/shell');
+const { initProject } = require('../../dist/store/init-store');
+const { appendEvent, rotateEvents } = require('../../dist/store/events-store');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const ALICE = { kind: 'agent', id: 'alice', session_id: 'session-1' };
+const BOB = { kind: 'human', id: 'bob', session_id: 'session-2' };
+const NOW = new Date('2026-07-08T00:00:00.000Z');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function gate(cawsDir, actor, specId, result, ts) {
+  const appended = appendEvent(cawsDir, {
+    event: 'gate_evaluated',
+    spec_id: specId,
+    ts,
+    actor,
+    data: { gate_id: 'budget_limit', mode: 'block', result, violations: [] },
+  });
+  if (!appended.ok) throw new Error('appendEvent failed: ' + JSON.stringify(appended.errors));
+}
+
+function fixture() {
+  const root = makeTempRepo();
+  const r = initProject(root);
+  if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  const cawsDir = path.join(root, '.caws');
+  gate(cawsDir, ALICE, 'FEAT-12', 'fail', '2026-06-20T00:00:00.000Z');
+  const rotated = rotateEvents(cawsDir, {
+    reason: 'maintenance',
+    actor: ALICE,
+    allowClean: true,
+    now: new Date('2026-06-30T00:00:00.000Z'),
+  });
+  if (!rotated.ok) throw new Error('rotateEvents failed: ' + JSON.stringify(rotated.errors));
+  gate(cawsDir, ALICE, 'FEAT-12', 'fail', '2026-07-03T00:00:00.000Z');
+  gate(cawsDir, ALICE, 'FEAT-12', 'pass', '2026-07-04T00:00:00.000Z');
+  gate(cawsDir, BOB, 'FEAT-12', 'fail', '2026-07-05T00:00:00.000Z');
+  gate(cawsDir, ALICE, 'FEAT-13', 'fail', '2026-07-06T00:00:00.000Z');
+  return { root, cawsDir };
+}
+
+function runList(root, opts) {
+  const out = [];
+  const err = [];
+  const code = runEventsListCommand({
+    cwd: root,
+    now: () => NOW,
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    ...opts,
+  });
+  return { code, out, err: err.join('\n') };
+}
+
+test('flags and --where narrow the listed events; counts still cover the chain', () => {
+  const { root } = fixture();
+  const { code, out } = runList(root, {
+    json: true,
+    where: 'data.result=fail',
+    filters: { event: ['gate_evaluated'], spec_id: 'FEAT-12', actor_id: 'alice', since: '1w' },
+  });
+  expect(code).toBe(0);
+  const payload = JSON.parse(out.join('\n'));
+  expect(payload.event_count).toBe(5);
+  expect(payload.matched_count).toBe(1);
+  expect(payload.query).toBe(
+    'data.result=fail event=gate_evaluated spec_id=FEAT-12 actor.id=alice ts>=2026-07-01T00:00:00.000Z'
+  );
+  expect(payload.recent_events.map((e) => e.ts)).toEqual(['2026-07-03T00:00:00.000Z']);
+});
+
+test('without filters the JSON shape is unchanged', () => {
+  const { root } = fixture();
+  const payload = JSON.parse(runList(root, { json: true }).out.join('\n'));
+  expect(payload).not.toHaveProperty('query');
+  expect(payload.recent_events).toHaveLength(5);
+  expect(payload.recent_events[0]).not.toHaveProperty('source');
+});
+
+test('--ndjson emits one matched event per line and nothing else', () => {
+  const { root } = fixture();
+  const { code, out } = runList(root, { ndjson: true, filters: { actor_kind: 'human' } });
+  expect(code).toBe(0);
+  expect(out.map((line) => JSON.parse(line).actor.id)).toEqual(['bob']);
+  expect(runList(root, { json: true, ndjson: true }).code).toBe(1);
+});
+
+test('--include-archives searches rotated chains and tags each match with its source', () => {
+  const { root } = fixture();
+  const { out } = runList(root, {
+    ndjson: true,
+    includeArchives: true,
+    where: 'spec=FEAT-12 data.result=fail actor=alice',
+  });
+  const matches = out.map((line) => JSON.parse(line));
+  expect(matches.map((m) => [m.source.startsWith('events.jsonl.archive-'), m.ts])).toEqual([
+    [true, '2026-06-20T00:00:00.000Z'],
+    [false, '2026-07-03T00:00:00.000Z'],
+  ]);
+  expect(matches[1].source).toBe('events.jsonl');
+});
+
+test('an invalid expression is a usage error naming evidence.query.invalid', () => {
+  const { root } = fixture();
+  const { code, err } = runList(root, { where: 'colour=red', showData: true });
+  expect(code).toBe(1);
+  expect(err).toContain('evidence.query.invalid');
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * `caws events rotate --auto` — policy-driven rotation.
+ *
+ * policy.yaml events.rotation declares max_bytes / max_lines thresholds and
+ * retain_archives. Doctor reports doctor.event.rotation_due once a threshold
+ * is reached; --auto is a no-op until then, rotates a chain only when it
+ * verifies (prior_chain_status: verified), and prunes archives beyond
+ * retention only after they verify, recording them as pruned_archives so
+ * `caws events verify --all-archives` still passes, and carrying the waiver
+ * uses they recorded forward as waiver_usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { runEventsRotateCommand, runEventsVerifyCommand } = require('../../dist/shell');
+const { inspectProjectState, waiverUsesRemaining } = require('../../dist/kernel');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+const { initProject } = require('../../dist/store/init-store');
+const { appendEvent, listEventArchives, loadEvents } = require('../../dist/store/events-store');
+const { loadWaiverUsage, writeWaiver } = require('../../dist/store/waivers-store');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const ALICE = { kind: 'agent', id: 'alice', session_id: 'session-1' };
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function mkRepo(rotation) {
+  const root = makeTempRepo();
+  const r = initProject(root);
+  if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  const cawsDir = path.join(root, '.caws');
+  if (rotation !== undefined) {
+    const lines = Object.entries(rotation).map(([k, v]) => `    ${k}: ${v}\n`);
+    fs.appendFileSync(path.join(cawsDir, 'policy.yaml'), `events:\n  rotation:\n${lines.join('')}`);
+  }
+  return { root, cawsDir };
+}
+
+function append(cawsDir, count) {
+  for (let i = 0; i < count; i++) {
+    const result = appendEvent(cawsDir, {
+      event: 'session_started',
+      ts: '2026-07-01T00:00:00.000Z',
+      actor: ALICE,
+      data: {},
+    });
+    if (!result.ok) throw new Error('appendEvent failed: ' + JSON.stringify(result.errors));
+  }
+}
+
+let clock = Date.parse('2026-07-04T12:00:00.000Z');
+
+function rotateAuto(root, opts = {}) {
+  const out = [];
+  const err = [];
+  clock += 60_000;
+  const at = new Date(clock);
+  const code = runEventsRotateCommand({
+    cwd: root,
+    reason: '',
+    auto: true,
+    json: true,
+    now: () => at,
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    ...opts,
+  });
+  return { code, payload: out.length > 0 ? JSON.parse(out.join('\n')) : null, err: err.join('\n') };
+}
+
+function rotationDueFinding(root, cawsDir) {
+  const { doctorInput } = composeDoctorSnapshot({ repoRoot: root, cawsDir, now: new Date(clock) });
+  return inspectProjectState(doctorInput).findings.find(
+    (f) => f.rule === 'doctor.event.rotation_due'
+  );
+}
+
+test('below every threshold --auto is a no-op', () => {
+  const { root, cawsDir } = mkRepo({ max_lines: 5 });
+  append(cawsDir, 2);
+  const before = fs.readFileSync(path.join(cawsDir, 'events.jsonl'), 'utf8');
+
+  const { code, payload } = rotateAuto(root);
+  expect(code).toBe(0);
+  expect(payload).toMatchObject({ due: false, rotated: false, reasons: [] });
+  expect(fs.readFileSync(path.join(cawsDir, 'events.jsonl'), 'utf8')).toBe(before);
+  expect(rotationDueFinding(root, cawsDir)).toBeUndefined();
+});
+
+test('a reached threshold shows in doctor and --auto archives the chain as verified', () => {
+  const { root, cawsDir } = mkRepo({ max_bytes: 1000, max_lines: 100 });
+  append(cawsDir, 4);
+  const finding = rotationDueFinding(root, cawsDir);
+  expect(finding.severity).toBe('warning');
+  expect(finding.data.reasons.map((r) => r.threshold)).toEqual(['max_bytes']);
+
+  const { code, payload } = rotateAuto(root);
+  expect(code).toBe(0);
+  expect(payload).toMatchObject({ due: true, rotated: true, prior_chain_status: 'verified' });
+
+  const genesis = loadEvents(cawsDir).value.events[0];
+  expect(genesis.data.prior_chain_status).toBe('verified');
+  expect(genesis.data.prior_line_count).toBe(4);
+  expect(genesis.data.migration_reason).toMatch(
+    /^auto rotation \(policy events\.rotation\): max_bytes 1000/
+  );
+  expect(rotationDueFinding(root, cawsDir)).toBeUndefined();
+});
+
+test('archives beyond retain_archives are pruned once verified and the lineage still verifies', () => {
+  const { root, cawsDir } = mkRepo({ max_lines: 3, retain_archives: 2 });
+  append(cawsDir, 3);
+  expect(rotateAuto(root).payload.prune).toEqual([]);
+  append(cawsDir, 2);
+  expect(rotateAuto(root).payload.prune).toEqual([]);
+  const [oldest] = listEventArchives(cawsDir);
+  append(cawsDir, 2);
+
+  const { payload } = rotateAuto(root);
+  expect(payload.prune).toEqual([oldest]);
+  expect(listEventArchives(cawsDir)).toHaveLength(2);
+  expect(listEventArchives(cawsDir)).not.toContain(oldest);
+  const genesis = loadEvents(cawsDir).value.events[0];
+  expect(genesis.data.pruned_archives.map((a) => a.file)).toEqual([oldest]);
+
+  const out = [];
+  const code = runEventsVerifyCommand({
+    cwd: root,
+    out: (line) => out.push(line),
+    err: () => {},
+    allArchives: true,
+    json: true,
+  });
+  expect(code).toBe(0);
+  const report = JSON.parse(out.join('\n'));
+  expect(report.archives.segments.map((s) => s.integrity)).toEqual(['intact', 'intact', 'pruned']);
+});
+
+test('waiver uses in pruned archives are carried forward, so a spent waiver stays spent', () => {
+  const { root, cawsDir } = mkRepo({ max_lines: 3, retain_archives: 1 });
+  const capped = {
+    id: 'CAP-001',
+    title: 'Capped waiver',
+    status: 'active',
+    gates: ['budget_limit'],
+    reason: 'One-off migration',
+    approved_by: 'reviewer',
+    created_at: '2026-07-01T00:00:00.000Z',
+    expires_at: '2026-12-31T00:00:00.000Z',
+    constraints: { max_uses: 1 },
+  };
+  expect(writeWaiver(cawsDir, capped).ok).toBe(true);
+  const used = appendEvent(cawsDir, {
+    event: 'waiver_applied',
+    ts: '2026-07-01T00:00:00.000Z',
+    actor: ALICE,
+    spec_id: 'FEAT-1',
+    data: { waiver_id: 'CAP-001', gates: ['budget_limit'] },
+  });
+  expect(used.ok).toBe(true);
+  append(cawsDir, 2);
+  rotateAuto(root);
+  const [spent] = listEventArchives(cawsDir);
+  append(cawsDir, 2);
+
+  // The archive holding the waiver_applied event is pruned; the genesis
+  // that records the prune carries its use.
+  expect(rotateAuto(root).payload.prune).toEqual([spent]);
+  expect(loadEvents(cawsDir).value.events[0].data.waiver_usage).toEqual({ 'CAP-001': 1 });
+  expect(waiverUsesRemaining(capped, loadWaiverUsage(cawsDir).usage)).toBe(0);
+
+  // That genesis is archived by the next rotation and pruned by the one
+  // after; the use is carried on again, never lost or counted twice.
+  append(cawsDir, 2);
+  rotateAuto(root);
+  expect(loadWaiverUsage(cawsDir).usage).toEqual({ 'CAP-001': 1 });
+  const [carrier] = listEventArchives(cawsDir);
+  append(cawsDir, 2);
+  expect(rotateAuto(root).payload.prune).toEqual([carrier]);
+  expect(loadEvents(cawsDir).value.events[0].data.waiver_usage).toEqual({ 'CAP-001': 1 });
+  expect(loadWaiverUsage(cawsDir).usage).toEqual({ 'CAP-001': 1 });
+});
+
+test('an archive that no longer matches its digest is retained, not pruned', () => {
+  const { root, cawsDir } = mkRepo({ max_lines: 3, retain_archives: 1 });
+  append(cawsDir, 3);
+  rotateAuto(root);
+  const [archive] = listEventArchives(cawsDir);
+  fs.appendFileSync(path.join(cawsDir, archive), '\n\n');
+  append(cawsDir, 2);
+
+  const { code, payload } = rotateAuto(root, { dryRun: true });
+  expect(code).toBe(0);
+  expect(payload.prune).toEqual([]);
+  expect(payload.retained).toEqual([{ archive, reason: 'integrity tampered' }]);
+});
+
+test('a chain that does not verify is refused and nothing moves', () => {
+  const { root, cawsDir } = mkRepo({ max_lines: 2 });
+  append(cawsDir, 2);
+  const eventsPath = path.join(cawsDir, 'events.jsonl');
+  const tampered = fs
+    .readFileSync(eventsPath, 'utf8')
+    .replace('"session_id":"session-1"', '"session_id":"session-X"');
+  fs.writeFileSync(eventsPath, tampered);
+
+  const { code, err } = rotateAuto(root, { showData: true });
+  expect(code).toBe(1);
+  expect(err).toContain('store.events.rotate.prior_unverified');
+  expect(fs.readFileSync(eventsPath, 'utf8')).toBe(tampered);
+  expect(listEventArchives(cawsDir)).toEqual([]);
+});
+
+test('without events.rotation in policy --auto is a usage error', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, 1);
+  const { code, err } = rotateAuto(root);
+  expect(code).toBe(1);
+  expect(err).toContain('declares no events.rotation');
+});
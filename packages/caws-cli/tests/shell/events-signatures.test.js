@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Signed events end to end (CAWS-EVENT-SIGNATURES-001): `caws events keygen`
+ * writes a local key, appendEvent signs with it, `caws events verify` checks
+ * chain + signatures against .caws/trusted-keys.yaml, and a policy cutoff
+ * turns unsigned events into verify failures and a doctor finding.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { runEventsKeygenCommand, runEventsVerifyCommand } = require('../../dist/shell');
+const { inspectProjectState } = require('../../dist/kernel');
+const { EPHEMERAL_CAWS_ENTRIES } = require('../../dist/init/gitignore-manage');
+const { initProject } = require('../../dist/store/init-store');
+const { appendEvent, loadEvents } = require('../../dist/store/events-store');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const ALICE = { kind: 'agent', id: 'alice', session_id: 'session-1' };
+const BOB = { kind: 'agent', id: 'bob', session_id: 'session-2' };
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function mkRepo() {
+  const root = makeTempRepo();
+  const r = initProject(root);
+  if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  return { root, cawsDir: path.join(root, '.caws') };
+}
+
+function run(fn, root, opts = {}) {
+  const out = [];
+  const err = [];
+  const code = fn({
+    cwd: root,
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    now: () => new Date('2026-07-04T12:00:00.000Z'),
+    ...opts,
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function append(cawsDir, actor, ts = '2026-07-04T00:00:00.000Z') {
+  const result = appendEvent(cawsDir, { event: 'session_started', ts, actor, data: {} });
+  if (!result.ok) throw new Error('appendEvent failed: ' + JSON.stringify(result.errors));
+  return result.value;
+}
+
+function verifyJson(root) {
+  const result = run(runEventsVerifyCommand, root, { json: true });
+  return { code: result.code, report: JSON.parse(result.out) };
+}
+
+function requireSignaturesAfter(cawsDir, cutoff) {
+  fs.appendFileSync(
+    path.join(cawsDir, 'policy.yaml'),
+    `events:\n  signatures:\n    required_after: '${cutoff}'\n`
+  );
+}
+
+test('without keys events stay unsigned and verify passes', () => {
+  const { root, cawsDir } = mkRepo();
+  expect(append(cawsDir, ALICE).signature).toBeUndefined();
+  const { code, report } = verifyJson(root);
+  expect(code).toBe(0);
+  expect(report.signatures).toMatchObject({ valid: true, signed: 0, unsigned: 1 });
+});
+
+test('keygen --trust writes a 0600 local key and a trusted entry; appends are signed', () => {
+  const { root, cawsDir } = mkRepo();
+  const keygen = run(runEventsKeygenCommand, root, { keyId: 'laptop', trust: true, json: true });
+  expect(keygen.code).toBe(0);
+  const key = JSON.parse(keygen.out);
+  expect(key).toMatchObject({ key_id: 'laptop', trusted: true });
+  expect(fs.statSync(key.private_key_path).mode & 0o777).toBe(0o600);
+  expect(EPHEMERAL_CAWS_ENTRIES).toContain('.caws/keys/');
+  expect(fs.readFileSync(path.join(cawsDir, 'trusted-keys.yaml'), 'utf8')).toContain(
+    key.public_key
+  );
+
+  const event = append(cawsDir, ALICE);
+  expect(event.signature).toMatchObject({ alg: 'ed25519', key_id: 'laptop' });
+  const { code, report } = verifyJson(root);
+  expect(code).toBe(0);
+  expect(report.signatures).toMatchObject({ valid: true, signed: 1, trusted_key_count: 1 });
+
+  expect(run(runEventsKeygenCommand, root, { keyId: 'laptop', trust: true }).code).toBe(1);
+});
+
+test('an actor-bound key only signs its own actor', () => {
+  const { root, cawsDir } = mkRepo();
+  run(runEventsKeygenCommand, root, { keyId: 'alice-key', trust: true, actorId: 'alice' });
+  expect(append(cawsDir, ALICE).signature.key_id).toBe('alice-key');
+  expect(append(cawsDir, BOB).signature).toBeUndefined();
+  expect(run(runEventsKeygenCommand, root, { keyId: 'x', actorId: 'alice' }).code).toBe(1);
+});
+
+test('a chain rebuilt with an untrusted key fails verify', () => {
+  const { root, cawsDir } = mkRepo();
+  run(runEventsKeygenCommand, root, { keyId: 'laptop', trust: true });
+  append(cawsDir, ALICE);
+  // An attacker with write access swaps in their own local key under the same id.
+  fs.rmSync(path.join(cawsDir, 'keys', 'laptop.key'));
+  run(runEventsKeygenCommand, root, { keyId: 'laptop' });
+  append(cawsDir, ALICE);
+
+  const { code, report } = verifyJson(root);
+  expect(code).toBe(1);
+  expect(report.chain.valid).toBe(true);
+  expect(report.signatures.errors.map((e) => e.rule)).toEqual(['evidence.signature.invalid']);
+  expect(report.signatures.errors[0].data.seq).toBe(2);
+});
+
+test('unsigned events after the policy cutoff fail verify and surface in doctor', () => {
+  const { root, cawsDir } = mkRepo();
+  append(cawsDir, ALICE, '2026-07-01T00:00:00.000Z');
+  append(cawsDir, ALICE, '2026-07-03T00:00:00.000Z');
+  requireSignaturesAfter(cawsDir, '2026-07-02T00:00:00Z');
+
+  const { code, report } = verifyJson(root);
+  expect(code).toBe(1);
+  expect(report.signatures.required_after).toBe('2026-07-02T00:00:00Z');
+  expect(report.signatures.errors.map((e) => e.rule)).toEqual(['evidence.signature.missing']);
+
+  const { doctorInput } = composeDoctorSnapshot({
+    repoRoot: root,
+    cawsDir,
+    now: new Date('2026-07-04T12:00:00.000Z'),
+  });
+  const finding = inspectProjectState(doctorInput).findings.find(
+    (f) => f.rule === 'doctor.event.unsigned_after_cutoff'
+  );
+  expect(finding).toMatchObject({ severity: 'error', data: { unsigned_count: 1, seqs: [2] } });
+  expect(loadEvents(cawsDir).ok).toBe(true);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * `caws events verify --all-archives`: the rotation lineage is walked from
+ * the live chain's chain_rotated genesis back through every archive, and one
+ * verdict covers the whole history. Each test builds a real two-rotation
+ * lineage on disk and then damages it the way an operator (or attacker)
+ * would: editing, deleting or renaming an archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { runEventsVerifyCommand } = require('../../dist/shell');
+const { initProject } = require('../../dist/store/init-store');
+const { appendEvent, listEventArchives, rotateEvents } = require('../../dist/store/events-store');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const ALICE = { kind: 'agent', id: 'alice', session_id: 'session-1' };
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function append(cawsDir, ts) {
+  const result = appendEvent(cawsDir, { event: 'session_started', ts, actor: ALICE, data: {} });
+  if (!result.ok) throw new Error('appendEvent failed: ' + JSON.stringify(result.errors));
+}
+
+function rotate(cawsDir, iso) {
+  const result = rotateEvents(cawsDir, {
+    reason: 'test rotation',
+    actor: ALICE,
+    allowClean: true,
+    now: new Date(iso),
+  });
+  if (!result.ok) throw new Error('rotateEvents failed: ' + JSON.stringify(result.errors));
+}
+
+/** events.jsonl → archive (newer) → archive (oldest); returns archives oldest first. */
+function mkLineage() {
+  const root = makeTempRepo();
+  const r = initProject(root);
+  if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  const cawsDir = path.join(root, '.caws');
+  append(cawsDir, '2026-07-01T00:00:00.000Z');
+  append(cawsDir, '2026-07-01T01:00:00.000Z');
+  rotate(cawsDir, '2026-07-02T00:00:00.000Z');
+  append(cawsDir, '2026-07-02T01:00:00.000Z');
+  rotate(cawsDir, '2026-07-03T00:00:00.000Z');
+  append(cawsDir, '2026-07-03T01:00:00.000Z');
+  return { root, cawsDir, archives: listEventArchives(cawsDir) };
+}
+
+function verifyAll(root) {
+  const out = [];
+  const err = [];
+  const code = runEventsVerifyCommand({
+    cwd: root,
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    allArchives: true,
+    json: true,
+  });
+  return { code, report: JSON.parse(out.join('\n')) };
+}
+
+test('an intact lineage verifies end to end, newest archive first', () => {
+  const { root, archives } = mkLineage();
+  expect(archives).toHaveLength(2);
+  const { code, report } = verifyAll(root);
+  expect(code).toBe(0);
+  expect(report.ok).toBe(true);
+  expect(report.archives.segments.map((s) => [s.depth, s.archive, s.integrity, s.chain])).toEqual([
+    [1, archives[1], 'intact', 'verified'],
+    [2, archives[0], 'intact', 'verified'],
+  ]);
+  expect(report.archives.unreferenced).toEqual([]);
+});
+
+test('an edited oldest archive fails the digest and chain checks', () => {
+  const { root, cawsDir, archives } = mkLineage();
+  const oldest = path.join(cawsDir, archives[0]);
+  fs.writeFileSync(
+    oldest,
+    fs.readFileSync(oldest, 'utf8').replace('2026-07-01T01:00:00.000Z', '2026-07-01T02:00:00.000Z')
+  );
+
+  const { code, report } = verifyAll(root);
+  expect(code).toBe(1);
+  expect(report.ok).toBe(false);
+  const seg = report.archives.segments[1];
+  expect(seg).toMatchObject({ integrity: 'tampered', chain: 'invalid' });
+  const rules = seg.diagnostics.map((d) => d.rule);
+  expect(rules).toContain('store.events.archive.digest_mismatch');
+  expect(rules).toContain('store.events.verify_archive.archive_chain_invalid');
+  expect(report.archives.segments[0].integrity).toBe('intact');
+});
+
+test('a deleted archive is reported missing and ends the walk', () => {
+  const { root, cawsDir, archives } = mkLineage();
+  fs.rmSync(path.join(cawsDir, archives[1]));
+
+  const { code, report } = verifyAll(root);
+  expect(code).toBe(1);
+  expect(report.archives.segments).toHaveLength(1);
+  expect(report.archives.segments[0]).toMatchObject({
+    archive: archives[1],
+    integrity: 'missing',
+    found_at: null,
+  });
+  // The older archive can no longer be reached from the lineage.
+  expect(report.archives.unreferenced).toEqual([archives[0]]);
+});
+
+test('a renamed archive is found by digest and only warns', () => {
+  const { root, cawsDir, archives } = mkLineage();
+  fs.renameSync(path.join(cawsDir, archives[0]), path.join(cawsDir, 'old-events.jsonl'));
+
+  const { code, report } = verifyAll(root);
+  expect(code).toBe(0);
+  expect(report.archives.segments[1]).toMatchObject({
+    archive: archives[0],
+    found_at: 'old-events.jsonl',
+    integrity: 'renamed',
+    chain: 'verified',
+  });
+  expect(report.archives.diagnostics.map((d) => [d.rule, d.severity])).toEqual([
+    ['store.events.verify_archive.archive_renamed', 'warning'],
+  ]);
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * `caws gates run --base/--head` and `--worktree`: evaluate a commit range
+ * instead of the staged diff, so budget_limit and scope_boundary can run in
+ * CI (nothing staged) and before `caws worktree merge`.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { initProject } = require('../../dist/store/init-store');
+const { runSpecsCreateCommand } = require('../../dist/shell/commands/specs');
+const { runGatesRunCommand } = require('../../dist/shell/commands/gates');
+const {
+  listRangeAddedLines,
+  listRangeChanges,
+  resolveDiffRange,
+} = require('../../dist/shell/gates/local-evaluators/diff-helpers');
+const { cleanupAll, git, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+
+function commitFile(root, rel, content, message) {
+  fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+  fs.writeFileSync(path.join(root, rel), content);
+  git(root, ['add', rel]);
+  git(root, ['commit', '-q', '-m', message]);
+}
+
+let root;
+let cawsDir;
+
+beforeAll(() => {
+  root = makeTempRepo();
+  const initialized = initProject(root);
+  if (!initialized.ok) throw new Error('initProject failed');
+  cawsDir = path.join(root, '.caws');
+  const created = runSpecsCreateCommand({
+    cwd: root,
+    id: 'RANGE-001',
+    title: 'Range fixture',
+    mode: 'feature',
+    tier: 3,
+    scopeIn: ['src'],
+    activate: true,
+    now: () => NOW,
+    out: () => {},
+    err: () => {},
+  });
+  expect(created).toBe(0);
+
+  git(root, ['checkout', '-q', '-b', 'feature']);
+  commitFile(root, 'src/a.ts', 'export const a = 1;\n// TODO: finish\n', 'in scope');
+  commitFile(root, 'docs/notes.md', 'notes\n', 'out of scope');
+  // main moves on after the fork; the range must not include this commit.
+  git(root, ['checkout', '-q', 'main']);
+  commitFile(root, 'src/main-only.ts', 'export const m = 1;\n', 'main moves');
+});
+
+function runGates(request) {
+  const out = [];
+  const err = [];
+  const code = runGatesRunCommand(request, {
+    cwd: root,
+    env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'gates-diff-range-test' },
+    now: () => NOW,
+    out: (l) => out.push(l),
+    err: (l) => err.push(l),
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function lastGateEvent(gateId) {
+  return fs
+    .readFileSync(path.join(cawsDir, 'events.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l))
+    .filter((e) => e.event === 'gate_evaluated' && e.data.gate_id === gateId)
+    .pop();
+}
+
+describe('range diff helpers', () => {
+  test('the range starts at the merge-base, so base-only commits are excluded', () => {
+    const range = resolveDiffRange(root, 'main', 'feature');
+    expect(range.ok).toBe(true);
+    expect(range.value.base).toBe(git(root, ['merge-base', 'main', 'feature']));
+    expect(range.value.head).toBe(git(root, ['rev-parse', 'feature']));
+    expect(
+      listRangeChanges(root, range.value)
+        .map((c) => c.path)
+        .sort()
+    ).toEqual(['docs/notes.md', 'src/a.ts']);
+    expect(listRangeAddedLines(root, range.value)).toContainEqual({
+      path: 'src/a.ts',
+      line: 2,
+      text: '// TODO: finish',
+    });
+  });
+
+  test('an unknown ref is refused, not read as an empty diff', () => {
+    const range = resolveDiffRange(root, 'main', 'no-such-branch');
+    expect(range.ok).toBe(false);
+    expect(range.errors[0].rule).toBe('shell.gates.diff_range_invalid');
+  });
+});
+
+describe('caws gates run over a commit range', () => {
+  test('with nothing staged, --base/--head still sees the branch changes', () => {
+    const r = runGates({ specId: 'RANGE-001', base: 'main', head: 'feature' });
+    expect(r.code).toBe(1);
+    expect(r.out).toContain('Diff: main...feature');
+    const scope = lastGateEvent('scope_boundary');
+    expect(scope.data.result).toBe('fail');
+    expect(scope.data.violations.map((v) => v.subject)).toContain('docs/notes.md');
+    expect(scope.data.diff_range).toEqual({
+      base_ref: 'main',
+      head_ref: 'feature',
+      base: git(root, ['merge-base', 'main', 'feature']),
+      head: git(root, ['rev-parse', 'feature']),
+    });
+    expect(lastGateEvent('todo_detection').data.result).toBe('fail');
+  });
+
+  test('the staged default is unchanged and records no diff_range', () => {
+    const r = runGates({ specId: 'RANGE-001' });
+    expect(r.code).toBe(0);
+    expect(lastGateEvent('scope_boundary').data.diff_range).toBeUndefined();
+  });
+
+  test('an unresolvable ref is a composition failure', () => {
+    const r = runGates({ specId: 'RANGE-001', base: 'origin/nope' });
+    expect(r.code).toBe(2);
+    expect(r.err).toContain('shell.gates.diff_range_invalid');
+  });
+
+  test('--head without --base is refused', () => {
+    const r = runGates({ specId: 'RANGE-001', head: 'feature' });
+    expect(r.code).toBe(1);
+    expect(r.err).toContain('shell.gates.diff_source_conflict');
+  });
+
+  describe('--worktree', () => {
+    beforeAll(() => {
+      fs.writeFileSync(
+        path.join(cawsDir, 'worktrees.json'),
+        JSON.stringify({
+          'range-wt': { specId: 'RANGE-001', branch: 'feature', baseBranch: 'main' },
+        })
+      );
+    });
+
+    test("evaluates the worktree's branch against its base and takes its bound spec", () => {
+      const r = runGates({ specId: '', worktree: 'range-wt' });
+      expect(r.code).toBe(1);
+      expect(r.out).toContain('[worktree range-wt]');
+      const scope = lastGateEvent('scope_boundary');
+      expect(scope.spec_id).toBe('RANGE-001');
+      expect(scope.data.diff_range).toMatchObject({ base_ref: 'main', head_ref: 'feature' });
+    });
+
+    test('cannot be combined with --base', () => {
+      const r = runGates({ specId: 'RANGE-001', worktree: 'range-wt', base: 'main' });
+      expect(r.code).toBe(1);
+      expect(r.err).toContain('shell.gates.diff_source_conflict');
+    });
+
+    test('an unregistered worktree is refused', () => {
+      const r = runGates({ specId: 'RANGE-001', worktree: 'nope' });
+      expect(r.code).toBe(1);
+      expect(r.err).toContain('is not registered');
+    });
+  });
+});
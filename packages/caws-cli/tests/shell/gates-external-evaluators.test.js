@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * Policy-declared external gate evaluators.
+ *
+ * A `policy.gates` key outside the built-in vocabulary that carries a
+ * `command` is an external gate: CAWS runs the command from the repo root,
+ * validates its stdout with the gate-report contract, and merges the result
+ * into the same waiver/disposition/event pipeline as the built-in gates.
+ * Crashes, timeouts and invalid reports fail the gate closed.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseAndValidatePolicy } = require('../../dist/kernel');
+const { runExternalEvaluators } = require('../../dist/shell/gates/external-evaluators');
+const { initProject } = require('../../dist/store/init-store');
+const { writeWaiver } = require('../../dist/store/waivers-store');
+const { runSpecsCreateCommand } = require('../../dist/shell/commands/specs');
+const { runGatesExplainCommand, runGatesRunCommand } = require('../../dist/shell/commands/gates');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+
+const BASE_POLICY = `version: 1
+risk_tiers:
+  '1': { max_files: 10, max_loc: 100 }
+  '2': { max_files: 20, max_loc: 200 }
+  '3': { max_files: 30, max_loc: 300 }
+gates:
+  budget_limit: { enabled: true, mode: block }
+  spec_completeness: { enabled: true, mode: block }
+  scope_boundary: { enabled: true, mode: block }
+`;
+
+/** argv for a node one-liner that prints `report` and exits with `code`. */
+function reporter(report, code = 0) {
+  return [
+    process.execPath,
+    '-e',
+    `process.stdout.write(${JSON.stringify(JSON.stringify(report))}); process.exit(${code});`,
+  ];
+}
+
+function report(violations, warnings = []) {
+  return {
+    timestamp: NOW.toISOString(),
+    context: 'external',
+    files_scoped: 1,
+    warnings,
+    violations,
+  };
+}
+
+function policyWith(gates) {
+  return {
+    version: 1,
+    risk_tiers: {
+      1: { max_files: 10, max_loc: 100 },
+      2: { max_files: 20, max_loc: 200 },
+      3: { max_files: 30, max_loc: 300 },
+    },
+    gates: {
+      budget_limit: { enabled: true, mode: 'block' },
+      spec_completeness: { enabled: true, mode: 'block' },
+      scope_boundary: { enabled: true, mode: 'block' },
+      ...gates,
+    },
+  };
+}
+
+function runOne(cfg) {
+  return runExternalEvaluators({
+    policy: policyWith({ lint: cfg }),
+    repoRoot: process.cwd(),
+    specId: 'EXT-001',
+  });
+}
+
+describe('policy schema: external gates', () => {
+  test('a non-built-in gate with a command validates', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY +
+        '  license_scan:\n' +
+        '    enabled: true\n' +
+        '    mode: warn\n' +
+        '    command: [npx, license-checker, --json]\n' +
+        '    timeout_ms: 30000\n'
+    );
+    expect(r.ok).toBe(true);
+    expect(r.value.gates.license_scan.command).toEqual(['npx', 'license-checker', '--json']);
+  });
+
+  test('a non-built-in gate without a command is an unknown gate', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY + '  budget_limt: { enabled: true, mode: block }\n'
+    );
+    expect(r.ok).toBe(false);
+    const d = r.errors.find((e) => e.rule === 'policy.schema.gates.unknown');
+    expect(d.message).toContain('budget_limt');
+    expect(d.narrowRepair).toContain('command');
+  });
+
+  test('a built-in gate may not declare a command', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY.replace(
+        'budget_limit: { enabled: true, mode: block }',
+        'budget_limit: { enabled: true, mode: block, command: [echo] }'
+      )
+    );
+    expect(r.ok).toBe(false);
+  });
+
+  test('gate ids must be snake_case', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY + '  License-Scan: { enabled: true, mode: warn, command: [echo] }\n'
+    );
+    expect(r.ok).toBe(false);
+    expect(r.errors.map((e) => e.rule)).toContain('policy.schema.gates.unknown');
+  });
+});
+
+describe('runExternalEvaluators', () => {
+  test('violations and warnings are attributed to the declaring gate', () => {
+    const r = runOne({
+      enabled: true,
+      mode: 'block',
+      command: reporter(
+        report(
+          [
+            {
+              gate: 'eslint',
+              type: 'no-unused-vars',
+              message: 'x unused',
+              file: 'src/a.ts',
+              line: 3,
+            },
+          ],
+          [{ gate: 'eslint', message: 'slow rule' }]
+        ),
+        1
+      ),
+    });
+    expect(r.diagnostics).toEqual([]);
+    expect(r.violations).toEqual([
+      {
+        gate: 'lint',
+        type: 'no-unused-vars',
+        message: 'x unused',
+        file: 'src/a.ts',
+        line: 3,
+      },
+    ]);
+    expect(r.warnings).toEqual([{ gate: 'lint', message: 'slow rule' }]);
+    expect(r.runs[0]).toMatchObject({ gate_id: 'lint', outcome: 'ok', exit_code: 1 });
+  });
+
+  test('the command sees its gate id, spec id and thresholds in env', () => {
+    const script =
+      'const e = process.env; process.stdout.write(JSON.stringify({timestamp: "t", context: "c",' +
+      ' files_scoped: 0, warnings: [], violations: [{gate: "x", message:' +
+      ' [e.CAWS_GATE_ID, e.CAWS_SPEC_ID, e.CAWS_GATE_THRESHOLDS].join("|")}]}));';
+    const r = runOne({
+      enabled: true,
+      mode: 'warn',
+      thresholds: { max_warnings: 0 },
+      command: [process.execPath, '-e', script],
+    });
+    expect(r.violations[0].message).toBe('lint|EXT-001|{"max_warnings":0}');
+  });
+
+  test('disabled and skip-mode gates are not run', () => {
+    const boom = [process.execPath, '-e', 'process.exit(9)'];
+    const r = runExternalEvaluators({
+      policy: policyWith({
+        off: { enabled: false, mode: 'block', command: boom },
+        skipped: { enabled: true, mode: 'skip', command: boom },
+      }),
+      repoRoot: process.cwd(),
+      specId: 'EXT-001',
+    });
+    expect(r.runs).toEqual([]);
+    expect(r.violations).toEqual([]);
+  });
+
+  test.each([
+    [
+      'a non-zero exit without a report',
+      [process.execPath, '-e', 'console.error("boom"); process.exit(2)'],
+      'evaluator_crashed',
+    ],
+    ['a missing executable', ['caws-no-such-evaluator-binary'], 'evaluator_crashed'],
+    [
+      'a zero exit with an invalid report',
+      [process.execPath, '-e', 'process.stdout.write("{}")'],
+      'evaluator_invalid_report',
+    ],
+  ])('%s fails the gate closed', (_label, command, type) => {
+    const r = runOne({ enabled: true, mode: 'block', command });
+    expect(r.violations).toHaveLength(1);
+    expect(r.violations[0]).toMatchObject({ gate: 'lint', type, severity: 'fail' });
+    expect(r.diagnostics[0].rule).toBe('shell.gates.external_evaluator_failed');
+    expect(r.diagnostics[0].subject).toBe('policy.gates.lint');
+  });
+
+  test('a command that exceeds timeout_ms is killed and fails closed', () => {
+    const r = runOne({
+      enabled: true,
+      mode: 'block',
+      timeout_ms: 1000,
+      command: [process.execPath, '-e', 'setTimeout(() => {}, 30000)'],
+    });
+    expect(r.violations[0].type).toBe('evaluator_timeout');
+    expect(r.runs[0].outcome).toBe('timeout');
+    expect(r.runs[0].duration_ms).toBeLessThan(10000);
+  });
+});
+
+describe('caws gates run with an external gate', () => {
+  let root;
+  let cawsDir;
+
+  function runGates() {
+    const out = [];
+    const err = [];
+    const code = runGatesRunCommand(
+      { specId: 'EXT-RUN-001' },
+      {
+        cwd: root,
+        env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'gates-external-test' },
+        now: () => NOW,
+        out: (l) => out.push(l),
+        err: (l) => err.push(l),
+      }
+    );
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  function gateEvents(gateId) {
+    return fs
+      .readFileSync(path.join(cawsDir, 'events.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((l) => JSON.parse(l))
+      .filter((e) => e.event === 'gate_evaluated' && e.data.gate_id === gateId);
+  }
+
+  beforeAll(() => {
+    root = makeTempRepo();
+    const initialized = initProject(root);
+    if (!initialized.ok) throw new Error('initProject failed');
+    cawsDir = path.join(root, '.caws');
+    const command = reporter(
+      report([{ gate: 'license', type: 'gpl_dependency', message: 'GPL-3.0', file: 'vendor/x.js' }])
+    );
+    const policyPath = path.join(cawsDir, 'policy.yaml');
+    fs.writeFileSync(
+      policyPath,
+      fs
+        .readFileSync(policyPath, 'utf8')
+        .replace(
+          /todo_detection:\n {4}enabled: true\n {4}mode: warn\n/,
+          (m) =>
+            `${m}  license_scan:\n    enabled: true\n    mode: block\n` +
+            `    command: ${JSON.stringify(command)}\n`
+        )
+    );
+    const created = runSpecsCreateCommand({
+      cwd: root,
+      id: 'EXT-RUN-001',
+      title: 'External gate fixture',
+      mode: 'feature',
+      tier: 3,
+      scopeIn: ['src'],
+      activate: true,
+      now: () => NOW,
+      out: () => {},
+      err: () => {},
+    });
+    expect(created).toBe(0);
+  });
+
+  test('a blocking external gate blocks the run and records evidence', () => {
+    const r = runGates();
+    expect(r.code).toBe(1);
+    expect(r.out).toMatch(/FAIL\s+license_scan/);
+    const [ev] = gateEvents('license_scan');
+    expect(ev.data).toMatchObject({ mode: 'block', result: 'fail', waived_count: 0 });
+    expect(ev.data.violations).toEqual([
+      { rule: 'gpl_dependency', subject: 'vendor/x.js', details: 'GPL-3.0' },
+    ]);
+  });
+
+  test('gates explain shows the command', () => {
+    const out = [];
+    const code = runGatesExplainCommand({
+      cwd: root,
+      gateId: 'license_scan',
+      out: (l) => out.push(l),
+      err: () => {},
+    });
+    expect(code).toBe(0);
+    expect(out.join('\n')).toContain('command=[');
+  });
+
+  test('a waiver on the external gate is honored like any other', () => {
+    const written = writeWaiver(cawsDir, {
+      id: 'LIC-001',
+      title: 'Vendored GPL tool',
+      status: 'active',
+      gates: ['license_scan'],
+      reason: 'Build-time only; not distributed',
+      approved_by: 'reviewer',
+      created_at: '2026-07-01T00:00:00.000Z',
+      expires_at: '2026-12-31T00:00:00.000Z',
+      scope: { paths: ['vendor/**'] },
+    });
+    if (!written.ok) throw new Error('writeWaiver failed');
+    const r = runGates();
+    expect(r.code).toBe(0);
+    const events = gateEvents('license_scan');
+    expect(events[events.length - 1].data).toMatchObject({
+      result: 'pass',
+      waived_count: 1,
+      waiver_ids: ['LIC-001'],
+    });
+  });
+});
@@ -0,0 +1,386 @@
+'use strict';
+
+/**
+ * god_object and todo_detection as real local gate evaluators.
+ *
+ * policy.v1.json has always admitted both gates, but runLocalEvaluators only
+ * produced budget_limit / scope_boundary / spec_completeness violations, so
+ * enabling them in policy.yaml silently did nothing. These tests pin that the
+ * evaluators read the staged diff, honor gateConfig.thresholds, and that their
+ * findings reach `gate_evaluated` evidence through `caws gates run`.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  evaluateGodObject,
+  evaluateTodoDetection,
+  runLocalEvaluators,
+} = require('../../dist/shell/gates/local-evaluators');
+const { initProject } = require('../../dist/store/init-store');
+const { runSpecsCreateCommand } = require('../../dist/shell/commands/specs');
+const { runGatesRunCommand } = require('../../dist/shell/commands/gates');
+const { cleanupAll, git, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function policy(gates) {
+  return {
+    version: 1,
+    risk_tiers: {
+      1: { max_files: 100, max_loc: 100000 },
+      2: { max_files: 100, max_loc: 100000 },
+      3: { max_files: 100, max_loc: 100000 },
+    },
+    gates: {
+      budget_limit: { enabled: true, mode: 'block' },
+      spec_completeness: { enabled: true, mode: 'block' },
+      scope_boundary: { enabled: true, mode: 'block' },
+      ...gates,
+    },
+  };
+}
+
+function sourceLines(n) {
+  return Array.from({ length: n }, (_, i) => `const v${i} = ${i};`).join('\n');
+}
+
+function reader(files) {
+  return (p, revision) => {
+    const entry = files[p];
+    if (entry === undefined) return null;
+    return entry[revision] ?? null;
+  };
+}
+
+const change = (p) => ({ path: p, insertions: 1, deletions: 0 });
+
+describe('evaluateGodObject', () => {
+  test('a staged file over the critical threshold is a violation', () => {
+    const r = evaluateGodObject({
+      policy: policy({ god_object: { enabled: true, mode: 'warn', thresholds: { critical: 10 } } }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/big.ts')],
+      readRevision: reader({ 'src/big.ts': { index: sourceLines(11) } }),
+    });
+    expect(r.violations).toHaveLength(1);
+    expect(r.violations[0]).toMatchObject({
+      gate: 'god_object',
+      type: 'file_too_large',
+      file: 'src/big.ts',
+    });
+    expect(r.violations[0].message).toContain('critical threshold: 10');
+  });
+
+  test('between warning and critical raises a report warning, not a violation', () => {
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: { enabled: true, mode: 'warn', thresholds: { warning: 5, critical: 10 } },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/mid.ts')],
+      readRevision: reader({ 'src/mid.ts': { index: sourceLines(8) } }),
+    });
+    expect(r.violations).toEqual([]);
+    expect(r.warnings).toHaveLength(1);
+    expect(r.warnings[0]).toMatchObject({ gate: 'god_object', type: 'file_near_limit' });
+  });
+
+  test('blank lines and whole-line comments do not count toward SLOC', () => {
+    const content = ['// header', '', '/* block', ' * body', ' */', sourceLines(10)].join('\n');
+    const r = evaluateGodObject({
+      policy: policy({ god_object: { enabled: true, mode: 'warn', thresholds: { critical: 10 } } }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/a.ts')],
+      readRevision: reader({ 'src/a.ts': { index: content } }),
+    });
+    expect(r.violations).toEqual([]);
+  });
+
+  test('hysteresis: a small edit to an already-oversized file is not signal', () => {
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: { enabled: true, mode: 'warn', thresholds: { critical: 10, delta: 5 } },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/old.ts')],
+      readRevision: reader({ 'src/old.ts': { head: sourceLines(20), index: sourceLines(22) } }),
+    });
+    expect(r.violations).toEqual([]);
+  });
+
+  test('hysteresis: growth of at least delta on an oversized file fires', () => {
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: { enabled: true, mode: 'warn', thresholds: { critical: 10, delta: 5 } },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/old.ts')],
+      readRevision: reader({ 'src/old.ts': { head: sourceLines(20), index: sourceLines(25) } }),
+    });
+    expect(r.violations).toHaveLength(1);
+  });
+
+  test('hysteresis: a rename of an oversized file measures against its old path', () => {
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: { enabled: true, mode: 'warn', thresholds: { critical: 10, delta: 5 } },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [
+        { path: 'src/new.ts', renamedFrom: 'src/old.ts', insertions: 0, deletions: 0 },
+      ],
+      readRevision: reader({
+        'src/old.ts': { head: sourceLines(20) },
+        'src/new.ts': { index: sourceLines(20) },
+      }),
+    });
+    expect(r.violations).toEqual([]);
+  });
+
+  test('an oversized class is reported with its declaration line', () => {
+    const content = [
+      'import x from "y";',
+      'export class Big {',
+      ...Array.from({ length: 12 }, (_, i) => `  m${i}() { return ${i}; }`),
+      '}',
+    ].join('\n');
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: {
+          enabled: true,
+          mode: 'warn',
+          thresholds: { critical: 1000, class_critical: 10 },
+        },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [change('src/big-class.ts')],
+      readRevision: reader({ 'src/big-class.ts': { index: content } }),
+    });
+    expect(r.violations).toHaveLength(1);
+    expect(r.violations[0]).toMatchObject({ type: 'class_too_large', line: 2 });
+    expect(r.violations[0].message).toContain('class Big');
+  });
+
+  test('non-source, generated and deleted files are not evaluated', () => {
+    const r = evaluateGodObject({
+      policy: policy({ god_object: { enabled: true, mode: 'warn', thresholds: { critical: 1 } } }),
+      repoRoot: '/unused',
+      stagedChanges: [change('README.md'), change('dist/out.js'), change('src/gone.ts')],
+      readRevision: reader({
+        'README.md': { index: sourceLines(50) },
+        'dist/out.js': { index: sourceLines(50) },
+      }),
+    });
+    expect(r.violations).toEqual([]);
+    expect(r.observed.files_evaluated).toBe(0);
+  });
+
+  test('a malformed threshold falls back to the default rather than disabling the gate', () => {
+    const r = evaluateGodObject({
+      policy: policy({
+        god_object: { enabled: true, mode: 'warn', thresholds: { critical: 'lots' } },
+      }),
+      repoRoot: '/unused',
+      stagedChanges: [],
+    });
+    expect(r.observed.critical).toBe(2000);
+  });
+});
+
+describe('evaluateTodoDetection', () => {
+  const gatePolicy = (thresholds) =>
+    policy({
+      todo_detection: { enabled: true, mode: 'warn', ...(thresholds ? { thresholds } : {}) },
+    });
+  const added = (p, line, text) => ({ path: p, line, text });
+
+  test('a newly added TODO marker is a violation with file and line', () => {
+    const r = evaluateTodoDetection({
+      policy: gatePolicy(),
+      repoRoot: '/unused',
+      addedLines: [added('src/a.ts', 7, '  // TODO: handle retries')],
+    });
+    expect(r.violations).toHaveLength(1);
+    expect(r.violations[0]).toMatchObject({
+      gate: 'todo_detection',
+      type: 'todo_marker',
+      file: 'src/a.ts',
+      line: 7,
+    });
+  });
+
+  test('an explicit not-implemented throw is reported as a stub', () => {
+    const r = evaluateTodoDetection({
+      policy: gatePolicy(),
+      repoRoot: '/unused',
+      addedLines: [added('src/a.ts', 1, "  throw new Error('not implemented');")],
+    });
+    expect(r.violations[0].type).toBe('not_implemented_stub');
+  });
+
+  test('min_confidence decides whether a low-confidence match fires', () => {
+    const lines = [added('src/a.ts', 1, '  // placeholder until the API lands')];
+    expect(
+      evaluateTodoDetection({ policy: gatePolicy(), repoRoot: '/unused', addedLines: lines })
+        .violations
+    ).toEqual([]);
+    expect(
+      evaluateTodoDetection({
+        policy: gatePolicy({ min_confidence: 0.5 }),
+        repoRoot: '/unused',
+        addedLines: lines,
+      }).violations
+    ).toHaveLength(1);
+  });
+
+  test('determiner-led references and identifier tokens are not markers', () => {
+    const r = evaluateTodoDetection({
+      policy: gatePolicy({ min_confidence: 0 }),
+      repoRoot: '/unused',
+      addedLines: [
+        added('src/a.ts', 1, '  // strip the TODO markers from generated output'),
+        added('src/b.tsx', 2, '  <input placeholder="Search" />'),
+      ],
+    });
+    expect(r.violations).toEqual([]);
+  });
+
+  test('lower-case marker words in prose are not markers', () => {
+    const r = evaluateTodoDetection({
+      policy: gatePolicy({ min_confidence: 0 }),
+      repoRoot: '/unused',
+      addedLines: [
+        added('src/a.ts', 1, '  // a quick hack around the parser quirk'),
+        added('src/b.ts', 2, "  const status = 'tbd';"),
+        added('src/c.ts', 3, '  // add items to the todo list'),
+        added('src/d.ts', 4, '  // The TODO list is rendered elsewhere'),
+      ],
+    });
+    expect(r.violations).toEqual([]);
+    expect(r.observed.matches).toBe(0);
+  });
+
+  test('tests, docs and lockfiles are exempt', () => {
+    const r = evaluateTodoDetection({
+      policy: gatePolicy(),
+      repoRoot: '/unused',
+      addedLines: [
+        added('src/a.test.ts', 1, '// TODO: cover retries'),
+        added('tests/helpers/x.js', 1, '// TODO: cover retries'),
+        added('docs/guide.md', 1, 'TODO: write this'),
+      ],
+    });
+    expect(r.violations).toEqual([]);
+  });
+});
+
+describe('runLocalEvaluators gate activation', () => {
+  const spec = {
+    id: 'HEUR-001',
+    lifecycle_state: 'active',
+    risk_tier: 3,
+    blast_radius: { modules: ['src'] },
+    scope: { in: ['src'], out: [] },
+  };
+
+  test('a gate disabled or in skip mode is not evaluated', () => {
+    const r = runLocalEvaluators({
+      spec,
+      policy: policy({
+        god_object: { enabled: false, mode: 'warn', thresholds: { critical: 1 } },
+        todo_detection: { enabled: true, mode: 'skip' },
+      }),
+      repoRoot: '/unused',
+      nowIso: '2026-07-04T00:00:00.000Z',
+      stagedChanges: [change('src/a.ts')],
+      stagedAddedLines: [{ path: 'src/a.ts', line: 1, text: '// TODO' }],
+      readRevision: reader({ 'src/a.ts': { index: sourceLines(5) } }),
+    });
+    expect(r.violations.filter((v) => v.gate === 'god_object')).toEqual([]);
+    expect(r.violations.filter((v) => v.gate === 'todo_detection')).toEqual([]);
+  });
+});
+
+describe('caws gates run records heuristic gate evidence', () => {
+  test('a staged TODO and an oversized file produce failing gate_evaluated events', () => {
+    const root = makeTempRepo();
+    const initialized = initProject(root);
+    if (!initialized.ok) throw new Error('initProject failed');
+    const policyPath = path.join(root, '.caws', 'policy.yaml');
+    fs.writeFileSync(
+      policyPath,
+      fs
+        .readFileSync(policyPath, 'utf8')
+        .replace(
+          /god_object:\n {4}enabled: true\n {4}mode: warn\n/,
+          (m) => `${m}    thresholds:\n      critical: 3\n`
+        )
+    );
+    const created = runSpecsCreateCommand({
+      cwd: root,
+      id: 'HEUR-RUN-001',
+      title: 'Heuristic gates fixture',
+      mode: 'feature',
+      tier: 3,
+      scopeIn: ['src'],
+      activate: true,
+      now: () => new Date('2026-07-04T00:00:00.000Z'),
+      out: () => {},
+      err: () => {},
+    });
+    expect(created).toBe(0);
+
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, 'src', 'work.ts'),
+      [
+        'export const a = 1;',
+        '// TODO: wire the retry path',
+        'export const b = 2;',
+        'export const c = 3;',
+        'export const d = 4;',
+      ].join('\n')
+    );
+    git(root, ['add', 'src/work.ts']);
+
+    const out = [];
+    const code = runGatesRunCommand(
+      { specId: 'HEUR-RUN-001' },
+      {
+        cwd: root,
+        env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'gates-heuristic-test' },
+        now: () => new Date('2026-07-04T00:01:00.000Z'),
+        out: (l) => out.push(l),
+        err: () => {},
+      }
+    );
+    // Both gates are warn-mode in the seeded policy: they fail without blocking.
+    expect(code).toBe(0);
+    expect(out.join('\n')).toMatch(/FAIL\s+god_object/);
+    expect(out.join('\n')).toMatch(/FAIL\s+todo_detection/);
+
+    const events = fs
+      .readFileSync(path.join(root, '.caws', 'events.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((l) => JSON.parse(l))
+      .filter((e) => e.event === 'gate_evaluated');
+    const byGate = Object.fromEntries(events.map((e) => [e.data.gate_id, e.data]));
+    expect(byGate.god_object.result).toBe('fail');
+    expect(byGate.god_object.violations[0]).toMatchObject({
+      rule: 'file_too_large',
+      subject: 'src/work.ts',
+    });
+    expect(byGate.todo_detection.result).toBe('fail');
+    expect(byGate.todo_detection.violations[0]).toMatchObject({
+      rule: 'todo_marker',
+      subject: 'src/work.ts:2',
+    });
+  });
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * `caws gates run --format json|sarif|junit`: machine-readable renderings of
+ * a run's dispositions, violations and waived violations for CI dashboards.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  renderGatesRunJson,
+  renderGatesRunJunit,
+  renderGatesRunSarif,
+} = require('../../dist/shell/render/gates-report');
+const { initProject } = require('../../dist/store/init-store');
+const { writeWaiver } = require('../../dist/store/waivers-store');
+const { runSpecsCreateCommand } = require('../../dist/shell/commands/specs');
+const { runGatesRunCommand } = require('../../dist/shell/commands/gates');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+
+const scopeViolation = {
+  gate: 'scope_boundary',
+  type: 'out_of_scope',
+  message: 'docs/a.md is outside scope.in',
+  file: 'docs/a.md',
+};
+const todoViolation = {
+  gate: 'todo_detection',
+  type: 'todo_marker',
+  message: 'src/b.ts:4 introduces <marker> & "more"',
+  file: 'src/b.ts',
+  line: 4,
+};
+const waivedViolation = {
+  gate: 'scope_boundary',
+  type: 'out_of_scope',
+  message: 'vendor/x.js is outside scope.in',
+  file: 'vendor/x.js',
+};
+
+const input = {
+  specId: 'FMT-001',
+  generatedAt: NOW.toISOString(),
+  result: {
+    dispositions: [
+      {
+        gate_id: 'scope_boundary',
+        mode: 'block',
+        outcome: 'fail',
+        blocks: true,
+        violations: [scopeViolation],
+      },
+      {
+        gate_id: 'todo_detection',
+        mode: 'warn',
+        outcome: 'fail',
+        blocks: false,
+        violations: [todoViolation],
+      },
+      { gate_id: 'god_object', mode: 'skip', outcome: 'skipped', blocks: false, violations: [] },
+    ],
+    unmatchedViolations: [{ gate: 'naming', type: 'camel_case', message: 'bad name' }],
+    anyBlocks: true,
+  },
+  warnings: [{ gate: 'god_object', message: 'approaching threshold' }],
+  waived: [{ violation: waivedViolation, waiver_ids: ['VEND-001'] }],
+};
+
+describe('renderGatesRunJson', () => {
+  test('one entry per disposition with its violations and waived violations', () => {
+    const doc = JSON.parse(renderGatesRunJson(input));
+    expect(doc).toMatchObject({ ok: false, spec_id: 'FMT-001', overall: 'blocked' });
+    expect(doc.diff_range).toBeNull();
+    const scope = doc.gates.find((g) => g.gate_id === 'scope_boundary');
+    expect(scope).toMatchObject({ mode: 'block', outcome: 'fail', blocks: true });
+    expect(scope.violations[0]).toEqual({
+      type: 'out_of_scope',
+      message: 'docs/a.md is outside scope.in',
+      file: 'docs/a.md',
+      line: null,
+      rule: null,
+    });
+    expect(scope.waived).toEqual([
+      expect.objectContaining({ file: 'vendor/x.js', waiver_ids: ['VEND-001'] }),
+    ]);
+    expect(doc.unmatched_violations[0].gate).toBe('naming');
+    expect(doc.warnings).toHaveLength(1);
+  });
+
+  test('lost evidence is not ok, even when no gate blocks', () => {
+    const passing = { ...input.result, anyBlocks: false };
+    expect(JSON.parse(renderGatesRunJson({ ...input, result: passing }))).toMatchObject({
+      ok: true,
+      overall: 'ok',
+      evidence_lost: [],
+    });
+    const doc = JSON.parse(
+      renderGatesRunJson({ ...input, result: passing, evidenceLost: ['todo_detection'] })
+    );
+    expect(doc).toMatchObject({
+      ok: false,
+      overall: 'evidence_lost',
+      evidence_lost: ['todo_detection'],
+    });
+  });
+});
+
+describe('renderGatesRunSarif', () => {
+  const sarif = JSON.parse(renderGatesRunSarif(input));
+  const run = sarif.runs[0];
+
+  test('is a SARIF 2.1.0 log with one rule per gate/type', () => {
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.name).toBe('caws');
+    expect(run.tool.driver.rules.map((r) => r.id)).toEqual([
+      'scope_boundary/out_of_scope',
+      'todo_detection/todo_marker',
+      'naming/camel_case',
+    ]);
+  });
+
+  test('levels follow gate mode and results carry locations', () => {
+    const byFile = Object.fromEntries(
+      run.results
+        .filter((r) => r.locations !== undefined)
+        .map((r) => [r.locations[0].physicalLocation.artifactLocation.uri, r])
+    );
+    expect(byFile['docs/a.md'].level).toBe('error');
+    expect(byFile['src/b.ts'].level).toBe('warning');
+    expect(byFile['src/b.ts'].locations[0].physicalLocation.region).toEqual({ startLine: 4 });
+    expect(byFile['src/b.ts'].properties).toMatchObject({
+      gate_id: 'todo_detection',
+      blocks: false,
+    });
+  });
+
+  test('waived violations are reported as accepted suppressions', () => {
+    const waived = run.results.find((r) => r.properties.waived === true);
+    expect(waived.ruleId).toBe('scope_boundary/out_of_scope');
+    expect(waived.suppressions).toEqual([
+      { kind: 'external', status: 'accepted', justification: 'Waived by VEND-001' },
+    ]);
+    expect(waived.properties.waiver_ids).toEqual(['VEND-001']);
+  });
+
+  test('unmatched violations are notes', () => {
+    const unmatched = run.results.find((r) => r.properties.unmatched === true);
+    expect(unmatched.level).toBe('note');
+    expect(unmatched.locations).toBeUndefined();
+  });
+
+  test('lost evidence is an unsuccessful invocation, even when no gate blocks', () => {
+    const passing = { ...input.result, anyBlocks: false };
+    const ok = JSON.parse(renderGatesRunSarif({ ...input, result: passing })).runs[0];
+    expect(ok.invocations[0].executionSuccessful).toBe(true);
+    expect(ok.properties).toMatchObject({ overall: 'ok', evidence_lost: [] });
+
+    const lost = JSON.parse(
+      renderGatesRunSarif({ ...input, result: passing, evidenceLost: ['todo_detection'] })
+    ).runs[0];
+    expect(lost.invocations[0].executionSuccessful).toBe(false);
+    expect(lost.invocations[0].toolExecutionNotifications).toEqual([
+      {
+        level: 'error',
+        message: { text: 'evidence was not recorded for todo_detection; the run exits 3' },
+      },
+    ]);
+    expect(lost.properties).toMatchObject({
+      overall: 'evidence_lost',
+      evidence_lost: ['todo_detection'],
+    });
+  });
+});
+
+describe('renderGatesRunJunit', () => {
+  const xml = renderGatesRunJunit(input);
+
+  test('only blocking dispositions are failures; skipped gates are skipped', () => {
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuites name="caws gates run" tests="3" failures="1" skipped="1">');
+    expect(xml).toMatch(
+      /<testcase classname="caws.gates" name="scope_boundary">\s*<failure type="scope_boundary"/
+    );
+    expect(xml).toMatch(/<testcase classname="caws.gates" name="god_object">\s*<skipped/);
+    expect(xml).toContain('<property name="spec_id" value="FMT-001"/>');
+  });
+
+  test('advisory and waived violations are listed in system-out, escaped', () => {
+    expect(xml).toContain(
+      'src/b.ts:4 [todo_marker] src/b.ts:4 introduces &lt;marker&gt; &amp; &quot;more&quot;'
+    );
+    expect(xml).toContain(
+      'vendor/x.js [out_of_scope] vendor/x.js is outside scope.in (waived by VEND-001)'
+    );
+  });
+
+  test('lost evidence is an <error> testcase', () => {
+    expect(xml).not.toContain('<error');
+    const lost = renderGatesRunJunit({ ...input, evidenceLost: ['todo_detection', 'CAP-001'] });
+    expect(lost).toContain('<testsuites name="caws gates run" tests="4" failures="1" skipped="1">');
+    expect(lost).toMatch(
+      /<testsuite name="caws.gates" tests="4" failures="1" skipped="1" errors="1"/
+    );
+    expect(lost).toMatch(
+      /<testcase classname="caws.gates" name="evidence">\s*<error type="evidence_lost" message="evidence was not recorded for todo_detection, CAP-001; the run exits 3">todo_detection\nCAP-001<\/error>/
+    );
+  });
+});
+
+describe('caws gates run --format', () => {
+  let root;
+
+  beforeAll(() => {
+    root = makeTempRepo();
+    const initialized = initProject(root);
+    if (!initialized.ok) throw new Error('initProject failed');
+    const created = runSpecsCreateCommand({
+      cwd: root,
+      id: 'FMT-RUN-001',
+      title: 'Format fixture',
+      mode: 'feature',
+      tier: 3,
+      scopeIn: ['src'],
+      activate: true,
+      now: () => NOW,
+      out: () => {},
+      err: () => {},
+    });
+    expect(created).toBe(0);
+    const written = writeWaiver(path.join(root, '.caws'), {
+      id: 'VEND-001',
+      title: 'Vendored code',
+      status: 'active',
+      gates: ['scope_boundary'],
+      reason: 'Vendored',
+      approved_by: 'reviewer',
+      created_at: '2026-07-01T00:00:00.000Z',
+      expires_at: '2026-12-31T00:00:00.000Z',
+      scope: { paths: ['vendor/**'] },
+    });
+    if (!written.ok) throw new Error('writeWaiver failed');
+  });
+
+  function run(format) {
+    const out = [];
+    const err = [];
+    const code = runGatesRunCommand(
+      { specId: 'FMT-RUN-001' },
+      {
+        cwd: root,
+        env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'gates-format-test' },
+        now: () => NOW,
+        format,
+        report: {
+          timestamp: NOW.toISOString(),
+          context: 'test',
+          files_scoped: 2,
+          warnings: [],
+          violations: [scopeViolation, waivedViolation],
+        },
+        out: (l) => out.push(l),
+        err: (l) => err.push(l),
+      }
+    );
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  test('sarif owns stdout and the exit code is unchanged', () => {
+    const r = run('sarif');
+    expect(r.code).toBe(1);
+    const sarif = JSON.parse(r.out);
+    const results = sarif.runs[0].results;
+    expect(results.filter((x) => x.suppressions === undefined)).toHaveLength(1);
+    expect(results.filter((x) => x.suppressions !== undefined)).toHaveLength(1);
+    expect(sarif.runs[0].properties.spec_id).toBe('FMT-RUN-001');
+  });
+
+  test('json and junit parse from stdout alone', () => {
+    expect(JSON.parse(run('json').out).overall).toBe('blocked');
+    expect(run('junit').out).toContain('<testsuites');
+  });
+
+  test('gate evidence is still appended', () => {
+    const before = fs.readFileSync(path.join(root, '.caws', 'events.jsonl'), 'utf8');
+    run('json');
+    const after = fs.readFileSync(path.join(root, '.caws', 'events.jsonl'), 'utf8');
+    expect(after.length).toBeGreaterThan(before.length);
+  });
+
+  test('an unknown format is refused before any evidence is written', () => {
+    const events = path.join(root, '.caws', 'events.jsonl');
+    const before = fs.readFileSync(events, 'utf8');
+    const r = run('xml');
+    expect(r.code).toBe(1);
+    expect(r.err).toContain('shell.gates.unknown_format');
+    expect(fs.readFileSync(events, 'utf8')).toBe(before);
+  });
+});
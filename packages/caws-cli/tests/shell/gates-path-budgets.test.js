@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * budget_limit with per-module budgets, excluded paths, and separate
+ * counts for deletions and renames.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseAndValidatePolicy } = require('../../dist/kernel');
+const { evaluateBudgetLimit } = require('../../dist/shell/gates/local-evaluators');
+const { listStagedChanges } = require('../../dist/shell/gates/local-evaluators/diff-helpers');
+const { cleanupAll, git, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const BASE_POLICY = `version: 1
+risk_tiers:
+  '1': { max_files: 10, max_loc: 100 }
+  '2': { max_files: 20, max_loc: 200, max_deleted_loc: 50 }
+  '3': { max_files: 30, max_loc: 300 }
+gates:
+  budget_limit: { enabled: true, mode: block }
+  spec_completeness: { enabled: true, mode: block }
+  scope_boundary: { enabled: true, mode: block }
+`;
+
+function policy(budgets) {
+  return {
+    version: 1,
+    risk_tiers: {
+      1: { max_files: 10, max_loc: 100 },
+      2: { max_files: 3, max_loc: 200, max_deleted_loc: 50 },
+      3: { max_files: 30, max_loc: 300 },
+    },
+    gates: {
+      budget_limit: { enabled: true, mode: 'block' },
+      spec_completeness: { enabled: true, mode: 'block' },
+      scope_boundary: { enabled: true, mode: 'block' },
+    },
+    ...(budgets !== undefined ? { budgets } : {}),
+  };
+}
+
+function evaluate(changes, budgets) {
+  return evaluateBudgetLimit({
+    spec: { risk_tier: 2 },
+    policy: policy(budgets),
+    repoRoot: process.cwd(),
+    stagedChanges: changes,
+  });
+}
+
+const change = (p, insertions, deletions = 0, extra = {}) => ({
+  path: p,
+  insertions,
+  deletions,
+  ...extra,
+});
+
+describe('policy schema: budgets', () => {
+  test('path buckets and exclude globs validate', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY +
+        'budgets:\n' +
+        '  exclude: [package-lock.json, "dist/**"]\n' +
+        '  paths:\n' +
+        '    - name: kernel\n' +
+        '      match: ["src/kernel/**"]\n' +
+        '      max_files: 5\n' +
+        '      max_loc: 150\n' +
+        '      max_deleted_loc: 300\n'
+    );
+    expect(r.ok).toBe(true);
+    expect(r.value.budgets.paths[0].name).toBe('kernel');
+  });
+
+  test('duplicate bucket names are refused', () => {
+    const bucket = '    - { name: kernel, match: [src/kernel], max_files: 1, max_loc: 1 }\n';
+    const r = parseAndValidatePolicy(BASE_POLICY + 'budgets:\n  paths:\n' + bucket + bucket);
+    expect(r.ok).toBe(false);
+    expect(r.errors.map((e) => e.rule)).toContain('policy.semantic.budgets.duplicate_name');
+  });
+
+  test('a bucket without match is a schema violation', () => {
+    const r = parseAndValidatePolicy(
+      BASE_POLICY + 'budgets:\n  paths:\n    - { name: kernel, max_files: 1, max_loc: 1 }\n'
+    );
+    expect(r.ok).toBe(false);
+  });
+});
+
+describe('evaluateBudgetLimit', () => {
+  test('a path bucket overflows on its own and is named in the violation', () => {
+    const r = evaluate(
+      [change('src/kernel/a.ts', 40), change('src/kernel/b.ts', 40), change('src/cli.ts', 10)],
+      { paths: [{ name: 'kernel', match: ['src/kernel/**'], max_files: 5, max_loc: 50 }] }
+    );
+    expect(r.violations).toHaveLength(1);
+    expect(r.violations[0]).toMatchObject({
+      gate: 'budget_limit',
+      type: 'max_loc_exceeded',
+      rule: 'budgets.paths.kernel',
+    });
+    expect(r.violations[0].message).toContain('path budget "kernel"');
+    expect(r.observed.paths[0]).toMatchObject({
+      name: 'kernel',
+      files_changed: 2,
+      loc_changed: 80,
+    });
+  });
+
+  test('excluded paths count toward no budget', () => {
+    const r = evaluate(
+      [
+        change('package-lock.json', 5000, 4000),
+        change('dist/bundle.js', 900),
+        change('src/a.ts', 10),
+      ],
+      { exclude: ['package-lock.json', 'dist/**'] }
+    );
+    expect(r.violations).toEqual([]);
+    expect(r.observed).toMatchObject({ files_changed: 1, files_excluded: 2, loc_changed: 10 });
+  });
+
+  test('deletions are counted apart from additions', () => {
+    const r = evaluate([change('src/old.ts', 0, 80)]);
+    expect(r.observed).toMatchObject({ loc_changed: 0, loc_deleted: 80 });
+    expect(r.violations.map((v) => v.type)).toEqual(['max_deleted_loc_exceeded']);
+  });
+
+  test('pure renames are tallied separately and do not count as changed files', () => {
+    const renames = [1, 2, 3, 4].map((n) =>
+      change(`src/new${n}.ts`, 0, 0, { renamedFrom: `src/old${n}.ts` })
+    );
+    const r = evaluate([...renames, change('src/edited.ts', 1, 1, { renamedFrom: 'src/e.ts' })]);
+    expect(r.observed).toMatchObject({ files_changed: 1, files_renamed: 4 });
+    expect(r.violations).toEqual([]);
+  });
+});
+
+describe('listStagedChanges', () => {
+  test('reports a staged rename under its new path with the old one alongside', () => {
+    const root = makeTempRepo();
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'src', 'old.ts'), 'export const x = 1;\n'.repeat(20));
+    fs.writeFileSync(path.join(root, 'src', 'keep.ts'), 'a\nb\n');
+    git(root, ['add', '-A']);
+    git(root, ['commit', '-q', '-m', 'seed']);
+    git(root, ['mv', 'src/old.ts', 'src/new.ts']);
+    fs.writeFileSync(path.join(root, 'src', 'keep.ts'), 'a\n');
+    git(root, ['add', '-A']);
+
+    const changes = listStagedChanges(root);
+    expect(changes).toContainEqual({
+      path: 'src/new.ts',
+      renamedFrom: 'src/old.ts',
+      insertions: 0,
+      deletions: 0,
+    });
+    expect(changes).toContainEqual({ path: 'src/keep.ts', insertions: 0, deletions: 1 });
+  });
+});
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * Path-scoped waivers: `scope.paths` globs narrow a waiver to violations
+ * whose `file` matches (kernel matchGlob semantics).
+ *
+ * Covers the whole path: kernel validation + applicability, the shell
+ * filter's per-violation decision and `waived_paths` evidence, the run
+ * renderer, `caws waiver create --path` round-tripping through the store,
+ * and doctor's `paths_match_nothing` finding over the tracked tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { filterWaivedViolations } = require('../../dist/shell/gates/waiver-filter');
+const { renderGatesRun } = require('../../dist/shell/render/gates');
+const { runWaiverCreateCommand } = require('../../dist/shell');
+const {
+  effectiveWaiversForGate,
+  validateWaiver,
+  inspectProjectState,
+  DOCTOR_RULES,
+} = require('../../dist/kernel');
+const { initProject } = require('../../dist/store/init-store');
+const { loadWaivers } = require('../../dist/store/waivers-store');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+
+const NOW = new Date('2026-06-13T12:00:00.000Z');
+const FUTURE = '2026-12-31T00:00:00.000Z';
+
+function waiver(over = {}) {
+  return {
+    id: 'W-1',
+    title: 'a waiver',
+    status: 'active',
+    gates: ['scope_boundary'],
+    reason: 'because',
+    approved_by: 'reviewer',
+    created_at: '2026-01-01T00:00:00.000Z',
+    expires_at: FUTURE,
+    ...over,
+  };
+}
+
+function report(violations) {
+  return {
+    timestamp: NOW.toISOString(),
+    context: 'test',
+    files_scoped: violations.length,
+    warnings: [],
+    violations,
+  };
+}
+
+const onFile = (file, gate = 'scope_boundary') => ({
+  gate,
+  type: 'out_of_scope',
+  message: `${file} out of scope`,
+  file,
+});
+
+describe('kernel validateWaiver: scope.paths', () => {
+  test('a non-empty array of globs is preserved alongside spec_id', () => {
+    const r = validateWaiver(waiver({ scope: { spec_id: 'S-1', paths: ['src/legacy/**'] } }));
+    expect(r.ok).toBe(true);
+    expect(r.value.scope).toEqual({ spec_id: 'S-1', paths: ['src/legacy/**'] });
+  });
+
+  test.each([[[]], ['src/**'], [['src/**', '']], [[42]]])(
+    'rejects malformed scope.paths %p',
+    (paths) => {
+      const r = validateWaiver(waiver({ scope: { paths } }));
+      expect(r.ok).toBe(false);
+      expect(r.errors[0].rule).toBe('waiver.schema.invalid_scope_paths');
+    }
+  );
+});
+
+describe('kernel effectiveWaiversForGate: path argument', () => {
+  const scoped = waiver({ scope: { paths: ['src/legacy/**', 'docs'] } });
+
+  test('a matching glob makes the waiver effective', () => {
+    expect(
+      effectiveWaiversForGate({
+        waivers: [scoped],
+        gate: 'scope_boundary',
+        path: 'src/legacy/a.ts',
+        now: NOW,
+      })
+    ).toHaveLength(1);
+  });
+
+  test('a plain entry matches itself and descendants only', () => {
+    const at = (p) =>
+      effectiveWaiversForGate({ waivers: [scoped], gate: 'scope_boundary', path: p, now: NOW })
+        .length;
+    expect(at('docs/guide.md')).toBe(1);
+    expect(at('docsx/guide.md')).toBe(0);
+  });
+
+  test('a leading ./ is normalized before matching', () => {
+    expect(
+      effectiveWaiversForGate({
+        waivers: [scoped],
+        gate: 'scope_boundary',
+        path: './src/legacy/a.ts',
+        now: NOW,
+      })
+    ).toHaveLength(1);
+  });
+
+  test('a non-matching path excludes the waiver', () => {
+    expect(
+      effectiveWaiversForGate({
+        waivers: [scoped],
+        gate: 'scope_boundary',
+        path: 'src/new/a.ts',
+        now: NOW,
+      })
+    ).toHaveLength(0);
+  });
+
+  test('path null (file-less violation) excludes path-scoped waivers only', () => {
+    const wide = waiver({ id: 'W-2' });
+    const got = effectiveWaiversForGate({
+      waivers: [scoped, wide],
+      gate: 'scope_boundary',
+      path: null,
+      now: NOW,
+    });
+    expect(got.map((w) => w.id)).toEqual(['W-2']);
+  });
+
+  test('omitting path does not consult scope.paths (gate-level listing)', () => {
+    expect(
+      effectiveWaiversForGate({ waivers: [scoped], gate: 'scope_boundary', now: NOW })
+    ).toHaveLength(1);
+  });
+});
+
+describe('filterWaivedViolations: path-scoped waivers', () => {
+  test('suppresses only violations whose file matches; records waived_paths', () => {
+    const result = filterWaivedViolations({
+      report: report([
+        onFile('src/legacy/b.ts'),
+        onFile('src/new/c.ts'),
+        onFile('src/legacy/a.ts'),
+      ]),
+      waivers: [waiver({ id: 'W-LEGACY', scope: { paths: ['src/legacy/**'] } })],
+      specId: 'S-1',
+      now: NOW,
+      policyGateIds: ['scope_boundary'],
+    });
+    expect(result.reportForDisposition.violations.map((v) => v.file)).toEqual(['src/new/c.ts']);
+    expect(result.waivedByGate['scope_boundary']).toEqual({
+      waived_count: 2,
+      waiver_ids: ['W-LEGACY'],
+      waived_paths: ['src/legacy/a.ts', 'src/legacy/b.ts'],
+    });
+  });
+
+  test('a path-scoped waiver does not forgive a file-less violation', () => {
+    const result = filterWaivedViolations({
+      report: report([{ gate: 'budget_limit', type: 'max_loc', message: 'over budget' }]),
+      waivers: [waiver({ gates: ['budget_limit'], scope: { paths: ['src/**'] } })],
+      specId: 'S-1',
+      now: NOW,
+      policyGateIds: ['budget_limit'],
+    });
+    expect(result.reportForDisposition.violations).toHaveLength(1);
+    expect(result.waivedByGate['budget_limit']).toBeUndefined();
+  });
+
+  test('only the waivers that matched a file are credited', () => {
+    const result = filterWaivedViolations({
+      report: report([onFile('src/legacy/a.ts')]),
+      waivers: [
+        waiver({ id: 'W-A', scope: { paths: ['src/legacy/**'] } }),
+        waiver({ id: 'W-B', scope: { paths: ['docs/**'] } }),
+      ],
+      specId: 'S-1',
+      now: NOW,
+      policyGateIds: ['scope_boundary'],
+    });
+    expect(result.waivedByGate['scope_boundary'].waiver_ids).toEqual(['W-A']);
+  });
+});
+
+describe('renderGatesRun: waived section', () => {
+  test('lists each waived gate with its waivers and forgiven paths', () => {
+    const text = renderGatesRun(
+      { dispositions: [], unmatchedViolations: [], anyBlocks: false },
+      [],
+      {
+        scope_boundary: {
+          waived_count: 2,
+          waiver_ids: ['W-LEGACY'],
+          waived_paths: ['src/legacy/a.ts', 'src/legacy/b.ts'],
+        },
+      }
+    );
+    expect(text).toContain('Waived (authorized exceptions, not dispositioned):');
+    expect(text).toContain('scope_boundary: 2 violation(s) by W-LEGACY');
+    expect(text).toContain('· src/legacy/a.ts');
+    expect(text).toContain('· src/legacy/b.ts');
+  });
+
+  test('omits the section when nothing was waived', () => {
+    const text = renderGatesRun({ dispositions: [], unmatchedViolations: [], anyBlocks: false });
+    expect(text).not.toContain('Waived');
+  });
+});
+
+describe('caws waiver create --path + doctor paths_match_nothing', () => {
+  let repoRoot;
+
+  beforeAll(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'caws-waiver-paths-'));
+    execFileSync('git', ['init', '--quiet', '-b', 'main', repoRoot]);
+    execFileSync('git', ['-C', repoRoot, 'config', 'user.email', 't@test.com']);
+    execFileSync('git', ['-C', repoRoot, 'config', 'user.name', 'Test']);
+    fs.mkdirSync(path.join(repoRoot, 'src', 'legacy'), { recursive: true });
+    fs.writeFileSync(path.join(repoRoot, 'src', 'legacy', 'a.ts'), 'export const a = 1;\n');
+    execFileSync('git', ['-C', repoRoot, 'add', '-A']);
+    execFileSync('git', ['-C', repoRoot, 'commit', '--quiet', '-m', 'init']);
+    const r = initProject(repoRoot);
+    if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  function create(id, paths) {
+    const out = [];
+    const err = [];
+    const code = runWaiverCreateCommand({
+      cwd: repoRoot,
+      id,
+      title: 'Legacy scope exception',
+      gates: ['scope_boundary'],
+      reason: 'Legacy module is migrated separately',
+      approvedBy: 'reviewer@example.com',
+      expiresAt: FUTURE,
+      paths,
+      now: () => NOW,
+      out: (l) => out.push(l),
+      err: (l) => err.push(l),
+    });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  test('--path globs are written to scope.paths and load back intact', () => {
+    const r = create('LEGACY-001', ['src/legacy/**', 'src/old*.ts']);
+    expect(r.code).toBe(0);
+    const loaded = loadWaivers(path.join(repoRoot, '.caws'));
+    const w = loaded.waivers.find((x) => x.id === 'LEGACY-001');
+    expect(w.scope).toEqual({ paths: ['src/legacy/**', 'src/old*.ts'] });
+  });
+
+  test('doctor flags the globs that match no tracked file', () => {
+    create('LEGACY-002', ['nowhere/**']);
+    const { snapshot, doctorInput } = composeDoctorSnapshot({
+      repoRoot,
+      cawsDir: path.join(repoRoot, '.caws'),
+      now: NOW,
+    });
+    expect(snapshot.trackedPaths).toContain('src/legacy/a.ts');
+    const findings = inspectProjectState(doctorInput).findings.filter(
+      (f) => f.rule === DOCTOR_RULES.WAIVER_PATHS_MATCH_NOTHING
+    );
+    const bySubject = Object.fromEntries(findings.map((f) => [f.subject, f]));
+
+    expect(bySubject['LEGACY-001'].data).toEqual({
+      waiver_id: 'LEGACY-001',
+      dead_paths: ['src/old*.ts'],
+      all_paths_dead: false,
+    });
+    expect(bySubject['LEGACY-002'].data.all_paths_dead).toBe(true);
+    expect(bySubject['LEGACY-002'].message).toContain('forgives nothing');
+  });
+});
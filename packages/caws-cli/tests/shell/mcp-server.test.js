@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * `caws mcp` stdio server (CAWS-MCP-SERVER-001).
+ *
+ * Three layers:
+ *   - the tool list is generated from COMMAND_SURFACE_METADATA (one tool per
+ *     leaf, no `--json` / `--data` inputs, required-ness carried over)
+ *   - a tool call becomes the argv the command would have been typed with
+ *   - calls run the real handlers with captured output: --json payloads come
+ *     back as structuredContent.result, non-zero exits as isError, and the
+ *     session identity is the one resolveSession derives from the env
+ *
+ * The last block drives `node dist/index.js mcp` over real stdio.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { initProject } = require('../../dist/store/init-store');
+const { COMMAND_SURFACE_METADATA } = require('../../dist/shell/command-metadata');
+const { buildMcpTools, mcpToolArgv } = require('../../dist/shell/mcp/tools');
+const { createMcpServer } = require('../../dist/shell/mcp/server');
+const { registerShellCommands } = require('../../dist/shell/register');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const CLI = path.resolve(__dirname, '..', '..', 'dist', 'index.js');
+const SESSION = 'mcp-test-session';
+
+afterAll(() => {
+  cleanupAll();
+});
+
+function mkRepo() {
+  const root = makeTempRepo();
+  const initialized = initProject(root);
+  if (!initialized.ok) throw new Error('initProject failed: ' + JSON.stringify(initialized.errors));
+  return root;
+}
+
+function mkServer(root) {
+  return createMcpServer({
+    registerCommands: registerShellCommands,
+    serverVersion: '0.0.0-test',
+    cwd: root,
+    env: { ...process.env, CLAUDE_CODE_SESSION_ID: SESSION },
+  });
+}
+
+function toolNamed(name) {
+  const binding = buildMcpTools().find((b) => b.tool.name === name);
+  if (binding === undefined) throw new Error(`no tool ${name}`);
+  return binding;
+}
+
+describe('tool generation', () => {
+  test('one tool per leaf of the command surface, except mcp itself', () => {
+    const expected = [];
+    for (const meta of COMMAND_SURFACE_METADATA) {
+      if (meta.name === 'mcp') continue;
+      if (meta.kind === 'leaf') expected.push(`caws_${meta.name}`);
+      else for (const leaf of meta.subcommands) expected.push(`caws_${meta.name}_${leaf.name}`);
+    }
+    const names = buildMcpTools().map((b) => b.tool.name);
+    expect(names).toEqual(expected.map((n) => n.replace(/-/g, '_')));
+    expect(names).toContain('caws_specs_amend_scope');
+    expect(names).not.toContain('caws_mcp');
+  });
+
+  test('inputs mirror the metadata: positionals, enums, lists, required-ness', () => {
+    const { inputSchema } = toolNamed('caws_specs_create').tool;
+    expect(inputSchema.additionalProperties).toBe(false);
+    expect(inputSchema.properties.id).toEqual({ type: 'string', description: 'Spec id to create' });
+    expect(inputSchema.properties.mode.enum).toEqual([
+      'feature',
+      'refactor',
+      'fix',
+      'doc',
+      'chore',
+    ]);
+    expect(inputSchema.properties.scope_in.type).toBe('array');
+    expect(inputSchema.properties).not.toHaveProperty('json');
+    expect(inputSchema.properties).not.toHaveProperty('data');
+
+    expect(toolNamed('caws_specs_show').tool.inputSchema.required).toEqual(['id']);
+  });
+
+  test('a --format leaf defaults to json; evidence record keeps its --data payload', () => {
+    expect(toolNamed('caws_gates_run').tool.inputSchema.properties.format.default).toBe('json');
+    const record = toolNamed('caws_evidence_record').tool.inputSchema;
+    expect(record.properties.data.type).toBe('string');
+    expect(record.required).toEqual(expect.arrayContaining(['type', 'spec', 'data']));
+  });
+});
+
+describe('mcpToolArgv', () => {
+  test('options use --flag=value, lists repeat, positionals follow --', () => {
+    const result = mcpToolArgv(toolNamed('caws_specs_create'), {
+      id: '-ODD-ID',
+      title: 'T',
+      scope_in: ['src/a', 'src/b'],
+      plan: true,
+    });
+    expect(result).toEqual({
+      ok: true,
+      argv: [
+        'specs',
+        'create',
+        '--title=T',
+        '--scope-in=src/a',
+        '--scope-in=src/b',
+        '--plan',
+        '--json',
+        '--',
+        '-ODD-ID',
+      ],
+    });
+  });
+
+  test('gates run gets --format=json unless the caller picks a format', () => {
+    const binding = toolNamed('caws_gates_run');
+    expect(mcpToolArgv(binding, { spec: 'S-1' }).argv).toEqual([
+      'gates',
+      'run',
+      '--format=json',
+      '--',
+      'S-1',
+    ]);
+    expect(mcpToolArgv(binding, { spec: 'S-1', format: 'sarif' }).argv).toContain('--format=sarif');
+  });
+
+  test('unknown, missing and mistyped arguments are refused before anything runs', () => {
+    const show = toolNamed('caws_specs_show');
+    expect(mcpToolArgv(show, {}).message).toMatch(/missing required argument "id"/);
+    expect(mcpToolArgv(show, { id: 'X', bogus: 1 }).message).toMatch(
+      /unknown argument\(s\): bogus/
+    );
+    expect(mcpToolArgv(toolNamed('caws_status'), { short: 'yes' }).message).toMatch(
+      /"short" must be a boolean/
+    );
+    expect(mcpToolArgv(show, ['X']).ok).toBe(false);
+  });
+});
+
+describe('tool calls', () => {
+  test('a --json command returns its payload as structuredContent.result', async () => {
+    const root = mkRepo();
+    const result = await mkServer(root).callTool('caws_status', {});
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent.exit_code).toBe(0);
+    expect(result.structuredContent.result).toMatchObject({ ok: true, read_only: true });
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent.result);
+  });
+
+  test('writes are attributed to the session the resolver derives from env', async () => {
+    const root = mkRepo();
+    const server = mkServer(root);
+    const created = await server.callTool('caws_specs_create', {
+      id: 'MCP-001',
+      title: 'MCP slice',
+      mode: 'chore',
+      risk_tier: '3',
+    });
+    expect(created.isError).toBe(false);
+
+    const events = await server.callTool('caws_events_list', { limit: 5 });
+    expect(events.structuredContent.result.latest_event).toMatchObject({
+      event: 'spec_created',
+      spec_id: 'MCP-001',
+      actor: { session_id: SESSION, platform: 'claude-code' },
+    });
+  });
+
+  test('a failing command is isError with its exit code and stderr', async () => {
+    const root = mkRepo();
+    const result = await mkServer(root).callTool('caws_specs_show', { id: 'NOPE-404' });
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.exit_code).toBe(1);
+    expect(result.structuredContent.stderr).toContain('NOPE-404');
+  });
+
+  test('an argument error never reaches the command', async () => {
+    const root = mkRepo();
+    const result = await mkServer(root).callTool('caws_specs_show', {});
+    expect(result).toEqual({
+      content: [{ type: 'text', text: 'caws_specs_show: missing required argument "id"' }],
+      isError: true,
+    });
+  });
+});
+
+describe('JSON-RPC over stdio', () => {
+  function converse(root, messages) {
+    const result = spawnSync(process.execPath, [CLI, 'mcp'], {
+      cwd: root,
+      encoding: 'utf8',
+      input: messages.map((m) => (typeof m === 'string' ? m : JSON.stringify(m))).join('\n') + '\n',
+      env: { ...process.env, CLAUDE_CODE_SESSION_ID: SESSION },
+      timeout: 60000,
+    });
+    expect(result.status).toBe(0);
+    return result.stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+  }
+
+  test('initialize, tools/list and tools/call answer in order; notifications get no reply', () => {
+    const root = mkRepo();
+    const replies = converse(root, [
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'caws_status', arguments: {} },
+      },
+    ]);
+    expect(replies.map((r) => r.id)).toEqual([1, 2, 3]);
+
+    const init = replies[0].result;
+    expect(init.protocolVersion).toBe('2025-03-26');
+    expect(init.capabilities).toEqual({ tools: { listChanged: false } });
+    expect(init.serverInfo.name).toBe('caws');
+    expect(init.instructions).toContain(`Session identity: ${SESSION} (claude-code`);
+
+    expect(replies[1].result.tools.map((t) => t.name)).toEqual(
+      buildMcpTools().map((b) => b.tool.name)
+    );
+    expect(replies[2].result.structuredContent.result.ok).toBe(true);
+  });
+
+  test('protocol errors: parse error, unknown method, unknown tool', () => {
+    const root = mkRepo();
+    const replies = converse(root, [
+      'not json',
+      { jsonrpc: '2.0', id: 1, method: 'resources/list' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'caws_nope' } },
+    ]);
+    expect(replies[0]).toMatchObject({ id: null, error: { code: -32700 } });
+    expect(replies[1]).toMatchObject({ id: 1, error: { code: -32601 } });
+    expect(replies[2]).toMatchObject({ id: 2, error: { code: -32602 } });
+  });
+});
@@ -396,3 +396,130 @@ test('UX A7: poll renders registry-derived sender context (worktree + spec)', ()
   expect(runMessagePollCommand({ ...bobIo.opts })).toBe(0);
   expect(bobIo.out.join('\n')).toMatch(/from alice \(worktree wt-alice, spec SPEC-A\):/);
 });
+
+// ─── topic:<name> / all: fan-out, subscribe ─────────────────────────────────
+
+const { runMessageSubscribeCommand } = require('../../dist/shell/commands/message');
+
+test('subscribe + topic send: each subscriber polls its own copy; history and status show per-recipient state', () => {
+  const root = mkRepo();
+  for (const sid of ['bob', 'carol']) {
+    const sub = io(root, sid);
+    expect(runMessageSubscribeCommand({ ...sub.opts, topic: 'release' })).toBe(0);
+    expect(sub.out.join('\n')).toMatch(new RegExp(`subscribed ${sid} to topic:release`));
+  }
+  const again = io(root, 'bob');
+  expect(runMessageSubscribeCommand({ ...again.opts, topic: 'topic:release', json: true })).toBe(0);
+  expect(JSON.parse(again.out[0])).toMatchObject({ changed: false, topics: ['topic:release'] });
+
+  const send = io(root, 'alice');
+  expect(runMessageSendCommand({ ...send.opts, to: 'topic:release', text: 'tagging v2' })).toBe(0);
+  expect(send.out.join('\n')).toMatch(/sent to topic:release \(id .+, channel topic:release, 2 recipient\(s\)\)/);
+  const id = readLog(root).find((r) => r.record === 'message').id;
+
+  const bob = io(root, 'bob');
+  expect(runMessagePollCommand({ ...bob.opts })).toBe(0);
+  expect(bob.out.join('\n')).toMatch(/from alice via topic:release:\ntagging v2/);
+
+  const status = io(root, 'alice');
+  expect(runMessageStatusCommand({ ...status.opts, id })).toBe(0);
+  expect(status.out.join('\n')).toMatch(/delivered: 1\/2 recipient\(s\)\n {2}bob: delivered .+\n {2}carol: queued/);
+
+  const hist = io(root, 'dave');
+  expect(runMessageHistoryCommand({ ...hist.opts, with: 'topic:release', json: true })).toBe(0);
+  const parsed = JSON.parse(hist.out[0]);
+  expect(parsed).toMatchObject({ channel: 'topic:release', total: 1 });
+  expect(parsed.messages[0].deliveries.map((d) => d.delivered)).toEqual([true, false]);
+});
+
+test('a topic with no subscribers is refused on stdout; unsubscribe leaves the topic', () => {
+  const root = mkRepo();
+  const send = io(root, 'alice');
+  expect(runMessageSendCommand({ ...send.opts, to: 'topic:empty', text: 'hello?' })).toBe(1);
+  expect(send.out.join('\n')).toMatch(/not sent — no recipients/);
+
+  const sub = io(root, 'bob');
+  runMessageSubscribeCommand({ ...sub.opts, topic: 'empty' });
+  const unsub = io(root, 'bob');
+  expect(runMessageSubscribeCommand({ ...unsub.opts, topic: 'empty', unsubscribe: true })).toBe(0);
+  expect(unsub.out).toEqual(['unsubscribed bob from topic:empty', 'topics: (none)']);
+
+  const bad = io(root, 'bob');
+  expect(runMessageSubscribeCommand({ ...bad.opts, topic: 'a/b' })).toBe(1);
+  expect(bad.err.join('\n')).toMatch(/store\.messages\.topic_invalid/);
+});
+
+test('all: broadcasts to every live session except the sender', () => {
+  const root = mkRepo();
+  makeLive(root, 'bob');
+  makeLive(root, 'carol');
+  makeLive(root, 'alice');
+  const send = io(root, 'alice');
+  expect(runMessageSendCommand({ ...send.opts, to: 'all:', text: 'freeze main' })).toBe(0);
+  expect(readLog(root).find((r) => r.record === 'message').recipients).toEqual(['bob', 'carol']);
+  for (const sid of ['bob', 'carol']) {
+    const poll = io(root, sid);
+    runMessagePollCommand({ ...poll.opts });
+    expect(poll.out.join('\n')).toMatch(/via all:/);
+  }
+});
+
+// ─── structured kinds: --kind/--body, poll --json ───────────────────────────
+
+test('send --kind derives text from the body; poll --json returns kind and body', () => {
+  const root = mkRepo();
+  makeLive(root, 'bob');
+  const send = io(root, 'alice');
+  const body = { paths: ['src/parser/**'], reason: 'needed for FEAT-2' };
+  expect(
+    runMessageSendCommand({ ...send.opts, to: 'bob', kind: 'scope_release_request', body: JSON.stringify(body) })
+  ).toBe(0);
+  expect(send.out.join('\n')).toMatch(/sent to bob \(id .+, channel .+, kind scope_release_request\)/);
+
+  const poll = io(root, 'bob');
+  expect(runMessagePollCommand({ ...poll.opts, json: true })).toBe(0);
+  const { message } = JSON.parse(poll.out[0]);
+  expect(message).toMatchObject({
+    kind: 'scope_release_request',
+    body,
+    text: 'scope release request: src/parser/** (needed for FEAT-2)',
+  });
+
+  makeLive(root, 'alice');
+  const ack = io(root, 'bob');
+  const ackBody = JSON.stringify({ ack_id: message.id, status: 'declined', note: 'still editing' });
+  expect(runMessageSendCommand({ ...ack.opts, to: 'alice', kind: 'ack', body: ackBody })).toBe(0);
+  const read = io(root, 'alice');
+  runMessagePollCommand({ ...read.opts });
+  expect(read.out.join('\n')).toMatch(
+    /ack declined .+: still editing\n\(ack, a request only — acting on it is up to you\) body: /
+  );
+});
+
+test('send --kind refuses a bad kind, a missing or invalid body, and an ack of an unknown id', () => {
+  const root = mkRepo();
+  makeLive(root, 'bob');
+  const cases = [
+    [{ kind: 'order' }, /--kind must be one of handoff_request, review_request/],
+    [{ kind: 'review_request' }, /--kind review_request requires --body/],
+    [{ body: '{}' }, /--body is only meaningful with --kind/],
+    [{ kind: 'review_request', body: '{' }, /--body is not valid JSON/],
+  ];
+  for (const [flags, message] of cases) {
+    const send = io(root, 'alice');
+    expect(runMessageSendCommand({ ...send.opts, to: 'bob', text: '', ...flags })).toBe(1);
+    expect(send.err.join('\n')).toMatch(message);
+  }
+
+  const invalid = io(root, 'alice');
+  const noSummary = JSON.stringify({ ref: 'feat/x' });
+  expect(runMessageSendCommand({ ...invalid.opts, to: 'bob', kind: 'review_request', body: noSummary })).toBe(1);
+  expect(invalid.out.join('\n')).toMatch(/not sent — invalid body/);
+  expect(invalid.err.join('\n')).toMatch(/messages\.body\.invalid/);
+
+  const ack = io(root, 'alice');
+  const unknown = JSON.stringify({ ack_id: 'no-such-id', status: 'done' });
+  expect(runMessageSendCommand({ ...ack.opts, to: 'bob', kind: 'ack', body: unknown })).toBe(1);
+  expect(ack.out.join('\n')).toMatch(/not sent — message not found/);
+  expect(fs.existsSync(path.join(root, '.caws', 'messages.jsonl'))).toBe(false);
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * Spec dependency graph: cycle, dangling-edge and contradiction detection
+ * over successors/supersedes/superseded_by, the doctor.spec.graph_* findings,
+ * and `caws specs graph --format dot|mermaid|json`.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  analyzeSpecGraph,
+  buildSpecGraph,
+  inspectProjectState,
+  DOCTOR_RULES,
+} = require('../../dist/kernel');
+const { initProject } = require('../../dist/store/init-store');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+const { runSpecsCreateCommand, runSpecsGraphCommand } = require('../../dist/shell/commands/specs');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+
+const spec = (id, extra = {}) => ({ id, lifecycle_state: 'active', title: id, ...extra });
+
+describe('analyzeSpecGraph', () => {
+  test('a successor chain that returns to its start is a cycle', () => {
+    const r = analyzeSpecGraph({
+      specs: [
+        spec('A-001', { successors: [{ target_spec_id: 'B-001', disposition: 'required' }] }),
+        spec('B-001', { successors: [{ target_spec_id: 'C-001', disposition: 'required' }] }),
+        spec('C-001', { superseded_by: 'A-001' }),
+        spec('D-001'),
+      ],
+      archivedIds: [],
+    });
+    expect(r.cycles).toEqual([['A-001', 'B-001', 'C-001']]);
+  });
+
+  test('a consistent supersession pair is one direction, not a cycle', () => {
+    const r = analyzeSpecGraph({
+      specs: [
+        spec('OLD-001', { superseded_by: 'NEW-001' }),
+        spec('NEW-001', { supersedes: 'OLD-001' }),
+      ],
+      archivedIds: [],
+    });
+    expect(r).toEqual({ cycles: [], dangling: [], contradictions: [] });
+  });
+
+  test('declined successors are not edges; absorbed ones point at the absorber', () => {
+    const g = buildSpecGraph({
+      specs: [
+        spec('A-001', {
+          successors: [
+            { target_spec_id: 'X-001', disposition: 'declined' },
+            { target_spec_id: 'Y-001', disposition: 'absorbed', absorbed_by: 'B-001' },
+          ],
+        }),
+        spec('B-001'),
+      ],
+    });
+    expect(g.edges).toEqual([
+      {
+        from: 'A-001',
+        to: 'B-001',
+        kind: 'absorbed_by',
+        pointer: '/successors/1/absorbed_by',
+        disposition: 'absorbed',
+      },
+    ]);
+  });
+
+  test('archived ids resolve; open successor obligations may name unwritten specs', () => {
+    const r = analyzeSpecGraph({
+      specs: [
+        spec('A-001', { supersedes: 'GONE-001' }),
+        spec('B-001', { superseded_by: 'OLD-001' }),
+        spec('C-001', { successors: [{ target_spec_id: 'LATER-001', disposition: 'required' }] }),
+        spec('D-001', {
+          lifecycle_state: 'closed',
+          successors: [{ target_spec_id: 'LOST-001', disposition: 'required' }],
+        }),
+      ],
+      archivedIds: ['OLD-001'],
+    });
+    expect(r.dangling.map((e) => `${e.from}->${e.to}`)).toEqual([
+      'A-001->GONE-001',
+      'D-001->LOST-001',
+    ]);
+  });
+
+  test('without archive ids, dangling edges are not checked', () => {
+    const r = analyzeSpecGraph({ specs: [spec('A-001', { supersedes: 'GONE-001' })] });
+    expect(r.dangling).toEqual([]);
+  });
+
+  test('disagreeing supersession declarations are contradictions', () => {
+    const r = analyzeSpecGraph({
+      specs: [
+        spec('A-001', { superseded_by: 'B-001' }),
+        spec('B-001', { supersedes: 'C-001' }),
+        spec('C-001', { supersedes: 'D-001', superseded_by: 'D-001' }),
+        spec('D-001'),
+      ],
+      archivedIds: [],
+    });
+    expect(r.contradictions).toEqual([
+      {
+        kind: 'superseded_by_disagrees',
+        spec_id: 'A-001',
+        other_id: 'B-001',
+        other_declares: 'C-001',
+      },
+      {
+        kind: 'supersedes_disagrees',
+        spec_id: 'B-001',
+        other_id: 'C-001',
+        other_declares: 'D-001',
+      },
+      { kind: 'supersedes_and_superseded_by_same', spec_id: 'C-001', other_id: 'D-001' },
+    ]);
+  });
+});
+
+describe('doctor and caws specs graph', () => {
+  let root;
+  let cawsDir;
+
+  function create(id) {
+    const code = runSpecsCreateCommand({
+      cwd: root,
+      id,
+      title: `Graph fixture ${id}`,
+      mode: 'feature',
+      tier: 3,
+      scopeIn: ['src'],
+      now: () => NOW,
+      out: () => {},
+      err: () => {},
+    });
+    expect(code).toBe(0);
+  }
+
+  function appendField(id, line) {
+    fs.appendFileSync(path.join(cawsDir, 'specs', `${id}.yaml`), line + '\n');
+  }
+
+  function graph(format) {
+    const out = [];
+    const err = [];
+    const code = runSpecsGraphCommand({
+      cwd: root,
+      ...(format !== undefined ? { format } : {}),
+      out: (l) => out.push(l),
+      err: (l) => err.push(l),
+    });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  beforeAll(() => {
+    root = makeTempRepo();
+    const initialized = initProject(root);
+    if (!initialized.ok) throw new Error('initProject failed');
+    cawsDir = path.join(root, '.caws');
+    for (const id of ['GRA-001', 'GRA-002', 'GRA-003']) create(id);
+    appendField('GRA-001', 'superseded_by: GRA-002');
+    appendField('GRA-002', 'superseded_by: GRA-001');
+    appendField('GRA-003', 'supersedes: GRA-404');
+    fs.mkdirSync(path.join(cawsDir, 'specs', '.archive'), { recursive: true });
+    fs.writeFileSync(path.join(cawsDir, 'specs', '.archive', 'GRA-000.yaml'), 'id: GRA-000\n');
+  });
+
+  test('doctor reports the cycle and the dangling reference', () => {
+    const { doctorInput } = composeDoctorSnapshot({ repoRoot: root, cawsDir, now: NOW });
+    const findings = inspectProjectState(doctorInput).findings;
+    const cycle = findings.find((f) => f.rule === DOCTOR_RULES.SPEC_GRAPH_CYCLE);
+    expect(cycle).toMatchObject({ severity: 'error', data: { spec_ids: ['GRA-001', 'GRA-002'] } });
+    const dangling = findings.find((f) => f.rule === DOCTOR_RULES.SPEC_GRAPH_DANGLING_EDGE);
+    expect(dangling).toMatchObject({ subject: 'GRA-003', data: { to: 'GRA-404' } });
+  });
+
+  test('dot is the default and highlights cycle edges', () => {
+    const r = graph();
+    expect(r.code).toBe(0);
+    expect(r.out).toMatch(/^digraph caws_specs \{/);
+    expect(r.out).toContain('"GRA-001" -> "GRA-002" [label="superseded by", color=red];');
+    expect(r.out).toContain('"GRA-000" [label="GRA-000\\narchived", style=dashed];');
+    expect(r.out).toContain('"GRA-404" [label="GRA-404\\nmissing", style=dotted, color=gray];');
+    expect(r.err).toContain('cycle: GRA-001 -> GRA-002');
+    expect(r.err).toContain('dangling supersedes edge: GRA-003 -> GRA-404');
+  });
+
+  test('mermaid keys nodes positionally and labels them with the id', () => {
+    const r = graph('mermaid');
+    expect(r.out.split('\n')[0]).toBe('flowchart LR');
+    expect(r.out).toContain('s1["GRA-001<br/>draft"]');
+    expect(r.out).toContain('s1 -->|superseded by| s2');
+    expect(r.out).toContain('class s0 archived');
+    expect(r.out).toMatch(/linkStyle 0,1 stroke: red/);
+  });
+
+  test('json carries nodes, edges and every issue', () => {
+    const doc = JSON.parse(graph('json').out);
+    expect(doc.ok).toBe(false);
+    expect(doc.nodes.map((n) => n.id)).toEqual(['GRA-000', 'GRA-001', 'GRA-002', 'GRA-003']);
+    expect(doc.missing).toEqual(['GRA-404']);
+    expect(doc.cycles).toEqual([['GRA-001', 'GRA-002']]);
+    expect(doc.dangling).toHaveLength(1);
+  });
+
+  test('an unknown format is refused', () => {
+    const r = graph('svg');
+    expect(r.code).toBe(1);
+    expect(r.err).toContain('unknown --format "svg"');
+  });
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * `caws specs verify`: runs each acceptance criterion's test_command and
+ * records the exit-code verdict through the spec evidence dual-write, with
+ * the command, exit code, duration, output digest and commit sha.
+ *
+ * SUT loaded from dist/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { parseAndValidateSpec } = require('../../dist/kernel');
+const { runSpecsVerifyCommand } = require('../../dist/shell/commands/specs');
+const { initProject } = require('../../dist/store/init-store');
+const { cleanupAll, git, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+
+function mkRepo() {
+  const root = makeTempRepo();
+  const initialized = initProject(root);
+  if (!initialized.ok) throw new Error('initProject failed: ' + JSON.stringify(initialized.errors));
+  return root;
+}
+
+/** Three criteria: A1 passes, A2 fails with output, A3 declares no command. */
+function writeSpec(root, id, lifecycleState = 'active') {
+  const body = `id: ${id}
+title: 'Verify fixture'
+risk_tier: 3
+mode: chore
+lifecycle_state: ${lifecycleState}
+created_at: '2026-07-01T00:00:00.000Z'
+updated_at: '2026-07-01T00:00:00.000Z'
+blast_radius:
+  modules:
+    - tests
+  data_migration: false
+operational_rollback_slo: 5m
+scope:
+  in:
+    - tests
+  out: []
+invariants:
+  - 'fixture spec'
+acceptance:
+  - id: A1
+    given: 'g'
+    when: 'w'
+    then: 't'
+    test_command: 'node -e "process.stdout.write(process.env.CAWS_AC_ID + process.env.CAWS_TEST_NODEIDS)"'
+    test_nodeids: ['suite > one', 'suite > two']
+  - id: A2
+    given: 'g'
+    when: 'w'
+    then: 't'
+    test_command: 'node -e "console.error(\\"boom\\"); process.exit(3)"'
+  - id: A3
+    given: 'g'
+    when: 'w'
+    then: 't'
+non_functional: {}
+contracts: []
+${lifecycleState === 'closed' ? "resolution: completed\nclosure_notes: 'done'\n" : ''}`;
+  fs.writeFileSync(path.join(root, '.caws', 'specs', `${id}.yaml`), body);
+  git(root, ['add', '-A']);
+  git(root, ['commit', '-m', `fixture: ${id}`]);
+  return git(root, ['rev-parse', 'HEAD']).trim();
+}
+
+function verify(root, opts) {
+  const out = [];
+  const err = [];
+  const code = runSpecsVerifyCommand({
+    cwd: root,
+    env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'specs-verify-test' },
+    now: () => NOW,
+    out: (l) => out.push(l),
+    err: (l) => err.push(l),
+    ...opts,
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function readSpec(root, id) {
+  const r = parseAndValidateSpec(
+    fs.readFileSync(path.join(root, '.caws', 'specs', `${id}.yaml`), 'utf8')
+  );
+  if (!r.ok) throw new Error(JSON.stringify(r.errors));
+  return r.value;
+}
+
+function acEvents(root) {
+  const file = path.join(root, '.caws', 'events.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((l) => l.length > 0)
+    .map((l) => JSON.parse(l))
+    .filter((e) => e.event === 'ac_recorded');
+}
+
+describe('caws specs verify', () => {
+  test('records the exit-code verdict of every criterion with a test_command', () => {
+    const root = mkRepo();
+    const head = writeSpec(root, 'VER-001');
+
+    const r = verify(root, { id: 'VER-001' });
+    expect(r.code).toBe(1);
+    expect(r.out).toContain('A1 pass (exit 0');
+    expect(r.out).toContain('A2 fail (exit 3');
+    expect(r.out).toContain('A3 skipped (no test_command)');
+    expect(r.err).toContain('boom');
+
+    const evidence = readSpec(root, 'VER-001').evidence;
+    expect(evidence.map((e) => [e.criterion_id, e.status])).toEqual([
+      ['A1', 'pass'],
+      ['A2', 'fail'],
+    ]);
+    const expectedDigest = crypto
+      .createHash('sha256')
+      .update('A1suite > one\nsuite > two')
+      .digest('hex');
+    expect(evidence[0]).toMatchObject({
+      exit_code: 0,
+      commit_sha: head,
+      test_nodeid: 'suite > one suite > two',
+      output_digest: `sha256:${expectedDigest}`,
+    });
+    expect(evidence[0].command).toContain('CAWS_AC_ID');
+    expect(typeof evidence[0].duration_ms).toBe('number');
+    expect(evidence[1].exit_code).toBe(3);
+
+    const events = acEvents(root);
+    expect(events.map((e) => e.data.criterion_id)).toEqual(['A1', 'A2']);
+    expect(events[1].data).toMatchObject({
+      status: 'fail',
+      exit_code: 3,
+      commit_sha: head,
+      output_digest: evidence[1].output_digest,
+    });
+  });
+
+  test('--criterion runs only the named criteria; --json reports them', () => {
+    const root = mkRepo();
+    writeSpec(root, 'VER-002');
+
+    const r = verify(root, { id: 'VER-002', criteria: ['A1'], json: true });
+    expect(r.code).toBe(0);
+    const doc = JSON.parse(r.out);
+    expect(doc).toMatchObject({ ok: true, spec_id: 'VER-002', skipped: [] });
+    expect(doc.results).toHaveLength(1);
+    expect(doc.results[0]).toMatchObject({ criterion_id: 'A1', outcome: 'pass', recorded: true });
+    expect(acEvents(root)).toHaveLength(1);
+    expect(doc.dirty_tree).toBe(false);
+  });
+
+  test('uncommitted changes outside .caws/ record dirty_tree instead of commit_sha', () => {
+    const root = mkRepo();
+    writeSpec(root, 'VER-006');
+    fs.writeFileSync(path.join(root, 'uncommitted.txt'), 'work in progress\n');
+
+    const r = verify(root, { id: 'VER-006', criteria: ['A1'], json: true });
+    expect(r.code).toBe(0);
+    expect(r.err).toContain('uncommitted changes');
+    const doc = JSON.parse(r.out);
+    expect(doc).toMatchObject({ commit_sha: null, dirty_tree: true });
+
+    const [entry] = readSpec(root, 'VER-006').evidence;
+    expect(entry.dirty_tree).toBe(true);
+    expect(entry).not.toHaveProperty('commit_sha');
+    const [event] = acEvents(root);
+    expect(event.data.dirty_tree).toBe(true);
+    expect(event.data).not.toHaveProperty('commit_sha');
+  });
+
+  test('a command over its time limit fails without an exit code', () => {
+    const root = mkRepo();
+    writeSpec(root, 'VER-003');
+    const specFile = path.join(root, '.caws', 'specs', 'VER-003.yaml');
+    fs.writeFileSync(
+      specFile,
+      fs
+        .readFileSync(specFile, 'utf8')
+        .replace(
+          /test_command: 'node -e "process.stdout[^\n]*/,
+          'test_command: \'node -e "setTimeout(() => {}, 60000)"\''
+        )
+    );
+    git(root, ['commit', '-qam', 'slow']);
+
+    const r = verify(root, { id: 'VER-003', criteria: ['A1'], timeoutMs: 300 });
+    expect(r.code).toBe(1);
+    expect(r.out).toContain('A1 fail (timed out');
+    const [entry] = readSpec(root, 'VER-003').evidence;
+    expect(entry.status).toBe('fail');
+    expect(entry.exit_code).toBeUndefined();
+  });
+
+  test('refusals happen before anything runs', () => {
+    const root = mkRepo();
+    writeSpec(root, 'VER-004');
+    writeSpec(root, 'VER-005', 'closed');
+
+    const unknown = verify(root, { id: 'VER-004', criteria: ['A1', 'A9'] });
+    expect(unknown.code).toBe(1);
+    expect(unknown.err).toContain('declares no criterion A9');
+
+    const noCommand = verify(root, { id: 'VER-004', criteria: ['A3'] });
+    expect(noCommand.code).toBe(1);
+    expect(noCommand.err).toContain('declares no test_command');
+
+    const closed = verify(root, { id: 'VER-005' });
+    expect(closed.code).toBe(1);
+    expect(closed.err).toContain('VER-005 is closed');
+
+    expect(verify(root, { id: 'VER-004', timeoutMs: 'soon' }).code).toBe(1);
+    expect(acEvents(root)).toEqual([]);
+  });
+});
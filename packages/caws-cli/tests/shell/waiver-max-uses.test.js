@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Waiver max_uses enforcement via the usage ledger.
+ *
+ * Uses are derived from `waiver_applied` events (one per waiver credited in
+ * a `caws gates run`), never stored on the waiver. Once the ledger reaches
+ * `constraints.max_uses` the kernel classifies the waiver not_applicable,
+ * gates stop honoring it, `caws waiver show` reports the spent cap and
+ * doctor raises `doctor.waiver.max_uses_reached`.
+ *
+ * SUT loaded from dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  deriveWaiverUsage,
+  effectiveWaiversForGate,
+  inspectProjectState,
+  waiverEffectiveness,
+  waiverUsesRemaining,
+  DOCTOR_RULES,
+} = require('../../dist/kernel');
+const { initProject } = require('../../dist/store/init-store');
+const { loadWaiverUsage, writeWaiver } = require('../../dist/store/waivers-store');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+const { runSpecsCreateCommand } = require('../../dist/shell/commands/specs');
+const { runGatesRunCommand } = require('../../dist/shell/commands/gates');
+const { runWaiverShowCommand } = require('../../dist/shell/commands/waiver');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+afterAll(() => {
+  cleanupAll();
+});
+
+const NOW = new Date('2026-07-04T00:00:00.000Z');
+const FUTURE = '2026-12-31T00:00:00.000Z';
+
+function waiver(over = {}) {
+  return {
+    id: 'CAP-001',
+    title: 'Capped budget waiver',
+    status: 'active',
+    gates: ['budget_limit'],
+    reason: 'One-off migration',
+    approved_by: 'reviewer',
+    created_at: '2026-07-01T00:00:00.000Z',
+    expires_at: FUTURE,
+    constraints: { max_uses: 1 },
+    ...over,
+  };
+}
+
+const applied = (id) => ({ event: 'waiver_applied', data: { waiver_id: id } });
+
+describe('kernel usage ledger', () => {
+  test('deriveWaiverUsage counts waiver_applied events per waiver id', () => {
+    const usage = deriveWaiverUsage([
+      applied('CAP-001'),
+      { event: 'gate_evaluated', data: { waiver_ids: ['CAP-001'] } },
+      applied('CAP-001'),
+      applied('OTHER-002'),
+      { event: 'waiver_applied', data: {} },
+    ]);
+    expect(usage).toEqual({ 'CAP-001': 2, 'OTHER-002': 1 });
+  });
+
+  test('deriveWaiverUsage adds the uses a chain_rotated genesis carried forward', () => {
+    const usage = deriveWaiverUsage([
+      { event: 'chain_rotated', data: { waiver_usage: { 'CAP-001': 2 } } },
+      applied('CAP-001'),
+    ]);
+    expect(usage).toEqual({ 'CAP-001': 3 });
+  });
+
+  test('an exhausted waiver is not_applicable and not effective', () => {
+    const w = waiver();
+    const usage = deriveWaiverUsage([applied('CAP-001')]);
+    expect(waiverUsesRemaining(w, usage)).toBe(0);
+    expect(waiverEffectiveness(w, NOW, usage)).toBe('not_applicable');
+    expect(
+      effectiveWaiversForGate({ waivers: [w], gate: 'budget_limit', usage, now: NOW })
+    ).toEqual([]);
+  });
+
+  test('without a ledger the cap is not consulted', () => {
+    expect(waiverEffectiveness(waiver(), NOW)).toBe('active');
+  });
+
+  test('an uncapped waiver is never exhausted', () => {
+    const w = waiver({ constraints: undefined });
+    const usage = deriveWaiverUsage([applied('CAP-001'), applied('CAP-001')]);
+    expect(waiverUsesRemaining(w, usage)).toBeNull();
+    expect(waiverEffectiveness(w, NOW, usage)).toBe('active');
+  });
+});
+
+describe('caws gates run spends max_uses', () => {
+  let root;
+  let cawsDir;
+
+  const overBudget = {
+    timestamp: NOW.toISOString(),
+    context: 'test',
+    files_scoped: 1,
+    warnings: [],
+    violations: [{ gate: 'budget_limit', type: 'max_loc', message: 'over budget' }],
+  };
+
+  function runGates() {
+    const out = [];
+    const err = [];
+    const code = runGatesRunCommand(
+      { specId: 'CAP-RUN-001' },
+      {
+        cwd: root,
+        env: { ...process.env, CLAUDE_CODE_SESSION_ID: 'waiver-max-uses-test' },
+        now: () => NOW,
+        report: overBudget,
+        out: (l) => out.push(l),
+        err: (l) => err.push(l),
+      }
+    );
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  function events(type) {
+    return fs
+      .readFileSync(path.join(cawsDir, 'events.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((l) => JSON.parse(l))
+      .filter((e) => e.event === type);
+  }
+
+  beforeAll(() => {
+    root = makeTempRepo();
+    const initialized = initProject(root);
+    if (!initialized.ok) throw new Error('initProject failed');
+    cawsDir = path.join(root, '.caws');
+    // The seeded policy runs budget_limit in block mode, so an unwaived
+    // violation blocks the run.
+    const created = runSpecsCreateCommand({
+      cwd: root,
+      id: 'CAP-RUN-001',
+      title: 'Capped waiver fixture',
+      mode: 'feature',
+      tier: 3,
+      scopeIn: ['src'],
+      activate: true,
+      now: () => NOW,
+      out: () => {},
+      err: () => {},
+    });
+    expect(created).toBe(0);
+    const written = writeWaiver(cawsDir, waiver());
+    if (!written.ok) throw new Error('writeWaiver failed: ' + JSON.stringify(written.errors));
+  });
+
+  test('the first run is waived and records one use', () => {
+    const r = runGates();
+    expect(r.code).toBe(0);
+    const uses = events('waiver_applied');
+    expect(uses).toHaveLength(1);
+    expect(uses[0].spec_id).toBe('CAP-RUN-001');
+    expect(uses[0].data).toEqual({
+      waiver_id: 'CAP-001',
+      gates: ['budget_limit'],
+      waived_count: 1,
+      expires_at: FUTURE,
+    });
+  });
+
+  test('the second run finds the cap spent and blocks', () => {
+    const r = runGates();
+    expect(r.code).toBe(1);
+    expect(r.out).toMatch(/FAIL\s+budget_limit/);
+    expect(events('waiver_applied')).toHaveLength(1);
+    const lastGate = events('gate_evaluated')
+      .filter((e) => e.data.gate_id === 'budget_limit')
+      .pop();
+    expect(lastGate.data.waived_count).toBe(0);
+  });
+
+  test('caws waiver show reports uses and remaining', () => {
+    const out = [];
+    const code = runWaiverShowCommand({
+      cwd: root,
+      id: 'CAP-001',
+      now: () => NOW,
+      out: (l) => out.push(l),
+      err: () => {},
+    });
+    expect(code).toBe(0);
+    const text = out.join('\n');
+    expect(text).toContain('Effectiveness:    not_applicable');
+    expect(text).toContain('Uses:             1 of 1 (0 remaining)');
+  });
+
+  test('doctor raises max_uses_reached for the spent waiver', () => {
+    const { doctorInput } = composeDoctorSnapshot({ repoRoot: root, cawsDir, now: NOW });
+    const f = inspectProjectState(doctorInput).findings.find(
+      (x) => x.rule === DOCTOR_RULES.WAIVER_MAX_USES_REACHED
+    );
+    expect(f).toBeDefined();
+    expect(f.subject).toBe('CAP-001');
+    expect(f.data).toEqual({ waiver_id: 'CAP-001', uses: 1, max_uses: 1, over_cap: false });
+  });
+
+  test('the ledger counts uses recorded in rotated archives', () => {
+    fs.writeFileSync(
+      path.join(cawsDir, 'events.jsonl.archive-2026-01-01T00-00-00-000Z'),
+      JSON.stringify({ seq: 1, event: 'waiver_applied', data: { waiver_id: 'CAP-001' } }) + '\n'
+    );
+    expect(loadWaiverUsage(cawsDir).usage['CAP-001']).toBe(2);
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * caws worktree conflicts [--name <wt>], and doctor's
+ * doctor.worktree.predicted_collision.
+ *
+ * Three lanes off main: wa and wb rewrite the same line of shared.txt; wc
+ * rewrites work.txt, which main then changes too. So wc conflicts with its
+ * base, wa and wb conflict with each other, and every other merge is clean.
+ * Nothing may move: the prediction is in-memory merges only.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { createSpec } = require('../../dist/store/specs-writer');
+const { createWorktree } = require('../../dist/store/worktrees-writer');
+const { initProject } = require('../../dist/store/init-store');
+const { runWorktreeConflictsCommand } = require('../../dist/shell/commands/worktree');
+const { runDoctorCommand } = require('../../dist/shell/commands/doctor');
+
+const SESSION_ID = 'sess-conflicts';
+const ACTOR = { kind: 'agent', id: 'conflicts-agent', session_id: SESSION_ID };
+
+let ctx;
+
+beforeAll(() => {
+  ctx = setupRepo();
+});
+
+afterAll(() => {
+  fs.rmSync(ctx.repo, { recursive: true, force: true });
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, contents, message) {
+  fs.writeFileSync(path.join(cwd, file), contents);
+  git(cwd, 'add', file);
+  git(cwd, 'commit', '--quiet', '--no-verify', '-m', message);
+}
+
+function lane(caws, name, file, contents) {
+  const specId = `${name.toUpperCase()}-1`;
+  const spec = createSpec(caws, {
+    id: specId,
+    title: `conflicts fixture ${name}`,
+    mode: 'chore',
+    riskTier: 3,
+    actor: ACTOR,
+    scopeIn: [file],
+  });
+  if (!spec.ok) throw new Error('createSpec failed: ' + JSON.stringify(spec));
+  const created = createWorktree(caws, {
+    name,
+    specId,
+    session: { session_id: SESSION_ID, platform: 'jest' },
+    actor: ACTOR,
+  });
+  if (!created.ok || created.value.kind !== 'success') {
+    throw new Error('createWorktree failed: ' + JSON.stringify(created));
+  }
+  commitFile(path.join(caws, 'worktrees', name), file, contents, `${name} work`);
+}
+
+function setupRepo() {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'conflicts-'));
+  execFileSync('git', ['init', '--quiet', '-b', 'main', repo]);
+  git(repo, 'config', 'user.email', 't@test.com');
+  git(repo, 'config', 'user.name', 'Test');
+  fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\ntwo\nthree\n');
+  commitFile(repo, 'work.txt', 'base\n', 'init');
+  git(repo, 'add', 'shared.txt');
+  git(repo, 'commit', '--quiet', '--no-verify', '-m', 'shared');
+  const init = initProject(repo);
+  if (!init.ok) throw new Error('initProject failed: ' + JSON.stringify(init.errors));
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '--quiet', '--no-verify', '-m', 'seed');
+  const caws = path.join(repo, '.caws');
+  lane(caws, 'wa', 'shared.txt', 'one\nTWO-A\nthree\n');
+  lane(caws, 'wb', 'shared.txt', 'one\nTWO-B\nthree\n');
+  lane(caws, 'wc', 'work.txt', 'base\nlane\n');
+  commitFile(repo, 'work.txt', 'base\nmain\n', 'main work');
+  return { repo, caws };
+}
+
+function conflicts(opts = {}) {
+  const out = [];
+  const err = [];
+  const code = runWorktreeConflictsCommand({
+    cwd: ctx.repo,
+    env: { ...process.env, CAWS_SESSION_ID: SESSION_ID },
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    ...opts,
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+test('reports lane-vs-base and lane-vs-lane conflicts with their hunks, and moves nothing', () => {
+  const refsBefore = git(ctx.repo, 'for-each-ref', '--format=%(refname) %(objectname)');
+  const statusBefore = git(ctx.repo, 'status', '--porcelain');
+
+  const result = conflicts();
+  expect(result.code).toBe(1);
+  expect(result.out).toMatch(/3 lane\(s\), 6 merge\(s\) checked; 2 predicted to conflict/);
+  expect(result.out).toContain(
+    [
+      'wc into main: 1 conflicting path(s)',
+      '  work.txt (content)',
+      '    lines 2-6',
+      '      main | main',
+      '      wc | lane',
+    ].join('\n')
+  );
+  expect(result.out).toContain(
+    [
+      'wa with wb: 1 conflicting path(s)',
+      '  shared.txt (content)',
+      '    lines 2-6',
+      '      wa | TWO-A',
+      '      wb | TWO-B',
+    ].join('\n')
+  );
+  expect(result.out).toMatch(/clean: wa into main, wb into main, wa with wc, wb with wc/);
+
+  expect(git(ctx.repo, 'for-each-ref', '--format=%(refname) %(objectname)')).toBe(refsBefore);
+  expect(git(ctx.repo, 'status', '--porcelain')).toBe(statusBefore);
+});
+
+test('--name limits the checks to one lane; --data carries the full report', () => {
+  const result = conflicts({ name: 'wa', showData: true });
+  expect(result.code).toBe(1);
+  const report = JSON.parse(result.out);
+  expect(report.lanes).toEqual(['wa']);
+  expect(report.checks.map((c) => [c.kind, c.left.branch, c.right.worktree])).toEqual([
+    ['base', 'main', 'wa'],
+    ['pair', 'wa', 'wb'],
+    ['pair', 'wa', 'wc'],
+  ]);
+  expect(report.checks[1].conflicts).toEqual([
+    {
+      path: 'shared.txt',
+      kind: 'content',
+      hunks: [{ start: 2, end: 6, left: ['TWO-A'], right: ['TWO-B'] }],
+    },
+  ]);
+
+  const unknown = conflicts({ name: 'nope' });
+  expect(unknown.code).toBe(1);
+  expect(unknown.err).toMatch(/store\.worktree\.conflicts\.not_active/);
+});
+
+test('doctor reports the colliding pair, and only that pair', () => {
+  const out = [];
+  runDoctorCommand({
+    cwd: ctx.repo,
+    repairPlan: true,
+    json: true,
+    out: (line) => out.push(line),
+    err: () => {},
+  });
+  const items = JSON.parse(out.join('\n')).items.filter(
+    (i) => i.source_rule === 'doctor.worktree.predicted_collision'
+  );
+  expect(items).toHaveLength(1);
+  expect(items[0]).toMatchObject({
+    severity: 'warning',
+    state_class: 'predicted-collision-refused',
+    next_command: 'caws worktree conflicts --name wa',
+    details: { worktree_names: ['wa', 'wb'], base_branch: 'main', paths: ['shared.txt'] },
+  });
+});
@@ -361,3 +361,162 @@ describe('caws worktree merge — lane provenance (CAWS-PREPUSH-PROVENANCE-REWOR
     expect(result.out).toMatch(/merged wt-p4 \(merge_commit:/);
   });
 });
+
+describe('caws worktree merge --strategy (squash, rebase, ff-only)', () => {
+  function git(cwd, ...args) {
+    return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+  }
+
+  function branchOf(caws, name) {
+    return JSON.parse(fs.readFileSync(path.join(caws, 'worktrees.json'), 'utf8'))[name].branch;
+  }
+
+  function lastMerged(caws) {
+    return fs.readFileSync(path.join(caws, 'events.jsonl'), 'utf8')
+      .trim().split('\n').map((l) => JSON.parse(l))
+      .filter((e) => e.event === 'worktree_merged').pop();
+  }
+
+  /** Advance main past the lane's fork point with an unrelated commit. */
+  function advanceMain(repo) {
+    fs.writeFileSync(path.join(repo, 'other.txt'), 'main work\n');
+    git(repo, 'add', 'other.txt');
+    git(repo, 'commit', '--quiet', '--no-verify', '-m', 'main work');
+  }
+
+  test('S1: squash lands one single-parent commit and deletes the lane branch', () => {
+    const { repo, caws, wtPath } = setupReadyWorktree('strat-s1-', 'wt-s1', 'STRAT-S1-001');
+    fs.appendFileSync(path.join(wtPath, 'work.txt'), 'second\n');
+    git(wtPath, 'commit', '--quiet', '-am', 'more branch work');
+    advanceMain(repo);
+    const branch = branchOf(caws, 'wt-s1');
+
+    const result = runMerge(repo, 'wt-s1', { strategy: 'squash' });
+    expect(result.code).toBe(0);
+    expect(result.out).toMatch(/strategy: squash;.*deleted\)/);
+
+    const merged = lastMerged(caws);
+    expect(merged.data.strategy).toBe('squash');
+    expect(merged.data.landed_commits).toEqual([merged.data.merge_commit]);
+    const squash = merged.data.merge_commit;
+    expect(git(repo, 'rev-list', '--parents', '-n', '1', squash).split(' ')).toHaveLength(2);
+    expect(git(repo, 'log', '-1', '--format=%s', squash)).toBe('squash(worktree): wt-s1');
+    expect(git(repo, 'show', 'main:work.txt')).toBe('branch work\nsecond');
+    expect(git(repo, 'rev-list', '--merges', 'main')).toBe('');
+    expect(git(repo, 'branch', '--list', branch)).toBe('');
+  });
+
+  test('S2: rebase replays each lane commit onto the moved base, linear history', () => {
+    const { repo, caws } = setupReadyWorktree('strat-s2-', 'wt-s2', 'STRAT-S2-001');
+    const wtPath = path.join(caws, 'worktrees', 'wt-s2');
+    fs.appendFileSync(path.join(wtPath, 'work.txt'), 'second\n');
+    git(wtPath, 'commit', '--quiet', '-am', 'more branch work');
+    advanceMain(repo);
+    const baseBefore = git(repo, 'rev-parse', 'main');
+    const worktreesBefore = git(repo, 'worktree', 'list');
+
+    const result = runMerge(repo, 'wt-s2', { strategy: 'rebase' });
+    expect(result.code).toBe(0);
+
+    const merged = lastMerged(caws);
+    expect(merged.data.strategy).toBe('rebase');
+    expect(merged.data.base_before).toBe(baseBefore);
+    expect(merged.data.landed_commits).toHaveLength(2);
+    expect(merged.data.landed_commits[1]).toBe(merged.data.merge_commit);
+    expect(git(repo, 'log', '--format=%s', `${baseBefore}..${merged.data.merge_commit}`).split('\n')).toEqual([
+      'more branch work',
+      'branch work',
+    ]);
+    expect(git(repo, 'rev-list', '--merges', 'main')).toBe('');
+    // The scratch worktree the replay ran in is gone; so is the lane's.
+    expect(git(repo, 'worktree', 'list').split('\n')).toHaveLength(worktreesBefore.split('\n').length - 1);
+    expect(result.err).not.toMatch(/NOT deleted/);
+  });
+
+  test('S3: rebase with a conflicting base refuses and leaves no half-rebased tree', () => {
+    const { repo, caws, wtPath } = setupReadyWorktree('strat-s3-', 'wt-s3', 'STRAT-S3-001');
+    fs.writeFileSync(path.join(repo, 'work.txt'), 'main edit\n');
+    git(repo, 'add', 'work.txt');
+    git(repo, 'commit', '--quiet', '--no-verify', '-m', 'conflicting main work');
+    const mainBefore = git(repo, 'rev-parse', 'main');
+    const worktreesBefore = git(repo, 'worktree', 'list');
+    const eventsBefore = fs.readFileSync(path.join(caws, 'events.jsonl'), 'utf8');
+
+    const result = runMerge(repo, 'wt-s3', { strategy: 'rebase' });
+    expect(result.code).toBe(1);
+    expect(result.err).toMatch(/Cannot rebase .* conflicting changes in work\.txt/);
+    expect(git(repo, 'rev-parse', 'main')).toBe(mainBefore);
+    expect(git(repo, 'worktree', 'list')).toBe(worktreesBefore);
+    expect(fs.existsSync(wtPath)).toBe(true);
+    expect(fs.readFileSync(path.join(caws, 'events.jsonl'), 'utf8')).toBe(eventsBefore);
+  });
+
+  test('S4: ff-only fast-forwards an unmoved base and refuses a moved one', () => {
+    const { repo, caws, wtPath } = setupReadyWorktree('strat-s4-', 'wt-s4', 'STRAT-S4-001');
+    // Creating the worktree committed its binding to main after the fork;
+    // the lane has to take that in before main can fast-forward to it.
+    git(wtPath, 'rebase', '--quiet', 'main');
+    const laneTip = git(repo, 'rev-parse', branchOf(caws, 'wt-s4'));
+    const result = runMerge(repo, 'wt-s4', { strategy: 'ff-only' });
+    expect(result.code).toBe(0);
+    // main then carries the merge's audit commit on top of the lane tip.
+    expect(git(repo, 'rev-list', '--first-parent', 'main')).toContain(laneTip);
+    expect(lastMerged(caws).data).toMatchObject({
+      strategy: 'ff-only',
+      merge_commit: laneTip,
+      landed_commits: [laneTip],
+    });
+
+    const moved = setupReadyWorktree('strat-s4b-', 'wt-s4b', 'STRAT-S4B-001');
+    advanceMain(moved.repo);
+    const dry = runMerge(moved.repo, 'wt-s4b', { strategy: 'ff-only', dryRun: true });
+    expect(dry.code).toBe(1);
+    expect(dry.err).toMatch(/cannot be fast-forwarded/);
+    const refused = runMerge(moved.repo, 'wt-s4b', { strategy: 'ff-only' });
+    expect(refused.code).toBe(1);
+    expect(fs.existsSync(moved.wtPath)).toBe(true);
+  });
+
+  test('S5: policy worktrees.merge_strategy applies when --strategy is absent', () => {
+    const { repo, caws } = setupReadyWorktree('strat-s5-', 'wt-s5', 'STRAT-S5-001');
+    fs.appendFileSync(path.join(caws, 'policy.yaml'), 'worktrees:\n  merge_strategy: squash\n');
+    commitCaws(repo, 'linear history policy');
+
+    const result = runMerge(repo, 'wt-s5');
+    expect(result.code).toBe(0);
+    expect(lastMerged(caws).data.strategy).toBe('squash');
+    expect(git(repo, 'rev-list', '--merges', 'main')).toBe('');
+  });
+
+  test('S6: an unknown strategy, or --message without a commit to name, is refused before merging', () => {
+    const { repo, wtPath } = setupReadyWorktree('strat-s6-', 'wt-s6', 'STRAT-S6-001');
+    const unknown = runMerge(repo, 'wt-s6', { strategy: 'octopus' });
+    expect(unknown.code).toBe(2);
+    expect(unknown.err).toMatch(/--strategy must be one of merge, squash, rebase, ff-only/);
+
+    const message = runMerge(repo, 'wt-s6', { strategy: 'rebase', message: 'ignored' });
+    expect(message.code).toBe(1);
+    expect(message.err).toMatch(/--message has no effect under the rebase strategy/);
+    expect(fs.existsSync(wtPath)).toBe(true);
+  });
+
+  test('S7: a pinned base tip that has moved is refused, not recomputed', () => {
+    const { repo, caws, wtPath } = setupReadyWorktree('strat-s7-', 'wt-s7', 'STRAT-S7-001');
+    const checked = git(repo, 'rev-parse', 'main');
+    advanceMain(repo);
+    const input = { name: 'wt-s7', session: SESSION, sessionCandidates: CANDIDATES, actor: ACTOR };
+
+    const stale = mergeWorktree(caws, { ...input, expectedBaseTip: checked });
+    expect(stale.ok).toBe(false);
+    expect(stale.errors[0].message).toMatch(
+      /^main moved from [0-9a-f]{12} to [0-9a-f]{12} after this merge was checked/
+    );
+    expect(fs.existsSync(wtPath)).toBe(true);
+
+    const current = mergeWorktree(caws, {
+      ...input,
+      expectedBaseTip: git(repo, 'rev-parse', 'main'),
+    });
+    expect(current.ok).toBe(true);
+  });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * caws worktree queue add|list|run.
+ *
+ * Lanes are created and queued by their owner; the queue is run by another
+ * session, which merges them on the owner's behalf. Each candidate is gated
+ * over <base tip>...<its merge onto that tip>, so the second candidate's
+ * gates see the base the first one's merge left. The first candidate that
+ * conflicts or fails its gates stops the run and keeps its place.
+ *
+ * Real git, real worktrees, a real external gate (a node script that fails
+ * any diff touching bad.txt).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { createSpec } = require('../../dist/store/specs-writer');
+const { createWorktree } = require('../../dist/store/worktrees-writer');
+const { initProject, DEFAULT_POLICY_YAML } = require('../../dist/store/init-store');
+const { runWorktreeQueueCommand } = require('../../dist/shell/commands/worktree');
+
+const OWNER = 'sess-owner';
+const RUNNER = 'sess-runner';
+
+const repos = [];
+
+afterAll(() => {
+  for (const r of repos) fs.rmSync(r, { recursive: true, force: true });
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, contents, message) {
+  fs.writeFileSync(path.join(cwd, file), contents);
+  git(cwd, 'add', file);
+  git(cwd, 'commit', '--quiet', '--no-verify', '-m', message);
+}
+
+const GATE_SCRIPT = `
+const { execFileSync } = require('child_process');
+const files = execFileSync('git', ['diff', '--name-only', process.env.CAWS_DIFF_BASE, process.env.CAWS_DIFF_HEAD], { encoding: 'utf8' });
+const violations = files.split('\\n').filter((f) => f === 'bad.txt')
+  .map((f) => ({ gate: 'lane_check', type: 'lane_check', message: 'bad.txt is not allowed', file: f }));
+if (files.split('\\n').includes('garble.txt')) require('fs').writeFileSync('.caws/state/merge-queue.json', 'not json');
+process.stdout.write(JSON.stringify({ timestamp: new Date().toISOString(), context: 'external', files_scoped: 1, warnings: [], violations }));
+`;
+
+/** A repo whose policy adds the lane_check external gate, then `extraPolicy`. */
+function setupRepo(extraPolicy = '') {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+  repos.push(repo);
+  execFileSync('git', ['init', '--quiet', '-b', 'main', repo]);
+  git(repo, 'config', 'user.email', 't@test.com');
+  git(repo, 'config', 'user.name', 'Test');
+  commitFile(repo, 'work.txt', 'base\n', 'init');
+  const init = initProject(repo);
+  if (!init.ok) throw new Error('initProject failed: ' + JSON.stringify(init.errors));
+  fs.writeFileSync(path.join(repo, 'lane-check.js'), GATE_SCRIPT);
+  fs.writeFileSync(
+    path.join(repo, '.caws', 'policy.yaml'),
+    DEFAULT_POLICY_YAML.replace(
+      'edit_rules:',
+      `  lane_check:\n    enabled: true\n    mode: block\n    command: [${JSON.stringify(process.execPath)}, lane-check.js]\nedit_rules:`
+    ) + extraPolicy
+  );
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '--quiet', '--no-verify', '-m', 'seed');
+  return { repo, caws: path.join(repo, '.caws') };
+}
+
+/** A lane owned by OWNER, with one commit writing `files`. */
+function lane(ctx, name, files) {
+  const actor = { kind: 'agent', id: 'owner', session_id: OWNER };
+  const specId = `${name.toUpperCase()}-1`;
+  const spec = createSpec(ctx.caws, {
+    id: specId,
+    title: `queue fixture ${name}`,
+    mode: 'chore',
+    riskTier: 3,
+    actor,
+    scopeIn: Object.keys(files),
+  });
+  if (!spec.ok) throw new Error('createSpec failed: ' + JSON.stringify(spec));
+  const created = createWorktree(ctx.caws, {
+    name,
+    specId,
+    session: { session_id: OWNER, platform: 'jest' },
+    actor,
+  });
+  if (!created.ok || created.value.kind !== 'success') {
+    throw new Error('createWorktree failed: ' + JSON.stringify(created));
+  }
+  const wtPath = path.join(ctx.caws, 'worktrees', name);
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(wtPath, file), contents);
+    git(wtPath, 'add', file);
+  }
+  git(wtPath, 'commit', '--quiet', '--no-verify', '-m', `${name} work`);
+  return created.value.data.branch;
+}
+
+function queue(repo, session, action, name) {
+  const out = [];
+  const err = [];
+  const code = runWorktreeQueueCommand({
+    cwd: repo,
+    action,
+    ...(name !== undefined ? { name } : {}),
+    env: { ...process.env, CAWS_SESSION_ID: session },
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    now: () => new Date('2026-08-07T12:00:00.000Z'),
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function events(caws, type) {
+  return fs
+    .readFileSync(path.join(caws, 'events.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l))
+    .filter((e) => e.event === type);
+}
+
+test('run merges in order, gating each candidate against the base the previous merge left', () => {
+  const ctx = setupRepo();
+  lane(ctx, 'qa', { 'a.txt': 'a\n' });
+  lane(ctx, 'qb', { 'b.txt': 'b\n' });
+  expect(queue(ctx.repo, OWNER, 'add', 'qa').out).toBe('queued qa at position 1.');
+  expect(queue(ctx.repo, OWNER, 'add', 'qb').out).toBe('queued qb at position 2.');
+  expect(queue(ctx.repo, OWNER, 'list').out).toMatch(/1\. qa .*\n {2}2\. qb /);
+
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.err).toBe('');
+  expect(run.code).toBe(0);
+  expect(run.out).toMatch(/merged 2; the queue is empty/);
+
+  const merged = events(ctx.caws, 'worktree_merged');
+  expect(merged.map((e) => e.data.worktree_name)).toEqual(['qa', 'qb']);
+  // qb was gated against the base as qa's merge (and its audit commit) left it.
+  const qbGate = events(ctx.caws, 'gate_evaluated').filter((e) => e.spec_id === 'QB-1');
+  expect(qbGate.length).toBeGreaterThan(0);
+  const gatedBase = qbGate[0].data.diff_range.base;
+  expect(git(ctx.repo, 'merge-base', '--is-ancestor', merged[0].data.merge_commit, gatedBase)).toBe(
+    ''
+  );
+  expect(git(ctx.repo, 'rev-parse', `${merged[1].data.merge_commit}^1`)).toBe(gatedBase);
+  expect(queue(ctx.repo, OWNER, 'list').out).toBe('The merge queue is empty.');
+});
+
+test('a failing gate stops the queue; the candidate keeps its place and nothing behind it lands', () => {
+  const ctx = setupRepo();
+  lane(ctx, 'qbad', { 'bad.txt': 'nope\n' });
+  lane(ctx, 'qok', { 'ok.txt': 'fine\n' });
+  queue(ctx.repo, OWNER, 'add', 'qbad');
+  queue(ctx.repo, OWNER, 'add', 'qok');
+  const mainBefore = git(ctx.repo, 'rev-parse', 'main');
+
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.code).toBe(1);
+  expect(run.err).toMatch(/stopped at qbad \(gates\)/);
+  expect(run.err).toMatch(/merged: {2}\(none\)\n {2}waiting: qok/);
+  expect(git(ctx.repo, 'rev-parse', 'main')).toBe(mainBefore);
+  expect(events(ctx.caws, 'worktree_merged')).toHaveLength(0);
+
+  const list = queue(ctx.repo, OWNER, 'list').out;
+  expect(list).toMatch(/1\. qbad /);
+  expect(list).toMatch(/last failure \(gates, 2026-08-07T12:00:00.000Z\): caws gates run exited 1/);
+  expect(list).not.toMatch(/Running:/);
+});
+
+test('a candidate that conflicts with the previous merge stops the queue', () => {
+  const ctx = setupRepo();
+  lane(ctx, 'qfirst', { 'shared.txt': 'first\n' });
+  lane(ctx, 'qsecond', { 'shared.txt': 'second\n' });
+  queue(ctx.repo, OWNER, 'add', 'qfirst');
+  queue(ctx.repo, OWNER, 'add', 'qsecond');
+
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.code).toBe(1);
+  expect(run.out).toMatch(/\[1\] qfirst: merged/);
+  expect(run.err).toMatch(/stopped at qsecond \(conflict\)/);
+  expect(run.err).toMatch(/in shared\.txt \(add\/add\)/);
+  expect(run.err).toMatch(/caws worktree sync qsecond/);
+  expect(events(ctx.caws, 'worktree_merged').map((e) => e.data.worktree_name)).toEqual(['qfirst']);
+});
+
+test('add refuses a duplicate, another session, and an unknown worktree', () => {
+  const ctx = setupRepo();
+  lane(ctx, 'qdup', { 'd.txt': 'd\n' });
+  expect(queue(ctx.repo, OWNER, 'add', 'qdup').code).toBe(0);
+
+  const dup = queue(ctx.repo, OWNER, 'add', 'qdup');
+  expect(dup.code).toBe(1);
+  expect(dup.err).toMatch(/store\.worktree\.queue\.duplicate/);
+
+  const foreign = queue(ctx.repo, RUNNER, 'add', 'qdup');
+  expect(foreign.err).toMatch(/store\.worktree\.queue\.ineligible.*owned by a different session/);
+
+  expect(queue(ctx.repo, OWNER, 'add', 'nope').err).toMatch(/not registered/);
+  expect(queue(ctx.repo, OWNER, 'shuffle').code).toBe(2);
+});
+
+test('run lands with the policy merge strategy', () => {
+  const ctx = setupRepo('worktrees:\n  merge_strategy: squash\n');
+  lane(ctx, 'qsq', { 's.txt': 's\n' });
+  queue(ctx.repo, OWNER, 'add', 'qsq');
+
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.code).toBe(0);
+  expect(run.out).toMatch(/\[1\] qsq: gating qsq onto main at \w+ \(squash preview \w+\)/);
+  const [merged] = events(ctx.caws, 'worktree_merged');
+  expect(merged.data.strategy).toBe('squash');
+  expect(
+    git(ctx.repo, 'rev-list', '--parents', '-n', '1', merged.data.merge_commit).split(' ')
+  ).toHaveLength(2);
+});
+
+test('an ff-only policy is refused before anything is queued or run', () => {
+  const ctx = setupRepo('worktrees:\n  merge_strategy: ff-only\n');
+  lane(ctx, 'qff', { 'f.txt': 'f\n' });
+  const add = queue(ctx.repo, OWNER, 'add', 'qff');
+  expect(add.code).toBe(1);
+  expect(add.err).toMatch(/store\.worktree\.queue\.ff_only/);
+
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.code).toBe(1);
+  expect(run.err).toMatch(/store\.worktree\.queue\.ff_only/);
+  expect(events(ctx.caws, 'worktree_merged')).toHaveLength(0);
+});
+
+test('a queue write that fails after a merge is reported and ends the run', () => {
+  const ctx = setupRepo();
+  lane(ctx, 'qg', { 'garble.txt': 'g\n' });
+  lane(ctx, 'qh', { 'h.txt': 'h\n' });
+  queue(ctx.repo, OWNER, 'add', 'qg');
+  queue(ctx.repo, OWNER, 'add', 'qh');
+
+  // The gate garbles merge-queue.json, so removing the merged head fails.
+  const run = queue(ctx.repo, RUNNER, 'run');
+  expect(run.code).toBe(1);
+  expect(run.out).toMatch(/\[1\] qg: merged/);
+  expect(run.err).toMatch(/qg was merged but could not be removed from the queue/);
+  expect(run.err).toMatch(/store\.read\.json_invalid/);
+  expect(events(ctx.caws, 'worktree_merged').map((e) => e.data.worktree_name)).toEqual(['qg']);
+});
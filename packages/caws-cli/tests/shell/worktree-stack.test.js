@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Stacked worktrees: caws worktree create --on <parent>.
+ *
+ * wp is a lane off main; wc is created on wp, so it forks from wp's branch
+ * and records wp as its parent. wc may not merge while wp is unmerged, and
+ * wp may not be destroyed, pruned, untracked or squashed out from under it.
+ * A child whose parent left the registry any other way cannot merge at all,
+ * since nothing re-targeted it. Merging wp moves wc onto main in the same
+ * transaction as the worktree_merged event, after which wc merges like any
+ * other lane.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { createSpec } = require('../../dist/store/specs-writer');
+const { createWorktree, pruneWorktree } = require('../../dist/store/worktrees-writer');
+const { initProject } = require('../../dist/store/init-store');
+const { resolveSessionCandidates } = require('../../dist/shell/session/resolve-session');
+const {
+  runWorktreeCreateCommand,
+  runWorktreeDestroyCommand,
+  runWorktreeListCommand,
+  runWorktreeMergeCommand,
+  runWorktreeUntrackCommand,
+} = require('../../dist/shell/commands/worktree');
+
+const SESSION_ID = 'sess-stack';
+const ACTOR = { kind: 'agent', id: 'stack-agent', session_id: SESSION_ID };
+
+let ctx;
+
+beforeAll(() => {
+  ctx = setupRepo();
+});
+
+afterAll(() => {
+  fs.rmSync(ctx.repo, { recursive: true, force: true });
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, contents, message) {
+  fs.writeFileSync(path.join(cwd, file), contents);
+  git(cwd, 'add', file);
+  git(cwd, 'commit', '--quiet', '--no-verify', '-m', message);
+}
+
+function spec(caws, specId, file) {
+  const created = createSpec(caws, {
+    id: specId,
+    title: `stack fixture ${specId}`,
+    mode: 'chore',
+    riskTier: 3,
+    actor: ACTOR,
+    scopeIn: [file],
+  });
+  if (!created.ok) throw new Error('createSpec failed: ' + JSON.stringify(created));
+}
+
+function setupRepo() {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-'));
+  execFileSync('git', ['init', '--quiet', '-b', 'main', repo]);
+  git(repo, 'config', 'user.email', 't@test.com');
+  git(repo, 'config', 'user.name', 'Test');
+  commitFile(repo, 'work.txt', 'base\n', 'init');
+  const init = initProject(repo);
+  if (!init.ok) throw new Error('initProject failed: ' + JSON.stringify(init.errors));
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '--quiet', '--no-verify', '-m', 'seed');
+  const caws = path.join(repo, '.caws');
+
+  spec(caws, 'WP-1', 'parent.txt');
+  const created = createWorktree(caws, {
+    name: 'wp',
+    specId: 'WP-1',
+    session: { session_id: SESSION_ID, platform: 'jest' },
+    actor: ACTOR,
+  });
+  if (!created.ok || created.value.kind !== 'success') {
+    throw new Error('createWorktree failed: ' + JSON.stringify(created));
+  }
+  commitFile(path.join(caws, 'worktrees', 'wp'), 'parent.txt', 'parent\n', 'wp work');
+  spec(caws, 'WC-1', 'child.txt');
+  spec(caws, 'WX-1', 'other.txt');
+  spec(caws, 'WY-1', 'gone.txt');
+  spec(caws, 'WZ-1', 'orphan.txt');
+  return { repo, caws };
+}
+
+function run(command, opts) {
+  const out = [];
+  const err = [];
+  const code = command({
+    cwd: ctx.repo,
+    env: { ...process.env, CAWS_SESSION_ID: SESSION_ID },
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    ...opts,
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function registry() {
+  return JSON.parse(fs.readFileSync(path.join(ctx.caws, 'worktrees.json'), 'utf8'));
+}
+
+function events(type) {
+  return fs
+    .readFileSync(path.join(ctx.caws, 'events.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l))
+    .filter((e) => e.event === type);
+}
+
+test('create --on forks from the parent branch and records the parent', () => {
+  const unknown = run(runWorktreeCreateCommand, { name: 'wx', specId: 'WX-1', parent: 'nope' });
+  expect(unknown.code).toBe(1);
+  expect(unknown.err).toMatch(/Parent worktree "nope" is not registered/);
+  const contradicts = run(runWorktreeCreateCommand, {
+    name: 'wx',
+    specId: 'WX-1',
+    parent: 'wp',
+    baseBranch: 'main',
+  });
+  expect(contradicts.code).toBe(1);
+  expect(contradicts.err).toMatch(/--base-branch main contradicts --on wp/);
+
+  const created = run(runWorktreeCreateCommand, { name: 'wc', specId: 'WC-1', parent: 'wp' });
+  expect(created.code).toBe(0);
+  expect(created.out).toMatch(/stacked on wp \(base: wp\); it merges after wp does\./);
+  expect(registry().wc).toMatchObject({ branch: 'wc', baseBranch: 'wp', parent: 'wp' });
+  expect(git(ctx.repo, 'merge-base', 'wc', 'wp')).toBe(git(ctx.repo, 'rev-parse', 'wp'));
+  expect(events('worktree_created').pop().data).toMatchObject({
+    name: 'wc',
+    base_branch: 'wp',
+    parent: 'wp',
+  });
+  commitFile(path.join(ctx.caws, 'worktrees', 'wc'), 'child.txt', 'child\n', 'wc work');
+});
+
+test('list shows the child under its parent', () => {
+  const listed = run(runWorktreeListCommand, {});
+  expect(listed.code).toBe(0);
+  const lines = listed.out.split('\n');
+  expect(lines).toHaveLength(2);
+  expect(lines[0]).toMatch(/^wp\s+wp\s+→ main/);
+  expect(lines[1]).toMatch(/^└─ wc\s+wc\s+→ wp/);
+});
+
+test('the child cannot merge first, and the parent cannot be removed or squashed', () => {
+  const child = run(runWorktreeMergeCommand, { name: 'wc' });
+  expect(child.code).toBe(1);
+  expect(child.err).toMatch(/stacked on wp, which has not merged yet — merge wp first/);
+
+  const destroy = run(runWorktreeDestroyCommand, { name: 'wp' });
+  expect(destroy.code).toBe(1);
+  expect(destroy.err).toMatch(/has worktrees stacked on it \(wc\) and cannot be destroyed/);
+
+  const untrack = run(runWorktreeUntrackCommand, { name: 'wp', reason: 'inspect', apply: true });
+  expect(untrack.code).toBe(1);
+  expect(untrack.err).toMatch(/has worktrees stacked on it \(wc\) and cannot be untracked/);
+
+  const prune = pruneWorktree(ctx.caws, {
+    name: 'wp',
+    session: { session_id: SESSION_ID, platform: 'jest' },
+    sessionCandidates: resolveSessionCandidates({
+      cawsDir: ctx.caws,
+      env: { ...process.env, CAWS_SESSION_ID: SESSION_ID },
+    }),
+    actor: ACTOR,
+    reason: 'ghost',
+  });
+  expect(prune.ok).toBe(false);
+  expect(prune.errors[0].message).toMatch(/\(wc\) and cannot be pruned/);
+
+  const squash = run(runWorktreeMergeCommand, { name: 'wp', strategy: 'squash' });
+  expect(squash.code).toBe(1);
+  expect(squash.err).toMatch(/wc is stacked on this lane; the squash strategy would strand it/);
+  expect(registry().wp).toBeDefined();
+});
+
+test('merging the parent re-targets the child onto the base, which then merges', () => {
+  const parent = run(runWorktreeMergeCommand, { name: 'wp' });
+  expect(parent.code).toBe(0);
+  expect(parent.out).toMatch(/re-targeted onto the base: wc \(stacked on wp\)/);
+  const wc = registry().wc;
+  expect(wc.baseBranch).toBe('main');
+  expect(wc).not.toHaveProperty('parent');
+  expect(events('worktree_merged').pop().data).toMatchObject({
+    worktree_name: 'wp',
+    retargeted_children: ['wc'],
+  });
+  expect(run(runWorktreeListCommand, {}).out).toMatch(/^wc\s+wc\s+→ main/);
+
+  const child = run(runWorktreeMergeCommand, { name: 'wc' });
+  expect(child.code).toBe(0);
+  expect(events('worktree_merged').pop().data).not.toHaveProperty('retargeted_children');
+  expect(git(ctx.repo, 'show', 'main:child.txt')).toBe('child');
+  expect(git(ctx.repo, 'show', 'main:parent.txt')).toBe('parent');
+});
+
+test('a child whose parent left the registry without re-targeting it cannot merge', () => {
+  const created = createWorktree(ctx.caws, {
+    name: 'wy',
+    specId: 'WY-1',
+    session: { session_id: SESSION_ID, platform: 'jest' },
+    actor: ACTOR,
+  });
+  expect(created.ok).toBe(true);
+  expect(run(runWorktreeCreateCommand, { name: 'wz', specId: 'WZ-1', parent: 'wy' }).code).toBe(0);
+  commitFile(path.join(ctx.caws, 'worktrees', 'wz'), 'orphan.txt', 'orphan\n', 'wz work');
+  // A registry written before prune and untrack refused stacked parents.
+  const reg = registry();
+  delete reg.wy;
+  fs.writeFileSync(path.join(ctx.caws, 'worktrees.json'), JSON.stringify(reg, null, 2) + '\n');
+
+  const merge = run(runWorktreeMergeCommand, { name: 'wz' });
+  expect(merge.code).toBe(1);
+  expect(merge.err).toMatch(
+    /stacked on wy, which is no longer registered; its base \(wy\) was never re-targeted/
+  );
+  expect(git(ctx.repo, 'ls-tree', '--name-only', 'main')).not.toMatch(/orphan\.txt/);
+});
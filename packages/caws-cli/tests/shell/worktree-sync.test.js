@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * caws worktree sync <name> [--strategy merge|rebase] [--dry-run].
+ *
+ * Integrates the base into the lane. A dirty lane is refused; a conflict is
+ * one store.worktree.sync.conflict diagnostic per path and leaves the lane
+ * exactly where it was — no merge or rebase in progress, no scratch
+ * worktree behind. A sync that moved the lane appends worktree_synced.
+ *
+ * Real git, real worktrees: creating a worktree commits its binding to main
+ * after the fork, so every fresh lane starts one commit behind its base.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { createSpec } = require('../../dist/store/specs-writer');
+const { createWorktree } = require('../../dist/store/worktrees-writer');
+const { initProject } = require('../../dist/store/init-store');
+const { runWorktreeSyncCommand } = require('../../dist/shell/commands/worktree');
+
+const SESSION_ID = 'sess-sync';
+const SESSION = { session_id: SESSION_ID, platform: 'jest' };
+const ACTOR = { kind: 'agent', id: 'sync-agent', session_id: SESSION_ID };
+
+const repos = [];
+
+afterAll(() => {
+  for (const r of repos) fs.rmSync(r, { recursive: true, force: true });
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, contents, message) {
+  fs.writeFileSync(path.join(cwd, file), contents);
+  git(cwd, 'add', file);
+  git(cwd, 'commit', '--quiet', '--no-verify', '-m', message);
+}
+
+/** A lane with one commit of its own on work.txt, its base one or more ahead. */
+function setupLane(name) {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), `sync-${name}-`));
+  repos.push(repo);
+  execFileSync('git', ['init', '--quiet', '-b', 'main', repo]);
+  git(repo, 'config', 'user.email', 't@test.com');
+  git(repo, 'config', 'user.name', 'Test');
+  commitFile(repo, 'work.txt', 'base\n', 'init');
+  const init = initProject(repo);
+  if (!init.ok) throw new Error('initProject failed: ' + JSON.stringify(init.errors));
+  const caws = path.join(repo, '.caws');
+  const spec = createSpec(caws, {
+    id: 'SYNC-1',
+    title: 'sync fixture',
+    mode: 'chore',
+    riskTier: 3,
+    actor: ACTOR,
+    scopeIn: ['work.txt'],
+  });
+  if (!spec.ok) throw new Error('createSpec failed: ' + JSON.stringify(spec));
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '--quiet', '--no-verify', '-m', 'seed spec');
+  const created = createWorktree(caws, { name, specId: 'SYNC-1', session: SESSION, actor: ACTOR });
+  if (!created.ok || created.value.kind !== 'success') {
+    throw new Error('createWorktree failed: ' + JSON.stringify(created));
+  }
+  const wtPath = path.join(caws, 'worktrees', name);
+  commitFile(wtPath, 'work.txt', 'base\nlane\n', 'lane work');
+  return { repo, caws, wtPath, branch: created.value.data.branch };
+}
+
+function runSync(repo, name, opts = {}) {
+  const out = [];
+  const err = [];
+  const code = runWorktreeSyncCommand({
+    cwd: repo,
+    name,
+    env: { ...process.env, CAWS_SESSION_ID: SESSION_ID },
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    now: () => new Date('2026-08-06T12:00:00.000Z'),
+    ...opts,
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+function syncedEvents(caws) {
+  return fs
+    .readFileSync(path.join(caws, 'events.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l))
+    .filter((e) => e.event === 'worktree_synced');
+}
+
+test('merge (default) gives the lane a merge commit with the base, and records worktree_synced', () => {
+  const { repo, caws, wtPath, branch } = setupLane('wt-merge');
+  commitFile(repo, 'other.txt', 'from main\n', 'main work');
+  const laneBefore = git(repo, 'rev-parse', branch);
+  const baseTip = git(repo, 'rev-parse', 'main');
+
+  const result = runSync(repo, 'wt-merge');
+  expect(result.code).toBe(0);
+  expect(result.out).toMatch(/^synced wt-merge with main \(strategy: merge; /);
+
+  const laneAfter = git(repo, 'rev-parse', branch);
+  expect(git(repo, 'rev-list', '--parents', '-n', '1', laneAfter).split(' ').slice(1)).toEqual([
+    laneBefore,
+    baseTip,
+  ]);
+  // The worktree followed its branch.
+  expect(fs.readFileSync(path.join(wtPath, 'other.txt'), 'utf8')).toBe('from main\n');
+  expect(git(wtPath, 'status', '--porcelain')).toBe('');
+  // ...and kept its sparse checkout: canonical specs stay out of the lane.
+  expect(fs.existsSync(path.join(wtPath, '.caws', 'specs', 'SYNC-1.yaml'))).toBe(false);
+
+  const [event] = syncedEvents(caws);
+  expect(event).toMatchObject({
+    spec_id: 'SYNC-1',
+    data: {
+      worktree_name: 'wt-merge',
+      branch,
+      base_branch: 'main',
+      strategy: 'merge',
+      base_tip: baseTip,
+      lane_before: laneBefore,
+      lane_after: laneAfter,
+    },
+  });
+
+  // Now up to date: nothing to do, nothing recorded.
+  const again = runSync(repo, 'wt-merge');
+  expect(again.code).toBe(0);
+  expect(again.out).toMatch(/already up to date with main/);
+  expect(syncedEvents(caws)).toHaveLength(1);
+});
+
+test('rebase replays the lane onto the base tip', () => {
+  const { repo, caws, wtPath, branch } = setupLane('wt-rebase');
+  commitFile(repo, 'other.txt', 'from main\n', 'main work');
+  const baseTip = git(repo, 'rev-parse', 'main');
+
+  const result = runSync(repo, 'wt-rebase', { strategy: 'rebase' });
+  expect(result.code).toBe(0);
+  expect(git(repo, 'rev-parse', `${branch}~1`)).toBe(baseTip);
+  expect(git(repo, 'log', '-1', '--format=%s', branch)).toBe('lane work');
+  expect(git(wtPath, 'status', '--porcelain')).toBe('');
+  expect(fs.readFileSync(path.join(wtPath, 'work.txt'), 'utf8')).toBe('base\nlane\n');
+  expect(syncedEvents(caws)[0].data.strategy).toBe('rebase');
+});
+
+test.each(['merge', 'rebase'])(
+  'a %s conflict is a typed diagnostic per path and leaves the lane untouched',
+  (strategy) => {
+    const { repo, caws, wtPath, branch } = setupLane(`wt-conflict-${strategy}`);
+    commitFile(repo, 'work.txt', 'base\nmain\n', 'conflicting main work');
+    const laneBefore = git(repo, 'rev-parse', branch);
+    const worktreesBefore = git(repo, 'worktree', 'list');
+
+    const dry = runSync(repo, `wt-conflict-${strategy}`, { strategy, dryRun: true });
+    expect(dry.code).toBe(1);
+    expect(dry.err).toMatch(/conflict in work\.txt \(content\)/);
+
+    const result = runSync(repo, `wt-conflict-${strategy}`, { strategy });
+    expect(result.code).toBe(1);
+    expect(result.err).toMatch(/1 conflicting path\(s\); the lane was left untouched/);
+    expect(result.err).toMatch(
+      /store\.worktree\.sync\.conflict: work\.txt: content between main and /
+    );
+
+    expect(git(repo, 'rev-parse', branch)).toBe(laneBefore);
+    expect(git(wtPath, 'status', '--porcelain')).toBe('');
+    expect(
+      fs.existsSync(path.join(git(wtPath, 'rev-parse', '--absolute-git-dir'), 'rebase-merge'))
+    ).toBe(false);
+    expect(git(repo, 'worktree', 'list')).toBe(worktreesBefore);
+    expect(syncedEvents(caws)).toHaveLength(0);
+  }
+);
+
+test('a dirty lane is refused before anything is computed', () => {
+  const { repo, caws, wtPath, branch } = setupLane('wt-dirty');
+  fs.appendFileSync(path.join(wtPath, 'work.txt'), 'uncommitted\n');
+  const laneBefore = git(repo, 'rev-parse', branch);
+
+  const result = runSync(repo, 'wt-dirty');
+  expect(result.code).toBe(1);
+  expect(result.err).toMatch(/store\.worktree\.sync\.dirty/);
+  expect(git(repo, 'rev-parse', branch)).toBe(laneBefore);
+  expect(syncedEvents(caws)).toHaveLength(0);
+});
+
+test('--dry-run reports how far behind the lane is and moves nothing', () => {
+  const { repo, caws, branch } = setupLane('wt-dry');
+  commitFile(repo, 'other.txt', 'from main\n', 'main work');
+  const laneBefore = git(repo, 'rev-parse', branch);
+
+  const result = runSync(repo, 'wt-dry', { dryRun: true });
+  expect(result.code).toBe(0);
+  expect(result.out).toMatch(/ready to sync \(2 commit\(s\) behind main; strategy: merge\)/);
+  expect(git(repo, 'rev-parse', branch)).toBe(laneBefore);
+  expect(syncedEvents(caws)).toHaveLength(0);
+
+  expect(runSync(repo, 'wt-dry', { strategy: 'squash' }).code).toBe(2);
+});
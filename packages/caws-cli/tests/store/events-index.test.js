@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * Events index (.caws/cache/events-index.jsonl) — the derived lookup cache
+ * appendEvent maintains under the events lock.
+ *
+ * The index is only trusted while events.jsonl still ends where its last
+ * entry ends with the same mtime and tail hash; anything else is a rebuild
+ * from a full load + verifyChain. Reads by byte range re-check each line's
+ * hash, so an edit under a still-open index is refused, not served.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { appendEvent, loadEventsIndex, rotateEvents } = require('../../dist/store/events-store');
+const {
+  eventsIndexPath,
+  findIndexEntries,
+  openEventsIndex,
+  readIndexedEvents,
+} = require('../../dist/store/events-index');
+const { composeDoctorSnapshot } = require('../../dist/store/doctor-snapshot');
+const { inspectProjectState } = require('../../dist/kernel/doctor');
+const { initProject } = require('../../dist/store/init-store');
+const { runEventsShowCommand, runEvidenceListCommand } = require('../../dist/shell');
+const { cleanupAll, makeTempRepo } = require('../helpers/git-repo-factory');
+
+const INDEX_MISMATCH = 'store.events.index_mismatch';
+
+const dirs = [];
+function cawsDir() {
+  const d = fs.mkdtempSync(path.join(os.tmpdir(), 'caws-evidx-'));
+  dirs.push(d);
+  return d;
+}
+afterAll(() => {
+  for (const d of dirs) fs.rmSync(d, { recursive: true, force: true });
+  cleanupAll();
+});
+
+const actor = { kind: 'agent', id: 'a-1', session_id: 's-1' };
+
+function append(dir, specId, exitCode = 0) {
+  const r = appendEvent(dir, {
+    event: 'test_recorded',
+    ts: '2026-06-13T12:00:00.000Z',
+    actor,
+    spec_id: specId,
+    data: { command: 'jest', exit_code: exitCode },
+  });
+  if (!r.ok) throw new Error('appendEvent failed: ' + JSON.stringify(r.errors));
+  return r.value;
+}
+
+/** Bump events.jsonl's mtime without changing its bytes. */
+function touch(dir) {
+  const later = new Date(Date.now() + 60_000);
+  fs.utimesSync(path.join(dir, 'events.jsonl'), later, later);
+}
+
+describe('appendEvent maintains the index', () => {
+  test('the first append writes it and later appends extend it in place', () => {
+    const dir = cawsDir();
+    const first = append(dir, 'FEAT-1');
+    append(dir, 'FEAT-2');
+    const third = append(dir, 'FEAT-1');
+
+    const index = openEventsIndex(dir);
+    expect(index).not.toBeNull();
+    expect(index.entries.map((e) => e.seq)).toEqual([1, 2, 3]);
+    expect(index.bySpec.get('FEAT-1').map((e) => e.seq)).toEqual([1, 3]);
+    expect(findIndexEntries(index, third.event_hash.slice(0, 16)).map((e) => e.seq)).toEqual([3]);
+
+    const read = readIndexedEvents(dir, index.bySpec.get('FEAT-1'));
+    expect(read.ok).toBe(true);
+    expect(read.value.map((e) => e.event_hash)).toEqual([first.event_hash, third.event_hash]);
+  });
+
+  test('rotation leaves an index of just the new genesis event', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    const rotated = rotateEvents(dir, { reason: 'maintenance', actor, allowClean: true });
+    expect(rotated.ok).toBe(true);
+    const index = openEventsIndex(dir);
+    expect(index.entries.map((e) => [e.seq, e.event])).toEqual([[1, 'chain_rotated']]);
+  });
+});
+
+describe('staleness and rebuild', () => {
+  test('an out-of-band write makes the index stale; loadEventsIndex rebuilds and persists it', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    append(dir, 'FEAT-1');
+    touch(dir);
+    expect(openEventsIndex(dir)).toBeNull();
+
+    const rebuilt = loadEventsIndex(dir);
+    expect(rebuilt.ok).toBe(true);
+    expect(rebuilt.value.rebuilt).toBe(true);
+    expect(rebuilt.value.entries).toHaveLength(2);
+    expect(openEventsIndex(dir)).not.toBeNull();
+  });
+
+  test('a rebuild while another writer holds the lock answers without persisting', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    touch(dir);
+    const lockPath = path.join(dir, 'events.jsonl.lock');
+    fs.writeFileSync(lockPath, '{}');
+    try {
+      const rebuilt = loadEventsIndex(dir);
+      expect(rebuilt.ok).toBe(true);
+      expect(rebuilt.value.entries).toHaveLength(1);
+      expect(openEventsIndex(dir)).toBeNull();
+      expect(fs.existsSync(lockPath)).toBe(true);
+    } finally {
+      fs.rmSync(lockPath);
+    }
+    expect(loadEventsIndex(dir).ok).toBe(true);
+    expect(openEventsIndex(dir)).not.toBeNull();
+  });
+
+  test('a missing index is rebuilt on the next append', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    fs.rmSync(eventsIndexPath(dir));
+    append(dir, 'FEAT-1');
+    expect(openEventsIndex(dir).entries).toHaveLength(2);
+  });
+
+  test('a rebuild over a tampered chain fails with the verifyChain rule and drops the index', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    append(dir, 'FEAT-1');
+    const eventsPath = path.join(dir, 'events.jsonl');
+    fs.writeFileSync(
+      eventsPath,
+      fs.readFileSync(eventsPath, 'utf8').replace('"exit_code":0', '"exit_code":1')
+    );
+    const result = loadEventsIndex(dir);
+    expect(result.ok).toBe(false);
+    expect(result.errors[0].rule.startsWith('evidence.chain.')).toBe(true);
+    expect(fs.existsSync(eventsIndexPath(dir))).toBe(false);
+  });
+
+  test('reading through an index the file changed under is refused', () => {
+    const dir = cawsDir();
+    append(dir, 'FEAT-1');
+    append(dir, 'FEAT-1');
+    const index = openEventsIndex(dir);
+    const eventsPath = path.join(dir, 'events.jsonl');
+    fs.writeFileSync(
+      eventsPath,
+      fs.readFileSync(eventsPath, 'utf8').replace('"exit_code":0', '"exit_code":1')
+    );
+    const read = readIndexedEvents(dir, index.entries.slice(0, 1));
+    expect(read.ok).toBe(false);
+    expect(read.errors[0].rule).toBe(INDEX_MISMATCH);
+  });
+});
+
+describe('consumers', () => {
+  function repo() {
+    const root = makeTempRepo();
+    const r = initProject(root);
+    if (!r.ok) throw new Error('initProject failed: ' + JSON.stringify(r.errors));
+    const dir = path.join(root, '.caws');
+    append(dir, 'FEAT-1');
+    append(dir, 'FEAT-2', 1);
+    append(dir, 'FEAT-1', 1);
+    return { root, dir };
+  }
+
+  function run(fn, opts) {
+    const out = [];
+    const err = [];
+    const code = fn({ out: (l) => out.push(l), err: (l) => err.push(l), ...opts });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  test('caws events show and caws evidence list resolve through the index', () => {
+    const { root } = repo();
+    const shown = run(runEventsShowCommand, { cwd: root, ref: '2', json: true });
+    expect(shown.code).toBe(0);
+    expect(JSON.parse(shown.out).event.spec_id).toBe('FEAT-2');
+
+    const listed = run(runEvidenceListCommand, { cwd: root, specId: 'FEAT-1', json: true });
+    expect(listed.code).toBe(0);
+    expect(JSON.parse(listed.out).events.map((e) => [e.seq, e.data.exit_code])).toEqual([
+      [1, 0],
+      [3, 1],
+    ]);
+  });
+
+  test('caws events show reports a chain that fails to rebuild as a composition failure', () => {
+    const { root, dir } = repo();
+    const eventsPath = path.join(dir, 'events.jsonl');
+    fs.writeFileSync(
+      eventsPath,
+      fs.readFileSync(eventsPath, 'utf8').replace('"exit_code":0', '"exit_code":2')
+    );
+    const shown = run(runEventsShowCommand, { cwd: root, ref: '1' });
+    expect(shown.code).toBe(2);
+    expect(shown.err).toContain('event chain verification failed');
+  });
+
+  test('doctor verifies the chain itself, even under an index that still looks current', () => {
+    const { root, dir } = repo();
+    const eventsPath = path.join(dir, 'events.jsonl');
+    // A whole-second mtime, so utimes can restore it exactly after the edit.
+    const mtime = new Date('2026-06-13T12:00:00.000Z');
+    fs.utimesSync(eventsPath, mtime, mtime);
+    expect(loadEventsIndex(dir).ok).toBe(true);
+    // Same size, same mtime, same tail: only verifyChain can see this edit.
+    fs.writeFileSync(
+      eventsPath,
+      fs.readFileSync(eventsPath, 'utf8').replace('"exit_code":0', '"exit_code":2')
+    );
+    fs.utimesSync(eventsPath, mtime, mtime);
+    expect(openEventsIndex(dir)).not.toBeNull();
+
+    const { doctorInput } = composeDoctorSnapshot({ repoRoot: root, cawsDir: dir });
+    const report = inspectProjectState({ ...doctorInput, now: new Date() });
+    expect(report.findings.map((f) => f.rule)).toContain('doctor.event.chain_invalid');
+  });
+});
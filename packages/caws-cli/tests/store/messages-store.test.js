@@ -637,3 +637,170 @@ test('UX A1: an idle (stopped, fresh-heartbeat) recipient is live per isRecipien
   makeBound(caws, 'idle-1', { status: 'stopped', ageMs: 2 * 60 * 1000 });
   expect(isRecipientLive(caws, 'idle-1')).toEqual({ ok: true, value: true });
 });
+
+// ─── topics + all: broadcast ─────────────────────────────────────────────────
+
+const {
+  setTopicSubscription,
+  listSubscriptions,
+  fanoutHistory,
+  inboxMessages,
+  pruneMessages,
+} = require('../../dist/store/messages-store');
+
+const NO_RECIPIENTS = 'store.messages.no_recipients';
+const TOPIC_INVALID = 'store.messages.topic_invalid';
+
+function subscribe(caws, endpoint, topic, on = true) {
+  const r = setTopicSubscription(caws, { endpoint, topic, subscribe: on });
+  if (!r.ok) throw new Error(JSON.stringify(r.errors));
+  return r.value;
+}
+
+test('topic: each subscriber gets its own copy once; the sender is never a recipient', () => {
+  const caws = cawsDir();
+  subscribe(caws, 'agent-a', 'release');
+  subscribe(caws, 'agent-b', 'topic:release');
+  subscribe(caws, 'sender-1', 'release');
+
+  const sent = sendMessage(caws, { actor: sender, to: 'topic:release', text: 'cutting 1.2' });
+  expect(sent.ok).toBe(true);
+  expect(sent.value.message).toMatchObject({
+    to: 'topic:release',
+    channel: 'topic:release',
+    recipients: ['agent-a', 'agent-b'],
+  });
+
+  expect(pollMessage(caws, 'agent-a').value.message.text).toBe('cutting 1.2');
+  expect(pollMessage(caws, 'agent-a').value.message).toBeNull();
+  expect(inboxCount(caws, 'agent-b')).toEqual({ ok: true, value: 1 });
+  expect(pollMessage(caws, 'agent-b').value.message.id).toBe(sent.value.message.id);
+  expect(pollMessage(caws, 'sender-1').value.message).toBeNull();
+
+  const deliveries = fs
+    .readFileSync(path.join(caws, 'messages.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l))
+    .filter((r) => r.record === 'delivery');
+  expect(deliveries.map((d) => d.recipient)).toEqual(['agent-a', 'agent-b']);
+});
+
+test('subscriptions are idempotent, replayed in order, and apply only to later sends', () => {
+  const caws = cawsDir();
+  expect(subscribe(caws, 'agent-a', 'ops').changed).toBe(true);
+  expect(subscribe(caws, 'agent-a', 'ops').changed).toBe(false);
+  subscribe(caws, 'agent-a', 'release');
+  expect(listSubscriptions(caws, 'agent-a')).toEqual({
+    ok: true,
+    value: ['topic:ops', 'topic:release'],
+  });
+
+  sendMessage(caws, { actor: sender, to: 'topic:ops', text: 'before b joined' });
+  subscribe(caws, 'agent-b', 'ops');
+  expect(inboxCount(caws, 'agent-b')).toEqual({ ok: true, value: 0 });
+
+  const left = subscribe(caws, 'agent-a', 'ops', false);
+  expect(left).toMatchObject({ changed: true, topics: ['topic:release'] });
+  // Already-addressed copies stay in the inbox after unsubscribing.
+  expect(inboxCount(caws, 'agent-a')).toEqual({ ok: true, value: 1 });
+  const after = sendMessage(caws, { actor: sender, to: 'topic:ops', text: 'after a left' });
+  expect(after.value.message.recipients).toEqual(['agent-b']);
+});
+
+test('a topic with no other subscribers, or an invalid topic name, is refused and writes nothing', () => {
+  const caws = cawsDir();
+  subscribe(caws, 'sender-1', 'lonely');
+  const before = fs.readFileSync(path.join(caws, 'messages.jsonl'), 'utf8');
+
+  const empty = sendMessage(caws, { actor: sender, to: 'topic:lonely', text: 'anyone?' });
+  expect(empty.ok).toBe(false);
+  expect(empty.errors[0].rule).toBe(NO_RECIPIENTS);
+  expect(empty.errors[0].message).toContain('caws message subscribe --topic topic:lonely');
+
+  const bad = sendMessage(caws, { actor: sender, to: 'topic:has space', text: 'x' });
+  expect(bad.errors[0].rule).toBe(TOPIC_INVALID);
+  expect(setTopicSubscription(caws, { endpoint: 'a', topic: 'topic:', subscribe: true }).errors[0].rule).toBe(
+    TOPIC_INVALID
+  );
+  expect(fs.readFileSync(path.join(caws, 'messages.jsonl'), 'utf8')).toBe(before);
+});
+
+test('all: reaches every live session except the sender; --allow-dead includes stale ones', () => {
+  const caws = cawsDir();
+  makeLive(caws, 'live-1');
+  makeLive(caws, 'live-2');
+  makeLive(caws, 'sender-1');
+  makeBound(caws, 'stale-1', { ageMs: 2 * 60 * 60 * 1000 });
+
+  const sent = sendMessage(caws, { actor: sender, to: 'all:', text: 'freeze main' });
+  expect(sent.value.message.recipients).toEqual(['live-1', 'live-2']);
+  const forced = sendMessage(caws, { actor: sender, to: 'all:', text: 'x', requireLive: false });
+  expect(forced.value.message.recipients).toEqual(['live-1', 'live-2', 'stale-1']);
+
+  const alone = cawsDir();
+  makeLive(alone, 'sender-1');
+  expect(sendMessage(alone, { actor: sender, to: 'all:', text: 'x' }).errors[0].rule).toBe(
+    NO_RECIPIENTS
+  );
+});
+
+test('fan-out delivery state is per recipient across status, history, inbox and prune', () => {
+  const caws = cawsDir();
+  subscribe(caws, 'agent-a', 'release');
+  subscribe(caws, 'agent-b', 'release');
+  const id = sendMessage(caws, { actor: sender, to: 'topic:release', text: 'v2' }).value.message.id;
+  pollMessage(caws, 'agent-a');
+
+  const partial = getMessageDeliveryState(caws, id).value;
+  expect(partial.delivered).toBe(false);
+  expect(partial.deliveredAt).toBeUndefined();
+  expect(partial.deliveries.map((d) => [d.recipient, d.delivered])).toEqual([
+    ['agent-a', true],
+    ['agent-b', false],
+  ]);
+  expect(inboxMessages(caws, 'agent-b').value.waiting).toBe(1);
+  const plan = pruneMessages(caws, { status: 'delivered' });
+  expect(plan.value.skipped.map((e) => [e.id, e.reason])).toEqual([[id, 'undelivered']]);
+
+  pollMessage(caws, 'agent-b');
+  const history = fanoutHistory(caws, 'topic:release');
+  expect(history.ok).toBe(true);
+  expect(history.value).toHaveLength(1);
+  expect(history.value[0].delivered).toBe(true);
+  expect(history.value[0].deliveredAt).toBe(history.value[0].deliveries[1].deliveredAt);
+  expect(pruneMessages(caws, { status: 'delivered' }).value.candidates.map((e) => e.id)).toEqual([id]);
+});
+
+// ─── structured kinds: body validated against messages.v1.json ───────────────
+
+test('a structured message persists kind + body; a body that does not fit its kind writes nothing', () => {
+  const caws = cawsDir();
+  makeLive(caws, 'recip-1');
+  const body = { summary: 'finish the parser', worktree: 'wt-parser' };
+  const sent = sendMessage(caws, {
+    actor: sender,
+    to: 'recip-1',
+    text: 'handoff request for wt-parser: finish the parser',
+    kind: 'handoff_request',
+    body,
+  });
+  expect(sent.ok).toBe(true);
+  expect(pollMessage(caws, 'recip-1').value.message).toMatchObject({ kind: 'handoff_request', body });
+
+  const before = fs.readFileSync(path.join(caws, 'messages.jsonl'), 'utf8');
+  const extra = sendMessage(caws, {
+    actor: sender,
+    to: 'recip-1',
+    text: 'x',
+    kind: 'ack',
+    body: { ack_id: sent.value.message.id, status: 'maybe' },
+  });
+  expect(extra.ok).toBe(false);
+  expect(extra.errors.map((d) => [d.rule, d.location.pointer])).toEqual([
+    ['messages.body.invalid', '/body/status'],
+  ]);
+  const orphan = sendMessage(caws, { actor: sender, to: 'recip-1', text: 'x', kind: 'review_request' });
+  expect(orphan.errors[0].rule).toBe('messages.body.invalid');
+  expect(fs.readFileSync(path.join(caws, 'messages.jsonl'), 'utf8')).toBe(before);
+});